@@ -1,272 +1,191 @@
 /**
  * API Client
- * Handles form submission to third-party system or Supabase
+ * Sends form submissions to the configured targets (see transports/)
+ * Maps fields and scores priority once, fans out to every target and
+ * reports each result
  */
 
 import { CONFIG } from './config.js';
-import { submitToSupabase } from './supabase.js';
+import { getMockBackendUrl, getSubmissionTargets } from './utils.js';
+import { mapSubmissionFields } from './field-mapping.js';
+import { calculatePriority } from './priority.js';
+import { APIError } from './transports/submission-transport.js';
+import { SupabaseTransport } from './transports/supabase-transport.js';
+import { PhpMultipartTransport } from './transports/php-multipart-transport.js';
+import { MockTransport } from './transports/mock-transport.js';
+
+export { APIError };
+
+// Transport classes by target name
+const TRANSPORTS = {
+  supabase: SupabaseTransport,
+  php: PhpMultipartTransport,
+  mock: MockTransport
+};
 
 /**
- * Convert blob to base64 string
- * @param {Blob} blob - The blob to convert
- * @returns {Promise<string>} Base64 string
+ * Register a transport for use in CONFIG.SUBMISSION_TARGETS
+ * @param {string} name - Target name
+ * @param {typeof import('./transports/submission-transport.js').SubmissionTransport} TransportClass - Transport class
  */
-async function blobToBase64(blob) {
-  return new Promise((resolve, reject) => {
-    const reader = new FileReader();
-    reader.onloadend = () => resolve(reader.result.split(',')[1]);
-    reader.onerror = reject;
-    reader.readAsDataURL(blob);
-  });
+export function registerTransport(name, TransportClass) {
+  TRANSPORTS[name] = TransportClass;
 }
 
 /**
- * Submit form data with retry logic
- * @param {Object} formData - Form data object
- * @param {Blob} pdfBlob - Generated PDF file
- * @param {Blob} jsonBlob - Generated JSON file
- * @param {number} maxRetries - Maximum retry attempts (default: 3)
- * @returns {Promise<Object>} API response
+ * Resolve the configured targets to transport instances
+ * In development the PHP endpoint is replaced by the local mock backend
+ * when one is set, or by the in-browser MockTransport
+ * @returns {SubmissionTransport[]} Transports, primary first
  */
-export async function submitWithRetry(formData, pdfBlob, jsonBlob, maxRetries = 3) {
-  for (let attempt = 1; attempt <= maxRetries; attempt++) {
-    try {
-      return await submitForm(formData, pdfBlob, jsonBlob);
-    } catch (error) {
-      // Don't retry client errors (4xx) - these are validation failures
-      if (error.status >= 400 && error.status < 500) {
-        throw error;
-      }
-
-      // If this was the last attempt, throw the error
-      if (attempt === maxRetries) {
-        throw error;
-      }
+export function getSubmissionTransports() {
+  return getSubmissionTargets().map(target => {
+    if (target === 'php' && CONFIG.IS_DEVELOPMENT) {
+      const mockBackend = getMockBackendUrl();
+      return mockBackend
+        ? new PhpMultipartTransport(`${mockBackend}/rfs_request_process.php`)
+        : new MockTransport();
+    }
 
-      // Exponential backoff: 1s, 2s, 4s
-      const delay = Math.pow(2, attempt - 1) * 1000;
-      console.log(`Submission attempt ${attempt} failed. Retrying in ${delay/1000}s...`);
-      console.log('Error details:', error.message);
+    const TransportClass = TRANSPORTS[target];
 
-      // Wait before retrying
-      await new Promise(resolve => setTimeout(resolve, delay));
+    if (!TransportClass) {
+      throw new Error(`Unknown submission target: ${target}`);
     }
-  }
+
+    return new TransportClass();
+  });
 }
 
 /**
- * Submit form data to the API (internal function)
- * @param {Object} formData - Form data object
- * @param {Blob} pdfBlob - Generated PDF file
- * @param {Blob} jsonBlob - Generated JSON file
- * @returns {Promise<Object>} API response
+ * Send to one target, capturing the outcome instead of throwing
+ * @param {SubmissionTransport} transport - Target transport
+ * @param {Object} submission - Prepared submission
+ * @returns {Promise<Object>} { target, success, response } or { target, success: false, error }
  */
-async function submitForm(formData, pdfBlob, jsonBlob) {
-  // ===== FIELD MAPPING (shared by both Supabase and PHP paths) =====
-
-  // Map requestDetails to rfsDetails for third-party
-  if (formData.requestDetails) {
-    formData.rfsDetails = formData.requestDetails;
-  }
-
-  // Map occType to fat_occTypes table IDs
-  // Our forms only use: Homicide (1), Missing Person (2)
-  const occTypeMap = {
-    'homicide': '1',
-    'missing person': '2'
-  };
-
-  // Convert occType text to ID, default to 1 (Homicide)
-  if (formData.occType) {
-    const lookupKey = formData.occType.toLowerCase().trim();
-    formData.occType = occTypeMap[lookupKey] || '1';
-  } else {
-    formData.occType = '1';
+async function sendToTarget(transport, submission) {
+  try {
+    const response = await transport.send(submission);
+    return { target: transport.name, success: response.success === true, response };
+  } catch (error) {
+    return { target: transport.name, success: false, error };
   }
+}
 
-  // Set reqArea to fat_servicing table ID for "Homicide and Missing Persons"
-  // serviceID 36 = "Homicide and Missing Persons"
-  formData.reqArea = '36';
+/**
+ * Check if a target outcome is worth another attempt
+ * Client errors (4xx) are validation failures and won't succeed on retry
+ * @param {Object} outcome - Result of sendToTarget
+ * @returns {boolean}
+ */
+function shouldRetry(outcome) {
+  if (!outcome.error) return false;
+  return !(outcome.error.status >= 400 && outcome.error.status < 500);
+}
 
-  // Set rfsHeader (File Desc) based on form type
-  const rfsHeaderMap = {
-    'upload': 'FVU Upload Request',
-    'analysis': 'FVU Analysis Request',
-    'recovery': 'FVU Recovery Request'
+/**
+ * Summarise a target outcome for reporting
+ * @param {Object} outcome - Result of sendToTarget
+ * @returns {Object} { target, success, message, ticketNumber, submissionId }
+ */
+function describeOutcome(outcome) {
+  const { target, success, response = {}, error } = outcome;
+  return {
+    target,
+    success,
+    message: error ? error.message : response.message,
+    ticketNumber: response.ticketNumber || null,
+    submissionId: response.submissionId || null
   };
-  formData.rfsHeader = rfsHeaderMap[formData.formType] || 'FVU Request';
+}
 
-  // Set ticketStatus (Request Type) based on form type
-  // Maps to fat_rfs_types table:
-  // 1 = Video Analysis, 2 = Video Extraction, 4 = Video Upload
-  const ticketStatusMap = {
-    'analysis': '1',
-    'recovery': '2',
-    'upload': '4'
+/**
+ * Submit form data to every configured target with retry logic
+ * Only targets that failed are retried. Secondary targets listed in
+ * deliveredTargets (kept by the outbox from an earlier attempt) are not sent
+ * to again, so a replay doesn't duplicate the submission there
+ * @param {Object} formData - Form data object (not modified)
+ * @param {Blob} pdfBlob - Generated PDF file
+ * @param {Blob} jsonBlob - Generated JSON file
+ * @param {Object} options
+ * @param {string} [options.submissionId] - ID printed in the PDF (see document-integrity.js)
+ * @param {string} [options.contentHash] - Content hash printed in the PDF
+ * @param {number} [options.maxRetries=3] - Maximum retry attempts
+ * @param {Array<Object>} [options.deliveredTargets] - { position, target } of
+ *   targets that already have this submission, as thrown with an earlier error
+ * @returns {Promise<Object>} Primary target response, plus targets: per-target results
+ * @throws {Error} The primary target's error if it could not be reached, with
+ *   deliveredTargets: { position, target } of each target that has the submission
+ */
+export async function submitWithRetry(formData, pdfBlob, jsonBlob, { submissionId = null, contentHash = null, maxRetries = 3, deliveredTargets = [] } = {}) {
+  const configured = getSubmissionTargets();
+  const transports = getSubmissionTransports();
+  const submission = {
+    data: mapSubmissionFields(formData),
+    // Scored from the unmapped data so every target stores the same priority
+    priority: calculatePriority(formData),
+    pdfBlob,
+    jsonBlob,
+    submissionId,
+    contentHash,
+    // Names the attachments when there is no submission ID
+    timestamp: Date.now()
   };
-  formData.ticketStatus = ticketStatusMap[formData.formType] || '1';
-
-  // ===== END FIELD MAPPING =====
 
-  // If Supabase is enabled, use Supabase submission
-  if (CONFIG.USE_SUPABASE) {
-    try {
-      // Convert blobs to base64 for storage
-      const pdfBase64 = await blobToBase64(pdfBlob);
-      const jsonBase64 = await blobToBase64(jsonBlob);
+  // Keyed by transport instance: two targets of the same type share a name
+  const outcomes = new Map();
 
-      const timestamp = Date.now();
+  // Matched by position too, for the same reason. The primary is always sent
+  // to - an outbox item is only queued while it has failed
+  transports.forEach((transport, position) => {
+    const delivered = position > 0 && deliveredTargets.some(entry =>
+      entry.position === position && entry.target === configured[position]);
 
-      // Add file data to formData
-      const submissionData = {
-        ...formData,
-        attachments: [
-          {
-            type: 'pdf',
-            filename: `${formData.formType}_${timestamp}.pdf`,
-            data: pdfBase64,
-            size: pdfBlob.size
-          },
-          {
-            type: 'json',
-            filename: `${formData.formType}_${timestamp}.json`,
-            data: jsonBase64,
-            size: jsonBlob.size
-          }
-        ]
-      };
-
-      const result = await submitToSupabase(submissionData);
-
-      return {
+    if (delivered) {
+      outcomes.set(transport, {
+        target: transport.name,
         success: true,
-        message: 'Request submitted successfully',
-        ticketNumber: result.data.id,
-        submissionId: result.data.id
-      };
-    } catch (error) {
-      console.error('Supabase submission error:', error);
-      throw new APIError('Failed to submit to Supabase', { originalError: error });
-    }
-  }
-
-  // PHP submission
-  const submission = new FormData();
-
-  // Add all form fields using their field names
-  Object.entries(formData).forEach(([key, value]) => {
-    if (value !== null && value !== undefined) {
-      submission.append(key, value);
+        response: { success: true, message: 'Delivered on an earlier attempt' }
+      });
     }
   });
-  
-  // Add file attachments
-  const timestamp = Date.now();
-  submission.append('fileAttachmentA', pdfBlob, `${formData.formType}_${timestamp}.pdf`);
-  submission.append('fileAttachmentB', jsonBlob, `${formData.formType}_${timestamp}.json`);
-  
-  // For development, mock the response
-  if (CONFIG.IS_DEVELOPMENT) {
-    return mockSubmission(submission);
-  }
-  
-  // Production submission
-  try {
-    const response = await fetch(CONFIG.API_ENDPOINT, {
-      method: 'POST',
-      body: submission,
-      signal: AbortSignal.timeout(CONFIG.API_TIMEOUT)
-    });
-    
-    const responseText = await response.text();
-    
-    // Try to parse as JSON
-    try {
-      const data = JSON.parse(responseText);
 
-      if (!response.ok) {
-        throw new APIError(
-          data.message || 'Server error',
-          { ...data, status: response.status }
-        );
-      }
+  let pending = transports.filter(transport => !outcomes.has(transport));
 
-      return data;
-    } catch (jsonError) {
-      // Non-JSON response
-      throw new APIError('Invalid response format', {
-        responseText,
-        status: response.status
-      });
-    }
+  for (let attempt = 1; attempt <= maxRetries; attempt++) {
+    const results = await Promise.all(pending.map(transport => sendToTarget(transport, submission)));
+    results.forEach((outcome, index) => outcomes.set(pending[index], outcome));
 
-  } catch (error) {
-    if (error.name === 'AbortError') {
-      throw new APIError('Request timeout', { timeout: true, code: 'ETIMEDOUT' });
-    }
+    pending = pending.filter(transport => shouldRetry(outcomes.get(transport)));
 
-    if (error instanceof APIError) {
-      throw error;
+    // If nothing is left to retry, or this was the last attempt, stop
+    if (pending.length === 0 || attempt === maxRetries) {
+      break;
     }
 
-    // Network error - check if offline
-    if (!navigator.onLine) {
-      throw new APIError('Network offline', {
-        originalError: error,
-        offline: true
-      });
-    }
+    // Exponential backoff: 1s, 2s, 4s
+    const delay = Math.pow(2, attempt - 1) * 1000;
+    console.log(`Submission attempt ${attempt} failed for ${pending.map(t => t.name).join(', ')}. Retrying in ${delay/1000}s...`);
 
-    throw new APIError('Network error', { originalError: error });
+    // Wait before retrying
+    await new Promise(resolve => setTimeout(resolve, delay));
   }
-}
 
-/**
- * Mock submission for development
- * @param {FormData} submission - Form data
- * @returns {Promise<Object>} Mock response
- */
-async function mockSubmission(submission) {
-  // Log submission data
-  console.log('Mock submission:', {
-    fields: Object.fromEntries(submission.entries()),
-    files: {
-      pdf: submission.get('fileAttachmentA')?.name,
-      json: submission.get('fileAttachmentB')?.name
-    }
-  });
-  
-  // Simulate network delay
-  await new Promise(resolve => setTimeout(resolve, 1500));
-  
-  // Random success/failure for testing
-  const success = Math.random() > 0.1;
-  
-  if (success) {
-    return {
-      success: true,
-      message: 'Ticket created successfully',
-      ticketNumber: `TEST-${Date.now().toString().slice(-6)}`
-    };
-  } else {
-    return {
-      success: false,
-      message: 'Missing required fields',
-      fields: ['rName', 'occDate']
-    };
-  }
-}
+  const results = transports.map(transport => outcomes.get(transport));
+  const targets = results.map(describeOutcome);
+  const [primary, ...secondary] = results;
 
-/**
- * Custom API Error class
- */
-export class APIError extends Error {
-  constructor(message, details = {}) {
-    super(message);
-    this.name = 'APIError';
-    this.details = details;
-    this.status = details.status || null;
+  secondary
+    .filter(outcome => !outcome.success)
+    .forEach(outcome => console.warn(`Secondary target ${outcome.target} failed:`, outcome.error || outcome.response));
+
+  if (primary.error) {
+    const delivered = results.flatMap((outcome, position) =>
+      outcome.success ? [{ position, target: configured[position] }] : []);
+    throw Object.assign(primary.error, { deliveredTargets: delivered });
   }
+
+  return { ...primary.response, targets };
 }
 
 /**
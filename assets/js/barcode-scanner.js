@@ -0,0 +1,255 @@
+/**
+ * Barcode Scanner
+ * Scans occurrence and evidence bag numbers into form fields with the
+ * camera, or from a still photo, so they don't have to be retyped
+ *
+ * Uses the browser's BarcodeDetector when it reads any of
+ * CONFIG.BARCODE_SCANNER.FORMATS; other browsers load the vendored decoder
+ * with the same interface (lib/barcode-detector.js and its WebAssembly
+ * module) on first use.
+ * Decoded values are checked with validateScannedValue() before they fill
+ * the field
+ *
+ * @module barcode-scanner
+ */
+
+import { CONFIG } from './config.js';
+import { validateScannedValue } from './validators.js';
+import { parseRequestCode } from './request-code.js';
+import { showContentModal, dismissModal } from './notifications.js';
+import { createElement, showToast } from './utils.js';
+
+// One detector per page, created on first scan
+let detectorPromise = null;
+
+/**
+ * Create a detector for the configured formats
+ * @returns {Promise<Object>} BarcodeDetector (native or loaded)
+ */
+async function createDetector() {
+  const { FORMATS, DECODER_URL, DECODER_WASM_URL } = CONFIG.BARCODE_SCANNER;
+
+  if ('BarcodeDetector' in window) {
+    const supported = await window.BarcodeDetector.getSupportedFormats();
+    const formats = FORMATS.filter(format => supported.includes(format));
+    if (formats.length > 0) return new window.BarcodeDetector({ formats });
+  }
+
+  const { BarcodeDetector, setZXingModuleOverrides } = await import(new URL(DECODER_URL, import.meta.url).href);
+
+  // Load the WebAssembly module from lib/ too, not the decoder's default CDN
+  const wasmUrl = new URL(DECODER_WASM_URL, import.meta.url).href;
+  setZXingModuleOverrides({
+    locateFile: (path, prefix) => (path.endsWith('.wasm') ? wasmUrl : prefix + path)
+  });
+
+  return new BarcodeDetector({ formats: [...FORMATS] });
+}
+
+/**
+ * Get the page's barcode detector
+ * @returns {Promise<Object>} BarcodeDetector
+ */
+export function getBarcodeDetector() {
+  detectorPromise ??= createDetector().catch(error => {
+    // Let a later scan try again, e.g. once back online
+    detectorPromise = null;
+    throw error;
+  });
+  return detectorPromise;
+}
+
+/**
+ * Read the first barcode in an image or video frame
+ * @param {Blob|HTMLVideoElement|ImageBitmap} source - Photo file or camera video
+ * @returns {Promise<string|null>} Decoded text, or null when none was found
+ */
+export async function decodeBarcode(source) {
+  const detector = await getBarcodeDetector();
+  const image = source instanceof Blob ? await createImageBitmap(source) : source;
+
+  try {
+    const [barcode] = await detector.detect(image);
+    return barcode?.rawValue ?? null;
+  } finally {
+    if (image !== source) image.close?.();
+  }
+}
+
+/**
+ * Turn decoded text into the value for a field
+ * A request QR code (on a request PDF or evidence label) scanned into the
+ * occurrence number gives its occurrence number
+ * @param {string} text - Decoded text
+ * @param {string} fieldName - Field to fill
+ * @returns {string}
+ */
+export function getScannedFieldValue(text, fieldName) {
+  const value = String(text ?? '').trim();
+
+  if (fieldName === CONFIG.FIELD_NAMES.OCCURRENCE_NUMBER) {
+    return parseRequestCode(value)?.occNumber || value;
+  }
+  return value;
+}
+
+/**
+ * Show the scanner: the live camera where there is one, and a photo picker
+ * @param {string} label - What is being scanned, for the title
+ * @returns {Promise<string|null>} Decoded text, or null if closed first
+ */
+export async function scanBarcode(label) {
+  let result = null;
+  let closed = false;
+  let stream = null;
+  let timer = null;
+
+  const status = createElement('p', { className: 'text-muted', 'aria-live': 'polite' }, 'Point the camera at the barcode.');
+  const video = createElement('video', { className: 'barcode-scanner-video d-none', playsinline: '', muted: '' });
+
+  const finish = (text) => {
+    result = text;
+    dismissModal();
+  };
+
+  const photoInput = createElement('input', {
+    type: 'file',
+    accept: 'image/*',
+    capture: 'environment',
+    hidden: true,
+    onchange: async () => {
+      const file = photoInput.files[0];
+      photoInput.value = '';
+      if (!file) return;
+
+      status.textContent = 'Reading photo...';
+      try {
+        const text = await decodeBarcode(file);
+        if (text) {
+          finish(text);
+        } else {
+          status.textContent = CONFIG.MESSAGES.SCAN_NOT_FOUND;
+        }
+      } catch (error) {
+        console.error('Error reading barcode photo:', error);
+        status.textContent = CONFIG.MESSAGES.SCAN_UNSUPPORTED;
+      }
+    }
+  });
+
+  // Check a frame, then the next one after SCAN_INTERVAL
+  const checkFrame = async () => {
+    if (closed) return;
+
+    try {
+      const text = video.readyState >= 2 ? await decodeBarcode(video) : null;
+      if (text) {
+        finish(text);
+        return;
+      }
+    } catch (error) {
+      console.error('Error scanning camera frame:', error);
+      status.textContent = CONFIG.MESSAGES.SCAN_UNSUPPORTED;
+      return;
+    }
+
+    timer = setTimeout(checkFrame, CONFIG.BARCODE_SCANNER.SCAN_INTERVAL);
+  };
+
+  const startCamera = async () => {
+    if (!navigator.mediaDevices?.getUserMedia) {
+      status.textContent = CONFIG.MESSAGES.SCAN_CAMERA_UNAVAILABLE;
+      return;
+    }
+
+    try {
+      stream = await navigator.mediaDevices.getUserMedia({ video: { facingMode: 'environment' }, audio: false });
+      if (closed) return;
+
+      video.srcObject = stream;
+      video.classList.remove('d-none');
+      await video.play();
+      checkFrame();
+    } catch (error) {
+      console.warn('Camera not available for scanning:', error);
+      status.textContent = CONFIG.MESSAGES.SCAN_CAMERA_UNAVAILABLE;
+    }
+  };
+
+  const modal = showContentModal({
+    title: `Scan ${label}`,
+    content: createElement('div', { className: 'barcode-scanner' }, [
+      video,
+      status,
+      photoInput,
+      createElement('button', {
+        type: 'button',
+        className: 'btn btn-secondary',
+        onclick: () => photoInput.click()
+      }, 'Take or Choose a Photo')
+    ])
+  });
+
+  startCamera();
+  await modal;
+
+  closed = true;
+  clearTimeout(timer);
+  stream?.getTracks().forEach(track => track.stop());
+
+  return result;
+}
+
+/**
+ * Scan a barcode into a field, if the decoded value passes validation
+ * @param {HTMLInputElement} input - Field to fill
+ * @param {string} label - Field label, for the scanner title
+ * @param {string} rule - Validation rule name (default: the field's rule)
+ * @returns {Promise<boolean>} True if the field was filled
+ */
+export async function scanIntoField(input, label, rule) {
+  const text = await scanBarcode(label);
+  if (text === null) return false;
+
+  const value = getScannedFieldValue(text, input.name);
+  const error = validateScannedValue(value, input.name, rule);
+
+  if (error) {
+    const shown = value.length > CONFIG.BARCODE_SCANNER.MAX_LENGTH
+      ? `${value.slice(0, CONFIG.BARCODE_SCANNER.MAX_LENGTH)}...`
+      : value;
+    showToast(CONFIG.MESSAGES.SCAN_REJECTED.replace('{value}', shown).replace('{error}', error), 'error', 5000);
+    return false;
+  }
+
+  // Same events as typing, so validation, progress and auto-save all run
+  input.value = value;
+  input.dispatchEvent(new Event('input', { bubbles: true }));
+  input.dispatchEvent(new Event('change', { bubbles: true }));
+  input.dispatchEvent(new Event('blur'));
+
+  showToast(CONFIG.MESSAGES.SCAN_FILLED.replace('{value}', value), 'success');
+  return true;
+}
+
+/**
+ * Add a scan button beside a field's input
+ * @param {HTMLElement} group - Form group from FormFieldBuilder
+ * @param {string} rule - Validation rule name (default: the field's rule)
+ * @returns {HTMLElement} The same group
+ */
+export function addScanButton(group, rule) {
+  const input = group.querySelector('input.form-control');
+  const label = group.querySelector('.form-label')?.textContent.replace('*', '').trim() || 'Barcode';
+
+  input.after(createElement('button', {
+    type: 'button',
+    className: 'btn btn-secondary scan-button',
+    title: `Scan ${label}`,
+    'aria-label': `Scan ${label}`,
+    onclick: () => scanIntoField(input, label, rule)
+  }, 'Scan'));
+  group.classList.add('has-scan');
+
+  return group;
+}
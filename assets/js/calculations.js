@@ -3,12 +3,16 @@
  * Pure functions for form-specific calculations
  */
 
+import { CONFIG } from './config.js';
+import { formatDateTime } from './utils.js';
+
 /**
  * Calculate DVR retention days
  * @param {string} earliestDate - Earliest date available on DVR
+ * @param {Date|string} asOf - Day to measure from (default: today)
  * @returns {Object} Retention info { days: number, message: string, isUrgent: boolean }
  */
-export function calculateRetentionDays(earliestDate) {
+export function calculateRetentionDays(earliestDate, asOf = new Date()) {
   if (!earliestDate) {
     return {
       days: null,
@@ -18,7 +22,7 @@ export function calculateRetentionDays(earliestDate) {
   }
   
   const earliest = new Date(earliestDate);
-  const today = new Date();
+  const today = new Date(asOf);
   
   // Reset time portions for accurate day calculation
   earliest.setHours(0, 0, 0, 0);
@@ -56,6 +60,29 @@ export function calculateRetentionDays(earliestDate) {
   };
 }
 
+/**
+ * Collect the earliest-available DVR dates from submitted form data
+ * Recovery stores one per DVR (dvrGroups[].dvrRetention), upload one per
+ * location (locations[].dvrEarliestDate)
+ * @param {Object} formData - Collected form data (or form_submissions.form_data)
+ * @returns {string[]} Dates, in form order
+ */
+export function getDvrEarliestDates(formData) {
+  if (!formData) return [];
+
+  const dates = [
+    ...(formData.dvrGroups || []).map(dvr => dvr.dvrRetention),
+    ...(formData.locations || []).map(location => location.dvrEarliestDate)
+  ];
+
+  // Older drafts and single-DVR forms only have the root-level fields
+  if (dates.length === 0) {
+    dates.push(formData.dvrRetention, formData.dvrEarliestDate);
+  }
+
+  return dates.filter(Boolean);
+}
+
 /**
  * Calculate video duration
  * @param {string} startTime - Video start time
@@ -138,32 +165,63 @@ export function parseTimeOffset(offsetString) {
   
   // Determine direction
   let direction = 'AHEAD'; // Default
+  let hasDirection = true;
   if (str.includes('behind') || str.includes('slow')) {
     direction = 'BEHIND';
   } else if (str.includes('ahead') || str.includes('fast')) {
     direction = 'AHEAD';
+  } else {
+    hasDirection = false;
   }
   
   // Format the offset
-  const parts = [];
-  if (hours > 0) parts.push(`${hours} hour${hours !== 1 ? 's' : ''}`);
-  if (minutes > 0) parts.push(`${minutes} minute${minutes !== 1 ? 's' : ''}`);
-  if (seconds > 0) parts.push(`${seconds} second${seconds !== 1 ? 's' : ''}`);
-  
-  const formatted = parts.length > 0 
-    ? `DVR is ${parts.join(' ')} ${direction} of real time`
-    : offsetString;
+  const formatted = formatTimeOffset({ hours, minutes, seconds, direction }) || offsetString;
   
   return {
     hours,
     minutes,
     seconds,
     direction,
+    hasDirection,
     formatted,
     totalMinutes: (hours * 60) + minutes + (seconds / 60)
   };
 }
 
+/**
+ * Format a structured time offset the way it is stored in timeOffset
+ * parseTimeOffset() reads the result back exactly
+ * @param {Object} offset - { hours, minutes, seconds, direction: 'AHEAD' | 'BEHIND' }
+ * @returns {string} e.g. 'DVR is 1 hour 5 minutes AHEAD of real time', or '' with no offset or direction
+ */
+export function formatTimeOffset({ hours = 0, minutes = 0, seconds = 0, direction = '' }) {
+  const parts = [];
+  if (hours > 0) parts.push(`${hours} hour${hours !== 1 ? 's' : ''}`);
+  if (minutes > 0) parts.push(`${minutes} minute${minutes !== 1 ? 's' : ''}`);
+  if (seconds > 0) parts.push(`${seconds} second${seconds !== 1 ? 's' : ''}`);
+
+  if (parts.length === 0 || !direction) return '';
+  return `DVR is ${parts.join(' ')} ${direction} of real time`;
+}
+
+/**
+ * Work out the DVR offset by comparing the time shown on the DVR with device time
+ * @param {Date|string} dvrTime - Time shown on the DVR screen
+ * @param {Date} deviceTime - Device time at the same moment
+ * @returns {Object} { hours, minutes, seconds, direction } - direction is '' when the clocks match
+ */
+export function calculateClockOffset(dvrTime, deviceTime) {
+  const diffSeconds = Math.round((new Date(dvrTime) - new Date(deviceTime)) / 1000);
+  const totalSeconds = Math.abs(diffSeconds);
+
+  return {
+    hours: Math.floor(totalSeconds / 3600),
+    minutes: Math.floor((totalSeconds % 3600) / 60),
+    seconds: totalSeconds % 60,
+    direction: diffSeconds > 0 ? 'AHEAD' : diffSeconds < 0 ? 'BEHIND' : ''
+  };
+}
+
 /**
  * Calculate adjusted time based on offset
  * @param {string} dvrTime - Time shown on DVR
@@ -182,6 +240,258 @@ export function calculateActualTime(dvrTime, offset) {
   return actualTime;
 }
 
+/**
+ * Get the parsed DVR offset when the clock is marked wrong
+ * @param {string} isTimeDateCorrect - 'Yes' | 'No'
+ * @param {string} timeOffset - Free-text offset
+ * @returns {Object|null} Parsed offset, or null when the clock is correct or no offset was entered
+ */
+export function getDvrTimeOffset(isTimeDateCorrect, timeOffset) {
+  if (isTimeDateCorrect !== 'No' || !timeOffset || !timeOffset.trim()) return null;
+  return parseTimeOffset(timeOffset);
+}
+
+/**
+ * Work out the DVR-clock and real-world windows for an extraction period
+ * The entered window is kept as-is and the other is shifted by the offset:
+ * "DVR Time" is corrected to real time, "Actual Time" is converted to what the DVR shows
+ * @param {string} startTime - Entered start ('YYYY-MM-DD HH:mm')
+ * @param {string} endTime - Entered end
+ * @param {string} timePeriodType - 'DVR Time' | 'Actual Time'
+ * @param {Object|null} offset - Parsed offset from getDvrTimeOffset()
+ * @returns {Object} { offsetApplied, dvrWindow: { start, end }, actualWindow: { start, end } }
+ */
+export function getExtractionWindows(startTime, endTime, timePeriodType, offset) {
+  const offsetApplied = Boolean(offset && offset.totalMinutes > 0);
+  const entered = { start: startTime || null, end: endTime || null };
+
+  // Actual -> DVR time is the same shift in the other direction
+  const shiftOffset = offsetApplied && timePeriodType === 'Actual Time'
+    ? { ...offset, direction: offset.direction === 'BEHIND' ? 'AHEAD' : 'BEHIND' }
+    : offset;
+  const shift = (time) => (offsetApplied && time ? formatInputDateTime(calculateActualTime(time, shiftOffset)) : time || null);
+  const shifted = { start: shift(startTime), end: shift(endTime) };
+
+  return timePeriodType === 'Actual Time'
+    ? { offsetApplied, dvrWindow: shifted, actualWindow: entered }
+    : { offsetApplied, dvrWindow: entered, actualWindow: shifted };
+}
+
+/**
+ * Describe the DVR clock / real time conversion shown next to the start and end pickers
+ * @param {Object} values - { startTime, endTime, timePeriodType, isTimeDateCorrect, timeOffset }
+ * @returns {Object|null} { text, isWarning }, or null when there is nothing to convert
+ */
+export function describeTimeConversion({ startTime, endTime, timePeriodType, isTimeDateCorrect, timeOffset }) {
+  const offset = getDvrTimeOffset(isTimeDateCorrect, timeOffset);
+  if (!offset) return null;
+
+  if (offset.totalMinutes <= 0) {
+    return { text: CONFIG.MESSAGES.TIME_OFFSET_UNREADABLE, isWarning: true };
+  }
+  if (!startTime || !endTime) {
+    return { text: offset.formatted, isWarning: false };
+  }
+  if (!timePeriodType) {
+    return { text: `${offset.formatted}. ${CONFIG.MESSAGES.TIME_PERIOD_TYPE_NEEDED}`, isWarning: false };
+  }
+
+  const { dvrWindow, actualWindow } = getExtractionWindows(startTime, endTime, timePeriodType, offset);
+  return {
+    text: `${offset.formatted}. DVR time: ${formatWindow(dvrWindow)} ⇄ Real time: ${formatWindow(actualWindow)}`,
+    isWarning: false
+  };
+}
+
+/**
+ * Format an extraction window for display
+ * @param {Object} window - { start, end }
+ * @returns {string} e.g. 'Oct 18, 2026 at 14:30 to Oct 18, 2026 at 15:45'
+ */
+export function formatWindow(window) {
+  return `${formatDateTime(window.start)} to ${formatDateTime(window.end)}`;
+}
+
+/**
+ * Calculate when each requested recovery window will be overwritten
+ * A DVR holding N days of footage overwrites a window N days after it starts,
+ * so the deadline is the window's real-world start plus the DVR's retention
+ * @param {Object} formData - Collected recovery form data (or form_submissions.form_data)
+ * @param {Date|string} asOf - When the earliest date was read off the DVR (default: today)
+ * @returns {Array<Object>} { label, dvrIndex, timeframeIndex, retentionDays, deadline: Date }, soonest first
+ */
+export function calculateOverwriteDeadlines(formData, asOf = new Date()) {
+  const deadlines = [];
+
+  (formData?.dvrGroups || []).forEach((dvr, dvrIndex) => {
+    const retentionDays = calculateRetentionDays(dvr.dvrRetention, asOf).days;
+    if (retentionDays === null) return;
+
+    const offset = getDvrTimeOffset(dvr.isTimeDateCorrect, dvr.timeOffset);
+
+    (dvr.extractionTimeFrames || []).forEach((timeFrame, timeframeIndex) => {
+      // Without a time period type the offset can't be applied either way
+      const { actualWindow } = getExtractionWindows(
+        timeFrame.extractionStartTime,
+        timeFrame.extractionEndTime,
+        timeFrame.timePeriodType,
+        timeFrame.timePeriodType ? offset : null
+      );
+      const start = actualWindow.start ? new Date(actualWindow.start) : null;
+      if (!start || isNaN(start.getTime())) return;
+
+      const deadline = new Date(start);
+      deadline.setDate(deadline.getDate() + retentionDays);
+
+      deadlines.push({
+        label: `DVR ${dvrIndex + 1}, Time Frame ${timeframeIndex + 1}`,
+        dvrIndex,
+        timeframeIndex,
+        retentionDays,
+        deadline
+      });
+    });
+  });
+
+  return deadlines.sort((a, b) => a.deadline - b.deadline);
+}
+
+/**
+ * Describe the time left before an overwrite deadline
+ * @param {Date} deadline - From calculateOverwriteDeadlines()
+ * @param {Date} now - Current time (default: now)
+ * @returns {Object} { text, isUrgent, isPast }
+ */
+export function formatOverwriteCountdown(deadline, now = new Date()) {
+  const hoursLeft = (deadline - now) / (60 * 60 * 1000);
+
+  if (hoursLeft <= 0) {
+    return { text: 'May already be overwritten', isUrgent: true, isPast: true };
+  }
+
+  const isUrgent = hoursLeft <= CONFIG.OVERWRITE_DEADLINES.URGENT_HOURS;
+  if (hoursLeft < 1) {
+    return { text: 'Less than 1 hour left', isUrgent, isPast: false };
+  }
+
+  const days = Math.floor(hoursLeft / 24);
+  const hours = Math.floor(hoursLeft % 24);
+  const parts = [];
+  if (days > 0) parts.push(`${days} day${days !== 1 ? 's' : ''}`);
+  if (hours > 0) parts.push(`${hours} hour${hours !== 1 ? 's' : ''}`);
+
+  return { text: `${parts.join(' ')} left`, isUrgent, isPast: false };
+}
+
+/**
+ * Count the cameras requested in a camera details entry
+ * A number such as "all 16 cameras" wins; otherwise each listed line or
+ * comma/semicolon separated item is one camera
+ * @param {string} cameraDetails - Free-text camera list
+ * @returns {number} Camera count, 0 when nothing is listed
+ */
+export function countCameras(cameraDetails) {
+  if (!cameraDetails || !cameraDetails.trim()) return 0;
+
+  const stated = cameraDetails.match(/(\d+)\s*(?:cameras?|cams?|channels?)\b/i);
+  if (stated) return parseInt(stated[1], 10);
+
+  return cameraDetails.split(/[\n,;]+/).filter(item => item.trim()).length;
+}
+
+/**
+ * Get a recording profile from CONFIG.STORAGE_ESTIMATE.PROFILES
+ * @param {string} value - Profile value, falls back to the default profile
+ * @returns {Object} { value, text, mbps }
+ */
+export function getStorageProfile(value) {
+  const { PROFILES, DEFAULT_PROFILE } = CONFIG.STORAGE_ESTIMATE;
+  return PROFILES.find(profile => profile.value === value)
+    || PROFILES.find(profile => profile.value === DEFAULT_PROFILE);
+}
+
+/**
+ * Pick the smallest media from CONFIG.STORAGE_ESTIMATE.MEDIA that holds an estimate
+ * Anything bigger than the largest drive is split across several of them
+ * @param {number} gigabytes - Estimated size
+ * @returns {Object} { mediaType, capacityGb, count, text }
+ */
+export function recommendStorageMedia(gigabytes) {
+  const { MEDIA, USABLE_FRACTION } = CONFIG.STORAGE_ESTIMATE;
+
+  for (const { mediaType, capacitiesGb } of MEDIA) {
+    const capacityGb = capacitiesGb.find(capacity => capacity * USABLE_FRACTION >= gigabytes);
+    if (capacityGb) {
+      return { mediaType, capacityGb, count: 1, text: `${mediaType} ${formatStorageSize(capacityGb)} or larger` };
+    }
+  }
+
+  const { mediaType, capacitiesGb } = MEDIA[MEDIA.length - 1];
+  const capacityGb = capacitiesGb[capacitiesGb.length - 1];
+  const count = Math.ceil(gigabytes / (capacityGb * USABLE_FRACTION));
+  return { mediaType, capacityGb, count, text: `${count} x ${mediaType} ${formatStorageSize(capacityGb)}` };
+}
+
+/**
+ * Format a size in gigabytes for display
+ * @param {number} gigabytes
+ * @returns {string} e.g. '450 MB', '21.6 GB', '1.2 TB'
+ */
+export function formatStorageSize(gigabytes) {
+  if (gigabytes < 1) return `${Math.max(1, Math.round(gigabytes * 1000))} MB`;
+  if (gigabytes < 1000) return `${Number(gigabytes.toFixed(1))} GB`;
+  return `${Number((gigabytes / 1000).toFixed(1))} TB`;
+}
+
+/**
+ * Estimate the storage needed to recover every requested window
+ * Each time frame needs duration x cameras x the DVR's recording bitrate, plus
+ * CONFIG.STORAGE_ESTIMATE.OVERHEAD. A time frame with no cameras listed counts as one
+ * @param {Object} formData - Collected recovery form data
+ * @returns {Object} { dvrs: [{ dvrIndex, profile, cameraHours, gigabytes, timeframes }], gigabytes, recommendation }
+ */
+export function estimateRecoveryStorage(formData) {
+  const dvrs = (formData?.dvrGroups || []).map((dvr, dvrIndex) => {
+    const profile = getStorageProfile(dvr.recordingProfile);
+
+    const timeframes = (dvr.extractionTimeFrames || []).map(timeFrame => {
+      const duration = calculateVideoDuration(timeFrame.extractionStartTime, timeFrame.extractionEndTime);
+      const hours = (duration.totalMinutes ?? 0) / 60;
+      const cameraCount = Math.max(1, countCameras(timeFrame.cameraDetails));
+      // Mbps x 3600 s / 8 bits / 1000 MB = GB per hour
+      const gigabytes = hours * cameraCount * profile.mbps * 0.45 * CONFIG.STORAGE_ESTIMATE.OVERHEAD;
+
+      return { cameraCount, hours, gigabytes };
+    });
+
+    return {
+      dvrIndex,
+      profile,
+      cameraHours: timeframes.reduce((total, tf) => total + tf.hours * tf.cameraCount, 0),
+      gigabytes: timeframes.reduce((total, tf) => total + tf.gigabytes, 0),
+      timeframes
+    };
+  });
+
+  const gigabytes = dvrs.reduce((total, dvr) => total + dvr.gigabytes, 0);
+
+  return {
+    dvrs,
+    gigabytes,
+    recommendation: gigabytes > 0 ? recommendStorageMedia(gigabytes) : null
+  };
+}
+
+/**
+ * Format a Date in local time the way datetime fields are entered
+ * @param {Date} date
+ * @returns {string} 'YYYY-MM-DD HH:mm'
+ */
+function formatInputDateTime(date) {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
 /**
  * Generate summary of form data for third-party fields
  * @param {Object} formData - Form data
@@ -0,0 +1,79 @@
+/**
+ * Canvass Log
+ * Outcome totals for a canvass, and turning canvassed addresses into
+ * Recovery form drafts (one per address) so relevant cameras can be
+ * requested without re-typing the case
+ * Pure apart from saving drafts - the address picker is in form-handler-canvass.js
+ */
+
+import { CONFIG } from './config.js';
+import { saveDraft } from './storage.js';
+
+/**
+ * Count canvassed addresses by outcome
+ * @param {Object[]} addresses - Canvass address entries
+ * @returns {Array<[string, number]>} [outcome, count] in CANVASS_OUTCOME_OPTIONS order, outcomes with no addresses left out
+ */
+export function countOutcomes(addresses = []) {
+  return CONFIG.CANVASS_OUTCOME_OPTIONS
+    .filter(option => option.value !== '_placeholder_')
+    .map(option => [option.value, addresses.filter(address => address.outcome === option.value).length])
+    .filter(([, count]) => count > 0);
+}
+
+/**
+ * Label for a canvassed address
+ * @param {Object} address - Canvass address entry
+ * @returns {string} e.g. 'Corner Store - 12 Main St'
+ */
+export function getAddressLabel(address) {
+  return [address.businessName, address.locationAddress].filter(Boolean).join(' - ');
+}
+
+/**
+ * Build the Recovery form draft for one canvassed address
+ * Carries the case, investigator and location over; the DVR details are
+ * filled in on the Recovery form
+ * @param {Object} canvassData - Collected canvass form data
+ * @param {Object} address - Canvass address entry
+ * @returns {Object} Recovery form data
+ */
+export function buildRecoveryDraft(canvassData, address) {
+  const draft = {
+    occNumber: canvassData.occNumber || '',
+    offenceType: canvassData.offenceType || '',
+    rName: canvassData.rName || '',
+    badge: canvassData.badge || '',
+    requestingPhone: canvassData.requestingPhone || '',
+    requestingEmail: canvassData.requestingEmail || '',
+    businessName: address.businessName || '',
+    locationAddress: address.locationAddress || '',
+    city: address.city || '',
+    locationContact: address.locationContact || '',
+    locationContactPhone: address.locationContactPhone || ''
+  };
+
+  if (address.city === 'Other') {
+    draft.cityOther = address.cityOther || '';
+  }
+
+  const notes = address.notes?.trim();
+  if (notes) {
+    draft.incidentDescription = `Camera canvass notes: ${notes}`;
+  }
+
+  return draft;
+}
+
+/**
+ * Save a Recovery draft for each selected address
+ * @param {Object} canvassData - Collected canvass form data
+ * @param {Object[]} addresses - Selected address entries
+ * @returns {string[]|null} Draft IDs, or null if drafts could not be saved (storage locked)
+ */
+export function createRecoveryDrafts(canvassData, addresses) {
+  const ids = addresses.map(address =>
+    saveDraft(CONFIG.FORM_TYPES.RECOVERY, buildRecoveryDraft(canvassData, address)));
+
+  return ids.every(Boolean) ? ids : null;
+}
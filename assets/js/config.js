@@ -22,6 +22,13 @@ export const CONFIG = {
   USE_SUPABASE: true, // Toggle between Supabase and PHP endpoint
   SUPABASE_ENABLED: true,
 
+  // Submission Targets (transports in transports/: 'supabase', 'php', 'mock')
+  // The first target is primary - its result decides success and supplies
+  // the ID shown to the officer. Other targets get the same submission and
+  // are reported separately, e.g. ['supabase', 'php'] during the migration.
+  // Empty = follow USE_SUPABASE
+  SUBMISSION_TARGETS: [],
+
   // File Configuration
   MAX_FILE_SIZE: 10485760, // 10MB
   ALLOWED_FILE_TYPES: ['application/pdf', 'application/json'],
@@ -41,6 +48,7 @@ export const CONFIG = {
     CASE_NUMBER: /^PR\d+$/i, // PR followed by numbers
     BADGE: /^.+$/, // Any non-empty value
     TIME_OFFSET: /\d+/, // Must contain at least one number
+    SCANNED_VALUE: /^[\w\-\/#. ]+$/, // One line of letters, numbers and simple separators
   },
 
   // Field Names (Third-party mapping)
@@ -106,7 +114,8 @@ export const CONFIG = {
   FORM_TYPES: {
     ANALYSIS: 'analysis',
     UPLOAD: 'upload',
-    RECOVERY: 'recovery'
+    RECOVERY: 'recovery',
+    CANVASS: 'canvass'
   },
 
   // Progress Bar Colors
@@ -130,6 +139,18 @@ export const CONFIG = {
     INVALID_PHONE: 'Must be 10 digits',
     INVALID_OCCURRENCE: 'Must start with PR followed by numbers',
     TIME_OFFSET_REQUIRED: 'Please specify the time offset',
+    TIME_OFFSET_UNREADABLE: 'Offset not recognised - re-enter it with the hours, minutes and direction fields',
+    TIME_OFFSET_MIGRATED: 'Previously entered as "{text}" - check the values and direction',
+    TIME_OFFSET_CAPTURE_INVALID: 'Enter the date and time shown on the DVR screen',
+    TIME_OFFSET_CAPTURE_MATCH: 'The DVR clock matches this device - select Yes above if the date is also correct',
+    TIME_PERIOD_TYPE_NEEDED: 'Select DVR Time or Actual Time to see the corrected times',
+    TEMPORAL_IN_FUTURE: 'Time cannot be in the future',
+    TEMPORAL_BEFORE_RETENTION: 'The DVR only has footage from {date} - this window is older',
+    TEMPORAL_PARTLY_BEFORE_RETENTION: 'Starts before the earliest recorded date on the DVR ({date}) - earlier footage is gone',
+    TEMPORAL_BEFORE_OCCURRENCE: 'Starts before the date of occurrence ({date})',
+    TEMPORAL_DUPLICATE: 'Same window as {timeframe}',
+    TEMPORAL_OVERLAP: 'Overlaps {timeframe}',
+    RETENTION_IN_FUTURE: 'DVR retention date cannot be in the future',
     CITY_OTHER_REQUIRED: 'Please specify the city name',
     MEDIA_OTHER_REQUIRED: 'Please specify the media type',
     OFFENCE_OTHER_REQUIRED: 'Please specify the offence type',
@@ -156,7 +177,64 @@ export const CONFIG = {
     ERROR_RATE_LIMITED: 'Too many requests. Please wait a moment and try again.',
     ERROR_PDF_GENERATION: 'Failed to generate PDF. Please try again.',
     ERROR_UNKNOWN: 'Submission failed. Your draft has been saved.',
-    RETRY_ATTEMPT: 'Connection issue. Retrying... (attempt {attempt} of {max})'
+    RETRY_ATTEMPT: 'Connection issue. Retrying... (attempt {attempt} of {max})',
+
+    // Offline outbox messages
+    OUTBOX_QUEUED: 'You are offline. Your request has been queued and will be sent automatically when you reconnect.',
+    OUTBOX_DELIVERED: 'Queued request delivered. ID: {id}',
+    OUTBOX_REJECTED: 'A queued request was rejected by the server. Open the outbox for details.',
+    OUTBOX_LOCKED: 'Could not send, and saved data is locked so the request could not be queued. Unlock saved data and submit again.',
+
+    // Overwrite deadline messages
+    DEADLINES_NONE: 'Enter the earliest recorded date and a start time to work out the overwrite deadline',
+    REMINDERS_SCHEDULED: '{count} reminder(s) scheduled before the footage is overwritten',
+    REMINDERS_BLOCKED: 'Notifications are blocked for this site. Allow them in the browser settings, or export to your calendar instead.',
+    REMINDERS_UNSUPPORTED: 'This browser can\'t show reminders. Export to your calendar instead.',
+
+    // Location history messages
+    LOCATION_HISTORY_APPLIED: 'Filled in {count} field(s) from earlier requests - check them against the DVR on site',
+    LOCATION_HISTORY_NOTHING: 'The form already has these details',
+
+    // Storage estimate messages
+    STORAGE_ESTIMATE_DVR: 'Estimated size: {size} ({cameraHours} camera-hours at {profile})',
+    STORAGE_ESTIMATE_TOTAL: 'Estimated storage needed: {size} - bring {media}',
+
+    // Encrypted storage messages
+    STORAGE_ENCRYPTED: 'Saved drafts and investigator information are now encrypted',
+    STORAGE_UNLOCKED: 'Saved data unlocked',
+    STORAGE_LOCKED: 'Saved data locked. Unlock to load drafts and resume auto-save.',
+    STORAGE_WRONG_PASSPHRASE: 'Incorrect passphrase',
+    STORAGE_PASSPHRASE_TOO_SHORT: 'Passphrase must be at least {min} characters',
+    STORAGE_PASSPHRASE_MISMATCH: 'Passphrases do not match',
+    STORAGE_RESET: 'Encrypted data erased and encryption turned off',
+    MY_REQUESTS_LOAD_ERROR: 'Could not load your requests. Check your connection and try again.',
+    MY_REQUESTS_STATUS_CHANGED: 'Request {occNumber} is now {status}',
+    MY_REQUESTS_DOWNLOAD_ERROR: 'Could not download the file. Check your connection and try again.',
+    VERIFY_MATCH: 'This file matches the stored record. It has not been changed since it was submitted.',
+    VERIFY_MISMATCH: 'This file does not match the stored record for this submission. It has been changed, or it is not the submitted copy.',
+    VERIFY_NOT_FOUND: 'No stored submission matches this file.',
+    VERIFY_NO_HASH: 'The stored submission was made before content hashes were recorded, so this file can\'t be checked.',
+    VERIFY_UNREADABLE: 'This is not a request PDF or JSON file.',
+    VERIFY_ERROR: 'Could not check the file. Check your connection and try again.',
+    EVIDENCE_LABELS_NO_OCC: 'Enter the occurrence number before printing labels',
+    EVIDENCE_LABELS_ERROR: 'Could not create the labels. Try again.',
+    SCANNED_REQUEST_NOT_FOUND: 'No request found for the scanned code',
+    SCAN_UNEXPECTED: 'This barcode does not hold a bag or occurrence number',
+    SCAN_REJECTED: 'Scanned "{value}" was not used: {error}',
+    SCAN_FILLED: 'Scanned {value}',
+    SCAN_NOT_FOUND: 'No barcode found in the photo. Try again with the code in focus and filling more of the frame.',
+    SCAN_CAMERA_UNAVAILABLE: 'Camera not available. Take or choose a photo of the barcode instead.',
+    SCAN_UNSUPPORTED: 'Barcode scanning could not start on this device. Type the value instead.',
+    WORKFLOW_REASON_REQUIRED: 'Enter a reason for the status change',
+    WORKFLOW_INVALID_TRANSITION: 'A request can\'t move from {from} to {to}',
+    WORKFLOW_CONFLICT: 'This request was changed by someone else. Check its current status and try again.',
+    WORKFLOW_STATUS_CHANGED: 'Status changed to {status}',
+    WORKFLOW_ASSIGNED: 'Assigned to {analyst}',
+    WORKFLOW_NOTE_ADDED: 'Note added',
+    WORKFLOW_SAVE_ERROR: 'Could not save the change. Try again.',
+    CANVASS_NO_ADDRESSES: 'Enter at least one address to create a recovery request',
+    CANVASS_NONE_SELECTED: 'Select at least one address',
+    CANVASS_RECOVERY_FAILED: 'Could not save the recovery drafts. Unlock saved data and try again.'
   },
 
   // City Options
@@ -209,6 +287,29 @@ export const CONFIG = {
     { value: 'Other', text: 'Other' }
   ],
 
+  // Canvass Log Options
+  CANVASS_OUTCOME_OPTIONS: [
+    { value: '_placeholder_', text: 'Select outcome...' },
+    { value: 'No Camera', text: 'No Camera' },
+    { value: 'Camera - Not Relevant', text: 'Camera - Not Relevant' },
+    { value: 'Camera - Relevant', text: 'Camera - Relevant' },
+    { value: 'Refused', text: 'Refused' },
+    { value: 'Revisit', text: 'Revisit' }
+  ],
+
+  // Direction of the DVR clock relative to actual time (structured time offset)
+  TIME_OFFSET_DIRECTION_OPTIONS: [
+    { value: '_placeholder_', text: 'Select' },
+    { value: 'AHEAD', text: 'Ahead (fast)' },
+    { value: 'BEHIND', text: 'Behind (slow)' }
+  ],
+
+  // Outcomes pre-selected when creating a recovery request from a canvass
+  CANVASS_RECOVERY_OUTCOMES: ['Camera - Relevant'],
+
+  // Version of the recovery "calculations" block in generated JSON - bump when its shape changes
+  RECOVERY_CALCULATIONS_VERSION: '1.1',
+
   // Date/Time Formats
   DATE_FORMATS: {
     DISPLAY: 'MMM DD, YYYY',
@@ -243,6 +344,10 @@ export const CONFIG = {
   // Development Mode
   IS_DEVELOPMENT: window.location.protocol === 'file:' || window.location.hostname === 'localhost' || window.location.hostname === '127.0.0.1',
 
+  // Local mock backend (scripts/mock-backend.js) - development only
+  // localStorage key holding its URL, e.g. 'http://localhost:3001'
+  MOCK_BACKEND_KEY: 'fvu_mock_backend',
+
   // Feature Flags
   FEATURES: {
     SAVE_DRAFTS: true,
@@ -260,6 +365,224 @@ export const CONFIG = {
     FIRST_TIME_KEY: 'fvu_officer_storage_acknowledged'
   },
 
+  // Encrypted Storage (opt-in, passphrase-protected drafts and officer info)
+  SECURE_STORAGE: {
+    ENABLED: true,
+    META_KEY: 'fvu_secure_meta',
+    PBKDF2_ITERATIONS: 310000,
+    // Keys starting with these are encrypted once a passphrase is set
+    PROTECTED_PREFIXES: ['fvu_draft_', 'fvu_officer_info', 'fvu_location_history'],
+    MIN_PASSPHRASE_LENGTH: 8
+  },
+
+  // Submission status labels (form_submissions.status)
+  SUBMISSION_STATUSES: {
+    pending: 'Pending',
+    processing: 'In Progress',
+    completed: 'Completed',
+    failed: 'Failed'
+  },
+
+  // Dashboard triage workflow - allowed status moves
+  // Every move needs a reason; moves, assignments and notes are recorded
+  // in EVENTS_TABLE. Moves and assignments go through STATUS_FUNCTION and
+  // ASSIGN_FUNCTION, which write the row and its event together
+  // (see supabase/migrations)
+  SUBMISSION_WORKFLOW: {
+    TRANSITIONS: {
+      pending: ['processing', 'failed'],
+      processing: ['completed', 'failed', 'pending'],
+      completed: ['processing'],  // Reopen
+      failed: ['pending']         // Retry
+    },
+    EVENTS_TABLE: 'submission_events',
+    STATUS_FUNCTION: 'transition_submission_status',
+    ASSIGN_FUNCTION: 'assign_submission',
+    ANALYST_KEY: 'fvu_dashboard_analyst'
+  },
+
+  // Request priority - scored at submission time and stored with the row
+  // Level is the first whose MIN the score reaches
+  PRIORITY: {
+    WEIGHTS: {
+      URGENT_RETENTION: 40,   // A DVR overwrites within 4 days
+      MAKE_PLAYABLE: 15,      // Analysis service is Make Playable
+      EXTRA_SOURCE: 5,        // Each DVR/location after the first
+      MAX_EXTRA_SOURCES: 15
+    },
+    LEVELS: [
+      { level: 'High', min: 40, icon: '🔴' },
+      { level: 'Medium', min: 15, icon: '🟡' },
+      { level: 'Low', min: 0, icon: '🟢' }
+    ]
+  },
+
+  // Dashboard request list - filtered and paged on the server
+  // FILTERS are the URL query keys, so a filtered view can be shared as a link
+  DASHBOARD: {
+    PAGE_SIZE: 20,
+    SEARCH_DEBOUNCE: 300,
+    REFRESH_DEBOUNCE: 1000,
+    FILTERS: ['q', 'formType', 'status', 'from', 'to', 'investigator', 'occNumber', 'city', 'sort'],
+
+    // Analytics cover requests submitted in the last ANALYTICS_WEEKS weeks
+    ANALYTICS_WEEKS: 12,
+    ANALYTICS_REFRESH_DEBOUNCE: 10000,
+
+    // Service levels, measured from submission to the first move out of
+    // pending ('pickup') or into completed ('completion')
+    // formType and maxRetentionDays are optional - leave out to match all
+    SLAS: [
+      {
+        id: 'urgent-recovery-pickup',
+        label: 'Recovery with DVR retention ≤ 4 days picked up within 24h',
+        formType: 'recovery',
+        maxRetentionDays: 4,
+        measure: 'pickup',
+        hours: 24
+      },
+      {
+        id: 'pickup',
+        label: 'All requests picked up within 3 days',
+        measure: 'pickup',
+        hours: 72
+      }
+    ],
+
+    // Workload report - turnaround times are counted into these bands
+    // A band holds times up to maxHours; the last (null) holds the rest
+    REPORT_TURNAROUND_BANDS: [
+      { label: 'Under 4 hrs', maxHours: 4 },
+      { label: '4-24 hrs', maxHours: 24 },
+      { label: '1-3 days', maxHours: 72 },
+      { label: '3-7 days', maxHours: 168 },
+      { label: 'Over 7 days', maxHours: null }
+    ]
+  },
+
+  // Offline Outbox (IndexedDB queue for submissions that failed to send)
+  OUTBOX: {
+    ENABLED: true,
+    DB_NAME: 'fvu_outbox',
+    DB_VERSION: 1,
+    STORE_NAME: 'submissions',
+    SYNC_TAG: 'fvu-outbox-sync'
+  },
+
+  // Attachment files live in a private Storage bucket, one folder per
+  // submission ID; the row keeps only their metadata
+  ATTACHMENT_STORAGE: {
+    BUCKET: 'submission-attachments',
+    SIGNED_URL_SECONDS: 60
+  },
+
+  // QR code on request PDFs and evidence labels - a link to the request in
+  // My Requests, printed only when Supabase is a target (see request-code.js)
+  REQUEST_CODE: {
+    PAGE: 'my-requests.html',
+    PARAMS: {
+      SUBMISSION_ID: 'highlight',
+      OCC_NUMBER: 'occ',
+      FORM_TYPE: 'type'
+    }
+  },
+
+  // Barcode scanning into occurrence and bag number fields (see barcode-scanner.js)
+  // Browsers without BarcodeDetector load the vendored decoder in lib/ on
+  // first use. Paths are relative to barcode-scanner.js
+  BARCODE_SCANNER: {
+    FORMATS: ['code_128', 'code_39', 'codabar', 'itf', 'ean_13', 'qr_code', 'data_matrix', 'pdf417'],
+    DECODER_URL: '../../lib/barcode-detector.js',
+    DECODER_WASM_URL: '../../lib/zxing_reader.wasm',
+    SCAN_INTERVAL: 250, // ms between camera frames checked
+    MAX_LENGTH: 40
+  },
+
+  // Adhesive label sheets for evidence bags and media
+  // Sizes in points (72 per inch) from each sheet's template
+  EVIDENCE_LABELS: {
+    DEFAULT_LAYOUT: 'AVERY_5163',
+    MAX_COPIES: 30,
+    LAYOUTS: {
+      AVERY_5163: {
+        name: 'Avery 5163 / 8163 - 2" x 4", 10 per sheet',
+        pageSize: 'LETTER',
+        columns: 2,
+        rows: 5,
+        width: 288,
+        height: 144,
+        top: 36,
+        left: 11.25,
+        columnGap: 13.5,
+        rowGap: 0
+      },
+      AVERY_5164: {
+        name: 'Avery 5164 / 8164 - 3 1/3" x 4", 6 per sheet',
+        pageSize: 'LETTER',
+        columns: 2,
+        rows: 3,
+        width: 288,
+        height: 240,
+        top: 36,
+        left: 11.25,
+        columnGap: 13.5,
+        rowGap: 0
+      },
+      AVERY_L7163: {
+        name: 'Avery L7163 (A4) - 99.1 x 38.1 mm, 14 per sheet',
+        pageSize: 'A4',
+        columns: 2,
+        rows: 7,
+        width: 280.9,
+        height: 108,
+        top: 42.9,
+        left: 13.2,
+        columnGap: 7.1,
+        rowGap: 0
+      }
+    }
+  },
+
+  // DVR overwrite deadlines (window start + DVR retention)
+  OVERWRITE_DEADLINES: {
+    URGENT_HOURS: 48,
+    REMINDER_LEAD_HOURS: [48, 24, 4], // Browser reminders this long before each deadline
+    REMINDER_SYNC_TAG: 'fvu-deadline-reminders', // Must match sw.js
+    CALENDAR_ALARM_HOURS: 24
+  },
+
+  // DVR details remembered from earlier recovery/upload requests at the same location
+  LOCATION_HISTORY: {
+    ENABLED: true,
+    CACHE_KEY: 'fvu_location_history',
+    VERSION: '1.0',
+    FORM_TYPES: ['recovery', 'upload'],
+    REFRESH_MINUTES: 60, // How often the cache is topped up from Supabase
+    MIN_QUERY_LENGTH: 4, // Characters typed before searching
+    MAX_SUGGESTIONS: 3,
+    MAX_LOCATIONS: 1000 // Oldest locations are dropped from the cache beyond this
+  },
+
+  // Storage needed for a recovery (duration x cameras x recording bitrate)
+  STORAGE_ESTIMATE: {
+    // Typical average bitrates per camera for common DVR record settings
+    PROFILES: [
+      { value: 'D1', text: 'D1 / 960H (SD)', mbps: 1 },
+      { value: '720p', text: '720p (1MP)', mbps: 2 },
+      { value: '1080p', text: '1080p (2MP)', mbps: 4 },
+      { value: '4MP', text: '4MP (1440p)', mbps: 6 },
+      { value: '4K', text: '4K (8MP)', mbps: 12 }
+    ],
+    DEFAULT_PROFILE: '1080p',
+    OVERHEAD: 1.2, // Export containers, players and bitrate spikes
+    USABLE_FRACTION: 0.9, // Formatted capacity of media sold as N GB
+    // Recommended media, smallest first - values from MEDIA_TYPE_OPTIONS
+    MEDIA: [
+      { mediaType: 'USB', capacitiesGb: [16, 32, 64, 128, 256] },
+      { mediaType: 'Hard Drive', capacitiesGb: [500, 1000, 2000, 4000] }
+    ]
+  },
+
   // Peel Regional Police Configuration
   PEEL_COLORS: {
     BLUE: '#1B3A6B',
@@ -271,7 +594,10 @@ export const CONFIG = {
   FORM_TITLES: {
     UPLOAD: 'Video Evidence Upload Request Form',
     ANALYSIS: 'Forensic Analysis Request Form',
-    RECOVERY: 'CCTV Recovery Request Form'
+    RECOVERY: 'CCTV Recovery Request Form',
+    CANVASS: 'Camera Canvass Log',
+    CASE_PACKET: 'Occurrence Case Packet',
+    WORKLOAD_REPORT: 'Workload Report'
   },
 
   // Draft Button States
@@ -338,7 +664,9 @@ export const CONFIG = {
       TITLE_STACK_TOP_MARGIN: 10,  // Reduced for tighter layout
       SEPARATOR_TOP_MARGIN: 12,
       SEPARATOR_BOTTOM_MARGIN: 20,
-      SEPARATOR_WIDTH: 2
+      SEPARATOR_WIDTH: 2,
+      QR_CODE_SIZE: 80,  // Request code, mirroring the logo on the right
+      QR_CODE_POSITION: { x: 462, y: 46 }
     },
 
     // Header font sizes
@@ -378,6 +706,41 @@ Object.freeze(CONFIG.FIELD_NAMES);
 Object.freeze(CONFIG.FORM_TYPES);
 Object.freeze(CONFIG.MESSAGES);
 Object.freeze(CONFIG.FEATURES);
+Object.freeze(CONFIG.SUBMISSION_TARGETS);
+Object.freeze(CONFIG.OUTBOX);
+Object.freeze(CONFIG.OVERWRITE_DEADLINES);
+Object.freeze(CONFIG.OVERWRITE_DEADLINES.REMINDER_LEAD_HOURS);
+Object.freeze(CONFIG.LOCATION_HISTORY);
+Object.freeze(CONFIG.LOCATION_HISTORY.FORM_TYPES);
+Object.freeze(CONFIG.STORAGE_ESTIMATE);
+Object.freeze(CONFIG.STORAGE_ESTIMATE.PROFILES);
+CONFIG.STORAGE_ESTIMATE.PROFILES.forEach(Object.freeze);
+Object.freeze(CONFIG.STORAGE_ESTIMATE.MEDIA);
+CONFIG.STORAGE_ESTIMATE.MEDIA.forEach(Object.freeze);
+Object.freeze(CONFIG.SUBMISSION_STATUSES);
+Object.freeze(CONFIG.SUBMISSION_WORKFLOW);
+Object.freeze(CONFIG.SUBMISSION_WORKFLOW.TRANSITIONS);
+Object.values(CONFIG.SUBMISSION_WORKFLOW.TRANSITIONS).forEach(Object.freeze);
+Object.freeze(CONFIG.PRIORITY);
+Object.freeze(CONFIG.PRIORITY.WEIGHTS);
+Object.freeze(CONFIG.PRIORITY.LEVELS);
+CONFIG.PRIORITY.LEVELS.forEach(Object.freeze);
+Object.freeze(CONFIG.DASHBOARD);
+Object.freeze(CONFIG.DASHBOARD.FILTERS);
+Object.freeze(CONFIG.DASHBOARD.SLAS);
+CONFIG.DASHBOARD.SLAS.forEach(Object.freeze);
+Object.freeze(CONFIG.DASHBOARD.REPORT_TURNAROUND_BANDS);
+CONFIG.DASHBOARD.REPORT_TURNAROUND_BANDS.forEach(Object.freeze);
+Object.freeze(CONFIG.ATTACHMENT_STORAGE);
+Object.freeze(CONFIG.BARCODE_SCANNER);
+Object.freeze(CONFIG.BARCODE_SCANNER.FORMATS);
+Object.freeze(CONFIG.REQUEST_CODE);
+Object.freeze(CONFIG.REQUEST_CODE.PARAMS);
+Object.freeze(CONFIG.EVIDENCE_LABELS);
+Object.freeze(CONFIG.EVIDENCE_LABELS.LAYOUTS);
+Object.values(CONFIG.EVIDENCE_LABELS.LAYOUTS).forEach(Object.freeze);
+Object.freeze(CONFIG.SECURE_STORAGE);
+Object.freeze(CONFIG.SECURE_STORAGE.PROTECTED_PREFIXES);
 Object.freeze(CONFIG.PEEL_COLORS);
 Object.freeze(CONFIG.FORM_TITLES);
 Object.freeze(CONFIG.DRAFT_STATES);
@@ -389,6 +752,7 @@ Object.freeze(CONFIG.PDF_LOGO);
 Object.freeze(CONFIG.PDF_LAYOUT);
 Object.freeze(CONFIG.PDF_LAYOUT.PAGE_MARGINS);
 Object.freeze(CONFIG.PDF_LAYOUT.HEADER);
+Object.freeze(CONFIG.PDF_LAYOUT.HEADER.QR_CODE_POSITION);
 Object.freeze(CONFIG.PDF_LAYOUT.HEADER_FONTS);
 Object.freeze(CONFIG.PDF_LAYOUT.SECTION);
 Object.freeze(CONFIG.PDF_LAYOUT.FONTS);
@@ -0,0 +1,254 @@
+/**
+ * Dashboard Analytics
+ * Turnaround, weekly volume and SLA metrics computed from submissions and
+ * their status-transition events (submission_events)
+ * Pure - the dashboard fetches the rows and renders the results
+ */
+
+import { CONFIG } from './config.js';
+import { calculateRetentionDays, getDvrEarliestDates } from './calculations.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Percentile by linear interpolation between closest ranks
+ * @param {number[]} values - Sample (any order)
+ * @param {number} p - Percentile, 0-100
+ * @returns {number|null} Value, or null for an empty sample
+ */
+export function percentile(values, p) {
+  if (values.length === 0) return null;
+
+  const sorted = [...values].sort((a, b) => a - b);
+  const rank = (p / 100) * (sorted.length - 1);
+  const lower = Math.floor(rank);
+  const upper = Math.ceil(rank);
+
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+}
+
+/**
+ * Group status events by submission, oldest first
+ * @param {Object[]} events - submission_events rows with event_type 'status'
+ * @returns {Map<string, Object[]>} submission_id -> events
+ */
+export function groupEventsBySubmission(events) {
+  const grouped = new Map();
+
+  [...events]
+    .sort((a, b) => new Date(a.created_at) - new Date(b.created_at))
+    .forEach(event => {
+      if (!grouped.has(event.submission_id)) grouped.set(event.submission_id, []);
+      grouped.get(event.submission_id).push(event);
+    });
+
+  return grouped;
+}
+
+/**
+ * Find when a submission was first picked up and first completed
+ * Pickup is the first move out of pending, so a request rejected straight
+ * to failed still counts as answered
+ * @param {Object[]} events - The submission's status events, oldest first
+ * @returns {{ pickupAt: Date|null, completedAt: Date|null }}
+ */
+export function getTransitionTimes(events = []) {
+  const first = (matches) => {
+    const event = events.find(item => item.event_type === 'status' && matches(item));
+    return event ? new Date(event.created_at) : null;
+  };
+
+  return {
+    pickupAt: first(event => event.from_status === 'pending'),
+    completedAt: first(event => event.to_status === 'completed')
+  };
+}
+
+/**
+ * Shortest DVR retention at the time the request was submitted
+ * @param {Object} submission - form_submissions row
+ * @returns {number|null} Days, or null if the request has no DVR dates
+ */
+export function getRetentionDaysAtSubmission(submission) {
+  const days = getDvrEarliestDates(submission.form_data)
+    .map(date => calculateRetentionDays(date, submission.submitted_at).days)
+    .filter(value => value !== null);
+
+  return days.length > 0 ? Math.min(...days) : null;
+}
+
+/**
+ * Hours from submission to pickup and to completion
+ * @param {Object} submission - form_submissions row
+ * @param {Map<string, Object[]>} eventsBySubmission - From groupEventsBySubmission
+ * @returns {{ pickup: number|null, completion: number|null }} null until reached
+ */
+export function getTurnaroundHours(submission, eventsBySubmission) {
+  const submittedAt = new Date(submission.submitted_at);
+  const { pickupAt, completedAt } = getTransitionTimes(eventsBySubmission.get(submission.id));
+
+  return {
+    pickup: pickupAt ? (pickupAt - submittedAt) / HOUR_MS : null,
+    completion: completedAt ? (completedAt - submittedAt) / HOUR_MS : null
+  };
+}
+
+/**
+ * Median and 95th-percentile pickup and completion times per form type
+ * @param {Object[]} submissions - form_submissions rows
+ * @param {Map<string, Object[]>} eventsBySubmission - From groupEventsBySubmission
+ * @returns {Object} { [formType]: { pickup: Stats, completion: Stats } } where
+ *   Stats is { median, p95, count } in hours (median/p95 null when count is 0)
+ */
+export function computeTurnaround(submissions, eventsBySubmission) {
+  const samples = {};
+
+  submissions.forEach(submission => {
+    const type = submission.form_type || 'unknown';
+    samples[type] = samples[type] || { pickup: [], completion: [] };
+
+    const { pickup, completion } = getTurnaroundHours(submission, eventsBySubmission);
+
+    if (pickup !== null) samples[type].pickup.push(pickup);
+    if (completion !== null) samples[type].completion.push(completion);
+  });
+
+  const summarize = (values) => ({
+    median: percentile(values, 50),
+    p95: percentile(values, 95),
+    count: values.length
+  });
+
+  return Object.fromEntries(Object.entries(samples).map(([type, { pickup, completion }]) => [
+    type,
+    { pickup: summarize(pickup), completion: summarize(completion) }
+  ]));
+}
+
+/**
+ * Start of the (Monday-based) local week containing a date
+ * @param {Date} date
+ * @returns {Date}
+ */
+function startOfWeek(date) {
+  const start = new Date(date);
+  start.setHours(0, 0, 0, 0);
+  start.setDate(start.getDate() - ((start.getDay() + 6) % 7));
+  return start;
+}
+
+/**
+ * Offence type label for a submission
+ * @param {Object} submission - form_submissions row
+ * @returns {string}
+ */
+export function getOffenceLabel(submission) {
+  const formData = submission.form_data || {};
+  return formData.offenceTypeDisplay || formData.offenceType || 'Not specified';
+}
+
+/**
+ * Weekly request volume by form type and offence type
+ * @param {Object[]} submissions - form_submissions rows
+ * @param {number} weeks - Number of weeks, ending with the current week
+ * @param {Date} now - Current time
+ * @returns {Object[]} Oldest first: { weekStart, total, byFormType, byOffence }
+ */
+export function computeWeeklyVolume(submissions, weeks, now = new Date()) {
+  const currentWeek = startOfWeek(now);
+
+  const buckets = Array.from({ length: weeks }, (_, index) => {
+    const weekStart = new Date(currentWeek);
+    weekStart.setDate(weekStart.getDate() - (weeks - 1 - index) * 7);
+    return { weekStart, total: 0, byFormType: {}, byOffence: {} };
+  });
+
+  submissions.forEach(submission => {
+    const weekStart = startOfWeek(new Date(submission.submitted_at)).getTime();
+    const bucket = buckets.find(item => item.weekStart.getTime() === weekStart);
+    if (!bucket) return;
+
+    const type = submission.form_type || 'unknown';
+    const offence = getOffenceLabel(submission);
+
+    bucket.total++;
+    bucket.byFormType[type] = (bucket.byFormType[type] || 0) + 1;
+    bucket.byOffence[offence] = (bucket.byOffence[offence] || 0) + 1;
+  });
+
+  return buckets;
+}
+
+/**
+ * Check whether an SLA rule applies to a submission
+ * @param {Object} sla - Rule from CONFIG.DASHBOARD.SLAS
+ * @param {Object} submission - form_submissions row
+ * @returns {boolean}
+ */
+function slaApplies(sla, submission) {
+  if (sla.formType && submission.form_type !== sla.formType) return false;
+
+  if (sla.maxRetentionDays !== undefined) {
+    const retention = getRetentionDaysAtSubmission(submission);
+    if (retention === null || retention > sla.maxRetentionDays) return false;
+  }
+
+  return true;
+}
+
+/**
+ * Check whether a submission is still waiting for an SLA's measure
+ * Pickup waits while the row is pending; completion waits until it is completed
+ * @param {Object} sla - Rule from CONFIG.DASHBOARD.SLAS
+ * @param {Object} submission - form_submissions row
+ * @returns {boolean}
+ */
+function isAwaiting(sla, submission) {
+  return sla.measure === 'completion'
+    ? submission.status !== 'completed'
+    : submission.status === 'pending';
+}
+
+/**
+ * Find submissions that missed (or are already past) an SLA
+ * A request still waiting counts once its deadline has passed. A row that
+ * has moved on without a matching event (older rows, or status changed
+ * outside the dashboard) has no known time and is left out
+ * @param {Object[]} submissions - form_submissions rows
+ * @param {Map<string, Object[]>} eventsBySubmission - From groupEventsBySubmission
+ * @param {Object[]} slas - Rules (default CONFIG.DASHBOARD.SLAS)
+ * @param {Date} now - Current time
+ * @returns {Object[]} One entry per rule: { sla, applicable, breaches: [{ submission, hours, open }] }
+ */
+export function findSlaBreaches(submissions, eventsBySubmission, slas = CONFIG.DASHBOARD.SLAS, now = new Date()) {
+  return slas.map(sla => {
+    const applicable = submissions.filter(submission => slaApplies(sla, submission));
+
+    const breaches = applicable.reduce((found, submission) => {
+      const times = getTransitionTimes(eventsBySubmission.get(submission.id));
+      const reachedAt = sla.measure === 'completion' ? times.completedAt : times.pickupAt;
+      if (!reachedAt && !isAwaiting(sla, submission)) return found;
+
+      const hours = ((reachedAt || now) - new Date(submission.submitted_at)) / HOUR_MS;
+
+      if (hours > sla.hours) {
+        found.push({ submission, hours, open: !reachedAt });
+      }
+      return found;
+    }, []);
+
+    return { sla, applicable: applicable.length, breaches };
+  });
+}
+
+/**
+ * Format a duration in hours for display
+ * @param {number|null} hours
+ * @returns {string} e.g. '45 min', '3.5 hrs', '2.1 days' or '—'
+ */
+export function formatHours(hours) {
+  if (hours === null || hours === undefined) return '—';
+  if (hours < 1) return `${Math.round(hours * 60)} min`;
+  if (hours < 48) return `${hours.toFixed(1)} hrs`;
+  return `${(hours / 24).toFixed(1)} days`;
+}
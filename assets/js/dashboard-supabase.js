@@ -3,11 +3,67 @@
  * Handles real-time data fetching and updates for the admin dashboard
  */
 
-import { initSupabase } from './supabase.js';
+import { CONFIG } from './config.js';
+import {
+  initSupabase,
+  updateSubmissionStatus,
+  assignSubmission,
+  addSubmissionNote,
+  getSubmissionEvents,
+  getSubmissionsPage,
+  countSubmissions,
+  getSubmissionsSince,
+  getStatusEventsSince,
+  getSubmissionsByOccurrence,
+  getSubmissionsBetween,
+  getAttachmentUrl
+} from './supabase.js';
+import {
+  getStatusLabel,
+  getAllowedTransitions,
+  validateTransition,
+  describeEvent
+} from './submission-workflow.js';
+import {
+  parseDashboardQuery,
+  buildDashboardQuery,
+  toLocalDateString
+} from './submission-filters.js';
+import {
+  groupEventsBySubmission,
+  getTransitionTimes,
+  computeTurnaround,
+  computeWeeklyVolume,
+  findSlaBreaches,
+  formatHours,
+  percentile
+} from './dashboard-analytics.js';
+import { getSubmissionPriority } from './priority.js';
+import { calculateOverwriteDeadlines, formatOverwriteCountdown, formatWindow } from './calculations.js';
+import { buildOccurrenceCase, getFormTitle } from './occurrence-case.js';
+import { generateCasePacketPDF, generateWorkloadReportPDF } from './pdf-generator.js';
+import {
+  getReportPeriod,
+  buildWorkloadReport,
+  getWorkloadReportTables,
+  workloadReportToCsv
+} from './workload-report.js';
+import { showContentModal, showPromptModal, dismissModal } from './notifications.js';
+import { parseRequestCode } from './request-code.js';
+import { createElement, escapeHtml, debounce } from './utils.js';
 
 let supabaseClient = null;
 let realtimeSubscription = null;
 
+// Latest row for each submission shown, so actions use the current status
+const submissionsById = new Map();
+
+// History list in the open details modal, updated from realtime events
+let openHistory = null;
+
+// Current filters and page of the requests table, mirrored in the URL
+let listState = { filters: {}, page: 1, total: 0 };
+
 /**
  * Initialize dashboard with Supabase connection
  */
@@ -30,36 +86,202 @@ export async function initDashboard() {
 
 /**
  * Load all dashboard data
+ * The table is one server-side page; stats and charts are count queries
  */
 async function loadDashboardData() {
+  listState = { ...parseDashboardQuery(window.location.search), total: 0 };
+
+  renderFilterBar();
+
+  await Promise.all([
+    loadRequestsPage(),
+    updateStatCounts(),
+    updateChartsData(),
+    updateAnalytics()
+  ]);
+}
+
+/**
+ * Load the current page of requests for the current filters
+ */
+async function loadRequestsPage() {
+  const pageSize = CONFIG.DASHBOARD.PAGE_SIZE;
+
   try {
-    // Fetch all submissions
-    const { data: submissions, error } = await supabaseClient
-      .from('form_submissions')
-      .select('*')
-      .order('submitted_at', { ascending: false });
-    
-    if (error) throw error;
-    
-    // Update statistics
-    updateStats(submissions);
-    
-    // Update requests table
-    updateRequestsTable(submissions);
-    
-    // Update charts data
-    updateChartsData(submissions);
-    
+    const { rows, total } = await getSubmissionsPage(listState.filters, listState.page, pageSize);
+
+    // Filtering or deletions can leave us past the last page
+    const lastPage = Math.max(1, Math.ceil(total / pageSize));
+    if (listState.page > lastPage) {
+      listState.page = lastPage;
+      syncUrl();
+      await loadRequestsPage();
+      return;
+    }
+
+    listState.total = total;
+    updateRequestsTable(rows);
+    renderPagination();
   } catch (error) {
-    console.error('Error loading dashboard data:', error);
+    console.error('Error loading requests:', error);
+    showNotification('Error loading requests', 'error');
   }
 }
 
+/**
+ * Reflect the current filters and page in the URL so the view can be shared
+ */
+function syncUrl() {
+  const query = buildDashboardQuery(listState.filters, listState.page);
+  history.replaceState(null, '', `${window.location.pathname}${query}`);
+}
+
+/**
+ * Apply new filters, starting again from page 1
+ */
+function setFilters(filters) {
+  listState.filters = filters;
+  listState.page = 1;
+  syncUrl();
+  loadRequestsPage();
+}
+
+/**
+ * Show another page of results
+ */
+function goToPage(page) {
+  listState.page = page;
+  syncUrl();
+  loadRequestsPage();
+}
+
+// Realtime changes can arrive in bursts - reload once they settle
+const scheduleRefresh = debounce(() => {
+  loadRequestsPage();
+  updateStatCounts();
+  scheduleAnalyticsRefresh();
+}, CONFIG.DASHBOARD.REFRESH_DEBOUNCE);
+
+// Analytics read the whole window, so refresh them less often
+const scheduleAnalyticsRefresh = debounce(updateAnalytics, CONFIG.DASHBOARD.ANALYTICS_REFRESH_DEBOUNCE);
+
+/**
+ * Build a labelled filter select
+ */
+function createFilterSelect(name, label, options) {
+  const select = createElement('select', { name, className: 'form-control', 'aria-label': label }, [
+    createElement('option', { value: '' }, label),
+    ...options.map(([value, text]) => createElement('option', { value }, text))
+  ]);
+  select.value = listState.filters[name] || '';
+  return select;
+}
+
+/**
+ * Build a filter text or date input
+ */
+function createFilterInput(name, label, attrs = {}) {
+  const input = createElement('input', {
+    type: 'text',
+    name,
+    className: 'form-control',
+    placeholder: label,
+    'aria-label': label,
+    ...attrs
+  });
+  input.value = listState.filters[name] || '';
+  return input;
+}
+
+/**
+ * Render the filter bar above the requests table
+ */
+function renderFilterBar() {
+  const container = document.getElementById('requests-filters');
+  if (!container) return;
+
+  const formTypes = Object.values(CONFIG.FORM_TYPES)
+    .map(type => [type, type.charAt(0).toUpperCase() + type.slice(1)]);
+  const statuses = Object.entries(CONFIG.SUBMISSION_STATUSES);
+  const cities = CONFIG.CITY_OPTIONS
+    .filter(option => !['_placeholder_', 'Other'].includes(option.value))
+    .map(option => createElement('option', { value: option.value }));
+
+  const form = createElement('form', { className: 'requests-filters', role: 'search' }, [
+    createFilterInput('q', 'Search request details', { type: 'search' }),
+    createFilterSelect('formType', 'All types', formTypes),
+    createFilterSelect('status', 'All statuses', statuses),
+    createFilterSelect('sort', 'Newest first', [['priority', 'Highest priority first']]),
+    createFilterInput('from', 'From', { type: 'date' }),
+    createFilterInput('to', 'To', { type: 'date' }),
+    createFilterInput('investigator', 'Investigator'),
+    createFilterInput('occNumber', 'Occurrence #'),
+    createFilterInput('city', 'City', { list: 'requests-filter-cities' }),
+    createElement('datalist', { id: 'requests-filter-cities' }, cities),
+    createElement('button', { type: 'reset', className: 'btn btn-secondary' }, 'Clear')
+  ]);
+
+  const readForm = () => parseDashboardQuery(new URLSearchParams(new FormData(form)).toString()).filters;
+  const applyForm = () => {
+    // A QR code scanned into the search box opens its request instead
+    const code = parseRequestCode(form.elements.q.value);
+    if (code) {
+      form.elements.q.value = '';
+      openScannedRequest(code);
+      return;
+    }
+    setFilters(readForm());
+  };
+  const applyTyped = debounce(applyForm, CONFIG.DASHBOARD.SEARCH_DEBOUNCE);
+
+  form.addEventListener('input', (e) => {
+    if (e.target.tagName === 'INPUT' && e.target.type !== 'date') applyTyped();
+  });
+  form.addEventListener('change', applyForm);
+  form.addEventListener('submit', (e) => {
+    e.preventDefault();
+    applyForm();
+  });
+  form.addEventListener('reset', () => setTimeout(applyForm));
+
+  container.replaceChildren(form);
+}
+
+/**
+ * Render page navigation below the requests table
+ */
+function renderPagination() {
+  const container = document.getElementById('requests-pagination');
+  if (!container) return;
+
+  const { page, total } = listState;
+  const lastPage = Math.max(1, Math.ceil(total / CONFIG.DASHBOARD.PAGE_SIZE));
+
+  const prevBtn = createElement('button', {
+    type: 'button',
+    className: 'btn btn-secondary btn-sm',
+    onclick: () => goToPage(page - 1)
+  }, 'Previous');
+  prevBtn.disabled = page <= 1;
+
+  const nextBtn = createElement('button', {
+    type: 'button',
+    className: 'btn btn-secondary btn-sm',
+    onclick: () => goToPage(page + 1)
+  }, 'Next');
+  nextBtn.disabled = page >= lastPage;
+
+  const summary = createElement('span', { className: 'pagination-summary' },
+    `Page ${page} of ${lastPage} · ${total.toLocaleString()} request${total === 1 ? '' : 's'}`);
+
+  container.replaceChildren(prevBtn, summary, nextBtn);
+}
+
 /**
  * Set up real-time subscription for live updates
  */
 function setupRealtimeUpdates() {
-  // Subscribe to INSERT events on form_submissions
+  // Subscribe to submission changes and new audit events
   realtimeSubscription = supabaseClient
     .channel('dashboard-updates')
     .on('postgres_changes', 
@@ -73,6 +295,14 @@ function setupRealtimeUpdates() {
         handleRealtimeUpdate(payload);
       }
     )
+    .on('postgres_changes',
+      {
+        event: 'INSERT',
+        schema: 'public',
+        table: CONFIG.SUBMISSION_WORKFLOW.EVENTS_TABLE
+      },
+      (payload) => handleEventInsert(payload.new)
+    )
     .subscribe();
 }
 
@@ -81,64 +311,184 @@ function setupRealtimeUpdates() {
  */
 function handleRealtimeUpdate(payload) {
   if (payload.eventType === 'INSERT') {
-    // New submission
-    addNewRequestToTable(payload.new);
-    updateStatCounts();
+    // New submission - reload so it lands on the right page for the filters
+    scheduleRefresh();
     showNotification('New request received!', 'success');
   } else if (payload.eventType === 'UPDATE') {
-    // Updated submission
+    // Updated submission - show it now, then re-check filters and counts
     updateRequestInTable(payload.new);
-    updateStatCounts();
+    scheduleRefresh();
   }
 }
 
 /**
- * Update statistics based on submissions data
+ * Append a new audit event to the open details modal
  */
-function updateStats(submissions) {
-  // Count by status
-  const statusCounts = submissions.reduce((acc, sub) => {
-    acc[sub.status] = (acc[sub.status] || 0) + 1;
-    return acc;
-  }, {});
-  
+function handleEventInsert(event) {
+  if (!openHistory || openHistory.submissionId !== event.submission_id) return;
+  if (openHistory.eventIds.has(event.id)) return;
+
+  openHistory.eventIds.add(event.id);
+  openHistory.list.querySelector('.history-empty')?.remove();
+  openHistory.list.appendChild(createHistoryItem(event));
+}
+
+/**
+ * Update statistics from aggregate counts
+ * @param {Object} counts - { total, pending, processing, completed, today }
+ */
+function updateStats(counts) {
   // Update pending count
-  document.getElementById('pending-count').textContent = statusCounts.pending || 0;
+  document.getElementById('pending-count').textContent = counts.pending;
   
   // Count active (processing)
-  document.getElementById('active-count').textContent = statusCounts.processing || 0;
+  document.getElementById('active-count').textContent = counts.processing;
   
   // Count today's submissions
-  const today = new Date().toISOString().split('T')[0];
-  const todayCount = submissions.filter(sub => 
-    sub.submitted_at.startsWith(today)
-  ).length;
-  document.getElementById('today-count').textContent = todayCount;
+  document.getElementById('today-count').textContent = counts.today;
   
   // Update overview stats
-  updateOverviewStats(submissions);
+  updateOverviewStats(counts);
+}
+
+/**
+ * Set the text of a stat element if the page has it
+ */
+function setStatText(id, text) {
+  const element = document.getElementById(id);
+  if (element) element.textContent = text;
 }
 
 /**
  * Update overview statistics cards
  */
-function updateOverviewStats(submissions) {
+function updateOverviewStats(counts) {
   // Total requests
-  const totalRequests = submissions.length;
+  const totalRequests = counts.total;
   const totalCard = document.querySelector('.stat-card-value');
   if (totalCard) totalCard.textContent = totalRequests.toLocaleString();
   
-  // Calculate average response time (mock for now)
-  // In real implementation, you'd track completion times
-  const avgResponseTime = '4.2 hrs';
-  
   // Calculate completion rate
-  const completed = submissions.filter(s => s.status === 'completed').length;
   const completionRate = totalRequests > 0 ? 
-    ((completed / totalRequests) * 100).toFixed(1) : 0;
-  
-  // Count urgent requests (you might add a priority field)
-  const urgent = submissions.filter(s => s.status === 'pending').length;
+    ((counts.completed / totalRequests) * 100).toFixed(1) : 0;
+  setStatText('completion-rate', `${completionRate}%`);
+}
+
+/**
+ * Load the analytics window and update turnaround, volume and SLA figures
+ */
+async function updateAnalytics() {
+  const since = new Date();
+  since.setDate(since.getDate() - CONFIG.DASHBOARD.ANALYTICS_WEEKS * 7);
+
+  try {
+    const [submissions, events] = await Promise.all([
+      getSubmissionsSince(since.toISOString()),
+      getStatusEventsSince(since.toISOString())
+    ]);
+
+    const eventsBySubmission = groupEventsBySubmission(events);
+    const turnaround = computeTurnaround(submissions, eventsBySubmission);
+    const weekly = computeWeeklyVolume(submissions, CONFIG.DASHBOARD.ANALYTICS_WEEKS);
+    const slaResults = findSlaBreaches(submissions, eventsBySubmission);
+
+    // Overall median time to completion replaces the old placeholder
+    const completionHours = submissions
+      .map(submission => ({
+        submittedAt: new Date(submission.submitted_at),
+        completedAt: getTransitionTimes(eventsBySubmission.get(submission.id)).completedAt
+      }))
+      .filter(({ completedAt }) => completedAt)
+      .map(({ submittedAt, completedAt }) => (completedAt - submittedAt) / (60 * 60 * 1000));
+    setStatText('avg-response-time', formatHours(percentile(completionHours, 50)));
+
+    // Urgent = requests already past an SLA and still waiting
+    const overdue = new Set(slaResults.flatMap(result =>
+      result.breaches.filter(breach => breach.open).map(breach => breach.submission.id)));
+    setStatText('urgent-count', overdue.size);
+
+    renderAnalytics(turnaround, weekly, slaResults);
+  } catch (error) {
+    console.error('Error loading analytics:', error);
+  }
+}
+
+/**
+ * Build a simple table
+ */
+function createTable(headers, rows) {
+  return createElement('table', { className: 'analytics-table' }, [
+    createElement('thead', {}, createElement('tr', {},
+      headers.map(header => createElement('th', {}, header)))),
+    createElement('tbody', {}, rows.map(cells => createElement('tr', {},
+      cells.map(cell => createElement('td', {}, String(cell))))))
+  ]);
+}
+
+/**
+ * Render analytics into the analytics panel
+ */
+function renderAnalytics(turnaround, weekly, slaResults) {
+  const container = document.getElementById('analytics-panel');
+  if (!container) return;
+
+  const formTypes = Object.values(CONFIG.FORM_TYPES);
+  const label = (type) => type.charAt(0).toUpperCase() + type.slice(1);
+
+  const turnaroundTable = createTable(
+    ['Type', 'Pickup median', 'Pickup 95th', 'Completion median', 'Completion 95th', 'Completed'],
+    Object.entries(turnaround).map(([type, { pickup, completion }]) => [
+      label(type),
+      formatHours(pickup.median),
+      formatHours(pickup.p95),
+      formatHours(completion.median),
+      formatHours(completion.p95),
+      completion.count
+    ])
+  );
+
+  const topOffences = (byOffence) => Object.entries(byOffence)
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, 3)
+    .map(([offence, count]) => `${offence} (${count})`)
+    .join(', ') || '—';
+
+  const volumeTable = createTable(
+    ['Week of', 'Total', ...formTypes.map(label), 'Top offence types'],
+    [...weekly].reverse().map(week => [
+      week.weekStart.toLocaleDateString(),
+      week.total,
+      ...formTypes.map(type => week.byFormType[type] || 0),
+      topOffences(week.byOffence)
+    ])
+  );
+
+  const slaList = createElement('ul', { className: 'sla-list' }, slaResults.map(({ sla, applicable, breaches }) => {
+    const open = breaches.filter(breach => breach.open).length;
+    const summary = `${sla.label}: ${breaches.length} of ${applicable} breached` +
+      (open > 0 ? ` (${open} still waiting)` : '');
+
+    return createElement('li', { className: breaches.length > 0 ? 'sla-breached' : 'sla-met' }, [
+      createElement('div', {}, summary),
+      breaches.length > 0 ? createElement('small', { className: 'text-muted' }, breaches
+        .map(({ submission, hours }) => `${submission.occ_number || submission.id.slice(0, 8)} (${formatHours(hours)})`)
+        .join(', ')) : null
+    ]);
+  }));
+
+  container.replaceChildren(
+    createElement('button', {
+      type: 'button',
+      className: 'btn btn-secondary btn-sm',
+      onclick: showWorkloadReportDialog
+    }, 'Workload Report'),
+    createElement('h3', {}, `Turnaround (last ${CONFIG.DASHBOARD.ANALYTICS_WEEKS} weeks)`),
+    turnaroundTable,
+    createElement('h3', {}, 'Weekly Volume'),
+    volumeTable,
+    createElement('h3', {}, 'SLA Breaches'),
+    slaList
+  );
 }
 
 /**
@@ -152,7 +502,8 @@ function updateRequestsTable(submissions) {
   tbody.innerHTML = '';
   
   // Add rows for each submission
-  submissions.slice(0, 20).forEach(submission => {
+  submissionsById.clear();
+  submissions.forEach(submission => {
     const row = createRequestRow(submission);
     tbody.appendChild(row);
   });
@@ -163,23 +514,34 @@ function updateRequestsTable(submissions) {
  */
 function createRequestRow(submission) {
   const row = document.createElement('tr');
+  row.dataset.submissionId = submission.id;
+  submissionsById.set(submission.id, submission);
 
   // Format submission data
   const formData = submission.form_data;
   const submittedDate = new Date(submission.submitted_at);
   const timeAgo = getTimeAgo(submittedDate);
 
-  // Cell 1: Occurrence Number (with strong tag)
+  // Cell 1: Occurrence Number (with strong tag), opening the case view
   const occCell = document.createElement('td');
   const occStrong = document.createElement('strong');
-  occStrong.textContent = submission.occurrence_number || submission.id.slice(0, 8);
-  occCell.appendChild(occStrong);
+  occStrong.textContent = submission.occ_number || submission.id.slice(0, 8);
+  if (submission.occ_number) {
+    occCell.appendChild(createElement('button', {
+      type: 'button',
+      className: 'btn-link occurrence-link',
+      title: 'View all requests for this occurrence',
+      onclick: () => showCaseView(submission.occ_number)
+    }, [occStrong]));
+  } else {
+    occCell.appendChild(occStrong);
+  }
 
   // Cell 2: Request Type (with span)
   const typeCell = document.createElement('td');
   const typeSpan = document.createElement('span');
   typeSpan.className = 'request-type';
-  typeSpan.textContent = submission.request_type.toUpperCase();
+  typeSpan.textContent = (submission.form_type || '').toUpperCase();
   typeCell.appendChild(typeSpan);
 
   // Cell 3: Investigator Name (user-controlled data - SECURE)
@@ -194,16 +556,29 @@ function createRequestRow(submission) {
   const statusCell = document.createElement('td');
   const statusSpan = document.createElement('span');
   statusSpan.className = `status-badge status-${submission.status.toLowerCase()}`;
-  statusSpan.textContent = formatStatus(submission.status);
+  statusSpan.textContent = getStatusLabel(submission.status);
   statusCell.appendChild(statusSpan);
 
   // Cell 6: Assigned To (user-controlled data - SECURE)
   const assignedCell = document.createElement('td');
-  assignedCell.textContent = formData.assignedTo || 'Unassigned';
+  assignedCell.textContent = submission.assigned_to || 'Unassigned';
 
-  // Cell 7: Priority
+  // Cell 7: Priority (reasons in the tooltip and details view)
+  const priority = getSubmissionPriority(submission);
   const priorityCell = document.createElement('td');
-  priorityCell.textContent = `${getPriorityIcon(submission)} ${getPriorityLevel(submission)}`;
+  priorityCell.textContent = `${priority.icon} ${priority.level}`;
+  priorityCell.title = priority.reasons.join('\n') || 'No urgency signals';
+  row.classList.add(`priority-${priority.level.toLowerCase()}`);
+
+  // Countdown to the soonest overwrite deadline (retention as read at submission)
+  const [nextDeadline] = calculateOverwriteDeadlines(formData, submission.submitted_at);
+  if (nextDeadline) {
+    const countdown = formatOverwriteCountdown(nextDeadline.deadline);
+    priorityCell.appendChild(createElement('div', {
+      className: `overwrite-countdown${countdown.isUrgent ? ' text-danger' : ''}`,
+      title: `${nextDeadline.label} overwritten from ${nextDeadline.deadline.toLocaleString()}`
+    }, `⏳ ${countdown.text}`));
+  }
 
   // Cell 8: Action Buttons
   const actionCell = document.createElement('td');
@@ -238,10 +613,18 @@ function createRequestRow(submission) {
   assignBtn.textContent = '👤';
   assignBtn.addEventListener('click', () => assignRequest(submission.id));
 
+  // Change Status Button
+  const statusBtn = document.createElement('button');
+  statusBtn.className = 'btn-icon';
+  statusBtn.title = 'Change Status';
+  statusBtn.textContent = '🔄';
+  statusBtn.addEventListener('click', () => changeRequestStatus(submission.id));
+
   actionDiv.appendChild(viewBtn);
   actionDiv.appendChild(pdfBtn);
   actionDiv.appendChild(jsonBtn);
   actionDiv.appendChild(assignBtn);
+  actionDiv.appendChild(statusBtn);
   actionCell.appendChild(actionDiv);
 
   // Append all cells to row
@@ -257,31 +640,13 @@ function createRequestRow(submission) {
   return row;
 }
 
-/**
- * Add new request to table (for real-time updates)
- */
-function addNewRequestToTable(submission) {
-  const tbody = document.getElementById('requests-tbody');
-  if (!tbody) return;
-  
-  const row = createRequestRow(submission);
-  row.style.animation = 'fadeIn 0.5s ease';
-  tbody.insertBefore(row, tbody.firstChild);
-  
-  // Remove last row if table is too long
-  if (tbody.children.length > 20) {
-    tbody.removeChild(tbody.lastChild);
-  }
-}
-
 /**
  * Update existing request in table
  */
 function updateRequestInTable(submission) {
   const rows = document.querySelectorAll('#requests-tbody tr');
   rows.forEach(row => {
-    const caseCell = row.cells[0];
-    if (caseCell.textContent.includes(submission.id.slice(0, 8))) {
+    if (row.dataset.submissionId === submission.id) {
       const newRow = createRequestRow(submission);
       row.replaceWith(newRow);
       newRow.style.animation = 'pulse 0.5s ease';
@@ -290,53 +655,155 @@ function updateRequestInTable(submission) {
 }
 
 /**
- * Update stat counts (for real-time)
+ * Get the analyst name recorded against workflow changes
+ * Asks once and remembers it on this device
+ * @returns {Promise<string|null>} Name, or null if cancelled
  */
-async function updateStatCounts() {
+async function getAnalystName() {
+  const saved = localStorage.getItem(CONFIG.SUBMISSION_WORKFLOW.ANALYST_KEY);
+  if (saved) return saved;
+
+  const name = (await showPromptModal({
+    title: 'Who is making this change?',
+    message: 'Your name is recorded in the request history.',
+    placeholder: 'Analyst name',
+    confirmText: 'Continue'
+  }))?.trim();
+
+  if (!name) return null;
+
+  localStorage.setItem(CONFIG.SUBMISSION_WORKFLOW.ANALYST_KEY, name);
+  return name;
+}
+
+/**
+ * Assign a request to an analyst (blank to unassign)
+ */
+async function assignRequest(id) {
+  const submission = submissionsById.get(id);
+  if (!submission) return;
+
+  const actor = await getAnalystName();
+  if (!actor) return;
+
+  const input = await showPromptModal({
+    title: 'Assign Request',
+    message: `Assign ${escapeHtml(submission.occ_number || id)} to an analyst. Leave blank to unassign.`,
+    value: submission.assigned_to || actor,
+    placeholder: 'Analyst name',
+    confirmText: 'Assign'
+  });
+  if (input === null) return;
+
+  const analyst = input.trim() || null;
+  if (analyst === (submission.assigned_to || null)) return;
+
   try {
-    const { data: submissions, error } = await supabaseClient
-      .from('form_submissions')
-      .select('*');
-    
-    if (!error) {
-      updateStats(submissions);
-    }
+    const updated = await assignSubmission(id, submission.assigned_to || null, analyst, actor);
+    updateRequestInTable(updated);
+    showNotification(analyst
+      ? CONFIG.MESSAGES.WORKFLOW_ASSIGNED.replace('{analyst}', analyst)
+      : 'Request unassigned', 'success');
   } catch (error) {
-    console.error('Error updating stats:', error);
+    console.error('Error assigning request:', error);
+    const conflict = error.message === CONFIG.MESSAGES.WORKFLOW_CONFLICT;
+    showNotification(conflict ? error.message : CONFIG.MESSAGES.WORKFLOW_SAVE_ERROR, 'error');
   }
 }
 
 /**
- * Format status for display
+ * Ask which allowed status to move to
+ * @returns {Promise<string|null>} Chosen status, or null if closed
  */
-function formatStatus(status) {
-  const statusMap = {
-    'pending': 'Pending',
-    'processing': 'In Progress',
-    'completed': 'Completed',
-    'failed': 'Failed'
-  };
-  return statusMap[status] || status;
+async function chooseNextStatus(submission) {
+  let chosen = null;
+
+  const buttons = getAllowedTransitions(submission.status).map(status =>
+    createElement('button', {
+      type: 'button',
+      className: 'btn btn-primary',
+      onclick: () => {
+        chosen = status;
+        dismissModal();
+      }
+    }, getStatusLabel(status))
+  );
+
+  await showContentModal({
+    title: `Change Status: ${escapeHtml(submission.occ_number || submission.id)}`,
+    content: createElement('div', { className: 'workflow-status-options' }, [
+      createElement('p', {}, `Currently ${getStatusLabel(submission.status)}. Move to:`),
+      ...buttons
+    ]),
+    closeText: 'Cancel'
+  });
+
+  return chosen;
 }
 
 /**
- * Get priority icon based on submission data
+ * Move a request to another status with a reason
  */
-function getPriorityIcon(submission) {
-  // You could determine priority based on certain criteria
-  // For now, using a simple logic
-  if (submission.form_data.occType?.toLowerCase().includes('homicide')) return '🔴';
-  if (submission.status === 'pending') return '🟡';
-  return '🟢';
+async function changeRequestStatus(id) {
+  const submission = submissionsById.get(id);
+  if (!submission) return;
+
+  if (getAllowedTransitions(submission.status).length === 0) {
+    showNotification(`${getStatusLabel(submission.status)} requests can't be changed`, 'warning');
+    return;
+  }
+
+  const actor = await getAnalystName();
+  if (!actor) return;
+
+  const toStatus = await chooseNextStatus(submission);
+  if (!toStatus) return;
+
+  const reason = await showPromptModal({
+    title: `Move to ${getStatusLabel(toStatus)}`,
+    message: 'Why is the status changing?',
+    placeholder: 'Reason',
+    confirmText: 'Change Status'
+  });
+  if (reason === null) return;
+
+  const validationError = validateTransition(submission.status, toStatus, reason);
+  if (validationError) {
+    showNotification(validationError, 'warning');
+    return;
+  }
+
+  try {
+    const updated = await updateSubmissionStatus(id, submission.status, toStatus, reason.trim(), actor);
+    updateRequestInTable(updated);
+    updateStatCounts();
+    showNotification(CONFIG.MESSAGES.WORKFLOW_STATUS_CHANGED.replace('{status}', getStatusLabel(toStatus)), 'success');
+  } catch (error) {
+    console.error('Error changing status:', error);
+    const conflict = error.message === CONFIG.MESSAGES.WORKFLOW_CONFLICT;
+    showNotification(conflict ? error.message : CONFIG.MESSAGES.WORKFLOW_SAVE_ERROR, 'error');
+  }
 }
 
 /**
- * Get priority level
+ * Update stat counts with aggregate count queries
  */
-function getPriorityLevel(submission) {
-  if (submission.form_data.occType?.toLowerCase().includes('homicide')) return 'High';
-  if (submission.status === 'pending') return 'Medium';
-  return 'Low';
+async function updateStatCounts() {
+  try {
+    const today = toLocalDateString(new Date());
+
+    const [total, pending, processing, completed, todayCount] = await Promise.all([
+      countSubmissions(),
+      countSubmissions({ status: 'pending' }),
+      countSubmissions({ status: 'processing' }),
+      countSubmissions({ status: 'completed' }),
+      countSubmissions({ from: today, to: today })
+    ]);
+
+    updateStats({ total, pending, processing, completed, today: todayCount });
+  } catch (error) {
+    console.error('Error updating stats:', error);
+  }
 }
 
 /**
@@ -390,85 +857,255 @@ window.viewDetails = async function(id) {
 };
 
 /**
- * Download PDF from submission
+ * Download a stored attachment through a short-lived signed URL
+ * @param {string} id - Submission ID
+ * @param {string} type - 'pdf' or 'json'
  */
-window.downloadPDF = async function(id) {
+async function downloadAttachment(id, type) {
+  const label = type.toUpperCase();
+
   try {
     const { data, error } = await supabaseClient
       .from('form_submissions')
-      .select('*')
+      .select('attachments')
       .eq('id', id)
       .single();
-    
+
     if (error) throw error;
-    
-    // Find PDF in attachments
-    const pdfAttachment = data.attachments?.find(att => att.type === 'pdf');
-    if (pdfAttachment) {
-      // Convert base64 to blob and download
-      const base64Data = pdfAttachment.data;
-      const byteCharacters = atob(base64Data);
-      const byteNumbers = new Array(byteCharacters.length);
-      for (let i = 0; i < byteCharacters.length; i++) {
-        byteNumbers[i] = byteCharacters.charCodeAt(i);
-      }
-      const byteArray = new Uint8Array(byteNumbers);
-      const blob = new Blob([byteArray], { type: 'application/pdf' });
-      
-      const url = URL.createObjectURL(blob);
-      const a = document.createElement('a');
-      a.href = url;
-      a.download = pdfAttachment.filename || `submission_${id}.pdf`;
-      a.click();
-      URL.revokeObjectURL(url);
-      
-      showNotification('PDF downloaded', 'success');
-    } else {
-      showNotification('No PDF available', 'warning');
+
+    const attachment = data.attachments?.find(att => att.type === type);
+    if (!attachment?.path) {
+      showNotification(`No ${label} available`, 'warning');
+      return;
     }
+
+    // The signed URL sends the file as a download under its original name
+    const a = document.createElement('a');
+    a.href = await getAttachmentUrl(attachment);
+    a.click();
+
+    showNotification(`${label} downloaded`, 'success');
   } catch (error) {
-    console.error('Error downloading PDF:', error);
-    showNotification('Error downloading PDF', 'error');
+    console.error(`Error downloading ${label}:`, error);
+    showNotification(`Error downloading ${label}`, 'error');
   }
-};
+}
+
+/**
+ * Download PDF from submission
+ */
+window.downloadPDF = id => downloadAttachment(id, 'pdf');
 
 /**
  * Download JSON from submission
  */
-window.downloadJSON = async function(id) {
+window.downloadJSON = id => downloadAttachment(id, 'json');
+
+/**
+ * Save a generated file
+ */
+function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * Ask for a date range and download the workload report as PDF or CSV
+ * Defaults to last month; "Last Year" fills in the annual range
+ */
+async function showWorkloadReportDialog() {
+  const period = getReportPeriod('month');
+  const fromInput = createElement('input', { type: 'date', className: 'form-control', 'aria-label': 'From' });
+  const toInput = createElement('input', { type: 'date', className: 'form-control', 'aria-label': 'To' });
+  fromInput.value = period.from;
+  toInput.value = period.to;
+
+  const presetButton = (preset, text) => createElement('button', {
+    type: 'button',
+    className: 'btn btn-secondary btn-sm',
+    onclick: () => {
+      const range = getReportPeriod(preset);
+      fromInput.value = range.from;
+      toInput.value = range.to;
+    }
+  }, text);
+
+  const download = async (format, button) => {
+    const from = fromInput.value;
+    const to = toInput.value;
+    if (!from || !to || from > to) {
+      showNotification('Choose a start date on or before the end date', 'warning');
+      return;
+    }
+
+    button.disabled = true;
+    try {
+      const [submissions, events] = await Promise.all([
+        getSubmissionsBetween(from, to),
+        getStatusEventsSince(new Date(`${from}T00:00:00`).toISOString())
+      ]);
+      const report = buildWorkloadReport(submissions, groupEventsBySubmission(events), { from, to });
+      const filename = `workload_report_${from}_to_${to}`;
+
+      if (format === 'pdf') {
+        downloadBlob(await generateWorkloadReportPDF(getWorkloadReportTables(report), report.period), `${filename}.pdf`);
+      } else {
+        // BOM so spreadsheets read the file as UTF-8
+        downloadBlob(new Blob(['\uFEFF', workloadReportToCsv(report)], { type: 'text/csv' }), `${filename}.csv`);
+      }
+      showNotification('Workload report downloaded', 'success');
+    } catch (error) {
+      console.error('Error generating workload report:', error);
+      showNotification('Error generating workload report', 'error');
+    } finally {
+      button.disabled = false;
+    }
+  };
+
+  const pdfBtn = createElement('button', {
+    type: 'button',
+    className: 'btn btn-primary',
+    onclick: () => download('pdf', pdfBtn)
+  }, 'Download PDF');
+
+  const csvBtn = createElement('button', {
+    type: 'button',
+    className: 'btn btn-secondary',
+    onclick: () => download('csv', csvBtn)
+  }, 'Download CSV');
+
+  await showContentModal({
+    title: 'Workload Report',
+    content: createElement('div', { className: 'workload-report-options' }, [
+      createElement('p', {}, 'Requests submitted between these dates, inclusive.'),
+      createElement('div', {}, [presetButton('month', 'Last Month'), presetButton('year', 'Last Year')]),
+      fromInput,
+      toInput,
+      pdfBtn,
+      csvBtn
+    ])
+  });
+}
+
+/**
+ * Open the request behind a scanned QR code (request PDF or evidence label)
+ * Labels can be printed before a request is submitted, so an ID that was
+ * never used falls back to the occurrence's case view
+ * @param {Object} code - From parseRequestCode()
+ */
+async function openScannedRequest(code) {
   try {
-    const { data, error } = await supabaseClient
-      .from('form_submissions')
-      .select('*')
-      .eq('id', id)
-      .single();
-    
-    if (error) throw error;
-    
-    // Find JSON in attachments
-    const jsonAttachment = data.attachments?.find(att => att.type === 'json');
-    if (jsonAttachment) {
-      // Convert base64 to blob and download
-      const base64Data = jsonAttachment.data;
-      const jsonString = atob(base64Data);
-      const blob = new Blob([jsonString], { type: 'application/json' });
-      
-      const url = URL.createObjectURL(blob);
-      const a = document.createElement('a');
-      a.href = url;
-      a.download = jsonAttachment.filename || `submission_${id}.json`;
-      a.click();
-      URL.revokeObjectURL(url);
-      
-      showNotification('JSON downloaded', 'success');
-    } else {
-      showNotification('No JSON available', 'warning');
+    if (code.submissionId) {
+      const { data, error } = await supabaseClient
+        .from('form_submissions')
+        .select('*')
+        .eq('id', code.submissionId)
+        .maybeSingle();
+
+      if (error) throw error;
+      if (data) {
+        showDetailsModal(data);
+        return;
+      }
+    }
+
+    if (code.occNumber) {
+      await showCaseView(code.occNumber);
+      return;
     }
+
+    showNotification(CONFIG.MESSAGES.SCANNED_REQUEST_NOT_FOUND, 'warning');
   } catch (error) {
-    console.error('Error downloading JSON:', error);
-    showNotification('Error downloading JSON', 'error');
+    console.error('Error opening scanned request:', error);
+    showNotification('Error loading details', 'error');
   }
-};
+}
+
+/**
+ * Show every request filed under an occurrence number as one case
+ */
+async function showCaseView(occNumber) {
+  let occurrenceCase;
+  try {
+    occurrenceCase = buildOccurrenceCase(occNumber, await getSubmissionsByOccurrence(occNumber));
+  } catch (error) {
+    console.error('Error loading case:', error);
+    showNotification('Error loading case', 'error');
+    return;
+  }
+
+  const { status, statusCounts, analysts, requests, timeline, locations } = occurrenceCase;
+
+  const statusSpan = createElement('span', { className: `status-badge status-${status}` }, getStatusLabel(status));
+  const countsText = Object.entries(statusCounts)
+    .map(([key, count]) => `${count} ${getStatusLabel(key)}`)
+    .join(', ');
+
+  const requestsTable = createTable(
+    ['Submitted', 'Request', 'Officer', 'Status', 'Assigned To'],
+    requests.map(request => [
+      new Date(request.submitted_at).toLocaleString(),
+      getFormTitle(request.form_type),
+      request.form_data?.rName || 'Unknown',
+      getStatusLabel(request.status),
+      request.assigned_to || 'Unassigned'
+    ])
+  );
+
+  // Real time throughout, so footage from different DVRs lines up
+  const timelineList = timeline.length > 0
+    ? createElement('ul', { className: 'case-timeline' }, timeline.map(window =>
+      createElement('li', {}, `${formatWindow(window)} - ${window.label}${window.place ? ` (${window.place})` : ''}`)))
+    : createElement('p', { className: 'text-muted' }, 'No video windows on these requests');
+
+  const locationList = locations.length > 0
+    ? createElement('ul', { className: 'case-locations' }, locations.map(location =>
+      createElement('li', {}, `${[location.businessName, location.locationAddress, location.city].filter(Boolean).join(', ')} - ${location.sources.join(', ')}`)))
+    : createElement('p', { className: 'text-muted' }, 'No locations on these requests');
+
+  const packetBtn = createElement('button', {
+    type: 'button',
+    className: 'btn btn-primary',
+    onclick: async () => {
+      packetBtn.disabled = true;
+      try {
+        downloadBlob(await generateCasePacketPDF(occurrenceCase), `case_packet_${occNumber}.pdf`);
+        showNotification('Case packet downloaded', 'success');
+      } catch (error) {
+        console.error('Error generating case packet:', error);
+        showNotification('Error generating case packet', 'error');
+      } finally {
+        packetBtn.disabled = false;
+      }
+    }
+  }, 'Download Case Packet');
+
+  await showContentModal({
+    title: `Occurrence ${escapeHtml(occNumber)}`,
+    content: createElement('div', { className: 'occurrence-case' }, [
+      createElement('p', {}, [
+        createElement('strong', {}, 'Overall Status: '),
+        statusSpan,
+        document.createTextNode(` - ${requests.length} request${requests.length === 1 ? '' : 's'} (${countsText})`)
+      ]),
+      createElement('p', {}, [
+        createElement('strong', {}, 'Analysts: '),
+        document.createTextNode(analysts.join(', ') || 'Unassigned')
+      ]),
+      createElement('h3', {}, 'Requests'),
+      requestsTable,
+      createElement('h3', {}, 'Video Timeline (Real Time)'),
+      timelineList,
+      createElement('h3', {}, 'Locations'),
+      locationList,
+      packetBtn
+    ])
+  });
+}
 
 /**
  * Show notification
@@ -556,7 +1193,11 @@ function showDetailsModal(submission) {
     font-size: 1.5rem;
     cursor: pointer;
   `;
-  closeBtn.addEventListener('click', () => overlay.remove());
+  const closeOverlay = () => {
+    openHistory = null;
+    overlay.remove();
+  };
+  closeBtn.addEventListener('click', closeOverlay);
 
   // Create heading
   const heading = document.createElement('h2');
@@ -585,20 +1226,43 @@ function showDetailsModal(submission) {
 
   // Add detail rows (all user data safely escaped via textContent)
   detailsContainer.appendChild(createDetailRow('ID', submission.id));
-  detailsContainer.appendChild(createDetailRow('Type', submission.request_type));
+  detailsContainer.appendChild(createDetailRow('Type', submission.form_type));
 
   // Status with badge
   const statusSpan = document.createElement('span');
   statusSpan.className = `status-badge status-${submission.status.toLowerCase()}`;
-  statusSpan.textContent = formatStatus(submission.status);
+  statusSpan.textContent = getStatusLabel(submission.status);
   detailsContainer.appendChild(createDetailRow('Status', statusSpan));
+  detailsContainer.appendChild(createDetailRow('Assigned To', submission.assigned_to || 'Unassigned'));
+
+  // Priority with the signals that produced it
+  const priority = getSubmissionPriority(submission);
+  const priorityReasons = document.createElement('ul');
+  priorityReasons.style.cssText = 'margin: 0.25rem 0 0 1.25rem;';
+  (priority.reasons.length > 0 ? priority.reasons : ['No urgency signals']).forEach(reason => {
+    const item = document.createElement('li');
+    item.textContent = reason;
+    priorityReasons.appendChild(item);
+  });
+  const priorityValue = document.createElement('span');
+  priorityValue.textContent = `${priority.icon} ${priority.level} (score ${priority.score})`;
+  priorityValue.appendChild(priorityReasons);
+  detailsContainer.appendChild(createDetailRow('Priority', priorityValue));
+
+  const deadlines = calculateOverwriteDeadlines(formData, submission.submitted_at);
+  if (deadlines.length > 0) {
+    const deadlineList = createElement('ul', { style: 'margin: 0.25rem 0 0 1.25rem;' },
+      deadlines.map(({ label, deadline }) => createElement('li', {},
+        `${label}: ${deadline.toLocaleString()} (${formatOverwriteCountdown(deadline).text})`)));
+    detailsContainer.appendChild(createDetailRow('Overwrite Deadlines', deadlineList));
+  }
 
   detailsContainer.appendChild(createDetailRow('Submitted', new Date(submission.submitted_at).toLocaleString()));
   detailsContainer.appendChild(createDetailRow('Officer', formData.rName || 'N/A'));
   detailsContainer.appendChild(createDetailRow('Email', formData.requestingEmail || 'N/A'));
   detailsContainer.appendChild(createDetailRow('Phone', formData.requestingPhone || 'N/A'));
   detailsContainer.appendChild(createDetailRow('Badge', formData.badge || 'N/A'));
-  detailsContainer.appendChild(createDetailRow('Occurrence #', submission.occurrence_number || 'N/A'));
+  detailsContainer.appendChild(createDetailRow('Occurrence #', submission.occ_number || 'N/A'));
 
   // Add separator
   const hr = document.createElement('hr');
@@ -617,6 +1281,8 @@ function showDetailsModal(submission) {
   pre.textContent = JSON.stringify(formData, null, 2);
   detailsContainer.appendChild(pre);
 
+  detailsContainer.appendChild(createHistorySection(submission));
+
   // Assemble modal
   modal.appendChild(closeBtn);
   modal.appendChild(heading);
@@ -627,36 +1293,115 @@ function showDetailsModal(submission) {
   // Close on overlay click
   overlay.addEventListener('click', (e) => {
     if (e.target === overlay) {
-      overlay.remove();
+      closeOverlay();
     }
   });
 }
 
+/**
+ * Create one history list item
+ */
+function createHistoryItem(event) {
+  return createElement('li', { className: `history-item history-${event.event_type}` }, [
+    createElement('div', {}, describeEvent(event)),
+    createElement('small', { className: 'text-muted' }, new Date(event.created_at).toLocaleString())
+  ]);
+}
+
+/**
+ * Create the history and notes section of the details modal
+ * Loads existing events, then realtime inserts are appended by handleEventInsert
+ */
+function createHistorySection(submission) {
+  const list = createElement('ul', { className: 'submission-history' });
+  list.style.cssText = 'list-style: none; padding: 0; display: grid; gap: 0.75rem;';
+  list.appendChild(createElement('li', { className: 'history-empty text-muted' }, 'Loading history...'));
+
+  openHistory = { submissionId: submission.id, list, eventIds: new Set() };
+  const history = openHistory;
+
+  getSubmissionEvents(submission.id)
+    .then(events => {
+      list.querySelector('.history-empty')?.remove();
+      events.forEach(event => {
+        if (history.eventIds.has(event.id)) return;
+        history.eventIds.add(event.id);
+        list.appendChild(createHistoryItem(event));
+      });
+      if (list.children.length === 0) {
+        list.appendChild(createElement('li', { className: 'history-empty text-muted' }, 'No history yet'));
+      }
+    })
+    .catch(error => {
+      console.error('Error loading history:', error);
+      list.querySelector('.history-empty').textContent = 'Could not load history';
+    });
+
+  const noteInput = createElement('textarea', {
+    className: 'form-control',
+    rows: 2,
+    placeholder: 'Add an internal note'
+  });
+
+  const noteBtn = createElement('button', {
+    type: 'button',
+    className: 'btn btn-secondary',
+    onclick: async () => {
+      const note = noteInput.value.trim();
+      if (!note) return;
+
+      const actor = localStorage.getItem(CONFIG.SUBMISSION_WORKFLOW.ANALYST_KEY) || 'Analyst';
+
+      noteBtn.disabled = true;
+      try {
+        const event = await addSubmissionNote(submission.id, note, actor);
+        handleEventInsert(event);
+        noteInput.value = '';
+        showNotification(CONFIG.MESSAGES.WORKFLOW_NOTE_ADDED, 'success');
+      } catch (error) {
+        console.error('Error adding note:', error);
+        showNotification(CONFIG.MESSAGES.WORKFLOW_SAVE_ERROR, 'error');
+      } finally {
+        noteBtn.disabled = false;
+      }
+    }
+  }, 'Add Note');
+
+  const heading = createElement('h3', {}, 'History & Notes');
+  heading.style.color = 'var(--peel-yellow)';
+
+  return createElement('div', { className: 'submission-history-section' }, [
+    heading,
+    list,
+    noteInput,
+    noteBtn
+  ]);
+}
+
 /**
  * Update charts with real data
  */
-function updateChartsData(submissions) {
-  // Group by date for weekly chart
-  const weeklyData = {};
+async function updateChartsData() {
+  // One count per day for the weekly chart
+  const days = [];
   const now = new Date();
   
   for (let i = 6; i >= 0; i--) {
     const date = new Date(now);
     date.setDate(date.getDate() - i);
-    const dateStr = date.toISOString().split('T')[0];
-    weeklyData[dateStr] = 0;
+    days.push(toLocalDateString(date));
   }
   
-  submissions.forEach(sub => {
-    const date = sub.submitted_at.split('T')[0];
-    if (weeklyData.hasOwnProperty(date)) {
-      weeklyData[date]++;
-    }
-  });
+  let values;
+  try {
+    values = await Promise.all(days.map(day => countSubmissions({ from: day, to: day })));
+  } catch (error) {
+    console.error('Error loading chart data:', error);
+    return;
+  }
   
   // Update chart bars
   const chartBars = document.querySelectorAll('.chart-placeholder .chart-bar');
-  const values = Object.values(weeklyData);
   const maxValue = Math.max(...values, 1);
   
   chartBars.forEach((bar, index) => {
@@ -667,12 +1412,6 @@ function updateChartsData(submissions) {
     }
   });
   
-  // Update request type distribution
-  const typeCounts = submissions.reduce((acc, sub) => {
-    acc[sub.request_type] = (acc[sub.request_type] || 0) + 1;
-    return acc;
-  }, {});
-  
   // You can add more chart updates here
 }
 
@@ -0,0 +1,219 @@
+/**
+ * DVR Overwrite Deadline Reminders
+ * Exports recovery overwrite deadlines as an .ics calendar file and schedules
+ * browser Notification reminders, which the service worker shows when due
+ * (see the reminder handlers in sw.js)
+ *
+ * @module deadline-reminders
+ */
+
+import { CONFIG } from './config.js';
+import { calculateOverwriteDeadlines } from './calculations.js';
+import { showToast, downloadBlob, formatDateTime } from './utils.js';
+
+// Service worker message types - must match sw.js
+const SCHEDULE_MESSAGE = 'SCHEDULE_REMINDERS';
+const CHECK_MESSAGE = 'CHECK_REMINDERS';
+
+// ===== CALENDAR EXPORT =====
+
+/**
+ * Format a Date as an iCalendar UTC date-time
+ * @param {Date} date
+ * @returns {string} e.g. '20261019T160000Z'
+ */
+function formatIcsDate(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Escape text for an iCalendar property value
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeIcsText(text) {
+  return String(text)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Fold a content line to 75 characters as iCalendar requires
+ * @param {string} line
+ * @returns {string}
+ */
+function foldIcsLine(line) {
+  const parts = [];
+  for (let i = 0; i < line.length; i += 74) {
+    parts.push(line.slice(i, i + 74));
+  }
+  return parts.join('\r\n ');
+}
+
+/**
+ * Summary shown for a deadline in calendars and notifications
+ * @param {Object} deadline - From calculateOverwriteDeadlines()
+ * @param {string} occNumber - Occurrence number
+ * @returns {string}
+ */
+function getDeadlineTitle(deadline, occNumber) {
+  return `DVR overwrite - ${occNumber || 'Recovery'} ${deadline.label}`;
+}
+
+/**
+ * Build an iCalendar file with one event per overwrite deadline
+ * Each event has an alarm CONFIG.OVERWRITE_DEADLINES.CALENDAR_ALARM_HOURS before it
+ * @param {Object} formData - Collected recovery form data
+ * @param {Date} now - Current time, used for DTSTAMP (default: now)
+ * @returns {string} Calendar text, or '' when there are no deadlines
+ */
+export function buildDeadlineCalendar(formData, now = new Date()) {
+  const deadlines = calculateOverwriteDeadlines(formData, now);
+  if (deadlines.length === 0) return '';
+
+  const occNumber = formData.occNumber || '';
+  const location = [formData.businessName, formData.locationAddress, formData.city]
+    .filter(Boolean)
+    .join(', ');
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Peel Regional Police//FVU Request System//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH'
+  ];
+
+  deadlines.forEach(deadline => {
+    const end = new Date(deadline.deadline.getTime() + 30 * 60 * 1000);
+    const description = `Footage requested for ${deadline.label} will be overwritten from ` +
+      `${formatDateTime(deadline.deadline)} (DVR retention: ${deadline.retentionDays} days).`;
+
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${occNumber || 'recovery'}-dvr${deadline.dvrIndex + 1}-tf${deadline.timeframeIndex + 1}@fvu-request-system`,
+      `DTSTAMP:${formatIcsDate(now)}`,
+      `DTSTART:${formatIcsDate(deadline.deadline)}`,
+      `DTEND:${formatIcsDate(end)}`,
+      `SUMMARY:${escapeIcsText(getDeadlineTitle(deadline, occNumber))}`,
+      `DESCRIPTION:${escapeIcsText(description)}`,
+      ...(location ? [`LOCATION:${escapeIcsText(location)}`] : []),
+      'BEGIN:VALARM',
+      'ACTION:DISPLAY',
+      `TRIGGER:-PT${CONFIG.OVERWRITE_DEADLINES.CALENDAR_ALARM_HOURS}H`,
+      `DESCRIPTION:${escapeIcsText(getDeadlineTitle(deadline, occNumber))}`,
+      'END:VALARM',
+      'END:VEVENT'
+    );
+  });
+
+  lines.push('END:VCALENDAR');
+  return lines.map(foldIcsLine).join('\r\n') + '\r\n';
+}
+
+/**
+ * Download the overwrite deadlines as an .ics file
+ * @param {Object} formData - Collected recovery form data
+ * @returns {boolean} True if a file was downloaded
+ */
+export function exportDeadlineCalendar(formData) {
+  const calendar = buildDeadlineCalendar(formData);
+  if (!calendar) {
+    showToast(CONFIG.MESSAGES.DEADLINES_NONE, 'warning');
+    return false;
+  }
+
+  const blob = new Blob([calendar], { type: 'text/calendar;charset=utf-8' });
+  downloadBlob(blob, `FVU_Overwrite_Deadlines_${formData.occNumber || 'NoOccNum'}.ics`);
+  return true;
+}
+
+// ===== BROWSER REMINDERS =====
+
+/**
+ * Build the reminders to schedule for a recovery request
+ * One per deadline and lead time in CONFIG.OVERWRITE_DEADLINES.REMINDER_LEAD_HOURS,
+ * skipping any that are already past
+ * @param {Object} formData - Collected recovery form data
+ * @param {Date} now - Current time (default: now)
+ * @returns {Array<Object>} { id, group, at, title, body, url }
+ */
+export function buildDeadlineReminders(formData, now = new Date()) {
+  const occNumber = formData.occNumber || '';
+  const group = occNumber || 'recovery';
+  const url = typeof window !== 'undefined' ? window.location.pathname : '/';
+
+  return calculateOverwriteDeadlines(formData, now).flatMap(deadline =>
+    CONFIG.OVERWRITE_DEADLINES.REMINDER_LEAD_HOURS
+      .map(hours => ({
+        id: `${group}-dvr${deadline.dvrIndex + 1}-tf${deadline.timeframeIndex + 1}-${hours}h`,
+        group,
+        at: deadline.deadline.getTime() - hours * 60 * 60 * 1000,
+        title: getDeadlineTitle(deadline, occNumber),
+        body: `About ${hours} hours until footage is overwritten (${formatDateTime(deadline.deadline)})`,
+        url
+      }))
+      .filter(reminder => reminder.at > now.getTime())
+  );
+}
+
+/**
+ * Ask for notification permission and hand the reminders to the service worker
+ * Reminders for the same occurrence replace any scheduled earlier
+ * @param {Object} formData - Collected recovery form data
+ * @returns {Promise<boolean>} True if reminders were scheduled
+ */
+export async function scheduleDeadlineReminders(formData) {
+  if (typeof Notification === 'undefined' || !('serviceWorker' in navigator)) {
+    showToast(CONFIG.MESSAGES.REMINDERS_UNSUPPORTED, 'warning');
+    return false;
+  }
+
+  const reminders = buildDeadlineReminders(formData);
+  if (reminders.length === 0) {
+    showToast(CONFIG.MESSAGES.DEADLINES_NONE, 'warning');
+    return false;
+  }
+
+  const permission = await Notification.requestPermission();
+  if (permission !== 'granted') {
+    showToast(CONFIG.MESSAGES.REMINDERS_BLOCKED, 'warning');
+    return false;
+  }
+
+  try {
+    const registration = await navigator.serviceWorker.ready;
+    registration.active.postMessage({ type: SCHEDULE_MESSAGE, group: reminders[0].group, reminders });
+
+    // Lets the browser wake the service worker to show reminders while no page is open
+    if (registration.periodicSync) {
+      await registration.periodicSync.register(CONFIG.OVERWRITE_DEADLINES.REMINDER_SYNC_TAG, {
+        minInterval: 60 * 60 * 1000
+      }).catch(error => console.warn('[Reminders] Periodic sync not available:', error));
+    }
+  } catch (error) {
+    console.error('[Reminders] Could not schedule reminders:', error);
+    showToast(CONFIG.MESSAGES.REMINDERS_UNSUPPORTED, 'warning');
+    return false;
+  }
+
+  showToast(CONFIG.MESSAGES.REMINDERS_SCHEDULED.replace('{count}', reminders.length), 'success');
+  return true;
+}
+
+/**
+ * Ask the service worker to show any reminders that came due while it was idle
+ * Called on page load from initPWA()
+ */
+export async function checkDeadlineReminders() {
+  if (!('serviceWorker' in navigator)) return;
+
+  try {
+    const registration = await navigator.serviceWorker.ready;
+    registration.active?.postMessage({ type: CHECK_MESSAGE });
+  } catch (error) {
+    console.warn('[Reminders] Reminder check failed:', error);
+  }
+}
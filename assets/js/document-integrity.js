@@ -0,0 +1,153 @@
+/**
+ * Document Integrity
+ * Content hash for submitted requests, so a PDF or JSON copy in a
+ * disclosure package can be checked against the stored record later
+ *
+ * The hash is SHA-256 over the canonical form of the JSON from
+ * generateJSON() - keys sorted, no whitespace - so it survives
+ * re-formatting of the file but not any change to its content. It is
+ * printed in the PDF footer, written into the PDF Info dictionary and
+ * stored with the row (content_hash)
+ */
+
+import { sha256Hex } from './utils.js';
+
+// PDF Info dictionary keys (pdfmake keeps custom keys as given)
+export const PDF_INFO_KEYS = Object.freeze({
+  SUBMISSION_ID: 'SubmissionId',
+  CONTENT_HASH: 'ContentHash'
+});
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Serialise a JSON value canonically: object keys sorted, no whitespace
+ * @param {*} value - Parsed JSON value
+ * @returns {string}
+ */
+export function canonicalJSON(value) {
+  if (value === null || typeof value !== 'object') {
+    return JSON.stringify(value);
+  }
+
+  if (Array.isArray(value)) {
+    return `[${value.map(item => canonicalJSON(item ?? null)).join(',')}]`;
+  }
+
+  const entries = Object.keys(value)
+    .filter(key => value[key] !== undefined)
+    .sort()
+    .map(key => `${JSON.stringify(key)}:${canonicalJSON(value[key])}`);
+
+  return `{${entries.join(',')}}`;
+}
+
+/**
+ * Content hash of a JSON document
+ * @param {Blob|string} json - JSON from generateJSON(), or its text
+ * @returns {Promise<string>} SHA-256 hex of the canonical JSON
+ */
+export async function getContentHash(json) {
+  const text = typeof json === 'string' ? json : await json.text();
+  return sha256Hex(canonicalJSON(JSON.parse(text)));
+}
+
+/**
+ * Check a submission ID looks like one this app generates
+ * @param {*} value
+ * @returns {boolean}
+ */
+export function isSubmissionId(value) {
+  return typeof value === 'string' && UUID_PATTERN.test(value);
+}
+
+/**
+ * Read one string entry from a PDF Info dictionary
+ * pdfmake writes each value as an indirect object ("/Key 15 0 R"); a
+ * direct string ("/Key (value)") is read too
+ * @param {string} text - PDF bytes as latin1 text
+ * @param {string} key - Info key
+ * @returns {string|null}
+ */
+function readPdfInfoString(text, key) {
+  const entry = text.match(new RegExp(`/${key}\\s*(?:\\(([^)]*)\\)|(\\d+)\\s+(\\d+)\\s+R)`));
+  if (!entry) return null;
+  if (entry[1] !== undefined) return entry[1];
+
+  const object = text.match(new RegExp(`(?:^|\\s)${entry[2]}\\s+${entry[3]}\\s+obj\\s*\\(([^)]*)\\)`));
+  return object ? object[1] : null;
+}
+
+/**
+ * Read the submission ID and content hash a request PDF was generated with
+ * @param {ArrayBuffer|Uint8Array} bytes - PDF file contents
+ * @returns {{ submissionId: string|null, contentHash: string|null }}
+ */
+export function readPdfIntegrity(bytes) {
+  const text = new TextDecoder('latin1').decode(bytes);
+  const submissionId = readPdfInfoString(text, PDF_INFO_KEYS.SUBMISSION_ID);
+  const contentHash = readPdfInfoString(text, PDF_INFO_KEYS.CONTENT_HASH);
+
+  return {
+    submissionId: isSubmissionId(submissionId) ? submissionId : null,
+    contentHash: /^[0-9a-f]{64}$/.test(contentHash || '') ? contentHash : null
+  };
+}
+
+/**
+ * Work out what a dropped file is and the hashes needed to verify it
+ * PDFs are compared byte for byte with the stored copy; JSON is compared
+ * by content hash
+ * @param {Blob} file - PDF or JSON file
+ * @returns {Promise<Object>} { kind: 'pdf'|'json'|'unknown', submissionId, contentHash, fileHash }
+ */
+export async function inspectDocument(file) {
+  const bytes = new Uint8Array(await file.arrayBuffer());
+  const fileHash = await sha256Hex(file);
+
+  if (new TextDecoder('latin1').decode(bytes.subarray(0, 5)) === '%PDF-') {
+    return { kind: 'pdf', ...readPdfIntegrity(bytes), fileHash };
+  }
+
+  let document;
+  try {
+    document = JSON.parse(new TextDecoder().decode(bytes));
+  } catch (error) {
+    return { kind: 'unknown', submissionId: null, contentHash: null, fileHash };
+  }
+
+  const submissionId = document?.metadata?.submissionId;
+  return {
+    kind: 'json',
+    submissionId: isSubmissionId(submissionId) ? submissionId : null,
+    contentHash: await sha256Hex(canonicalJSON(document)),
+    fileHash
+  };
+}
+
+/**
+ * Compare an inspected file with the stored record
+ * @param {Object} inspection - From inspectDocument()
+ * @param {Object|null} record - form_submissions row (id, content_hash, attachments)
+ * @returns {Object} { status, computedHash, storedHash } - status is 'match', 'mismatch',
+ *   'not-found', 'unreadable', or 'no-hash' for records stored before hashes were kept
+ */
+export function compareWithRecord(inspection, record) {
+  if (inspection.kind === 'unknown') {
+    return { status: 'unreadable', computedHash: null, storedHash: null };
+  }
+
+  const computedHash = inspection.kind === 'pdf' ? inspection.fileHash : inspection.contentHash;
+  if (!record) {
+    return { status: 'not-found', computedHash, storedHash: null };
+  }
+
+  const storedHash = inspection.kind === 'pdf'
+    ? record.attachments?.find(attachment => attachment.type === 'pdf')?.sha256 || null
+    : record.content_hash || null;
+
+  let status = storedHash === computedHash ? 'match' : 'mismatch';
+  if (!storedHash) status = 'no-hash';
+
+  return { status, computedHash, storedHash };
+}
@@ -0,0 +1,105 @@
+/**
+ * Draft Manager
+ * Lists, loads, renames and deletes the saved drafts for a form type
+ * Opened from the header draft button
+ */
+
+import { listDrafts, renameDraft, clearDraft } from './storage.js';
+import { createElement, escapeHtml } from './utils.js';
+import { showContentModal, showPromptModal, showConfirmModal, dismissModal } from './notifications.js';
+
+/**
+ * Open the draft manager modal
+ * @param {Object} options - Manager configuration
+ * @param {string} options.formType - Form type whose drafts to show
+ * @param {string|null} options.activeDraftId - Draft currently being edited
+ * @param {Function} options.onLoad - Called with the draft ID to load
+ * @param {Function} options.onChange - Called after a draft is renamed or deleted
+ * @returns {Promise<void>} Resolves when the manager closes
+ */
+export async function openDraftManager({ formType, activeDraftId = null, onLoad, onChange }) {
+  const drafts = listDrafts(formType);
+
+  const list = createElement('ul', { className: 'draft-manager-list' });
+
+  drafts.forEach(draft => {
+    const isActive = draft.id === activeDraftId;
+
+    const info = createElement('div', { className: 'draft-manager-info' }, [
+      createElement('div', { className: 'draft-manager-label' }, draft.label),
+      createElement('div', { className: 'draft-manager-meta' },
+        `Edited ${draft.age}${isActive ? ' · current' : ''}`)
+    ]);
+
+    const loadBtn = createElement('button', {
+      type: 'button',
+      className: 'btn btn-primary btn-sm',
+      onclick: () => {
+        dismissModal();
+        onLoad(draft.id);
+      }
+    }, 'Load');
+
+    const renameBtn = createElement('button', {
+      type: 'button',
+      className: 'btn btn-secondary btn-sm',
+      onclick: () => handleRename(draft)
+    }, 'Rename');
+
+    const deleteBtn = createElement('button', {
+      type: 'button',
+      className: 'btn btn-danger btn-sm',
+      onclick: () => handleDelete(draft)
+    }, 'Delete Draft');
+
+    // Don't offer to load the draft that's already open
+    const actions = createElement('div', { className: 'draft-manager-actions' },
+      [isActive ? null : loadBtn, renameBtn, deleteBtn]);
+
+    list.appendChild(createElement('li', {
+      className: `draft-manager-item${isActive ? ' is-active' : ''}`,
+      dataset: { draftId: draft.id }
+    }, [info, actions]));
+  });
+
+  const reopen = () => {
+    onChange?.();
+    if (listDrafts(formType).length > 0) {
+      openDraftManager({ formType, activeDraftId, onLoad, onChange });
+    }
+  };
+
+  const handleRename = async (draft) => {
+    const name = await showPromptModal({
+      title: 'Rename Draft',
+      message: 'Leave blank to use the occurrence number.',
+      value: draft.name || '',
+      placeholder: draft.occNumber || 'Draft name'
+    });
+
+    if (name !== null) {
+      renameDraft(formType, draft.id, name);
+    }
+    reopen();
+  };
+
+  const handleDelete = async (draft) => {
+    const confirmed = await showConfirmModal({
+      title: 'Delete Draft',
+      message: `Delete the draft "${escapeHtml(draft.label)}"?\n\nThis cannot be undone.`,
+      confirmText: 'Delete Draft',
+      cancelText: 'Cancel',
+      type: 'warning'
+    });
+
+    if (confirmed) {
+      clearDraft(formType, draft.id);
+    }
+    reopen();
+  };
+
+  await showContentModal({
+    title: `Saved Drafts (${drafts.length})`,
+    content: list
+  });
+}
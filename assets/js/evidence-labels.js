@@ -0,0 +1,148 @@
+/**
+ * Evidence Labels
+ * Printable adhesive label sheets for evidence bags and media from the
+ * upload and recovery forms. Where there is a request page, each label
+ * carries the request code (see request-code.js), so the bag can be
+ * scanned back to its request
+ *
+ * @module evidence-labels
+ */
+
+import { CONFIG } from './config.js';
+import { estimateRecoveryStorage, recommendStorageMedia } from './calculations.js';
+import { buildRequestCode, hasRequestPage } from './request-code.js';
+import { generateEvidenceLabelsPDF } from './pdf-generator.js';
+import { showContentModal, dismissModal } from './notifications.js';
+import { createElement, showToast, downloadBlob } from './utils.js';
+
+/**
+ * Media type as entered, with "Other" replaced by the typed value
+ * @param {Object} formData - Collected form data
+ * @returns {string}
+ */
+function getMediaType(formData) {
+  if (formData.mediaType === 'Other') return formData.mediaTypeOther || '';
+  if (formData.mediaType === '_placeholder_') return '';
+  return formData.mediaTypeDisplay || formData.mediaType || '';
+}
+
+/**
+ * Work out the labels for a request - one for an upload, one per DVR for
+ * a recovery (labelled with the media recommended for that DVR's footage)
+ * @param {Object} formData - Collected form data
+ * @param {string} formType - 'upload' or 'recovery'
+ * @param {string|null} submissionId - ID the request will be submitted under
+ * @returns {Array<Object>} { occNumber, evidenceBag, lockerNumber, mediaType, caption, code }
+ *   (code null when there is no request page)
+ */
+export function getEvidenceLabels(formData, formType, submissionId = null) {
+  const base = {
+    occNumber: formData.occNumber || '',
+    evidenceBag: formData.evidenceBag || '',
+    lockerNumber: formData.lockerNumber || '',
+    code: hasRequestPage() ? buildRequestCode({ submissionId, occNumber: formData.occNumber, formType }) : null
+  };
+
+  if (formType !== CONFIG.FORM_TYPES.RECOVERY) {
+    return [{ ...base, mediaType: getMediaType(formData), caption: CONFIG.FORM_TITLES[formType.toUpperCase()] }];
+  }
+
+  const { dvrs } = estimateRecoveryStorage(formData);
+
+  return (formData.dvrGroups || []).map((dvr, index) => ({
+    ...base,
+    mediaType: dvrs[index]?.gigabytes > 0 ? recommendStorageMedia(dvrs[index].gigabytes).mediaType : '',
+    caption: `DVR ${index + 1}${dvr.dvrMakeModel ? ` - ${dvr.dvrMakeModel}` : ''}`
+  }));
+}
+
+/**
+ * Repeat each label for the number of copies wanted
+ * @param {Array<Object>} labels - From getEvidenceLabels()
+ * @param {number} copies - Copies of each label
+ * @returns {Array<Object>}
+ */
+export function repeatLabels(labels, copies) {
+  return labels.flatMap(label => Array.from({ length: copies }, () => label));
+}
+
+/**
+ * Clamp a number input to its range
+ * @param {HTMLInputElement} input
+ * @returns {number}
+ */
+function readNumber(input) {
+  const value = parseInt(input.value, 10) || 1;
+  return Math.min(Math.max(value, parseInt(input.min, 10)), parseInt(input.max, 10));
+}
+
+/**
+ * Ask for the sheet layout and download the label PDF
+ * @param {Object} formData - Collected form data
+ * @param {string} formType - 'upload' or 'recovery'
+ * @param {string|null} submissionId - ID the request will be submitted under
+ */
+export async function printEvidenceLabels(formData, formType, submissionId = null) {
+  if (!formData.occNumber) {
+    showToast(CONFIG.MESSAGES.EVIDENCE_LABELS_NO_OCC, 'warning');
+    return;
+  }
+
+  const labels = getEvidenceLabels(formData, formType, submissionId);
+  const { LAYOUTS, DEFAULT_LAYOUT, MAX_COPIES } = CONFIG.EVIDENCE_LABELS;
+
+  const layoutSelect = createElement('select', { className: 'form-control', 'aria-label': 'Label sheet' },
+    Object.entries(LAYOUTS).map(([key, layout]) => createElement('option', { value: key }, layout.name)));
+  layoutSelect.value = DEFAULT_LAYOUT;
+
+  const copiesInput = createElement('input', {
+    type: 'number', className: 'form-control', min: 1, max: MAX_COPIES, value: 1, 'aria-label': 'Copies of each label'
+  });
+  const startInput = createElement('input', {
+    type: 'number', className: 'form-control', min: 1, value: 1, 'aria-label': 'Start at label'
+  });
+
+  // Part-used sheets: the first free label can be anywhere on the sheet
+  const updateStartMax = () => {
+    const layout = LAYOUTS[layoutSelect.value];
+    startInput.max = layout.columns * layout.rows;
+    startInput.value = readNumber(startInput);
+  };
+  layoutSelect.addEventListener('change', updateStartMax);
+  updateStartMax();
+
+  const downloadBtn = createElement('button', {
+    type: 'button',
+    className: 'btn btn-primary',
+    onclick: async () => {
+      downloadBtn.disabled = true;
+      try {
+        const blob = await generateEvidenceLabelsPDF(
+          repeatLabels(labels, readNumber(copiesInput)), layoutSelect.value, readNumber(startInput));
+        downloadBlob(blob, `FVU_Labels_${formData.occNumber}.pdf`);
+        dismissModal();
+      } catch (error) {
+        console.error('Error generating labels:', error);
+        showToast(CONFIG.MESSAGES.EVIDENCE_LABELS_ERROR, 'error');
+        downloadBtn.disabled = false;
+      }
+    }
+  }, 'Download Labels');
+
+  const field = (text, input) => createElement('label', { className: 'form-label d-block mt-2' }, [
+    createElement('span', {}, text),
+    input
+  ]);
+
+  await showContentModal({
+    title: 'Print Evidence Labels',
+    content: createElement('div', { className: 'evidence-label-options' }, [
+      createElement('p', {}, `${labels.length} label${labels.length === 1 ? '' : 's'} for ${formData.occNumber}.` +
+        (labels[0]?.code ? ' Each QR code opens this request once it is submitted.' : '')),
+      field('Label sheet', layoutSelect),
+      field('Copies of each label', copiesInput),
+      field('Start at label (for part-used sheets)', startInput),
+      createElement('div', { className: 'mt-3' }, downloadBtn)
+    ])
+  });
+}
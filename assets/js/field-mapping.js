@@ -0,0 +1,58 @@
+/**
+ * Field Mapping
+ * Translates collected form data into the third-party (FAT) field values
+ * Shared by every submission transport - pure, never mutates its input
+ */
+
+// Map occType to fat_occTypes table IDs
+// Our forms only use: Homicide (1), Missing Person (2)
+export const OCC_TYPE_IDS = Object.freeze({
+  'homicide': '1',
+  'missing person': '2'
+});
+
+// fat_servicing table ID for "Homicide and Missing Persons"
+export const REQ_AREA_ID = '36';
+
+// rfsHeader (File Desc) by form type
+export const RFS_HEADERS = Object.freeze({
+  'upload': 'FVU Upload Request',
+  'analysis': 'FVU Analysis Request',
+  'recovery': 'FVU Recovery Request',
+  'canvass': 'FVU Canvass Log'
+});
+
+// ticketStatus (Request Type) by form type
+// Maps to fat_rfs_types table:
+// 1 = Video Analysis, 2 = Video Extraction, 4 = Video Upload
+// Canvass logs lead to extractions, so they file as Video Extraction
+export const TICKET_STATUS_IDS = Object.freeze({
+  'analysis': '1',
+  'recovery': '2',
+  'upload': '4',
+  'canvass': '2'
+});
+
+/**
+ * Map form data to submission fields
+ * @param {Object} formData - Collected form data
+ * @returns {Object} New object with rfsDetails, occType, reqArea, rfsHeader and ticketStatus set
+ */
+export function mapSubmissionFields(formData) {
+  const mapped = { ...formData };
+
+  // Map requestDetails to rfsDetails for third-party
+  if (formData.requestDetails) {
+    mapped.rfsDetails = formData.requestDetails;
+  }
+
+  // Convert occType text to ID, default to 1 (Homicide)
+  const occTypeKey = (formData.occType || '').toLowerCase().trim();
+  mapped.occType = OCC_TYPE_IDS[occTypeKey] || '1';
+
+  mapped.reqArea = REQ_AREA_ID;
+  mapped.rfsHeader = RFS_HEADERS[formData.formType] || 'FVU Request';
+  mapped.ticketStatus = TICKET_STATUS_IDS[formData.formType] || '1';
+
+  return mapped;
+}
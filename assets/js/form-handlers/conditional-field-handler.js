@@ -36,4 +36,65 @@ export class ConditionalFieldHandler {
       }
     });
   }
+
+  /**
+   * Setup a group that is shown only while a select has a given value
+   * Fields in the group are cleared when it is hidden
+   * @param {string} selectId - ID of the controlling select
+   * @param {string} groupId - ID of the group container
+   * @param {string} value - Value that shows the group
+   */
+  setupShowWhen(selectId, groupId, value) {
+    const select = document.getElementById(selectId);
+    const group = document.getElementById(groupId);
+
+    if (!select || !group) return;
+
+    select.addEventListener('change', (e) => {
+      const show = e.target.value === value;
+      toggleElement(group, show);
+
+      if (!show) {
+        group.querySelectorAll('.form-control').forEach(field => {
+          field.value = '';
+          this.formHandler.showFieldValidation(field, null);
+        });
+      }
+    });
+  }
+
+  /**
+   * Setup "Is the Time & Date correct?" radios
+   * "Yes" shows the warning (if any) and hides and clears the time offset;
+   * "No" shows the time offset
+   * @param {string} radioName - Name of the Yes/No radios
+   * @param {string} warningId - ID of the warning shown for "Yes"
+   * @param {string} offsetGroupId - ID of the time offset group
+   * @param {string} offsetFieldId - ID of the time offset input
+   * @param {boolean} offsetRequired - Whether the offset is required when shown
+   */
+  setupTimeSync(radioName, warningId, offsetGroupId, offsetFieldId, offsetRequired) {
+    const radios = this.formHandler.form.querySelectorAll(`[name="${radioName}"]`);
+    const warning = document.getElementById(warningId);
+    const offsetGroup = document.getElementById(offsetGroupId);
+    const offsetField = document.getElementById(offsetFieldId);
+
+    if (!radios.length || !offsetGroup || !offsetField) return;
+
+    radios.forEach(radio => {
+      radio.addEventListener('change', (e) => {
+        const isCorrect = e.target.value === 'Yes';
+        toggleElement(warning, isCorrect);
+        toggleElement(offsetGroup, !isCorrect);
+
+        if (isCorrect) {
+          offsetField.removeAttribute('required');
+          offsetField.value = '';
+          this.formHandler.showFieldValidation(offsetField, null);
+        } else if (offsetRequired) {
+          offsetField.setAttribute('required', 'required');
+        }
+      });
+    });
+  }
 }
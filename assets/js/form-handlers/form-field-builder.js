@@ -5,6 +5,31 @@
 
 import { CONFIG } from '../config.js';
 import { createElement } from '../utils.js';
+import { parseTimeOffset, formatTimeOffset, calculateClockOffset } from '../calculations.js';
+import {
+  getRowFields,
+  getChildSections,
+  getSchemaFields,
+  getOtherFieldName,
+  getIndexedName,
+  getEntrySuffix,
+  getChildSuffix
+} from '../form-schema.js';
+import { OCCURRENCE_NUMBER_FIELD, LOCKER_NUMBER_FIELD, INVESTIGATOR_SECTION } from '../form-schemas/common.js';
+import { ANALYSIS_SCHEMA } from '../form-schemas/analysis.js';
+import { UPLOAD_SCHEMA } from '../form-schemas/upload.js';
+import { RECOVERY_SCHEMA } from '../form-schemas/recovery.js';
+import { addScanButton } from '../barcode-scanner.js';
+
+/**
+ * Find a field in a form schema by name
+ * @param {Object} schema - Form schema
+ * @param {string} name - Field name
+ * @returns {Object} Schema field
+ */
+function findField(schema, name) {
+  return getSchemaFields(schema).find(field => field.name === name);
+}
 
 export class FormFieldBuilder {
   // =========================================================================
@@ -29,7 +54,7 @@ export class FormFieldBuilder {
   /**
    * Create text input field
    * @param {string} baseName - Field base name
-   * @param {number} index - Field index (0 for first)
+   * @param {number|string} index - Field index (0 for first)
    * @param {string} label - Field label text
    * @param {boolean} required - Whether field is required
    * @param {string} helpText - Help text below field
@@ -37,7 +62,7 @@ export class FormFieldBuilder {
    * @returns {HTMLElement} Form group element
    */
   static createTextField(baseName, index, label, required, helpText = '', placeholder = '') {
-    const fieldName = index === 0 ? baseName : `${baseName}_${index}`;
+    const fieldName = getIndexedName(baseName, index);
     const fieldId = fieldName;
 
     const group = createElement('div', { className: 'form-group' });
@@ -76,7 +101,7 @@ export class FormFieldBuilder {
   /**
    * Create textarea field
    * @param {string} baseName - Field base name
-   * @param {number} index - Field index (0 for first)
+   * @param {number|string} index - Field index (0 for first)
    * @param {string} label - Field label text
    * @param {boolean} required - Whether field is required
    * @param {string} placeholder - Placeholder text
@@ -84,7 +109,7 @@ export class FormFieldBuilder {
    * @returns {HTMLElement} Form group element
    */
   static createTextareaField(baseName, index, label, required, placeholder = '', rows = 4) {
-    const fieldName = index === 0 ? baseName : `${baseName}_${index}`;
+    const fieldName = getIndexedName(baseName, index);
     const fieldId = fieldName;
 
     const group = createElement('div', { className: 'form-group' });
@@ -117,14 +142,14 @@ export class FormFieldBuilder {
   /**
    * Create select field
    * @param {string} baseName - Field base name
-   * @param {number} index - Field index (0 for first)
+   * @param {number|string} index - Field index (0 for first)
    * @param {string} label - Field label text
    * @param {Array} options - Array of {value, text} options
    * @param {boolean} required - Whether field is required
    * @returns {HTMLElement} Form group element
    */
   static createSelectField(baseName, index, label, options, required) {
-    const fieldName = index === 0 ? baseName : `${baseName}_${index}`;
+    const fieldName = getIndexedName(baseName, index);
     const fieldId = fieldName;
 
     const group = createElement('div', { className: 'form-group' });
@@ -161,13 +186,13 @@ export class FormFieldBuilder {
   /**
    * Create phone input field with proper type and validation
    * @param {string} baseName - Field base name
-   * @param {number} index - Field index
+   * @param {number|string} index - Field index
    * @param {string} label - Field label
    * @param {boolean} required - Whether required
    * @returns {HTMLElement} Form group element
    */
   static createPhoneField(baseName, index, label, required) {
-    const fieldName = index === 0 ? baseName : `${baseName}_${index}`;
+    const fieldName = getIndexedName(baseName, index);
     const fieldId = fieldName;
 
     const group = createElement('div', { className: 'form-group' });
@@ -206,13 +231,13 @@ export class FormFieldBuilder {
   /**
    * Create email input field with Peel Police domain validation
    * @param {string} baseName - Field base name
-   * @param {number} index - Field index
+   * @param {number|string} index - Field index
    * @param {string} label - Field label
    * @param {boolean} required - Whether required
    * @returns {HTMLElement} Form group element
    */
   static createEmailField(baseName, index, label, required) {
-    const fieldName = index === 0 ? baseName : `${baseName}_${index}`;
+    const fieldName = getIndexedName(baseName, index);
     const fieldId = fieldName;
 
     const group = createElement('div', { className: 'form-group' });
@@ -251,14 +276,14 @@ export class FormFieldBuilder {
    * Uses type="text" for Flatpickr compatibility - Flatpickr will be initialized
    * by the form handler after DOM insertion.
    * @param {string} baseName - Field base name (e.g., 'videoStartTime')
-   * @param {number} index - Field index (0 for first, N for additional)
+   * @param {number|string} index - Field index (0 for first, N for additional)
    * @param {string} label - Field label text
    * @param {boolean} required - Whether field is required
    * @param {string} helpText - Optional help text below field
    * @returns {HTMLElement} Form group element
    */
   static createDateTimeField(baseName, index, label, required, helpText = '') {
-    const fieldName = index === 0 ? baseName : `${baseName}_${index}`;
+    const fieldName = getIndexedName(baseName, index);
     const fieldId = fieldName;
 
     const group = createElement('div', { className: 'form-group' });
@@ -298,14 +323,14 @@ export class FormFieldBuilder {
   /**
    * Create date input field
    * @param {string} baseName - Field base name
-   * @param {number} index - Field index
+   * @param {number|string} index - Field index
    * @param {string} label - Field label
    * @param {boolean} required - Whether required
    * @param {Object} options - Additional options (maxDate, etc.)
    * @returns {HTMLElement} Form group element
    */
   static createDateField(baseName, index, label, required, options = {}) {
-    const fieldName = index === 0 ? baseName : `${baseName}_${index}`;
+    const fieldName = getIndexedName(baseName, index);
     const fieldId = fieldName;
 
     const group = createElement('div', { className: 'form-group' });
@@ -336,17 +361,65 @@ export class FormFieldBuilder {
     return group;
   }
 
+  /**
+   * Create radio button group
+   * @param {string} baseName - Field base name
+   * @param {number|string} index - Field index (0 for first), or an entry name suffix
+   * @param {string} label - Field label text
+   * @param {Array} options - Array of {value, text, id} options (id defaults to "{baseName}{value}")
+   * @param {boolean} required - Whether field is required
+   * @param {string} helpText - Help text above the options
+   * @returns {HTMLElement} Form group element
+   */
+  static createRadioField(baseName, index, label, options, required, helpText = '') {
+    const fieldName = getIndexedName(baseName, index);
+
+    const group = createElement('div', { className: 'form-group' });
+
+    const labelEl = createElement('label', { className: 'form-label' });
+    labelEl.innerHTML = label + (required ? ' <span class="required">*</span>' : '');
+    group.appendChild(labelEl);
+
+    if (helpText) {
+      group.appendChild(createElement('small', { className: 'form-text mb-2 d-block' }, helpText));
+    }
+
+    options.forEach(option => {
+      const optionId = getIndexedName(option.id || `${baseName}${option.value}`, index);
+      const input = createElement('input', {
+        className: 'form-check-input',
+        type: 'radio',
+        name: fieldName,
+        id: optionId,
+        value: option.value
+      });
+
+      if (required) {
+        input.setAttribute('required', 'required');
+      }
+
+      group.appendChild(createElement('div', { className: 'form-check' }, [
+        input,
+        createElement('label', { className: 'form-check-label', htmlFor: optionId }, option.text)
+      ]));
+    });
+
+    group.appendChild(createElement('div', { className: 'invalid-feedback' }));
+
+    return group;
+  }
+
   /**
    * Create "Other" conditional field - hidden by default
    * @param {string} baseName - Field base name (e.g., 'offenceTypeOther')
-   * @param {number} index - Field index
+   * @param {number|string} index - Field index
    * @param {string} labelPrefix - Label prefix (e.g., 'Offence Type' -> "Specify Offence Type")
    * @returns {HTMLElement} Form group element with d-none class
    */
   static createOtherField(baseName, index, labelPrefix) {
-    const fieldName = index === 0 ? baseName : `${baseName}_${index}`;
+    const fieldName = getIndexedName(baseName, index);
     const fieldId = fieldName;
-    const groupId = index === 0 ? `${baseName}Group` : `${baseName}Group_${index}`;
+    const groupId = getIndexedName(`${baseName}Group`, index);
 
     const group = createElement('div', {
       className: 'form-group d-none',
@@ -380,32 +453,7 @@ export class FormFieldBuilder {
    * @returns {HTMLElement} Form group element
    */
   static createOccurrenceNumberField() {
-    const group = createElement('div', { className: 'form-group' });
-
-    const label = createElement('label', {
-      htmlFor: 'occNumber',
-      className: 'form-label'
-    });
-    label.innerHTML = 'Occurrence Number <span class="required">*</span>';
-
-    const input = createElement('input', {
-      type: 'text',
-      className: 'form-control',
-      id: 'occNumber',
-      name: 'occNumber',
-      placeholder: 'PR2024001234',
-      required: 'required'
-    });
-
-    const small = createElement('small', { className: 'form-text' },
-      'Must start with PR followed by numbers');
-
-    group.appendChild(label);
-    group.appendChild(input);
-    group.appendChild(small);
-    group.appendChild(createElement('div', { className: 'invalid-feedback' }));
-
-    return group;
+    return this.createSchemaField(OCCURRENCE_NUMBER_FIELD);
   }
 
   /**
@@ -413,215 +461,322 @@ export class FormFieldBuilder {
    * @returns {HTMLElement} Form group element
    */
   static createLockerNumberField() {
-    const group = createElement('div', { className: 'form-group' });
-
-    const label = createElement('label', {
-      htmlFor: 'lockerNumber',
-      className: 'form-label'
-    }, 'FVU Locker #');
-
-    const input = createElement('input', {
-      type: 'text',
-      className: 'form-control',
-      id: 'lockerNumber',
-      name: 'lockerNumber',
-      placeholder: '1-28',
-      inputmode: 'numeric'
-    });
-    // Note: lockerNumber is OPTIONAL - no required attribute
-
-    const small = createElement('small', { className: 'form-text' },
-      'Enter locker number (1-28)');
-
-    group.appendChild(label);
-    group.appendChild(input);
-    group.appendChild(small);
-    group.appendChild(createElement('div', { className: 'invalid-feedback' }));
-
-    return group;
+    return this.createSchemaField(LOCKER_NUMBER_FIELD);
   }
 
   // =========================================================================
-  // ANALYSIS FORM SECTION BUILDERS
+  // SCHEMA BUILDERS (see form-schema.js for the schema format)
   // =========================================================================
 
   /**
-   * Create occurrence date field (Date of Occurrence)
+   * Create a field from a schema field definition
+   * Fields with an `other` option are followed by their hidden "Other" field
+   * by appendSchemaRows, not here
+   * @param {Object} field - Schema field
+   * @param {number|string} index - Entry index for repeatable sections (0 for first), or the entry's name suffix
    * @returns {HTMLElement} Form group element
    */
-  static createOccurrenceDateField() {
-    const group = createElement('div', { className: 'form-group' });
+  static createSchemaField(field, index = 0) {
+    const required = Boolean(field.required);
+    let group;
+
+    switch (field.type) {
+      case 'textarea':
+        group = this.createTextareaField(field.name, index, field.label, required, field.placeholder, field.rows);
+        break;
+      case 'select':
+        group = this.createSelectField(field.name, index, field.label, field.options, required);
+        break;
+      case 'radio':
+        group = this.createRadioField(field.name, index, field.label, field.options, required, field.help);
+        break;
+      case 'timeSync':
+        return this.createTimeSyncGroup(field, index);
+      case 'phone':
+        group = this.createPhoneField(field.name, index, field.label, required);
+        break;
+      case 'email':
+        group = this.createEmailField(field.name, index, field.label, required);
+        break;
+      case 'date':
+        group = this.createDateField(field.name, index, field.label, required);
+        break;
+      case 'datetime':
+        group = this.createDateTimeField(field.name, index, field.label, required, field.help);
+        break;
+      default:
+        group = this.createTextField(field.name, index, field.label, required, field.help, field.placeholder);
+    }
 
-    const label = createElement('label', {
-      htmlFor: 'occDate',
-      className: 'form-label'
-    });
-    label.innerHTML = 'Date of Occurrence <span class="required">*</span>';
+    const control = group.querySelector('.form-control');
+    if (control) {
+      Object.entries(field.attributes || {}).forEach(([key, value]) => control.setAttribute(key, value));
+      if (field.value !== undefined) control.value = field.value;
+    }
 
-    // Use type="text" for Flatpickr compatibility
-    // Flatpickr will be initialized by the form handler after DOM insertion
-    const input = createElement('input', {
-      type: 'text',
-      className: 'form-control',
-      id: 'occDate',
-      name: 'occDate',
-      required: 'required'
-    });
+    // Help text for the field types whose builder doesn't take it
+    if (field.help && !group.querySelector('.form-text')) {
+      const small = createElement('small', { className: 'form-text' }, field.help);
+      group.insertBefore(small, group.querySelector('.invalid-feedback'));
+    }
 
-    group.appendChild(label);
-    group.appendChild(input);
-    group.appendChild(createElement('div', { className: 'invalid-feedback' }));
+    // Retention days, filled in by the form handler
+    if (field.retention) {
+      group.appendChild(createElement('div', {
+        id: getIndexedName('retentionCalculation', index),
+        className: 'text-info mt-2'
+      }));
+    }
+
+    if (field.scan) addScanButton(group, field.rule);
 
     return group;
   }
 
   /**
-   * Create case information section for Analysis form
-   * @returns {HTMLElement} Section element with case fields
+   * Create a time sync field: Yes/No radios, the warning shown for "Yes" and
+   * the time offset shown for "No" (shown/hidden by the form handler)
+   * @param {Object} field - Schema field of type 'timeSync'
+   * @param {number|string} index - Entry index (0 for first), or the entry's name suffix
+   * @returns {HTMLElement} Container element
    */
-  static createCaseInformationSection() {
-    const section = createElement('section', { className: 'form-section' });
+  static createTimeSyncGroup(field, index) {
+    const container = createElement('div');
 
-    const heading = createElement('h2', {
-      style: 'color: var(--color-primary); margin-bottom: 1.5rem;'
-    }, 'Case Information');
-    section.appendChild(heading);
+    const group = this.createRadioField(field.name, index, field.label, field.options, Boolean(field.required), field.help);
+    container.appendChild(group);
 
-    // Row 1: Occurrence Number + Date of Occurrence
-    section.appendChild(this.createFormRow(
-      this.createOccurrenceNumberField(),
-      this.createOccurrenceDateField()
-    ));
+    if (field.warning) {
+      const warning = createElement('div', {
+        className: 'alert alert-warning d-none',
+        id: getIndexedName('timeSyncWarning', index),
+        style: 'margin-top: 1rem;'
+      });
+      warning.innerHTML = field.warning;
+      container.appendChild(warning);
+    }
 
-    // Row 2: Type of Offence (full width)
-    section.appendChild(this.createSelectField('offenceType', 0, 'Type of Offence', CONFIG.OFFENCE_TYPE_OPTIONS, true));
+    const offsetGroup = this.createTimeOffsetField(index, Boolean(field.offset.required));
+    const yesInput = group.querySelector('input[value="Yes"]');
+    yesInput.addEventListener('change', () => this.clearTimeOffsetField(offsetGroup));
+    container.appendChild(offsetGroup);
 
-    // Offence Type Other (hidden by default)
-    section.appendChild(this.createOtherField('offenceTypeOther', 0, 'Offence Type'));
+    return container;
+  }
 
-    return section;
+  /**
+   * Append a schema section's rows to a parent element
+   * @param {HTMLElement} parent - Element to append to
+   * @param {Object[]} rows - Schema rows
+   * @param {number|string} index - Entry index for repeatable sections (0 for first), or the entry's name suffix
+   */
+  static appendSchemaRows(parent, rows, index = 0) {
+    rows.forEach(item => {
+      if (item.element) {
+        parent.appendChild(createElement('div', {
+          id: getIndexedName(item.element, index),
+          className: item.className
+        }));
+        return;
+      }
+
+      const fields = getRowFields(item);
+      const groups = fields.map(field => this.createSchemaField(field, index));
+      const element = item.row ? this.createFormRow(...groups) : groups[0];
+
+      if (item.id) element.id = getIndexedName(item.id, index);
+      if (item.showWhen) element.classList.add('d-none');
+      parent.appendChild(element);
+
+      // "Other" fields (hidden by default) go below the row with their select
+      fields
+        .filter(field => field.other)
+        .forEach(field => parent.appendChild(this.createOtherField(getOtherFieldName(field), index, field.other.label)));
+    });
   }
 
   /**
-   * Create video source information section for Analysis form
-   * @returns {HTMLElement} Section element with video source fields
+   * Create a form section from a schema section
+   * @param {Object} sectionSchema - Schema section
+   * @returns {HTMLElement} Section element
    */
-  static createVideoSourceSection() {
+  static createSchemaSection(sectionSchema) {
     const section = createElement('section', { className: 'form-section' });
 
     const heading = createElement('h2', {
       style: 'color: var(--color-primary); margin-bottom: 1.5rem;'
-    }, 'Video Source Information');
+    }, sectionSchema.title);
     section.appendChild(heading);
 
-    // Row 1: Video Location + Video Seized From
-    section.appendChild(this.createFormRow(
-      this.createSelectField('videoLocation', 0, 'Where is the Video Currently Stored?', CONFIG.VIDEO_LOCATION_OPTIONS, true),
-      this.createTextField('videoSeizedFrom', 0, 'Video Seized From', false, 'Location/business where video was obtained')
-    ));
-
-    // Video Location Other (hidden by default)
-    section.appendChild(this.createOtherField('videoLocationOther', 0, 'Storage Location'));
+    this.appendSchemaRows(section, sectionSchema.rows || []);
+    this.appendSchemaChildren(section, sectionSchema, '', '');
 
-    // Locker Info Group (hidden by default, shows when "Locker" selected)
-    const lockerGroup = this.createFormRow(
-      this.createTextField('bagNumber', 0, 'Evidence Bag Number', false, 'Bag number containing the evidence'),
-      this.createLockerNumberField()
-    );
-    lockerGroup.classList.add('d-none');
-    lockerGroup.id = 'lockerInfoGroup';
-
-    section.appendChild(lockerGroup);
+    return section;
+  }
 
-    // Recording Date (with past date restriction)
-    section.appendChild(this.createDateField('recordingDate', 0, 'Original Recording Date', false, {
-      maxDate: 'today' // Prevent future dates
-    }));
+  /**
+   * Create one entry of a repeatable schema section
+   * @param {Object} sectionSchema - Schema section with `repeat`
+   * @param {number} index - Entry index (0 for first)
+   * @param {number} position - Entry number shown in the heading
+   * @param {Function} onRemove - Called with the entry element when removed (entries after the first)
+   * @param {Object} options
+   * @param {string} options.base - Name suffix of the entry this one is nested in ('' at the top level)
+   * @param {boolean} options.nested - Whether the entry is nested in another entry
+   * @returns {HTMLElement} Entry element
+   */
+  static createSchemaRepeatItem(sectionSchema, index, position, onRemove, { base = '', nested = false } = {}) {
+    const suffix = getEntrySuffix(base, index);
+    const childSuffix = getChildSuffix(sectionSchema, index, suffix);
+
+    const item = createElement('div', {
+      className: ['schema-repeat-item', sectionSchema.repeat.className].filter(Boolean).join(' '),
+      dataset: { groupIndex: index, repeatKey: sectionSchema.repeat.key, suffix, childSuffix },
+      style: nested
+        ? 'background: rgba(255,255,255,0.05); border-radius: var(--border-radius); padding: 1.5rem; margin-bottom: 1.5rem; border: 1px solid var(--border-color);'
+        : 'background: var(--glass-bg); border-radius: var(--border-radius); padding: 2rem; margin-bottom: 2rem; border: 2px solid var(--color-primary);'
+    });
 
-    // File Names (moved from Work Request section)
-    section.appendChild(this.createTextareaField('fileNames', 0, 'File Name(s)',
-      true, 'List the specific file names to be analyzed'));
+    const heading = nested
+      ? createElement('h4', {
+        className: 'schema-repeat-heading',
+        style: 'color: var(--color-secondary); margin-bottom: 1.5rem;'
+      }, `${sectionSchema.title} ${position}`)
+      : createElement('h2', {
+        className: 'schema-repeat-heading',
+        style: 'color: var(--color-primary); margin-bottom: 1.5rem; text-align: center; font-size: 1.5rem;'
+      }, `${sectionSchema.title} ${position}`);
+    item.appendChild(heading);
+
+    this.appendSchemaRows(item, sectionSchema.rows || [], suffix);
+    this.appendSchemaChildren(item, sectionSchema, suffix, childSuffix, onRemove);
+
+    // Remove button (only for index > 0)
+    if (index > 0) {
+      const removeBtn = createElement('button', {
+        type: 'button',
+        className: 'btn btn-danger',
+        style: 'margin-top: 1rem; width: 100%;',
+        onclick: () => onRemove(item)
+      }, `× Remove This ${sectionSchema.title}`);
+      item.appendChild(removeBtn);
+    }
 
-    return section;
+    return item;
   }
 
   /**
-   * Create work request section for Analysis form
-   * @returns {HTMLElement} Section element with work request fields
+   * Append a section's sub-sections to one of its entries
+   * A nested repeatable sub-section gets its first entry and an add button,
+   * which the form handler wires up
+   * @param {HTMLElement} parent - Entry (or section) element
+   * @param {Object} sectionSchema - Schema section
+   * @param {string} suffix - The entry's name suffix
+   * @param {string} childBase - Name suffix nested entries start from
+   * @param {Function} onRemove - Called with a nested entry element when removed
    */
-  static createWorkRequestSection() {
-    const section = createElement('section', { className: 'form-section' });
+  static appendSchemaChildren(parent, sectionSchema, suffix, childBase, onRemove) {
+    getChildSections(sectionSchema).forEach(child => {
+      if (child.repeat) {
+        const container = createElement('div', {
+          className: 'schema-repeat-container',
+          dataset: { repeatKey: child.repeat.key }
+        });
+        container.appendChild(this.createSchemaRepeatItem(child, 0, 1, onRemove, { base: childBase, nested: true }));
+        parent.appendChild(container);
+
+        const addBlock = createElement('div', { style: 'text-align: center; margin: 1.5rem 0;' }, [
+          createElement('button', {
+            type: 'button',
+            className: 'btn btn-secondary schema-repeat-add',
+            dataset: { repeatKey: child.repeat.key },
+            style: 'min-width: 200px;'
+          }, child.repeat.addLabel),
+          child.repeat.addHelp && createElement('small', { className: 'form-text d-block mt-2' }, child.repeat.addHelp)
+        ]);
+        parent.appendChild(addBlock);
+        return;
+      }
+
+      let target = parent;
+      if (child.title) {
+        target = createElement('section', { className: 'form-section' });
+        target.appendChild(createElement('h3', {
+          style: 'color: var(--color-primary); margin-bottom: 1.5rem;'
+        }, child.title));
+        parent.appendChild(target);
+      }
+
+      this.appendSchemaRows(target, child.rows || [], suffix);
+      this.appendSchemaChildren(target, child, suffix, childBase, onRemove);
+    });
+  }
 
-    const heading = createElement('h2', {
-      style: 'color: var(--color-primary); margin-bottom: 1.5rem;'
-    }, 'Work Request');
-    section.appendChild(heading);
+  // =========================================================================
+  // ANALYSIS FORM SECTION BUILDERS
+  // =========================================================================
 
-    // Service Required (with Other conditional) - moved to top
-    section.appendChild(this.createSelectField('serviceRequired', 0, 'Service Required',
-      CONFIG.SERVICE_REQUIRED_OPTIONS, true));
+  /**
+   * Get an Analysis form section from ANALYSIS_SCHEMA
+   * @param {string} id - Section id
+   * @returns {HTMLElement} Section element
+   */
+  static createAnalysisSection(id) {
+    return this.createSchemaSection(ANALYSIS_SCHEMA.sections.find(section => section.id === id));
+  }
 
-    // Service Required Other (hidden by default)
-    section.appendChild(this.createOtherField('serviceRequiredOther', 0, 'Service Type'));
+  /**
+   * Create case information section for Analysis form
+   * @returns {HTMLElement} Section element with case fields
+   */
+  static createCaseInformationSection() {
+    return this.createAnalysisSection('case');
+  }
 
-    // Request Details
-    section.appendChild(this.createTextareaField('requestDetails', 0, 'Request Details',
-      true, 'Provide detailed information about your request'));
+  /**
+   * Create video source information section for Analysis form
+   * @returns {HTMLElement} Section element with video source fields
+   */
+  static createVideoSourceSection() {
+    return this.createAnalysisSection('videoSource');
+  }
 
-    return section;
+  /**
+   * Create work request section for Analysis form
+   * @returns {HTMLElement} Section element with work request fields
+   */
+  static createWorkRequestSection() {
+    return this.createAnalysisSection('workRequest');
   }
 
   /**
-   * Create investigator section for Analysis form
+   * Create investigator section for Analysis and Upload forms
    * @returns {HTMLElement} Section element with investigator fields
    */
   static createInvestigatorSection() {
-    const section = createElement('section', { className: 'form-section' });
-
-    const heading = createElement('h2', {
-      style: 'color: var(--color-primary); margin-bottom: 1.5rem;'
-    }, 'Submitting Investigator Information');
-    section.appendChild(heading);
-
-    // Row 1: Name + Badge
-    section.appendChild(this.createFormRow(
-      this.createTextField('rName', 0, 'Submitting Investigator', true, '', 'Last name or full name'),
-      this.createTextField('badge', 0, 'Badge Number', true, '', 'Investigator badge number')
-    ));
-
-    // Row 2: Phone + Email
-    section.appendChild(this.createFormRow(
-      this.createPhoneField('requestingPhone', 0, 'Contact Phone', true),
-      this.createEmailField('requestingEmail', 0, 'Email Address', true)
-    ));
-
-    return section;
+    return this.createSchemaSection(INVESTIGATOR_SECTION);
   }
 
   // =========================================================================
   // RECOVERY FORM SECTION BUILDERS
   // =========================================================================
 
+  /**
+   * Get a Recovery form section from RECOVERY_SCHEMA
+   * @param {string} id - Section id
+   * @returns {HTMLElement} Section element
+   */
+  static createRecoverySection(id) {
+    return this.createSchemaSection(RECOVERY_SCHEMA.sections.find(section => section.id === id));
+  }
+
   /**
    * Create case information section for Recovery form
    * Note: Recovery uses free-text offenceType (not select like Analysis/Upload)
    * @returns {HTMLElement} Section element
    */
   static createRecoveryCaseSection() {
-    const section = createElement('section', { className: 'form-section' });
-
-    const heading = createElement('h2', {
-      style: 'color: var(--color-primary); margin-bottom: 1.5rem;'
-    }, 'Case Information');
-    section.appendChild(heading);
-
-    // Row: Occurrence Number + Offence Type (free text)
-    section.appendChild(this.createFormRow(
-      this.createOccurrenceNumberField(),
-      this.createTextField('offenceType', 0, 'Type of Offence', true, '', 'e.g., Robbery, Assault, Break and Enter')
-    ));
-
-    return section;
+    return this.createRecoverySection('case');
   }
 
   /**
@@ -630,27 +785,7 @@ export class FormFieldBuilder {
    * @returns {HTMLElement} Section element
    */
   static createRecoveryInvestigatorSection() {
-    const section = createElement('section', { className: 'form-section' });
-
-    const heading = createElement('h2', {
-      style: 'color: var(--color-primary); margin-bottom: 1.5rem;'
-    }, 'Submitting Investigator Information');
-    section.appendChild(heading);
-
-    // Row 1: Name + Badge
-    section.appendChild(this.createFormRow(
-      this.createTextField('rName', 0, 'Submitting Investigator', true, '', 'Last name or full name'),
-      this.createTextField('badge', 0, 'Badge Number', true)
-    ));
-
-    // Row 2: Unit + Phone
-    section.appendChild(this.createFormRow(
-      this.createTextField('unit', 0, 'Unit', true, '', 'Your unit/division'),
-      this.createPhoneField('requestingPhone', 0, 'Contact Number', true)
-    ));
-
-    // Row 3: Email (full width)
-    section.appendChild(this.createEmailField('requestingEmail', 0, 'Email Address', true));
+    const section = this.createRecoverySection('investigator');
 
     // Clear button
     const clearGroup = createElement('div', { className: 'form-group text-right' });
@@ -675,29 +810,7 @@ export class FormFieldBuilder {
    * @returns {HTMLElement} Section element
    */
   static createRecoveryLocationSection() {
-    const section = createElement('section', { className: 'form-section' });
-
-    const heading = createElement('h2', {
-      style: 'color: var(--color-primary); margin-bottom: 1.5rem;'
-    }, 'Location Information');
-    section.appendChild(heading);
-
-    // Row 1: Business Name + Address
-    section.appendChild(this.createFormRow(
-      this.createTextField('businessName', 0, 'Business Name', false, '', 'Leave blank if none'),
-      this.createTextField('locationAddress', 0, 'Location Address', true, '', 'Full street address')
-    ));
-
-    // Row 2: City (with Other conditional)
-    section.appendChild(this.createCityField(0));
-
-    // Row 3: Contact Person + Phone
-    section.appendChild(this.createFormRow(
-      this.createTextField('locationContact', 0, 'Contact Person', false, '', 'Name of the person to contact at location'),
-      this.createPhoneField('locationContactPhone', 0, 'Contact Phone', false)
-    ));
-
-    return section;
+    return this.createRecoverySection('location');
   }
 
   /**
@@ -705,731 +818,296 @@ export class FormFieldBuilder {
    * @returns {HTMLElement} Section element
    */
   static createIncidentDescriptionSection() {
-    const section = createElement('section', { className: 'form-section' });
-
-    const heading = createElement('h2', {
-      style: 'color: var(--color-primary); margin-bottom: 1.5rem;'
-    }, 'Incident Description');
-    section.appendChild(heading);
-
-    section.appendChild(this.createTextareaField('incidentDescription', 0,
-      'Description of Incident', true,
-      'Provide a detailed description of the incident and what video evidence is being sought'));
-
-    return section;
+    return this.createRecoverySection('incident');
   }
 
   // =========================================================================
-  // EXISTING METHODS (Upload/Recovery forms)
+  // UPLOAD/RECOVERY FIELD BUILDERS (single fields from the schemas)
   // =========================================================================
 
   /**
    * Create a location field (business name or address)
+   * @param {string} baseName - 'businessName' or 'locationAddress'
+   * @param {number} index - Location index (0 for first)
+   * @param {string} label - Field label text
+   * @param {boolean} required - Whether field is required
+   * @returns {HTMLElement} Form group element
    */
   static createLocationField(baseName, index, label, required) {
-    const fieldName = index === 0 ? baseName : `${baseName}_${index}`;
-    const fieldId = index === 0 ? baseName : `${baseName}_${index}`;
-
-    const group = createElement('div', { className: 'form-group' });
-
-    const labelEl = createElement('label', {
-      htmlFor: fieldId,
-      className: 'form-label'
-    });
-    labelEl.innerHTML = label + (required ? ' <span class="required">*</span>' : '');
-
-    const input = createElement('input', {
-      type: 'text',
-      className: 'form-control',
-      id: fieldId,
-      name: fieldName,
-      placeholder: baseName === 'businessName' ? 'Leave blank if none' : 'Full address',
-      required: required ? 'required' : null
-    });
-
-    group.appendChild(labelEl);
-    group.appendChild(input);
-
-    if (baseName === 'businessName') {
-      const small = createElement('small', { className: 'form-text' }, 'Name of the business where video was collected');
-      group.appendChild(small);
-    }
-
-    group.appendChild(createElement('div', { className: 'invalid-feedback' }));
-
-    return group;
+    return this.createSchemaField({ ...findField(UPLOAD_SCHEMA, baseName), label, required }, index);
   }
 
   /**
-   * Create a city select field with "Other" option
+   * Create a city select field with its hidden "Other" field
+   * @param {number} index - Location index (0 for first)
+   * @returns {HTMLElement} Wrapper element
    */
   static createCityField(index) {
-    const fieldName = index === 0 ? 'city' : `city_${index}`;
-    const fieldId = index === 0 ? 'city' : `city_${index}`;
-    const otherFieldName = index === 0 ? 'cityOther' : `cityOther_${index}`;
-    const otherFieldId = index === 0 ? 'cityOther' : `cityOther_${index}`;
-    const otherGroupId = index === 0 ? 'cityOtherGroup' : `cityOtherGroup_${index}`;
-
-    const cityGroup = createElement('div', { className: 'form-group' });
-
-    const label = createElement('label', {
-      htmlFor: fieldId,
-      className: 'form-label'
-    });
-    label.innerHTML = 'City <span class="required">*</span>';
-
-    const citySelect = createElement('select', {
-      className: 'form-control',
-      id: fieldId,
-      name: fieldName,
-      required: 'required'
-    });
-
-    CONFIG.CITY_OPTIONS.forEach(option => {
-      citySelect.appendChild(createElement('option', {
-        value: option.value
-      }, option.text));
-    });
-
-    cityGroup.appendChild(label);
-    cityGroup.appendChild(citySelect);
-    cityGroup.appendChild(createElement('div', { className: 'invalid-feedback' }));
-
-    // Other city field
-    const otherGroup = createElement('div', {
-      className: 'form-group d-none',
-      id: otherGroupId
-    });
-
-    const otherLabel = createElement('label', {
-      htmlFor: otherFieldId,
-      className: 'form-label'
-    });
-    otherLabel.innerHTML = 'Specify City <span class="required">*</span>';
-
-    const otherInput = createElement('input', {
-      type: 'text',
-      className: 'form-control',
-      id: otherFieldId,
-      name: otherFieldName,
-      placeholder: 'Enter city name'
-    });
-
-    otherGroup.appendChild(otherLabel);
-    otherGroup.appendChild(otherInput);
-    otherGroup.appendChild(createElement('small', { className: 'form-text' }, 'Please enter the city name'));
-    otherGroup.appendChild(createElement('div', { className: 'invalid-feedback' }));
-
     const wrapper = createElement('div');
-    wrapper.appendChild(cityGroup);
-    wrapper.appendChild(otherGroup);
-
+    this.appendSchemaRows(wrapper, [findField(UPLOAD_SCHEMA, 'city')], index);
     return wrapper;
   }
 
   /**
-   * Create a time field with Flatpickr (24-hour format)
-   * Uses type="text" for Flatpickr compatibility - Flatpickr will be initialized
-   * by the form handler after DOM insertion.
+   * Create time sync field (Is Time & Date correct?) for an Upload location
+   * @param {number} index - Location index (0 for first)
+   * @returns {HTMLElement} Container element
    */
-  static createTimeField(baseName, index, label, required) {
-    const fieldName = index === 0 ? baseName : `${baseName}_${index}`;
-    const fieldId = index === 0 ? baseName : `${baseName}_${index}`;
-
-    const group = createElement('div', { className: 'form-group' });
+  static createTimeSyncField(index) {
+    return this.createSchemaField(findField(UPLOAD_SCHEMA, 'isTimeDateCorrect'), index);
+  }
 
-    const labelEl = createElement('label', {
-      htmlFor: fieldId,
-      className: 'form-label'
-    });
-    labelEl.innerHTML = label + (required ? ' <span class="required">*</span>' : '');
-
-    // Use type="text" for Flatpickr compatibility
-    // Flatpickr will be initialized by the form handler after DOM insertion
-    const input = createElement('input', {
-      type: 'text',
-      className: 'form-control',
-      id: fieldId,
-      name: fieldName
-    });
-
-    if (required) {
-      input.setAttribute('required', 'required');
-    }
-
-    const small = createElement('small', { className: 'form-text' },
-      baseName.includes('Start') ? 'When the relevant video begins' : 'When the relevant video ends'
-    );
-
-    group.appendChild(labelEl);
-    group.appendChild(input);
-    group.appendChild(small);
-    group.appendChild(createElement('div', { className: 'invalid-feedback' }));
-
-    return group;
+  /**
+   * Create DVR earliest date field with retention calculation
+   * @param {number} index - Location index (0 for first)
+   * @returns {HTMLElement} Form group element
+   */
+  static createDvrDateField(index) {
+    return this.createSchemaField(findField(UPLOAD_SCHEMA, 'dvrEarliestDate'), index);
   }
 
   /**
-   * Create time sync field (Is Time & Date correct?)
+   * Create DVR make/model field
+   * @param {number} dvrIndex - DVR index (0 for first)
+   * @returns {HTMLElement} Form group element
    */
-  static createTimeSyncField(index) {
-    const fieldName = index === 0 ? 'isTimeDateCorrect' : `isTimeDateCorrect_${index}`;
-    const yesId = index === 0 ? 'timeCorrectYes' : `timeCorrectYes_${index}`;
-    const noId = index === 0 ? 'timeCorrectNo' : `timeCorrectNo_${index}`;
-    const warningId = index === 0 ? 'timeSyncWarning' : `timeSyncWarning_${index}`;
-    const offsetGroupId = index === 0 ? 'timeOffsetGroup' : `timeOffsetGroup_${index}`;
-    const offsetFieldId = index === 0 ? 'timeOffset' : `timeOffset_${index}`;
-    const offsetFieldName = index === 0 ? 'timeOffset' : `timeOffset_${index}`;
-
-    const container = createElement('div');
-
-    // Radio group
-    const group = createElement('div', { className: 'form-group' });
-    const label = createElement('label', { className: 'form-label' });
-    label.innerHTML = 'Is the Time & Date correct? <span class="required">*</span>';
-    const small = createElement('small', { className: 'form-text mb-2 d-block' }, 'Is the DVR time synchronized with actual time?');
-
-    const yesDiv = createElement('div', { className: 'form-check' });
-    const yesInput = createElement('input', {
-      className: 'form-check-input',
-      type: 'radio',
-      name: fieldName,
-      id: yesId,
-      value: 'Yes',
-      required: 'required'
-    });
-    const yesLabel = createElement('label', {
-      className: 'form-check-label',
-      htmlFor: yesId
-    }, 'Yes');
-    yesDiv.appendChild(yesInput);
-    yesDiv.appendChild(yesLabel);
-
-    const noDiv = createElement('div', { className: 'form-check' });
-    const noInput = createElement('input', {
-      className: 'form-check-input',
-      type: 'radio',
-      name: fieldName,
-      id: noId,
-      value: 'No',
-      required: 'required'
-    });
-    const noLabel = createElement('label', {
-      className: 'form-check-label',
-      htmlFor: noId
-    }, 'No');
-    noDiv.appendChild(noInput);
-    noDiv.appendChild(noLabel);
-
-    group.appendChild(label);
-    group.appendChild(small);
-    group.appendChild(yesDiv);
-    group.appendChild(noDiv);
-    group.appendChild(createElement('div', { className: 'invalid-feedback' }));
-
-    // Warning message
-    const warning = createElement('div', {
-      className: 'alert alert-warning d-none',
-      id: warningId,
-      style: 'margin-top: 1rem;'
-    });
-    warning.innerHTML = '<strong>Important:</strong> Your confirmation of correct timestamp becomes part of the evidence. If the timestamp conflicts with other evidence or DVR timestamps, this could affect the evidence validity.';
-
-    // Time offset field
-    const offsetGroup = createElement('div', {
-      className: 'form-group d-none',
-      id: offsetGroupId
-    });
-    const offsetLabel = createElement('label', {
-      htmlFor: offsetFieldId,
-      className: 'form-label'
-    });
-    offsetLabel.innerHTML = 'Time Offset <span class="required">*</span>';
-    const offsetInput = createElement('input', {
-      type: 'text',
-      className: 'form-control',
-      id: offsetFieldId,
-      name: offsetFieldName,
-      placeholder: 'e.g., DVR is 1hr 5min 30sec AHEAD of real time'
-    });
-    const offsetSmall = createElement('small', { className: 'form-text' }, 'Describe how the DVR time differs from actual time');
-
-    offsetGroup.appendChild(offsetLabel);
-    offsetGroup.appendChild(offsetInput);
-    offsetGroup.appendChild(offsetSmall);
-    offsetGroup.appendChild(createElement('div', { className: 'invalid-feedback' }));
-
-    container.appendChild(group);
-    container.appendChild(warning);
-    container.appendChild(offsetGroup);
-
-    return container;
+  static createDVRMakeModelField(dvrIndex) {
+    return this.createSchemaField(findField(RECOVERY_SCHEMA, 'dvrMakeModel'), dvrIndex);
   }
 
   /**
-   * Create DVR earliest date field with retention calculation
+   * Create DVR time sync radio field (Is Time & Date correct?)
+   * @param {number} dvrIndex - DVR index (0 for first)
+   * @returns {HTMLElement} Container element
    */
-  static createDvrDateField(index, onChangeCallback) {
-    const fieldName = index === 0 ? 'dvrEarliestDate' : `dvrEarliestDate_${index}`;
-    const fieldId = index === 0 ? 'dvrEarliestDate' : `dvrEarliestDate_${index}`;
-    const retentionId = index === 0 ? 'retentionCalculation' : `retentionCalculation_${index}`;
-
-    const group = createElement('div', { className: 'form-group' });
-
-    const label = createElement('label', {
-      htmlFor: fieldId,
-      className: 'form-label'
-    }, 'Earliest Recorded Date on DVR');
-
-    // Use type="text" for Flatpickr compatibility
-    // Flatpickr will be initialized by the form handler after DOM insertion
-    const input = createElement('input', {
-      type: 'text',
-      className: 'form-control',
-      id: fieldId,
-      name: fieldName
-    });
-
-    const small = createElement('small', { className: 'form-text' }, 'The earliest date available on the DVR system');
-    const retentionDiv = createElement('div', {
-      id: retentionId,
-      className: 'text-info mt-2'
-    });
-
-    // Add change listener if callback provided
-    if (onChangeCallback) {
-      input.addEventListener('change', onChangeCallback);
-    }
-
-    group.appendChild(label);
-    group.appendChild(input);
-    group.appendChild(small);
-    group.appendChild(retentionDiv);
-
-    return group;
+  static createDVRTimeSyncField(dvrIndex) {
+    return this.createSchemaField(findField(RECOVERY_SCHEMA, 'isTimeDateCorrect'), dvrIndex);
   }
 
   /**
-   * Create extraction time field for recovery form
-   * Uses type="text" for Flatpickr compatibility - Flatpickr will be initialized
-   * by the form handler after DOM insertion.
+   * Create DVR retention field with calculation display
+   * @param {number} dvrIndex - DVR index (0 for first)
+   * @returns {HTMLElement} Form group element
    */
-  static createExtractionTimeField(baseName, index, label, required) {
-    const fieldName = index === 0 ? baseName : `${baseName}_${index}`;
-    const fieldId = index === 0 ? baseName : `${baseName}_${index}`;
-
-    const group = createElement('div', { className: 'form-group' });
-
-    const labelEl = createElement('label', {
-      htmlFor: fieldId,
-      className: 'form-label'
-    });
-    labelEl.innerHTML = label + (required ? ' <span class="required">*</span>' : '');
-
-    // Use type="text" for Flatpickr compatibility
-    // Flatpickr will be initialized by the form handler after DOM insertion
-    const input = createElement('input', {
-      type: 'text',
-      className: 'form-control',
-      id: fieldId,
-      name: fieldName
-    });
-
-    if (required) {
-      input.setAttribute('required', 'required');
-    }
-
-    const small = createElement('small', { className: 'form-text' },
-      baseName.includes('Start') ? 'Start of video period to extract' : 'End of video period to extract'
-    );
-
-    group.appendChild(labelEl);
-    group.appendChild(input);
-    group.appendChild(small);
-    group.appendChild(createElement('div', { className: 'invalid-feedback' }));
-
-    return group;
+  static createDVRRetentionField(dvrIndex) {
+    return this.createSchemaField(findField(RECOVERY_SCHEMA, 'dvrRetention'), dvrIndex);
   }
 
   /**
-   * Create time period type radio field for recovery form
+   * Create DVR video monitor radio field
+   * @param {number} dvrIndex - DVR index (0 for first)
+   * @returns {HTMLElement} Form group element
    */
-  static createTimePeriodTypeField(index) {
-    const fieldName = index === 0 ? 'timePeriodType' : `timePeriodType_${index}`;
-    const dvrId = index === 0 ? 'timeDVR' : `timeDVR_${index}`;
-    const actualId = index === 0 ? 'timeActual' : `timeActual_${index}`;
-
-    const group = createElement('div', { className: 'form-group' });
-
-    const label = createElement('label', { className: 'form-label' });
-    label.innerHTML = 'Time Period Type <span class="required">*</span>';
-
-    const small = createElement('small', { className: 'form-text mb-2 d-block' },
-      'Are the times above in DVR time or actual time?'
-    );
-
-    const dvrDiv = createElement('div', { className: 'form-check' });
-    const dvrInput = createElement('input', {
-      className: 'form-check-input',
-      type: 'radio',
-      name: fieldName,
-      id: dvrId,
-      value: 'DVR Time',
-      required: 'required'
-    });
-    const dvrLabel = createElement('label', {
-      className: 'form-check-label',
-      htmlFor: dvrId
-    }, 'DVR Time');
-    dvrDiv.appendChild(dvrInput);
-    dvrDiv.appendChild(dvrLabel);
-
-    const actualDiv = createElement('div', { className: 'form-check' });
-    const actualInput = createElement('input', {
-      className: 'form-check-input',
-      type: 'radio',
-      name: fieldName,
-      id: actualId,
-      value: 'Actual Time',
-      required: 'required'
-    });
-    const actualLabel = createElement('label', {
-      className: 'form-check-label',
-      htmlFor: actualId
-    }, 'Actual Time');
-    actualDiv.appendChild(actualInput);
-    actualDiv.appendChild(actualLabel);
-
-    group.appendChild(label);
-    group.appendChild(small);
-    group.appendChild(dvrDiv);
-    group.appendChild(actualDiv);
-    group.appendChild(createElement('div', { className: 'invalid-feedback' }));
-
-    return group;
+  static createDVRVideoMonitorField(dvrIndex) {
+    return this.createSchemaField(findField(RECOVERY_SCHEMA, 'hasVideoMonitor'), dvrIndex);
   }
 
   /**
-   * Create camera details field for recovery form
+   * Create DVR recording quality select, used to estimate the storage needed
+   * @param {number} dvrIndex - DVR index (0 for first)
+   * @returns {HTMLElement} Form group element
    */
-  static createCameraDetailsField(index) {
-    const fieldName = index === 0 ? 'cameraDetails' : `cameraDetails_${index}`;
-    const fieldId = index === 0 ? 'cameraDetails' : `cameraDetails_${index}`;
-
-    const group = createElement('div', { className: 'form-group' });
-
-    const label = createElement('label', {
-      htmlFor: fieldId,
-      className: 'form-label'
-    });
-    label.innerHTML = 'Camera Details <span class="required">*</span>';
-
-    const textarea = createElement('textarea', {
-      className: 'form-control',
-      id: fieldId,
-      name: fieldName,
-      rows: '4',
-      placeholder: 'List camera locations/angles needed (e.g., Front entrance, Cash register, Parking lot west side)',
-      required: 'required'
-    });
-
-    const small = createElement('small', { className: 'form-text' },
-      'Please list specific cameras or areas to be extracted'
-    );
-
-    group.appendChild(label);
-    group.appendChild(textarea);
-    group.appendChild(small);
-    group.appendChild(createElement('div', { className: 'invalid-feedback' }));
-
-    return group;
+  static createDVRRecordingProfileField(dvrIndex) {
+    return this.createSchemaField(findField(RECOVERY_SCHEMA, 'recordingProfile'), dvrIndex);
   }
 
   /**
-   * Create DVR make/model field
+   * Create DVR username field
+   * @param {number} dvrIndex - DVR index (0 for first)
+   * @returns {HTMLElement} Form group element
    */
-  static createDVRMakeModelField(dvrIndex) {
-    const fieldName = dvrIndex === 0 ? 'dvrMakeModel' : `dvrMakeModel_${dvrIndex}`;
-    const fieldId = dvrIndex === 0 ? 'dvrMakeModel' : `dvrMakeModel_${dvrIndex}`;
-
-    const group = createElement('div', { className: 'form-group' });
-
-    const label = createElement('label', {
-      htmlFor: fieldId,
-      className: 'form-label'
-    }, 'DVR Make/Model');
-
-    const input = createElement('input', {
-      type: 'text',
-      className: 'form-control',
-      id: fieldId,
-      name: fieldName,
-      placeholder: 'e.g., Hikvision DS-7216'
-    });
-
-    const small = createElement('small', { className: 'form-text' },
-      'DVR system manufacturer and model number'
-    );
-
-    group.appendChild(label);
-    group.appendChild(input);
-    group.appendChild(small);
-
-    return group;
+  static createDVRUsernameField(dvrIndex) {
+    return this.createSchemaField(findField(RECOVERY_SCHEMA, 'dvrUsername'), dvrIndex);
   }
 
   /**
-   * Create DVR time sync radio field (Is Time & Date correct?)
+   * Create DVR password field
+   * @param {number} dvrIndex - DVR index (0 for first)
+   * @returns {HTMLElement} Form group element
    */
-  static createDVRTimeSyncField(dvrIndex, onChangeCallback) {
-    const fieldName = dvrIndex === 0 ? 'isTimeDateCorrect' : `isTimeDateCorrect_${dvrIndex}`;
-    const yesId = dvrIndex === 0 ? 'timeCorrectYes' : `timeCorrectYes_${dvrIndex}`;
-    const noId = dvrIndex === 0 ? 'timeCorrectNo' : `timeCorrectNo_${dvrIndex}`;
-    const offsetGroupId = dvrIndex === 0 ? 'timeOffsetGroup' : `timeOffsetGroup_${dvrIndex}`;
-    const offsetFieldId = dvrIndex === 0 ? 'timeOffset' : `timeOffset_${dvrIndex}`;
-    const offsetFieldName = dvrIndex === 0 ? 'timeOffset' : `timeOffset_${dvrIndex}`;
+  static createDVRPasswordField(dvrIndex) {
+    return this.createSchemaField(findField(RECOVERY_SCHEMA, 'dvrPassword'), dvrIndex);
+  }
 
-    const container = createElement('div');
+  // =========================================================================
+  // TIME OFFSET
+  // =========================================================================
 
-    // Radio group
-    const group = createElement('div', { className: 'form-group' });
-    const label = createElement('label', { className: 'form-label' },
-      'Is the Time & Date correct?'
-    );
-    const small = createElement('small', { className: 'form-text mb-2 d-block' },
-      'Is the DVR time synchronized with actual time?'
-    );
-
-    const yesDiv = createElement('div', { className: 'form-check' });
-    const yesInput = createElement('input', {
-      className: 'form-check-input',
-      type: 'radio',
-      name: fieldName,
-      id: yesId,
-      value: 'Yes',
-      required: 'required'
-    });
-    const yesLabel = createElement('label', {
-      className: 'form-check-label',
-      htmlFor: yesId
-    }, 'Yes');
-    yesDiv.appendChild(yesInput);
-    yesDiv.appendChild(yesLabel);
-
-    const noDiv = createElement('div', { className: 'form-check' });
-    const noInput = createElement('input', {
-      className: 'form-check-input',
-      type: 'radio',
-      name: fieldName,
-      id: noId,
-      value: 'No',
-      required: 'required'
-    });
-    const noLabel = createElement('label', {
-      className: 'form-check-label',
-      htmlFor: noId
-    }, 'No');
-    noDiv.appendChild(noInput);
-    noDiv.appendChild(noLabel);
-
-    group.appendChild(label);
-    group.appendChild(small);
-    group.appendChild(yesDiv);
-    group.appendChild(noDiv);
-    group.appendChild(createElement('div', { className: 'invalid-feedback' }));
+  /**
+   * Create the structured time offset field shown when the DVR clock is wrong
+   *
+   * Hours, minutes, seconds and direction are written to a read-only timeOffset
+   * field as "DVR is 1 hour 5 minutes AHEAD of real time", which the rest of the
+   * system reads with parseTimeOffset(). Sync Now works the offset out from the
+   * time shown on the DVR screen. Free-text offsets loaded from older drafts are
+   * parsed into the structured fields when timeOffset changes.
+   *
+   * @param {number|string} index - Location/DVR index (0 for first), or the entry's name suffix
+   * @param {boolean} required - Whether an offset is required when shown
+   * @returns {HTMLElement} Offset group element (hidden until "No" is selected)
+   */
+  static createTimeOffsetField(index, required) {
+    const suffix = getIndexedName('', index);
+    const offsetFieldId = `timeOffset${suffix}`;
 
-    // Time offset field (conditional)
     const offsetGroup = createElement('div', {
-      className: 'form-group d-none',
-      id: offsetGroupId
+      className: 'form-group d-none time-offset-field',
+      id: `timeOffsetGroup${suffix}`
     });
-    const offsetLabel = createElement('label', {
-      htmlFor: offsetFieldId,
-      className: 'form-label'
-    }, 'Time Offset');
-    const offsetInput = createElement('input', {
-      type: 'text',
+
+    const offsetLabel = createElement('label', { htmlFor: `offsetHours${suffix}`, className: 'form-label' });
+    offsetLabel.innerHTML = required ? 'Time Offset <span class="required">*</span>' : 'Time Offset';
+
+    const numberField = (name, label, max) => {
+      const group = createElement('div', { className: 'form-group' });
+      const input = createElement('input', {
+        type: 'number',
+        className: 'form-control',
+        id: `${name}${suffix}`,
+        name: `${name}${suffix}`,
+        min: '0',
+        max: max === null ? null : String(max),
+        inputmode: 'numeric',
+        placeholder: '0'
+      });
+      group.appendChild(createElement('label', { htmlFor: input.id, className: 'form-label' }, label));
+      group.appendChild(input);
+      return { group, input };
+    };
+
+    const hours = numberField('offsetHours', 'Hours', null);
+    const minutes = numberField('offsetMinutes', 'Minutes', 59);
+    const seconds = numberField('offsetSeconds', 'Seconds', 59);
+
+    const directionGroup = createElement('div', { className: 'form-group' });
+    const direction = createElement('select', {
       className: 'form-control',
-      id: offsetFieldId,
-      name: offsetFieldName,
-      placeholder: 'e.g., DVR is 1hr 5min 30sec AHEAD of real time'
+      id: `offsetDirection${suffix}`,
+      name: `offsetDirection${suffix}`
     });
-    const offsetSmall = createElement('small', { className: 'form-text' },
-      'Describe how the DVR time differs from actual time'
-    );
-
-    offsetGroup.appendChild(offsetLabel);
-    offsetGroup.appendChild(offsetInput);
-    offsetGroup.appendChild(offsetSmall);
-
-    container.appendChild(group);
-    container.appendChild(offsetGroup);
-
-    return container;
-  }
-
-  /**
-   * Create DVR retention field with calculation display
-   */
-  static createDVRRetentionField(dvrIndex, onChangeCallback) {
-    const fieldName = dvrIndex === 0 ? 'dvrRetention' : `dvrRetention_${dvrIndex}`;
-    const fieldId = dvrIndex === 0 ? 'dvrRetention' : `dvrRetention_${dvrIndex}`;
-    const calcId = dvrIndex === 0 ? 'retentionCalculation' : `retentionCalculation_${dvrIndex}`;
+    CONFIG.TIME_OFFSET_DIRECTION_OPTIONS.forEach(opt => {
+      direction.appendChild(createElement('option', { value: opt.value }, opt.text));
+    });
+    directionGroup.appendChild(createElement('label', { htmlFor: direction.id, className: 'form-label' }, 'The DVR is'));
+    directionGroup.appendChild(direction);
 
-    const group = createElement('div', { className: 'form-group' });
+    const inputsRow = this.createFormRow(hours.group, minutes.group, seconds.group, directionGroup);
 
-    const label = createElement('label', {
-      htmlFor: fieldId,
-      className: 'form-label'
-    }, 'DVR Retention');
-
-    // Use type="text" for Flatpickr compatibility
-    // Flatpickr will be initialized by the form handler after DOM insertion
-    const input = createElement('input', {
+    // Read-only result sent with the request
+    const offsetInput = createElement('input', {
       type: 'text',
       className: 'form-control',
-      id: fieldId,
-      name: fieldName
-    });
-
-    const small = createElement('small', { className: 'form-text' },
-      'The earliest date available on the DVR system'
-    );
-
-    const calcDiv = createElement('div', {
-      id: calcId,
-      className: 'text-info mt-2'
+      id: offsetFieldId,
+      name: offsetFieldId,
+      readonly: 'readonly',
+      placeholder: 'Enter the offset above or use Sync Now'
     });
+    const migratedNote = createElement('small', { className: 'form-text text-warning d-none time-offset-migrated' });
 
-    if (onChangeCallback) {
-      input.addEventListener('change', onChangeCallback);
-    }
-
-    group.appendChild(label);
-    group.appendChild(input);
-    group.appendChild(small);
-    group.appendChild(createElement('div', { className: 'invalid-feedback' }));
-    group.appendChild(calcDiv);
-
-    return group;
-  }
-
-  /**
-   * Create DVR video monitor radio field
-   */
-  static createDVRVideoMonitorField(dvrIndex) {
-    const fieldName = dvrIndex === 0 ? 'hasVideoMonitor' : `hasVideoMonitor_${dvrIndex}`;
-    const yesId = dvrIndex === 0 ? 'monitorYes' : `monitorYes_${dvrIndex}`;
-    const noId = dvrIndex === 0 ? 'monitorNo' : `monitorNo_${dvrIndex}`;
-
-    const group = createElement('div', { className: 'form-group' });
-
-    const label = createElement('label', { className: 'form-label' },
-      'Has Video Monitor?'
-    );
-    const small = createElement('small', { className: 'form-text mb-2 d-block' },
-      'Is there a monitor connected to view video?'
-    );
-
-    const yesDiv = createElement('div', { className: 'form-check' });
-    const yesInput = createElement('input', {
-      className: 'form-check-input',
-      type: 'radio',
-      name: fieldName,
-      id: yesId,
-      value: 'Yes'
+    // Capture mode - compare the DVR screen with this device's clock
+    const syncBtn = createElement('button', {
+      type: 'button',
+      className: 'btn btn-secondary btn-sm mt-2'
+    }, 'Sync Now');
+    const captureInput = createElement('input', {
+      type: 'datetime-local',
+      className: 'form-control time-offset-capture-input',
+      id: `offsetCapture${suffix}`,
+      step: '1'
     });
-    const yesLabel = createElement('label', {
-      className: 'form-check-label',
-      htmlFor: yesId
-    }, 'Yes');
-    yesDiv.appendChild(yesInput);
-    yesDiv.appendChild(yesLabel);
-
-    const noDiv = createElement('div', { className: 'form-check' });
-    const noInput = createElement('input', {
-      className: 'form-check-input',
-      type: 'radio',
-      name: fieldName,
-      id: noId,
-      value: 'No'
+    const captureBtn = createElement('button', { type: 'button', className: 'btn btn-primary btn-sm mt-2' }, 'Capture');
+    const captureMessage = createElement('small', { className: 'form-text text-warning d-block' });
+    const capturePanel = createElement('div', { className: 'time-offset-capture mt-2 d-none' }, [
+      createElement('label', { htmlFor: captureInput.id, className: 'form-label' }, 'Time shown on the DVR screen'),
+      captureInput,
+      createElement('small', { className: 'form-text d-block' },
+        'Set this a few seconds ahead of the DVR clock, then tap Capture the moment the DVR shows it'),
+      captureBtn,
+      captureMessage
+    ]);
+
+    // Structured fields -> timeOffset
+    const writeOffset = () => {
+      offsetInput.value = formatTimeOffset({
+        hours: parseInt(hours.input.value, 10) || 0,
+        minutes: parseInt(minutes.input.value, 10) || 0,
+        seconds: parseInt(seconds.input.value, 10) || 0,
+        direction: direction.value === '_placeholder_' ? '' : direction.value
+      });
+      migratedNote.classList.add('d-none');
+      // Bubble so handlers (validation, corrected-time preview) see the new value
+      offsetInput.dispatchEvent(new Event('input', { bubbles: true }));
+    };
+    [hours.input, minutes.input, seconds.input].forEach(input => input.addEventListener('input', writeOffset));
+    direction.addEventListener('change', writeOffset);
+
+    // timeOffset -> structured fields (drafts, including older free-text offsets)
+    offsetInput.addEventListener('change', () => {
+      const text = offsetInput.value.trim();
+      if (!text) return;
+
+      const parsed = parseTimeOffset(text);
+      hours.input.value = parsed.totalMinutes > 0 ? parsed.hours : '';
+      minutes.input.value = parsed.totalMinutes > 0 ? parsed.minutes : '';
+      seconds.input.value = parsed.totalMinutes > 0 ? parsed.seconds : '';
+      direction.value = parsed.hasDirection ? parsed.direction : '_placeholder_';
+
+      const migrated = formatTimeOffset({ ...parsed, direction: parsed.hasDirection ? parsed.direction : '' });
+      if (migrated !== text) {
+        offsetInput.value = migrated;
+        migratedNote.textContent = CONFIG.MESSAGES.TIME_OFFSET_MIGRATED.replace('{text}', text);
+        migratedNote.classList.toggle('d-none', Boolean(migrated && parsed.hasDirection));
+      }
     });
-    const noLabel = createElement('label', {
-      className: 'form-check-label',
-      htmlFor: noId
-    }, 'No');
-    noDiv.appendChild(noInput);
-    noDiv.appendChild(noLabel);
-
-    group.appendChild(label);
-    group.appendChild(small);
-    group.appendChild(yesDiv);
-    group.appendChild(noDiv);
 
-    return group;
-  }
-
-  /**
-   * Create DVR username field
-   */
-  static createDVRUsernameField(dvrIndex) {
-    const fieldName = dvrIndex === 0 ? 'dvrUsername' : `dvrUsername_${dvrIndex}`;
-    const fieldId = dvrIndex === 0 ? 'dvrUsername' : `dvrUsername_${dvrIndex}`;
-
-    const group = createElement('div', { className: 'form-group' });
-
-    const label = createElement('label', {
-      htmlFor: fieldId,
-      className: 'form-label'
-    }, 'Username');
+    syncBtn.addEventListener('click', () => {
+      const now = new Date();
+      now.setMinutes(now.getMinutes() - now.getTimezoneOffset());
+      captureInput.value = now.toISOString().slice(0, 19);
+      captureMessage.textContent = '';
+      capturePanel.classList.remove('d-none');
+    });
 
-    const input = createElement('input', {
-      type: 'text',
-      className: 'form-control',
-      id: fieldId,
-      name: fieldName,
-      placeholder: 'DVR login username'
+    captureBtn.addEventListener('click', () => {
+      const deviceTime = new Date();
+      const dvrTime = new Date(captureInput.value);
+      if (!captureInput.value || isNaN(dvrTime.getTime())) {
+        captureMessage.textContent = CONFIG.MESSAGES.TIME_OFFSET_CAPTURE_INVALID;
+        return;
+      }
+
+      const offset = calculateClockOffset(dvrTime, deviceTime);
+      hours.input.value = offset.hours;
+      minutes.input.value = offset.minutes;
+      seconds.input.value = offset.seconds;
+      direction.value = offset.direction || '_placeholder_';
+      writeOffset();
+
+      captureMessage.textContent = offset.direction ? '' : CONFIG.MESSAGES.TIME_OFFSET_CAPTURE_MATCH;
+      if (offset.direction) capturePanel.classList.add('d-none');
     });
 
-    group.appendChild(label);
-    group.appendChild(input);
+    offsetGroup.appendChild(offsetLabel);
+    offsetGroup.appendChild(inputsRow);
+    offsetGroup.appendChild(offsetInput);
+    offsetGroup.appendChild(createElement('div', { className: 'invalid-feedback' }));
+    offsetGroup.appendChild(migratedNote);
+    offsetGroup.appendChild(createElement('small', { className: 'form-text d-block' },
+      'How far the DVR clock is from actual time, or tap Sync Now to work it out from the DVR screen'));
+    offsetGroup.appendChild(syncBtn);
+    offsetGroup.appendChild(capturePanel);
 
-    return group;
+    return offsetGroup;
   }
 
   /**
-   * Create DVR password field
+   * Clear a structured time offset field, e.g. when the DVR time is marked correct
+   * @param {HTMLElement} offsetGroup - Element from createTimeOffsetField()
    */
-  static createDVRPasswordField(dvrIndex) {
-    const fieldName = dvrIndex === 0 ? 'dvrPassword' : `dvrPassword_${dvrIndex}`;
-    const fieldId = dvrIndex === 0 ? 'dvrPassword' : `dvrPassword_${dvrIndex}`;
-
-    const group = createElement('div', { className: 'form-group' });
-
-    const label = createElement('label', {
-      htmlFor: fieldId,
-      className: 'form-label'
-    });
-    label.innerHTML = 'Password <span class="required">*</span>';
-
-    const input = createElement('input', {
-      type: 'text',
-      className: 'form-control',
-      id: fieldId,
-      name: fieldName,
-      placeholder: 'DVR login password',
-      required: 'required'
-    });
-
-    const small = createElement('small', { className: 'form-text' },
-      'DVR access password (plain text)'
-    );
-
-    group.appendChild(label);
-    group.appendChild(input);
-    group.appendChild(small);
-    group.appendChild(createElement('div', { className: 'invalid-feedback' }));
-
-    return group;
+  static clearTimeOffsetField(offsetGroup) {
+    offsetGroup.querySelectorAll('input').forEach(input => { input.value = ''; });
+    offsetGroup.querySelectorAll('select').forEach(select => { select.selectedIndex = 0; });
+    offsetGroup.querySelector('.time-offset-migrated').classList.add('d-none');
+    offsetGroup.querySelector('.time-offset-capture').classList.add('d-none');
   }
 }
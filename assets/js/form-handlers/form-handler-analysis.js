@@ -4,10 +4,10 @@
  */
 
 import { FormHandler } from './form-handler-base.js';
-import { FormFieldBuilder } from './form-field-builder.js';
-import { ConditionalFieldHandler } from './conditional-field-handler.js';
-import { toggleElement, debounce } from '../utils.js';
+import { debounce } from '../utils.js';
 import { CONFIG } from '../config.js';
+import { ANALYSIS_SCHEMA } from '../form-schemas/analysis.js';
+import { getSchemaFields, getPickerOptions, addDisplayValues, buildFileDetails } from '../form-schema.js';
 
 /**
  * Analysis Form Handler
@@ -28,7 +28,15 @@ export class AnalysisFormHandler extends FormHandler {
   }
 
   /**
-   * Build all form fields dynamically via FormFieldBuilder
+   * Fields, validation, PDF and summary for this form
+   * @override
+   */
+  get schema() {
+    return ANALYSIS_SCHEMA;
+  }
+
+  /**
+   * Build all form fields dynamically from ANALYSIS_SCHEMA
    * Implements the Template Method hook from FormHandler base class
    *
    * Creates sections for case info, investigator, video source, and work request.
@@ -42,10 +50,7 @@ export class AnalysisFormHandler extends FormHandler {
     // the subclass constructor body runs (JavaScript class semantics)
     this.flatpickrInstances = {};
 
-    this.buildCaseSection();
-    this.buildInvestigatorSection();
-    this.buildVideoSourceSection();
-    this.buildWorkRequestSection();
+    this.buildSchemaSections();
 
     // Attach validation listeners to all built fields
     this.attachValidationListeners(this.form);
@@ -54,63 +59,6 @@ export class AnalysisFormHandler extends FormHandler {
     // called by the base class init() AFTER this method returns
   }
 
-  /**
-   * Build case information section
-   */
-  buildCaseSection() {
-    const container = document.getElementById('case-section-container');
-    if (!container) {
-      // Container not present - form may be using static HTML fields
-      console.debug('[AnalysisForm] case-section-container not found - form may be using static HTML');
-      return;
-    }
-
-    const section = FormFieldBuilder.createCaseInformationSection();
-    container.appendChild(section);
-  }
-
-  /**
-   * Build investigator section
-   */
-  buildInvestigatorSection() {
-    const container = document.getElementById('investigator-section-container');
-    if (!container) {
-      console.debug('[AnalysisForm] investigator-section-container not found - form may be using static HTML');
-      return;
-    }
-
-    const section = FormFieldBuilder.createInvestigatorSection();
-    container.appendChild(section);
-  }
-
-  /**
-   * Build video source section
-   */
-  buildVideoSourceSection() {
-    const container = document.getElementById('video-source-section-container');
-    if (!container) {
-      console.debug('[AnalysisForm] video-source-section-container not found - form may be using static HTML');
-      return;
-    }
-
-    const section = FormFieldBuilder.createVideoSourceSection();
-    container.appendChild(section);
-  }
-
-  /**
-   * Build work request section
-   */
-  buildWorkRequestSection() {
-    const container = document.getElementById('work-request-section-container');
-    if (!container) {
-      console.debug('[AnalysisForm] work-request-section-container not found - form may be using static HTML');
-      return;
-    }
-
-    const section = FormFieldBuilder.createWorkRequestSection();
-    container.appendChild(section);
-  }
-
   /**
    * Attach validation event listeners to all form-control elements
    * Ensures sliding green checkmark validation UI works on all dynamically built fields
@@ -136,44 +84,8 @@ export class AnalysisFormHandler extends FormHandler {
   }
 
   setupAnalysisSpecificListeners() {
-    // Initialize conditional field handler
-    const conditionalHandler = new ConditionalFieldHandler(this);
-
-    // Setup all "Other" fields - standard pattern
-    conditionalHandler.setupOtherField('offenceType', 'offenceTypeOtherGroup', 'offenceTypeOther');
-    conditionalHandler.setupOtherField('videoLocation', 'videoLocationOtherGroup', 'videoLocationOther');
-    conditionalHandler.setupOtherField('serviceRequired', 'serviceRequiredOtherGroup', 'serviceRequiredOther');
-
-    // Special handling for "Locker" selection in videoLocation
-    // This shows bagNumber and lockerNumber fields (both OPTIONAL)
-    const videoLocationSelect = this.form.querySelector('#videoLocation');
-    if (videoLocationSelect) {
-      videoLocationSelect.addEventListener('change', (e) => {
-        // Use document.getElementById for container groups (may be outside form scope)
-        const lockerGroup = document.getElementById('lockerInfoGroup');
-        if (lockerGroup) {
-          const showLocker = e.target.value === 'Locker';
-          toggleElement(lockerGroup, showLocker);
-
-          // Use form-scoped querySelector for form fields
-          const bagField = this.form.querySelector('#bagNumber');
-          const lockerField = this.form.querySelector('#lockerNumber');
-
-          // Note: bagNumber and lockerNumber are OPTIONAL - do NOT add required attribute
-          if (!showLocker) {
-            // Clear values and validation when hiding
-            if (bagField) {
-              bagField.value = '';
-              this.showFieldValidation(bagField, null);
-            }
-            if (lockerField) {
-              lockerField.value = '';
-              this.showFieldValidation(lockerField, null);
-            }
-          }
-        }
-      });
-    }
+    // "Other" fields and the Locker-only bag/locker row (both OPTIONAL)
+    this.setupSchemaConditionals();
 
     // Recording date validation (past date only) - handled by Flatpickr onChange
     // Fallback for browsers without Flatpickr
@@ -184,39 +96,27 @@ export class AnalysisFormHandler extends FormHandler {
   }
 
   /**
-   * Initialize Flatpickr on all date fields
+   * Initialize Flatpickr on all schema date fields
    * Must be called AFTER buildFields() so DOM elements exist
    */
   initializeFlatpickrFields() {
-    // Date of Occurrence field (required, past dates only)
-    const occDateField = this.form.querySelector('#occDate');
-    if (occDateField && typeof window !== 'undefined' && window.flatpickr) {
-      this.flatpickrInstances.occDate = window.flatpickr(occDateField, {
-        ...CONFIG.FLATPICKR_CONFIG.DATE,
-        maxDate: 'today', // Prevent future dates
+    if (typeof window === 'undefined' || !window.flatpickr) return;
 
-        // Trigger validation on change
-        onChange: (selectedDates, dateStr) => {
-          // Small timeout to ensure Flatpickr has updated the hidden input before validation
-          setTimeout(() => this.validateSingleField(occDateField), 10);
-        }
-      });
-    }
+    getSchemaFields(this.schema).forEach(schemaField => {
+      const options = getPickerOptions(schemaField);
+      const field = this.form.querySelector(`#${schemaField.name}`);
+      if (!options || !field) return;
 
-    // Recording date field with past-date restriction
-    const recordingDateField = this.form.querySelector('#recordingDate');
-    if (recordingDateField && typeof window !== 'undefined' && window.flatpickr) {
-      this.flatpickrInstances.recordingDate = window.flatpickr(recordingDateField, {
-        ...CONFIG.FLATPICKR_CONFIG.DATE,
-        maxDate: 'today', // Prevent future dates
+      this.flatpickrInstances[schemaField.name] = window.flatpickr(field, {
+        ...options,
 
         // Trigger validation on change
-        onChange: (selectedDates, dateStr) => {
+        onChange: () => {
           // Small timeout to ensure Flatpickr has updated the hidden input before validation
-          setTimeout(() => this.validateSingleField(recordingDateField), 10);
+          setTimeout(() => this.validateSingleField(field), 10);
         }
       });
-    }
+    });
   }
 
   /**
@@ -244,14 +144,12 @@ export class AnalysisFormHandler extends FormHandler {
 
     // Sync Flatpickr instances with their underlying input values
     // This ensures the visual picker display matches the loaded draft
-    if (data.occDate && this.flatpickrInstances.occDate) {
-      // setDate(date, triggerChange) - second param triggers onChange callback
-      this.flatpickrInstances.occDate.setDate(data.occDate, true);
-    }
-    if (data.recordingDate && this.flatpickrInstances.recordingDate) {
-      // setDate(date, triggerChange) - second param triggers onChange callback
-      this.flatpickrInstances.recordingDate.setDate(data.recordingDate, true);
-    }
+    Object.entries(this.flatpickrInstances).forEach(([name, instance]) => {
+      if (data[name]) {
+        // setDate(date, triggerChange) - second param triggers onChange callback
+        instance.setDate(data[name], true);
+      }
+    });
   }
 
   /**
@@ -272,7 +170,7 @@ export class AnalysisFormHandler extends FormHandler {
   }
 
   collectFormData() {
-    const data = super.collectFormData();
+    const data = addDisplayValues(this.schema, super.collectFormData());
 
     // Add fileNr mapping for PHP system
     data.fileNr = data.occNumber || '';
@@ -281,126 +179,15 @@ export class AnalysisFormHandler extends FormHandler {
     data[CONFIG.FIELD_NAMES.REQUEST_AREA] = data.city || '';
 
     // Map occurrence type
-    data[CONFIG.FIELD_NAMES.OCCURRENCE_TYPE] = data.offenceType === 'Other' ?
-      data.offenceTypeOther : data.offenceType;
+    data[CONFIG.FIELD_NAMES.OCCURRENCE_TYPE] = data.offenceTypeDisplay;
 
     // Generate field summaries for third-party
-    data[CONFIG.FIELD_NAMES.FILE_DETAILS] = this.generateFileDetails(data);
+    data[CONFIG.FIELD_NAMES.FILE_DETAILS] = buildFileDetails(this.schema, data);
     data[CONFIG.FIELD_NAMES.REQUEST_DETAILS] = data.requestDetails || '';
 
-    // Handle conditional fields for display
-    if (data.offenceType === 'Other' && data.offenceTypeOther) {
-      data.offenceTypeDisplay = data.offenceTypeOther;
-    } else {
-      data.offenceTypeDisplay = data.offenceType;
-    }
-
-    if (data.videoLocation === 'Other' && data.videoLocationOther) {
-      data.videoLocationDisplay = data.videoLocationOther;
-    } else {
-      data.videoLocationDisplay = data.videoLocation;
-    }
-
-    if (data.city === 'Other' && data.cityOther) {
-      data.cityDisplay = data.cityOther;
-    } else {
-      data.cityDisplay = data.city;
-    }
-
-    if (data.serviceRequired === 'Other' && data.serviceRequiredOther) {
-      data.serviceRequiredDisplay = data.serviceRequiredOther;
-    } else {
-      data.serviceRequiredDisplay = data.serviceRequired;
-    }
-
     return data;
   }
 
-  generateFileDetails(data) {
-    const sections = [];
-
-    // Form Title Header
-    const title = 'FORENSIC ANALYSIS REQUEST';
-    const boxWidth = 40; // Fixed width for header
-    const horizontalLine = '='.repeat(boxWidth);
-    const padding = ' '.repeat(Math.floor((boxWidth - title.length) / 2));
-
-    sections.push(horizontalLine);
-    sections.push(`${padding}${title}`);
-    sections.push(horizontalLine);
-
-    // Section 1: Case Information
-    const caseFields = [];
-    if (data.occNumber) caseFields.push(`Occurrence: ${data.occNumber}`);
-    if (data.offenceTypeDisplay) caseFields.push(`Offence: ${data.offenceTypeDisplay}`);
-    if (caseFields.length > 0) {
-      sections.push('=== CASE ===\n' + caseFields.join('\n'));
-    }
-
-    // Section 2: Evidence Location
-    const evidenceFields = [];
-    if (data.videoLocationDisplay) evidenceFields.push(`Storage: ${data.videoLocationDisplay}`);
-    if (data.bagNumber) evidenceFields.push(`Bag #: ${data.bagNumber}`);
-    if (data.lockerNumber) evidenceFields.push(`Locker: ${data.lockerNumber}`);
-    if (evidenceFields.length > 0) {
-      sections.push('=== EVIDENCE ===\n' + evidenceFields.join('\n'));
-    }
-
-    // Section 3: Investigator
-    const investigatorFields = [];
-    if (data.rName && data.badge) {
-      investigatorFields.push(`Name: ${data.rName} (Badge: ${data.badge})`);
-    } else if (data.rName) {
-      investigatorFields.push(`Name: ${data.rName}`);
-    } else if (data.badge) {
-      investigatorFields.push(`Badge: ${data.badge}`);
-    }
-    if (data.requestingPhone) investigatorFields.push(`Phone: ${data.requestingPhone}`);
-    if (data.requestingEmail) investigatorFields.push(`Email: ${data.requestingEmail}`);
-    if (investigatorFields.length > 0) {
-      sections.push('=== INVESTIGATOR ===\n' + investigatorFields.join('\n'));
-    }
-
-    // Section 4: Location Details
-    const locationFields = [];
-    if (data.videoSeizedFrom) locationFields.push(`Seized From: ${data.videoSeizedFrom}`);
-    if (data.businessName) locationFields.push(`Business: ${data.businessName}`);
-    if (data.locationAddress) {
-      const city = data.cityDisplay || '';
-      const address = city ? `${data.locationAddress}, ${city}` : data.locationAddress;
-      locationFields.push(`Address: ${address}`);
-    } else if (data.cityDisplay) {
-      locationFields.push(`City: ${data.cityDisplay}`);
-    }
-    if (data.recordingDate) locationFields.push(`Recording Date: ${data.recordingDate}`);
-    if (locationFields.length > 0) {
-      sections.push('=== LOCATION ===\n' + locationFields.join('\n'));
-    }
-
-    // Section 5: File Names
-    if (data.fileNames) {
-      const fileList = data.fileNames.split('\n')
-        .map(f => f.trim())
-        .filter(f => f.length > 0)
-        .join('\n');
-      if (fileList) {
-        sections.push('=== FILES ===\n' + fileList);
-      }
-    }
-
-    // Section 6: Service Required
-    if (data.serviceRequiredDisplay) {
-      sections.push('=== SERVICE ===\n' + data.serviceRequiredDisplay);
-    }
-
-    // Section 7: Request Details
-    if (data.requestDetails) {
-      sections.push('=== REQUEST ===\n' + data.requestDetails);
-    }
-
-    return sections.join('\n\n');
-  }
-
   /**
    * Get the PDF filename for analysis form
    * @param {Object} formData - The collected form data
@@ -4,14 +4,39 @@
  */
 
 import { CONFIG } from '../config.js';
-import { validateField, validateConditionalFields, calculateFormCompletion, formatPhone } from '../validators.js';
-import { saveDraft, loadDraft, clearDraft, getDraftAge, saveSessionStart } from '../storage.js';
+import { validateField, validateDateRange, validateConditionalFields, calculateFormCompletion, formatPhone } from '../validators.js';
+import { saveDraft, loadDraft, clearDraft, listDrafts, saveSessionStart } from '../storage.js';
 import { saveOfficerInfo, loadOfficerInfo, isFirstTimeUse, acknowledgeStorage, clearOfficerInfo } from '../officer-storage.js';
-import { debounce, scrollToElement, showToast, downloadBlob } from '../utils.js';
+import { debounce, scrollToElement, showToast, downloadBlob, createElement, formatDate } from '../utils.js';
 import { generatePDF } from '../pdf-generator.js';
 import { generateJSON } from '../json-generator.js';
+import { getContentHash } from '../document-integrity.js';
+import { printEvidenceLabels } from '../evidence-labels.js';
 import { showConfirmModal } from '../notifications.js';
 import { submitWithRetry } from '../api-client.js';
+import { openDraftManager } from '../draft-manager.js';
+import { initStorageLock } from '../storage-lock.js';
+import { isStorageLocked } from '../secure-storage.js';
+import { queueSubmission, isQueueableError } from '../outbox.js';
+import {
+  getRowFields,
+  getEntryRows,
+  getEntryFields,
+  getNestedRepeats,
+  getSectionFields,
+  getSchemaFields,
+  getOtherFieldName,
+  getFieldNames,
+  getIndexedName,
+  getBaseName,
+  getPickerOptions,
+  collectRepeatItems,
+  validateSchemaData
+} from '../form-schema.js';
+import { describeTimeConversion, calculateRetentionDays } from '../calculations.js';
+import { findPastLocations, describeLocationDetails, rememberLocations } from '../location-history.js';
+import { FormFieldBuilder } from './form-field-builder.js';
+import { ConditionalFieldHandler } from './conditional-field-handler.js';
 
 /**
  * Base FormHandler class
@@ -28,6 +53,8 @@ export class FormHandler {
     this.isSubmitting = false;
     this.draftTimer = null;
     this.hasStartedWorking = false; // Track if user has started typing
+    this.activeDraftId = null; // Draft being edited (null until first auto-save)
+    this.submissionId = null; // ID for the request being filled in (see getSubmissionId)
 
     this.init();
   }
@@ -60,6 +87,17 @@ export class FormHandler {
     this.loadOfficerInfoIfExists();
     this.loadDraftIfExists();
 
+    // Encrypted storage reads as empty until unlocked - load again once it is
+    initStorageLock({
+      onUnlock: () => {
+        if (!this.hasStartedWorking) {
+          this.loadOfficerInfoIfExists();
+        }
+        this.updateDraftButton();
+      },
+      onLock: () => this.updateDraftButton()
+    });
+
     // ===== PHASE 5: Update UI =====
     this.updateProgress();
   }
@@ -79,6 +117,429 @@ export class FormHandler {
     // Subclasses override to build dynamic fields
   }
 
+  /**
+   * Form schema for schema-driven forms (see form-schema.js)
+   * Subclasses override to return their schema; null for hand-built forms
+   * @returns {Object|null}
+   */
+  get schema() {
+    return null;
+  }
+
+  /**
+   * Build every schema section into its container
+   * Repeatable sections start with one entry
+   * @protected
+   */
+  buildSchemaSections() {
+    this.nextRepeatIndex = {};
+
+    this.schema.sections.forEach(section => {
+      const container = document.getElementById(section.container);
+      if (!container) {
+        console.debug(`[${this.formType}] ${section.container} not found - form may be using static HTML`);
+        return;
+      }
+
+      if (section.repeat) {
+        container.appendChild(FormFieldBuilder.createSchemaRepeatItem(section, 0, 1, item => this.removeSchemaRepeatItem(item)));
+      } else {
+        container.appendChild(FormFieldBuilder.createSchemaSection(section));
+      }
+    });
+  }
+
+  /**
+   * Wire the schema's conditional fields and "add another" buttons
+   * @protected
+   */
+  setupSchemaConditionals() {
+    this.schema.sections.forEach(section => {
+      if (!section.repeat) {
+        this.setupSchemaEntry(section, '');
+        return;
+      }
+
+      this.getSchemaRepeatItems(section).forEach(item => this.setupSchemaEntry(section, item.dataset.suffix, item));
+
+      const addBtn = document.getElementById(section.repeat.addButton);
+      if (addBtn) {
+        addBtn.addEventListener('click', () => this.addSchemaRepeatItem(section));
+      }
+    });
+  }
+
+  /**
+   * Wire the conditional fields of one section or repeatable entry: "Other"
+   * fields, conditional rows, time sync, retention days and date ranges,
+   * then its nested entries and their add buttons
+   * @param {Object} section - Schema section
+   * @param {string} suffix - The entry's name suffix ('' for the first entry or a non-repeatable section)
+   * @param {HTMLElement|null} item - Entry element (null for a non-repeatable section)
+   * @protected
+   */
+  setupSchemaEntry(section, suffix, item = null) {
+    const conditionalHandler = new ConditionalFieldHandler(this);
+    const rows = getEntryRows(section);
+
+    rows.forEach(row => {
+      if (row.showWhen && row.id) {
+        conditionalHandler.setupShowWhen(
+          getIndexedName(row.showWhen.field, suffix), getIndexedName(row.id, suffix), row.showWhen.equals
+        );
+      }
+    });
+
+    rows.flatMap(getRowFields).forEach(field => {
+      const name = getIndexedName(field.name, suffix);
+
+      if (field.other) {
+        const otherName = getOtherFieldName(field);
+        conditionalHandler.setupOtherField(
+          name, getIndexedName(`${otherName}Group`, suffix), getIndexedName(otherName, suffix)
+        );
+      }
+
+      if (field.type === 'timeSync') {
+        conditionalHandler.setupTimeSync(
+          name,
+          getIndexedName('timeSyncWarning', suffix),
+          getIndexedName('timeOffsetGroup', suffix),
+          getIndexedName(field.offset.name, suffix),
+          Boolean(field.offset.required)
+        );
+      }
+
+      // A choice clears the "please select" error
+      if (field.type === 'radio' || field.type === 'timeSync') {
+        this.form.querySelectorAll(`[name="${name}"]`).forEach(radio => {
+          radio.addEventListener('change', () => this.showFieldValidation(radio, null));
+        });
+      }
+
+      const input = document.getElementById(name);
+      if (!input) return;
+
+      if (field.retention) {
+        const retentionEl = document.getElementById(getIndexedName('retentionCalculation', suffix));
+        input.addEventListener('change', () => this.showRetention(input, retentionEl));
+      }
+
+      // Recheck the end of a date range when its start changes
+      const startField = field.after && document.getElementById(getIndexedName(field.after, suffix));
+      if (startField) {
+        startField.addEventListener('change', () => {
+          if (input.value) this.validateSingleField(input);
+        });
+        input.addEventListener('change', () => this.validateSingleField(input));
+      }
+    });
+
+    if (!item) return;
+
+    getNestedRepeats(section).forEach(child => {
+      this.getSchemaRepeatItems(child, item).forEach(childItem => {
+        this.setupSchemaEntry(child, childItem.dataset.suffix, childItem);
+      });
+
+      const addBtn = [...item.querySelectorAll(`.schema-repeat-add[data-repeat-key="${child.repeat.key}"]`)]
+        .find(btn => btn.closest('.schema-repeat-item') === item);
+      if (addBtn) {
+        addBtn.addEventListener('click', () => this.addSchemaRepeatItem(child, { parent: item }));
+      }
+    });
+  }
+
+  /**
+   * Show the DVR retention worked out from an earliest recorded date
+   * Four days or less is shown as urgent; a future date is an error
+   * @param {HTMLElement} field - Earliest recorded date field
+   * @param {HTMLElement|null} retentionEl - Element the retention is shown in
+   */
+  showRetention(field, retentionEl) {
+    if (!retentionEl) return;
+
+    const retention = calculateRetentionDays(field.value);
+    const isFuture = Boolean(field.value) && retention.days === null;
+
+    retentionEl.textContent = isFuture ? '' : retention.message;
+    retentionEl.className = retention.isUrgent ? 'text-danger mt-2' : 'text-info mt-2';
+    retentionEl.style.fontWeight = retention.isUrgent ? 'bold' : 'normal';
+
+    this.showFieldValidation(field, isFuture ? CONFIG.MESSAGES.RETENTION_IN_FUTURE : null);
+  }
+
+  /**
+   * Get the entries of a repeatable section currently in the form
+   * @param {Object} section - Schema section with `repeat`
+   * @param {HTMLElement} scope - Element to look in, e.g. the entry nested entries belong to
+   * @returns {HTMLElement[]} Entry elements, in form order
+   */
+  getSchemaRepeatItems(section, scope = this.form) {
+    return [...scope.querySelectorAll(`.schema-repeat-item[data-repeat-key="${section.repeat.key}"]`)];
+  }
+
+  /**
+   * Add an entry to a repeatable section
+   * @param {Object} section - Schema section with `repeat`
+   * @param {Object} options
+   * @param {boolean} options.scroll - Scroll to the new entry
+   * @param {HTMLElement|null} options.parent - Entry a nested section's entry is added to
+   * @returns {HTMLElement} The new entry
+   */
+  addSchemaRepeatItem(section, { scroll = true, parent = null } = {}) {
+    const container = parent
+      ? parent.querySelector(`.schema-repeat-container[data-repeat-key="${section.repeat.key}"]`)
+      : document.getElementById(section.container);
+    const base = parent?.dataset.childSuffix || '';
+
+    // Indices aren't reused, so names stay unique after an entry is removed
+    const counter = `${section.repeat.key}${base}`;
+    const index = this.nextRepeatIndex[counter] || 1;
+    this.nextRepeatIndex[counter] = index + 1;
+    const position = this.getSchemaRepeatItems(section, container).length + 1;
+
+    const item = FormFieldBuilder.createSchemaRepeatItem(
+      section, index, position, el => this.removeSchemaRepeatItem(el), { base, nested: Boolean(parent) }
+    );
+    item.style.opacity = '0';
+    container.appendChild(item);
+
+    // Same setup the first entry gets during init()
+    this.applyAutofillPrevention(item.querySelectorAll('input, select, textarea'));
+    this.attachValidationListeners(item);
+    this.setupSchemaEntry(section, item.dataset.suffix, item);
+    this.initializeFlatpickrInContainer(item);
+    this.setupKeyboardProgressBarFix();
+
+    // Animate in
+    requestAnimationFrame(() => {
+      item.style.transition = 'all 0.3s ease';
+      item.style.opacity = '1';
+    });
+
+    if (scroll) {
+      setTimeout(() => scrollToElement(item), 300);
+    }
+
+    this.updateProgress();
+    return item;
+  }
+
+  /**
+   * Remove an entry from a repeatable section and renumber the rest
+   * @param {HTMLElement} item - Entry element
+   */
+  removeSchemaRepeatItem(item) {
+    const key = item.dataset.repeatKey;
+    const container = item.parentElement;
+
+    item.querySelectorAll('input.form-control').forEach(input => {
+      const instance = this.flatpickrInstances?.[input.id];
+      if (instance) {
+        instance.destroy();
+        delete this.flatpickrInstances[input.id];
+      }
+    });
+    item.remove();
+
+    [...container.children]
+      .filter(el => el.dataset.repeatKey === key)
+      .forEach((el, i) => {
+        const heading = el.querySelector('.schema-repeat-heading');
+        heading.textContent = heading.textContent.replace(/\d+$/, String(i + 1));
+      });
+
+    this.updateProgress();
+  }
+
+  /**
+   * Add or remove entries so a repeatable section has the given number
+   * @param {Object} section - Schema section with `repeat`
+   * @param {number} count - Number of entries (at least one is kept)
+   * @param {HTMLElement|null} parent - Entry a nested section belongs to
+   * @returns {HTMLElement[]} Entry elements
+   */
+  setSchemaRepeatCount(section, count, parent = null) {
+    const scope = parent || this.form;
+    const items = this.getSchemaRepeatItems(section, scope);
+
+    items.slice(Math.max(count, 1)).forEach(item => this.removeSchemaRepeatItem(item));
+    for (let i = items.length; i < count; i++) {
+      this.addSchemaRepeatItem(section, { scroll: false, parent });
+    }
+
+    return this.getSchemaRepeatItems(section, scope);
+  }
+
+  /**
+   * Collect each repeatable section's entries into data[repeat.key]
+   * Nested entries are collected into their entry, e.g. dvrGroups[0].extractionTimeFrames
+   * @param {Object} data - Flat form data (modified)
+   * @returns {Object} The same data
+   */
+  collectSchemaRepeats(data) {
+    this.schema.sections
+      .filter(section => section.repeat)
+      .forEach(section => {
+        data[section.repeat.key] = this.collectSchemaItems(section, data, this.form);
+      });
+
+    return data;
+  }
+
+  /**
+   * Collect the entries of a repeatable section within a scope
+   * @param {Object} section - Schema section with `repeat`
+   * @param {Object} data - Flat form data
+   * @param {HTMLElement} scope - Element the entries are in
+   * @returns {Object[]} Entries
+   */
+  collectSchemaItems(section, data, scope) {
+    const items = this.getSchemaRepeatItems(section, scope);
+    const entries = collectRepeatItems(section, data, items.map(item => item.dataset.suffix));
+
+    entries.forEach((entry, i) => {
+      getNestedRepeats(section).forEach(child => {
+        entry[child.repeat.key] = this.collectSchemaItems(child, data, items[i]);
+      });
+    });
+
+    return entries;
+  }
+
+  /**
+   * Convert saved repeatable entries back to the form's field names
+   * Adds entries to match, so a draft with three addresses fills three entries
+   * @param {Object} data - Form data with data[repeat.key] arrays
+   * @returns {Object} Flat data keyed by the current field names
+   */
+  expandSchemaRepeats(data) {
+    const flat = { ...data };
+
+    this.schema.sections
+      .filter(section => section.repeat && Array.isArray(data[section.repeat.key]))
+      .forEach(section => {
+        delete flat[section.repeat.key];
+
+        // Field names from when the data was saved may not match the rebuilt entries
+        const names = getSectionFields(section).flatMap(getFieldNames);
+        Object.keys(flat)
+          .filter(key => names.includes(getBaseName(key)))
+          .forEach(key => delete flat[key]);
+
+        this.expandSchemaItems(section, data[section.repeat.key], flat, null);
+      });
+
+    return flat;
+  }
+
+  /**
+   * Add entries to match saved entries and copy their values into flat data
+   * @param {Object} section - Schema section with `repeat`
+   * @param {Object[]} entries - Saved entries
+   * @param {Object} flat - Flat data (modified)
+   * @param {HTMLElement|null} parent - Entry a nested section belongs to
+   */
+  expandSchemaItems(section, entries, flat, parent) {
+    const names = getEntryFields(section).flatMap(getFieldNames);
+
+    this.setSchemaRepeatCount(section, entries.length, parent).forEach((item, i) => {
+      const entry = entries[i] || {};
+      names
+        .filter(name => name in entry)
+        .forEach(name => { flat[getIndexedName(name, item.dataset.suffix)] = entry[name]; });
+
+      getNestedRepeats(section).forEach(child => {
+        this.expandSchemaItems(child, entry[child.repeat.key] || [], flat, item);
+      });
+    });
+  }
+
+  /**
+   * Find the field a validation error belongs to
+   * Repeatable entry errors are keyed like 'addresses[0].locationAddress'
+   * or 'dvrGroups[1].extractionTimeFrames[0].cameraDetails'
+   * @param {string} key - Error key
+   * @returns {HTMLElement|null}
+   */
+  getErrorField(key) {
+    const steps = key.split('.');
+    const name = steps.pop();
+    let item = null;
+
+    for (const step of steps) {
+      const match = step.match(/^(\w+)\[(\d+)\]$/);
+      if (!match) return null;
+
+      const [, repeatKey, position] = match;
+      item = [...(item || this.form).querySelectorAll(`.schema-repeat-item[data-repeat-key="${repeatKey}"]`)]
+        .filter(el => el.parentElement.closest('.schema-repeat-item') === item)[position];
+      if (!item) return null;
+    }
+
+    const fieldName = item ? getIndexedName(name, item.dataset.suffix) : name;
+    return this.form.querySelector(`[name="${fieldName}"]`);
+  }
+
+  /**
+   * Get the schema field a form field was built from
+   * @param {string} fieldName - Field name (repeatable entries have a suffix, e.g. "_2" or "_dvr1_2")
+   * @returns {Object|undefined} Schema field, or the time sync field for its time offset
+   */
+  getSchemaField(fieldName) {
+    if (!this.schema) return undefined;
+    const baseName = getBaseName(fieldName);
+    const fields = getSchemaFields(this.schema);
+    return fields.find(field => field.name === baseName) || fields.find(field => field.offset?.name === baseName);
+  }
+
+  /**
+   * Get the validation rule for a field
+   * @param {string} fieldName - Field name (repeatable entries have a suffix, e.g. "_2" or "_dvr1_2")
+   * @returns {string|undefined} Rule from the schema, or undefined for the default rule
+   */
+  getFieldRule(fieldName) {
+    const field = this.getSchemaField(fieldName);
+    if (!field) return undefined;
+    return field.name === getBaseName(fieldName) ? field.rule : field.offset.rule;
+  }
+
+  /**
+   * Initialize Flatpickr on the schema date and date/time fields in a container
+   * Fields that already have a picker are skipped
+   * @param {HTMLElement} container - Container with fields
+   */
+  initializeFlatpickrInContainer(container) {
+    if (typeof window === 'undefined' || !window.flatpickr || !this.flatpickrInstances) return;
+
+    container.querySelectorAll('input.form-control').forEach(field => {
+      const schemaField = this.getSchemaField(field.name);
+      const options = schemaField?.name === getBaseName(field.name) && getPickerOptions(schemaField);
+      if (!options || this.flatpickrInstances[field.id]) return;
+
+      this.flatpickrInstances[field.id] = window.flatpickr(field, {
+        ...options,
+
+        // Small timeout so Flatpickr has updated the input before validation
+        onChange: () => {
+          setTimeout(() => this.validateSingleField(field), 10);
+        }
+      });
+    });
+  }
+
+  /**
+   * Attach blur validation to the fields in a container
+   * Subclasses override to add real-time validation
+   * @param {HTMLElement} container - Container with fields
+   */
+  attachValidationListeners(container) {
+    container.querySelectorAll('.form-control').forEach(field => {
+      field.addEventListener('blur', () => this.validateSingleField(field));
+    });
+  }
+
   /**
    * Hide progress bar when iOS keyboard is open
    * On iOS, position:fixed elements at bottom:0 jump around when the keyboard opens.
@@ -357,8 +818,8 @@ export class FormHandler {
               }
             });
 
-            // Also clear any draft for this form
-            clearDraft(this.formType);
+            // Also clear the draft being edited
+            this.clearActiveDraft();
             this.updateDraftButton(); // Update button state
 
             showToast(CONFIG.MESSAGES.OFFICER_INFO_CLEARED, 'info');
@@ -371,7 +832,15 @@ export class FormHandler {
   validateSingleField(field) {
     const isRequired = field.hasAttribute('required');
     // Pass the field element itself to validateField so it can check for Flatpickr
-    const error = validateField(field, field.name, isRequired);
+    let error = validateField(field, field.name, isRequired, this.getFieldRule(field.name));
+
+    // The end of a schema date range must come after its start
+    const after = this.getSchemaField(field.name)?.after;
+    if (!error && after) {
+      const suffix = field.name.slice(getBaseName(field.name).length);
+      const startField = this.form.querySelector(`[name="${after}${suffix}"]`);
+      error = validateDateRange(startField?.value, field.value);
+    }
 
     this.showFieldValidation(field, error);
 
@@ -379,7 +848,9 @@ export class FormHandler {
   }
 
   showFieldValidation(field, error) {
-    const feedbackElement = field.parentElement.querySelector('.invalid-feedback');
+    // Radios share one message below the group
+    const isRadio = field.type === 'radio';
+    const feedbackElement = (isRadio ? field.closest('.form-group') : field.parentElement)?.querySelector('.invalid-feedback');
 
     // Get the Flatpickr alternate input if this field has one
     // When altInput: true, Flatpickr hides the original input and creates a visible altInput
@@ -409,7 +880,7 @@ export class FormHandler {
       // Only show valid state for required fields with values
       // Check Flatpickr instance if present
       const fieldValue = field._flatpickr ? field._flatpickr.input.value : field.value;
-      if (field.hasAttribute('required') && fieldValue.trim()) {
+      if (!isRadio && field.hasAttribute('required') && fieldValue.trim()) {
         field.classList.add('is-valid');
 
         // Also apply valid state to Flatpickr's visible alternate input
@@ -427,6 +898,207 @@ export class FormHandler {
     }
   }
 
+  /**
+   * Show the DVR clock / real time conversion for an extraction period
+   * Hidden when the DVR clock is correct or no offset has been entered
+   * @param {HTMLElement|null} previewEl - Preview element under the start/end pickers
+   * @param {Object} values - { startTime, endTime, timePeriodType, isTimeDateCorrect, timeOffset }
+   */
+  showTimeConversion(previewEl, values) {
+    if (!previewEl) return;
+
+    const conversion = describeTimeConversion(values);
+    previewEl.textContent = conversion ? conversion.text : '';
+    previewEl.classList.toggle('d-none', !conversion);
+    previewEl.classList.toggle('text-warning', Boolean(conversion?.isWarning));
+    previewEl.classList.toggle('text-info', !conversion?.isWarning);
+  }
+
+  /**
+   * Show a non-blocking warning under a field, or clear it
+   * @param {HTMLElement} field - Field the warning is about
+   * @param {string|null} warning - Warning text, or null to clear
+   */
+  showFieldWarning(field, warning) {
+    let warningElement = field.parentElement.querySelector('.field-warning');
+    if (!warningElement) {
+      if (!warning) return;
+      warningElement = createElement('small', { className: 'form-text text-warning field-warning' });
+      field.parentElement.appendChild(warningElement);
+    }
+
+    warningElement.textContent = warning || '';
+    warningElement.classList.toggle('d-none', !warning);
+  }
+
+  /**
+   * Field a temporal consistency issue refers to
+   * Forms with extraction windows override this to find the field by group
+   * @param {Object} issue - Issue from validateTemporalConsistency()
+   * @returns {HTMLElement|null} The field, or null if not on this form
+   */
+  getTemporalField(issue) {
+    return this.form.querySelector(`[name="${issue.field}"]`);
+  }
+
+  /**
+   * Show temporal consistency issues next to their fields
+   * Warnings are always shown; errors only when a validation result is given,
+   * so they don't appear while the officer is still filling in the times
+   * @param {Array<Object>} issues - Issues from validateTemporalConsistency()
+   * @param {Object|null} result - validateForm() result to add errors to
+   */
+  showTemporalIssues(issues, result = null) {
+    const warnings = new Map();
+    this.form.querySelectorAll('.field-warning').forEach(element => element.classList.add('d-none'));
+
+    issues.forEach(issue => {
+      const field = this.getTemporalField(issue);
+      if (!field) return;
+
+      if (issue.severity === 'warning') {
+        warnings.set(field, [...(warnings.get(field) || []), issue.message]);
+        return;
+      }
+
+      // Keep an error already shown on this field (e.g. end before start)
+      if (!result || field.classList.contains('is-invalid')) return;
+
+      result.errors[field.name] = issue.message;
+      result.isValid = false;
+      this.showFieldValidation(field, issue.message);
+      if (!result.firstErrorField) result.firstErrorField = field;
+    });
+
+    warnings.forEach((messages, field) => this.showFieldWarning(field, messages.join('; ')));
+  }
+
+  // ===== LOCATION HISTORY =====
+
+  /**
+   * Suggest DVR details from earlier requests as a location is typed
+   * @param {HTMLElement} scope - Element holding the businessName and locationAddress fields
+   * @param {HTMLElement} container - Element the suggestions are added to
+   * @param {Function} onApply - Fills the form from a match, returns the number of fields filled
+   */
+  setupLocationSuggestions(scope, container, onApply) {
+    const panel = createElement('div', { className: 'location-history-suggestions d-none' });
+    container.appendChild(panel);
+
+    // Locations the officer has used or dismissed aren't offered again
+    const dismissed = new Set();
+
+    const lookup = debounce(async () => {
+      const matches = await findPastLocations({
+        businessName: scope.querySelector('[name^="businessName"]')?.value || '',
+        locationAddress: scope.querySelector('[name^="locationAddress"]')?.value || ''
+      });
+
+      const items = matches
+        .filter(match => !dismissed.has(match.locationAddress))
+        .map(match => this.buildLocationSuggestion(match, describeLocationDetails(match), (apply) => {
+          dismissed.add(match.locationAddress);
+          panel.classList.add('d-none');
+          if (!apply) return;
+
+          const filled = onApply(match);
+          showToast(filled
+            ? CONFIG.MESSAGES.LOCATION_HISTORY_APPLIED.replace('{count}', filled)
+            : CONFIG.MESSAGES.LOCATION_HISTORY_NOTHING, filled ? 'success' : 'info');
+        }))
+        .filter(Boolean);
+
+      panel.replaceChildren(...items);
+      panel.classList.toggle('d-none', items.length === 0);
+    }, 400);
+
+    scope.querySelectorAll('[name^="businessName"], [name^="locationAddress"]').forEach(field => {
+      field.addEventListener('input', lookup);
+    });
+  }
+
+  /**
+   * Build one location history suggestion
+   * @param {Object} match - Location from findPastLocations()
+   * @param {Array<Object>} details - From describeLocationDetails()
+   * @param {Function} onChoose - Called with true to use the details, false to dismiss
+   * @returns {HTMLElement|null} Suggestion, or null when nothing was remembered
+   */
+  buildLocationSuggestion(match, details, onChoose) {
+    if (details.length === 0) return null;
+
+    const place = [match.businessName, match.locationAddress, match.city].filter(Boolean).join(', ');
+
+    return createElement('div', {
+      className: 'location-history-match',
+      style: 'background: rgba(255,255,255,0.05); border-radius: var(--border-radius); padding: 1rem; margin-bottom: 1rem; border: 1px solid var(--border-color);'
+    }, [
+      createElement('strong', { className: 'd-block mb-2' }, `Earlier requests at ${place}`),
+      createElement('ul', { className: 'mb-2' }, details.map(detail =>
+        createElement('li', {}, `${detail.label}: ${detail.text} (as of ${formatDate(detail.observedAt)})`))),
+      createElement('button', {
+        type: 'button',
+        className: 'btn btn-primary btn-sm',
+        style: 'margin-right: 0.5rem;',
+        onclick: () => onChoose(true)
+      }, 'Use These Details'),
+      createElement('button', {
+        type: 'button',
+        className: 'btn btn-secondary btn-sm',
+        onclick: () => onChoose(false)
+      }, 'Dismiss')
+    ]);
+  }
+
+  /**
+   * Fill a field from location history unless a value has already been entered
+   * @param {HTMLElement|null} field
+   * @param {string|undefined} value
+   * @returns {boolean} True if the field was filled
+   */
+  fillFromHistory(field, value) {
+    if (!field || field.value || value === undefined || value === null || value === '') return false;
+
+    const picker = this.flatpickrInstances?.[field.id];
+    if (picker) {
+      picker.setDate(value, true);
+    } else {
+      field.value = value;
+    }
+    // Chosen by the officer, so the autofill guard must not clear it
+    field.setAttribute('data-user-edited', 'true');
+    field.dispatchEvent(new Event('input', { bubbles: true }));
+    field.dispatchEvent(new Event('change', { bubbles: true }));
+    return true;
+  }
+
+  /**
+   * Set the DVR clock answer and offset from location history
+   * Left alone once the officer has answered "Is the time correct?"
+   * @param {HTMLElement} scope - DVR group or upload location holding the fields
+   * @param {string|undefined} timeOffset - Remembered offset, '' when the clock was correct
+   * @returns {boolean} True if the fields were filled
+   */
+  applyTimeOffsetFromHistory(scope, timeOffset) {
+    if (timeOffset === undefined || scope.querySelector('[name^="isTimeDateCorrect"]:checked')) return false;
+
+    const radio = scope.querySelector(`[name^="isTimeDateCorrect"][value="${timeOffset ? 'No' : 'Yes'}"]`);
+    if (!radio) return false;
+
+    radio.checked = true;
+    radio.dispatchEvent(new Event('change', { bubbles: true }));
+
+    if (timeOffset) {
+      const offsetField = scope.querySelector('[name^="timeOffset"]');
+      offsetField.value = timeOffset;
+      // change fills the structured offset fields, input updates the time conversions
+      offsetField.dispatchEvent(new Event('change', { bubbles: true }));
+      offsetField.dispatchEvent(new Event('input', { bubbles: true }));
+    }
+
+    return true;
+  }
+
   async handleSubmit(e) {
     e.preventDefault();
 
@@ -487,7 +1159,7 @@ export class FormHandler {
     this.form.querySelectorAll('.form-control').forEach(field => {
       const isRequired = field.hasAttribute('required');
       // Pass the field element itself to validateField so it can check for Flatpickr
-      const error = validateField(field, field.name, isRequired);
+      const error = validateField(field, field.name, isRequired, this.getFieldRule(field.name));
 
       if (error) {
         errors[field.name] = error;
@@ -499,13 +1171,18 @@ export class FormHandler {
 
     // Validate conditional fields
     const formData = this.collectFormData();
-    const conditionalErrors = validateConditionalFields(formData);
+    const conditionalErrors = this.schema
+      ? validateSchemaData(this.schema, formData)
+      : validateConditionalFields(formData);
     Object.assign(errors, conditionalErrors);
 
     // Show conditional field errors
-    Object.entries(conditionalErrors).forEach(([fieldName, error]) => {
-      const field = this.form.querySelector(`[name="${fieldName}"]`);
+    Object.entries(conditionalErrors).forEach(([key, error]) => {
+      const field = this.getErrorField(key);
       if (field) {
+        // Key by field name so an error already found above is not counted twice
+        delete errors[key];
+        errors[field.name] = error;
         this.showFieldValidation(field, error);
         if (!firstErrorField) firstErrorField = field;
       }
@@ -599,34 +1276,68 @@ export class FormHandler {
     return `FVU_Request_${formData.occNumber || 'NoOccNum'}.pdf`;
   }
 
+  /**
+   * ID the current request will be submitted under
+   * Made on first use, so labels printed before submitting carry the same ID
+   * @returns {string} UUID
+   */
+  getSubmissionId() {
+    this.submissionId ??= crypto.randomUUID();
+    return this.submissionId;
+  }
+
+  /**
+   * Build the button that prints evidence bag labels for this request
+   * @returns {HTMLElement} Button wrapper
+   */
+  createEvidenceLabelsButton() {
+    return createElement('div', { className: 'text-center mt-2 mb-3' }, createElement('button', {
+      type: 'button',
+      className: 'btn btn-secondary',
+      onclick: () => printEvidenceLabels(this.collectFormData(), this.formType, this.getSubmissionId())
+    }, 'Print Evidence Labels'));
+  }
+
   async submitForm(formData) {
     // Save officer info automatically
     this.saveOfficerInfoFromFormData(formData);
 
+    let pdfBlob = null;
+    let jsonBlob = null;
+    let integrity = null;
+
     try {
-      // Generate PDF and JSON
-      const [pdfBlob, jsonBlob] = await Promise.all([
-        generatePDF(formData, this.formType),
-        generateJSON(formData, this.formType)
-      ]);
+      // Generate the JSON first - its content hash is printed in the PDF
+      const submissionId = this.getSubmissionId();
+      jsonBlob = generateJSON(formData, this.formType, submissionId);
+      integrity = { submissionId, contentHash: await getContentHash(jsonBlob) };
+      pdfBlob = await generatePDF(formData, this.formType, integrity);
 
       console.log(`${this.formType} form ready for submission:`, formData);
       console.log('PDF generated:', pdfBlob.size, 'bytes');
       console.log('JSON generated:', jsonBlob.size, 'bytes');
 
-      // Submit to API with retry logic (Supabase or PHP)
-      const result = await submitWithRetry(formData, pdfBlob, jsonBlob);
+      // Submit to the configured targets with retry logic
+      const result = await submitWithRetry(formData, pdfBlob, jsonBlob, integrity);
 
       if (result.success) {
+        rememberLocations(formData, this.formType);
+
         // Download PDF locally with form-specific filename
         const pdfFilename = this.getPdfFilename(formData);
         downloadBlob(pdfBlob, pdfFilename);
 
         showToast(`${CONFIG.MESSAGES.SUBMISSION_SUCCESS}. ID: ${result.submissionId || result.ticketNumber}`, 'success');
 
-        // Redirect to home screen after a short delay so the user can see the success message
+        // Redirect after a short delay so the user can see the success message -
+        // to My Requests when the submission can be tracked there, otherwise home
+        const tracked = result.targets?.find(target => target.target === 'supabase' && target.success);
+        const nextPage = tracked
+          ? `my-requests.html?highlight=${encodeURIComponent(tracked.submissionId)}`
+          : 'index.html';
+
         setTimeout(() => {
-          window.location.href = 'index.html';
+          window.location.href = nextPage;
         }, 2000);
       } else {
         showToast(result.message || CONFIG.MESSAGES.SUBMISSION_ERROR, 'error');
@@ -634,6 +1345,12 @@ export class FormHandler {
     } catch (error) {
       console.error('Error during submission:', error);
 
+      // Transient failure with documents ready - queue for automatic replay
+      if (CONFIG.OUTBOX.ENABLED && pdfBlob && jsonBlob && isQueueableError(error)) {
+        const queued = await this.queueForLater(formData, pdfBlob, jsonBlob, integrity, error.deliveredTargets);
+        if (queued) return;
+      }
+
       // Determine specific error type and show appropriate message
       const errorMessage = this.getErrorMessage(error);
       showToast(errorMessage, 'error');
@@ -643,12 +1360,54 @@ export class FormHandler {
     }
   }
 
+  /**
+   * Queue a submission in the offline outbox
+   * The officer keeps a local PDF copy and the draft is cleared, since the
+   * outbox now holds the request
+   * @param {Object} formData - The collected form data
+   * @param {Blob} pdfBlob - Generated PDF
+   * @param {Blob} jsonBlob - Generated JSON
+   * @param {Object} integrity - { submissionId, contentHash } printed in the PDF
+   * @param {Array<Object>} [deliveredTargets] - Targets that already have it
+   * @returns {Promise<boolean>} True if queued, false if the outbox is unavailable
+   *   or encrypted storage is locked
+   */
+  async queueForLater(formData, pdfBlob, jsonBlob, integrity, deliveredTargets) {
+    const pdfFilename = this.getPdfFilename(formData);
+
+    try {
+      await queueSubmission({
+        formType: this.formType,
+        formData,
+        pdfBlob,
+        jsonBlob,
+        integrity,
+        pdfFilename,
+        deliveredTargets
+      });
+    } catch (queueError) {
+      console.error('Error queueing submission:', queueError);
+      return false;
+    }
+
+    rememberLocations(formData, this.formType);
+    downloadBlob(pdfBlob, pdfFilename);
+    showToast(CONFIG.MESSAGES.OUTBOX_QUEUED, 'warning', 6000);
+    this.clearFormAfterSubmission();
+    return true;
+  }
+
   /**
    * Get user-friendly error message based on error type
    * @param {Error} error - The error object
    * @returns {string} User-friendly error message
    */
   getErrorMessage(error) {
+    // Worth queueing, but the outbox won't store it while storage is locked
+    if (CONFIG.OUTBOX.ENABLED && isQueueableError(error) && isStorageLocked()) {
+      return CONFIG.MESSAGES.OUTBOX_LOCKED;
+    }
+
     // Check for specific error types
     if (error.name === 'AbortError' || error.details?.code === 'ETIMEDOUT') {
       return CONFIG.MESSAGES.ERROR_TIMEOUT;
@@ -694,7 +1453,7 @@ export class FormHandler {
     }
 
     // Clear draft
-    clearDraft(this.formType);
+    this.clearActiveDraft();
 
     // Clear validation states (including Flatpickr altInputs)
     this.form.querySelectorAll('.form-control').forEach(field => {
@@ -707,8 +1466,9 @@ export class FormHandler {
       }
     });
 
-    // Reset the form
+    // Reset the form - the next request gets a new ID
     this.form.reset();
+    this.submissionId = null;
 
     // Reset progress
     setTimeout(() => this.updateProgress(), 100);
@@ -722,7 +1482,8 @@ export class FormHandler {
    */
   clearFormAfterSubmission() {
     // Clear draft first
-    clearDraft(this.formType);
+    this.clearActiveDraft();
+    this.submissionId = null;
 
     // Clear all form fields without triggering reset event
     this.form.querySelectorAll('.form-control').forEach(field => {
@@ -749,6 +1510,12 @@ export class FormHandler {
       }
     });
 
+    // Radio groups are unchecked too
+    this.form.querySelectorAll('.form-check-input').forEach(input => {
+      input.checked = false;
+      input.classList.remove('is-valid', 'is-invalid');
+    });
+
     // Reset progress to 0
     const progressBar = document.getElementById('form-progress');
     const progressLabel = document.getElementById('progress-percentage');
@@ -772,7 +1539,19 @@ export class FormHandler {
     if (!CONFIG.FEATURES.SAVE_DRAFTS) return;
 
     const formData = this.collectFormData();
-    saveDraft(this.formType, formData);
+
+    // First save creates a new draft; later saves update the same one
+    this.activeDraftId = saveDraft(this.formType, formData, this.activeDraftId) || this.activeDraftId;
+  }
+
+  /**
+   * Delete the draft being edited, leaving other drafts untouched
+   */
+  clearActiveDraft() {
+    if (this.activeDraftId) {
+      clearDraft(this.formType, this.activeDraftId);
+      this.activeDraftId = null;
+    }
   }
 
   loadOfficerInfoIfExists() {
@@ -808,6 +1587,19 @@ export class FormHandler {
 
     // Just update button state - NO MORE POPUPS!
     this.updateDraftButton();
+
+    // Drafts created for this form elsewhere (e.g. from a canvass) open via ?draft=<id>
+    const params = new URLSearchParams(window.location.search);
+    const draftId = params.get('draft');
+    if (draftId) {
+      // Load after the subclass constructor has set up its listeners and pickers
+      queueMicrotask(() => this.loadDraftFromButton(draftId));
+
+      // Drop the parameter so a refresh doesn't reload the draft over later edits
+      params.delete('draft');
+      const query = params.toString();
+      window.history.replaceState(null, '', `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`);
+    }
   }
 
   updateDraftButton() {
@@ -815,25 +1607,25 @@ export class FormHandler {
     if (!draftBtn) return;
 
     const draftText = draftBtn.querySelector('.draft-text');
+    const drafts = listDrafts(this.formType);
 
     // If user has started working, always show auto-save active
+    // The button still opens the manager so other drafts stay reachable
     if (this.hasStartedWorking) {
       draftBtn.className = 'draft-button auto-save';
       draftText.textContent = 'Auto-save active';
-      draftBtn.onclick = null;
+      draftBtn.onclick = drafts.length > 0 ? () => this.openDraftManager() : null;
       return;
     }
 
-    // Otherwise, check for draft
-    const draft = loadDraft(this.formType);
-
-    if (draft) {
-      const age = getDraftAge(this.formType);
+    // Otherwise, check for drafts
+    if (drafts.length > 0) {
       draftBtn.className = 'draft-button load-draft';
-      draftText.textContent = `Load Draft (${age})`;
+      draftText.textContent = drafts.length === 1
+        ? `Load Draft (${drafts[0].age})`
+        : `Load Draft (${drafts.length} saved)`;
 
-      // Wire up click to load draft
-      draftBtn.onclick = () => this.loadDraftFromButton();
+      draftBtn.onclick = () => this.openDraftManager();
     } else {
       draftBtn.className = 'draft-button auto-save';
       draftText.textContent = 'Auto-save active';
@@ -841,12 +1633,38 @@ export class FormHandler {
     }
   }
 
-  loadDraftFromButton() {
-    const draft = loadDraft(this.formType);
+  /**
+   * Open the draft manager for this form type
+   */
+  openDraftManager() {
+    openDraftManager({
+      formType: this.formType,
+      activeDraftId: this.activeDraftId,
+      onLoad: (draftId) => this.loadDraftFromButton(draftId),
+      onChange: () => {
+        // The draft being edited may have been deleted
+        if (this.activeDraftId && !listDrafts(this.formType).some(d => d.id === this.activeDraftId)) {
+          this.activeDraftId = null;
+        }
+        this.updateDraftButton();
+      }
+    });
+  }
+
+  /**
+   * Load a saved draft into the form
+   * @param {string|null} draftId - Draft to load (null loads the most recent)
+   */
+  loadDraftFromButton(draftId = null) {
+    const id = draftId || listDrafts(this.formType)[0]?.id;
+    if (!id) return;
+
+    const draft = loadDraft(this.formType, id);
     if (!draft) return;
 
-    // Load the draft
+    // Load the draft - further auto-saves update it rather than creating a new one
     this.populateForm(draft);
+    this.activeDraftId = id;
     showToast(CONFIG.MESSAGES.DRAFT_LOADED, 'success');
 
     // Mark that user has started working
@@ -860,18 +1678,24 @@ export class FormHandler {
   }
 
   populateForm(data) {
-    Object.entries(data).forEach(([key, value]) => {
+    const fields = this.schema ? this.expandSchemaRepeats(data) : data;
+
+    Object.entries(fields).forEach(([key, value]) => {
       const field = this.form.querySelector(`[name="${key}"]`);
       if (field) {
+        let changed = field;
         if (field.type === 'radio') {
           const radio = this.form.querySelector(`[name="${key}"][value="${value}"]`);
-          if (radio) radio.checked = true;
+          if (radio) {
+            radio.checked = true;
+            changed = radio;
+          }
         } else {
           field.value = value;
         }
 
         // Trigger change event for conditional fields
-        field.dispatchEvent(new Event('change', { bubbles: true }));
+        changed.dispatchEvent(new Event('change', { bubbles: true }));
       }
     });
   }
@@ -0,0 +1,273 @@
+/**
+ * Canvass Form Handler
+ * Door-to-door camera canvass log with one entry per address visited
+ */
+
+import { FormHandler } from './form-handler-base.js';
+import { debounce, showToast, createElement } from '../utils.js';
+import { CONFIG } from '../config.js';
+import { CANVASS_SCHEMA } from '../form-schemas/canvass.js';
+import { getSchemaFields, getPickerOptions, addDisplayValues, buildFileDetails } from '../form-schema.js';
+import { countOutcomes, getAddressLabel, createRecoveryDrafts } from '../canvass.js';
+import { showContentModal, dismissModal } from '../notifications.js';
+
+/**
+ * Canvass Form Handler
+ * Handles repeatable address entries and creating recovery requests from them
+ */
+export class CanvassFormHandler extends FormHandler {
+  constructor(formId) {
+    // Call parent constructor - this triggers init() which calls buildFields()
+    // Note: buildFields() initializes flatpickrInstances
+    super(formId);
+
+    // Post-initialization setup (things that need buildFields() to have run)
+    this.setupCanvassSpecificListeners();
+    this.initializeFlatpickrFields();
+
+    // Cleanup Flatpickr instances when page unloads
+    window.addEventListener('beforeunload', () => this.destroy());
+  }
+
+  /**
+   * Fields, validation, PDF and summary for this form
+   * @override
+   */
+  get schema() {
+    return CANVASS_SCHEMA;
+  }
+
+  /**
+   * Build all form fields dynamically from CANVASS_SCHEMA
+   * Implements the Template Method hook from FormHandler base class
+   *
+   * Creates sections for case info and investigator, and the first address entry.
+   * Called by base class init() BEFORE field-dependent setup (autofill, keyboard fix, etc.)
+   *
+   * @override
+   */
+  buildFields() {
+    // Initialize instance properties used by this handler
+    // Must be done here because buildFields() is called by super() before
+    // the subclass constructor body runs (JavaScript class semantics)
+    this.flatpickrInstances = {};
+
+    this.buildSchemaSections();
+
+    // Attach validation listeners to all built fields
+    this.attachValidationListeners(this.form);
+  }
+
+  /**
+   * Attach validation event listeners to all form-control elements
+   * Also called for each address entry added later
+   * @param {HTMLElement} container - Container with fields
+   * @override
+   */
+  attachValidationListeners(container) {
+    container.querySelectorAll('.form-control').forEach(field => {
+      // Blur validation for all fields
+      field.addEventListener('blur', () => this.validateSingleField(field));
+
+      // Real-time validation for phone and email fields (debounced)
+      if (field.type === 'tel' || field.name === CONFIG.FIELD_NAMES.OFFICER_EMAIL) {
+        field.addEventListener('input', debounce(() => this.validateSingleField(field), 500));
+      }
+    });
+  }
+
+  setupCanvassSpecificListeners() {
+    // City "Other" fields and the Add Another Address button
+    this.setupSchemaConditionals();
+
+    const recoveryBtn = document.getElementById('createRecoveryBtn');
+    if (recoveryBtn) {
+      recoveryBtn.addEventListener('click', () => this.createRecoveryRequest());
+    }
+  }
+
+  /**
+   * Initialize Flatpickr on all schema date fields
+   * Must be called AFTER buildFields() so DOM elements exist
+   */
+  initializeFlatpickrFields() {
+    if (typeof window === 'undefined' || !window.flatpickr) return;
+
+    getSchemaFields(this.schema).forEach(schemaField => {
+      const options = getPickerOptions(schemaField);
+      const field = this.form.querySelector(`#${schemaField.name}`);
+      if (!options || !field) return;
+
+      this.flatpickrInstances[schemaField.name] = window.flatpickr(field, {
+        ...options,
+
+        // Trigger validation on change
+        onChange: () => {
+          setTimeout(() => this.validateSingleField(field), 10);
+        }
+      });
+    });
+  }
+
+  /**
+   * Cleanup Flatpickr instances to prevent memory leaks
+   */
+  destroy() {
+    Object.values(this.flatpickrInstances).forEach(instance => {
+      if (instance && typeof instance.destroy === 'function') {
+        instance.destroy();
+      }
+    });
+    this.flatpickrInstances = {};
+  }
+
+  /**
+   * Override populateForm to sync Flatpickr display with loaded draft values
+   * @param {Object} data - Form data to populate
+   */
+  populateForm(data) {
+    // Base class adds address entries to match the draft and fills them
+    super.populateForm(data);
+
+    Object.entries(this.flatpickrInstances).forEach(([name, instance]) => {
+      if (data[name]) {
+        instance.setDate(data[name], true);
+      }
+    });
+  }
+
+  /**
+   * Override clearFormAfterSubmission to clear Flatpickr and extra address entries
+   */
+  clearFormAfterSubmission() {
+    super.clearFormAfterSubmission();
+
+    Object.values(this.flatpickrInstances).forEach(instance => {
+      if (instance && typeof instance.clear === 'function') {
+        instance.clear();
+      }
+    });
+
+    this.schema.sections
+      .filter(section => section.repeat)
+      .forEach(section => this.setSchemaRepeatCount(section, 1));
+  }
+
+  collectFormData() {
+    const data = addDisplayValues(this.schema, this.collectSchemaRepeats(super.collectFormData()));
+
+    // Add fileNr mapping for PHP system
+    data.fileNr = data.occNumber || '';
+
+    // Request area is the city of the first address
+    data[CONFIG.FIELD_NAMES.REQUEST_AREA] = data.addresses[0]?.cityDisplay || '';
+
+    // Map occurrence type
+    data[CONFIG.FIELD_NAMES.OCCURRENCE_TYPE] = data.offenceType || '';
+
+    // Generate field summaries for third-party
+    data[CONFIG.FIELD_NAMES.FILE_DETAILS] = buildFileDetails(this.schema, data);
+    data[CONFIG.FIELD_NAMES.REQUEST_DETAILS] = [
+      `Camera canvass - ${data.addresses.length} address(es)`,
+      ...countOutcomes(data.addresses).map(([outcome, count]) => `${outcome}: ${count}`)
+    ].join('\n');
+
+    return data;
+  }
+
+  /**
+   * Create Recovery form drafts for the chosen addresses and open the first
+   * The canvass stays saved as a draft so it can be picked up again
+   */
+  async createRecoveryRequest() {
+    const data = this.collectFormData();
+    const addresses = data.addresses.filter(address => address.locationAddress.trim());
+
+    if (addresses.length === 0) {
+      showToast(CONFIG.MESSAGES.CANVASS_NO_ADDRESSES, 'warning');
+      return;
+    }
+
+    const selected = await this.pickRecoveryAddresses(addresses);
+    if (!selected) return;
+
+    const draftIds = createRecoveryDrafts(data, selected);
+    if (!draftIds) {
+      showToast(CONFIG.MESSAGES.CANVASS_RECOVERY_FAILED, 'error');
+      return;
+    }
+
+    this.saveDraftAuto();
+
+    // Same extension as this page (.html in development, .php when deployed)
+    const extension = window.location.pathname.endsWith('.php') ? 'php' : 'html';
+    window.location.href = `recovery.${extension}?draft=${encodeURIComponent(draftIds[0])}`;
+  }
+
+  /**
+   * Ask which addresses to create recovery requests for
+   * Addresses with a recovery outcome (camera, relevant) start selected
+   * @param {Object[]} addresses - Canvass address entries
+   * @returns {Promise<Object[]|null>} Selected addresses, or null if cancelled
+   */
+  async pickRecoveryAddresses(addresses) {
+    let selected = null;
+
+    const items = addresses.map((address, index) => {
+      const checkbox = createElement('input', {
+        type: 'checkbox',
+        id: `recovery-address-${index}`,
+        checked: CONFIG.CANVASS_RECOVERY_OUTCOMES.includes(address.outcome) ? 'checked' : null
+      });
+
+      const label = createElement('label', { htmlFor: checkbox.id, className: 'draft-manager-info' }, [
+        createElement('div', { className: 'draft-manager-label' }, getAddressLabel(address)),
+        createElement('div', { className: 'draft-manager-meta' }, address.outcome || 'No outcome')
+      ]);
+
+      return { address, checkbox, element: createElement('li', { className: 'draft-manager-item' }, [checkbox, label]) };
+    });
+
+    const error = createElement('div', { className: 'invalid-feedback d-block' });
+
+    const createBtn = createElement('button', {
+      type: 'button',
+      className: 'btn btn-primary',
+      onclick: () => {
+        const chosen = items.filter(item => item.checkbox.checked).map(item => item.address);
+        if (chosen.length === 0) {
+          error.textContent = CONFIG.MESSAGES.CANVASS_NONE_SELECTED;
+          return;
+        }
+        selected = chosen;
+        dismissModal();
+      }
+    }, 'Create Recovery Request');
+
+    const content = createElement('div', {}, [
+      createElement('p', {}, 'A Recovery draft is saved for each selected address. The first opens now; the rest are under Load Draft on the Recovery form.'),
+      createElement('ul', { className: 'draft-manager-list' }, items.map(item => item.element)),
+      error,
+      createElement('div', { className: 'text-center mt-3' }, [createBtn])
+    ]);
+
+    await showContentModal({
+      title: 'Create Recovery Request',
+      content,
+      closeText: 'Cancel'
+    });
+
+    return selected;
+  }
+
+  /**
+   * Get the PDF filename for canvass form
+   * @param {Object} formData - The collected form data
+   * @returns {string} The PDF filename
+   */
+  getPdfFilename(formData) {
+    return `FVU_Canvass_Log_${formData.occNumber || 'NoOccNum'}.pdf`;
+  }
+}
+
+export default CanvassFormHandler;
@@ -4,12 +4,23 @@
  */
 
 import { FormHandler } from './form-handler-base.js';
-import { ConditionalFieldHandler } from './conditional-field-handler.js';
 import { FormFieldBuilder } from './form-field-builder.js';
-import { validateDateRange, formatPhone } from '../validators.js';
-import { debounce, toggleElement, scrollToElement, createElement } from '../utils.js';
-import { calculateRetentionDays } from '../calculations.js';
+import { validateTemporalConsistency, formatPhone } from '../validators.js';
+import { debounce, createElement, formatDateTime } from '../utils.js';
+import {
+  calculateOverwriteDeadlines,
+  formatOverwriteCountdown,
+  estimateRecoveryStorage,
+  formatStorageSize
+} from '../calculations.js';
+import { exportDeadlineCalendar, scheduleDeadlineReminders } from '../deadline-reminders.js';
+import { estimateEarliestDate } from '../location-history.js';
 import { CONFIG } from '../config.js';
+import { RECOVERY_SCHEMA } from '../form-schemas/recovery.js';
+import { getNestedRepeats, addDisplayValues, buildFileDetails } from '../form-schema.js';
+
+const DVR_SECTION = RECOVERY_SCHEMA.sections.find(section => section.id === 'dvrGroups');
+const TIME_FRAME_SECTION = getNestedRepeats(DVR_SECTION)[0];
 
 /**
  * Recovery Form Handler
@@ -29,12 +40,20 @@ export class RecoveryFormHandler extends FormHandler {
     window.addEventListener('beforeunload', () => this.destroy());
   }
 
+  /**
+   * Fields, validation, PDF and summary for this form
+   * @override
+   */
+  get schema() {
+    return RECOVERY_SCHEMA;
+  }
+
   // ===========================================================================
   // FIELD BUILDING (Template Method Pattern)
   // ===========================================================================
 
   /**
-   * Build all form fields dynamically via FormFieldBuilder
+   * Build all form fields dynamically from RECOVERY_SCHEMA
    * Implements the Template Method hook from FormHandler base class
    *
    * Creates sections for case, investigator, location, first DVR, and incident.
@@ -47,11 +66,14 @@ export class RecoveryFormHandler extends FormHandler {
     // Must be done here because buildFields() is called by super() before
     // the subclass constructor body runs (JavaScript class semantics)
     this.flatpickrInstances = {};
+    this.nextRepeatIndex = {};
 
     this.buildCaseSection();
     this.buildInvestigatorSection();
     this.buildLocationSection();
     this.buildInitialDVRGroup();
+    this.buildDeadlineActions();
+    this.buildStorageSummary();
     this.buildIncidentSection();
 
     // Attach validation listeners to all built fields
@@ -72,6 +94,7 @@ export class RecoveryFormHandler extends FormHandler {
     }
 
     container.appendChild(FormFieldBuilder.createRecoveryCaseSection());
+    container.appendChild(this.createEvidenceLabelsButton());
   }
 
   /**
@@ -101,8 +124,7 @@ export class RecoveryFormHandler extends FormHandler {
   }
 
   /**
-   * Build initial DVR group (index 0)
-   * Uses the shared createDVRGroup method
+   * Build the first DVR entry, with its first time frame
    */
   buildInitialDVRGroup() {
     const container = document.getElementById('dvr-container');
@@ -111,299 +133,66 @@ export class RecoveryFormHandler extends FormHandler {
       return;
     }
 
-    // Create the first DVR group
-    const dvrGroup = this.createDVRGroup(0);
-    container.appendChild(dvrGroup);
-  }
-
-  /**
-   * Build incident description section
-   */
-  buildIncidentSection() {
-    const container = document.getElementById('incident-section-container');
-    if (!container) {
-      console.debug('[RecoveryForm] incident-section-container not found');
-      return;
-    }
-
-    container.appendChild(FormFieldBuilder.createIncidentDescriptionSection());
+    container.appendChild(FormFieldBuilder.createSchemaRepeatItem(DVR_SECTION, 0, 1, item => this.removeSchemaRepeatItem(item)));
   }
 
-  // ===========================================================================
-  // DVR AND TIMEFRAME CREATION
-  // ===========================================================================
-
   /**
-   * Create a DVR group with all fields
-   * @param {number} dvrIndex - DVR index (0 for first)
-   * @returns {HTMLElement} DVR group element
+   * Build the calendar export and reminder buttons for overwrite deadlines
+   * Placed after the DVRs and shown once a deadline can be worked out
    */
-  createDVRGroup(dvrIndex) {
-    const isFirst = dvrIndex === 0;
-
-    const dvrGroup = createElement('div', {
-      className: 'dvr-group',
-      dataset: { dvrIndex: dvrIndex.toString() },
-      style: 'background: var(--glass-bg); border-radius: var(--border-radius); padding: 2rem; margin-bottom: 2rem; border: 2px solid var(--color-primary);'
-    });
-
-    // DVR Header
-    const header = createElement('h2', {
-      style: 'color: var(--color-primary); margin-bottom: 1.5rem; text-align: center; font-size: 1.5rem;'
-    }, `DVR ${dvrIndex + 1}`);
-    dvrGroup.appendChild(header);
-
-    // DVR Information Section
-    const dvrInfoSection = createElement('section', { className: 'form-section' });
-    const dvrInfoHeading = createElement('h3', {
-      style: 'color: var(--color-primary); margin-bottom: 1.5rem;'
-    }, 'DVR Information');
-    dvrInfoSection.appendChild(dvrInfoHeading);
-
-    // Add DVR fields
-    dvrInfoSection.appendChild(FormFieldBuilder.createDVRMakeModelField(dvrIndex));
-    dvrInfoSection.appendChild(FormFieldBuilder.createDVRTimeSyncField(dvrIndex));
-    dvrInfoSection.appendChild(FormFieldBuilder.createDVRRetentionField(dvrIndex, (e) => this.handleRetentionChange(e, dvrIndex)));
-    dvrInfoSection.appendChild(FormFieldBuilder.createDVRVideoMonitorField(dvrIndex));
-    dvrGroup.appendChild(dvrInfoSection);
-
-    // Extraction Timeframe Container for this DVR
-    const extractionContainer = createElement('div', {
-      className: 'extraction-timeframe-container',
-      dataset: { dvrIndex: dvrIndex.toString() }
-    });
+  buildDeadlineActions() {
+    const container = document.getElementById('dvr-container');
+    if (!container) return;
 
-    // First timeframe group (always present)
-    const timeframeGroup = this.createTimeframeGroup(0, dvrIndex);
-    extractionContainer.appendChild(timeframeGroup);
-    dvrGroup.appendChild(extractionContainer);
+    const calendarBtn = createElement('button', {
+      type: 'button',
+      className: 'btn btn-secondary',
+      style: 'margin: 0.25rem;',
+      onclick: () => exportDeadlineCalendar(this.collectFormData())
+    }, 'Add Deadlines to Calendar (.ics)');
 
-    // Add Time Frame Button
-    const addTimeFrameBtn = createElement('div', {
-      style: 'text-align: center; margin: 1.5rem 0;'
-    });
-    const btn = createElement('button', {
+    const remindBtn = createElement('button', {
       type: 'button',
-      className: 'btn btn-secondary add-timeframe-btn',
-      dataset: { dvrIndex: dvrIndex.toString() },
-      style: 'min-width: 200px;'
-    }, '+ Add Additional Time Frame');
-    const btnSmall = createElement('small', {
-      className: 'form-text d-block mt-2'
-    }, 'Add if you need to extract video from multiple time periods for this DVR');
-    addTimeFrameBtn.appendChild(btn);
-    addTimeFrameBtn.appendChild(btnSmall);
-    dvrGroup.appendChild(addTimeFrameBtn);
-
-    // Access Information Section
-    const accessSection = createElement('section', { className: 'form-section' });
-    const accessHeading = createElement('h3', {
-      style: 'color: var(--color-primary); margin-bottom: 1.5rem;'
-    }, 'Access Information');
-    accessSection.appendChild(accessHeading);
-
-    const accessRow = createElement('div', { className: 'form-row' });
-    accessRow.appendChild(FormFieldBuilder.createDVRUsernameField(dvrIndex));
-    accessRow.appendChild(FormFieldBuilder.createDVRPasswordField(dvrIndex));
-    accessSection.appendChild(accessRow);
-    dvrGroup.appendChild(accessSection);
-
-    // Remove button (only for additional DVRs, not the first)
-    if (!isFirst) {
-      const removeBtn = createElement('button', {
-        type: 'button',
-        className: 'btn btn-danger',
-        style: 'margin-top: 1rem; width: 100%;'
-      }, `× Remove DVR ${dvrIndex + 1}`);
-      removeBtn.addEventListener('click', () => this.removeDVRGroup(dvrGroup, dvrIndex));
-      dvrGroup.appendChild(removeBtn);
-    }
+      className: 'btn btn-secondary',
+      style: 'margin: 0.25rem;',
+      onclick: () => scheduleDeadlineReminders(this.collectFormData())
+    }, 'Remind Me Before Overwrite');
+
+    this.deadlineActions = createElement('div', {
+      className: 'overwrite-deadline-actions d-none',
+      style: 'text-align: center; margin: 1rem 0;'
+    }, [calendarBtn, remindBtn]);
 
-    return dvrGroup;
+    container.after(this.deadlineActions);
   }
 
   /**
-   * Create a timeframe group with Flatpickr datetime fields
-   * @param {number} timeframeIndex - Timeframe index within DVR (0 for first)
-   * @param {number} dvrIndex - DVR index (0 for first)
-   * @returns {HTMLElement} Timeframe group element
+   * Build the storage estimate for all DVRs with the recommended media
+   * Placed after the DVRs and shown once an extraction duration is known
    */
-  createTimeframeGroup(timeframeIndex, dvrIndex) {
-    const timeFrameGroup = createElement('div', {
-      className: 'extraction-timeframe-group',
-      dataset: { groupIndex: timeframeIndex.toString(), dvrIndex: dvrIndex.toString() },
-      style: 'background: rgba(255,255,255,0.05); border-radius: var(--border-radius); padding: 1.5rem; margin-bottom: 1.5rem; border: 1px solid var(--border-color);'
-    });
+  buildStorageSummary() {
+    const container = document.getElementById('dvr-container');
+    if (!container) return;
 
-    const section = createElement('section', { className: 'form-section' });
-    const heading = createElement('h4', {
-      style: 'color: var(--color-secondary); margin-bottom: 1.5rem;'
-    }, timeframeIndex === 0 ? 'Video Extraction Details' : `Video Extraction Details - Time Frame ${timeframeIndex + 1}`);
-    section.appendChild(heading);
-
-    // Build field IDs using complex naming convention
-    const startTimeId = this.getTimeframeFieldId('extractionStartTime', dvrIndex, timeframeIndex);
-    const endTimeId = this.getTimeframeFieldId('extractionEndTime', dvrIndex, timeframeIndex);
-    const timePeriodName = this.getTimeframeFieldId('timePeriodType', dvrIndex, timeframeIndex);
-    const cameraName = this.getTimeframeFieldId('cameraDetails', dvrIndex, timeframeIndex);
-
-    // Build radio button IDs
-    const dvrRadioId = this.getTimeframeFieldId('timeDVR', dvrIndex, timeframeIndex);
-    const actualRadioId = this.getTimeframeFieldId('timeActual', dvrIndex, timeframeIndex);
-
-    // Time Period Row (Start + End with Flatpickr)
-    const formRow = createElement('div', { className: 'form-row' });
-
-    // Start Time
-    const startTimeGroup = createElement('div', { className: 'form-group' });
-    const startLabel = createElement('label', {
-      htmlFor: startTimeId,
-      className: 'form-label'
-    });
-    startLabel.innerHTML = 'Time Period From <span class="required">*</span>';
-    const startInput = createElement('input', {
-      type: 'text',
-      className: 'form-control',
-      id: startTimeId,
-      name: startTimeId,
-      required: 'required'
-    });
-    const startSmall = createElement('small', { className: 'form-text' }, 'Start of video period to extract');
-    startTimeGroup.appendChild(startLabel);
-    startTimeGroup.appendChild(startInput);
-    startTimeGroup.appendChild(startSmall);
-    startTimeGroup.appendChild(createElement('div', { className: 'invalid-feedback' }));
-    formRow.appendChild(startTimeGroup);
-
-    // End Time
-    const endTimeGroup = createElement('div', { className: 'form-group' });
-    const endLabel = createElement('label', {
-      htmlFor: endTimeId,
-      className: 'form-label'
-    });
-    endLabel.innerHTML = 'Time Period To <span class="required">*</span>';
-    const endInput = createElement('input', {
-      type: 'text',
-      className: 'form-control',
-      id: endTimeId,
-      name: endTimeId,
-      required: 'required'
-    });
-    const endSmall = createElement('small', { className: 'form-text' }, 'End of video period to extract');
-    endTimeGroup.appendChild(endLabel);
-    endTimeGroup.appendChild(endInput);
-    endTimeGroup.appendChild(endSmall);
-    endTimeGroup.appendChild(createElement('div', { className: 'invalid-feedback' }));
-    formRow.appendChild(endTimeGroup);
-
-    section.appendChild(formRow);
-
-    // Time Period Type Radio Buttons
-    const timePeriodGroup = createElement('div', { className: 'form-group' });
-    const timePeriodLabel = createElement('label', { className: 'form-label' });
-    timePeriodLabel.innerHTML = 'Time Period Type <span class="required">*</span>';
-    const timePeriodSmall = createElement('small', { className: 'form-text mb-2 d-block' },
-      'Are the times above in DVR time or actual time?');
-
-    const dvrCheckDiv = createElement('div', { className: 'form-check' });
-    const dvrRadio = createElement('input', {
-      className: 'form-check-input',
-      type: 'radio',
-      name: timePeriodName,
-      id: dvrRadioId,
-      value: 'DVR Time',
-      required: 'required'
+    this.storageSummary = createElement('div', {
+      className: 'storage-estimate-total text-info d-none',
+      style: 'text-align: center; font-weight: bold; margin: 1rem 0;'
     });
-    const dvrRadioLabel = createElement('label', {
-      className: 'form-check-label',
-      htmlFor: dvrRadioId
-    }, 'DVR Time');
-    dvrCheckDiv.appendChild(dvrRadio);
-    dvrCheckDiv.appendChild(dvrRadioLabel);
-
-    const actualCheckDiv = createElement('div', { className: 'form-check' });
-    const actualRadio = createElement('input', {
-      className: 'form-check-input',
-      type: 'radio',
-      name: timePeriodName,
-      id: actualRadioId,
-      value: 'Actual Time',
-      required: 'required'
-    });
-    const actualRadioLabel = createElement('label', {
-      className: 'form-check-label',
-      htmlFor: actualRadioId
-    }, 'Actual Time');
-    actualCheckDiv.appendChild(actualRadio);
-    actualCheckDiv.appendChild(actualRadioLabel);
-
-    timePeriodGroup.appendChild(timePeriodLabel);
-    timePeriodGroup.appendChild(timePeriodSmall);
-    timePeriodGroup.appendChild(dvrCheckDiv);
-    timePeriodGroup.appendChild(actualCheckDiv);
-    timePeriodGroup.appendChild(createElement('div', { className: 'invalid-feedback' }));
-    section.appendChild(timePeriodGroup);
-
-    // Camera Details Textarea
-    const cameraGroup = createElement('div', { className: 'form-group' });
-    const cameraLabel = createElement('label', {
-      htmlFor: cameraName,
-      className: 'form-label'
-    });
-    cameraLabel.innerHTML = 'Camera Details <span class="required">*</span>';
-    const cameraTextarea = createElement('textarea', {
-      className: 'form-control',
-      id: cameraName,
-      name: cameraName,
-      rows: '4',
-      placeholder: 'List camera locations/angles needed (e.g., Front entrance, Cash register, Parking lot west side)',
-      required: 'required'
-    });
-    const cameraSmall = createElement('small', { className: 'form-text' },
-      'Please list specific cameras or areas to be extracted');
-    cameraGroup.appendChild(cameraLabel);
-    cameraGroup.appendChild(cameraTextarea);
-    cameraGroup.appendChild(cameraSmall);
-    cameraGroup.appendChild(createElement('div', { className: 'invalid-feedback' }));
-    section.appendChild(cameraGroup);
-
-    timeFrameGroup.appendChild(section);
-
-    // Remove button (only for index > 0)
-    if (timeframeIndex > 0) {
-      const removeBtn = createElement('button', {
-        type: 'button',
-        className: 'btn btn-danger',
-        style: 'margin-top: 1rem; width: 100%;'
-      }, `× Remove Time Frame ${timeframeIndex + 1}`);
-      removeBtn.addEventListener('click', () => this.removeTimeFrame(timeFrameGroup, dvrIndex));
-      timeFrameGroup.appendChild(removeBtn);
-    }
 
-    return timeFrameGroup;
+    container.after(this.storageSummary);
   }
 
   /**
-   * Get field ID/name for timeframe fields using complex naming convention
-   *
-   * Naming Pattern:
-   * - DVR 0, TF 0: baseName (e.g., extractionStartTime)
-   * - DVR 0, TF N: baseName_N (e.g., extractionStartTime_1)
-   * - DVR N, TF 0: baseName_dvrN (e.g., extractionStartTime_dvr1)
-   * - DVR N, TF M: baseName_dvrN_M (e.g., extractionStartTime_dvr1_1)
-   *
-   * @param {string} baseName - Base field name
-   * @param {number} dvrIndex - DVR index (0-based)
-   * @param {number} timeframeIndex - Timeframe index within DVR (0-based)
-   * @returns {string} Full field ID/name
+   * Build incident description section
    */
-  getTimeframeFieldId(baseName, dvrIndex, timeframeIndex) {
-    if (dvrIndex === 0) {
-      return timeframeIndex === 0 ? baseName : `${baseName}_${timeframeIndex}`;
+  buildIncidentSection() {
+    const container = document.getElementById('incident-section-container');
+    if (!container) {
+      console.debug('[RecoveryForm] incident-section-container not found');
+      return;
     }
-    return timeframeIndex === 0
-      ? `${baseName}_dvr${dvrIndex}`
-      : `${baseName}_dvr${dvrIndex}_${timeframeIndex}`;
+
+    container.appendChild(FormFieldBuilder.createIncidentDescriptionSection());
   }
 
   // ===========================================================================
@@ -411,138 +200,11 @@ export class RecoveryFormHandler extends FormHandler {
   // ===========================================================================
 
   /**
-   * Initialize Flatpickr on all date/datetime fields
+   * Initialize Flatpickr on all schema date/datetime fields
    * Must be called AFTER buildFields() so DOM elements exist
    */
   initializeFlatpickrFields() {
-    // Initialize Flatpickr for the first DVR group
-    const firstDvrGroup = this.form.querySelector('.dvr-group');
-    if (firstDvrGroup) {
-      this.initializeFlatpickrInContainer(firstDvrGroup, 0);
-    }
-  }
-
-  /**
-   * Initialize Flatpickr on datetime fields within a container
-   * @param {HTMLElement} container - Container with datetime fields
-   * @param {number} dvrIndex - DVR index for this container
-   */
-  initializeFlatpickrInContainer(container, dvrIndex) {
-    if (typeof window === 'undefined' || !window.flatpickr) return;
-
-    // Find all timeframe groups in this container
-    const timeframeGroups = container.querySelectorAll('.extraction-timeframe-group');
-
-    timeframeGroups.forEach((group) => {
-      const timeframeIndex = parseInt(group.dataset.groupIndex, 10);
-
-      const startTimeId = this.getTimeframeFieldId('extractionStartTime', dvrIndex, timeframeIndex);
-      const endTimeId = this.getTimeframeFieldId('extractionEndTime', dvrIndex, timeframeIndex);
-
-      const startTimeField = group.querySelector(`#${startTimeId}`);
-      const endTimeField = group.querySelector(`#${endTimeId}`);
-
-      if (startTimeField && !this.flatpickrInstances[startTimeId]) {
-        this.flatpickrInstances[startTimeId] = window.flatpickr(startTimeField, {
-          ...CONFIG.FLATPICKR_CONFIG.DATETIME,
-          onChange: (selectedDates, dateStr) => {
-            // Small timeout to ensure Flatpickr has updated the hidden input before validation
-            setTimeout(() => {
-              this.validateSingleField(startTimeField);
-              // Revalidate end time if it has a value
-              if (endTimeField && endTimeField.value) {
-                this.validateTimeRange(endTimeField);
-              }
-            }, 10);
-          }
-        });
-      }
-
-      if (endTimeField && !this.flatpickrInstances[endTimeId]) {
-        this.flatpickrInstances[endTimeId] = window.flatpickr(endTimeField, {
-          ...CONFIG.FLATPICKR_CONFIG.DATETIME,
-          onChange: (selectedDates, dateStr) => {
-            // Small timeout to ensure Flatpickr has updated the hidden input before validation
-            setTimeout(() => {
-              this.validateSingleField(endTimeField);
-              this.validateTimeRange(endTimeField);
-            }, 10);
-          }
-        });
-      }
-    });
-
-    // Also initialize DVR retention date field if present
-    const retentionId = dvrIndex === 0 ? 'dvrRetention' : `dvrRetention_${dvrIndex}`;
-    const retentionField = container.querySelector(`#${retentionId}`);
-    if (retentionField && !this.flatpickrInstances[retentionId]) {
-      this.flatpickrInstances[retentionId] = window.flatpickr(retentionField, {
-        ...CONFIG.FLATPICKR_CONFIG.DATE,
-        maxDate: 'today',
-        onChange: (selectedDates, dateStr) => {
-          // Small timeout to ensure Flatpickr has updated the hidden input before validation
-          setTimeout(() => {
-            this.handleRetentionChange({ target: retentionField }, dvrIndex);
-            this.validateSingleField(retentionField);
-          }, 10);
-        }
-      });
-    }
-  }
-
-  /**
-   * Handle DVR retention date change
-   * @param {Event} e - Change event
-   * @param {number} dvrIndex - DVR index
-   */
-  handleRetentionChange(e, dvrIndex) {
-    const retentionCalcId = dvrIndex === 0 ? 'retentionCalculation' : `retentionCalculation_${dvrIndex}`;
-    const retentionEl = document.getElementById(retentionCalcId);
-    const field = e.target;
-
-    if (field.value && retentionEl) {
-      const retention = calculateRetentionDays(field.value);
-
-      if (retention.days < 0) {
-        this.showFieldValidation(field, 'DVR retention date cannot be in the future');
-        retentionEl.textContent = '';
-        retentionEl.className = 'text-info mt-2';
-      } else {
-        this.showFieldValidation(field, null);
-        retentionEl.textContent = retention.message;
-
-        if (retention.days <= 4) {
-          retentionEl.className = 'text-danger mt-2';
-          retentionEl.style.fontWeight = 'bold';
-        } else {
-          retentionEl.className = 'text-info mt-2';
-          retentionEl.style.fontWeight = 'normal';
-        }
-      }
-    } else if (retentionEl) {
-      retentionEl.textContent = '';
-      retentionEl.className = 'text-info mt-2';
-      this.showFieldValidation(field, null);
-    }
-  }
-
-  /**
-   * Validate time range (end > start)
-   * @param {HTMLElement} endField - The end time field
-   */
-  validateTimeRange(endField) {
-    const endFieldName = endField.name;
-    const startFieldName = endFieldName.replace('EndTime', 'StartTime');
-    const startField = this.form.querySelector(`[name="${startFieldName}"]`);
-
-    if (startField && startField.value && endField.value) {
-      const dateError = validateDateRange(startField.value, endField.value);
-      if (dateError) {
-        this.showFieldValidation(endField, dateError);
-      } else {
-        this.showFieldValidation(endField, null);
-      }
-    }
+    this.initializeFlatpickrInContainer(this.form);
   }
 
   /**
@@ -550,19 +212,23 @@ export class RecoveryFormHandler extends FormHandler {
    * @param {Object} data - Form data to populate
    */
   populateForm(data) {
-    // Let base class populate all standard fields
+    // Base class adds DVR and time frame entries to match the draft and fills them
     super.populateForm(data);
 
     // Sync Flatpickr instances with their underlying input values
-    Object.keys(this.flatpickrInstances).forEach(key => {
-      if (data[key] && this.flatpickrInstances[key]) {
-        this.flatpickrInstances[key].setDate(data[key], true);
+    Object.values(this.flatpickrInstances).forEach(instance => {
+      if (instance.input.value) {
+        instance.setDate(instance.input.value, true);
       }
     });
+
+    this.updateAllTimeConversions();
+    this.updateOverwriteCountdowns();
+    this.updateStorageEstimates();
   }
 
   /**
-   * Override clearFormAfterSubmission to also clear Flatpickr instances
+   * Override clearFormAfterSubmission to also clear Flatpickr instances and extra DVRs
    */
   clearFormAfterSubmission() {
     super.clearFormAfterSubmission();
@@ -573,6 +239,20 @@ export class RecoveryFormHandler extends FormHandler {
         instance.clear();
       }
     });
+
+    // Recording quality falls back to the default rather than an empty select
+    this.form.querySelectorAll('[name^="recordingProfile"]').forEach(select => {
+      select.value = CONFIG.STORAGE_ESTIMATE.DEFAULT_PROFILE;
+    });
+
+    const [firstDvr] = this.setSchemaRepeatCount(DVR_SECTION, 1);
+    if (firstDvr) {
+      this.setSchemaRepeatCount(TIME_FRAME_SECTION, 1, firstDvr);
+    }
+
+    this.updateAllTimeConversions();
+    this.updateOverwriteCountdowns();
+    this.updateStorageEstimates();
   }
 
   /**
@@ -607,331 +287,172 @@ export class RecoveryFormHandler extends FormHandler {
       if (field.type === 'tel' || field.name === CONFIG.FIELD_NAMES.OFFICER_EMAIL) {
         field.addEventListener('input', debounce(() => this.validateSingleField(field), 500));
       }
-
-      // Location contact phone real-time validation
-      if (field.name === 'locationContactPhone') {
-        field.addEventListener('input', debounce(() => this.validateSingleField(field), 500));
-      }
     });
   }
 
   // ===========================================================================
-  // RECOVERY-SPECIFIC LISTENERS (EXISTING)
+  // RECOVERY-SPECIFIC LISTENERS
   // ===========================================================================
 
   setupRecoverySpecificListeners() {
-    // Initialize conditional field handler
-    const conditionalHandler = new ConditionalFieldHandler(this);
-
-    // Setup "Other" fields
-    conditionalHandler.setupOtherField('city', 'cityOtherGroup', 'cityOther');
+    // City "Other" field, time sync, retention and the add DVR/time frame buttons
+    this.setupSchemaConditionals();
 
-    // Setup listeners for the first DVR (index 0)
-    this.setupDVRListeners(0);
-
-    // Add DVR button
-    const addDVRBtn = document.getElementById('addDVRBtn');
-    if (addDVRBtn) {
-      addDVRBtn.addEventListener('click', () => this.addDVRGroup());
+    // Suggest DVR details remembered from earlier requests at this location
+    const locationContainer = document.getElementById('location-section-container');
+    if (locationContainer) {
+      this.setupLocationSuggestions(locationContainer, locationContainer, (match) => this.applyLocationHistory(match));
     }
 
-    // Phone number formatting for location contact
-    const locationPhoneField = this.form.querySelector('#locationContactPhone');
-    if (locationPhoneField) {
-      locationPhoneField.addEventListener('input', debounce(() => this.validateSingleField(locationPhoneField), 500));
-    }
+    // Live DVR time / real time conversion for every time frame as the times and offset are entered
+    const updateConversions = (e) => {
+      const dvrGroup = e.target.closest('.dvr-group');
+      if (dvrGroup && /^(extractionStartTime|extractionEndTime|timePeriodType|isTimeDateCorrect|timeOffset)/.test(e.target.name)) {
+        this.updateTimeConversions(dvrGroup);
+      }
+    };
+    this.form.addEventListener('change', updateConversions);
+    this.form.addEventListener('input', updateConversions);
+
+    // Warn about suspicious extraction windows, count down to overwrite and
+    // estimate the storage needed as they are entered
+    this.form.addEventListener('change', debounce(() => {
+      this.showTemporalIssues(validateTemporalConsistency(this.collectFormData()));
+      this.updateOverwriteCountdowns();
+      this.updateStorageEstimates();
+    }, 300));
   }
 
-  setupDVRListeners(dvrIndex) {
-    // Time & Date correct - special handling (no warning, optional offset)
-    const timeSyncName = dvrIndex === 0 ? 'isTimeDateCorrect' : `isTimeDateCorrect_${dvrIndex}`;
-    const timeSyncRadios = this.form.querySelectorAll(`[name="${timeSyncName}"]`);
-    timeSyncRadios.forEach(radio => {
-      radio.addEventListener('change', (e) => {
-        const offsetGroupId = dvrIndex === 0 ? 'timeOffsetGroup' : `timeOffsetGroup_${dvrIndex}`;
-        const offsetFieldId = dvrIndex === 0 ? 'timeOffset' : `timeOffset_${dvrIndex}`;
-        const offsetGroup = document.getElementById(offsetGroupId);
-        const offsetField = document.getElementById(offsetFieldId);
-
-        if (e.target.value === 'No') {
-          toggleElement(offsetGroup, true);
-          // Note: NOT setting required attribute - different from upload form
-        } else {
-          toggleElement(offsetGroup, false);
-          offsetField.value = '';
-          this.showFieldValidation(offsetField, null);
-        }
+  /**
+   * Update the DVR time / real time conversion shown under each time frame of a DVR
+   * @param {HTMLElement} dvrGroup - DVR entry
+   */
+  updateTimeConversions(dvrGroup) {
+    const isTimeDateCorrect = dvrGroup.querySelector('[name^="isTimeDateCorrect"]:checked')?.value || '';
+    const timeOffset = dvrGroup.querySelector('[name^="timeOffset"]')?.value || '';
+
+    dvrGroup.querySelectorAll('.extraction-timeframe-group').forEach(group => {
+      this.showTimeConversion(group.querySelector('.time-conversion-preview'), {
+        startTime: group.querySelector('[name^="extractionStartTime"]')?.value || '',
+        endTime: group.querySelector('[name^="extractionEndTime"]')?.value || '',
+        timePeriodType: group.querySelector('[name^="timePeriodType"]:checked')?.value || '',
+        isTimeDateCorrect,
+        timeOffset
       });
     });
-
-    // Setup listeners for the first time frame of this DVR
-    this.setupTimeFrameListeners(0, dvrIndex);
-
-    // Add time frame button for this DVR
-    const addTimeFrameBtns = this.form.querySelectorAll('.add-timeframe-btn');
-    addTimeFrameBtns.forEach(btn => {
-      if (parseInt(btn.dataset.dvrIndex) === dvrIndex) {
-        btn.addEventListener('click', () => this.addTimeFrame(dvrIndex));
-      }
-    });
-
-    // DVR retention calculation and future date validation
-    const dvrRetentionId = dvrIndex === 0 ? 'dvrRetention' : `dvrRetention_${dvrIndex}`;
-    const dvrRetentionField = this.form.querySelector(`#${dvrRetentionId}`);
-    if (dvrRetentionField) {
-      dvrRetentionField.addEventListener('change', (e) => {
-        const retentionCalcId = dvrIndex === 0 ? 'retentionCalculation' : `retentionCalculation_${dvrIndex}`;
-        const retentionEl = document.getElementById(retentionCalcId);
-        if (e.target.value) {
-          const retention = calculateRetentionDays(e.target.value);
-
-          // Check for future date
-          if (retention.days < 0) {
-            this.showFieldValidation(dvrRetentionField, 'DVR retention date cannot be in the future');
-            retentionEl.textContent = '';
-            retentionEl.className = 'text-info mt-2';
-          } else {
-            // Clear any validation error
-            this.showFieldValidation(dvrRetentionField, null);
-
-            // Display calculation with urgency styling if needed
-            retentionEl.textContent = retention.message;
-
-            // Apply urgent styling if 4 days or less
-            if (retention.days <= 4) {
-              retentionEl.className = 'text-danger mt-2';
-              retentionEl.style.fontWeight = 'bold';
-            } else {
-              retentionEl.className = 'text-info mt-2';
-              retentionEl.style.fontWeight = 'normal';
-            }
-          }
-        } else {
-          retentionEl.textContent = '';
-          retentionEl.className = 'text-info mt-2';
-          this.showFieldValidation(dvrRetentionField, null);
-        }
-      });
-    }
   }
 
-  setupTimeFrameListeners(index, dvrIndex = 0) {
-    // Build field IDs based on both timeframe index and DVR index
-    let startTimeId, endTimeId;
-    if (dvrIndex === 0) {
-      startTimeId = index === 0 ? 'extractionStartTime' : `extractionStartTime_${index}`;
-      endTimeId = index === 0 ? 'extractionEndTime' : `extractionEndTime_${index}`;
-    } else {
-      startTimeId = index === 0 ? `extractionStartTime_dvr${dvrIndex}` : `extractionStartTime_dvr${dvrIndex}_${index}`;
-      endTimeId = index === 0 ? `extractionEndTime_dvr${dvrIndex}` : `extractionEndTime_dvr${dvrIndex}_${index}`;
-    }
-
-    const startTimeField = this.form.querySelector(`#${startTimeId}`);
-    const endTimeField = this.form.querySelector(`#${endTimeId}`);
-
-    if (startTimeField && endTimeField) {
-      endTimeField.addEventListener('change', () => {
-        const dateError = validateDateRange(startTimeField.value, endTimeField.value);
-        if (dateError) {
-          this.showFieldValidation(endTimeField, dateError);
-        }
-      });
-
-      startTimeField.addEventListener('change', () => {
-        if (endTimeField.value) {
-          const dateError = validateDateRange(startTimeField.value, endTimeField.value);
-          if (dateError) {
-            this.showFieldValidation(endTimeField, dateError);
-          } else {
-            this.showFieldValidation(endTimeField, null);
-          }
-        }
-      });
-    }
+  /**
+   * Update the time conversions for every DVR, e.g. after loading a draft
+   */
+  updateAllTimeConversions() {
+    this.form.querySelectorAll('.dvr-group').forEach(dvrGroup => this.updateTimeConversions(dvrGroup));
   }
 
-  addDVRGroup() {
-    const container = document.getElementById('dvr-container');
-    const dvrIndex = container.children.length;
-
-    // Use the shared createDVRGroup method
-    const dvrGroup = this.createDVRGroup(dvrIndex);
-    dvrGroup.style.opacity = '0';
-
-    container.appendChild(dvrGroup);
-
-    // Apply autofill prevention to the newly created fields
-    this.applyAutofillPrevention(dvrGroup.querySelectorAll('input, select, textarea'));
-
-    // Attach validation listeners to new fields
-    this.attachValidationListeners(dvrGroup);
-
-    // Initialize Flatpickr on new datetime fields
-    this.initializeFlatpickrInContainer(dvrGroup, dvrIndex);
-
-    // Setup listeners for the new DVR
-    this.setupDVRListeners(dvrIndex);
-
-    // Re-apply iOS keyboard fix for new fields
-    this.setupKeyboardProgressBarFix();
-
-    // Animate in
-    requestAnimationFrame(() => {
-      dvrGroup.style.transition = 'all 0.3s ease';
-      dvrGroup.style.opacity = '1';
-    });
+  /**
+   * Show the countdown to each time frame's overwrite deadline
+   * Shown once the DVR's earliest recorded date and the start time are entered
+   */
+  updateOverwriteCountdowns() {
+    const deadlines = calculateOverwriteDeadlines(this.collectFormData());
+    const dvrGroups = this.form.querySelectorAll('.dvr-group');
 
-    // Scroll to new section
-    setTimeout(() => scrollToElement(dvrGroup), 300);
+    this.form.querySelectorAll('.overwrite-countdown').forEach(element => element.classList.add('d-none'));
 
-    // Update progress
-    this.updateProgress();
-  }
+    deadlines.forEach(({ dvrIndex, timeframeIndex, deadline }) => {
+      const element = dvrGroups[dvrIndex]
+        ?.querySelectorAll('.extraction-timeframe-group')[timeframeIndex]
+        ?.querySelector('.overwrite-countdown');
+      if (!element) return;
 
-  removeDVRGroup(dvrGroup, dvrIndex) {
-    // Destroy Flatpickr instances for this DVR group
-    const timeframeGroups = dvrGroup.querySelectorAll('.extraction-timeframe-group');
-    timeframeGroups.forEach((group) => {
-      const tfIndex = parseInt(group.dataset.groupIndex, 10);
-      const startTimeId = this.getTimeframeFieldId('extractionStartTime', dvrIndex, tfIndex);
-      const endTimeId = this.getTimeframeFieldId('extractionEndTime', dvrIndex, tfIndex);
-
-      if (this.flatpickrInstances[startTimeId]) {
-        this.flatpickrInstances[startTimeId].destroy();
-        delete this.flatpickrInstances[startTimeId];
-      }
-      if (this.flatpickrInstances[endTimeId]) {
-        this.flatpickrInstances[endTimeId].destroy();
-        delete this.flatpickrInstances[endTimeId];
-      }
+      const countdown = formatOverwriteCountdown(deadline);
+      element.textContent = `Overwritten from ${formatDateTime(deadline)} - ${countdown.text}`;
+      element.classList.remove('d-none');
+      element.classList.toggle('text-danger', countdown.isUrgent);
+      element.classList.toggle('text-info', !countdown.isUrgent);
     });
 
-    // Destroy retention date Flatpickr
-    const retentionId = dvrIndex === 0 ? 'dvrRetention' : `dvrRetention_${dvrIndex}`;
-    if (this.flatpickrInstances[retentionId]) {
-      this.flatpickrInstances[retentionId].destroy();
-      delete this.flatpickrInstances[retentionId];
-    }
-
-    // Animate out
-    dvrGroup.style.transition = 'all 0.3s ease';
-    dvrGroup.style.opacity = '0';
-    dvrGroup.style.transform = 'scale(0.95)';
-
-    setTimeout(() => {
-      dvrGroup.remove();
-      this.updateProgress();
-    }, 300);
+    this.deadlineActions?.classList.toggle('d-none', deadlines.length === 0);
   }
 
-  addTimeFrame(dvrIndex = 0) {
-    const containers = this.form.querySelectorAll('.extraction-timeframe-container');
-    let container;
-
-    // Find the correct container for this DVR
-    containers.forEach(c => {
-      if (parseInt(c.dataset.dvrIndex) === dvrIndex) {
-        container = c;
-      }
-    });
-
-    if (!container) return;
-
-    const timeframeIndex = container.children.length;
-
-    // Use the shared createTimeframeGroup method
-    const timeFrameGroup = this.createTimeframeGroup(timeframeIndex, dvrIndex);
-    timeFrameGroup.style.opacity = '0';
-
-    container.appendChild(timeFrameGroup);
-
-    // Apply autofill prevention to the newly created fields
-    this.applyAutofillPrevention(timeFrameGroup.querySelectorAll('input, select, textarea'));
-
-    // Attach validation listeners to new fields
-    this.attachValidationListeners(timeFrameGroup);
-
-    // Initialize Flatpickr on new datetime fields
-    this.initializeFlatpickrInContainer(container.closest('.dvr-group'), dvrIndex);
+  /**
+   * Show the storage needed per DVR and in total, with the media to bring
+   * Cameras are counted from each time frame's camera details
+   */
+  updateStorageEstimates() {
+    const estimate = estimateRecoveryStorage(this.collectFormData());
+    const dvrGroups = this.form.querySelectorAll('.dvr-group');
 
-    // Setup listeners for the new time frame
-    this.setupTimeFrameListeners(timeframeIndex, dvrIndex);
+    estimate.dvrs.forEach(({ dvrIndex, profile, cameraHours, gigabytes }) => {
+      const element = dvrGroups[dvrIndex]?.querySelector('.storage-estimate');
+      if (!element) return;
 
-    // Animate in
-    requestAnimationFrame(() => {
-      timeFrameGroup.style.transition = 'all 0.3s ease';
-      timeFrameGroup.style.opacity = '1';
+      element.textContent = CONFIG.MESSAGES.STORAGE_ESTIMATE_DVR
+        .replace('{size}', formatStorageSize(gigabytes))
+        .replace('{cameraHours}', Number(cameraHours.toFixed(1)))
+        .replace('{profile}', profile.text);
+      element.classList.toggle('d-none', gigabytes === 0);
     });
 
-    // Scroll to new section
-    setTimeout(() => scrollToElement(timeFrameGroup), 300);
+    if (!this.storageSummary) return;
 
-    // Update progress
-    this.updateProgress();
+    this.storageSummary.textContent = estimate.recommendation
+      ? CONFIG.MESSAGES.STORAGE_ESTIMATE_TOTAL
+        .replace('{size}', formatStorageSize(estimate.gigabytes))
+        .replace('{media}', estimate.recommendation.text)
+      : '';
+    this.storageSummary.classList.toggle('d-none', !estimate.recommendation);
   }
 
-  removeTimeFrame(timeFrameGroup, dvrIndex) {
-    // Get the timeframe index to clean up Flatpickr instances
-    const timeframeIndex = parseInt(timeFrameGroup.dataset.groupIndex, 10);
+  /**
+   * Fill the contact and the first DVR's details from an earlier request at this location
+   * Only empty fields are filled; the earliest date is estimated from the remembered retention
+   * @param {Object} match - Location from findPastLocations()
+   * @returns {number} Number of fields filled
+   */
+  applyLocationHistory(match) {
+    const { details } = match;
+    const dvrGroup = this.form.querySelector('.dvr-group');
+
+    const filled = [
+      this.fillFromHistory(this.form.querySelector('#businessName'), match.businessName),
+      this.fillFromHistory(this.form.querySelector('#locationContact'), details.locationContact?.value),
+      this.fillFromHistory(this.form.querySelector('#locationContactPhone'), details.locationContactPhone?.value),
+      this.fillFromHistory(dvrGroup?.querySelector('[name^="dvrMakeModel"]'), details.dvrMakeModel?.value),
+      Boolean(dvrGroup) && this.applyTimeOffsetFromHistory(dvrGroup, details.timeOffset?.value),
+      this.fillFromHistory(dvrGroup?.querySelector('[name^="dvrRetention"]'),
+        details.retentionDays ? estimateEarliestDate(details.retentionDays.value) : undefined)
+    ];
+
+    return filled.filter(Boolean).length;
+  }
 
-    const startTimeId = this.getTimeframeFieldId('extractionStartTime', dvrIndex, timeframeIndex);
-    const endTimeId = this.getTimeframeFieldId('extractionEndTime', dvrIndex, timeframeIndex);
+  // ===========================================================================
+  // DVR AND TIMEFRAME ENTRIES
+  // ===========================================================================
 
-    // Destroy Flatpickr instances for this timeframe
-    if (this.flatpickrInstances[startTimeId]) {
-      this.flatpickrInstances[startTimeId].destroy();
-      delete this.flatpickrInstances[startTimeId];
-    }
-    if (this.flatpickrInstances[endTimeId]) {
-      this.flatpickrInstances[endTimeId].destroy();
-      delete this.flatpickrInstances[endTimeId];
-    }
+  /**
+   * Add a DVR entry, with its first time frame
+   * @returns {HTMLElement} The new DVR entry
+   */
+  addDVRGroup() {
+    return this.addSchemaRepeatItem(DVR_SECTION);
+  }
 
-    // Animate out
-    timeFrameGroup.style.transition = 'all 0.3s ease';
-    timeFrameGroup.style.opacity = '0';
-    timeFrameGroup.style.transform = 'scale(0.95)';
+  /**
+   * Add a time frame to a DVR
+   * @param {number} dvrIndex - Position of the DVR in the form (0 for first)
+   * @returns {HTMLElement|null} The new time frame entry
+   */
+  addTimeFrame(dvrIndex = 0) {
+    const dvrGroup = this.form.querySelectorAll('.dvr-group')[dvrIndex];
+    if (!dvrGroup) return null;
 
-    setTimeout(() => {
-      timeFrameGroup.remove();
-      this.updateProgress();
-    }, 300);
+    return this.addSchemaRepeatItem(TIME_FRAME_SECTION, { parent: dvrGroup });
   }
 
   collectFormData() {
-    const data = super.collectFormData();
-
-    // Collect multiple DVR groups
-    const dvrGroups = this.form.querySelectorAll('.dvr-group');
-    data.dvrGroups = [];
-
-    dvrGroups.forEach((dvrGroup, dvrIndex) => {
-      const dvr = {
-        dvrMakeModel: dvrGroup.querySelector(`[name^="dvrMakeModel"]`)?.value || '',
-        isTimeDateCorrect: dvrGroup.querySelector(`[name^="isTimeDateCorrect"]:checked`)?.value || '',
-        timeOffset: dvrGroup.querySelector(`[name^="timeOffset"]`)?.value || '',
-        dvrRetention: dvrGroup.querySelector(`[name^="dvrRetention"]`)?.value || '',
-        hasVideoMonitor: dvrGroup.querySelector(`[name^="hasVideoMonitor"]:checked`)?.value || '',
-        dvrUsername: dvrGroup.querySelector(`[name^="dvrUsername"]`)?.value || '',
-        dvrPassword: dvrGroup.querySelector(`[name^="dvrPassword"]`)?.value || '',
-        extractionTimeFrames: []
-      };
-
-      // Collect extraction time frames for this DVR
-      const timeFrameGroups = dvrGroup.querySelectorAll('.extraction-timeframe-group');
-      timeFrameGroups.forEach((group, index) => {
-        const timeFrame = {
-          extractionStartTime: group.querySelector(`[name^="extractionStartTime"]`)?.value || '',
-          extractionEndTime: group.querySelector(`[name^="extractionEndTime"]`)?.value || '',
-          timePeriodType: group.querySelector(`[name^="timePeriodType"]:checked`)?.value || '',
-          cameraDetails: group.querySelector(`[name^="cameraDetails"]`)?.value || ''
-        };
-
-        dvr.extractionTimeFrames.push(timeFrame);
-      });
-
-      data.dvrGroups.push(dvr);
-    });
+    const data = addDisplayValues(this.schema, this.collectSchemaRepeats(super.collectFormData()));
 
     // Keep first DVR's first time frame fields at root level for backward compatibility
     if (data.dvrGroups.length > 0) {
@@ -941,6 +462,7 @@ export class RecoveryFormHandler extends FormHandler {
       data.timeOffset = firstDVR.timeOffset;
       data.dvrRetention = firstDVR.dvrRetention;
       data.hasVideoMonitor = firstDVR.hasVideoMonitor;
+      data.recordingProfile = firstDVR.recordingProfile;
       data.dvrUsername = firstDVR.dvrUsername;
       data.dvrPassword = firstDVR.dvrPassword;
 
@@ -960,7 +482,7 @@ export class RecoveryFormHandler extends FormHandler {
     data.fileNr = data.occNumber || '';
 
     // Set request area to city value for PHP system
-    data[CONFIG.FIELD_NAMES.REQUEST_AREA] = data.city || '';
+    data[CONFIG.FIELD_NAMES.REQUEST_AREA] = data.cityDisplay || '';
 
     // Set occurrence type
     data[CONFIG.FIELD_NAMES.OCCURRENCE_TYPE] = data.offenceType || 'Recovery Request';
@@ -971,236 +493,34 @@ export class RecoveryFormHandler extends FormHandler {
     }
 
     // Generate field summaries for third-party
-    data[CONFIG.FIELD_NAMES.FILE_DETAILS] = this.generateFileDetails(data);
+    data[CONFIG.FIELD_NAMES.FILE_DETAILS] = buildFileDetails(this.schema, data);
     data[CONFIG.FIELD_NAMES.REQUEST_DETAILS] = data.incidentDescription || '';
 
     // Handle conditional fields for display
     data.offenceTypeDisplay = data.offenceType || 'Not specified';
 
-    if (data.city === 'Other' && data.cityOther) {
-      data.cityDisplay = data.cityOther;
-    } else {
-      data.cityDisplay = data.city;
-    }
-
     return data;
   }
 
-  generateFileDetails(data) {
-    const sections = [];
-
-    // Form Title Header
-    const title = 'CCTV RECOVERY REQUEST';
-    const boxWidth = 40; // Fixed width for header
-    const horizontalLine = '='.repeat(boxWidth);
-    const padding = ' '.repeat(Math.floor((boxWidth - title.length) / 2));
-
-    sections.push(horizontalLine);
-    sections.push(`${padding}${title}`);
-    sections.push(horizontalLine);
-
-    // === CASE ===
-    const caseInfo = [];
-    if (data.occNumber) {
-      caseInfo.push(`Occurrence: ${data.occNumber}`);
-    }
-    if (data.offenceTypeDisplay) {
-      caseInfo.push(`Offence: ${data.offenceTypeDisplay}`);
-    }
-    if (caseInfo.length > 0) {
-      sections.push('=== CASE ===');
-      sections.push(...caseInfo);
-      sections.push('');
-    }
-
-    // === INVESTIGATOR ===
-    const investigatorInfo = [];
-    if (data.rName) {
-      const badgeText = data.badge ? ` (Badge: ${data.badge})` : '';
-      investigatorInfo.push(`Name: ${data.rName}${badgeText}`);
-    }
-    if (data.requestingPhone) {
-      investigatorInfo.push(`Phone: ${data.requestingPhone}`);
-    }
-    if (data.requestingEmail) {
-      investigatorInfo.push(`Email: ${data.requestingEmail}`);
-    }
-    if (investigatorInfo.length > 0) {
-      sections.push('=== INVESTIGATOR ===');
-      sections.push(...investigatorInfo);
-      sections.push('');
-    }
-
-    // === LOCATION ===
-    const locationInfo = [];
-    if (data.businessName) {
-      locationInfo.push(`Business: ${data.businessName}`);
-    }
-    if (data.locationAddress) {
-      const city = data.cityDisplay || '';
-      const address = city ? `${data.locationAddress}, ${city}` : data.locationAddress;
-      locationInfo.push(`Address: ${address}`);
-    } else if (data.cityDisplay) {
-      locationInfo.push(`City: ${data.cityDisplay}`);
-    }
-    if (data.locationContact) {
-      const contactPhone = data.locationContactPhone ? ` (${data.locationContactPhone})` : '';
-      locationInfo.push(`Contact: ${data.locationContact}${contactPhone}`);
-    }
-    if (locationInfo.length > 0) {
-      sections.push('=== LOCATION ===');
-      sections.push(...locationInfo);
-      sections.push('');
-    }
-
-    // === DVR X === (for each DVR)
-    if (data.dvrGroups && data.dvrGroups.length > 0) {
-      data.dvrGroups.forEach((dvr, dvrIndex) => {
-        sections.push(`=== DVR ${dvrIndex + 1} ===`);
-
-        // DVR Information
-        if (dvr.dvrMakeModel) {
-          sections.push(`Make/Model: ${dvr.dvrMakeModel}`);
-        }
-        if (dvr.isTimeDateCorrect) {
-          sections.push(`Time Correct: ${dvr.isTimeDateCorrect}`);
-          // Show time offset only if time is NOT correct
-          if (dvr.isTimeDateCorrect === 'No' && dvr.timeOffset) {
-            sections.push(`Time Offset: ${dvr.timeOffset}`);
-          }
-        }
-        if (dvr.dvrRetention) {
-          const retention = calculateRetentionDays(dvr.dvrRetention);
-          const urgentText = retention.days <= 4 ? ' - URGENT' : '';
-          sections.push(`Retention: ${retention.days} days${urgentText}`);
-        }
-        if (dvr.hasVideoMonitor) {
-          sections.push(`Monitor On-Site: ${dvr.hasVideoMonitor}`);
-        }
-
-        sections.push('');
-
-        // --- Time Frame X --- (for each time frame within this DVR)
-        if (dvr.extractionTimeFrames && dvr.extractionTimeFrames.length > 0) {
-          dvr.extractionTimeFrames.forEach((timeFrame, frameIndex) => {
-            sections.push(`--- Time Frame ${frameIndex + 1} ---`);
-
-            // Format dates nicely
-            if (timeFrame.extractionStartTime && timeFrame.extractionEndTime) {
-              const startDate = new Date(timeFrame.extractionStartTime);
-              const endDate = new Date(timeFrame.extractionEndTime);
-
-              const formattedStart = this.formatDateTime(startDate);
-              const formattedEnd = this.formatDateTime(endDate);
-
-              sections.push(`Period: ${formattedStart} to ${formattedEnd}`);
-
-              // Calculate duration
-              const durationMinutes = Math.round((endDate - startDate) / (1000 * 60));
-              const durationText = this.formatDuration(durationMinutes);
-              sections.push(`Duration: ${durationText}`);
-            }
-
-            if (timeFrame.timePeriodType) {
-              sections.push(`Time Type: ${timeFrame.timePeriodType}`);
-            }
-
-            // Camera details as bullet points
-            if (timeFrame.cameraDetails) {
-              sections.push('Cameras:');
-              const cameraLines = timeFrame.cameraDetails.split('\n').filter(line => line.trim());
-              cameraLines.forEach(camera => {
-                sections.push(`- ${camera.trim()}`);
-              });
-            }
-
-            sections.push('');
-          });
-        }
-
-        // Access Information
-        const username = dvr.dvrUsername || '(none)';
-        const password = dvr.dvrPassword || '(none)';
-        sections.push(`Access: ${username} / ${password}`);
-        sections.push('');
-      });
-    }
-
-    // === INCIDENT ===
-    if (data.incidentDescription) {
-      sections.push('=== INCIDENT ===');
-      sections.push(data.incidentDescription);
-    }
+  validateForm() {
+    const result = super.validateForm();
 
-    return sections.join('\n');
-  }
+    // Extraction windows against each other and each DVR's earliest date
+    this.showTemporalIssues(validateTemporalConsistency(this.collectFormData()), result);
 
-  /**
-   * Format a date object to readable string (e.g., "Dec 3, 2025 14:30")
-   */
-  formatDateTime(date) {
-    const months = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
-    const month = months[date.getMonth()];
-    const day = date.getDate();
-    const year = date.getFullYear();
-    const hours = String(date.getHours()).padStart(2, '0');
-    const minutes = String(date.getMinutes()).padStart(2, '0');
-    return `${month} ${day}, ${year} ${hours}:${minutes}`;
+    return result;
   }
 
   /**
-   * Format duration in minutes to readable string
+   * Find the extraction time field a temporal issue refers to
+   * @param {Object} issue - Issue from validateTemporalConsistency()
+   * @returns {HTMLElement|null} The field
+   * @override
    */
-  formatDuration(minutes) {
-    if (minutes < 60) {
-      return `${minutes} minute${minutes !== 1 ? 's' : ''}`;
-    }
-    const hours = Math.floor(minutes / 60);
-    const remainingMinutes = minutes % 60;
-    if (remainingMinutes === 0) {
-      return `${hours} hour${hours !== 1 ? 's' : ''}`;
-    }
-    return `${hours} hour${hours !== 1 ? 's' : ''} ${remainingMinutes} minute${remainingMinutes !== 1 ? 's' : ''}`;
-  }
-
-  validateForm() {
-    const result = super.validateForm();
-
-    // Validate all extraction time frames
-    const timeFrameGroups = this.form.querySelectorAll('.extraction-timeframe-group');
-    timeFrameGroups.forEach((group, index) => {
-      const startTimeField = group.querySelector('[name^="extractionStartTime"]');
-      const endTimeField = group.querySelector('[name^="extractionEndTime"]');
-
-      if (startTimeField && endTimeField && startTimeField.value && endTimeField.value) {
-        const dateError = validateDateRange(startTimeField.value, endTimeField.value);
-        if (dateError) {
-          result.errors[`extractionEndTime_${index}`] = dateError;
-          result.isValid = false;
-          this.showFieldValidation(endTimeField, dateError);
-          if (!result.firstErrorField) {
-            result.firstErrorField = endTimeField;
-          }
-        }
-      }
-    });
-
-    // Validate DVR retention date is not in the future
-    const dvrRetentionField = this.form.querySelector('#dvrRetention');
-    if (dvrRetentionField && dvrRetentionField.value) {
-      const retention = calculateRetentionDays(dvrRetentionField.value);
-      if (retention.days < 0) {
-        const error = 'DVR retention date cannot be in the future';
-        result.errors.dvrRetention = error;
-        result.isValid = false;
-        this.showFieldValidation(dvrRetentionField, error);
-        if (!result.firstErrorField) {
-          result.firstErrorField = dvrRetentionField;
-        }
-      }
-    }
-
-    return result;
+  getTemporalField(issue) {
+    const dvrGroup = this.form.querySelectorAll('.dvr-group')[issue.group];
+    const timeFrameGroup = dvrGroup?.querySelectorAll('.extraction-timeframe-group')[issue.timeframe];
+    return timeFrameGroup?.querySelector(`[name^="${issue.field}"]`) || null;
   }
 
   /**
@@ -0,0 +1,563 @@
+/**
+ * Form Schema
+ * Generates validation, display values, PDF sections and the fileDetails
+ * summary from a declarative form schema (see form-schemas/)
+ * Pure - FormFieldBuilder builds the fields from the same schema
+ *
+ * Schema format:
+ *   { formType, summaryTitle, sections: [Section] }
+ *
+ * Section:
+ *   id           - Section key
+ *   container    - ID of the element the built section is appended to (top-level sections)
+ *   title        - Form heading
+ *   pdfTitle     - PDF section title (default title)
+ *   summaryTitle - fileDetails heading, e.g. 'CASE' (omit to leave the section out)
+ *   rows         - Fields (full width), { row: [Field], id, showWhen } side-by-side rows, or
+ *                  { element, className } placeholders the handler fills in (e.g. a preview),
+ *                  given the ID element with the entry's suffix.
+ *                  A row with showWhen { field, equals } is hidden until that field has the value
+ *   sections     - Sub-sections shown after the rows, each with its own title and rows
+ *                  (a sub-section without a title is placed in the entry with no heading).
+ *                  A sub-section with `repeat` is nested inside each entry of this one
+ *   repeat       - { key, addButton, addLabel, addHelp, childPrefix, className } makes the section a
+ *                  repeatable entry (title is the entry heading, numbered from 1). Fields after
+ *                  the first entry are named "{name}_{index}"; entries are collected as
+ *                  data[key] = [{ ...fields, ...nested entries }]. addButton is the ID of the
+ *                  page's "add another" button; nested sections get their own button labelled
+ *                  addLabel. childPrefix names nested entries of later entries
+ *                  "{name}_{childPrefix}{index}" (e.g. 'extractionStartTime_dvr1_2'). className
+ *                  is added to each entry's element so handlers can find them
+ *
+ * Field:
+ *   name, type ('text' | 'textarea' | 'select' | 'radio' | 'phone' | 'email' | 'date' | 'datetime'
+ *   | 'timeSync'), label
+ *   required, help, placeholder, rows, options, attributes, value - Passed to the builder
+ *                  (radio options may give an `id` for the input)
+ *   rule         - Validation rule name from validators.js
+ *   maxDate      - Flatpickr maxDate for date/datetime fields
+ *   after        - Name of the field this date/time must come after
+ *   retention    - true for a DVR earliest-recorded date: shows the retention days and is
+ *                  rejected in the future
+ *   offset       - For timeSync fields: { name, required, rule, message } time offset shown
+ *                  when 'No' is selected
+ *   warning      - For timeSync fields: HTML shown when 'Yes' is selected
+ *   scan         - true for a barcode scan button beside a text field (see barcode-scanner.js)
+ *   other        - { label, message } adds a "{name}Other" field shown when 'Other' is selected;
+ *                  the chosen value is collected as "{name}Display"
+ *   pdfLabel     - PDF row label (default label)
+ *   pdf          - false to leave out, 'text' or 'list' for its own text/bullet-list section
+ *   summaryLabel - fileDetails label (default pdfLabel, then label)
+ *   summary      - false to leave out, 'text' or 'list' for its own block
+ */
+
+import { CONFIG } from './config.js';
+import { validateField, validateDateRange } from './validators.js';
+import { formatDate, formatDateTime } from './utils.js';
+import { calculateRetentionDays, parseTimeOffset } from './calculations.js';
+
+/**
+ * Get the fields in a section row
+ * @param {Object} item - Field, { row: [Field] } or { element }
+ * @returns {Object[]} Fields
+ */
+export function getRowFields(item) {
+  if (item.element) return [];
+  return item.row || [item];
+}
+
+/**
+ * Get a section's sub-sections
+ * @param {Object} section - Schema section
+ * @returns {Object[]} Sub-sections, in form order
+ */
+export function getChildSections(section) {
+  return section.sections || [];
+}
+
+/**
+ * Get the rows filled in once per entry of a section
+ * Includes sub-sections without `repeat`, which share the entry's fields
+ * @param {Object} section - Schema section
+ * @returns {Object[]} Rows
+ */
+export function getEntryRows(section) {
+  return [
+    ...(section.rows || []),
+    ...getChildSections(section).filter(child => !child.repeat).flatMap(getEntryRows)
+  ];
+}
+
+/**
+ * Get the fields filled in once per entry of a section
+ * @param {Object} section - Schema section
+ * @returns {Object[]} Fields
+ */
+export function getEntryFields(section) {
+  return getEntryRows(section).flatMap(getRowFields);
+}
+
+/**
+ * Get the sections nested inside each entry of a section
+ * @param {Object} section - Schema section
+ * @returns {Object[]} Sub-sections with `repeat`
+ */
+export function getNestedRepeats(section) {
+  return getChildSections(section).flatMap(child => (child.repeat ? [child] : getNestedRepeats(child)));
+}
+
+/**
+ * Get every field in a section, including nested repeatable sections
+ * @param {Object} section - Schema section
+ * @returns {Object[]} Fields
+ */
+export function getSectionFields(section) {
+  return [...getEntryFields(section), ...getNestedRepeats(section).flatMap(getSectionFields)];
+}
+
+/**
+ * Get every field in a schema, in form order
+ * @param {Object} schema - Form schema
+ * @returns {Object[]} Fields
+ */
+export function getSchemaFields(schema) {
+  return schema.sections.flatMap(getSectionFields);
+}
+
+/**
+ * Name of the "Other" field paired with a select
+ * @param {Object} field - Field with `other`
+ * @returns {string} e.g. 'offenceTypeOther'
+ */
+export function getOtherFieldName(field) {
+  return `${field.name}Other`;
+}
+
+/**
+ * Names of the values a field collects - its own, its "Other" text and its time offset
+ * @param {Object} field - Field
+ * @returns {string[]} Names
+ */
+export function getFieldNames(field) {
+  return [
+    field.name,
+    ...(field.other ? [getOtherFieldName(field)] : []),
+    ...(field.offset ? [field.offset.name] : [])
+  ];
+}
+
+/**
+ * Field name for an entry of a repeatable section
+ * @param {string} name - Field name
+ * @param {number|string} index - Entry index (0 for first), or the entry's name suffix
+ * @returns {string} e.g. 'locationAddress', 'locationAddress_2' or 'cameraDetails_dvr1_2'
+ */
+export function getIndexedName(name, index) {
+  if (typeof index === 'string') return `${name}${index}`;
+  return index === 0 ? name : `${name}_${index}`;
+}
+
+/**
+ * Strip the entry suffix from a field name
+ * @param {string} name - Field name, e.g. 'extractionStartTime_dvr1_2'
+ * @returns {string} e.g. 'extractionStartTime'
+ */
+export function getBaseName(name) {
+  return name.replace(/(_[a-z]*\d+)+$/, '');
+}
+
+/**
+ * Name suffix for an entry of a repeatable section
+ * @param {string} base - Suffix the section's entries start from ('' at the top level)
+ * @param {number} index - Entry index (0 for first)
+ * @returns {string} e.g. '', '_2' or '_dvr1_2'
+ */
+export function getEntrySuffix(base, index) {
+  return index === 0 ? base : `${base}_${index}`;
+}
+
+/**
+ * Suffix the entries nested in an entry start from
+ * @param {Object} section - Repeatable schema section
+ * @param {number} index - Entry index (0 for first)
+ * @param {string} suffix - The entry's own suffix
+ * @returns {string} e.g. '_dvr1' with childPrefix 'dvr', otherwise the entry's suffix
+ */
+export function getChildSuffix(section, index, suffix) {
+  const prefix = section.repeat?.childPrefix;
+  if (!prefix) return suffix;
+  return index === 0 ? '' : `_${prefix}${index}`;
+}
+
+/**
+ * Collect the entries of a repeatable section from flat form data
+ * Nested repeatable sections are collected by the form handler, which knows
+ * which nested entries each entry holds
+ * @param {Object} section - Repeatable schema section
+ * @param {Object} data - Flat form data ("{name}_{index}" keys)
+ * @param {Array<number|string>} indices - Entry indices (or name suffixes) present in the form, in order
+ * @returns {Object[]} One object per entry, keyed by field name
+ */
+export function collectRepeatItems(section, data, indices) {
+  const names = getEntryFields(section).flatMap(getFieldNames);
+
+  return indices.map(index => Object.fromEntries(
+    names.map(name => [name, data[getIndexedName(name, index)] ?? ''])
+  ));
+}
+
+/**
+ * Get the data each section is rendered from
+ * A repeatable section has one scope per entry, numbered from 1
+ * @param {Object} section - Schema section
+ * @param {Object} data - Form data
+ * @returns {Array<{ data: Object, number: number|null, count: number }>}
+ */
+function getSectionScopes(section, data) {
+  if (!section.repeat) return [{ data, number: null, count: 1 }];
+  const items = data[section.repeat.key] || [];
+  return items.map((item, index) => ({ data: item, number: index + 1, count: items.length }));
+}
+
+/**
+ * Add an entry number to a title
+ * @param {string} title
+ * @param {number|null} number
+ * @returns {string}
+ */
+function numbered(title, number) {
+  return number === null ? title : `${title} ${number}`;
+}
+
+/**
+ * Check whether a row is shown for the current data
+ * @param {Object} item - Field or row
+ * @param {Object} data - Form data
+ * @returns {boolean}
+ */
+export function isRowVisible(item, data) {
+  return !item.showWhen || data[item.showWhen.field] === item.showWhen.equals;
+}
+
+/**
+ * Get a field's value for display - the "Other" text when Other is selected
+ * @param {Object} field - Field
+ * @param {Object} data - Form data
+ * @returns {string}
+ */
+export function getDisplayValue(field, data) {
+  const value = data[field.name] || '';
+  if (field.other && value === 'Other' && data[getOtherFieldName(field)]) {
+    return data[getOtherFieldName(field)];
+  }
+  return value;
+}
+
+/**
+ * Format a value for the PDF and summary
+ * @param {Object} field - Field
+ * @param {string} value - Raw value
+ * @param {Date} asOf - Date retention is counted to
+ * @returns {string}
+ */
+function formatValue(field, value, asOf) {
+  if (!value) return '';
+  if (field.type === 'date') {
+    const date = formatDate(new Date(`${value}T00:00:00`));
+    if (!field.retention) return date;
+
+    const { days, isUrgent } = calculateRetentionDays(value, asOf);
+    if (days === null) return date;
+    return `${date} (${days} day${days === 1 ? '' : 's'}${isUrgent ? ' - URGENT' : ''})`;
+  }
+  if (field.type === 'datetime') return formatDateTime(value);
+  return value;
+}
+
+/**
+ * Get the label/value pairs a field shows in the PDF or summary
+ * A time sync answered 'No' is followed by its time offset
+ * @param {Object} field - Field
+ * @param {Object} data - Entry data
+ * @param {string} label - Field label
+ * @param {Date} asOf - Date retention is counted to
+ * @returns {Array} [label, value] pairs
+ */
+function getFieldRows(field, data, label, asOf) {
+  const rows = [[label, formatValue(field, getDisplayValue(field, data), asOf)]];
+  const offset = field.offset && data[field.name] === 'No' && data[field.offset.name];
+  if (offset) rows.push(['Time Offset', parseTimeOffset(offset).formatted]);
+  return rows;
+}
+
+/**
+ * Split a textarea into non-empty trimmed lines
+ * @param {string} value
+ * @returns {string[]}
+ */
+function splitLines(value) {
+  return (value || '').split('\n').map(line => line.trim()).filter(line => line.length > 0);
+}
+
+/**
+ * Call fn for every field in the rows that are shown for the data
+ * @param {Object[]} rows - Schema rows
+ * @param {Object} data - Form data
+ * @param {Function} fn - Called with each field
+ */
+function forEachVisibleField(rows, data, fn) {
+  rows
+    .filter(item => isRowVisible(item, data))
+    .forEach(item => getRowFields(item).forEach(fn));
+}
+
+/**
+ * Validate one entry of a section, then its nested entries
+ * @param {Object} section - Schema section
+ * @param {Object} data - Entry data
+ * @param {string} prefix - Error key prefix, e.g. 'dvrGroups[0].'
+ * @param {Object} errors - Errors found so far (modified)
+ * @param {Date} asOf - Date retention is counted to
+ */
+function validateEntry(section, data, prefix, errors, asOf) {
+  forEachVisibleField(getEntryRows(section), data, field => {
+    const value = data[field.name] || '';
+    let error = validateField(value, field.name, Boolean(field.required), field.rule);
+
+    if (!error && field.after) {
+      error = validateDateRange(data[field.after], value);
+    }
+    if (!error && field.retention && value && calculateRetentionDays(value, asOf).days === null) {
+      error = CONFIG.MESSAGES.RETENTION_IN_FUTURE;
+    }
+    if (error) errors[`${prefix}${field.name}`] = error;
+
+    const otherName = field.other && getOtherFieldName(field);
+    if (otherName && value === 'Other' && validateField(data[otherName] || '', otherName, true)) {
+      errors[`${prefix}${otherName}`] = field.other.message;
+    }
+
+    if (field.offset && value === 'No') {
+      const offsetValue = data[field.offset.name] || '';
+      const offsetError = validateField(offsetValue, field.offset.name, Boolean(field.offset.required), field.offset.rule);
+      if (offsetError) {
+        errors[`${prefix}${field.offset.name}`] = offsetValue ? offsetError : (field.offset.message || offsetError);
+      }
+    }
+  });
+
+  getNestedRepeats(section).forEach(child => {
+    (data[child.repeat.key] || []).forEach((entry, index) => {
+      validateEntry(child, entry, `${prefix}${child.repeat.key}[${index}].`, errors, asOf);
+    });
+  });
+}
+
+/**
+ * Validate collected form data against a schema
+ * @param {Object} schema - Form schema
+ * @param {Object} data - Form data
+ * @param {Date} asOf - Date retention is counted to (default: now)
+ * @returns {Object} Error messages by field name; errors in repeatable entries are
+ *   keyed like 'addresses[0].locationAddress' or 'dvrGroups[1].extractionTimeFrames[0].cameraDetails'
+ */
+export function validateSchemaData(schema, data, asOf = new Date()) {
+  const errors = {};
+
+  schema.sections.forEach(section => getSectionScopes(section, data).forEach(scope => {
+    const prefix = scope.number === null ? '' : `${section.repeat.key}[${scope.number - 1}].`;
+    validateEntry(section, scope.data, prefix, errors, asOf);
+  }));
+
+  return errors;
+}
+
+/**
+ * Add "{name}Display" values to an entry and its nested entries
+ * @param {Object} section - Schema section
+ * @param {Object} data - Entry data (modified)
+ */
+function addEntryDisplayValues(section, data) {
+  getEntryFields(section)
+    .filter(field => field.other)
+    .forEach(field => {
+      data[`${field.name}Display`] = getDisplayValue(field, data);
+    });
+
+  getNestedRepeats(section).forEach(child => {
+    (data[child.repeat.key] || []).forEach(entry => addEntryDisplayValues(child, entry));
+  });
+}
+
+/**
+ * Add "{name}Display" values for fields with an "Other" option
+ * @param {Object} schema - Form schema
+ * @param {Object} data - Form data (modified)
+ * @returns {Object} The same data
+ */
+export function addDisplayValues(schema, data) {
+  schema.sections.forEach(section => getSectionScopes(section, data).forEach(scope => {
+    addEntryDisplayValues(section, scope.data);
+  }));
+
+  return data;
+}
+
+/**
+ * Title of an entry's PDF section
+ * Entries are titled "{title} {n}", or pdfTitle with " - {title} {n}" added when there are several
+ * @param {Object} section - Schema section
+ * @param {Object} scope - Entry scope
+ * @returns {string}
+ */
+function getPdfTitle(section, scope) {
+  if (!section.repeat) return section.pdfTitle || section.title;
+  if (!section.pdfTitle) return numbered(section.title, scope.number);
+  return scope.count > 1 ? `${section.pdfTitle} - ${numbered(section.title, scope.number)}` : section.pdfTitle;
+}
+
+/**
+ * Describe the PDF sections for one entry of a section and its sub-sections
+ * @param {Object} section - Schema section
+ * @param {Object} scope - Entry scope
+ * @param {Object} options - getPdfSections() options
+ * @param {Object[]} parents - Scopes of the entries this one is nested in, outermost first
+ * @returns {Object[]} Blocks
+ */
+function getEntryPdfSections(section, scope, options, parents) {
+  const extra = options.extras[section.id]?.(scope.data, { number: scope.number, parents }) || {};
+  const children = getChildSections(section);
+  const blocks = [...(extra.before || [])];
+
+  // An entry split into sub-sections is introduced by its own heading
+  if (section.repeat && children.length > 0 && scope.count > 1) {
+    blocks.push({ type: 'heading', text: numbered(section.title, scope.number) });
+  }
+
+  const rows = [];
+  const textBlocks = [];
+  const textSuffix = section.repeat && scope.count > 1 ? ` - ${numbered(section.title, scope.number)}` : '';
+
+  forEachVisibleField(section.rows || [], scope.data, field => {
+    const label = field.pdfLabel || field.label;
+    const value = getDisplayValue(field, scope.data);
+
+    if (field.pdf === false) return;
+    if (field.pdf === 'text') {
+      textBlocks.push({ type: 'text', title: `${label}${textSuffix}`, content: value });
+    } else if (field.pdf === 'list') {
+      textBlocks.push({ type: 'list', title: `${label}${textSuffix}`, items: splitLines(value) });
+    } else {
+      rows.push(...getFieldRows(field, scope.data, label, options.asOf));
+    }
+  });
+  rows.push(...(extra.rows || []));
+
+  const hasFields = (section.rows || []).some(item => getRowFields(item).length > 0);
+  if (hasFields || rows.length > 0) {
+    const title = section.repeat && children.length > 0 ? (section.pdfTitle || section.title) : getPdfTitle(section, scope);
+    blocks.push({ type: 'fields', title, rows });
+  }
+  blocks.push(...textBlocks, ...(extra.after || []));
+
+  const nestedParents = section.repeat ? [...parents, scope] : parents;
+  children.forEach(child => {
+    const childScopes = child.repeat ? getSectionScopes(child, scope.data) : [{ ...scope, count: 1 }];
+    childScopes.forEach(childScope => {
+      blocks.push(...getEntryPdfSections(child, childScope, options, nestedParents));
+    });
+  });
+
+  return blocks;
+}
+
+/**
+ * Describe the PDF sections for form data
+ * @param {Object} schema - Form schema
+ * @param {Object} data - Form data
+ * @param {Object} options
+ * @param {Date} options.asOf - Date retention is counted to (default: now)
+ * @param {Object} options.extras - Computed content by section id: fn(entryData, { number, parents })
+ *   returns { rows, before, after } - rows added to the section, blocks placed around it
+ * @returns {Object[]} In order: { type: 'fields', title, rows: [[label, value]] },
+ *   { type: 'text', title, content }, { type: 'list', title, items }, { type: 'heading', text }
+ *   and any blocks from extras
+ */
+export function getPdfSections(schema, data, { asOf = new Date(), extras = {} } = {}) {
+  return schema.sections.flatMap(section => getSectionScopes(section, data).flatMap(scope =>
+    getEntryPdfSections(section, scope, { asOf, extras }, [])
+  ));
+}
+
+/**
+ * Build the fileDetails blocks for one entry of a section and its nested entries
+ * @param {Object} section - Schema section
+ * @param {Object} scope - Entry scope
+ * @param {string} parentTitle - Heading of the entry this one is nested in ('' at the top level)
+ * @param {Date} asOf - Date retention is counted to
+ * @returns {string[]} Blocks
+ */
+function getEntrySummary(section, scope, parentTitle, asOf) {
+  const title = `${parentTitle ? `${parentTitle} - ` : ''}${numbered(section.summaryTitle, scope.number)}`;
+  const lines = [];
+  const blocks = [];
+
+  forEachVisibleField(getEntryRows(section), scope.data, field => {
+    const label = field.summaryLabel || field.pdfLabel || field.label;
+    const value = getDisplayValue(field, scope.data);
+
+    if (field.summary === false || !value.trim()) return;
+    if (field.summary === 'text') {
+      blocks.push(`=== ${label} ===\n${value}`);
+    } else if (field.summary === 'list') {
+      const items = splitLines(value);
+      if (items.length > 0) blocks.push(`=== ${label} ===\n${items.join('\n')}`);
+    } else {
+      lines.push(...getFieldRows(field, scope.data, label, asOf).map(([rowLabel, rowValue]) => `${rowLabel}: ${rowValue}`));
+    }
+  });
+
+  const parts = lines.length > 0 ? [`=== ${title} ===\n${lines.join('\n')}`] : [];
+  parts.push(...blocks);
+
+  getNestedRepeats(section)
+    .filter(child => child.summaryTitle)
+    .forEach(child => getSectionScopes(child, scope.data).forEach(childScope => {
+      parts.push(...getEntrySummary(child, childScope, title, asOf));
+    }));
+
+  return parts;
+}
+
+/**
+ * Build the fileDetails plain-text summary sent with the request
+ * @param {Object} schema - Form schema
+ * @param {Object} data - Form data
+ * @param {Date} asOf - Date retention is counted to (default: now)
+ * @returns {string}
+ */
+export function buildFileDetails(schema, data, asOf = new Date()) {
+  const boxWidth = 40;
+  const horizontalLine = '='.repeat(boxWidth);
+  const padding = ' '.repeat(Math.floor((boxWidth - schema.summaryTitle.length) / 2));
+  const parts = [horizontalLine, `${padding}${schema.summaryTitle}`, horizontalLine];
+
+  schema.sections
+    .filter(section => section.summaryTitle)
+    .forEach(section => getSectionScopes(section, data).forEach(scope => {
+      parts.push(...getEntrySummary(section, scope, '', asOf));
+    }));
+
+  return parts.join('\n\n');
+}
+
+/**
+ * Flatpickr options for a schema date/datetime field
+ * @param {Object} field - Field
+ * @returns {Object|null} Options, or null for other field types
+ */
+export function getPickerOptions(field) {
+  const base = { date: CONFIG.FLATPICKR_CONFIG.DATE, datetime: CONFIG.FLATPICKR_CONFIG.DATETIME }[field.type];
+  if (!base) return null;
+  return field.maxDate ? { ...base, maxDate: field.maxDate } : { ...base };
+}
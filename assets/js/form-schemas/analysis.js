@@ -0,0 +1,139 @@
+/**
+ * Analysis Form Schema
+ * Fields, validation, PDF layout and fileDetails summary for analysis requests
+ */
+
+import { CONFIG } from '../config.js';
+import { OCCURRENCE_NUMBER_FIELD, LOCKER_NUMBER_FIELD, INVESTIGATOR_SECTION } from './common.js';
+
+export const ANALYSIS_SCHEMA = {
+  formType: 'analysis',
+  summaryTitle: 'FORENSIC ANALYSIS REQUEST',
+  sections: [
+    {
+      id: 'case',
+      container: 'case-section-container',
+      title: 'Case Information',
+      summaryTitle: 'CASE',
+      rows: [
+        {
+          row: [
+            OCCURRENCE_NUMBER_FIELD,
+            {
+              name: 'occDate',
+              type: 'date',
+              label: 'Date of Occurrence',
+              required: true,
+              maxDate: 'today',
+              rule: 'pastDate',
+              summaryLabel: 'Occurred'
+            }
+          ]
+        },
+        {
+          name: 'offenceType',
+          type: 'select',
+          label: 'Type of Offence',
+          options: CONFIG.OFFENCE_TYPE_OPTIONS,
+          required: true,
+          other: { label: 'Offence Type', message: CONFIG.MESSAGES.OFFENCE_OTHER_REQUIRED },
+          summaryLabel: 'Offence'
+        }
+      ]
+    },
+    INVESTIGATOR_SECTION,
+    {
+      id: 'videoSource',
+      container: 'video-source-section-container',
+      title: 'Video Source Information',
+      pdfTitle: 'Evidence Details',
+      summaryTitle: 'EVIDENCE',
+      rows: [
+        {
+          row: [
+            {
+              name: 'videoLocation',
+              type: 'select',
+              label: 'Where is the Video Currently Stored?',
+              options: CONFIG.VIDEO_LOCATION_OPTIONS,
+              required: true,
+              other: { label: 'Storage Location', message: CONFIG.MESSAGES.VIDEO_LOCATION_OTHER_REQUIRED },
+              pdfLabel: 'Storage Location',
+              summaryLabel: 'Storage'
+            },
+            {
+              name: 'videoSeizedFrom',
+              type: 'text',
+              label: 'Video Seized From',
+              help: 'Location/business where video was obtained',
+              summaryLabel: 'Seized From'
+            }
+          ]
+        },
+        {
+          id: 'lockerInfoGroup',
+          showWhen: { field: 'videoLocation', equals: 'Locker' },
+          row: [
+            {
+              name: 'bagNumber',
+              type: 'text',
+              label: 'Evidence Bag Number',
+              help: 'Bag number containing the evidence',
+              scan: true,
+              pdfLabel: 'Bag Number',
+              summaryLabel: 'Bag #'
+            },
+            LOCKER_NUMBER_FIELD
+          ]
+        },
+        {
+          name: 'recordingDate',
+          type: 'date',
+          label: 'Original Recording Date',
+          maxDate: 'today',
+          rule: 'pastDate',
+          pdfLabel: 'Recording Date'
+        },
+        {
+          name: 'fileNames',
+          type: 'textarea',
+          label: 'File Name(s)',
+          required: true,
+          placeholder: 'List the specific file names to be analyzed',
+          pdfLabel: 'File Names',
+          pdf: 'list',
+          summaryLabel: 'FILES',
+          summary: 'list'
+        }
+      ]
+    },
+    {
+      id: 'workRequest',
+      container: 'work-request-section-container',
+      title: 'Work Request',
+      pdfTitle: 'Analysis Request',
+      summaryTitle: 'SERVICE',
+      rows: [
+        {
+          name: 'serviceRequired',
+          type: 'select',
+          label: 'Service Required',
+          options: CONFIG.SERVICE_REQUIRED_OPTIONS,
+          required: true,
+          other: { label: 'Service Type', message: CONFIG.MESSAGES.SERVICE_OTHER_REQUIRED },
+          summaryLabel: 'Service'
+        },
+        {
+          name: 'requestDetails',
+          type: 'textarea',
+          label: 'Request Details',
+          required: true,
+          placeholder: 'Provide detailed information about your request',
+          pdf: 'text',
+          summaryLabel: 'REQUEST',
+          summary: 'text'
+        }
+      ]
+    }
+  ]
+};
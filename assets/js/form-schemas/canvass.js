@@ -0,0 +1,129 @@
+/**
+ * Canvass Log Form Schema
+ * Door-to-door camera canvass: case, investigator and one entry per address
+ * visited with the canvass outcome
+ */
+
+import { CONFIG } from '../config.js';
+import { OCCURRENCE_NUMBER_FIELD, INVESTIGATOR_SECTION } from './common.js';
+
+export const CANVASS_SCHEMA = {
+  formType: 'canvass',
+  summaryTitle: 'CAMERA CANVASS LOG',
+  sections: [
+    {
+      id: 'case',
+      container: 'case-section-container',
+      title: 'Case Information',
+      summaryTitle: 'CASE',
+      rows: [
+        {
+          row: [
+            OCCURRENCE_NUMBER_FIELD,
+            {
+              name: 'offenceType',
+              type: 'text',
+              label: 'Type of Offence',
+              required: true,
+              placeholder: 'e.g., Robbery, Assault, Break and Enter',
+              summaryLabel: 'Offence'
+            }
+          ]
+        },
+        {
+          row: [
+            {
+              name: 'canvassDate',
+              type: 'date',
+              label: 'Date of Canvass',
+              required: true,
+              maxDate: 'today',
+              rule: 'pastDate',
+              summaryLabel: 'Canvassed'
+            },
+            {
+              name: 'canvassArea',
+              type: 'text',
+              label: 'Canvass Area',
+              placeholder: 'e.g., Main St from Queen St to Wellington St',
+              summaryLabel: 'Area'
+            }
+          ]
+        }
+      ]
+    },
+    INVESTIGATOR_SECTION,
+    {
+      id: 'addresses',
+      container: 'addresses-container',
+      title: 'Address',
+      summaryTitle: 'ADDRESS',
+      repeat: { key: 'addresses', addButton: 'addAddressBtn' },
+      rows: [
+        {
+          row: [
+            {
+              name: 'businessName',
+              type: 'text',
+              label: 'Business Name',
+              placeholder: 'Leave blank if none',
+              summaryLabel: 'Business'
+            },
+            {
+              name: 'locationAddress',
+              type: 'text',
+              label: 'Address',
+              required: true,
+              placeholder: 'Full street address'
+            }
+          ]
+        },
+        {
+          row: [
+            {
+              name: 'city',
+              type: 'select',
+              label: 'City',
+              options: CONFIG.CITY_OPTIONS,
+              required: true,
+              other: { label: 'City', message: CONFIG.MESSAGES.CITY_OTHER_REQUIRED }
+            },
+            {
+              name: 'outcome',
+              type: 'select',
+              label: 'Outcome',
+              options: CONFIG.CANVASS_OUTCOME_OPTIONS,
+              required: true
+            }
+          ]
+        },
+        {
+          row: [
+            {
+              name: 'locationContact',
+              type: 'text',
+              label: 'Contact Person',
+              placeholder: 'Name of the person spoken to',
+              pdfLabel: 'Contact',
+              summaryLabel: 'Contact'
+            },
+            {
+              name: 'locationContactPhone',
+              type: 'phone',
+              label: 'Contact Phone',
+              rule: 'phone',
+              summaryLabel: 'Phone'
+            }
+          ]
+        },
+        {
+          name: 'notes',
+          type: 'textarea',
+          label: 'Notes',
+          rows: 3,
+          placeholder: 'Camera locations and views, retention, when to come back'
+        }
+      ]
+    }
+  ]
+};
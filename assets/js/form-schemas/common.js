@@ -0,0 +1,115 @@
+/**
+ * Shared Form Schema Parts
+ * Fields and sections used by more than one form schema
+ * See form-schema.js for the schema format
+ */
+
+/**
+ * Occurrence number (PR format)
+ */
+export const OCCURRENCE_NUMBER_FIELD = {
+  name: 'occNumber',
+  type: 'text',
+  label: 'Occurrence Number',
+  required: true,
+  placeholder: 'PR2024001234',
+  help: 'Must start with PR followed by numbers',
+  rule: 'occurrenceNumber',
+  scan: true,
+  summaryLabel: 'Occurrence'
+};
+
+/**
+ * FVU locker number (1-28, optional)
+ */
+export const LOCKER_NUMBER_FIELD = {
+  name: 'lockerNumber',
+  type: 'text',
+  label: 'FVU Locker #',
+  placeholder: '1-28',
+  help: 'Enter locker number (1-28)',
+  attributes: { inputmode: 'numeric' },
+  rule: 'lockerNumber',
+  pdfLabel: 'Locker Number',
+  summaryLabel: 'Locker'
+};
+
+/**
+ * Submitting investigator's name
+ */
+export const INVESTIGATOR_NAME_FIELD = {
+  name: 'rName',
+  type: 'text',
+  label: 'Submitting Investigator',
+  required: true,
+  placeholder: 'Last name or full name',
+  pdfLabel: 'Name'
+};
+
+/**
+ * Submitting investigator's badge number
+ */
+export const BADGE_FIELD = {
+  name: 'badge',
+  type: 'text',
+  label: 'Badge Number',
+  required: true,
+  placeholder: 'Investigator badge number',
+  pdfLabel: 'Badge #',
+  summaryLabel: 'Badge'
+};
+
+/**
+ * Submitting investigator's phone
+ */
+export const INVESTIGATOR_PHONE_FIELD = {
+  name: 'requestingPhone',
+  type: 'phone',
+  label: 'Contact Phone',
+  required: true,
+  rule: 'phone',
+  pdfLabel: 'Phone'
+};
+
+/**
+ * Submitting investigator's email (@peelpolice.ca)
+ */
+export const INVESTIGATOR_EMAIL_FIELD = {
+  name: 'requestingEmail',
+  type: 'email',
+  label: 'Email Address',
+  required: true,
+  rule: 'email',
+  pdfLabel: 'Email'
+};
+
+/**
+ * Is the DVR clock right? 'No' shows the time offset
+ * Forms set required, the offset's requirement and the warning shown for 'Yes'
+ */
+export const TIME_SYNC_FIELD = {
+  name: 'isTimeDateCorrect',
+  type: 'timeSync',
+  label: 'Is the Time & Date correct?',
+  help: 'Is the DVR time synchronized with actual time?',
+  options: [
+    { value: 'Yes', text: 'Yes', id: 'timeCorrectYes' },
+    { value: 'No', text: 'No', id: 'timeCorrectNo' }
+  ],
+  offset: { name: 'timeOffset', rule: 'timeOffset' }
+};
+
+/**
+ * Submitting investigator (Analysis and Upload forms)
+ */
+export const INVESTIGATOR_SECTION = {
+  id: 'investigator',
+  container: 'investigator-section-container',
+  title: 'Submitting Investigator Information',
+  pdfTitle: 'Submitting Investigator',
+  summaryTitle: 'INVESTIGATOR',
+  rows: [
+    { row: [INVESTIGATOR_NAME_FIELD, BADGE_FIELD] },
+    { row: [INVESTIGATOR_PHONE_FIELD, INVESTIGATOR_EMAIL_FIELD] }
+  ]
+};
@@ -0,0 +1,296 @@
+/**
+ * Recovery Form Schema
+ * CCTV recovery from a location: case, investigator, location, one entry per
+ * DVR with its extraction time frames, and the incident
+ */
+
+import { CONFIG } from '../config.js';
+import {
+  OCCURRENCE_NUMBER_FIELD,
+  INVESTIGATOR_NAME_FIELD,
+  BADGE_FIELD,
+  INVESTIGATOR_PHONE_FIELD,
+  INVESTIGATOR_EMAIL_FIELD,
+  TIME_SYNC_FIELD
+} from './common.js';
+
+export const RECOVERY_SCHEMA = {
+  formType: 'recovery',
+  summaryTitle: 'CCTV RECOVERY REQUEST',
+  sections: [
+    {
+      id: 'case',
+      container: 'case-section-container',
+      title: 'Case Information',
+      summaryTitle: 'CASE',
+      rows: [
+        {
+          row: [
+            OCCURRENCE_NUMBER_FIELD,
+            {
+              name: 'offenceType',
+              type: 'text',
+              label: 'Type of Offence',
+              required: true,
+              placeholder: 'e.g., Robbery, Assault, Break and Enter',
+              summaryLabel: 'Offence'
+            }
+          ]
+        }
+      ]
+    },
+    {
+      id: 'investigator',
+      container: 'investigator-section-container',
+      title: 'Submitting Investigator Information',
+      summaryTitle: 'INVESTIGATOR',
+      rows: [
+        { row: [INVESTIGATOR_NAME_FIELD, BADGE_FIELD] },
+        {
+          row: [
+            {
+              name: 'unit',
+              type: 'text',
+              label: 'Unit',
+              required: true,
+              placeholder: 'Your unit/division'
+            },
+            { ...INVESTIGATOR_PHONE_FIELD, label: 'Contact Number' }
+          ]
+        },
+        INVESTIGATOR_EMAIL_FIELD
+      ]
+    },
+    {
+      id: 'location',
+      container: 'location-section-container',
+      title: 'Location Information',
+      summaryTitle: 'LOCATION',
+      rows: [
+        {
+          row: [
+            {
+              name: 'businessName',
+              type: 'text',
+              label: 'Business Name',
+              placeholder: 'Leave blank if none',
+              summaryLabel: 'Business'
+            },
+            {
+              name: 'locationAddress',
+              type: 'text',
+              label: 'Location Address',
+              required: true,
+              placeholder: 'Full street address',
+              summaryLabel: 'Address'
+            }
+          ]
+        },
+        {
+          name: 'city',
+          type: 'select',
+          label: 'City',
+          options: CONFIG.CITY_OPTIONS,
+          required: true,
+          other: { label: 'City', message: CONFIG.MESSAGES.CITY_OTHER_REQUIRED }
+        },
+        {
+          row: [
+            {
+              name: 'locationContact',
+              type: 'text',
+              label: 'Contact Person',
+              placeholder: 'Name of the person to contact at location',
+              pdfLabel: 'Location Contact',
+              summaryLabel: 'Contact'
+            },
+            {
+              name: 'locationContactPhone',
+              type: 'phone',
+              label: 'Contact Phone',
+              rule: 'phone'
+            }
+          ]
+        }
+      ]
+    },
+    {
+      id: 'dvrGroups',
+      container: 'dvr-container',
+      title: 'DVR',
+      summaryTitle: 'DVR',
+      repeat: { key: 'dvrGroups', addButton: 'addDVRBtn', childPrefix: 'dvr', className: 'dvr-group' },
+      sections: [
+        {
+          id: 'dvrInfo',
+          title: 'DVR Information',
+          rows: [
+            {
+              name: 'dvrMakeModel',
+              type: 'text',
+              label: 'DVR Make/Model',
+              placeholder: 'e.g., Hikvision DS-7216',
+              help: 'DVR system manufacturer and model number',
+              summaryLabel: 'Make/Model'
+            },
+            {
+              // Optional here - the technician can check the clock on site
+              ...TIME_SYNC_FIELD,
+              pdfLabel: 'Time & Date Correct',
+              summaryLabel: 'Time Correct'
+            },
+            {
+              name: 'dvrRetention',
+              type: 'date',
+              label: 'DVR Retention',
+              help: 'The earliest date available on the DVR system',
+              maxDate: 'today',
+              retention: true,
+              summaryLabel: 'Retention'
+            },
+            {
+              name: 'hasVideoMonitor',
+              type: 'radio',
+              label: 'Has Video Monitor?',
+              help: 'Is there a monitor connected to view video?',
+              options: [
+                { value: 'Yes', text: 'Yes', id: 'monitorYes' },
+                { value: 'No', text: 'No', id: 'monitorNo' }
+              ],
+              pdfLabel: 'Video Monitor On-Site',
+              summaryLabel: 'Monitor On-Site'
+            },
+            {
+              // Shown in the PDF with the storage estimate it drives
+              name: 'recordingProfile',
+              type: 'select',
+              label: 'Recording Quality',
+              options: CONFIG.STORAGE_ESTIMATE.PROFILES,
+              value: CONFIG.STORAGE_ESTIMATE.DEFAULT_PROFILE,
+              help: 'Resolution the DVR records at - used to estimate the storage to bring',
+              pdf: false,
+              summary: false
+            }
+          ]
+        },
+        {
+          id: 'extractionTimeFrames',
+          title: 'Time Frame',
+          pdfTitle: 'Video Extraction Details',
+          summaryTitle: 'TIME FRAME',
+          repeat: {
+            key: 'extractionTimeFrames',
+            addLabel: '+ Add Additional Time Frame',
+            addHelp: 'Add if you need to extract video from multiple time periods for this DVR',
+            className: 'extraction-timeframe-group'
+          },
+          rows: [
+            {
+              row: [
+                {
+                  name: 'extractionStartTime',
+                  type: 'datetime',
+                  label: 'Time Period From',
+                  required: true,
+                  help: 'Start of video period to extract',
+                  pdfLabel: 'Extraction Start Time',
+                  summaryLabel: 'From'
+                },
+                {
+                  name: 'extractionEndTime',
+                  type: 'datetime',
+                  label: 'Time Period To',
+                  required: true,
+                  help: 'End of video period to extract',
+                  after: 'extractionStartTime',
+                  pdfLabel: 'Extraction End Time',
+                  summaryLabel: 'To'
+                }
+              ]
+            },
+            // DVR time / real time conversion, shown once the DVR's time offset is entered
+            { element: 'timeConversion', className: 'time-conversion-preview text-info mb-3 d-none' },
+            // Countdown to when the DVR overwrites this window
+            { element: 'overwriteCountdown', className: 'overwrite-countdown mb-3 d-none' },
+            {
+              name: 'timePeriodType',
+              type: 'radio',
+              label: 'Time Period Type',
+              required: true,
+              help: 'Are the times above in DVR time or actual time?',
+              options: [
+                { value: 'DVR Time', text: 'DVR Time', id: 'timeDVR' },
+                { value: 'Actual Time', text: 'Actual Time', id: 'timeActual' }
+              ],
+              summaryLabel: 'Time Type'
+            },
+            {
+              name: 'cameraDetails',
+              type: 'textarea',
+              label: 'Camera Details',
+              required: true,
+              rows: 4,
+              placeholder: 'List camera locations/angles needed (e.g., Front entrance, Cash register, Parking lot west side)',
+              help: 'Please list specific cameras or areas to be extracted',
+              pdf: 'text',
+              summary: 'list',
+              summaryLabel: 'CAMERAS'
+            }
+          ]
+        },
+        {
+          // Storage needed for this DVR's time frames
+          id: 'storage',
+          rows: [
+            { element: 'storageEstimate', className: 'storage-estimate text-info mb-3 d-none' }
+          ]
+        },
+        {
+          id: 'access',
+          title: 'Access Information',
+          rows: [
+            {
+              row: [
+                {
+                  name: 'dvrUsername',
+                  type: 'text',
+                  label: 'Username',
+                  placeholder: 'DVR login username',
+                  pdfLabel: 'DVR Username'
+                },
+                {
+                  name: 'dvrPassword',
+                  type: 'text',
+                  label: 'Password',
+                  required: true,
+                  placeholder: 'DVR login password',
+                  help: 'DVR access password (plain text)',
+                  pdfLabel: 'DVR Password'
+                }
+              ]
+            }
+          ]
+        }
+      ]
+    },
+    {
+      id: 'incident',
+      container: 'incident-section-container',
+      title: 'Incident Description',
+      summaryTitle: 'INCIDENT',
+      rows: [
+        {
+          name: 'incidentDescription',
+          type: 'textarea',
+          label: 'Description of Incident',
+          required: true,
+          placeholder: 'Provide a detailed description of the incident and what video evidence is being sought',
+          pdf: 'text',
+          pdfLabel: 'Incident Description',
+          summary: 'text',
+          summaryLabel: 'INCIDENT'
+        }
+      ]
+    }
+  ]
+};
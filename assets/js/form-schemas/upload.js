@@ -0,0 +1,182 @@
+/**
+ * Upload Form Schema
+ * Video evidence brought in for upload: evidence, investigator, one entry per
+ * location the video came from, and additional information
+ */
+
+import { CONFIG } from '../config.js';
+import { OCCURRENCE_NUMBER_FIELD, LOCKER_NUMBER_FIELD, INVESTIGATOR_SECTION, TIME_SYNC_FIELD } from './common.js';
+
+export const UPLOAD_SCHEMA = {
+  formType: 'upload',
+  summaryTitle: 'VIDEO EVIDENCE UPLOAD REQUEST',
+  sections: [
+    {
+      id: 'evidence',
+      container: 'evidence-section-container',
+      title: 'Evidence Information',
+      summaryTitle: 'EVIDENCE',
+      rows: [
+        {
+          row: [
+            OCCURRENCE_NUMBER_FIELD,
+            {
+              name: 'occDate',
+              type: 'date',
+              label: 'Date of Occurrence',
+              required: true,
+              maxDate: 'today',
+              rule: 'pastDate',
+              summaryLabel: 'Occurred'
+            }
+          ]
+        },
+        {
+          row: [
+            {
+              // Uploads are only taken for these offences, so there is no "Other"
+              name: 'offenceType',
+              type: 'select',
+              label: 'Type of Offence',
+              options: [
+                { value: '', text: 'Select...' },
+                { value: 'Homicide', text: 'Homicide' },
+                { value: 'Missing Person', text: 'Missing Person' }
+              ],
+              required: true,
+              summaryLabel: 'Offence'
+            },
+            {
+              name: 'evidenceBag',
+              type: 'text',
+              label: 'Evidence Bag #',
+              placeholder: 'Evidence bag identification number',
+              scan: true,
+              summaryLabel: 'Evidence Bag'
+            }
+          ]
+        },
+        {
+          row: [
+            LOCKER_NUMBER_FIELD,
+            {
+              name: 'mediaType',
+              type: 'select',
+              label: 'Type of Media Submitted',
+              options: CONFIG.MEDIA_TYPE_OPTIONS,
+              required: true,
+              other: { label: 'Media Type', message: CONFIG.MESSAGES.MEDIA_OTHER_REQUIRED },
+              pdfLabel: 'Media Type'
+            }
+          ]
+        }
+      ]
+    },
+    INVESTIGATOR_SECTION,
+    {
+      id: 'locations',
+      container: 'location-video-container',
+      title: 'Location',
+      summaryTitle: 'LOCATION',
+      repeat: { key: 'locations', addButton: 'addLocationBtn', className: 'location-video-group' },
+      sections: [
+        {
+          id: 'location',
+          title: 'Location Information',
+          rows: [
+            {
+              name: 'businessName',
+              type: 'text',
+              label: 'Business Name',
+              help: 'Name of the business where video was collected',
+              placeholder: 'Leave blank if none',
+              summaryLabel: 'Business'
+            },
+            {
+              name: 'locationAddress',
+              type: 'text',
+              label: 'Location Address',
+              required: true,
+              placeholder: 'Full address',
+              pdfLabel: 'Address'
+            },
+            {
+              name: 'city',
+              type: 'select',
+              label: 'City',
+              options: CONFIG.CITY_OPTIONS,
+              required: true,
+              other: { label: 'City', message: CONFIG.MESSAGES.CITY_OTHER_REQUIRED }
+            }
+          ]
+        },
+        {
+          id: 'videoTimeframe',
+          title: 'Video Timeframe',
+          rows: [
+            {
+              row: [
+                {
+                  name: 'videoStartTime',
+                  type: 'datetime',
+                  label: 'Video Start Time',
+                  required: true,
+                  help: 'When the relevant video begins',
+                  pdfLabel: 'Start Time'
+                },
+                {
+                  name: 'videoEndTime',
+                  type: 'datetime',
+                  label: 'Video End Time',
+                  required: true,
+                  help: 'When the relevant video ends',
+                  after: 'videoStartTime',
+                  pdfLabel: 'End Time'
+                }
+              ]
+            },
+            // Real time / DVR time conversion, shown once a time offset is entered
+            { element: 'timeConversion', className: 'time-conversion-preview text-info mt-2 mb-3 d-none' },
+            {
+              ...TIME_SYNC_FIELD,
+              required: true,
+              offset: { ...TIME_SYNC_FIELD.offset, required: true, message: CONFIG.MESSAGES.TIME_OFFSET_REQUIRED },
+              warning: '<strong>Important:</strong> Your confirmation of correct timestamp becomes part of the evidence. If the timestamp conflicts with other evidence or DVR timestamps, this could affect the evidence validity.',
+              pdfLabel: 'Time Synchronized',
+              summaryLabel: 'Time Sync'
+            },
+            {
+              name: 'dvrEarliestDate',
+              type: 'date',
+              label: 'Earliest Recorded Date on DVR',
+              help: 'The earliest date available on the DVR system',
+              maxDate: 'today',
+              retention: true,
+              pdfLabel: 'DVR Retention',
+              summaryLabel: 'DVR Retention'
+            }
+          ]
+        }
+      ]
+    },
+    {
+      id: 'additional',
+      container: 'additional-section-container',
+      title: 'Additional Information',
+      summaryTitle: 'ADDITIONAL',
+      rows: [
+        {
+          name: 'otherInfo',
+          type: 'textarea',
+          label: 'Other Information',
+          placeholder: 'Any additional information relevant to this submission',
+          rows: 4,
+          pdf: 'text',
+          pdfLabel: 'Additional Information',
+          summary: 'text',
+          summaryLabel: 'ADDITIONAL'
+        }
+      ]
+    }
+  ]
+};
@@ -10,13 +10,25 @@ import { initTheme } from './theme-manager.js';
 /**
  * Generate header HTML and inject into the DOM
  * @param {string} formTitle - The title to display in the header
+ * @param {Object} options - Header options
+ * @param {boolean} options.showDraftButton - Include the draft button (default: true)
  * @returns {HTMLElement} The created header element
  */
-export function createHeader(formTitle) {
+export function createHeader(formTitle, { showDraftButton = true } = {}) {
   // Create header element
   const header = document.createElement('header');
   header.className = 'main-header';
 
+  const draftButton = showDraftButton ? `
+          <button class="draft-button" id="draft-button">
+            <svg class="draft-icon" viewBox="0 0 20 20" fill="none">
+              <path d="M3 3C3 2.44772 3.44772 2 4 2H13L17 6V17C17 17.5523 16.5523 18 16 18H4C3.44772 18 3 17.5523 3 17V3Z" stroke="currentColor" stroke-width="2"/>
+              <rect x="6" y="2" width="8" height="5" fill="currentColor"/>
+              <rect x="6" y="11" width="8" height="3" stroke="currentColor" stroke-width="1.5"/>
+            </svg>
+            <span class="draft-text">Auto-save active</span>
+          </button>` : '';
+
   header.innerHTML = `
     <div class="container">
       <div class="header-content" data-mobile-title="${formTitle}">
@@ -26,14 +38,7 @@ export function createHeader(formTitle) {
           <h1 class="form-title">${formTitle}</h1>
         </div>
         <div class="header-right">
-          <button class="draft-button" id="draft-button">
-            <svg class="draft-icon" viewBox="0 0 20 20" fill="none">
-              <path d="M3 3C3 2.44772 3.44772 2 4 2H13L17 6V17C17 17.5523 16.5523 18 16 18H4C3.44772 18 3 17.5523 3 17V3Z" stroke="currentColor" stroke-width="2"/>
-              <rect x="6" y="2" width="8" height="5" fill="currentColor"/>
-              <rect x="6" y="11" width="8" height="3" stroke="currentColor" stroke-width="1.5"/>
-            </svg>
-            <span class="draft-text">Auto-save active</span>
-          </button>
+          ${draftButton}
         </div>
       </div>
     </div>
@@ -46,22 +51,23 @@ export function createHeader(formTitle) {
  * Initialize and inject header into the page
  * Call this from your form's script tag
  * @param {string} formTitle - The title to display in the header
+ * @param {Object} options - Header options (see createHeader)
  */
-export function initHeader(formTitle) {
+export function initHeader(formTitle, options = {}) {
   // Wait for DOM to be ready
   if (document.readyState === 'loading') {
     document.addEventListener('DOMContentLoaded', () => {
-      injectHeader(formTitle);
+      injectHeader(formTitle, options);
     });
   } else {
-    injectHeader(formTitle);
+    injectHeader(formTitle, options);
   }
 }
 
 /**
  * Internal function to inject header
  */
-function injectHeader(formTitle) {
+function injectHeader(formTitle, options) {
   // Find the background animation element (header should come after it)
   const backgroundAnim = document.querySelector('.background-animation');
 
@@ -71,7 +77,7 @@ function injectHeader(formTitle) {
   }
 
   // Create and inject header
-  const header = createHeader(formTitle);
+  const header = createHeader(formTitle, options);
   backgroundAnim.insertAdjacentElement('afterend', header);
 
   // Initialize theme (persists from landing page setting)
@@ -3,21 +3,31 @@
  * Creates structured JSON from form data
  */
 
-import { calculateRetentionDays, calculateVideoDuration, parseTimeOffset } from './calculations.js';
+import {
+  calculateRetentionDays,
+  calculateVideoDuration,
+  getDvrTimeOffset,
+  getExtractionWindows,
+  estimateRecoveryStorage
+} from './calculations.js';
+import { countOutcomes } from './canvass.js';
+import { CONFIG } from './config.js';
 
 /**
  * Generate JSON from form data
  * @param {Object} formData - Form data
  * @param {string} formType - Type of form
+ * @param {string|null} submissionId - ID the request is submitted under, covered by its content hash
  * @returns {Blob} JSON blob
  */
-export function generateJSON(formData, formType) {
+export function generateJSON(formData, formType, submissionId = null) {
   const jsonData = {
     metadata: {
       formType: formType,
       version: '1.0',
       generated: new Date().toISOString(),
-      generator: 'FVU Request System'
+      generator: 'FVU Request System',
+      submissionId
     },
     formData: cleanFormData(formData),
     calculations: generateCalculations(formData, formType)
@@ -84,8 +94,8 @@ function generateCalculations(formData, formType) {
         }
         
         // Time offset
-        if (location.isTimeDateCorrect === 'No' && location.timeOffset) {
-          const offset = parseTimeOffset(location.timeOffset);
+        const offset = getDvrTimeOffset(location.isTimeDateCorrect, location.timeOffset);
+        if (offset) {
           locCalc.timeOffset = {
             hours: offset.hours,
             minutes: offset.minutes,
@@ -94,6 +104,14 @@ function generateCalculations(formData, formType) {
             formatted: offset.formatted
           };
         }
+
+        // Uploaded video times are read off the DVR clock
+        if (location.videoStartTime || location.videoEndTime) {
+          const windows = getExtractionWindows(location.videoStartTime, location.videoEndTime, 'DVR Time', offset);
+          locCalc.offsetApplied = windows.offsetApplied;
+          locCalc.dvrWindow = windows.dvrWindow;
+          locCalc.actualWindow = windows.actualWindow;
+        }
         
         return locCalc;
       });
@@ -133,6 +151,112 @@ function generateCalculations(formData, formType) {
       lockerNumber: formData.lockerNumber || null
     };
   }
+
+  if (formType === 'recovery') {
+    Object.assign(calculations, generateRecoveryCalculations(formData));
+  }
+
+  if (formType === 'canvass' && formData.addresses) {
+    calculations.addressCount = formData.addresses.length;
+    calculations.outcomes = Object.fromEntries(countOutcomes(formData.addresses));
+  }
   
   return calculations;
-}
\ No newline at end of file
+}
+
+/**
+ * Generate per-DVR calculations for a recovery request
+ * Bump CONFIG.RECOVERY_CALCULATIONS_VERSION when the shape changes
+ * @param {Object} formData - Recovery form data
+ * @returns {Object} { version, dvrs: [...], dvrCount, timeframeCount, urgentDvrCount, totalMinutes, estimatedStorageGb, recommendedMedia }
+ */
+function generateRecoveryCalculations(formData) {
+  const storage = estimateRecoveryStorage(formData);
+
+  const dvrs = (formData.dvrGroups || []).map((dvr, index) => {
+    const retention = calculateRetentionDays(dvr.dvrRetention);
+    const offset = getDvrTimeOffset(dvr.isTimeDateCorrect, dvr.timeOffset);
+    const dvrStorage = storage.dvrs[index];
+
+    const timeframes = (dvr.extractionTimeFrames || []).map((timeframe, tfIndex) => ({
+      ...calculateTimeframe(timeframe, tfIndex, offset),
+      cameraCount: dvrStorage.timeframes[tfIndex].cameraCount,
+      estimatedStorageGb: roundGigabytes(dvrStorage.timeframes[tfIndex].gigabytes)
+    }));
+
+    return {
+      index: index + 1,
+      makeModel: dvr.dvrMakeModel || null,
+      retention: {
+        earliestDate: dvr.dvrRetention || null,
+        days: retention.days,
+        status: retention.message || null,
+        isUrgent: retention.isUrgent
+      },
+      timeOffset: offset ? {
+        hours: offset.hours,
+        minutes: offset.minutes,
+        seconds: offset.seconds,
+        direction: offset.direction,
+        totalMinutes: offset.totalMinutes,
+        formatted: offset.formatted
+      } : null,
+      timeframes,
+      timeframeCount: timeframes.length,
+      totalMinutes: sumMinutes(timeframes, 'durationMinutes'),
+      recordingProfile: dvrStorage.profile.value,
+      bitrateMbps: dvrStorage.profile.mbps,
+      estimatedStorageGb: roundGigabytes(dvrStorage.gigabytes)
+    };
+  });
+
+  return {
+    version: CONFIG.RECOVERY_CALCULATIONS_VERSION,
+    dvrs,
+    dvrCount: dvrs.length,
+    timeframeCount: dvrs.reduce((count, dvr) => count + dvr.timeframeCount, 0),
+    urgentDvrCount: dvrs.filter(dvr => dvr.retention.isUrgent).length,
+    totalMinutes: sumMinutes(dvrs, 'totalMinutes'),
+    estimatedStorageGb: roundGigabytes(storage.gigabytes),
+    recommendedMedia: storage.recommendation
+  };
+}
+
+/**
+ * Calculate the DVR-clock and real-world windows and duration for one extraction timeframe
+ * @param {Object} timeframe - { extractionStartTime, extractionEndTime, timePeriodType }
+ * @param {number} index - Timeframe index within the DVR
+ * @param {Object|null} offset - Parsed DVR time offset, null when the clock is correct
+ * @returns {Object}
+ */
+function calculateTimeframe(timeframe, index, offset) {
+  const { extractionStartTime: start, extractionEndTime: end, timePeriodType } = timeframe;
+  const duration = calculateVideoDuration(start, end);
+
+  return {
+    index: index + 1,
+    timePeriodType: timePeriodType || null,
+    ...getExtractionWindows(start, end, timePeriodType, offset),
+    durationMinutes: duration.totalMinutes ?? null,
+    durationFormatted: duration.formatted || null
+  };
+}
+
+/**
+ * Round a storage estimate for output
+ * @param {number} gigabytes
+ * @returns {number} Gigabytes to two decimal places
+ */
+function roundGigabytes(gigabytes) {
+  return Math.round(gigabytes * 100) / 100;
+}
+
+/**
+ * Add up a minutes property, ignoring missing (invalid) durations
+ * @param {Object[]} items
+ * @param {string} key - Property holding the minutes
+ * @returns {number}
+ */
+function sumMinutes(items, key) {
+  return items.reduce((total, item) => total + (item[key] ?? 0), 0);
+}
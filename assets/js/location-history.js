@@ -0,0 +1,362 @@
+/**
+ * Location History
+ * Suggests DVR details from earlier recovery and upload requests at the same
+ * address or business. Past submissions are indexed by location and cached
+ * in localStorage (through secure-storage.js) so suggestions work offline.
+ *
+ * supabase.js is loaded on first use so the PHP production build, which
+ * doesn't ship it, never requests it - there the cache only holds requests
+ * sent from this device
+ *
+ * @module location-history
+ */
+
+import { CONFIG } from './config.js';
+import { calculateRetentionDays } from './calculations.js';
+import { getSecureItem, setSecureItem } from './secure-storage.js';
+import { getSubmissionTargets } from './utils.js';
+
+// Street words written either way in addresses
+const ADDRESS_ABBREVIATIONS = {
+  street: 'st',
+  avenue: 'ave',
+  road: 'rd',
+  drive: 'dr',
+  boulevard: 'blvd',
+  court: 'crt',
+  crescent: 'cres',
+  parkway: 'pkwy',
+  highway: 'hwy',
+  place: 'pl',
+  east: 'e',
+  west: 'w',
+  north: 'n',
+  south: 's'
+};
+
+// Remembered details, in the order they are suggested
+const DETAIL_LABELS = {
+  dvrMakeModel: 'DVR Make/Model',
+  timeOffset: 'Time Offset',
+  retentionDays: 'Retention',
+  locationContact: 'Contact Person',
+  locationContactPhone: 'Contact Phone'
+};
+
+// ===== INDEXING =====
+
+/**
+ * Milliseconds for a timestamp - Supabase and toISOString() format them differently
+ * @param {string} timestamp
+ * @returns {number}
+ */
+function toTime(timestamp) {
+  return new Date(timestamp).getTime();
+}
+
+/**
+ * Normalize an address or business name for matching
+ * @param {string} text
+ * @returns {string} Lowercase words without punctuation, street words abbreviated
+ */
+export function normalizeLocation(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .split(/\s+/)
+    .filter(Boolean)
+    .map(word => ADDRESS_ABBREVIATIONS[word] || word)
+    .join(' ');
+}
+
+/**
+ * What a DVR's clock and retention showed on one request
+ * A correct clock is remembered as an empty offset
+ * @param {Object} source - DVR group or upload location
+ * @param {string} earliestDate - Earliest recorded date entered on the request
+ * @param {string} observedAt - When the request was made
+ * @returns {Object} Details that were entered
+ */
+function getDvrDetails(source, earliestDate, observedAt) {
+  const details = {};
+
+  if (source.isTimeDateCorrect === 'Yes') {
+    details.timeOffset = '';
+  } else if (source.isTimeDateCorrect === 'No' && source.timeOffset) {
+    details.timeOffset = source.timeOffset;
+  }
+
+  const retention = calculateRetentionDays(earliestDate, new Date(observedAt));
+  if (retention.days !== null && retention.days >= 0) {
+    details.retentionDays = retention.days;
+  }
+
+  return details;
+}
+
+/**
+ * Pull what a past request recorded about each of its locations
+ * Recovery requests describe one location with its first DVR; upload
+ * requests can have several locations
+ * @param {Object} submission - form_submissions row ({ form_type, submitted_at, form_data })
+ * @returns {Array<Object>} { businessName, locationAddress, city, observedAt, details }
+ */
+export function extractLocationObservations(submission) {
+  const data = submission?.form_data || {};
+  const observedAt = submission?.submitted_at;
+  if (!observedAt) return [];
+
+  const cityOf = (item) => item.cityDisplay || (item.city === 'Other' ? item.cityOther : item.city) || '';
+
+  if (submission.form_type === 'recovery') {
+    const dvr = data.dvrGroups?.[0] || data;
+    const details = {
+      ...(dvr.dvrMakeModel ? { dvrMakeModel: dvr.dvrMakeModel } : {}),
+      ...getDvrDetails(dvr, dvr.dvrRetention, observedAt),
+      ...(data.locationContact ? { locationContact: data.locationContact } : {}),
+      ...(data.locationContactPhone ? { locationContactPhone: data.locationContactPhone } : {})
+    };
+
+    return [{
+      businessName: data.businessName || '',
+      locationAddress: data.locationAddress || '',
+      city: cityOf(data),
+      observedAt,
+      details
+    }].filter(observation => observation.locationAddress);
+  }
+
+  if (submission.form_type === 'upload') {
+    return (data.locations || [])
+      .filter(location => location.locationAddress)
+      .map(location => ({
+        businessName: location.businessName || '',
+        locationAddress: location.locationAddress,
+        city: cityOf(location),
+        observedAt,
+        details: getDvrDetails(location, location.dvrEarliestDate, observedAt)
+      }));
+  }
+
+  return [];
+}
+
+/**
+ * Create an empty location history index
+ * @returns {Object} { version, newestSubmission, checkedAt, locations }
+ */
+export function createLocationIndex() {
+  return {
+    version: CONFIG.LOCATION_HISTORY.VERSION,
+    newestSubmission: null, // submitted_at of the newest row read from Supabase
+    checkedAt: null, // When Supabase was last asked for new rows
+    locations: {}
+  };
+}
+
+/**
+ * Add observations to an index, keeping the most recent value of each detail
+ * @param {Object} index - From createLocationIndex()
+ * @param {Array<Object>} observations - From extractLocationObservations()
+ * @returns {Object} The same index
+ */
+export function addLocationObservations(index, observations) {
+  observations.forEach(observation => {
+    const key = normalizeLocation(observation.locationAddress);
+    if (!key) return;
+
+    const entry = index.locations[key] || (index.locations[key] = {
+      businessName: '',
+      locationAddress: observation.locationAddress,
+      city: '',
+      lastSeen: observation.observedAt,
+      details: {}
+    });
+
+    const isNewest = toTime(observation.observedAt) >= toTime(entry.lastSeen);
+    if (isNewest) {
+      entry.lastSeen = observation.observedAt;
+      entry.locationAddress = observation.locationAddress;
+    }
+    if (observation.businessName && (isNewest || !entry.businessName)) entry.businessName = observation.businessName;
+    if (observation.city && (isNewest || !entry.city)) entry.city = observation.city;
+
+    Object.entries(observation.details).forEach(([detail, value]) => {
+      const known = entry.details[detail];
+      if (!known || toTime(observation.observedAt) >= toTime(known.observedAt)) {
+        entry.details[detail] = { value, observedAt: observation.observedAt };
+      }
+    });
+  });
+
+  // Keep the cache bounded - least recently seen locations go first
+  const keys = Object.keys(index.locations);
+  if (keys.length > CONFIG.LOCATION_HISTORY.MAX_LOCATIONS) {
+    keys
+      .sort((a, b) => toTime(index.locations[a].lastSeen) - toTime(index.locations[b].lastSeen))
+      .slice(0, keys.length - CONFIG.LOCATION_HISTORY.MAX_LOCATIONS)
+      .forEach(key => delete index.locations[key]);
+  }
+
+  return index;
+}
+
+/**
+ * Find remembered locations matching what has been typed
+ * An address that matches exactly ranks above one that starts with it,
+ * which ranks above a business name match
+ * @param {Object} index - Location history index
+ * @param {Object} query - { businessName, locationAddress }
+ * @returns {Array<Object>} Index entries, best match first
+ */
+export function findLocationMatches(index, { businessName = '', locationAddress = '' }) {
+  const address = normalizeLocation(locationAddress);
+  const business = normalizeLocation(businessName);
+  const minLength = CONFIG.LOCATION_HISTORY.MIN_QUERY_LENGTH;
+
+  return Object.entries(index.locations)
+    .map(([key, entry]) => {
+      let score = 0;
+      if (address.length >= minLength) {
+        if (key === address) score = 3;
+        else if (key.startsWith(address) || address.startsWith(key)) score = 2;
+      }
+      if (!score && business.length >= minLength && normalizeLocation(entry.businessName).includes(business)) {
+        score = 1;
+      }
+      return { entry, score };
+    })
+    .filter(({ score }) => score > 0)
+    .sort((a, b) => b.score - a.score || toTime(b.entry.lastSeen) - toTime(a.entry.lastSeen))
+    .slice(0, CONFIG.LOCATION_HISTORY.MAX_SUGGESTIONS)
+    .map(({ entry }) => entry);
+}
+
+/**
+ * Describe a match's remembered details for display
+ * @param {Object} entry - From findLocationMatches()
+ * @returns {Array<Object>} { key, label, text, observedAt }
+ */
+export function describeLocationDetails(entry) {
+  return Object.entries(DETAIL_LABELS)
+    .filter(([key]) => entry.details[key])
+    .map(([key, label]) => {
+      const { value, observedAt } = entry.details[key];
+      let text = String(value);
+      if (key === 'timeOffset') text = value || 'None - DVR clock was correct';
+      if (key === 'retentionDays') text = `About ${value} days`;
+      return { key, label, text, observedAt };
+    });
+}
+
+/**
+ * Work out an earliest recorded date from a remembered retention
+ * @param {number} retentionDays
+ * @param {Date} today - (default: today)
+ * @returns {string} 'YYYY-MM-DD' in local time
+ */
+export function estimateEarliestDate(retentionDays, today = new Date()) {
+  const date = new Date(today);
+  date.setDate(date.getDate() - retentionDays);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+// ===== CACHE =====
+
+/**
+ * Load the cached index
+ * @returns {Object} Index (empty when missing, outdated or locked)
+ */
+export function loadLocationHistory() {
+  try {
+    const stored = getSecureItem(CONFIG.LOCATION_HISTORY.CACHE_KEY);
+    const parsed = stored ? JSON.parse(stored) : null;
+    return parsed?.version === CONFIG.LOCATION_HISTORY.VERSION ? parsed : createLocationIndex();
+  } catch (error) {
+    console.error('Error loading location history:', error);
+    return createLocationIndex();
+  }
+}
+
+/**
+ * Save the index to the cache
+ * Fails while encrypted storage is locked - never falls back to plaintext
+ * @param {Object} index
+ * @returns {boolean} Success status
+ */
+function saveLocationHistory(index) {
+  try {
+    return setSecureItem(CONFIG.LOCATION_HISTORY.CACHE_KEY, JSON.stringify(index));
+  } catch (error) {
+    console.error('Error saving location history:', error);
+    return false;
+  }
+}
+
+/**
+ * Top up the cached index with submissions made since it was last refreshed
+ * Skipped offline, when Supabase isn't a submission target, and within CONFIG.LOCATION_HISTORY.REFRESH_MINUTES
+ * of the last check; the cache is used as-is if Supabase can't be reached
+ * @param {boolean} force - Refresh even if checked recently
+ * @returns {Promise<Object>} Index
+ */
+export async function refreshLocationHistory(force = false) {
+  const index = loadLocationHistory();
+  if (!getSubmissionTargets().includes('supabase') || !navigator.onLine) return index;
+
+  const checkedAgo = index.checkedAt ? Date.now() - new Date(index.checkedAt).getTime() : Infinity;
+  if (!force && checkedAgo < CONFIG.LOCATION_HISTORY.REFRESH_MINUTES * 60 * 1000) return index;
+
+  try {
+    const { getLocationSubmissionsSince } = await import('./supabase.js');
+    const rows = await getLocationSubmissionsSince(index.newestSubmission);
+
+    rows.forEach(row => addLocationObservations(index, extractLocationObservations(row)));
+    if (rows.length > 0) index.newestSubmission = rows[rows.length - 1].submitted_at;
+    index.checkedAt = new Date().toISOString();
+
+    saveLocationHistory(index);
+  } catch (error) {
+    console.warn('[LocationHistory] Using cached locations:', error);
+  }
+
+  return index;
+}
+
+/**
+ * Find earlier requests at the location being entered
+ * @param {Object} query - { businessName, locationAddress }
+ * @returns {Promise<Array<Object>>} Matches from findLocationMatches()
+ */
+export async function findPastLocations(query) {
+  if (!CONFIG.LOCATION_HISTORY.ENABLED) return [];
+
+  const minLength = CONFIG.LOCATION_HISTORY.MIN_QUERY_LENGTH;
+  if (normalizeLocation(query.locationAddress).length < minLength
+    && normalizeLocation(query.businessName).length < minLength) {
+    return [];
+  }
+
+  return findLocationMatches(await refreshLocationHistory(), query);
+}
+
+/**
+ * Remember the locations on a request just sent from this device, so they
+ * are suggested offline and in the PHP build
+ * @param {Object} formData - Collected form data
+ * @param {string} formType - Form type
+ * @returns {boolean} True if the cache was updated
+ */
+export function rememberLocations(formData, formType) {
+  if (!CONFIG.LOCATION_HISTORY.ENABLED || !CONFIG.LOCATION_HISTORY.FORM_TYPES.includes(formType)) return false;
+
+  const observations = extractLocationObservations({
+    form_type: formType,
+    submitted_at: new Date().toISOString(),
+    form_data: formData
+  });
+  if (observations.length === 0) return false;
+
+  return saveLocationHistory(addLocationObservations(loadLocationHistory(), observations));
+}
@@ -0,0 +1,199 @@
+/**
+ * My Requests
+ * Lists the investigator's past submissions (matched on the saved
+ * requestingEmail) with live status updates and attachment re-download
+ * Supabase only - not shipped in the PHP build
+ */
+
+import { CONFIG } from './config.js';
+import { getSubmissionsByEmail, subscribeToSubmissionsByEmail, getAttachmentUrl } from './supabase.js';
+import { loadOfficerInfo } from './officer-storage.js';
+import { isStorageLocked } from './secure-storage.js';
+import { promptUnlock } from './storage-lock.js';
+import { createElement, formatDateTime, showToast, scrollToElement } from './utils.js';
+import { getStatusLabel } from './submission-workflow.js';
+
+export { getStatusLabel };
+
+// Current list, newest first
+let submissions = [];
+let unsubscribe = null;
+
+/**
+ * Apply a realtime change to a submission list
+ * @param {Object[]} list - Current submissions
+ * @param {Object} payload - Realtime payload ({ eventType, new, old })
+ * @returns {Object[]} New list, newest first
+ */
+export function applySubmissionChange(list, payload) {
+  const { eventType } = payload;
+  const record = payload.new || {};
+  const previous = payload.old || {};
+
+  let updated;
+  if (eventType === 'DELETE') {
+    updated = list.filter(item => item.id !== previous.id);
+  } else {
+    updated = [...list.filter(item => item.id !== record.id), record];
+  }
+
+  return updated.sort((a, b) => new Date(b.submitted_at) - new Date(a.submitted_at));
+}
+
+/**
+ * Capitalise a form type for display
+ * @param {string} formType - upload, analysis or recovery
+ * @returns {string} Label
+ */
+function getFormTypeLabel(formType) {
+  if (!formType) return 'Request';
+  return formType.charAt(0).toUpperCase() + formType.slice(1);
+}
+
+/**
+ * Re-download a stored attachment through a short-lived signed URL
+ * @param {Object} submission - Submission row
+ * @param {string} type - 'pdf' or 'json'
+ */
+async function downloadAttachment(submission, type) {
+  const attachment = submission.attachments?.find(att => att.type === type);
+  if (!attachment) return;
+
+  try {
+    const link = createElement('a', { href: await getAttachmentUrl(attachment) });
+    link.click();
+  } catch (error) {
+    showToast(CONFIG.MESSAGES.MY_REQUESTS_DOWNLOAD_ERROR, 'error');
+  }
+}
+
+/**
+ * Build one list row
+ * @param {Object} submission - Submission row
+ * @param {string|null} highlightId - Submission to highlight (just submitted)
+ * @returns {HTMLElement}
+ */
+function renderSubmission(submission, highlightId) {
+  const status = submission.status || 'pending';
+
+  const info = createElement('div', { className: 'my-request-info' }, [
+    createElement('div', { className: 'my-request-title' },
+      `${getFormTypeLabel(submission.form_type)} · ${submission.occ_number || 'No occurrence number'}`),
+    createElement('div', { className: 'my-request-meta' },
+      `Submitted ${formatDateTime(submission.submitted_at)}`),
+    createElement('div', { className: 'my-request-meta' }, `ID ${submission.id}`)
+  ]);
+
+  const badge = createElement('span', { className: `status-badge status-${status}` }, getStatusLabel(status));
+
+  const downloads = ['pdf', 'json']
+    .filter(type => submission.attachments?.some(att => att.type === type && att.path))
+    .map(type => createElement('button', {
+      type: 'button',
+      className: 'btn btn-secondary btn-sm',
+      onclick: () => downloadAttachment(submission, type)
+    }, type.toUpperCase()));
+
+  const actions = createElement('div', { className: 'my-request-actions' }, [badge, ...downloads]);
+
+  return createElement('li', {
+    className: `my-request-item${submission.id === highlightId ? ' is-highlighted' : ''}`,
+    dataset: { submissionId: submission.id }
+  }, [info, actions]);
+}
+
+/**
+ * Show a message in place of the list
+ * @param {HTMLElement} container - List container
+ * @param {string} message - Message text
+ * @param {HTMLElement|null} action - Optional button or link
+ */
+function renderMessage(container, message, action = null) {
+  container.replaceChildren(createElement('div', { className: 'my-requests-empty' }, [
+    createElement('p', { className: 'text-muted' }, message),
+    action
+  ]));
+}
+
+/**
+ * Render the current list
+ * @param {HTMLElement} container - List container
+ * @param {string|null} highlightId - Submission to highlight
+ */
+function renderList(container, highlightId) {
+  if (submissions.length === 0) {
+    renderMessage(container, 'You have no submitted requests yet.',
+      createElement('a', { href: 'index.html', className: 'btn btn-primary' }, 'Start a Request'));
+    return;
+  }
+
+  const list = createElement('ul', { className: 'my-requests-list' },
+    submissions.map(submission => renderSubmission(submission, highlightId)));
+  container.replaceChildren(list);
+}
+
+/**
+ * Load the list and subscribe to live updates
+ * @param {string} containerId - ID of the list container
+ * @returns {Promise<void>}
+ */
+export async function initMyRequests(containerId = 'my-requests-list') {
+  const container = document.getElementById(containerId);
+  if (!container) return;
+
+  // Set after submitting, and by the QR code on request PDFs and labels
+  const highlightId = new URLSearchParams(window.location.search).get(CONFIG.REQUEST_CODE.PARAMS.SUBMISSION_ID);
+
+  if (isStorageLocked()) {
+    renderMessage(container, 'Your investigator information is encrypted. Unlock it to see your requests.',
+      createElement('button', {
+        type: 'button',
+        className: 'btn btn-primary',
+        onclick: async () => {
+          if (await promptUnlock()) initMyRequests(containerId);
+        }
+      }, 'Unlock'));
+    return;
+  }
+
+  const email = loadOfficerInfo()?.requestingEmail;
+  if (!email) {
+    renderMessage(container, 'Your requests are found using the email saved with your investigator information. Submit a request to save it.',
+      createElement('a', { href: 'index.html', className: 'btn btn-primary' }, 'Start a Request'));
+    return;
+  }
+
+  const emailLabel = document.getElementById('my-requests-email');
+  if (emailLabel) emailLabel.textContent = email;
+
+  try {
+    submissions = await getSubmissionsByEmail(email);
+  } catch (error) {
+    renderMessage(container, CONFIG.MESSAGES.MY_REQUESTS_LOAD_ERROR,
+      createElement('button', {
+        type: 'button',
+        className: 'btn btn-secondary',
+        onclick: () => initMyRequests(containerId)
+      }, 'Try Again'));
+    return;
+  }
+
+  renderList(container, highlightId);
+  scrollToElement(container.querySelector('.is-highlighted'));
+
+  unsubscribe?.();
+  unsubscribe = await subscribeToSubmissionsByEmail(email, (payload) => {
+    const previous = submissions.find(item => item.id === payload.new?.id);
+
+    submissions = applySubmissionChange(submissions, payload);
+    renderList(container, highlightId);
+
+    if (previous && payload.new.status !== previous.status) {
+      showToast(CONFIG.MESSAGES.MY_REQUESTS_STATUS_CHANGED
+        .replace('{occNumber}', payload.new.occ_number || payload.new.id)
+        .replace('{status}', getStatusLabel(payload.new.status)), 'info', 5000);
+    }
+  });
+
+  window.addEventListener('pagehide', () => unsubscribe?.(), { once: true });
+}
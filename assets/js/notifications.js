@@ -22,9 +22,7 @@ let focusTrap = null;
  */
 export function showConfirmModal(options) {
   // Ensure only one modal at a time
-  if (activeModal) {
-    closeModal();
-  }
+  dismissModal();
   
   return new Promise((resolve) => {
     // Set defaults
@@ -80,6 +78,9 @@ export function showConfirmModal(options) {
       cancelBtn.removeEventListener('click', handleCancel);
       document.removeEventListener('keydown', handleEscape);
     };
+
+    // Replacing this modal with another counts as cancelling it
+    modal._close = handleCancel;
     
     // Add to DOM and show
     document.body.appendChild(modal);
@@ -96,6 +97,187 @@ export function showConfirmModal(options) {
   });
 }
 
+/**
+ * Show a modal with custom content and a single close button
+ * The content stays live, so callers can wire their own controls inside it
+ * @param {Object} options - Modal configuration
+ * @param {string} options.title - Modal title
+ * @param {HTMLElement} options.content - Body content
+ * @param {string} options.closeText - Close button text (default: 'Close')
+ * @param {string} options.type - Modal type: 'warning', 'danger', 'success', 'info'
+ * @returns {Promise<void>} - Resolves when the modal is closed
+ */
+export function showContentModal(options) {
+  dismissModal();
+
+  return new Promise((resolve) => {
+    const config = {
+      title: '',
+      closeText: 'Close',
+      type: 'info',
+      ...options
+    };
+
+    const modal = createModalStructure({
+      ...config,
+      message: '',
+      cancelText: config.closeText,
+      confirmText: ''
+    });
+
+    // Replace the message paragraph with the caller's content
+    const body = modal.querySelector('.modal-body');
+    body.innerHTML = '';
+    body.appendChild(config.content);
+    modal.querySelector('.modal-confirm').remove();
+
+    const closeBtn = modal.querySelector('.modal-cancel');
+
+    const handleClose = () => {
+      closeModal();
+      resolve();
+    };
+
+    closeBtn.addEventListener('click', handleClose);
+
+    modal.addEventListener('click', (e) => {
+      if (e.target.classList.contains('modal-overlay')) {
+        handleClose();
+      }
+    });
+
+    const handleEscape = (e) => {
+      if (e.key === 'Escape') {
+        handleClose();
+      }
+    };
+    document.addEventListener('keydown', handleEscape);
+
+    modal._cleanup = () => {
+      closeBtn.removeEventListener('click', handleClose);
+      document.removeEventListener('keydown', handleEscape);
+    };
+
+    // Allow content controls to close the modal programmatically
+    modal._close = handleClose;
+
+    document.body.appendChild(modal);
+    activeModal = modal;
+
+    setupFocusTrap(modal);
+
+    requestAnimationFrame(() => {
+      modal.classList.add('show');
+      closeBtn.focus();
+    });
+  });
+}
+
+/**
+ * Close the active modal, resolving its promise
+ * Confirm and prompt modals resolve as cancelled. Every show* function
+ * calls this first, so a modal replaced by another still settles
+ */
+export function dismissModal() {
+  if (activeModal?._close) {
+    activeModal._close();
+  } else {
+    closeModal();
+  }
+}
+
+/**
+ * Show a modal asking for a single line of text
+ * @param {Object} options - Modal configuration
+ * @param {string} options.title - Modal title
+ * @param {string} options.message - Prompt text
+ * @param {string} options.value - Initial value
+ * @param {string} options.placeholder - Input placeholder
+ * @param {string} options.inputType - Input type, e.g. 'password' (default: 'text')
+ * @param {string} options.confirmText - Confirm button text (default: 'Save')
+ * @param {string} options.cancelText - Cancel button text (default: 'Cancel')
+ * @returns {Promise<string|null>} - Entered text, or null if cancelled
+ */
+export function showPromptModal(options) {
+  dismissModal();
+
+  return new Promise((resolve) => {
+    const config = {
+      title: 'Enter Value',
+      message: '',
+      value: '',
+      placeholder: '',
+      inputType: 'text',
+      confirmText: 'Save',
+      cancelText: 'Cancel',
+      type: 'info',
+      ...options
+    };
+
+    const modal = createModalStructure(config);
+
+    const input = createElement('input', {
+      type: config.inputType,
+      className: 'form-control',
+      placeholder: config.placeholder
+    });
+    input.value = config.value;
+    modal.querySelector('.modal-body').appendChild(input);
+
+    const confirmBtn = modal.querySelector('.modal-confirm');
+    const cancelBtn = modal.querySelector('.modal-cancel');
+
+    const handleConfirm = () => {
+      const value = input.value;
+      closeModal();
+      resolve(value);
+    };
+
+    const handleCancel = () => {
+      closeModal();
+      resolve(null);
+    };
+
+    confirmBtn.addEventListener('click', handleConfirm);
+    cancelBtn.addEventListener('click', handleCancel);
+
+    modal.addEventListener('click', (e) => {
+      if (e.target.classList.contains('modal-overlay')) {
+        handleCancel();
+      }
+    });
+
+    const handleKeydown = (e) => {
+      if (e.key === 'Escape') {
+        handleCancel();
+      } else if (e.key === 'Enter' && e.target === input) {
+        e.preventDefault();
+        handleConfirm();
+      }
+    };
+    document.addEventListener('keydown', handleKeydown);
+
+    modal._cleanup = () => {
+      confirmBtn.removeEventListener('click', handleConfirm);
+      cancelBtn.removeEventListener('click', handleCancel);
+      document.removeEventListener('keydown', handleKeydown);
+    };
+
+    modal._close = handleCancel;
+
+    document.body.appendChild(modal);
+    activeModal = modal;
+
+    setupFocusTrap(modal);
+
+    requestAnimationFrame(() => {
+      modal.classList.add('show');
+      input.focus();
+      input.select();
+    });
+  });
+}
+
 /**
  * Create modal DOM structure
  * @private
@@ -134,20 +316,25 @@ function createModalStructure(config) {
  */
 function closeModal() {
   if (!activeModal) return;
-  
-  activeModal.classList.remove('show');
-  
-  // Clean up after animation
+
+  // Capture locally so a modal opened straight after this one isn't removed
+  const modal = activeModal;
+  const trap = focusTrap;
+  activeModal = null;
+  focusTrap = null;
+
+  modal.classList.remove('show');
+
+  if (modal._cleanup) {
+    modal._cleanup();
+  }
+
+  // Remove after animation
   setTimeout(() => {
-    if (activeModal._cleanup) {
-      activeModal._cleanup();
-    }
-    if (focusTrap) {
-      focusTrap.cleanup();
-      focusTrap = null;
+    if (trap) {
+      trap.cleanup();
     }
-    activeModal.remove();
-    activeModal = null;
+    modal.remove();
   }, 300);
 }
 
@@ -0,0 +1,192 @@
+/**
+ * Occurrence Case
+ * Pulls every request filed under one occurrence number (canvass,
+ * recoveries, uploads, analysis) into a single case: a combined timeline
+ * of video windows, the locations involved, overall status and analysts
+ * Pure - the dashboard fetches the rows and renders the case
+ */
+
+import { CONFIG } from './config.js';
+import { getDvrTimeOffset, getExtractionWindows } from './calculations.js';
+import { normalizeLocation } from './location-history.js';
+
+/**
+ * Display title for a request's form type
+ * @param {string} formType
+ * @returns {string} e.g. 'CCTV Recovery Request Form'
+ */
+export function getFormTitle(formType) {
+  return CONFIG.FORM_TITLES[String(formType || '').toUpperCase()] || formType;
+}
+
+/**
+ * City as entered, using the typed city when "Other" was chosen
+ * @param {Object} item - Form data or a location entry
+ * @returns {string}
+ */
+function cityOf(item) {
+  return item.cityDisplay || (item.city === 'Other' ? item.cityOther : item.city) || '';
+}
+
+/**
+ * Business name and address joined for display
+ * @param {Object} item - Form data or a location entry
+ * @returns {string} e.g. 'Corner Store, 123 Main St'
+ */
+function placeOf(item) {
+  return [item.businessName, item.locationAddress].filter(Boolean).join(', ');
+}
+
+/**
+ * Real-time video windows asked for or supplied by one request
+ * Recovery time frames and uploaded video are both converted to real time
+ * using the DVR offset, so windows from different DVRs line up
+ * @param {Object} submission - form_submissions row
+ * @returns {Array<Object>} { submissionId, formType, label, place, start, end, offsetApplied }
+ */
+export function getVideoWindows(submission) {
+  const data = submission.form_data || {};
+  const windows = [];
+
+  const add = (label, place, startTime, endTime, timePeriodType, offset) => {
+    if (!startTime && !endTime) return;
+    const { actualWindow, offsetApplied } = getExtractionWindows(startTime, endTime, timePeriodType, offset);
+    windows.push({
+      submissionId: submission.id,
+      formType: submission.form_type,
+      label,
+      place,
+      start: actualWindow.start,
+      end: actualWindow.end,
+      offsetApplied
+    });
+  };
+
+  if (submission.form_type === 'recovery') {
+    (data.dvrGroups || []).forEach((dvr, dvrIndex) => {
+      const offset = getDvrTimeOffset(dvr.isTimeDateCorrect, dvr.timeOffset);
+      (dvr.extractionTimeFrames || []).forEach((timeFrame, timeframeIndex) => {
+        // Without a time period type the offset can't be applied either way
+        add(`Recovery - DVR ${dvrIndex + 1}, Time Frame ${timeframeIndex + 1}`, placeOf(data),
+          timeFrame.extractionStartTime, timeFrame.extractionEndTime,
+          timeFrame.timePeriodType, timeFrame.timePeriodType ? offset : null);
+      });
+    });
+  }
+
+  if (submission.form_type === 'upload') {
+    (data.locations || []).forEach((location, index) => {
+      // Uploaded video times are read off the DVR clock
+      add(`Upload - Location ${index + 1}`, placeOf(location),
+        location.videoStartTime, location.videoEndTime,
+        'DVR Time', getDvrTimeOffset(location.isTimeDateCorrect, location.timeOffset));
+    });
+  }
+
+  return windows;
+}
+
+/**
+ * Locations named on one request
+ * @param {Object} submission - form_submissions row
+ * @returns {Array<Object>} { businessName, locationAddress, city, source }
+ */
+function getRequestLocations(submission) {
+  const data = submission.form_data || {};
+  const entry = (item, source) => ({
+    businessName: item.businessName || '',
+    locationAddress: item.locationAddress || '',
+    city: cityOf(item),
+    source
+  });
+
+  switch (submission.form_type) {
+    case 'recovery':
+      return [entry(data, 'Recovery')];
+    case 'upload':
+      return (data.locations || []).map(location => entry(location, 'Upload'));
+    case 'canvass':
+      return (data.addresses || []).map(address =>
+        entry(address, address.outcome ? `Canvass: ${address.outcome}` : 'Canvass'));
+    case 'analysis':
+      return data.videoSeizedFrom
+        ? [{ businessName: data.videoSeizedFrom, locationAddress: '', city: '', source: 'Analysis' }]
+        : [];
+    default:
+      return [];
+  }
+}
+
+/**
+ * Every location across the case, merged by address (or business name
+ * when no address was entered), in the order first mentioned
+ * @param {Array<Object>} submissions - form_submissions rows, oldest first
+ * @returns {Array<Object>} { businessName, locationAddress, city, sources[] }
+ */
+export function getCaseLocations(submissions) {
+  const locations = new Map();
+
+  submissions.flatMap(getRequestLocations).forEach(location => {
+    const key = normalizeLocation(location.locationAddress) || normalizeLocation(location.businessName);
+    if (!key) return;
+
+    if (!locations.has(key)) {
+      locations.set(key, { businessName: '', locationAddress: '', city: '', sources: [] });
+    }
+
+    const merged = locations.get(key);
+    merged.businessName = merged.businessName || location.businessName;
+    merged.locationAddress = merged.locationAddress || location.locationAddress;
+    merged.city = merged.city || location.city;
+    if (!merged.sources.includes(location.source)) merged.sources.push(location.source);
+  });
+
+  return [...locations.values()];
+}
+
+/**
+ * Overall status of a case
+ * One status when every request shares it; otherwise in progress while
+ * anything is still open, and completed once everything is finished
+ * @param {Array<Object>} submissions - form_submissions rows
+ * @returns {string|null} Status key, or null for an empty case
+ */
+export function getCaseStatus(submissions) {
+  if (submissions.length === 0) return null;
+
+  const statuses = new Set(submissions.map(submission => submission.status));
+  if (statuses.size === 1) return submissions[0].status;
+
+  return statuses.has('pending') || statuses.has('processing') ? 'processing' : 'completed';
+}
+
+/**
+ * Build the case for one occurrence from its requests
+ * @param {string} occNumber - Occurrence number
+ * @param {Array<Object>} submissions - form_submissions rows for the occurrence
+ * @returns {Object} { occNumber, status, statusCounts, analysts, requests, timeline, locations }
+ */
+export function buildOccurrenceCase(occNumber, submissions) {
+  const requests = [...submissions].sort((a, b) => new Date(a.submitted_at) - new Date(b.submitted_at));
+
+  const statusCounts = {};
+  requests.forEach(request => {
+    statusCounts[request.status] = (statusCounts[request.status] || 0) + 1;
+  });
+
+  const analysts = [...new Set(requests.map(request => request.assigned_to).filter(Boolean))].sort();
+
+  // Windows without a start can't be placed, so they go at the end
+  const startOf = (window) => (window.start ? new Date(window.start).getTime() : Infinity);
+  const timeline = requests.flatMap(getVideoWindows).sort((a, b) => startOf(a) - startOf(b));
+
+  return {
+    occNumber,
+    status: getCaseStatus(requests),
+    statusCounts,
+    analysts,
+    requests,
+    timeline,
+    locations: getCaseLocations(requests)
+  };
+}
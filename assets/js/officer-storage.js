@@ -1,9 +1,11 @@
 /**
  * Officer Information Storage
  * Manages persistent officer data in localStorage
+ * Values go through secure-storage.js so they are encrypted when enabled
  */
 
 import { CONFIG } from './config.js';
+import { getSecureItem, setSecureItem, removeSecureItem } from './secure-storage.js';
 
 // Use CONFIG for all constants
 const STORAGE_KEY = CONFIG.OFFICER_STORAGE.KEY;
@@ -45,8 +47,8 @@ export function saveOfficerInfo(officerData) {
       savedAt: Date.now()
     };
     
-    localStorage.setItem(STORAGE_KEY, JSON.stringify(dataToStore));
-    return true;
+    // Fails while encrypted storage is locked - never fall back to plaintext
+    return setSecureItem(STORAGE_KEY, JSON.stringify(dataToStore));
   } catch (error) {
     console.error('Error saving officer info:', error);
     return false;
@@ -61,7 +63,7 @@ export function loadOfficerInfo() {
   if (!CONFIG.OFFICER_STORAGE.ENABLED) return null;
   
   try {
-    const stored = localStorage.getItem(STORAGE_KEY);
+    const stored = getSecureItem(STORAGE_KEY);
     if (!stored) return null;
     
     const parsed = JSON.parse(stored);
@@ -85,7 +87,7 @@ export function loadOfficerInfo() {
  */
 export function clearOfficerInfo() {
   try {
-    localStorage.removeItem(STORAGE_KEY);
+    removeSecureItem(STORAGE_KEY);
     return true;
   } catch (error) {
     console.error('Error clearing officer info:', error);
@@ -0,0 +1,463 @@
+/**
+ * Offline Outbox
+ * Queues submissions that could not be sent (offline, timeout, server down)
+ * in IndexedDB together with their generated PDF/JSON blobs, and replays
+ * them when connectivity returns (Background Sync or the `online` event)
+ *
+ * With encryption on (see secure-storage.js) the form data and documents
+ * are stored encrypted with the session key. Nothing is queued while
+ * storage is locked, and sealed items wait for an unlock before replaying
+ *
+ * @module outbox
+ */
+
+import { CONFIG } from './config.js';
+import { submitWithRetry } from './api-client.js';
+import { isEncryptionEnabled, isStorageLocked, encryptBlob, decryptBlob } from './secure-storage.js';
+import { showToast, escapeHtml } from './utils.js';
+import { showConfirmModal } from './notifications.js';
+
+/**
+ * Per-item status values
+ * Delivered items are removed from the outbox, so there is no "sent" state
+ */
+export const OUTBOX_STATUS = Object.freeze({
+  QUEUED: 'queued',     // Waiting for connectivity
+  SENDING: 'sending',   // Replay in progress
+  REJECTED: 'rejected'  // Server refused it (4xx) - needs officer attention
+});
+
+// Shared promise so overlapping triggers (online + sync + page load) replay once
+let replayInProgress = null;
+
+// Cached database connection
+let dbPromise = null;
+
+// ===== INDEXEDDB HELPERS =====
+
+/**
+ * Open (or create) the outbox database
+ * @returns {Promise<IDBDatabase>}
+ */
+function openOutbox() {
+  if (dbPromise) return dbPromise;
+
+  dbPromise = new Promise((resolve, reject) => {
+    if (typeof indexedDB === 'undefined') {
+      reject(new Error('IndexedDB not supported'));
+      return;
+    }
+
+    const request = indexedDB.open(CONFIG.OUTBOX.DB_NAME, CONFIG.OUTBOX.DB_VERSION);
+
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(CONFIG.OUTBOX.STORE_NAME)) {
+        db.createObjectStore(CONFIG.OUTBOX.STORE_NAME, { keyPath: 'id' });
+      }
+    };
+
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+  // Allow a later retry if opening failed
+  dbPromise.catch(() => {
+    dbPromise = null;
+  });
+
+  return dbPromise;
+}
+
+/**
+ * Run a single request against the outbox store
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} operation - Receives the object store, returns an IDBRequest
+ * @returns {Promise<*>} The request result
+ */
+async function withStore(mode, operation) {
+  const db = await openOutbox();
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(CONFIG.OUTBOX.STORE_NAME, mode);
+    const request = operation(transaction.objectStore(CONFIG.OUTBOX.STORE_NAME));
+
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+// ===== PUBLIC API =====
+
+/**
+ * Check whether a submission error is transient and worth queueing
+ * Client errors (4xx) are validation failures and would fail again on replay
+ * @param {Error} error - Error thrown by submitWithRetry
+ * @returns {boolean} True if the submission should be queued
+ */
+export function isQueueableError(error) {
+  if (!error) return false;
+
+  const status = error.status ?? error.details?.status;
+  if (status >= 400 && status < 500) {
+    return false;
+  }
+
+  if (!navigator.onLine || error.details?.offline) return true;
+  if (error.name === 'AbortError' || error.details?.code === 'ETIMEDOUT') return true;
+  if (status >= 500 && status < 600) return true;
+
+  // fetch() couldn't reach the server (see isFetchFailure); other errors
+  // without a status are bugs and would fail the same way on every replay
+  return error.message === 'Network error';
+}
+
+/**
+ * Prepare a submission's data and documents for storage
+ * @param {Object} payload - { formData, pdfBlob, jsonBlob }
+ * @returns {Promise<Object>} The payload as is, or { sealed: { formData, pdfBlob, jsonBlob } }
+ *   with each part encrypted when encryption is on
+ * @throws {Error} If encryption is on and storage is locked
+ */
+export async function sealPayload({ formData, pdfBlob, jsonBlob }) {
+  if (!isEncryptionEnabled()) {
+    return { formData, pdfBlob, jsonBlob };
+  }
+
+  // Never fall back to plaintext once encryption is on
+  if (isStorageLocked()) {
+    throw new Error(CONFIG.MESSAGES.OUTBOX_LOCKED);
+  }
+
+  return {
+    sealed: {
+      formData: await encryptBlob(new Blob([JSON.stringify(formData)], { type: 'application/json' })),
+      pdfBlob: await encryptBlob(pdfBlob),
+      jsonBlob: await encryptBlob(jsonBlob)
+    }
+  };
+}
+
+/**
+ * Get an outbox item's data and documents, decrypting sealed items
+ * @param {Object} item - Outbox item
+ * @returns {Promise<Object>} { formData, pdfBlob, jsonBlob }
+ * @throws {Error} If the item is sealed and storage is locked
+ */
+export async function openPayload(item) {
+  if (!item.sealed) {
+    return { formData: item.formData, pdfBlob: item.pdfBlob, jsonBlob: item.jsonBlob };
+  }
+
+  const formData = await decryptBlob(item.sealed.formData, 'application/json');
+
+  return {
+    formData: JSON.parse(await formData.text()),
+    pdfBlob: await decryptBlob(item.sealed.pdfBlob, 'application/pdf'),
+    jsonBlob: await decryptBlob(item.sealed.jsonBlob, 'application/json')
+  };
+}
+
+/**
+ * Add a submission to the outbox
+ * @param {Object} entry - Submission to queue
+ * @param {string} entry.formType - Form type (upload, analysis, recovery)
+ * @param {Object} entry.formData - Collected form data (before field mapping)
+ * @param {Blob} entry.pdfBlob - Generated PDF
+ * @param {Blob} entry.jsonBlob - Generated JSON
+ * @param {Object} entry.integrity - { submissionId, contentHash } printed in the PDF
+ * @param {string} entry.pdfFilename - Filename used for the local PDF copy
+ * @param {Array<Object>} [entry.deliveredTargets] - Targets that already have
+ *   it (see submitWithRetry), skipped on replay
+ * @returns {Promise<Object>} The stored outbox item
+ * @throws {Error} If encryption is on and storage is locked
+ */
+export async function queueSubmission({ formType, formData, pdfBlob, jsonBlob, integrity, pdfFilename, deliveredTargets = [] }) {
+  const payload = await sealPayload({ formData, pdfBlob, jsonBlob });
+  const now = new Date().toISOString();
+  const item = {
+    id: `outbox_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+    formType,
+    ...payload,
+    integrity,
+    pdfFilename,
+    deliveredTargets,
+    status: OUTBOX_STATUS.QUEUED,
+    attempts: 0,
+    lastError: null,
+    queuedAt: now,
+    updatedAt: now
+  };
+
+  await withStore('readwrite', store => store.put(item));
+  notifyChange();
+  await requestOutboxSync();
+
+  return item;
+}
+
+/**
+ * Get all outbox items, oldest first
+ * @returns {Promise<Array<Object>>} Outbox items (empty if IndexedDB is unavailable)
+ */
+export async function getOutboxItems() {
+  try {
+    const items = await withStore('readonly', store => store.getAll());
+    return items.sort((a, b) => a.queuedAt.localeCompare(b.queuedAt));
+  } catch (error) {
+    console.error('Error reading outbox:', error);
+    return [];
+  }
+}
+
+/**
+ * Remove an item from the outbox
+ * @param {string} id - Outbox item ID
+ */
+export async function removeOutboxItem(id) {
+  await withStore('readwrite', store => store.delete(id));
+  notifyChange();
+}
+
+/**
+ * Remove every encrypted item from the outbox
+ * Used when encrypted storage is reset: without the old key these items can
+ * never be decrypted, so replaying them would only fail
+ * @returns {Promise<number>} Number of items removed
+ */
+export async function discardSealedItems() {
+  const sealed = (await getOutboxItems()).filter(item => item.sealed);
+
+  for (const item of sealed) {
+    await withStore('readwrite', store => store.delete(item.id));
+  }
+
+  if (sealed.length > 0) notifyChange();
+  return sealed.length;
+}
+
+/**
+ * Update fields on an outbox item
+ * @param {Object} item - Existing item
+ * @param {Object} changes - Fields to change
+ * @returns {Promise<Object>} Updated item
+ */
+async function updateOutboxItem(item, changes) {
+  const updated = { ...item, ...changes, updatedAt: new Date().toISOString() };
+  await withStore('readwrite', store => store.put(updated));
+  notifyChange();
+  return updated;
+}
+
+/**
+ * Ask the service worker to replay the outbox when connectivity returns
+ * Falls back silently where Background Sync is unsupported - the
+ * `online` listener in pwa-register.js covers those browsers
+ */
+export async function requestOutboxSync() {
+  try {
+    if (!('serviceWorker' in navigator)) return;
+
+    const registration = await navigator.serviceWorker.ready;
+    if (registration.sync) {
+      await registration.sync.register(CONFIG.OUTBOX.SYNC_TAG);
+    }
+  } catch (error) {
+    console.warn('[Outbox] Background Sync registration failed:', error);
+  }
+}
+
+/**
+ * Send every queued item
+ * Rejected items are left for the officer to review; transient failures stay queued
+ * @returns {Promise<{delivered: number, rejected: number, remaining: number}>}
+ */
+export function replayOutbox() {
+  if (replayInProgress) return replayInProgress;
+
+  replayInProgress = (async () => {
+    const summary = { delivered: 0, rejected: 0, remaining: 0 };
+
+    if (!navigator.onLine) {
+      summary.remaining = (await getOutboxItems()).length;
+      return summary;
+    }
+
+    const items = await getOutboxItems();
+
+    for (const queued of items) {
+      if (queued.status === OUTBOX_STATUS.REJECTED) {
+        continue;
+      }
+
+      // Sealed items wait for the passphrase (replayed again on unlock)
+      if (queued.sealed && isStorageLocked()) {
+        summary.remaining++;
+        continue;
+      }
+
+      const item = await updateOutboxItem(queued, {
+        status: OUTBOX_STATUS.SENDING,
+        attempts: queued.attempts + 1
+      });
+
+      try {
+        const { formData, pdfBlob, jsonBlob } = await openPayload(item);
+        const result = await submitWithRetry(formData, pdfBlob, jsonBlob, {
+          ...item.integrity,
+          maxRetries: 1,
+          deliveredTargets: item.deliveredTargets || []
+        });
+
+        if (!result.success) {
+          throw Object.assign(new Error(result.message || CONFIG.MESSAGES.SUBMISSION_ERROR), { status: 400 });
+        }
+
+        await removeOutboxItem(item.id);
+        summary.delivered++;
+
+        const id = result.submissionId || result.ticketNumber;
+        showToast(CONFIG.MESSAGES.OUTBOX_DELIVERED.replace('{id}', id), 'success', 5000);
+      } catch (error) {
+        console.error('[Outbox] Replay failed:', error);
+
+        // Targets reached this time aren't sent to again
+        const deliveredTargets = error.deliveredTargets || item.deliveredTargets;
+
+        if (isQueueableError(error)) {
+          await updateOutboxItem(item, { status: OUTBOX_STATUS.QUEUED, lastError: error.message, deliveredTargets });
+          summary.remaining++;
+        } else {
+          await updateOutboxItem(item, { status: OUTBOX_STATUS.REJECTED, lastError: error.message, deliveredTargets });
+          summary.rejected++;
+          showToast(CONFIG.MESSAGES.OUTBOX_REJECTED, 'error', 5000);
+        }
+      }
+    }
+
+    return summary;
+  })();
+
+  return replayInProgress.finally(() => {
+    replayInProgress = null;
+  });
+}
+
+// ===== STATUS UI =====
+
+/**
+ * Notify listeners that the outbox changed
+ */
+function notifyChange() {
+  window.dispatchEvent(new CustomEvent('outboxChange'));
+}
+
+/**
+ * Create the outbox indicator button in the page header
+ * @returns {HTMLElement|null} The button, or null if no header container exists
+ */
+function createOutboxButton() {
+  const container = document.querySelector('.header-right') || document.querySelector('.landing-header-content');
+  if (!container) return null;
+
+  const button = document.createElement('button');
+  button.id = 'outbox-button';
+  button.type = 'button';
+  button.className = 'btn btn-secondary btn-sm outbox-button';
+  button.style.display = 'none';
+  button.addEventListener('click', showOutboxDetails);
+
+  container.insertBefore(button, container.firstChild);
+  return button;
+}
+
+/**
+ * Refresh the header indicator with the current queue size
+ */
+export async function updateOutboxIndicator() {
+  const items = await getOutboxItems();
+  const button = document.getElementById('outbox-button') || createOutboxButton();
+  if (!button) return;
+
+  if (items.length === 0) {
+    button.style.display = 'none';
+    return;
+  }
+
+  const hasRejected = items.some(item => item.status === OUTBOX_STATUS.REJECTED);
+  button.textContent = `Outbox (${items.length})`;
+  button.classList.toggle('btn-danger', hasRejected);
+  button.style.display = 'flex';
+}
+
+/**
+ * Show per-item status and offer a manual retry
+ */
+async function showOutboxDetails() {
+  const items = await getOutboxItems();
+
+  const lines = items.map(item => {
+    const queuedAt = new Date(item.queuedAt).toLocaleString();
+    const error = item.lastError ? ` - ${escapeHtml(item.lastError)}` : '';
+    const occNumber = item.sealed ? '(encrypted)' : item.formData.occNumber || '';
+    return `<strong>${escapeHtml(item.formType)}</strong> ${escapeHtml(occNumber)} ` +
+      `(${queuedAt}): ${item.status}${error}`;
+  });
+
+  const retry = await showConfirmModal({
+    title: 'Outbox',
+    message: lines.length ? lines.join('<br>') : 'No queued requests.',
+    confirmText: 'Retry Now',
+    cancelText: 'Close',
+    type: 'info'
+  });
+
+  if (retry) {
+    // A manual retry gives rejected items another chance too
+    for (const item of items.filter(i => i.status === OUTBOX_STATUS.REJECTED)) {
+      await updateOutboxItem(item, { status: OUTBOX_STATUS.QUEUED });
+    }
+    await replayOutbox();
+  }
+}
+
+/**
+ * Wire up the outbox: indicator, service worker messages, and initial replay
+ * Called once from initPWA()
+ */
+export function initOutbox() {
+  if (!CONFIG.OUTBOX.ENABLED) return;
+
+  window.addEventListener('outboxChange', () => {
+    updateOutboxIndicator();
+  });
+
+  // Sealed items could not be sent while locked
+  window.addEventListener('secureStorageChange', (event) => {
+    if (!event.detail.locked) replayOutbox();
+  });
+
+  if ('serviceWorker' in navigator) {
+    navigator.serviceWorker.addEventListener('message', (event) => {
+      if (event.data && event.data.type === 'REPLAY_OUTBOX') {
+        // The worker keeps its sync pending until we report back
+        const [port] = event.ports || [];
+        replayOutbox()
+          .then(summary => port?.postMessage(summary))
+          .catch(error => port?.postMessage({ error: error.message }));
+      }
+    });
+  }
+
+  const start = () => {
+    updateOutboxIndicator();
+    replayOutbox();
+  };
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', start);
+  } else {
+    start();
+  }
+}
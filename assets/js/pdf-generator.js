@@ -5,18 +5,61 @@
  */
 
 import { CONFIG } from './config.js';
-import { buildDocumentDefinition } from './pdf-templates.js';
+import {
+  buildDocumentDefinition,
+  buildCasePacketDefinition,
+  buildWorkloadReportDefinition,
+  buildEvidenceLabelsDefinition
+} from './pdf-templates.js';
 
 /**
  * Generate PDF from form data
  * @param {Object} formData - Form data
  * @param {string} formType - Type of form
+ * @param {Object|null} integrity - { submissionId, contentHash } printed in the footer
  * @returns {Promise<Blob>} PDF blob
  */
-export async function generatePDF(formData, formType) {
+export async function generatePDF(formData, formType, integrity = null) {
   // Get document definition from templates
-  const docDefinition = buildDocumentDefinition(formData, formType);
-  
+  return createPdfBlob(buildDocumentDefinition(formData, formType, integrity));
+}
+
+/**
+ * Generate the case packet PDF for an occurrence
+ * @param {Object} occurrenceCase - From buildOccurrenceCase()
+ * @returns {Promise<Blob>} PDF blob
+ */
+export async function generateCasePacketPDF(occurrenceCase) {
+  return createPdfBlob(buildCasePacketDefinition(occurrenceCase));
+}
+
+/**
+ * Generate the workload report PDF
+ * @param {Array<Object>} tables - From getWorkloadReportTables()
+ * @param {Object} period - { from, to } local dates
+ * @returns {Promise<Blob>} PDF blob
+ */
+export async function generateWorkloadReportPDF(tables, period) {
+  return createPdfBlob(buildWorkloadReportDefinition(tables, period));
+}
+
+/**
+ * Generate a sheet of evidence labels
+ * @param {Array<Object>} labels - One entry per label, from getEvidenceLabels()
+ * @param {string} layoutKey - Key of CONFIG.EVIDENCE_LABELS.LAYOUTS
+ * @param {number} startPosition - First free slot on the first sheet (1-based)
+ * @returns {Promise<Blob>} PDF blob
+ */
+export async function generateEvidenceLabelsPDF(labels, layoutKey, startPosition = 1) {
+  return createPdfBlob(buildEvidenceLabelsDefinition(labels, layoutKey, startPosition));
+}
+
+/**
+ * Render a document definition with the shared styles
+ * @param {Object} docDefinition - PDFMake document definition
+ * @returns {Promise<Blob>} PDF blob
+ */
+function createPdfBlob(docDefinition) {
   // Add styles to document definition
   docDefinition.styles = PDF_STYLES;
   
@@ -4,8 +4,29 @@
  */
 
 import { formatDateTime } from './utils.js';
-import { calculateRetentionDays, calculateVideoDuration, parseTimeOffset } from './calculations.js';
+import {
+  calculateRetentionDays,
+  calculateVideoDuration,
+  parseTimeOffset,
+  getDvrTimeOffset,
+  getExtractionWindows,
+  formatWindow,
+  calculateOverwriteDeadlines,
+  formatOverwriteCountdown,
+  estimateRecoveryStorage,
+  formatStorageSize
+} from './calculations.js';
 import { CONFIG } from './config.js';
+import { getPdfSections } from './form-schema.js';
+import { validateTemporalConsistency } from './validators.js';
+import { ANALYSIS_SCHEMA } from './form-schemas/analysis.js';
+import { UPLOAD_SCHEMA } from './form-schemas/upload.js';
+import { RECOVERY_SCHEMA } from './form-schemas/recovery.js';
+import { CANVASS_SCHEMA } from './form-schemas/canvass.js';
+import { countOutcomes } from './canvass.js';
+import { getFormTitle } from './occurrence-case.js';
+import { PDF_INFO_KEYS } from './document-integrity.js';
+import { buildRequestCode, hasRequestPage } from './request-code.js';
 
 /**
  * Shared PDF template methods
@@ -94,6 +115,41 @@ const PDF_BASE = {
     ];
   },
 
+  /**
+   * Rows with the DVR-clock and real-world windows when the DVR clock is off
+   * so the technician knows exactly what to pull off the DVR
+   * @param {string} startTime - Entered start
+   * @param {string} endTime - Entered end
+   * @param {string} timePeriodType - 'DVR Time' | 'Actual Time'
+   * @param {string} isTimeDateCorrect - 'Yes' | 'No'
+   * @param {string} timeOffset - Free-text offset
+   * @returns {Array} [label, value] rows, empty when no offset applies
+   */
+  buildWindowRows(startTime, endTime, timePeriodType, isTimeDateCorrect, timeOffset) {
+    if (!startTime || !endTime) return [];
+
+    const offset = getDvrTimeOffset(isTimeDateCorrect, timeOffset);
+    const windows = getExtractionWindows(startTime, endTime, timePeriodType, offset);
+    if (!windows.offsetApplied) return [];
+
+    return [
+      ['DVR Clock Window', formatWindow(windows.dvrWindow)],
+      ['Real-World Window', formatWindow(windows.actualWindow)]
+    ];
+  },
+
+  /**
+   * Warnings from the date/time consistency checks, so the technician sees
+   * what the officer was warned about when they submitted
+   * @param {Object} data - Form data
+   * @param {Date|string} asOf - When the request was submitted (default: now)
+   * @returns {Object|null} Section content or null if there are no warnings
+   */
+  buildTemporalWarningsSection(data, asOf = new Date()) {
+    const warnings = validateTemporalConsistency(data, new Date(asOf)).filter(issue => issue.severity === 'warning');
+    return this.buildStandardSection('Date/Time Warnings', warnings.map(issue => [issue.label, issue.message]));
+  },
+
   /**
    * Build standard section with consistent styling
    * @param {string} title - Section title
@@ -211,13 +267,183 @@ const PDF_BASE = {
   },
 
   /**
-   * Build footer with page numbers
+   * Build bulleted list section
+   * @param {string} title - Section title
+   * @param {string[]} items - List items
+   * @returns {Object|null} Section content or null if empty
+   */
+  buildListSection(title, items) {
+    if (items.length === 0) {
+      return null;
+    }
+
+    return {
+      margin: [0, CONFIG.PDF_LAYOUT.SECTION.TOP_MARGIN, 0, 0],
+      stack: [
+        {
+          text: title,
+          fontSize: CONFIG.PDF_LAYOUT.SECTION.HEADER_FONT_SIZE,
+          bold: true,
+          color: CONFIG.PEEL_COLORS.BLUE,
+          margin: [0, 0, 0, CONFIG.PDF_LAYOUT.SECTION.HEADER_BOTTOM_MARGIN]
+        },
+        {
+          ul: items.map(item => ({
+            text: item,
+            fontSize: CONFIG.PDF_LAYOUT.FONTS.LABEL,
+            margin: [0, 2, 0, 2]
+          }))
+        }
+      ]
+    };
+  },
+
+  /**
+   * Build a section holding a table with a header row
+   * @param {string} title - Section title
+   * @param {string[]} headers - Column headings
+   * @param {Array<string[]>} rows - Cell text
+   * @returns {Object|null} Section content or null if there are no rows
+   */
+  buildTableSection(title, headers, rows) {
+    if (rows.length === 0) {
+      return null;
+    }
+
+    return {
+      margin: [0, CONFIG.PDF_LAYOUT.SECTION.TOP_MARGIN, 0, 0],
+      stack: [
+        {
+          text: title,
+          fontSize: CONFIG.PDF_LAYOUT.SECTION.HEADER_FONT_SIZE,
+          bold: true,
+          color: CONFIG.PEEL_COLORS.BLUE,
+          margin: [0, 0, 0, CONFIG.PDF_LAYOUT.SECTION.HEADER_BOTTOM_MARGIN]
+        },
+        {
+          table: {
+            headerRows: 1,
+            widths: headers.map((header, index) => (index === 0 ? '*' : 'auto')),
+            body: [
+              headers.map(header => ({
+                text: header,
+                fontSize: CONFIG.PDF_LAYOUT.FONTS.LABEL,
+                bold: true,
+                color: '#666666'
+              })),
+              ...rows.map(row => row.map(cell => ({
+                text: cell,
+                fontSize: CONFIG.PDF_LAYOUT.FONTS.VALUE,
+                color: '#000000'
+              })))
+            ]
+          },
+          layout: {
+            hLineWidth: function(i, node) {
+              return (i === node.table.body.length) ? 0 : 0.5;
+            },
+            vLineWidth: function() {
+              return 0;
+            },
+            hLineColor: function() {
+              return '#E0E0E0';
+            },
+            paddingTop: function() {
+              return CONFIG.PDF_LAYOUT.SECTION.ROW_PADDING_TOP;
+            },
+            paddingBottom: function() {
+              return CONFIG.PDF_LAYOUT.SECTION.ROW_PADDING_BOTTOM;
+            }
+          }
+        }
+      ]
+    };
+  },
+
+  /**
+   * Build content for a schema-driven form
+   * Blocks added by extras that are not schema blocks are pdfmake content, added as is
+   * @param {Object} schema - Form schema (see form-schema.js)
+   * @param {Object} data - Form data
+   * @param {Object} options - getPdfSections() options: { asOf, extras }
+   * @returns {Array} Content
+   */
+  buildSchemaContent(schema, data, options = {}) {
+    const content = [...this.buildUnifiedHeader(CONFIG.FORM_TITLES[schema.formType.toUpperCase()])];
+
+    getPdfSections(schema, data, options).forEach(block => {
+      let section;
+      if (block.type === 'text') {
+        section = this.buildTextSection(block.title, block.content);
+      } else if (block.type === 'list') {
+        section = this.buildListSection(block.title, block.items);
+      } else if (block.type === 'fields') {
+        section = this.buildStandardSection(block.title, block.rows);
+      } else if (block.type === 'heading') {
+        section = this.buildEntryHeading(block.text);
+      } else {
+        section = block;
+      }
+      if (section) content.push(section);
+    });
+
+    return content;
+  },
+
+  /**
+   * Build the heading that introduces one of several entries, e.g. "DVR 2"
+   * @param {string} text - Heading text
+   * @returns {Object} Heading content
+   */
+  buildEntryHeading(text) {
+    return {
+      text,
+      fontSize: 14,
+      bold: true,
+      color: 'white',
+      background: CONFIG.PEEL_COLORS.BLUE,
+      margin: [0, 20, 0, 10],
+      alignment: 'center'
+    };
+  },
+
+  /**
+   * Build the banner that reminds the technician to apply a DVR's time offset
+   * @param {string} timeOffset - Free-text offset
+   * @returns {Object} Banner content
+   */
+  buildTimeOffsetBanner(timeOffset) {
+    return {
+      margin: [0, 10, 0, 0],
+      table: {
+        widths: ['*'],
+        body: [[{
+          text: `⚠ TIME OFFSET: ${parseTimeOffset(timeOffset).formatted}`,
+          color: CONFIG.PEEL_COLORS.YELLOW,
+          bold: true,
+          fontSize: CONFIG.PDF_LAYOUT.FONTS.WARNING,
+          margin: [8, 6, 8, 6],
+          alignment: 'center'
+        }]]
+      },
+      layout: {
+        fillColor: CONFIG.PEEL_COLORS.BLUE,
+        hLineWidth: function() { return 0; },
+        vLineWidth: function() { return 0; }
+      }
+    };
+  },
+
+  /**
+   * Build footer with page numbers, and the submission ID and content
+   * hash when the document is a submitted request
    * @param {number} currentPage - Current page number
    * @param {number} pageCount - Total page count
+   * @param {Object|null} integrity - { submissionId, contentHash }
    * @returns {Object} Footer content
    */
-  buildFooter(currentPage, pageCount) {
-    return {
+  buildFooter(currentPage, pageCount, integrity = null) {
+    const footer = {
       columns: [
         {
           text: `Generated: ${new Date().toLocaleString()}`,
@@ -241,6 +467,35 @@ const PDF_BASE = {
       ],
       margin: [40, 0, 40, 0]
     };
+
+    if (!integrity) return footer;
+
+    return {
+      stack: [
+        footer,
+        {
+          text: `Submission ID: ${integrity.submissionId}   SHA-256: ${integrity.contentHash}`,
+          fontSize: CONFIG.PDF_LAYOUT.FONTS.FOOTER,
+          color: '#666666',
+          alignment: 'center',
+          margin: [40, 2, 40, 0]
+        }
+      ]
+    };
+  },
+
+  /**
+   * Build the QR code linking to a request, top right of the first page
+   * @param {Object} request - { submissionId, occNumber, formType }
+   * @returns {Object} QR content
+   */
+  buildRequestCode(request) {
+    return {
+      qr: buildRequestCode(request),
+      fit: CONFIG.PDF_LAYOUT.HEADER.QR_CODE_SIZE,
+      eccLevel: 'M',
+      absolutePosition: { ...CONFIG.PDF_LAYOUT.HEADER.QR_CODE_POSITION }
+    };
   },
 
   /**
@@ -273,442 +528,191 @@ const PDF_BASE = {
 
 /**
  * PDF template definitions for each form type
+ * buildContent(data, asOf) - asOf is when the request was submitted, so
+ * retention and overwrite deadlines read as they did then (default: now)
  */
 export const PDF_TEMPLATES = {
   /**
    * Upload Form Template
+   * Sections and rows come from UPLOAD_SCHEMA, with the submission date, video
+   * duration, clock windows and time offset and retention banners added
    */
   upload: {
-    buildContent(data) {
-      const content = [];
-      
-      // Header
-      content.push(...PDF_BASE.buildUnifiedHeader('Video Evidence Upload Request Form'));
-      
-      // Evidence Information
-      const evidenceInfo = PDF_BASE.buildStandardSection('Evidence Information', [
-        ['Occurrence Number', data.occNumber],
-        ['Evidence Bag #', data.evidenceBag],
-        ['Media Type', data.mediaTypeDisplay || data.mediaType],
-        ['Submission Date', formatDateTime(new Date())]
-      ]);
-      if (evidenceInfo) content.push(evidenceInfo);
-      
-      // Investigator Information
-      const investigatorInfo = PDF_BASE.buildStandardSection('Submitting Investigator', [
-        ['Name', data.rName],
-        ['Badge #', data.badge],
-        ['Phone', data.requestingPhone],
-        ['Email', data.requestingEmail]
-      ]);
-      if (investigatorInfo) content.push(investigatorInfo);
-      
-      // Location & Video Information
-      if (data.locations && data.locations.length > 0) {
-        data.locations.forEach((location, index) => {
-          // Location header for multiple locations
-          if (data.locations.length > 1) {
-            content.push({
-              text: `Location ${index + 1}`,
-              fontSize: 13,
-              bold: true,
-              color: CONFIG.PEEL_COLORS.YELLOW,
-              background: CONFIG.PEEL_COLORS.BLUE,
-              margin: [0, 20, 0, 10],
-              padding: [5, 3, 5, 3]
-            });
-          }
-          
-          // Location details
-          const city = location.city === 'Other' ? location.cityOther : location.city;
-          const locationInfo = PDF_BASE.buildStandardSection('Location Information', [
-            ['Business Name', location.businessName],
-            ['Address', location.locationAddress],
-            ['City', city]
-          ]);
-          if (locationInfo) content.push(locationInfo);
-          
-          // Video timeframe
-          const duration = location.videoStartTime && location.videoEndTime 
-            ? calculateVideoDuration(location.videoStartTime, location.videoEndTime)
-            : null;
-          
-          const timeframeInfo = PDF_BASE.buildStandardSection('Video Timeframe', [
-            ['Start Time', formatDateTime(location.videoStartTime)],
-            ['End Time', formatDateTime(location.videoEndTime)],
-            ['Duration', duration ? duration.formatted : null],
-            ['Time Synchronized', location.isTimeDateCorrect]
-          ]);
-          if (timeframeInfo) content.push(timeframeInfo);
-          
-          // Time offset warning if applicable
-          if (location.isTimeDateCorrect === 'No' && location.timeOffset) {
-            const parsed = parseTimeOffset(location.timeOffset);
-            content.push({
-              margin: [0, 10, 0, 0],
-              table: {
-                widths: ['*'],
-                body: [[{
-                  text: `⚠ TIME OFFSET: ${parsed.formatted}`,
-                  color: CONFIG.PEEL_COLORS.YELLOW,
-                  bold: true,
-                  fontSize: CONFIG.PDF_LAYOUT.FONTS.WARNING,
-                  margin: [8, 6, 8, 6],
-                  alignment: 'center'
-                }]]
-              },
-              layout: {
-                fillColor: CONFIG.PEEL_COLORS.BLUE,
-                hLineWidth: function() { return 0; },
-                vLineWidth: function() { return 0; }
-              }
-            });
-          }
-          
-          // DVR retention warning if applicable
-          if (location.dvrEarliestDate) {
-            const retention = calculateRetentionDays(location.dvrEarliestDate);
-            if (retention.days <= 4) {
-              content.push(PDF_BASE.buildUrgentBanner(retention.message));
+    buildContent(data, asOf = new Date()) {
+      return PDF_BASE.buildSchemaContent(UPLOAD_SCHEMA, data, {
+        asOf,
+        extras: {
+          evidence: () => ({
+            rows: [['Submission Date', formatDateTime(asOf)]]
+          }),
+          videoTimeframe: (location) => {
+            const duration = location.videoStartTime && location.videoEndTime
+              ? calculateVideoDuration(location.videoStartTime, location.videoEndTime)
+              : null;
+            const after = [];
+
+            if (location.isTimeDateCorrect === 'No' && location.timeOffset) {
+              after.push(PDF_BASE.buildTimeOffsetBanner(location.timeOffset));
             }
-          }
-        });
-      }
-      
-      // Additional Information
-      const additionalInfo = PDF_BASE.buildTextSection('Additional Information', data.otherInfo);
-      if (additionalInfo) content.push(additionalInfo);
-      
-      return content;
+            if (location.dvrEarliestDate) {
+              const retention = calculateRetentionDays(location.dvrEarliestDate, asOf);
+              if (retention.days <= 4) after.push(PDF_BASE.buildUrgentBanner(retention.message));
+            }
+
+            return {
+              rows: [
+                ['Duration', duration ? duration.formatted : null],
+                // Uploaded video times are read off the DVR clock
+                ...PDF_BASE.buildWindowRows(location.videoStartTime, location.videoEndTime, 'DVR Time', location.isTimeDateCorrect, location.timeOffset)
+              ],
+              after
+            };
+          },
+          additional: () => ({
+            before: [PDF_BASE.buildTemporalWarningsSection(data, asOf)].filter(Boolean)
+          })
+        }
+      });
     }
   },
 
   /**
    * Analysis Form Template
+   * Sections and rows come from ANALYSIS_SCHEMA
    */
   analysis: {
     buildContent(data) {
-      const content = [];
-      
-      // Header
-      content.push(...PDF_BASE.buildUnifiedHeader('Forensic Analysis Request Form'));
-      
-      // Urgent banner if applicable
-      if (data.jobRequired === 'Urgent') {
-        content.push(PDF_BASE.buildUrgentBanner('URGENT ANALYSIS REQUEST'));
-      }
-      
-      // Case Information
-      const caseInfo = PDF_BASE.buildStandardSection('Case Information', [
-        ['Occurrence Number', data.occNumber],
-        ['Type of Offence', data.offenceTypeDisplay || data.offenceType],
-        ['Job Priority', data.jobRequired]
-      ]);
-      if (caseInfo) content.push(caseInfo);
-      
-      // Evidence Location
-      const evidenceLocation = PDF_BASE.buildStandardSection('Evidence Location', [
-        ['Storage Location', data.videoLocationDisplay || data.videoLocation],
-        ['Bag Number', data.bagNumber],
-        ['Locker Number', data.lockerNumber]
-      ]);
-      if (evidenceLocation) content.push(evidenceLocation);
-      
-      // Investigator Information
-      const investigatorInfo = PDF_BASE.buildStandardSection('Submitting Investigator', [
-        ['Name', data.rName],
-        ['Badge #', data.badge],
-        ['Phone', data.requestingPhone],
-        ['Email', data.requestingEmail]
-      ]);
-      if (investigatorInfo) content.push(investigatorInfo);
-      
-      // Evidence Details
-      const evidenceDetails = PDF_BASE.buildStandardSection('Evidence Details', [
-        ['Video Seized From', data.videoSeizedFrom],
-        ['Business Name', data.businessName],
-        ['City', data.cityDisplay || data.city],
-        ['Recording Date', formatDateTime(data.recordingDate)]
-      ]);
-      if (evidenceDetails) content.push(evidenceDetails);
-      
-      // File Names if provided
-      if (data.fileNames) {
-        const files = data.fileNames.split('\n').filter(f => f.trim());
-        if (files.length > 0) {
-          content.push({
-            margin: [0, CONFIG.PDF_LAYOUT.SECTION.TOP_MARGIN, 0, 0],
-            stack: [
-              {
-                text: 'File Names',
-                fontSize: CONFIG.PDF_LAYOUT.SECTION.HEADER_FONT_SIZE,
-                bold: true,
-                color: CONFIG.PEEL_COLORS.BLUE,
-                margin: [0, 0, 0, CONFIG.PDF_LAYOUT.SECTION.HEADER_BOTTOM_MARGIN]
-              },
-              {
-                ul: files.map(file => ({
-                  text: file.trim(),
-                  fontSize: CONFIG.PDF_LAYOUT.FONTS.LABEL,
-                  margin: [0, 2, 0, 2]
-                }))
-              }
-            ]
-          });
-        }
-      }
-      
-      // Analysis Request
-      const analysisRequest = PDF_BASE.buildStandardSection('Analysis Request', [
-        ['Service Required', data.serviceRequiredDisplay || data.serviceRequired]
-      ]);
-      if (analysisRequest) content.push(analysisRequest);
-      
-      // Request Details
-      const requestDetails = PDF_BASE.buildTextSection('Request Details', data.requestDetails);
-      if (requestDetails) content.push(requestDetails);
-      
-      // Additional Information
-      const additionalInfo = PDF_BASE.buildTextSection('Additional Information', data.additionalInfo);
-      if (additionalInfo) content.push(additionalInfo);
-      
-      return content;
+      return PDF_BASE.buildSchemaContent(ANALYSIS_SCHEMA, data);
     }
   },
 
   /**
-   * Recovery Form Template
+   * Canvass Log Template
+   * One section per address from CANVASS_SCHEMA, then the outcome totals
    */
-  recovery: {
+  canvass: {
     buildContent(data) {
-      const content = [];
-
-      // Header
-      content.push(...PDF_BASE.buildUnifiedHeader('CCTV Recovery Request Form'));
+      const content = PDF_BASE.buildSchemaContent(CANVASS_SCHEMA, data);
+      const addresses = data.addresses || [];
 
-      // Case Information
-      const caseInfo = PDF_BASE.buildStandardSection('Case Information', [
-        ['Occurrence Number', data.occNumber],
-        ['Type of Offence', data.offenceTypeDisplay || data.offenceType]
+      const summary = PDF_BASE.buildStandardSection('Canvass Summary', [
+        ['Addresses Canvassed', String(addresses.length)],
+        ...countOutcomes(addresses).map(([outcome, count]) => [outcome, String(count)])
       ]);
-      if (caseInfo) content.push(caseInfo);
-
-      // Investigator Information
-      const investigatorInfo = PDF_BASE.buildStandardSection('Submitting Investigator Information', [
-        ['Name', data.rName],
-        ['Badge #', data.badge],
-        ['Phone', data.requestingPhone],
-        ['Email', data.requestingEmail]
-      ]);
-      if (investigatorInfo) content.push(investigatorInfo);
-      
-      // Location Information
-      const locationInfo = PDF_BASE.buildStandardSection('Location Information', [
-        ['Business Name', data.businessName],
-        ['Location Address', data.locationAddress],
-        ['City', data.cityDisplay || data.city],
-        ['Location Contact', data.locationContact],
-        ['Contact Phone', data.locationContactPhone]
-      ]);
-      if (locationInfo) content.push(locationInfo);
-
-      // Handle multiple DVR groups
-      if (data.dvrGroups && data.dvrGroups.length > 0) {
-        data.dvrGroups.forEach((dvr, dvrIndex) => {
-          // DVR header for multiple DVRs
-          if (data.dvrGroups.length > 1) {
-            content.push({
-              text: `DVR ${dvrIndex + 1}`,
-              fontSize: 14,
-              bold: true,
-              color: 'white',
-              background: CONFIG.PEEL_COLORS.BLUE,
-              margin: [0, 20, 0, 10],
-              padding: [8, 5, 8, 5],
-              alignment: 'center'
-            });
-          }
-
-          // DVR Information
-          let dvrFields = [
-            ['DVR Make/Model', dvr.dvrMakeModel],
-            ['Time & Date Correct', dvr.isTimeDateCorrect]
-          ];
+      if (summary) content.push(summary);
 
-          // Add time offset if applicable
-          if (dvr.isTimeDateCorrect === 'No' && dvr.timeOffset) {
-            const parsed = parseTimeOffset(dvr.timeOffset);
-            dvrFields.push(['Time Offset', parsed.formatted]);
-          }
-
-          // Add retention info if available
-          if (dvr.dvrRetention) {
-            const retention = calculateRetentionDays(dvr.dvrRetention);
-            dvrFields.push(['DVR Retention', retention.message]);
-
-            // Add urgent banner if retention is low
-            if (retention.days <= 4) {
-              content.push(PDF_BASE.buildUrgentBanner(`DVR ${dvrIndex + 1} DATA AT RISK - ${retention.message}`));
-            }
-          }
-
-          // Add hasVideoMonitor field
-          dvrFields.push(['Video Monitor On-Site', dvr.hasVideoMonitor]);
-
-          const dvrInfoTitle = data.dvrGroups.length > 1
-            ? `DVR ${dvrIndex + 1} Information`
-            : 'DVR Information';
-          const dvrInfo = PDF_BASE.buildStandardSection(dvrInfoTitle, dvrFields);
-          if (dvrInfo) content.push(dvrInfo);
-
-          // Video Extraction Details - handle multiple time frames for this DVR
-          if (dvr.extractionTimeFrames && dvr.extractionTimeFrames.length > 0) {
-            dvr.extractionTimeFrames.forEach((timeFrame, tfIndex) => {
-              const extractionDuration = timeFrame.extractionStartTime && timeFrame.extractionEndTime
-                ? calculateVideoDuration(timeFrame.extractionStartTime, timeFrame.extractionEndTime)
-                : null;
-
-              let sectionTitle;
-              if (data.dvrGroups.length > 1 && dvr.extractionTimeFrames.length > 1) {
-                sectionTitle = `DVR ${dvrIndex + 1} - Video Extraction Details - Time Frame ${tfIndex + 1}`;
-              } else if (data.dvrGroups.length > 1) {
-                sectionTitle = `DVR ${dvrIndex + 1} - Video Extraction Details`;
-              } else if (dvr.extractionTimeFrames.length > 1) {
-                sectionTitle = `Video Extraction Details - Time Frame ${tfIndex + 1}`;
-              } else {
-                sectionTitle = 'Video Extraction Details';
-              }
+      return content;
+    }
+  },
 
-              const extractionDetails = PDF_BASE.buildStandardSection(sectionTitle, [
-                ['Extraction Start Time', formatDateTime(timeFrame.extractionStartTime)],
-                ['Extraction End Time', formatDateTime(timeFrame.extractionEndTime)],
-                ['Time Period Type', timeFrame.timePeriodType],
-                ['Extraction Duration', extractionDuration ? extractionDuration.formatted : null]
-              ]);
-              if (extractionDetails) content.push(extractionDetails);
-
-              // Camera Details for this time frame
-              let cameraTitle;
-              if (data.dvrGroups.length > 1 && dvr.extractionTimeFrames.length > 1) {
-                cameraTitle = `DVR ${dvrIndex + 1} - Camera Details - Time Frame ${tfIndex + 1}`;
-              } else if (data.dvrGroups.length > 1) {
-                cameraTitle = `DVR ${dvrIndex + 1} - Camera Details`;
-              } else if (dvr.extractionTimeFrames.length > 1) {
-                cameraTitle = `Camera Details - Time Frame ${tfIndex + 1}`;
-              } else {
-                cameraTitle = 'Camera Details';
+  /**
+   * Recovery Form Template
+   * Sections and rows come from RECOVERY_SCHEMA, with the retention banner,
+   * storage estimates, clock windows and overwrite deadlines added
+   */
+  recovery: {
+    buildContent(data, asOf = new Date()) {
+      data = withDvrGroups(data);
+      const deadlines = calculateOverwriteDeadlines(data, asOf);
+      const storage = estimateRecoveryStorage(data);
+
+      return PDF_BASE.buildSchemaContent(RECOVERY_SCHEMA, data, {
+        asOf,
+        extras: {
+          dvrInfo: (dvr, { number }) => {
+            const dvrStorage = storage.dvrs[number - 1];
+            const before = [];
+
+            if (dvr.dvrRetention) {
+              const retention = calculateRetentionDays(dvr.dvrRetention, asOf);
+              if (retention.days <= 4) {
+                before.push(PDF_BASE.buildUrgentBanner(`DVR ${number} DATA AT RISK - ${retention.message}`));
               }
+            }
 
-              const cameraDetails = PDF_BASE.buildTextSection(cameraTitle, timeFrame.cameraDetails);
-              if (cameraDetails) content.push(cameraDetails);
-            });
-          }
-
-          // Access Information for this DVR
-          const accessInfoTitle = data.dvrGroups.length > 1
-            ? `DVR ${dvrIndex + 1} Access Information`
-            : 'Access Information';
-          const accessInfo = PDF_BASE.buildStandardSection(accessInfoTitle, [
-            ['DVR Username', dvr.dvrUsername],
-            ['DVR Password', dvr.dvrPassword]
-          ]);
-          if (accessInfo) content.push(accessInfo);
-        });
-      } else {
-        // Fallback for old data format (single DVR, single/multiple time frames)
-        let dvrFields = [
-          ['DVR Make/Model', data.dvrMakeModel],
-          ['Time & Date Correct', data.isTimeDateCorrect]
-        ];
-
-        if (data.isTimeDateCorrect === 'No' && data.timeOffset) {
-          const parsed = parseTimeOffset(data.timeOffset);
-          dvrFields.push(['Time Offset', parsed.formatted]);
-        }
-
-        if (data.dvrRetention) {
-          const retention = calculateRetentionDays(data.dvrRetention);
-          dvrFields.push(['DVR Retention', retention.message]);
-
-          if (retention.days <= 4) {
-            content.push(PDF_BASE.buildUrgentBanner(`DVR DATA AT RISK - ${retention.message}`));
-          }
-        }
-
-        dvrFields.push(['Video Monitor On-Site', data.hasVideoMonitor]);
-
-        const dvrInfo = PDF_BASE.buildStandardSection('DVR Information', dvrFields);
-        if (dvrInfo) content.push(dvrInfo);
-
-        if (data.extractionTimeFrames && data.extractionTimeFrames.length > 0) {
-          data.extractionTimeFrames.forEach((timeFrame, index) => {
-            const extractionDuration = timeFrame.extractionStartTime && timeFrame.extractionEndTime
+            return {
+              before,
+              rows: [
+                ['Recording Quality', dvr.recordingProfile ? dvrStorage.profile.text : `${dvrStorage.profile.text} (assumed)`],
+                ['Estimated Storage', dvrStorage.gigabytes > 0 ? formatStorageSize(dvrStorage.gigabytes) : null]
+              ]
+            };
+          },
+          extractionTimeFrames: (timeFrame, { number, parents }) => {
+            const [dvrScope] = parents;
+            const dvr = dvrScope.data;
+            const duration = timeFrame.extractionStartTime && timeFrame.extractionEndTime
               ? calculateVideoDuration(timeFrame.extractionStartTime, timeFrame.extractionEndTime)
               : null;
-
-            const sectionTitle = data.extractionTimeFrames.length > 1
-              ? `Video Extraction Details - Time Frame ${index + 1}`
-              : 'Video Extraction Details';
-
-            const extractionDetails = PDF_BASE.buildStandardSection(sectionTitle, [
-              ['Extraction Start Time', formatDateTime(timeFrame.extractionStartTime)],
-              ['Extraction End Time', formatDateTime(timeFrame.extractionEndTime)],
-              ['Time Period Type', timeFrame.timePeriodType],
-              ['Extraction Duration', extractionDuration ? extractionDuration.formatted : null]
-            ]);
-            if (extractionDetails) content.push(extractionDetails);
-
-            const cameraDetails = PDF_BASE.buildTextSection(
-              data.extractionTimeFrames.length > 1 ? `Camera Details - Time Frame ${index + 1}` : 'Camera Details',
-              timeFrame.cameraDetails
-            );
-            if (cameraDetails) content.push(cameraDetails);
-          });
-        } else {
-          const extractionDuration = data.extractionStartTime && data.extractionEndTime
-            ? calculateVideoDuration(data.extractionStartTime, data.extractionEndTime)
-            : null;
-
-          const extractionDetails = PDF_BASE.buildStandardSection('Video Extraction Details', [
-            ['Extraction Start Time', formatDateTime(data.extractionStartTime)],
-            ['Extraction End Time', formatDateTime(data.extractionEndTime)],
-            ['Time Period Type', data.timePeriodType],
-            ['Extraction Duration', extractionDuration ? extractionDuration.formatted : null]
-          ]);
-          if (extractionDetails) content.push(extractionDetails);
-
-          const cameraDetails = PDF_BASE.buildTextSection('Camera Details', data.cameraDetails);
-          if (cameraDetails) content.push(cameraDetails);
+            const deadline = deadlines.find(item => item.dvrIndex === dvrScope.number - 1 && item.timeframeIndex === number - 1);
+
+            return {
+              rows: [
+                ['Extraction Duration', duration ? duration.formatted : null],
+                ...PDF_BASE.buildWindowRows(timeFrame.extractionStartTime, timeFrame.extractionEndTime, timeFrame.timePeriodType, dvr.isTimeDateCorrect, dvr.timeOffset),
+                ['Overwrite Deadline', deadline
+                  ? `${formatDateTime(deadline.deadline)} (${formatOverwriteCountdown(deadline.deadline).text})`
+                  : null]
+              ]
+            };
+          },
+          // Storage to bring for the whole recovery and the date/time warnings follow the DVRs
+          incident: () => ({
+            before: [
+              storage.recommendation
+                ? PDF_BASE.buildStandardSection('Storage Estimate', [
+                  ['Estimated Total', formatStorageSize(storage.gigabytes)],
+                  ['Recommended Media', storage.recommendation.text]
+                ])
+                : null,
+              PDF_BASE.buildTemporalWarningsSection(data, asOf)
+            ].filter(Boolean)
+          })
         }
-
-        const accessInfo = PDF_BASE.buildStandardSection('Access Information', [
-          ['DVR Username', data.dvrUsername],
-          ['DVR Password', data.dvrPassword]
-        ]);
-        if (accessInfo) content.push(accessInfo);
-      }
-
-      // Incident Description
-      const incidentDesc = PDF_BASE.buildTextSection('Incident Description', data.incidentDescription);
-      if (incidentDesc) content.push(incidentDesc);
-      
-      return content;
+      });
     }
   }
 };
 
 /**
- * Generate document definition for PDFMake
- * @param {Object} formData - Form data
- * @param {string} formType - Form type
- * @returns {Object} Document definition
+ * Recovery data saved before multiple DVRs kept the DVR, and possibly a
+ * single time frame, at the top level - move them into one DVR entry
+ * @param {Object} data - Recovery form data
+ * @returns {Object} Data with dvrGroups
  */
-export function buildDocumentDefinition(formData, formType) {
-  const template = PDF_TEMPLATES[formType];
-  if (!template) {
-    throw new Error(`No PDF template found for form type: ${formType}`);
-  }
-  
+function withDvrGroups(data) {
+  if (data.dvrGroups) return data;
+
+  const extractionTimeFrames = data.extractionTimeFrames || [{
+    extractionStartTime: data.extractionStartTime,
+    extractionEndTime: data.extractionEndTime,
+    timePeriodType: data.timePeriodType,
+    cameraDetails: data.cameraDetails
+  }];
+
+  return {
+    ...data,
+    dvrGroups: [{
+      dvrMakeModel: data.dvrMakeModel,
+      isTimeDateCorrect: data.isTimeDateCorrect,
+      timeOffset: data.timeOffset,
+      dvrRetention: data.dvrRetention,
+      hasVideoMonitor: data.hasVideoMonitor,
+      recordingProfile: data.recordingProfile,
+      extractionTimeFrames,
+      dvrUsername: data.dvrUsername,
+      dvrPassword: data.dvrPassword
+    }]
+  };
+}
+
+/**
+ * Page layout, metadata, footer and default style shared by every document
+ * @param {string} title - Document title for the PDF metadata
+ * @param {Object|null} integrity - { submissionId, contentHash } for a submitted request
+ * @returns {Object} Document definition without content
+ */
+function buildDocumentSettings(title, integrity = null) {
   return {
     pageSize: CONFIG.PDF_LAYOUT.PAGE_SIZE,
     pageMargins: [
@@ -720,22 +724,25 @@ export function buildDocumentDefinition(formData, formType) {
 
     // Document metadata
     info: {
-      title: `${CONFIG.FORM_TITLES[formType.toUpperCase()]} - ${formData.occNumber || 'No Occurrence #'}`,
+      title,
       author: CONFIG.PDF_CONFIG?.METADATA?.author || 'Peel Regional Police - Forensic Video Unit',
       subject: CONFIG.PDF_CONFIG?.METADATA?.subject || 'Evidence Request',
       keywords: CONFIG.PDF_CONFIG?.METADATA?.keywords || 'forensic, video, evidence',
       creator: 'FVU Request System',
-      producer: 'FVU Request System'
+      producer: 'FVU Request System',
+
+      // Read back by the verification page (document-integrity.js)
+      ...(integrity && {
+        [PDF_INFO_KEYS.SUBMISSION_ID]: integrity.submissionId,
+        [PDF_INFO_KEYS.CONTENT_HASH]: integrity.contentHash
+      })
     },
-    
-    // Main content
-    content: template.buildContent(formData),
-    
+
     // Page footer
     footer: function(currentPage, pageCount) {
-      return PDF_BASE.buildFooter(currentPage, pageCount);
+      return PDF_BASE.buildFooter(currentPage, pageCount, integrity);
     },
-    
+
     // Default styles
     defaultStyle: {
       font: 'Roboto',
@@ -743,4 +750,229 @@ export function buildDocumentDefinition(formData, formType) {
       lineHeight: 1.3
     }
   };
-}
\ No newline at end of file
+}
+
+/**
+ * Generate document definition for PDFMake
+ * @param {Object} formData - Form data
+ * @param {string} formType - Form type
+ * @param {Object|null} integrity - { submissionId, contentHash } for a submitted request
+ * @returns {Object} Document definition
+ */
+export function buildDocumentDefinition(formData, formType, integrity = null) {
+  const template = PDF_TEMPLATES[formType];
+  if (!template) {
+    throw new Error(`No PDF template found for form type: ${formType}`);
+  }
+
+  return {
+    ...buildDocumentSettings(`${CONFIG.FORM_TITLES[formType.toUpperCase()]} - ${formData.occNumber || 'No Occurrence #'}`, integrity),
+
+    // Main content, with the request code (when it has a page to open) over the header
+    content: [
+      ...(hasRequestPage()
+        ? [PDF_BASE.buildRequestCode({ submissionId: integrity?.submissionId, occNumber: formData.occNumber, formType })]
+        : []),
+      ...template.buildContent(formData)
+    ]
+  };
+}
+
+/**
+ * Generate the case packet for an occurrence: a summary with the combined
+ * video timeline and locations, a table of contents, then each request's
+ * own PDF content starting on a new page
+ * @param {Object} occurrenceCase - From buildOccurrenceCase()
+ * @returns {Object} Document definition
+ */
+export function buildCasePacketDefinition(occurrenceCase) {
+  const { occNumber, status, statusCounts, analysts, requests, timeline, locations } = occurrenceCase;
+  // Not submission-workflow.js - the PHP build leaves that out, and the forms load this file
+  const statusLabel = (key) => CONFIG.SUBMISSION_STATUSES[key] || key;
+
+  const content = [...PDF_BASE.buildUnifiedHeader(CONFIG.FORM_TITLES.CASE_PACKET)];
+
+  const summary = PDF_BASE.buildStandardSection('Case Summary', [
+    ['Occurrence Number', occNumber],
+    ['Overall Status', statusLabel(status)],
+    ['Requests', `${requests.length} (${Object.entries(statusCounts)
+      .map(([key, count]) => `${count} ${statusLabel(key)}`).join(', ')})`],
+    ['Analysts', analysts.join(', ') || 'Unassigned'],
+    ['Packet Generated', formatDateTime(new Date())]
+  ]);
+  if (summary) content.push(summary);
+
+  content.push({
+    toc: {
+      title: {
+        text: 'Contents',
+        fontSize: CONFIG.PDF_LAYOUT.SECTION.HEADER_FONT_SIZE,
+        bold: true,
+        color: CONFIG.PEEL_COLORS.BLUE,
+        margin: [0, CONFIG.PDF_LAYOUT.SECTION.TOP_MARGIN, 0, CONFIG.PDF_LAYOUT.SECTION.HEADER_BOTTOM_MARGIN]
+      }
+    }
+  });
+
+  // All windows in real time, so footage from different DVRs lines up
+  const timelineSection = PDF_BASE.buildStandardSection('Video Timeline (Real Time)', timeline.map(window => [
+    window.place ? `${window.label}\n${window.place}` : window.label,
+    formatWindow(window)
+  ]));
+  if (timelineSection) content.push(timelineSection);
+
+  const locationSection = PDF_BASE.buildListSection('Locations', locations.map(location =>
+    `${[location.businessName, location.locationAddress, location.city].filter(Boolean).join(', ')} (${location.sources.join(', ')})`));
+  if (locationSection) content.push(locationSection);
+
+  requests.forEach((request, index) => {
+    const template = PDF_TEMPLATES[request.form_type];
+
+    content.push({
+      text: `${index + 1}. ${getFormTitle(request.form_type)} - submitted ${formatDateTime(request.submitted_at)} (${statusLabel(request.status)})`,
+      tocItem: true,
+      pageBreak: 'before',
+      fontSize: CONFIG.PDF_LAYOUT.FONTS.LABEL,
+      bold: true,
+      color: '#666666',
+      margin: [0, 0, 0, 5]
+    });
+
+    // Printed like the submitted PDF's footer, to check against the stored copy
+    if (request.content_hash) {
+      content.push({
+        text: `Submission ID: ${request.id}   SHA-256: ${request.content_hash}`,
+        fontSize: CONFIG.PDF_LAYOUT.FONTS.FOOTER,
+        color: '#666666',
+        margin: [0, 0, 0, 5]
+      });
+    }
+
+    content.push(...(template
+      ? template.buildContent(request.form_data || {}, request.submitted_at)
+      : [{ text: 'No PDF layout for this request type - see the dashboard for its details.', italics: true }]));
+  });
+
+  return {
+    ...buildDocumentSettings(`${CONFIG.FORM_TITLES.CASE_PACKET} - ${occNumber}`),
+    content
+  };
+}
+
+/**
+ * Generate the workload report for a date range
+ * @param {Array<Object>} tables - From getWorkloadReportTables() ({ title, headers, rows })
+ * @param {Object} period - { from, to } local dates
+ * @returns {Object} Document definition
+ */
+export function buildWorkloadReportDefinition(tables, period) {
+  const content = [...PDF_BASE.buildUnifiedHeader(CONFIG.FORM_TITLES.WORKLOAD_REPORT)];
+
+  tables.forEach(table => {
+    const section = PDF_BASE.buildTableSection(table.title, table.headers, table.rows);
+    if (section) content.push(section);
+  });
+
+  return {
+    ...buildDocumentSettings(`${CONFIG.FORM_TITLES.WORKLOAD_REPORT} - ${period.from} to ${period.to}`),
+    content
+  };
+}
+
+// Gap between a label's edge and its content, in points
+const LABEL_PADDING = 8;
+
+/**
+ * Build one evidence label: QR code on the left, details on the right
+ * (details only when the label has no code)
+ * Empty details get a line to write on
+ * @param {Object} label - { occNumber, evidenceBag, lockerNumber, mediaType, caption, code }
+ * @param {Object} layout - From CONFIG.EVIDENCE_LABELS.LAYOUTS
+ * @returns {Object} Label content (without position)
+ */
+function buildEvidenceLabel(label, layout) {
+  const qrSize = Math.min(layout.height - LABEL_PADDING * 2, 120);
+  const detail = (name, value) => ({
+    text: [{ text: `${name}: `, bold: true }, value || '________________'],
+    fontSize: CONFIG.PDF_LAYOUT.FONTS.LABEL,
+    margin: [0, 2, 0, 0]
+  });
+
+  const details = {
+    stack: [
+      { text: label.occNumber, bold: true, fontSize: CONFIG.PDF_LAYOUT.FONTS.URGENT, color: CONFIG.PEEL_COLORS.BLUE },
+      { text: label.caption || '', fontSize: CONFIG.PDF_LAYOUT.FONTS.FOOTER, color: '#666666', margin: [0, 0, 0, 2] },
+      detail('Bag #', label.evidenceBag),
+      detail('Locker #', label.lockerNumber),
+      detail('Media', label.mediaType)
+    ]
+  };
+
+  return {
+    table: label.code
+      ? {
+        widths: [qrSize, layout.width - qrSize - LABEL_PADDING * 3],
+        body: [[{ qr: label.code, fit: qrSize, eccLevel: 'M' }, details]]
+      }
+      : {
+        widths: [layout.width - LABEL_PADDING * 2],
+        body: [[details]]
+      },
+    layout: {
+      hLineWidth: () => 0,
+      vLineWidth: () => 0,
+      paddingLeft: () => 0,
+      paddingRight: () => LABEL_PADDING,
+      paddingTop: () => 0,
+      paddingBottom: () => 0
+    }
+  };
+}
+
+/**
+ * Generate a sheet of adhesive evidence labels
+ * Each label is placed absolutely in its slot, filling across then down,
+ * so the sheet lines up with the printed template
+ * @param {Array<Object>} labels - One entry per label to print (see buildEvidenceLabel)
+ * @param {string} layoutKey - Key of CONFIG.EVIDENCE_LABELS.LAYOUTS
+ * @param {number} startPosition - First free slot on the first sheet (1-based), for part-used sheets
+ * @returns {Object} Document definition
+ */
+export function buildEvidenceLabelsDefinition(labels, layoutKey = CONFIG.EVIDENCE_LABELS.DEFAULT_LAYOUT, startPosition = 1) {
+  const layout = CONFIG.EVIDENCE_LABELS.LAYOUTS[layoutKey];
+  if (!layout) {
+    throw new Error(`Unknown label layout: ${layoutKey}`);
+  }
+
+  const perSheet = layout.columns * layout.rows;
+  const content = [];
+
+  labels.forEach((label, index) => {
+    const slot = index + Math.min(Math.max(startPosition, 1), perSheet) - 1;
+    const position = slot % perSheet;
+
+    // New sheet - an empty flow node moves absolute content to the next page
+    if (position === 0 && slot > 0) {
+      content.push({ text: '', pageBreak: 'before' });
+    }
+
+    const column = position % layout.columns;
+    const row = Math.floor(position / layout.columns);
+
+    content.push({
+      ...buildEvidenceLabel(label, layout),
+      absolutePosition: {
+        x: layout.left + column * (layout.width + layout.columnGap) + LABEL_PADDING,
+        y: layout.top + row * (layout.height + layout.rowGap) + LABEL_PADDING
+      }
+    });
+  });
+
+  return {
+    ...buildDocumentSettings(`Evidence Labels - ${labels[0]?.occNumber || 'No Occurrence #'}`),
+    pageSize: layout.pageSize,
+    pageMargins: [0, 0, 0, 0],
+    footer: undefined,
+    content
+  };
+}
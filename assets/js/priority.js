@@ -0,0 +1,76 @@
+/**
+ * Request Priority
+ * Scores a submission from the urgency signals captured in the forms:
+ * DVR retention, analysis service and number of DVRs/locations
+ * Pure - scored by submitWithRetry() before any target is sent to, and
+ * stored on form_submissions
+ */
+
+import { CONFIG } from './config.js';
+import { calculateRetentionDays, getDvrEarliestDates } from './calculations.js';
+
+/**
+ * Calculate a request's priority
+ * @param {Object} formData - Collected form data
+ * @param {Date|string} submittedAt - When the request was submitted (retention is measured from here)
+ * @returns {{ score: number, level: string, icon: string, reasons: string[] }}
+ */
+export function calculatePriority(formData, submittedAt = new Date()) {
+  const weights = CONFIG.PRIORITY.WEIGHTS;
+  const reasons = [];
+  let score = 0;
+
+  // Shortest DVR retention - one urgent DVR makes the whole request urgent
+  const retention = getDvrEarliestDates(formData)
+    .map(date => calculateRetentionDays(date, submittedAt))
+    .filter(result => result.days !== null)
+    .sort((a, b) => a.days - b.days)[0];
+
+  if (retention?.isUrgent) {
+    score += weights.URGENT_RETENTION;
+    reasons.push(retention.message);
+  }
+
+  if (formData.serviceRequired === 'Make Playable') {
+    score += weights.MAKE_PLAYABLE;
+    reasons.push('Make Playable requested');
+  }
+
+  // More DVRs or locations means more work before footage is lost
+  const sources = formData.dvrGroups?.length || formData.locations?.length || 0;
+  if (sources > 1) {
+    score += Math.min((sources - 1) * weights.EXTRA_SOURCE, weights.MAX_EXTRA_SOURCES);
+    reasons.push(formData.dvrGroups?.length ? `${sources} DVRs` : `${sources} locations`);
+  }
+
+  return { score, ...getPriorityLevel(score), reasons };
+}
+
+/**
+ * Get the level for a priority score
+ * @param {number} score - Priority score
+ * @returns {{ level: string, icon: string }}
+ */
+export function getPriorityLevel(score) {
+  const { level, icon } = CONFIG.PRIORITY.LEVELS.find(item => score >= item.min)
+    || CONFIG.PRIORITY.LEVELS[CONFIG.PRIORITY.LEVELS.length - 1];
+  return { level, icon };
+}
+
+/**
+ * Get a stored submission's priority
+ * Rows submitted before priority was stored are scored from form_data
+ * @param {Object} submission - form_submissions row
+ * @returns {{ score: number, level: string, icon: string, reasons: string[] }}
+ */
+export function getSubmissionPriority(submission) {
+  if (submission.priority_score === null || submission.priority_score === undefined) {
+    return calculatePriority(submission.form_data || {}, submission.submitted_at);
+  }
+
+  return {
+    score: submission.priority_score,
+    ...getPriorityLevel(submission.priority_score),
+    reasons: submission.priority_reasons || []
+  };
+}
@@ -6,6 +6,8 @@
  */
 
 import { CONFIG } from './config.js';
+import { initOutbox, replayOutbox } from './outbox.js';
+import { checkDeadlineReminders } from './deadline-reminders.js';
 
 // Guard against double initialization
 let pwaInitialized = false;
@@ -358,6 +360,11 @@ export function setupOnlineStatus() {
   window.addEventListener('online', updateStatus);
   window.addEventListener('offline', updateStatus);
 
+  // Back online - send anything queued while offline
+  if (CONFIG.OUTBOX.ENABLED) {
+    window.addEventListener('online', () => replayOutbox());
+  }
+
   // Initial check
   updateStatus();
 }
@@ -454,6 +461,8 @@ export function initPWA() {
   registerServiceWorker();
   setupInstallPrompt();
   setupOnlineStatus();
+  initOutbox();
+  checkDeadlineReminders();
   showIOSInstallInstructions();
 
   // Log installation status
@@ -0,0 +1,71 @@
+/**
+ * Request Code
+ * Text of the QR code printed on request PDFs and evidence labels
+ *
+ * The code is a link to the request in My Requests, carrying the
+ * submission ID, occurrence number and form type. Scanning it with a phone
+ * camera opens the tracker; a scan into the dashboard search opens the
+ * request there
+ *
+ * My Requests reads from Supabase, so the code is only printed when
+ * Supabase is a submission target - the PHP build deploys neither
+ */
+
+import { CONFIG } from './config.js';
+import { isSubmissionId } from './document-integrity.js';
+import { getSubmissionTargets } from './utils.js';
+
+/**
+ * Check whether request codes lead anywhere in this deployment
+ * @returns {boolean} True when submissions are stored in Supabase
+ */
+export function hasRequestPage() {
+  return getSubmissionTargets().includes('supabase');
+}
+
+/**
+ * Build the QR code text for a request
+ * @param {Object} request - { submissionId, occNumber, formType }
+ * @param {string} baseUrl - Page the link is resolved against (default: this page)
+ * @returns {string} Absolute URL
+ */
+export function buildRequestCode({ submissionId, occNumber, formType }, baseUrl = window.location.href) {
+  const { PAGE, PARAMS } = CONFIG.REQUEST_CODE;
+  const url = new URL(PAGE, baseUrl);
+
+  if (submissionId) url.searchParams.set(PARAMS.SUBMISSION_ID, submissionId);
+  if (occNumber) url.searchParams.set(PARAMS.OCC_NUMBER, occNumber);
+  if (formType) url.searchParams.set(PARAMS.FORM_TYPE, formType);
+
+  return url.href;
+}
+
+/**
+ * Read a scanned request code
+ * Any host is accepted, so codes printed by another deployment still open
+ * @param {string} text - Scanned text
+ * @returns {Object|null} { submissionId, occNumber, formType }, or null when the text is not a request code
+ */
+export function parseRequestCode(text) {
+  const { PAGE, PARAMS } = CONFIG.REQUEST_CODE;
+
+  let url;
+  try {
+    url = new URL(String(text).trim());
+  } catch (error) {
+    return null;
+  }
+
+  if (!url.pathname.endsWith(`/${PAGE}`)) return null;
+
+  const submissionId = url.searchParams.get(PARAMS.SUBMISSION_ID);
+  const occNumber = url.searchParams.get(PARAMS.OCC_NUMBER)?.trim() || null;
+
+  if (!isSubmissionId(submissionId) && !occNumber) return null;
+
+  return {
+    submissionId: isSubmissionId(submissionId) ? submissionId : null,
+    occNumber,
+    formType: url.searchParams.get(PARAMS.FORM_TYPE) || null
+  };
+}
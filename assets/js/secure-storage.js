@@ -0,0 +1,388 @@
+/**
+ * Secure Storage
+ * Opt-in encryption at rest for drafts, officer info and queued outbox
+ * submissions using Web Crypto (PBKDF2-derived AES-GCM key from a user
+ * passphrase)
+ *
+ * Reads stay synchronous: on unlock every encrypted value is decrypted into
+ * an in-memory cache, and writes update the cache immediately while the
+ * ciphertext is written to localStorage in the background.
+ *
+ * @module secure-storage
+ */
+
+import { CONFIG } from './config.js';
+
+// Marker identifying an encrypted envelope in localStorage
+const ENVELOPE_MARKER = 'fvuEnc';
+
+// Known plaintext used to check a passphrase without touching real data
+const VERIFIER_TEXT = 'fvu-secure-storage';
+
+// Session state - never persisted
+let sessionKey = null;
+let relockTimer = null;
+const plaintextCache = new Map();
+
+// Pending background writes, with a per-key sequence so a slow
+// write can't overwrite a newer one
+const pendingWrites = new Set();
+const writeSequence = new Map();
+
+// ===== ENCODING HELPERS =====
+
+/**
+ * Encode bytes as base64
+ * @param {ArrayBuffer|Uint8Array} bytes
+ * @returns {string}
+ */
+function toBase64(bytes) {
+  let binary = '';
+  new Uint8Array(bytes).forEach(byte => {
+    binary += String.fromCharCode(byte);
+  });
+  return btoa(binary);
+}
+
+/**
+ * Decode base64 to bytes
+ * @param {string} base64
+ * @returns {Uint8Array}
+ */
+function fromBase64(base64) {
+  return Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+}
+
+/**
+ * Check whether a stored value is an encrypted envelope
+ * @param {string|null} value - Raw localStorage value
+ * @returns {boolean}
+ */
+function isEnvelope(value) {
+  return typeof value === 'string' && value.startsWith(`{"${ENVELOPE_MARKER}"`);
+}
+
+/**
+ * Check whether a key holds sensitive data
+ * @param {string} key - localStorage key
+ * @returns {boolean}
+ */
+function isProtectedKey(key) {
+  return CONFIG.SECURE_STORAGE.PROTECTED_PREFIXES.some(prefix => key.startsWith(prefix));
+}
+
+/**
+ * Get all localStorage keys
+ * @returns {string[]} Keys
+ */
+function getStorageKeys() {
+  const keys = [];
+  for (let i = 0; i < localStorage.length; i++) {
+    const key = localStorage.key(i);
+    if (key !== null) keys.push(key);
+  }
+  return keys;
+}
+
+// ===== CRYPTO =====
+
+/**
+ * Derive an AES-GCM key from a passphrase
+ * @param {string} passphrase - User passphrase
+ * @param {Uint8Array} salt - Random salt
+ * @param {number} iterations - PBKDF2 iterations
+ * @returns {Promise<CryptoKey>} Non-extractable AES-GCM key
+ */
+async function deriveKey(passphrase, salt, iterations) {
+  const baseKey = await crypto.subtle.importKey(
+    'raw',
+    new TextEncoder().encode(passphrase),
+    'PBKDF2',
+    false,
+    ['deriveKey']
+  );
+
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+    baseKey,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+}
+
+/**
+ * Encrypt a string into an envelope
+ * @param {CryptoKey} key - AES-GCM key
+ * @param {string} plaintext - Value to encrypt
+ * @returns {Promise<string>} JSON envelope
+ */
+async function encrypt(key, plaintext) {
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const ciphertext = await crypto.subtle.encrypt(
+    { name: 'AES-GCM', iv },
+    key,
+    new TextEncoder().encode(plaintext)
+  );
+
+  return JSON.stringify({
+    [ENVELOPE_MARKER]: 1,
+    iv: toBase64(iv),
+    data: toBase64(ciphertext)
+  });
+}
+
+/**
+ * Decrypt an envelope
+ * @param {CryptoKey} key - AES-GCM key
+ * @param {string} envelope - JSON envelope
+ * @returns {Promise<string>} Plaintext (rejects if the key is wrong or data was tampered with)
+ */
+async function decrypt(key, envelope) {
+  const { iv, data } = JSON.parse(envelope);
+  const plaintext = await crypto.subtle.decrypt(
+    { name: 'AES-GCM', iv: fromBase64(iv) },
+    key,
+    fromBase64(data)
+  );
+  return new TextDecoder().decode(plaintext);
+}
+
+// ===== SESSION =====
+
+/**
+ * Check if the user has turned on encryption
+ * @returns {boolean}
+ */
+export function isEncryptionEnabled() {
+  return CONFIG.SECURE_STORAGE.ENABLED && localStorage.getItem(CONFIG.SECURE_STORAGE.META_KEY) !== null;
+}
+
+/**
+ * Check if encrypted data is currently unreadable
+ * @returns {boolean} True if encryption is on and no passphrase has been entered
+ */
+export function isStorageLocked() {
+  return isEncryptionEnabled() && sessionKey === null;
+}
+
+/**
+ * Start the session with a derived key: decrypt everything into the cache,
+ * encrypt any leftover plaintext, and schedule the re-lock
+ * @param {CryptoKey} cryptoKey - Derived key
+ */
+async function startSession(cryptoKey) {
+  sessionKey = cryptoKey;
+  plaintextCache.clear();
+
+  for (const key of getStorageKeys()) {
+    if (!isProtectedKey(key)) continue;
+
+    const value = localStorage.getItem(key);
+
+    if (isEnvelope(value)) {
+      try {
+        plaintextCache.set(key, await decrypt(cryptoKey, value));
+      } catch (error) {
+        console.error('[SecureStorage] Could not decrypt', key, error);
+      }
+    } else if (value !== null) {
+      // Migrate plaintext written before encryption was enabled
+      setSecureItem(key, value);
+    }
+  }
+
+  await flushSecureWrites();
+
+  clearTimeout(relockTimer);
+  relockTimer = setTimeout(lockStorage, CONFIG.SESSION_TIMEOUT_MINUTES * 60 * 1000);
+
+  window.dispatchEvent(new CustomEvent('secureStorageChange', { detail: { locked: false } }));
+}
+
+/**
+ * Turn on encryption with a new passphrase
+ * Existing plaintext drafts and officer info are encrypted immediately
+ * @param {string} passphrase - New passphrase
+ * @returns {Promise<void>}
+ */
+export async function enableEncryption(passphrase) {
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const iterations = CONFIG.SECURE_STORAGE.PBKDF2_ITERATIONS;
+  const key = await deriveKey(passphrase, salt, iterations);
+
+  localStorage.setItem(CONFIG.SECURE_STORAGE.META_KEY, JSON.stringify({
+    version: 1,
+    salt: toBase64(salt),
+    iterations,
+    verifier: await encrypt(key, VERIFIER_TEXT)
+  }));
+
+  await startSession(key);
+}
+
+/**
+ * Unlock encrypted storage
+ * @param {string} passphrase - Passphrase to try
+ * @returns {Promise<boolean>} True if the passphrase was correct
+ */
+export async function unlockStorage(passphrase) {
+  const meta = JSON.parse(localStorage.getItem(CONFIG.SECURE_STORAGE.META_KEY) || 'null');
+  if (!meta) return false;
+
+  const key = await deriveKey(passphrase, fromBase64(meta.salt), meta.iterations);
+
+  try {
+    if (await decrypt(key, meta.verifier) !== VERIFIER_TEXT) {
+      return false;
+    }
+  } catch (error) {
+    // AES-GCM authentication fails with the wrong key
+    return false;
+  }
+
+  await startSession(key);
+  return true;
+}
+
+/**
+ * Forget the key and decrypted data
+ */
+export function lockStorage() {
+  clearTimeout(relockTimer);
+  relockTimer = null;
+
+  if (sessionKey === null) return;
+
+  sessionKey = null;
+  plaintextCache.clear();
+  window.dispatchEvent(new CustomEvent('secureStorageChange', { detail: { locked: true } }));
+}
+
+/**
+ * Erase all encrypted data and turn encryption off
+ * Used when the passphrase has been forgotten
+ */
+export function resetEncryptedStorage() {
+  getStorageKeys().forEach(key => {
+    if (isProtectedKey(key) && isEnvelope(localStorage.getItem(key))) {
+      localStorage.removeItem(key);
+    }
+  });
+
+  localStorage.removeItem(CONFIG.SECURE_STORAGE.META_KEY);
+  lockStorage();
+  plaintextCache.clear();
+}
+
+/**
+ * Wait for background encrypted writes to finish
+ * @returns {Promise<void>}
+ */
+export async function flushSecureWrites() {
+  await Promise.all([...pendingWrites]);
+}
+
+// ===== STORAGE WRAPPERS =====
+
+/**
+ * Read a value, decrypting transparently
+ * @param {string} key - localStorage key
+ * @returns {string|null} Plaintext, or null if missing or locked
+ */
+export function getSecureItem(key) {
+  const value = localStorage.getItem(key);
+
+  if (!isEnvelope(value)) {
+    // Plaintext (encryption off, or not yet migrated)
+    if (value !== null && sessionKey && isProtectedKey(key)) {
+      setSecureItem(key, value);
+    }
+    return value;
+  }
+
+  return plaintextCache.get(key) ?? null;
+}
+
+/**
+ * Write a value, encrypting it when encryption is enabled
+ * @param {string} key - localStorage key
+ * @param {string} value - Plaintext value
+ * @returns {boolean} False if storage is locked (nothing written)
+ */
+export function setSecureItem(key, value) {
+  if (!isEncryptionEnabled() || !isProtectedKey(key)) {
+    localStorage.setItem(key, value);
+    return true;
+  }
+
+  // Never fall back to plaintext once encryption is on
+  if (!sessionKey) {
+    return false;
+  }
+
+  plaintextCache.set(key, value);
+
+  const sequence = (writeSequence.get(key) || 0) + 1;
+  writeSequence.set(key, sequence);
+
+  const write = encrypt(sessionKey, value)
+    .then(envelope => {
+      if (writeSequence.get(key) === sequence) {
+        localStorage.setItem(key, envelope);
+      }
+    })
+    .catch(error => console.error('[SecureStorage] Encrypt failed:', error))
+    .finally(() => pendingWrites.delete(write));
+
+  pendingWrites.add(write);
+  return true;
+}
+
+/**
+ * Remove a value and any cached plaintext
+ * @param {string} key - localStorage key
+ */
+export function removeSecureItem(key) {
+  // Invalidate any in-flight write for this key
+  writeSequence.set(key, (writeSequence.get(key) || 0) + 1);
+  plaintextCache.delete(key);
+  localStorage.removeItem(key);
+}
+
+// ===== BLOBS =====
+
+/**
+ * Encrypt a blob with the session key
+ * For sensitive data kept outside localStorage, like the outbox's
+ * queued submissions in IndexedDB
+ * @param {Blob} blob - Data to encrypt
+ * @returns {Promise<Blob>} 12-byte IV followed by the ciphertext
+ * @throws {Error} If there is no session key (encryption off or locked)
+ */
+export async function encryptBlob(blob) {
+  if (!sessionKey) {
+    throw new Error('Secure storage is not unlocked');
+  }
+
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, sessionKey, await blob.arrayBuffer());
+  return new Blob([iv, ciphertext]);
+}
+
+/**
+ * Decrypt a blob from encryptBlob()
+ * @param {Blob} blob - Encrypted blob
+ * @param {string} type - MIME type of the decrypted blob
+ * @returns {Promise<Blob>}
+ * @throws {Error} If there is no session key, or the key is wrong
+ */
+export async function decryptBlob(blob, type = '') {
+  if (!sessionKey) {
+    throw new Error('Secure storage is not unlocked');
+  }
+
+  const bytes = new Uint8Array(await blob.arrayBuffer());
+  const plaintext = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: bytes.slice(0, 12) }, sessionKey, bytes.slice(12));
+  return new Blob([plaintext], { type });
+}
@@ -0,0 +1,181 @@
+/**
+ * Storage Lock UI
+ * Header control and passphrase prompts for encrypted storage
+ * See secure-storage.js for the encryption itself
+ */
+
+import { CONFIG } from './config.js';
+import {
+  isEncryptionEnabled,
+  isStorageLocked,
+  enableEncryption,
+  unlockStorage,
+  lockStorage,
+  resetEncryptedStorage
+} from './secure-storage.js';
+import { discardSealedItems } from './outbox.js';
+import { showToast } from './utils.js';
+import { showPromptModal, showConfirmModal } from './notifications.js';
+
+// Callbacks supplied by the form handler
+let handlers = { onUnlock: () => {}, onLock: () => {} };
+
+/**
+ * Ask for the passphrase and unlock storage
+ * Offers to erase encrypted data after a wrong passphrase (forgotten passphrase)
+ * @returns {Promise<boolean>} True if unlocked
+ */
+export async function promptUnlock() {
+  const passphrase = await showPromptModal({
+    title: 'Unlock Saved Data',
+    message: 'Your drafts and investigator information are encrypted.\nEnter your passphrase to load them.',
+    inputType: 'password',
+    confirmText: 'Unlock',
+    cancelText: 'Not Now'
+  });
+
+  if (passphrase === null) return false;
+
+  if (await unlockStorage(passphrase)) {
+    showToast(CONFIG.MESSAGES.STORAGE_UNLOCKED, 'success');
+    updateLockButton();
+    handlers.onUnlock();
+    return true;
+  }
+
+  showToast(CONFIG.MESSAGES.STORAGE_WRONG_PASSPHRASE, 'error');
+
+  const reset = await showConfirmModal({
+    title: 'Forgot Passphrase?',
+    message: 'Encrypted data cannot be recovered without the passphrase.\n\nErase encrypted drafts, investigator information and queued requests and turn off encryption?',
+    confirmText: 'Erase Encrypted Data',
+    cancelText: 'Try Again',
+    type: 'warning'
+  });
+
+  if (reset) {
+    resetEncryptedStorage();
+    await discardSealedItems();
+    showToast(CONFIG.MESSAGES.STORAGE_RESET, 'info');
+    updateLockButton();
+    handlers.onLock();
+    return false;
+  }
+
+  return promptUnlock();
+}
+
+/**
+ * Ask for a new passphrase (twice) and turn on encryption
+ * @returns {Promise<boolean>} True if encryption was enabled
+ */
+export async function promptEnableEncryption() {
+  const minLength = CONFIG.SECURE_STORAGE.MIN_PASSPHRASE_LENGTH;
+
+  const passphrase = await showPromptModal({
+    title: 'Encrypt Saved Data',
+    message: `Protect drafts and investigator information on this device with a passphrase (at least ${minLength} characters).\n\nIf you forget it, saved data cannot be recovered.`,
+    inputType: 'password',
+    confirmText: 'Continue',
+    cancelText: 'Cancel'
+  });
+
+  if (passphrase === null) return false;
+
+  if (passphrase.length < minLength) {
+    showToast(CONFIG.MESSAGES.STORAGE_PASSPHRASE_TOO_SHORT.replace('{min}', minLength), 'error');
+    return false;
+  }
+
+  const confirmation = await showPromptModal({
+    title: 'Confirm Passphrase',
+    message: 'Enter the passphrase again.',
+    inputType: 'password',
+    confirmText: 'Encrypt',
+    cancelText: 'Cancel'
+  });
+
+  if (confirmation === null) return false;
+
+  if (confirmation !== passphrase) {
+    showToast(CONFIG.MESSAGES.STORAGE_PASSPHRASE_MISMATCH, 'error');
+    return false;
+  }
+
+  await enableEncryption(passphrase);
+  showToast(CONFIG.MESSAGES.STORAGE_ENCRYPTED, 'success');
+  updateLockButton();
+  return true;
+}
+
+/**
+ * Create the lock button in the form header
+ * @returns {HTMLElement|null} The button, or null if the header isn't present
+ */
+function createLockButton() {
+  const headerRight = document.querySelector('.header-right');
+  if (!headerRight) return null;
+
+  const button = document.createElement('button');
+  button.id = 'storage-lock-btn';
+  button.type = 'button';
+  button.className = 'btn btn-secondary btn-sm storage-lock-btn';
+
+  button.addEventListener('click', () => {
+    if (!isEncryptionEnabled()) {
+      promptEnableEncryption();
+    } else if (isStorageLocked()) {
+      promptUnlock();
+    } else {
+      lockStorage();
+    }
+  });
+
+  headerRight.insertBefore(button, headerRight.firstChild);
+  return button;
+}
+
+/**
+ * Update the lock button label for the current state
+ */
+function updateLockButton() {
+  const button = document.getElementById('storage-lock-btn') || createLockButton();
+  if (!button) return;
+
+  if (!isEncryptionEnabled()) {
+    button.textContent = 'Encrypt';
+    button.title = 'Encrypt saved drafts and investigator information';
+  } else if (isStorageLocked()) {
+    button.textContent = 'Unlock';
+    button.title = 'Enter your passphrase to load saved data';
+  } else {
+    button.textContent = 'Lock';
+    button.title = 'Lock saved data now';
+  }
+}
+
+/**
+ * Set up the lock button and prompt for the passphrase if data is locked
+ * @param {Object} options - Callbacks
+ * @param {Function} options.onUnlock - Called after a successful unlock
+ * @param {Function} options.onLock - Called when storage locks (manually or after SESSION_TIMEOUT_MINUTES)
+ */
+export function initStorageLock({ onUnlock, onLock }) {
+  if (!CONFIG.SECURE_STORAGE.ENABLED) return;
+
+  handlers = { onUnlock, onLock };
+
+  window.addEventListener('secureStorageChange', (event) => {
+    updateLockButton();
+    if (event.detail.locked) {
+      showToast(CONFIG.MESSAGES.STORAGE_LOCKED, 'warning', 5000);
+      handlers.onLock();
+    }
+  });
+
+  updateLockButton();
+
+  if (isStorageLocked()) {
+    promptUnlock();
+  }
+}
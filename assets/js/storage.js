@@ -1,62 +1,228 @@
 /**
  * Storage Management
  * Handles draft saving/loading with expiry
+ * Supports multiple named drafts per form type
+ * Values go through secure-storage.js so they are encrypted when enabled
  */
 
 import { CONFIG } from './config.js';
+import { getSecureItem, setSecureItem, removeSecureItem } from './secure-storage.js';
+
+// Separator between form type and draft ID in draft keys:
+// fvu_draft_<formType>:<draftId>
+const DRAFT_ID_SEPARATOR = ':';
+
+/**
+ * Get all localStorage keys
+ * Uses the Storage API (length/key) rather than Object.keys so it works
+ * with any Storage implementation
+ * @returns {string[]} Keys
+ */
+function getStorageKeys() {
+  const keys = [];
+  for (let i = 0; i < localStorage.length; i++) {
+    const key = localStorage.key(i);
+    if (key !== null) keys.push(key);
+  }
+  return keys;
+}
+
+/**
+ * Build the storage key for a draft
+ * @param {string} formType - Type of form
+ * @param {string} draftId - Draft ID
+ * @returns {string} Storage key
+ */
+function getDraftKey(formType, draftId) {
+  return `${CONFIG.DRAFT_KEY_PREFIX}${formType}${DRAFT_ID_SEPARATOR}${draftId}`;
+}
+
+/**
+ * Generate a new draft ID
+ * @returns {string} Draft ID
+ */
+function createDraftId() {
+  return `${Date.now().toString(36)}${Math.random().toString(36).substr(2, 5)}`;
+}
+
+/**
+ * Convert a timestamp to a human-readable age
+ * @param {number} timestamp - Milliseconds since epoch
+ * @returns {string} Age string
+ */
+function formatDraftAge(timestamp) {
+  const age = Date.now() - timestamp;
+
+  const minutes = Math.floor(age / (1000 * 60));
+  const hours = Math.floor(minutes / 60);
+  const days = Math.floor(hours / 24);
+
+  if (days > 0) {
+    return `${days} day${days !== 1 ? 's' : ''} ago`;
+  } else if (hours > 0) {
+    return `${hours} hour${hours !== 1 ? 's' : ''} ago`;
+  } else if (minutes > 0) {
+    return `${minutes} min${minutes !== 1 ? 's' : ''} ago`;
+  } else {
+    return 'Just now';
+  }
+}
+
+/**
+ * Migrate single-slot drafts (fvu_draft_<formType>) to the multi-draft layout
+ * Safe to call repeatedly - only legacy keys are touched
+ */
+export function migrateLegacyDrafts() {
+  try {
+    getStorageKeys().forEach(key => {
+      if (!key.startsWith(CONFIG.DRAFT_KEY_PREFIX)) return;
+
+      const formType = key.slice(CONFIG.DRAFT_KEY_PREFIX.length);
+      if (formType.includes(DRAFT_ID_SEPARATOR)) return;
+
+      const legacyString = getSecureItem(key);
+      if (legacyString === null) return; // Encrypted and locked - migrate after unlock
+
+      try {
+        const legacy = JSON.parse(legacyString);
+        const id = createDraftId();
+        const draft = {
+          id,
+          formType: legacy.formType || formType,
+          name: null,
+          data: legacy.data,
+          timestamp: legacy.timestamp || Date.now(),
+          expires: legacy.expires
+        };
+
+        if (!setSecureItem(getDraftKey(draft.formType, id), JSON.stringify(draft))) return;
+      } catch (error) {
+        console.error('Error migrating draft:', error);
+      }
+
+      removeSecureItem(key);
+    });
+  } catch (error) {
+    console.error('Error migrating drafts:', error);
+  }
+}
+
+/**
+ * Read and parse every stored draft, removing expired or corrupted ones
+ * @param {string|null} formType - Limit to one form type (null for all)
+ * @returns {Array<{key: string, draft: Object, size: number}>} Stored drafts
+ */
+function readDrafts(formType = null) {
+  migrateLegacyDrafts();
+
+  const prefix = formType
+    ? `${CONFIG.DRAFT_KEY_PREFIX}${formType}${DRAFT_ID_SEPARATOR}`
+    : CONFIG.DRAFT_KEY_PREFIX;
+  const now = Date.now();
+  const drafts = [];
+
+  getStorageKeys().forEach(key => {
+    if (!key.startsWith(prefix)) return;
+
+    const draftString = getSecureItem(key);
+    if (draftString === null) return; // Encrypted and locked
+
+    try {
+      const draft = JSON.parse(draftString);
+
+      if (draft.expires && now > draft.expires) {
+        removeSecureItem(key);
+        return;
+      }
+
+      drafts.push({ key, draft, size: draftString.length });
+    } catch (error) {
+      // Remove corrupted draft
+      removeSecureItem(key);
+    }
+  });
+
+  return drafts;
+}
+
+/**
+ * Get the display label for a draft
+ * Custom name if renamed, otherwise the occurrence number
+ * @param {Object} draft - Stored draft
+ * @returns {string} Label
+ */
+function getDraftLabel(draft) {
+  return draft.name || draft.data?.occNumber || 'Untitled draft';
+}
 
 /**
  * Save form draft to localStorage
  * @param {string} formType - Type of form (analysis, upload, recovery)
  * @param {Object} formData - Form data to save
- * @returns {boolean} Success status
+ * @param {string|null} draftId - Existing draft to update (null creates a new draft)
+ * @returns {string|null} Draft ID, or null on failure
  */
-export function saveDraft(formType, formData) {
-  if (!CONFIG.FEATURES.SAVE_DRAFTS) return false;
-  
+export function saveDraft(formType, formData, draftId = null) {
+  if (!CONFIG.FEATURES.SAVE_DRAFTS) return null;
+
   try {
+    const id = draftId || createDraftId();
+    const key = getDraftKey(formType, id);
+
+    // Keep a custom name across saves
+    const existing = getSecureItem(key);
+    const name = existing ? JSON.parse(existing).name : null;
+
     const draft = {
+      id,
       formType,
+      name,
       data: formData,
       timestamp: Date.now(),
       expires: Date.now() + (CONFIG.DRAFT_EXPIRY_DAYS * 24 * 60 * 60 * 1000)
     };
-    
-    const key = `${CONFIG.DRAFT_KEY_PREFIX}${formType}`;
-    localStorage.setItem(key, JSON.stringify(draft));
-    
+
+    // Fails while encrypted storage is locked - never fall back to plaintext
+    if (!setSecureItem(key, JSON.stringify(draft))) return null;
+
     // Clean up expired drafts
     cleanupExpiredDrafts();
-    
-    return true;
+
+    return id;
   } catch (error) {
     console.error('Error saving draft:', error);
-    return false;
+    return null;
   }
 }
 
 /**
  * Load form draft from localStorage
  * @param {string} formType - Type of form
+ * @param {string|null} draftId - Draft to load (null loads the most recent)
  * @returns {Object|null} Draft data or null
  */
-export function loadDraft(formType) {
+export function loadDraft(formType, draftId = null) {
   if (!CONFIG.FEATURES.SAVE_DRAFTS) return null;
-  
+
   try {
-    const key = `${CONFIG.DRAFT_KEY_PREFIX}${formType}`;
-    const draftString = localStorage.getItem(key);
-    
+    if (!draftId) {
+      const [latest] = listDrafts(formType);
+      return latest ? loadDraft(formType, latest.id) : null;
+    }
+
+    const key = getDraftKey(formType, draftId);
+    const draftString = getSecureItem(key);
+
     if (!draftString) return null;
-    
+
     const draft = JSON.parse(draftString);
-    
+
     // Check if draft is expired
     if (draft.expires && Date.now() > draft.expires) {
-      localStorage.removeItem(key);
+      removeSecureItem(key);
       return null;
     }
-    
+
     return draft.data;
   } catch (error) {
     console.error('Error loading draft:', error);
@@ -65,14 +231,64 @@ export function loadDraft(formType) {
 }
 
 /**
- * Clear draft for a specific form
+ * List drafts for a form type, most recently edited first
+ * @param {string} formType - Type of form
+ * @returns {Array<{id: string, formType: string, label: string, name: string|null, occNumber: string|null, timestamp: number, age: string}>}
+ */
+export function listDrafts(formType) {
+  try {
+    return readDrafts(formType)
+      .map(({ draft }) => ({
+        id: draft.id,
+        formType: draft.formType,
+        label: getDraftLabel(draft),
+        name: draft.name || null,
+        occNumber: draft.data?.occNumber || null,
+        timestamp: draft.timestamp,
+        age: formatDraftAge(draft.timestamp)
+      }))
+      .sort((a, b) => b.timestamp - a.timestamp);
+  } catch (error) {
+    console.error('Error listing drafts:', error);
+    return [];
+  }
+}
+
+/**
+ * Rename a draft
+ * @param {string} formType - Type of form
+ * @param {string} draftId - Draft ID
+ * @param {string} name - New name (empty reverts to the occurrence number label)
+ * @returns {boolean} Success status
+ */
+export function renameDraft(formType, draftId, name) {
+  try {
+    const key = getDraftKey(formType, draftId);
+    const draftString = getSecureItem(key);
+    if (!draftString) return false;
+
+    const draft = JSON.parse(draftString);
+    draft.name = name?.trim() || null;
+    return setSecureItem(key, JSON.stringify(draft));
+  } catch (error) {
+    console.error('Error renaming draft:', error);
+    return false;
+  }
+}
+
+/**
+ * Clear draft(s) for a specific form
  * @param {string} formType - Type of form
+ * @param {string|null} draftId - Draft to delete (null deletes all drafts for the form)
  * @returns {boolean} Success status
  */
-export function clearDraft(formType) {
+export function clearDraft(formType, draftId = null) {
   try {
-    const key = `${CONFIG.DRAFT_KEY_PREFIX}${formType}`;
-    localStorage.removeItem(key);
+    if (draftId) {
+      removeSecureItem(getDraftKey(formType, draftId));
+    } else {
+      readDrafts(formType).forEach(({ key }) => removeSecureItem(key));
+    }
     return true;
   } catch (error) {
     console.error('Error clearing draft:', error);
@@ -86,39 +302,20 @@ export function clearDraft(formType) {
  * @returns {boolean} Draft exists
  */
 export function hasDraft(formType) {
-  const draft = loadDraft(formType);
-  return draft !== null;
+  return listDrafts(formType).length > 0;
 }
 
 /**
  * Get draft age in human-readable format
  * @param {string} formType - Type of form
+ * @param {string|null} draftId - Draft ID (null uses the most recent draft)
  * @returns {string|null} Age string or null
  */
-export function getDraftAge(formType) {
+export function getDraftAge(formType, draftId = null) {
   try {
-    const key = `${CONFIG.DRAFT_KEY_PREFIX}${formType}`;
-    const draftString = localStorage.getItem(key);
-    
-    if (!draftString) return null;
-    
-    const draft = JSON.parse(draftString);
-    const age = Date.now() - draft.timestamp;
-    
-    // Convert to human-readable
-    const minutes = Math.floor(age / (1000 * 60));
-    const hours = Math.floor(minutes / 60);
-    const days = Math.floor(hours / 24);
-    
-    if (days > 0) {
-      return `${days} day${days !== 1 ? 's' : ''} ago`;
-    } else if (hours > 0) {
-      return `${hours} hour${hours !== 1 ? 's' : ''} ago`;
-    } else if (minutes > 0) {
-      return `${minutes} min${minutes !== 1 ? 's' : ''} ago`;
-    } else {
-      return 'Just now';
-    }
+    const drafts = listDrafts(formType);
+    const draft = draftId ? drafts.find(d => d.id === draftId) : drafts[0];
+    return draft ? draft.age : null;
   } catch (error) {
     return null;
   }
@@ -126,27 +323,11 @@ export function getDraftAge(formType) {
 
 /**
  * Clean up expired drafts from all forms
+ * Also migrates any legacy single-slot drafts
  */
 export function cleanupExpiredDrafts() {
   try {
-    const keys = Object.keys(localStorage);
-    const now = Date.now();
-    
-    keys.forEach(key => {
-      if (key.startsWith(CONFIG.DRAFT_KEY_PREFIX)) {
-        try {
-          const draftString = localStorage.getItem(key);
-          const draft = JSON.parse(draftString);
-          
-          if (draft.expires && now > draft.expires) {
-            localStorage.removeItem(key);
-          }
-        } catch (error) {
-          // Remove corrupted draft
-          localStorage.removeItem(key);
-        }
-      }
-    });
+    readDrafts();
   } catch (error) {
     console.error('Error cleaning up drafts:', error);
   }
@@ -208,10 +389,9 @@ export function isSessionExpired() {
 export function clearAllFormData() {
   try {
     // Clear all drafts
-    const keys = Object.keys(localStorage);
-    keys.forEach(key => {
+    getStorageKeys().forEach(key => {
       if (key.startsWith(CONFIG.DRAFT_KEY_PREFIX)) {
-        localStorage.removeItem(key);
+        removeSecureItem(key);
       }
     });
     
@@ -231,30 +411,35 @@ export function clearAllFormData() {
  */
 export function getStorageInfo() {
   try {
-    const drafts = [];
-    const keys = Object.keys(localStorage);
-    
-    keys.forEach(key => {
-      if (key.startsWith(CONFIG.DRAFT_KEY_PREFIX)) {
-        const formType = key.replace(CONFIG.DRAFT_KEY_PREFIX, '');
-        drafts.push({
-          formType,
-          age: getDraftAge(formType),
-          size: localStorage.getItem(key).length
-        });
-      }
+    const drafts = readDrafts().map(({ draft, size }) => ({
+      id: draft.id,
+      formType: draft.formType,
+      label: getDraftLabel(draft),
+      age: formatDraftAge(draft.timestamp),
+      size
+    }));
+
+    // Count drafts per form type
+    const draftCounts = {};
+    drafts.forEach(draft => {
+      draftCounts[draft.formType] = (draftCounts[draft.formType] || 0) + 1;
     });
-    
+
+    const totalSize = getStorageKeys()
+      .reduce((sum, key) => sum + key.length + (localStorage.getItem(key) || '').length, 0);
+
     return {
       drafts,
-      totalSize: JSON.stringify(localStorage).length,
+      draftCounts,
+      totalSize,
       sessionRemaining: getSessionTimeRemaining()
     };
   } catch (error) {
     return {
       drafts: [],
+      draftCounts: {},
       totalSize: 0,
       sessionRemaining: CONFIG.SESSION_TIMEOUT_MINUTES
     };
   }
-}
\ No newline at end of file
+}
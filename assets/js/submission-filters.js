@@ -0,0 +1,118 @@
+/**
+ * Submission Filters
+ * Dashboard filter state <-> URL query string, and the matching
+ * Supabase query conditions for form_submissions
+ */
+
+import { CONFIG } from './config.js';
+
+/**
+ * Read filters and page from a URL query string
+ * @param {string} search - e.g. window.location.search
+ * @returns {{ filters: Object, page: number }} Only non-empty filters are included
+ */
+export function parseDashboardQuery(search) {
+  const params = new URLSearchParams(search);
+  const filters = {};
+
+  CONFIG.DASHBOARD.FILTERS.forEach(key => {
+    const value = params.get(key)?.trim();
+    if (value) filters[key] = value;
+  });
+
+  const page = Math.max(1, parseInt(params.get('page'), 10) || 1);
+
+  return { filters, page };
+}
+
+/**
+ * Build the URL query string for filters and page
+ * @param {Object} filters - Filter values keyed by CONFIG.DASHBOARD.FILTERS
+ * @param {number} page - 1-based page number
+ * @returns {string} Query string with leading '?', or '' when unfiltered on page 1
+ */
+export function buildDashboardQuery(filters, page = 1) {
+  const params = new URLSearchParams();
+
+  CONFIG.DASHBOARD.FILTERS.forEach(key => {
+    const value = filters[key]?.trim();
+    if (value) params.set(key, value);
+  });
+
+  if (page > 1) params.set('page', String(page));
+
+  const query = params.toString();
+  return query ? `?${query}` : '';
+}
+
+/**
+ * Turn free text into a PostgREST ilike pattern
+ * Commas, parentheses and wildcards would break or() filter syntax
+ * @param {string} term - Text entered by the analyst
+ * @returns {string} Pattern, e.g. '*front door*'
+ */
+export function toSearchPattern(term) {
+  const clean = term.replace(/[,()*%\\"]/g, ' ').replace(/\s+/g, ' ').trim();
+  return `*${clean}*`;
+}
+
+/**
+ * Turn a value into an ilike pattern that matches only that value, ignoring case
+ * LIKE wildcards and the escape character are escaped; PostgREST reads *
+ * as % before Postgres sees it, so it can't be escaped and is dropped
+ * @param {string} value - Exact value, e.g. an occurrence number
+ * @returns {string} Pattern, e.g. PR26\_0012345 for PR26_0012345
+ */
+export function toExactPattern(value) {
+  return value.trim().replace(/\*/g, '').replace(/[\\%_]/g, '\\$&');
+}
+
+/**
+ * Convert a local calendar date to the UTC instant it starts at
+ * @param {string} date - YYYY-MM-DD
+ * @param {number} dayOffset - Days to add
+ * @returns {string} ISO timestamp
+ */
+function startOfLocalDay(date, dayOffset = 0) {
+  const day = new Date(`${date}T00:00:00`);
+  day.setDate(day.getDate() + dayOffset);
+  return day.toISOString();
+}
+
+/**
+ * Add filter conditions to a Supabase form_submissions query
+ * @param {Object} query - Supabase filter builder (from().select())
+ * @param {Object} filters - Filter values keyed by CONFIG.DASHBOARD.FILTERS
+ * @returns {Object} The same builder with conditions added
+ */
+export function applySubmissionFilters(query, filters) {
+  const { q, formType, status, from, to, investigator, occNumber, city } = filters;
+
+  if (formType) query = query.eq('form_type', formType);
+  if (status) query = query.eq('status', status);
+
+  // Date range is inclusive of both days, in the analyst's timezone
+  if (from) query = query.gte('submitted_at', startOfLocalDay(from));
+  if (to) query = query.lt('submitted_at', startOfLocalDay(to, 1));
+
+  if (investigator) query = query.ilike('r_name', toSearchPattern(investigator));
+  if (occNumber) query = query.ilike('occ_number', toSearchPattern(occNumber));
+  if (city) query = query.ilike('city', city.replace(/[*%]/g, ''));
+
+  if (q) {
+    const pattern = toSearchPattern(q);
+    query = query.or(`rfs_details.ilike.${pattern},file_details.ilike.${pattern}`);
+  }
+
+  return query;
+}
+
+/**
+ * Format a date as YYYY-MM-DD in local time (the date filter format)
+ * @param {Date} date - Date to format
+ * @returns {string} Local calendar date
+ */
+export function toLocalDateString(date) {
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
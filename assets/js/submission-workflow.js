@@ -0,0 +1,68 @@
+/**
+ * Submission Workflow
+ * Status transition rules and audit-event wording for dashboard triage
+ * Pure - the Supabase writes live in supabase.js
+ */
+
+import { CONFIG } from './config.js';
+
+/**
+ * Get the display label for a submission status
+ * @param {string} status - form_submissions.status
+ * @returns {string} Label
+ */
+export function getStatusLabel(status) {
+  return CONFIG.SUBMISSION_STATUSES[status] || status;
+}
+
+/**
+ * Get the statuses a submission can move to
+ * @param {string} status - Current status
+ * @returns {string[]} Allowed next statuses
+ */
+export function getAllowedTransitions(status) {
+  return CONFIG.SUBMISSION_WORKFLOW.TRANSITIONS[status] || [];
+}
+
+/**
+ * Check a status change before saving it
+ * @param {string} fromStatus - Current status
+ * @param {string} toStatus - Requested status
+ * @param {string} reason - Reason entered by the analyst
+ * @returns {string|null} Error message, or null if the change is allowed
+ */
+export function validateTransition(fromStatus, toStatus, reason) {
+  if (!getAllowedTransitions(fromStatus).includes(toStatus)) {
+    return CONFIG.MESSAGES.WORKFLOW_INVALID_TRANSITION
+      .replace('{from}', getStatusLabel(fromStatus))
+      .replace('{to}', getStatusLabel(toStatus));
+  }
+
+  if (!reason || !reason.trim()) {
+    return CONFIG.MESSAGES.WORKFLOW_REASON_REQUIRED;
+  }
+
+  return null;
+}
+
+/**
+ * Describe an audit event for the history list
+ * @param {Object} event - submission_events row
+ * @returns {string} Description, e.g. "Jane Smith moved Pending → In Progress: Started review"
+ */
+export function describeEvent(event) {
+  const actor = event.actor || 'Someone';
+
+  switch (event.event_type) {
+    case 'status':
+      return `${actor} moved ${getStatusLabel(event.from_status)} → ${getStatusLabel(event.to_status)}: ${event.reason}`;
+    case 'assign':
+      return event.assigned_to
+        ? `${actor} assigned to ${event.assigned_to}`
+        : `${actor} unassigned ${event.from_assigned_to || ''}`.trim();
+    case 'note':
+      return `${actor}: ${event.note}`;
+    default:
+      return `${actor}: ${event.event_type}`;
+  }
+}
@@ -3,6 +3,10 @@
  * Handles connection to Supabase for form submissions
  */
 
+import { CONFIG } from './config.js';
+import { getMockBackendUrl, sha256Hex } from './utils.js';
+import { applySubmissionFilters, toExactPattern } from './submission-filters.js';
+
 // Supabase configuration
 export const SUPABASE_CONFIG = {
   url: 'https://vkiujivexqeusnrbluak.supabase.co',
@@ -23,7 +27,10 @@ export async function initSupabase() {
     // Dynamically import Supabase client from CDN
     const { createClient } = await import('https://cdn.jsdelivr.net/npm/@supabase/supabase-js@2/+esm');
     
-    supabaseClient = createClient(SUPABASE_CONFIG.url, SUPABASE_CONFIG.anonKey, {
+    // Use the local mock backend in development when one is set
+    const url = getMockBackendUrl() || SUPABASE_CONFIG.url;
+
+    supabaseClient = createClient(url, SUPABASE_CONFIG.anonKey, {
       auth: {
         persistSession: false, // Don't persist auth session for anonymous submissions
         autoRefreshToken: false
@@ -37,24 +44,125 @@ export async function initSupabase() {
   }
 }
 
+/**
+ * Check whether a Storage upload failed because the file already exists
+ * @param {Object} error - Storage error
+ * @returns {boolean}
+ */
+function isDuplicateUpload(error) {
+  return String(error.statusCode ?? error.status) === '409';
+}
+
+/**
+ * Upload attachment files to the attachment bucket under the submission ID
+ * @param {string} submissionId - ID the row will be inserted with
+ * @param {Array<Object>} files - { type, filename, blob }
+ * @returns {Promise<Array<Object>>} Row metadata: { type, filename, size, sha256, path }
+ */
+async function uploadAttachments(submissionId, files) {
+  const supabase = await initSupabase();
+  const bucket = supabase.storage.from(CONFIG.ATTACHMENT_STORAGE.BUCKET);
+
+  return Promise.all(files.map(async ({ type, filename, blob }) => {
+    const path = `${submissionId}/${filename}`;
+    const { error } = await bucket.upload(path, blob, { contentType: blob.type, upsert: false });
+
+    // Already there from an earlier attempt of this submission - the ID is
+    // unique to it, and files can't be overwritten
+    if (error && !isDuplicateUpload(error)) {
+      console.error('Attachment upload error:', error);
+      throw error;
+    }
+
+    return { type, filename, size: blob.size, sha256: await sha256Hex(blob), path };
+  }));
+}
+
+/**
+ * Get the row an earlier attempt of this submission already inserted
+ * A retry or outbox replay after an insert whose response was lost hits the
+ * primary key; that row counts as delivered if it holds the same content
+ * @param {Object} supabase - Supabase client
+ * @param {string} submissionId - ID the row was inserted with
+ * @param {string|null} contentHash - Content hash of this submission
+ * @returns {Promise<Object|null>} The row, or null if the ID holds other content
+ */
+async function findDeliveredSubmission(supabase, submissionId, contentHash) {
+  if (!contentHash) return null;
+
+  const { data, error, status } = await supabase
+    .from('form_submissions')
+    .select()
+    .eq('id', submissionId)
+    .maybeSingle()
+    .abortSignal(AbortSignal.timeout(CONFIG.API_TIMEOUT));
+
+  if (error) {
+    console.error('Error checking for an earlier submission:', error);
+    throw Object.assign(error, { status });
+  }
+
+  return data?.content_hash === contentHash ? data : null;
+}
+
+/**
+ * Get a short-lived download link for a stored attachment
+ * @param {Object} attachment - Row metadata with path and filename
+ * @returns {Promise<string>} Signed URL, valid for CONFIG.ATTACHMENT_STORAGE.SIGNED_URL_SECONDS
+ */
+export async function getAttachmentUrl(attachment) {
+  try {
+    const supabase = await initSupabase();
+
+    const { data, error } = await supabase.storage
+      .from(CONFIG.ATTACHMENT_STORAGE.BUCKET)
+      .createSignedUrl(attachment.path, CONFIG.ATTACHMENT_STORAGE.SIGNED_URL_SECONDS, {
+        download: attachment.filename || true
+      });
+
+    if (error) {
+      console.error('Error signing attachment URL:', error);
+      throw error;
+    }
+
+    return data.signedUrl;
+  } catch (error) {
+    console.error('Failed to get attachment URL:', error);
+    throw error;
+  }
+}
+
 /**
  * Submit form data to Supabase
- * @param {Object} formData - The form data to submit
+ * Attachment files are uploaded to Storage first, so the row is only
+ * written once its files are in place. Retries and outbox replays keep the
+ * submission ID printed in the PDF, and attachments are named after it
+ * (see getAttachmentName), so files an earlier attempt uploaded are left as
+ * they are. If that attempt's row was inserted too, the row is returned as
+ * long as its content hash matches
+ * @param {Object} formData - The form data, with submissionId, contentHash,
+ *   priority (from calculatePriority) and attachments as { type, filename, blob }
  * @returns {Promise<Object>} Submission result
  */
 export async function submitToSupabase(formData) {
   try {
     const supabase = await initSupabase();
 
-    // Extract attachments if they exist
-    const attachments = formData.attachments || [];
+    // Upload attachments first - the row only keeps their metadata
+    const submissionId = formData.submissionId || crypto.randomUUID();
+    const attachments = await uploadAttachments(submissionId, formData.attachments || []);
 
-    // Remove attachments from formData for clean storage in form_data column
+    // Remove attachments and integrity fields for clean storage in form_data column
     const cleanFormData = { ...formData };
     delete cleanFormData.attachments;
+    delete cleanFormData.submissionId;
+    delete cleanFormData.contentHash;
+    delete cleanFormData.priority;
 
     // Prepare the submission data - mirrors third-party PHP structure
     const submission = {
+      id: submissionId,
+
       // Form identification
       form_type: formData.formType,
       ticket_status: formData.ticketStatus,
@@ -71,6 +179,7 @@ export async function submitToSupabase(formData) {
       occ_number: formData.occNumber,
       occ_date: formData.occDate || null,
       occ_type: formData.occType,
+      city: formData.cityDisplay || (formData.city === 'Other' ? formData.cityOther : formData.city) || null,
 
       // Request content
       rfs_details: formData.rfsDetails || null,
@@ -79,23 +188,41 @@ export async function submitToSupabase(formData) {
       // Full form data (all fields for reference)
       form_data: cleanFormData,
 
-      // Attachments (PDF and JSON as base64)
+      // Attachment metadata - the files are in Storage
       attachments: attachments,
 
+      // SHA-256 of the canonical JSON, printed in the PDF footer
+      content_hash: formData.contentHash || null,
+
       // Status
-      status: 'pending'
+      status: 'pending',
+
+      // Priority for dashboard sorting, with the reasons shown to analysts.
+      // Left null without one - the dashboard then scores it from form_data
+      priority_score: formData.priority?.score ?? null,
+      priority_reasons: formData.priority?.reasons ?? []
     };
 
-    // Insert into form_submissions table
-    const { data, error } = await supabase
+    // Insert into form_submissions table. supabase-js has no timeout of its
+    // own, so give up after the same CONFIG.API_TIMEOUT as the PHP endpoint
+    const { data, error, status } = await supabase
       .from('form_submissions')
       .insert([submission])
       .select()
-      .single();
+      .single()
+      .abortSignal(AbortSignal.timeout(CONFIG.API_TIMEOUT));
 
     if (error) {
+      // Duplicate ID - an earlier attempt may have gone through unseen
+      const delivered = error.code === '23505'
+        && await findDeliveredSubmission(supabase, submissionId, formData.contentHash);
+      if (delivered) {
+        return { success: true, data: delivered };
+      }
+
       console.error('Supabase submission error:', error);
-      throw error;
+      // Keep the HTTP status (0 when no response arrived) for the transport
+      throw Object.assign(error, { status });
     }
 
     return { success: true, data };
@@ -157,4 +284,371 @@ export async function getSubmissionById(id) {
     console.error('Failed to fetch submission:', error);
     throw error;
   }
-}
\ No newline at end of file
+}
+
+/**
+ * Get one page of submissions, newest first (or highest priority first
+ * when filters.sort is 'priority')
+ * @param {Object} filters - Dashboard filters (see submission-filters.js)
+ * @param {number} page - 1-based page number
+ * @param {number} pageSize - Rows per page
+ * @returns {Promise<{rows: Array, total: number}>} Page rows and total matching rows
+ */
+export async function getSubmissionsPage(filters, page, pageSize) {
+  const supabase = await initSupabase();
+  const start = (page - 1) * pageSize;
+
+  let query = applySubmissionFilters(supabase
+    .from('form_submissions')
+    .select('*', { count: 'exact' }), filters);
+
+  if (filters.sort === 'priority') {
+    query = query.order('priority_score', { ascending: false, nullsFirst: false });
+  }
+
+  const { data, count, error } = await query
+    .order('submitted_at', { ascending: false })
+    .range(start, start + pageSize - 1);
+
+  if (error) {
+    console.error('Error fetching submissions page:', error);
+    throw error;
+  }
+
+  return { rows: data || [], total: count || 0 };
+}
+
+/**
+ * Count submissions without reading them
+ * @param {Object} filters - Dashboard filters (see submission-filters.js)
+ * @returns {Promise<number>} Matching row count
+ */
+export async function countSubmissions(filters = {}) {
+  const supabase = await initSupabase();
+
+  const query = supabase
+    .from('form_submissions')
+    .select('id', { count: 'exact', head: true });
+
+  const { count, error } = await applySubmissionFilters(query, filters);
+
+  if (error) {
+    console.error('Error counting submissions:', error);
+    throw error;
+  }
+
+  return count || 0;
+}
+
+/**
+ * Read every row of a query in batches (PostgREST caps rows per response)
+ * @param {Function} buildQuery - Returns a fresh ordered query builder
+ * @param {number} batchSize - Rows per request
+ * @returns {Promise<Array>} All rows
+ */
+async function selectAllRows(buildQuery, batchSize = 1000) {
+  const rows = [];
+
+  for (let start = 0; ; start += batchSize) {
+    const { data, error } = await buildQuery().range(start, start + batchSize - 1);
+    if (error) throw error;
+
+    rows.push(...(data || []));
+    if (!data || data.length < batchSize) return rows;
+  }
+}
+
+/**
+ * Get submissions made since a point in time, for dashboard analytics
+ * @param {string} since - ISO timestamp
+ * @returns {Promise<Array>} Rows without attachments, oldest first
+ */
+export async function getSubmissionsSince(since) {
+  const supabase = await initSupabase();
+
+  try {
+    return await selectAllRows(() => supabase
+      .from('form_submissions')
+      .select('id, form_type, occ_number, status, submitted_at, form_data')
+      .gte('submitted_at', since)
+      .order('submitted_at', { ascending: true }));
+  } catch (error) {
+    console.error('Error fetching submissions for analytics:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get submissions made between two local dates, for the workload report
+ * @param {string} from - First day (YYYY-MM-DD)
+ * @param {string} to - Last day (YYYY-MM-DD), inclusive
+ * @returns {Promise<Array>} Rows without attachments, oldest first
+ */
+export async function getSubmissionsBetween(from, to) {
+  const supabase = await initSupabase();
+
+  try {
+    return await selectAllRows(() => applySubmissionFilters(supabase
+      .from('form_submissions')
+      .select('id, form_type, occ_number, status, assigned_to, city, submitted_at, form_data'), { from, to })
+      .order('submitted_at', { ascending: true }));
+  } catch (error) {
+    console.error('Error fetching submissions for report:', error);
+    throw error;
+  }
+}
+
+/**
+ * Find the stored record for a document being verified
+ * Looked up by the submission ID the document carries; documents without
+ * one are matched on their content hash (JSON) or file hash (PDF)
+ * @param {Object} inspection - From inspectDocument(): { kind, submissionId, contentHash, fileHash }
+ * @returns {Promise<Object|null>} Row with id, form_type, occ_number, submitted_at, content_hash and attachments
+ */
+export async function findSubmissionForVerification(inspection) {
+  const supabase = await initSupabase();
+
+  let query = supabase
+    .from('form_submissions')
+    .select('id, form_type, occ_number, submitted_at, content_hash, attachments');
+
+  if (inspection.submissionId) {
+    query = query.eq('id', inspection.submissionId);
+  } else if (inspection.kind === 'json') {
+    query = query.eq('content_hash', inspection.contentHash);
+  } else {
+    query = query.filter('attachments', 'cs', JSON.stringify([{ type: 'pdf', sha256: inspection.fileHash }]));
+  }
+
+  const { data, error } = await query.limit(1);
+
+  if (error) {
+    console.error('Error finding submission to verify:', error);
+    throw error;
+  }
+
+  return data[0] || null;
+}
+
+/**
+ * Get recovery and upload submissions made after a point in time, for location history
+ * @param {string|null} since - ISO timestamp of the newest row already read (null for all)
+ * @returns {Promise<Array>} Rows without attachments, oldest first
+ */
+export async function getLocationSubmissionsSince(since) {
+  const supabase = await initSupabase();
+
+  try {
+    return await selectAllRows(() => {
+      let query = supabase
+        .from('form_submissions')
+        .select('id, form_type, submitted_at, form_data')
+        .in('form_type', CONFIG.LOCATION_HISTORY.FORM_TYPES);
+
+      if (since) {
+        query = query.gt('submitted_at', since);
+      }
+
+      return query.order('submitted_at', { ascending: true });
+    });
+  } catch (error) {
+    console.error('Error fetching submissions for location history:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get every request filed under one occurrence number, for the case view
+ * Matches the number exactly, ignoring case
+ * @param {string} occNumber - Occurrence number
+ * @returns {Promise<Array>} Rows without attachments, oldest first
+ */
+export async function getSubmissionsByOccurrence(occNumber) {
+  const supabase = await initSupabase();
+
+  try {
+    return await selectAllRows(() => supabase
+      .from('form_submissions')
+      .select('id, form_type, occ_number, status, assigned_to, submitted_at, content_hash, form_data')
+      .ilike('occ_number', toExactPattern(occNumber))
+      .order('submitted_at', { ascending: true }));
+  } catch (error) {
+    console.error('Error fetching submissions for occurrence:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get status transitions recorded since a point in time
+ * @param {string} since - ISO timestamp
+ * @returns {Promise<Array>} submission_events rows, oldest first
+ */
+export async function getStatusEventsSince(since) {
+  const supabase = await initSupabase();
+
+  try {
+    return await selectAllRows(() => supabase
+      .from(CONFIG.SUBMISSION_WORKFLOW.EVENTS_TABLE)
+      .select('*')
+      .eq('event_type', 'status')
+      .gte('created_at', since)
+      .order('created_at', { ascending: true }));
+  } catch (error) {
+    console.error('Error fetching status events:', error);
+    throw error;
+  }
+}
+
+/**
+ * Subscribe to live changes to one investigator's submissions
+ * @param {string} email - The requesting email to watch
+ * @param {Function} onChange - Called with the realtime payload ({ eventType, new, old })
+ * @returns {Promise<Function>} Unsubscribe function
+ */
+export async function subscribeToSubmissionsByEmail(email, onChange) {
+  const supabase = await initSupabase();
+
+  const channel = supabase
+    .channel(`my-requests-${email}`)
+    .on('postgres_changes',
+      {
+        event: '*',
+        schema: 'public',
+        table: 'form_submissions',
+        filter: `requesting_email=eq.${email}`
+      },
+      onChange
+    )
+    .subscribe();
+
+  return () => supabase.removeChannel(channel);
+}
+
+/**
+ * Record a workflow event in the audit history
+ * @param {Object} supabase - Supabase client
+ * @param {Object} event - submission_events row (without id/created_at)
+ * @returns {Promise<Object>} Inserted event
+ */
+async function recordSubmissionEvent(supabase, event) {
+  const { data, error } = await supabase
+    .from(CONFIG.SUBMISSION_WORKFLOW.EVENTS_TABLE)
+    .insert([event])
+    .select()
+    .single();
+
+  if (error) {
+    console.error('Error recording submission event:', error);
+    throw error;
+  }
+
+  return data;
+}
+
+/**
+ * Move a submission to a new status and record the transition
+ * Only updates if the row is still in fromStatus, so two analysts can't
+ * both act on a stale view of the same request. The update and its event
+ * are written in one transaction (see supabase/migrations)
+ * @param {string} id - Submission ID
+ * @param {string} fromStatus - Status the analyst saw
+ * @param {string} toStatus - New status
+ * @param {string} reason - Reason for the change
+ * @param {string} actor - Analyst making the change
+ * @returns {Promise<Object>} Updated submission
+ */
+export async function updateSubmissionStatus(id, fromStatus, toStatus, reason, actor) {
+  const supabase = await initSupabase();
+
+  const { data, error } = await supabase.rpc(CONFIG.SUBMISSION_WORKFLOW.STATUS_FUNCTION, {
+    p_submission_id: id,
+    p_from_status: fromStatus,
+    p_to_status: toStatus,
+    p_reason: reason,
+    p_actor: actor
+  });
+
+  if (error) {
+    console.error('Error updating submission status:', error);
+    throw error;
+  }
+
+  if (!data || data.length === 0) {
+    throw new Error(CONFIG.MESSAGES.WORKFLOW_CONFLICT);
+  }
+
+  return data[0];
+}
+
+/**
+ * Assign a submission to an analyst and record the change
+ * Only updates if the row is still assigned to fromAnalyst, like
+ * updateSubmissionStatus(). The update and its event are written in one
+ * transaction
+ * @param {string} id - Submission ID
+ * @param {string|null} fromAnalyst - Assignee the analyst saw
+ * @param {string|null} toAnalyst - New assignee (null to unassign)
+ * @param {string} actor - Analyst making the change
+ * @returns {Promise<Object>} Updated submission
+ */
+export async function assignSubmission(id, fromAnalyst, toAnalyst, actor) {
+  const supabase = await initSupabase();
+
+  const { data, error } = await supabase.rpc(CONFIG.SUBMISSION_WORKFLOW.ASSIGN_FUNCTION, {
+    p_submission_id: id,
+    p_from_assigned_to: fromAnalyst,
+    p_to_assigned_to: toAnalyst,
+    p_actor: actor
+  });
+
+  if (error) {
+    console.error('Error assigning submission:', error);
+    throw error;
+  }
+
+  if (!data || data.length === 0) {
+    throw new Error(CONFIG.MESSAGES.WORKFLOW_CONFLICT);
+  }
+
+  return data[0];
+}
+
+/**
+ * Add a triage note to a submission's history
+ * @param {string} id - Submission ID
+ * @param {string} note - Note text
+ * @param {string} actor - Analyst adding the note
+ * @returns {Promise<Object>} Inserted event
+ */
+export async function addSubmissionNote(id, note, actor) {
+  const supabase = await initSupabase();
+
+  return recordSubmissionEvent(supabase, {
+    submission_id: id,
+    event_type: 'note',
+    note,
+    actor
+  });
+}
+
+/**
+ * Get a submission's audit history, oldest first
+ * @param {string} id - Submission ID
+ * @returns {Promise<Array>} submission_events rows
+ */
+export async function getSubmissionEvents(id) {
+  const supabase = await initSupabase();
+
+  const { data, error } = await supabase
+    .from(CONFIG.SUBMISSION_WORKFLOW.EVENTS_TABLE)
+    .select('*')
+    .eq('submission_id', id)
+    .order('created_at', { ascending: true });
+
+  if (error) {
+    console.error('Error fetching submission events:', error);
+    throw error;
+  }
+
+  return data || [];
+}
@@ -0,0 +1,40 @@
+/**
+ * Mock Transport
+ * Stands in for the PHP endpoint during development when no local mock
+ * backend is set (see scripts/mock-backend.js for scriptable failures)
+ * Logs the multipart body and always returns a sequential fake ticket
+ */
+
+import { PhpMultipartTransport } from './php-multipart-transport.js';
+
+// Ticket numbers are sequential per page load so runs are repeatable
+let ticketCounter = 0;
+
+export class MockTransport extends PhpMultipartTransport {
+  constructor() {
+    super();
+    this.name = 'mock';
+  }
+
+  async send(submission) {
+    const body = this.buildBody(submission);
+
+    // Log submission data
+    console.log('Mock submission:', {
+      fields: Object.fromEntries(body.entries()),
+      files: {
+        pdf: body.get('fileAttachmentA')?.name,
+        json: body.get('fileAttachmentB')?.name
+      }
+    });
+
+    // Simulate network delay
+    await new Promise(resolve => setTimeout(resolve, 1500));
+
+    return {
+      success: true,
+      message: 'Ticket created successfully',
+      ticketNumber: `TEST-${String(++ticketCounter).padStart(6, '0')}`
+    };
+  }
+}
@@ -0,0 +1,104 @@
+/**
+ * PHP Multipart Transport
+ * Posts the submission to the third-party PHP endpoint as multipart form data
+ */
+
+import { CONFIG } from '../config.js';
+import { SubmissionTransport, APIError, isFetchFailure } from './submission-transport.js';
+
+export class PhpMultipartTransport extends SubmissionTransport {
+  /**
+   * @param {string} endpoint - URL to post to (the mock backend in development)
+   */
+  constructor(endpoint = CONFIG.API_ENDPOINT) {
+    super('php');
+    this.endpoint = endpoint;
+  }
+
+  /**
+   * Build the multipart body the PHP endpoint expects
+   * @param {Object} submission - Prepared submission
+   * @returns {FormData} Fields plus fileAttachmentA (PDF) and fileAttachmentB (JSON)
+   */
+  buildBody(submission) {
+    const body = new FormData();
+
+    // Add all form fields using their field names
+    Object.entries(submission.data).forEach(([key, value]) => {
+      if (value !== null && value !== undefined) {
+        body.append(key, value);
+      }
+    });
+
+    // Priority scored before sending (see priority.js)
+    if (submission.priority) {
+      body.append('priorityScore', submission.priority.score);
+      body.append('priorityReasons', submission.priority.reasons.join('; '));
+    }
+
+    // Submission ID and content hash printed in the PDF footer, so the
+    // endpoint keeps the record a document is checked against
+    if (submission.submissionId) {
+      body.append('submissionId', submission.submissionId);
+      body.append('contentHash', submission.contentHash);
+    }
+
+    // Add file attachments
+    body.append('fileAttachmentA', submission.pdfBlob, this.getAttachmentName(submission, 'pdf'));
+    body.append('fileAttachmentB', submission.jsonBlob, this.getAttachmentName(submission, 'json'));
+
+    return body;
+  }
+
+  async send(submission) {
+    try {
+      const response = await fetch(this.endpoint, {
+        method: 'POST',
+        body: this.buildBody(submission),
+        signal: AbortSignal.timeout(CONFIG.API_TIMEOUT)
+      });
+
+      const responseText = await response.text();
+
+      let data;
+      try {
+        data = JSON.parse(responseText);
+      } catch (jsonError) {
+        // Non-JSON response
+        throw new APIError('Invalid response format', {
+          responseText,
+          status: response.status
+        });
+      }
+
+      if (!response.ok) {
+        throw new APIError(
+          data.message || 'Server error',
+          { ...data, status: response.status }
+        );
+      }
+
+      return data;
+
+    } catch (error) {
+      if (error.name === 'AbortError' || error.name === 'TimeoutError') {
+        throw new APIError('Request timeout', { timeout: true, code: 'ETIMEDOUT' });
+      }
+
+      // Anything but fetch failing to connect is a bug, not something to retry
+      if (error instanceof APIError || !isFetchFailure(error)) {
+        throw error;
+      }
+
+      // Network error - check if offline
+      if (!navigator.onLine) {
+        throw new APIError('Network offline', {
+          originalError: error,
+          offline: true
+        });
+      }
+
+      throw new APIError('Network error', { originalError: error });
+    }
+  }
+}
@@ -0,0 +1,67 @@
+/**
+ * Submission Transport
+ * Base class for the targets a submission can be sent to
+ *
+ * A transport receives one prepared submission:
+ *   { data, priority, pdfBlob, jsonBlob, submissionId, contentHash, timestamp }
+ * where data has already been through mapSubmissionFields(), priority is
+ * from calculatePriority() and submissionId/contentHash are the ones
+ * printed in the PDF, and resolves
+ * with { success, message, ticketNumber, submissionId } or throws an APIError
+ */
+
+export class SubmissionTransport {
+  /**
+   * @param {string} name - Target name used in config and result reporting
+   */
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Send a submission to this target
+   * @param {Object} submission - Prepared submission
+   * @returns {Promise<Object>} Target response
+   */
+  async send(submission) {
+    throw new Error(`${this.constructor.name} must implement send()`);
+  }
+
+  /**
+   * Attachment filename shared by every target for the same submission
+   * Named after the submission ID, so retries and outbox replays reuse the
+   * same names; the timestamp only stands in when there is no ID
+   * @param {Object} submission - Prepared submission
+   * @param {string} extension - 'pdf' or 'json'
+   * @returns {string} Filename
+   */
+  getAttachmentName(submission, extension) {
+    return `${submission.data.formType}_${submission.submissionId || submission.timestamp}.${extension}`;
+  }
+}
+
+// What fetch() rejects with when no response arrives (Chrome, Firefox,
+// Safari, Node). supabase-js passes it on as "TypeError: <message>"
+const FETCH_FAILURE = /Failed to fetch|NetworkError when attempting to fetch|Load failed|fetch failed/;
+
+/**
+ * Check whether an error is fetch() failing to reach the server, as opposed
+ * to a bug in the code around it (which may also be a TypeError)
+ * @param {Object} error - Error thrown or returned while sending
+ * @returns {boolean}
+ */
+export function isFetchFailure(error) {
+  return FETCH_FAILURE.test(String(error?.message ?? ''));
+}
+
+/**
+ * Custom API Error class
+ */
+export class APIError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'APIError';
+    this.details = details;
+    this.status = details.status || null;
+  }
+}
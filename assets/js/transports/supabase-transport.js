@@ -0,0 +1,89 @@
+/**
+ * Supabase Transport
+ * Uploads the PDF and JSON to Storage and inserts the submission into
+ * form_submissions with their metadata
+ *
+ * supabase.js is loaded on first use so the PHP production build,
+ * which doesn't ship it, never requests it
+ */
+
+import { SubmissionTransport, APIError, isFetchFailure } from './submission-transport.js';
+
+/**
+ * Describe a Supabase failure the way PhpMultipartTransport does, so retries
+ * and the outbox treat both targets alike. supabase-js resolves with status
+ * 0 and a "<name>: <message>" error when no response arrived
+ * @param {Object} error - Error from submitToSupabase
+ * @returns {APIError}
+ */
+function toAPIError(error) {
+  const status = Number(error?.status ?? error?.statusCode) || 0;
+  const message = String(error?.message ?? '');
+
+  if (status > 0) {
+    return new APIError('Failed to submit to Supabase', { originalError: error, status });
+  }
+
+  if (/^(AbortError|TimeoutError)\b/.test(message)) {
+    return new APIError('Request timeout', { timeout: true, code: 'ETIMEDOUT' });
+  }
+
+  // A 2xx response whose body wasn't JSON
+  if (/^SyntaxError\b/.test(message)) {
+    return new APIError('Invalid response format', { originalError: error });
+  }
+
+  if (!navigator.onLine) {
+    return new APIError('Network offline', { originalError: error, offline: true });
+  }
+
+  if (isFetchFailure(error)) {
+    return new APIError('Network error', { originalError: error });
+  }
+
+  // A bug rather than the network - retrying or queueing won't help
+  return new APIError('Failed to submit to Supabase', { originalError: error });
+}
+
+export class SupabaseTransport extends SubmissionTransport {
+  constructor() {
+    super('supabase');
+  }
+
+  async send(submission) {
+    const { data, priority, pdfBlob, jsonBlob, submissionId, contentHash } = submission;
+
+    try {
+      const { submitToSupabase } = await import('../supabase.js');
+
+      const result = await submitToSupabase({
+        ...data,
+        submissionId,
+        contentHash,
+        priority,
+        attachments: [
+          {
+            type: 'pdf',
+            filename: this.getAttachmentName(submission, 'pdf'),
+            blob: pdfBlob
+          },
+          {
+            type: 'json',
+            filename: this.getAttachmentName(submission, 'json'),
+            blob: jsonBlob
+          }
+        ]
+      });
+
+      return {
+        success: true,
+        message: 'Request submitted successfully',
+        ticketNumber: result.data.id,
+        submissionId: result.data.id
+      };
+    } catch (error) {
+      console.error('Supabase submission error:', error);
+      throw toAPIError(error);
+    }
+  }
+}
@@ -233,6 +233,17 @@ export function generateId(prefix = 'id') {
   return `${prefix}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
 }
 
+/**
+ * Escape text for safe insertion into HTML strings
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped HTML
+ */
+export function escapeHtml(text) {
+  const div = document.createElement('div');
+  div.textContent = text ?? '';
+  return div.innerHTML;
+}
+
 /**
  * Deep clone object
  * @param {Object} obj - Object to clone
@@ -282,4 +293,40 @@ export function downloadBlob(blob, filename) {
   link.click();
   document.body.removeChild(link);
   URL.revokeObjectURL(url);
-}
\ No newline at end of file
+}
+
+/**
+ * SHA-256 digest as lowercase hex
+ * @param {Blob|string} data - File contents, or text (hashed as UTF-8)
+ * @returns {Promise<string>} 64-character hex digest
+ */
+export async function sha256Hex(data) {
+  const bytes = typeof data === 'string'
+    ? new TextEncoder().encode(data)
+    : await data.arrayBuffer();
+  const digest = await crypto.subtle.digest('SHA-256', bytes);
+
+  return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Get the configured submission target names, primary first
+ * @returns {string[]} CONFIG.SUBMISSION_TARGETS, or the USE_SUPABASE target when empty
+ */
+export function getSubmissionTargets() {
+  return CONFIG.SUBMISSION_TARGETS.length > 0
+    ? CONFIG.SUBMISSION_TARGETS
+    : [CONFIG.USE_SUPABASE ? 'supabase' : 'php'];
+}
+
+/**
+ * Get the local mock backend URL, if one has been set for development
+ * See scripts/mock-backend.js
+ * @returns {string|null} Base URL without trailing slash, or null
+ */
+export function getMockBackendUrl() {
+  if (!CONFIG.IS_DEVELOPMENT) return null;
+
+  const url = localStorage.getItem(CONFIG.MOCK_BACKEND_KEY);
+  return url ? url.replace(/\/+$/, '') : null;
+}
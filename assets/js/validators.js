@@ -4,15 +4,44 @@
  */
 
 import { CONFIG } from './config.js';
+import { formatDate } from './utils.js';
+import { getDvrTimeOffset, getExtractionWindows } from './calculations.js';
+
+/**
+ * Validation rules by name
+ * Form schemas refer to these via a field's `rule`
+ */
+const RULES = {
+  email: validateEmail,
+  phone: validatePhone,
+  occurrenceNumber: validateOccurrenceNumber,
+  timeOffset: validateTimeOffset,
+  lockerNumber: validateLockerNumber,
+  pastDate: validatePastDate
+};
+
+/**
+ * Default rule for fields not built from a schema
+ */
+const FIELD_RULES = {
+  [CONFIG.FIELD_NAMES.OFFICER_EMAIL]: 'email',
+  [CONFIG.FIELD_NAMES.OFFICER_PHONE]: 'phone',
+  [CONFIG.FIELD_NAMES.LOCATION_CONTACT_PHONE]: 'phone',
+  [CONFIG.FIELD_NAMES.OCCURRENCE_NUMBER]: 'occurrenceNumber',
+  [CONFIG.FIELD_NAMES.TIME_OFFSET]: 'timeOffset',
+  [CONFIG.FIELD_NAMES.LOCKER_NUMBER]: 'lockerNumber',
+  [CONFIG.FIELD_NAMES.RECORDING_DATE]: 'pastDate'
+};
 
 /**
  * Validate a single field value
  * @param {string|HTMLElement} valueOrElement - The value to validate OR the field element
  * @param {string} fieldName - The field name for specific rules
  * @param {boolean} required - Whether the field is required
+ * @param {string} rule - Rule name from RULES (defaults to the rule for fieldName)
  * @returns {string|null} Error message or null if valid
  */
-export function validateField(valueOrElement, fieldName, required = false) {
+export function validateField(valueOrElement, fieldName, required = false, rule = FIELD_RULES[fieldName]) {
   // If a field element is passed, extract the value
   // Check for Flatpickr instance first (handles altInput: true correctly)
   let value;
@@ -48,31 +77,28 @@ export function validateField(valueOrElement, fieldName, required = false) {
   if (isEmpty) {
     return null;
   }
-  
+
   // Field-specific validation
-  switch (fieldName) {
-    case CONFIG.FIELD_NAMES.OFFICER_EMAIL:
-      return validateEmail(trimmedValue);
-      
-    case CONFIG.FIELD_NAMES.OFFICER_PHONE:
-    case CONFIG.FIELD_NAMES.LOCATION_CONTACT_PHONE:
-      return validatePhone(trimmedValue);
-      
-    case CONFIG.FIELD_NAMES.OCCURRENCE_NUMBER:
-      return validateOccurrenceNumber(trimmedValue);
-      
-    case CONFIG.FIELD_NAMES.TIME_OFFSET:
-      return validateTimeOffset(trimmedValue);
-      
-    case CONFIG.FIELD_NAMES.LOCKER_NUMBER:
-      return validateLockerNumber(trimmedValue);
-      
-    case CONFIG.FIELD_NAMES.RECORDING_DATE:
-      return validatePastDate(trimmedValue);
-      
-    default:
-      return null;
+  return RULES[rule]?.(trimmedValue) || null;
+}
+
+/**
+ * Validate a value decoded from a barcode before it fills a field
+ * Barcodes on bags and paperwork can hold other things (URLs, serials), so
+ * the value must be one short line as well as pass the field's own rule
+ * @param {string} value - Decoded text
+ * @param {string} fieldName - Field to fill
+ * @param {string} rule - Rule name from RULES (defaults to the rule for fieldName)
+ * @returns {string|null} Error message or null if it can be used
+ */
+export function validateScannedValue(value, fieldName, rule = FIELD_RULES[fieldName]) {
+  const text = value?.trim() || '';
+
+  if (text.length > CONFIG.BARCODE_SCANNER.MAX_LENGTH || !CONFIG.VALIDATION_PATTERNS.SCANNED_VALUE.test(text)) {
+    return CONFIG.MESSAGES.SCAN_UNEXPECTED;
   }
+
+  return validateField(text, fieldName, true, rule);
 }
 
 /**
@@ -163,7 +189,8 @@ function validateLockerNumber(lockerNumber) {
 function validatePastDate(date) {
   if (!date) return null;
   
-  const inputDate = new Date(date);
+  // Date-only values are local calendar dates, not UTC midnight
+  const inputDate = /^\d{4}-\d{2}-\d{2}$/.test(date) ? new Date(`${date}T00:00:00`) : new Date(date);
   const today = new Date();
   today.setHours(0, 0, 0, 0);
   
@@ -201,6 +228,143 @@ export function validateDateRange(startTime, endTime) {
   return null;
 }
 
+/**
+ * Parse a form date or date/time value as local time
+ * Date-only values are local calendar dates, not UTC midnight
+ * @param {string} value - 'YYYY-MM-DD' or 'YYYY-MM-DD HH:mm'
+ * @returns {Date|null} Parsed date, or null if empty or invalid
+ */
+function parseLocalDate(value) {
+  if (!value) return null;
+
+  const date = /^\d{4}-\d{2}-\d{2}$/.test(value) ? new Date(`${value}T00:00:00`) : new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Get the extraction windows to check, grouped by DVR
+ * Recovery has one group per DVR (dvrGroups[].extractionTimeFrames), upload
+ * one per location with a single video window entered in DVR time
+ * @param {Object} formData - Collected recovery or upload form data
+ * @returns {Array<Object>} Groups { earliestDate, windows: [{ label, shortLabel, timeframe, startField, endField, dvr, actual }] }
+ */
+function getTemporalGroups(formData) {
+  const toWindow = (entered, offset, timePeriodType) => {
+    // Without a time period type the offset can't be applied either way
+    const { dvrWindow, actualWindow } = getExtractionWindows(
+      entered.start, entered.end, timePeriodType, timePeriodType ? offset : null
+    );
+    return {
+      dvr: { start: parseLocalDate(dvrWindow.start), end: parseLocalDate(dvrWindow.end) },
+      actual: { start: parseLocalDate(actualWindow.start), end: parseLocalDate(actualWindow.end) }
+    };
+  };
+
+  if (Array.isArray(formData.dvrGroups)) {
+    return formData.dvrGroups.map((dvr, dvrIndex) => {
+      const offset = getDvrTimeOffset(dvr.isTimeDateCorrect, dvr.timeOffset);
+      return {
+        earliestDate: dvr.dvrRetention,
+        windows: (dvr.extractionTimeFrames || []).map((timeFrame, index) => ({
+          label: `DVR ${dvrIndex + 1}, Time Frame ${index + 1}`,
+          shortLabel: `Time Frame ${index + 1}`,
+          timeframe: index,
+          startField: 'extractionStartTime',
+          endField: 'extractionEndTime',
+          ...toWindow(
+            { start: timeFrame.extractionStartTime, end: timeFrame.extractionEndTime },
+            offset,
+            timeFrame.timePeriodType
+          )
+        }))
+      };
+    });
+  }
+
+  return (formData.locations || []).map((location, index) => ({
+    earliestDate: location.dvrEarliestDate,
+    windows: [{
+      label: `Location ${index + 1}`,
+      shortLabel: `Location ${index + 1}`,
+      timeframe: 0,
+      startField: 'videoStartTime',
+      endField: 'videoEndTime',
+      ...toWindow(
+        { start: location.videoStartTime, end: location.videoEndTime },
+        getDvrTimeOffset(location.isTimeDateCorrect, location.timeOffset),
+        'DVR Time'
+      )
+    }]
+  }));
+}
+
+/**
+ * Check extraction windows against each other, the DVR's earliest recorded
+ * date and the occurrence date
+ *
+ * Errors are requests that can't be met (footage no longer on the DVR, times
+ * in the future, the same window twice). Warnings are worth a second look
+ * (partly outside retention, before the occurrence, overlapping windows).
+ * Retention is compared on the DVR clock, everything else in real time.
+ *
+ * @param {Object} formData - Collected recovery or upload form data
+ * @param {Date} now - Current time (default: now)
+ * @returns {Array<Object>} Issues { severity: 'error'|'warning', label, message, group, timeframe, field }
+ */
+export function validateTemporalConsistency(formData, now = new Date()) {
+  const issues = [];
+  const occurrenceDate = parseLocalDate(formData.occDate);
+
+  getTemporalGroups(formData).forEach(({ earliestDate, windows }, group) => {
+    const earliest = parseLocalDate(earliestDate);
+
+    const addIssue = (severity, window, field, message) => {
+      issues.push({ severity, label: window.label, message, group, timeframe: window.timeframe, field });
+    };
+
+    windows.forEach((window, index) => {
+      const { dvr, actual } = window;
+
+      if (actual.start && actual.start > now) {
+        addIssue('error', window, window.startField, CONFIG.MESSAGES.TEMPORAL_IN_FUTURE);
+      }
+      if (actual.end && actual.end > now) {
+        addIssue('error', window, window.endField, CONFIG.MESSAGES.TEMPORAL_IN_FUTURE);
+      }
+
+      if (earliest && dvr.end && dvr.end < earliest) {
+        addIssue('error', window, window.startField,
+          CONFIG.MESSAGES.TEMPORAL_BEFORE_RETENTION.replace('{date}', formatDate(earliest)));
+      } else if (earliest && dvr.start && dvr.start < earliest) {
+        addIssue('warning', window, window.startField,
+          CONFIG.MESSAGES.TEMPORAL_PARTLY_BEFORE_RETENTION.replace('{date}', formatDate(earliest)));
+      }
+
+      if (occurrenceDate && actual.start && actual.start < occurrenceDate) {
+        addIssue('warning', window, window.startField,
+          CONFIG.MESSAGES.TEMPORAL_BEFORE_OCCURRENCE.replace('{date}', formatDate(occurrenceDate)));
+      }
+
+      // Compare with earlier windows on the same DVR, in real time so DVR Time
+      // and Actual Time windows line up
+      if (!actual.start || !actual.end || actual.start >= actual.end) return;
+
+      const clash = windows.slice(0, index).find(other =>
+        other.actual.start && other.actual.end &&
+        other.actual.start < actual.end && actual.start < other.actual.end
+      );
+      if (!clash) return;
+
+      const isDuplicate = clash.actual.start.getTime() === actual.start.getTime() &&
+        clash.actual.end.getTime() === actual.end.getTime();
+      addIssue(isDuplicate ? 'error' : 'warning', window, window.startField,
+        CONFIG.MESSAGES[isDuplicate ? 'TEMPORAL_DUPLICATE' : 'TEMPORAL_OVERLAP'].replace('{timeframe}', clash.shortLabel));
+    });
+  });
+
+  return issues;
+}
+
 /**
  * Validate conditional fields
  * @param {Object} formData - All form data
@@ -246,40 +410,6 @@ export function validateConditionalFields(formData) {
   return errors;
 }
 
-/**
- * Validate multiple locations
- * @param {Array} locations - Array of location objects
- * @returns {Object} Validation results by location index and field
- */
-export function validateLocations(locations) {
-  const errors = {};
-
-  // Helper function to check if value is empty or placeholder
-  const isEmpty = (value) => !value?.trim() || value.trim() === '_placeholder_';
-
-  locations.forEach((location, index) => {
-    // Address is required
-    if (isEmpty(location.locationAddress)) {
-      if (!errors[index]) errors[index] = {};
-      errors[index].locationAddress = CONFIG.MESSAGES.REQUIRED_FIELD;
-    }
-
-    // City is required
-    if (isEmpty(location.city)) {
-      if (!errors[index]) errors[index] = {};
-      errors[index].city = CONFIG.MESSAGES.REQUIRED_FIELD;
-    }
-
-    // If city is "Other", cityOther is required
-    if (location.city === 'Other' && isEmpty(location.cityOther)) {
-      if (!errors[index]) errors[index] = {};
-      errors[index].cityOther = CONFIG.MESSAGES.CITY_OTHER_REQUIRED;
-    }
-  });
-
-  return errors;
-}
-
 /**
  * Check if all required fields in a form are filled
  * @param {HTMLFormElement} form - The form element
@@ -0,0 +1,127 @@
+/**
+ * Document Verification
+ * Checks a PDF or JSON copy of a submitted request against the stored
+ * record, for questions about whether a disclosed request was altered
+ * (see document-integrity.js for how the hashes are made)
+ * Supabase only - not shipped in the PHP build
+ */
+
+import { CONFIG } from './config.js';
+import { findSubmissionForVerification } from './supabase.js';
+import { inspectDocument, compareWithRecord } from './document-integrity.js';
+import { createElement, formatDateTime } from './utils.js';
+
+// How each outcome is shown
+const VERDICTS = {
+  match: { label: 'Verified', badge: 'status-completed', className: 'is-match', message: CONFIG.MESSAGES.VERIFY_MATCH },
+  mismatch: { label: 'Does Not Match', badge: 'status-failed', className: 'is-mismatch', message: CONFIG.MESSAGES.VERIFY_MISMATCH },
+  'not-found': { label: 'Not Found', badge: 'status-pending', className: '', message: CONFIG.MESSAGES.VERIFY_NOT_FOUND },
+  'no-hash': { label: 'Cannot Verify', badge: 'status-pending', className: '', message: CONFIG.MESSAGES.VERIFY_NO_HASH },
+  unreadable: { label: 'Unreadable', badge: 'status-failed', className: '', message: CONFIG.MESSAGES.VERIFY_UNREADABLE }
+};
+
+/**
+ * Verify one file against its stored record
+ * @param {Blob} file - PDF or JSON file
+ * @returns {Promise<Object>} { inspection, record, status, computedHash, storedHash }
+ */
+export async function verifyDocument(file) {
+  const inspection = await inspectDocument(file);
+  const record = inspection.kind === 'unknown' ? null : await findSubmissionForVerification(inspection);
+
+  return { inspection, record, ...compareWithRecord(inspection, record) };
+}
+
+/**
+ * Build the result panel for a checked file
+ * @param {File} file - The dropped file
+ * @param {Object} result - From verifyDocument()
+ * @returns {HTMLElement}
+ */
+function renderResult(file, result) {
+  const { inspection, record, status, computedHash, storedHash } = result;
+  const verdict = VERDICTS[status];
+
+  const rows = [
+    ['File', file.name],
+    ['Submission ID', record?.id || inspection.submissionId || 'Not recorded in the file'],
+    ...(record ? [
+      ['Occurrence', record.occ_number || '-'],
+      ['Submitted', formatDateTime(record.submitted_at)]
+    ] : []),
+    ...(computedHash ? [
+      [inspection.kind === 'pdf' ? 'SHA-256 of file' : 'Content hash', computedHash],
+      ['Stored hash', storedHash || '-']
+    ] : [])
+  ];
+
+  // A PDF also carries the content hash of the JSON it was made with
+  if (inspection.kind === 'pdf' && inspection.contentHash) {
+    rows.push(['Content hash in PDF', inspection.contentHash]);
+  }
+
+  return createElement('div', { className: `verify-result ${verdict.className}`.trim() }, [
+    createElement('span', { className: `status-badge ${verdict.badge}` }, verdict.label),
+    createElement('p', { className: 'mt-2' }, verdict.message),
+    createElement('dl', { className: 'verify-details' }, rows.flatMap(([label, value]) => [
+      createElement('dt', {}, label),
+      createElement('dd', {}, value)
+    ]))
+  ]);
+}
+
+/**
+ * Check a file and show the outcome
+ * @param {File} file - The dropped or chosen file
+ * @param {HTMLElement} output - Result container
+ */
+async function checkFile(file, output) {
+  output.replaceChildren(createElement('p', { className: 'text-muted' }, `Checking ${file.name}...`));
+
+  try {
+    output.replaceChildren(renderResult(file, await verifyDocument(file)));
+  } catch (error) {
+    console.error('Error verifying document:', error);
+    output.replaceChildren(createElement('p', { className: 'text-muted' }, CONFIG.MESSAGES.VERIFY_ERROR));
+  }
+}
+
+/**
+ * Set up the drop zone and file picker
+ * @param {string} containerId - ID of the page container
+ */
+export function initVerifyPage(containerId = 'verify-document') {
+  const container = document.getElementById(containerId);
+  if (!container) return;
+
+  const output = createElement('div', { className: 'verify-output', 'aria-live': 'polite' });
+  const input = createElement('input', {
+    type: 'file',
+    accept: '.pdf,.json,application/pdf,application/json',
+    hidden: true,
+    onchange: () => {
+      if (input.files[0]) checkFile(input.files[0], output);
+      input.value = '';
+    }
+  });
+
+  const dropZone = createElement('label', { className: 'verify-drop-zone' }, [
+    input,
+    createElement('strong', {}, 'Drop a request PDF or JSON file here'),
+    createElement('div', { className: 'text-muted' }, 'or click to choose one. The file is checked in your browser and is not uploaded.')
+  ]);
+
+  dropZone.addEventListener('dragover', (event) => {
+    event.preventDefault();
+    dropZone.classList.add('is-dragging');
+  });
+  dropZone.addEventListener('dragleave', () => dropZone.classList.remove('is-dragging'));
+  dropZone.addEventListener('drop', (event) => {
+    event.preventDefault();
+    dropZone.classList.remove('is-dragging');
+    const file = event.dataTransfer?.files[0];
+    if (file) checkFile(file, output);
+  });
+
+  container.replaceChildren(dropZone, output);
+}
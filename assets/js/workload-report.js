@@ -0,0 +1,244 @@
+/**
+ * Workload Report
+ * Request counts, turnaround and analyst throughput for any date range,
+ * laid out as tables shared by the PDF (pdf-templates.js) and the CSV
+ * Pure - the dashboard fetches the rows and downloads the files
+ */
+
+import { CONFIG } from './config.js';
+import {
+  computeTurnaround,
+  getTurnaroundHours,
+  getOffenceLabel,
+  formatHours,
+  percentile
+} from './dashboard-analytics.js';
+import { toLocalDateString } from './submission-filters.js';
+
+/**
+ * Date range for a standard report
+ * @param {string} preset - 'month' (last full month) or 'year' (last full year)
+ * @param {Date} now - Current time
+ * @returns {{ from: string, to: string }} Local dates, inclusive
+ */
+export function getReportPeriod(preset, now = new Date()) {
+  if (preset === 'year') {
+    const year = now.getFullYear() - 1;
+    return { from: `${year}-01-01`, to: `${year}-12-31` };
+  }
+
+  const firstOfMonth = new Date(now.getFullYear(), now.getMonth(), 1);
+  const lastOfPrevious = new Date(firstOfMonth);
+  lastOfPrevious.setDate(0);
+
+  return {
+    from: toLocalDateString(new Date(lastOfPrevious.getFullYear(), lastOfPrevious.getMonth(), 1)),
+    to: toLocalDateString(lastOfPrevious)
+  };
+}
+
+/**
+ * Count submissions by a label, most common first
+ * @param {Object[]} submissions - form_submissions rows
+ * @param {Function} getLabel - Returns the label, or null to leave the row out
+ * @returns {Array<[string, number]>}
+ */
+function countBy(submissions, getLabel) {
+  const counts = new Map();
+
+  submissions.forEach(submission => {
+    const label = getLabel(submission);
+    if (label === null) return;
+    counts.set(label, (counts.get(label) || 0) + 1);
+  });
+
+  return [...counts.entries()].sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]));
+}
+
+/**
+ * City label for a submission
+ * @param {Object} submission - form_submissions row
+ * @returns {string}
+ */
+function getCityLabel(submission) {
+  const formData = submission.form_data || {};
+  return submission.city || formData.cityDisplay ||
+    (formData.city === 'Other' ? formData.cityOther : formData.city) || 'Not specified';
+}
+
+/**
+ * Form type label for a submission
+ * @param {Object} submission - form_submissions row
+ * @returns {string} e.g. 'Recovery'
+ */
+function getFormTypeLabel(submission) {
+  const type = submission.form_type || 'unknown';
+  return type.charAt(0).toUpperCase() + type.slice(1);
+}
+
+/**
+ * Count turnaround times into CONFIG.DASHBOARD.REPORT_TURNAROUND_BANDS
+ * @param {number[]} hours
+ * @param {Object[]} bands
+ * @returns {number[]} Count per band
+ */
+function countBands(hours, bands) {
+  const counts = bands.map(() => 0);
+
+  hours.forEach(value => {
+    const index = bands.findIndex(band => band.maxHours === null || value <= band.maxHours);
+    if (index !== -1) counts[index]++;
+  });
+
+  return counts;
+}
+
+/**
+ * Build the workload report for a date range
+ * @param {Object[]} submissions - form_submissions rows submitted in the range
+ * @param {Map<string, Object[]>} eventsBySubmission - From groupEventsBySubmission
+ * @param {Object} period - { from, to } local dates, inclusive
+ * @param {Object[]} bands - Turnaround bands (default CONFIG.DASHBOARD.REPORT_TURNAROUND_BANDS)
+ * @returns {Object} { period, total, breakdowns, turnaround, distribution, analysts }
+ */
+export function buildWorkloadReport(submissions, eventsBySubmission, period,
+  bands = CONFIG.DASHBOARD.REPORT_TURNAROUND_BANDS) {
+  const hours = new Map(submissions.map(submission =>
+    [submission.id, getTurnaroundHours(submission, eventsBySubmission)]));
+
+  const measured = (measure, rows = submissions) => rows
+    .map(submission => hours.get(submission.id)[measure])
+    .filter(value => value !== null);
+
+  const breakdowns = [
+    { title: 'Requests by Form Type', label: 'Form Type', counts: countBy(submissions, getFormTypeLabel) },
+    { title: 'Requests by Offence Type', label: 'Offence Type', counts: countBy(submissions, getOffenceLabel) },
+    { title: 'Requests by City', label: 'City', counts: countBy(submissions, getCityLabel) },
+    {
+      title: 'Analysis Requests by Service Required',
+      label: 'Service Required',
+      counts: countBy(submissions, submission => (submission.form_type === 'analysis'
+        ? submission.form_data?.serviceRequiredDisplay || submission.form_data?.serviceRequired || 'Not specified'
+        : null))
+    },
+    {
+      title: 'Uploads by Media Type',
+      label: 'Media Type',
+      counts: countBy(submissions, submission => (submission.form_type === 'upload'
+        ? submission.form_data?.mediaTypeDisplay || submission.form_data?.mediaType || 'Not specified'
+        : null))
+    }
+  ];
+
+  const analysts = countBy(submissions, submission => submission.assigned_to || 'Unassigned')
+    .map(([analyst, requests]) => {
+      const assigned = submissions.filter(submission => (submission.assigned_to || 'Unassigned') === analyst);
+      const completion = measured('completion', assigned);
+
+      return {
+        analyst,
+        requests,
+        completed: assigned.filter(submission => submission.status === 'completed').length,
+        open: assigned.filter(submission => ['pending', 'processing'].includes(submission.status)).length,
+        medianCompletionHours: percentile(completion, 50)
+      };
+    });
+
+  return {
+    period,
+    total: submissions.length,
+    breakdowns,
+    turnaround: computeTurnaround(submissions, eventsBySubmission),
+    distribution: {
+      bands: bands.map(band => band.label),
+      pickup: countBands(measured('pickup'), bands),
+      completion: countBands(measured('completion'), bands)
+    },
+    analysts
+  };
+}
+
+/**
+ * Lay the report out as titled tables of display strings
+ * @param {Object} report - From buildWorkloadReport()
+ * @returns {Array<Object>} { title, headers, rows }
+ */
+export function getWorkloadReportTables(report) {
+  const label = (type) => type.charAt(0).toUpperCase() + type.slice(1);
+
+  return [
+    {
+      title: 'Summary',
+      headers: ['Measure', 'Value'],
+      rows: [
+        ['Period', `${report.period.from} to ${report.period.to}`],
+        ['Total Requests', String(report.total)]
+      ]
+    },
+    ...report.breakdowns
+      .filter(breakdown => breakdown.counts.length > 0)
+      .map(breakdown => ({
+        title: breakdown.title,
+        headers: [breakdown.label, 'Requests'],
+        rows: breakdown.counts.map(([name, count]) => [name, String(count)])
+      })),
+    {
+      title: 'Turnaround by Form Type',
+      headers: ['Form Type', 'Pickup Median', 'Pickup 95th', 'Completion Median', 'Completion 95th', 'Completed'],
+      rows: Object.entries(report.turnaround).map(([type, { pickup, completion }]) => [
+        label(type),
+        formatHours(pickup.median),
+        formatHours(pickup.p95),
+        formatHours(completion.median),
+        formatHours(completion.p95),
+        String(completion.count)
+      ])
+    },
+    {
+      title: 'Turnaround Distribution',
+      headers: ['Time from Submission', 'Picked Up', 'Completed'],
+      rows: report.distribution.bands.map((band, index) => [
+        band,
+        String(report.distribution.pickup[index]),
+        String(report.distribution.completion[index])
+      ])
+    },
+    {
+      title: 'Analyst Throughput',
+      headers: ['Analyst', 'Requests', 'Completed', 'Open', 'Median Completion'],
+      rows: report.analysts.map(analyst => [
+        analyst.analyst,
+        String(analyst.requests),
+        String(analyst.completed),
+        String(analyst.open),
+        formatHours(analyst.medianCompletionHours)
+      ])
+    }
+  ];
+}
+
+/**
+ * Quote a CSV cell
+ * Cells starting with a formula character are prefixed so spreadsheets
+ * show them as text
+ * @param {string} value
+ * @returns {string}
+ */
+function toCsvCell(value) {
+  let text = String(value ?? '');
+  if (/^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Export the report as CSV - one block per table, separated by a blank line
+ * @param {Object} report - From buildWorkloadReport()
+ * @returns {string} CSV text
+ */
+export function workloadReportToCsv(report) {
+  return getWorkloadReportTables(report)
+    .map(table => [[table.title], table.headers, ...table.rows]
+      .map(row => row.map(toCsvCell).join(','))
+      .join('\r\n'))
+    .join('\r\n\r\n') + '\r\n';
+}
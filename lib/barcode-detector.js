@@ -0,0 +1,1920 @@
+/*! barcode-detector v2.2.0 (pure build, bundles zxing-wasm v1.1.1 reader), @license MIT, @link https://github.com/Sec-ant/barcode-detector */
+var Ye = (o, f, s) => {
+  if (!f.has(o))
+    throw TypeError("Cannot " + s);
+};
+var te = (o, f, s) => (Ye(o, f, "read from private field"), s ? s.call(o) : f.get(o)), ze = (o, f, s) => {
+  if (f.has(o))
+    throw TypeError("Cannot add the same private member more than once");
+  f instanceof WeakSet ? f.add(o) : f.set(o, s);
+}, Ne = (o, f, s, w) => (Ye(o, f, "write to private field"), w ? w.call(o, s) : f.set(o, s), s);
+const Qe = [
+  ["aztec", "Aztec"],
+  ["code_128", "Code128"],
+  ["code_39", "Code39"],
+  ["code_93", "Code93"],
+  ["codabar", "Codabar"],
+  ["databar", "DataBar"],
+  ["databar_expanded", "DataBarExpanded"],
+  ["data_matrix", "DataMatrix"],
+  ["dx_film_edge", "DXFilmEdge"],
+  ["ean_13", "EAN-13"],
+  ["ean_8", "EAN-8"],
+  ["itf", "ITF"],
+  ["maxi_code", "MaxiCode"],
+  ["micro_qr_code", "MicroQRCode"],
+  ["pdf417", "PDF417"],
+  ["qr_code", "QRCode"],
+  ["rm_qr_code", "rMQRCode"],
+  ["upc_a", "UPC-A"],
+  ["upc_e", "UPC-E"],
+  ["linear_codes", "Linear-Codes"],
+  ["matrix_codes", "Matrix-Codes"]
+], ba = [...Qe, ["unknown"]].map((o) => o[0]), It = new Map(
+  Qe
+);
+function Ca(o) {
+  for (const [f, s] of It)
+    if (o === s)
+      return f;
+  return "unknown";
+}
+function _a(o) {
+  if (Ze(o))
+    return {
+      width: o.naturalWidth,
+      height: o.naturalHeight
+    };
+  if (Je(o))
+    return {
+      width: o.width.baseVal.value,
+      height: o.height.baseVal.value
+    };
+  if (Ke(o))
+    return {
+      width: o.videoWidth,
+      height: o.videoHeight
+    };
+  if (er(o))
+    return {
+      width: o.width,
+      height: o.height
+    };
+  if (nr(o))
+    return {
+      width: o.displayWidth,
+      height: o.displayHeight
+    };
+  if (tr(o))
+    return {
+      width: o.width,
+      height: o.height
+    };
+  if (rr(o))
+    return {
+      width: o.width,
+      height: o.height
+    };
+  throw new TypeError(
+    "The provided value is not of type '(Blob or HTMLCanvasElement or HTMLImageElement or HTMLVideoElement or ImageBitmap or ImageData or OffscreenCanvas or SVGImageElement or VideoFrame)'."
+  );
+}
+function Ze(o) {
+  try {
+    return o instanceof HTMLImageElement;
+  } catch {
+    return !1;
+  }
+}
+function Je(o) {
+  try {
+    return o instanceof SVGImageElement;
+  } catch {
+    return !1;
+  }
+}
+function Ke(o) {
+  try {
+    return o instanceof HTMLVideoElement;
+  } catch {
+    return !1;
+  }
+}
+function tr(o) {
+  try {
+    return o instanceof HTMLCanvasElement;
+  } catch {
+    return !1;
+  }
+}
+function er(o) {
+  try {
+    return o instanceof ImageBitmap;
+  } catch {
+    return !1;
+  }
+}
+function rr(o) {
+  try {
+    return o instanceof OffscreenCanvas;
+  } catch {
+    return !1;
+  }
+}
+function nr(o) {
+  try {
+    return o instanceof VideoFrame;
+  } catch {
+    return !1;
+  }
+}
+function ar(o) {
+  try {
+    return o instanceof Blob;
+  } catch {
+    return !1;
+  }
+}
+function Ta(o) {
+  try {
+    return o instanceof ImageData;
+  } catch {
+    return !1;
+  }
+}
+function Pa(o, f) {
+  try {
+    const s = new OffscreenCanvas(o, f);
+    if (s.getContext("2d") instanceof OffscreenCanvasRenderingContext2D)
+      return s;
+    throw void 0;
+  } catch {
+    const s = document.createElement("canvas");
+    return s.width = o, s.height = f, s;
+  }
+}
+async function or(o) {
+  if (Ze(o) && !await xa(o))
+    throw new DOMException(
+      "Failed to load or decode HTMLImageElement.",
+      "InvalidStateError"
+    );
+  if (Je(o) && !await Oa(o))
+    throw new DOMException(
+      "Failed to load or decode SVGImageElement.",
+      "InvalidStateError"
+    );
+  if (nr(o) && Fa(o))
+    throw new DOMException("VideoFrame is closed.", "InvalidStateError");
+  if (Ke(o) && (o.readyState === 0 || o.readyState === 1))
+    throw new DOMException("Invalid element or state.", "InvalidStateError");
+  if (er(o) && Ma(o))
+    throw new DOMException(
+      "The image source is detached.",
+      "InvalidStateError"
+    );
+  const { width: f, height: s } = _a(o);
+  if (f === 0 || s === 0)
+    return null;
+  const v = Pa(f, s).getContext("2d");
+  v.drawImage(o, 0, 0);
+  try {
+    return v.getImageData(0, 0, f, s);
+  } catch {
+    throw new DOMException("Source would taint origin.", "SecurityError");
+  }
+}
+async function Ea(o) {
+  let f;
+  try {
+    if (globalThis.createImageBitmap)
+      f = await createImageBitmap(o);
+    else if (globalThis.Image) {
+      f = new Image();
+      let w = "";
+      try {
+        w = URL.createObjectURL(o), f.src = w, await f.decode();
+      } finally {
+        URL.revokeObjectURL(w);
+      }
+    } else
+      return o;
+  } catch {
+    throw new DOMException(
+      "Failed to load or decode Blob.",
+      "InvalidStateError"
+    );
+  }
+  return await or(f);
+}
+function Aa(o) {
+  const { width: f, height: s } = o;
+  if (f === 0 || s === 0)
+    return null;
+  const w = o.getContext("2d");
+  try {
+    return w.getImageData(0, 0, f, s);
+  } catch {
+    throw new DOMException("Source would taint origin.", "SecurityError");
+  }
+}
+async function Da(o) {
+  if (ar(o))
+    return await Ea(o);
+  if (Ta(o)) {
+    if (Sa(o))
+      throw new DOMException(
+        "The image data has been detached.",
+        "InvalidStateError"
+      );
+    return o;
+  }
+  return tr(o) || rr(o) ? Aa(o) : await or(o);
+}
+async function xa(o) {
+  try {
+    return await o.decode(), !0;
+  } catch {
+    return !1;
+  }
+}
+async function Oa(o) {
+  var f;
+  try {
+    return await ((f = o.decode) == null ? void 0 : f.call(o)), !0;
+  } catch {
+    return !1;
+  }
+}
+function Fa(o) {
+  return o.format === null;
+}
+function Sa(o) {
+  return o.data.buffer.byteLength === 0;
+}
+function Ma(o) {
+  return o.width === 0 && o.height === 0;
+}
+function Ge(o, f) {
+  return o instanceof DOMException ? new DOMException(`${f}: ${o.message}`, o.name) : o instanceof Error ? new o.constructor(`${f}: ${o.message}`) : new Error(`${f}: ${o}`);
+}
+const Xe = [
+  "Aztec",
+  "Codabar",
+  "Code128",
+  "Code39",
+  "Code93",
+  "DataBar",
+  "DataBarExpanded",
+  "DataMatrix",
+  "DXFilmEdge",
+  "EAN-13",
+  "EAN-8",
+  "ITF",
+  "Linear-Codes",
+  "Matrix-Codes",
+  "MaxiCode",
+  "MicroQRCode",
+  "None",
+  "PDF417",
+  "QRCode",
+  "rMQRCode",
+  "UPC-A",
+  "UPC-E"
+];
+function Ia(o) {
+  return o.join("|");
+}
+function Ra(o) {
+  const f = qe(o);
+  let s = 0, w = Xe.length - 1;
+  for (; s <= w; ) {
+    const v = Math.floor((s + w) / 2), $ = Xe[v], H = qe($);
+    if (H === f)
+      return $;
+    H < f ? s = v + 1 : w = v - 1;
+  }
+  return "None";
+}
+function qe(o) {
+  return o.toLowerCase().replace(/_-\[\]/g, "");
+}
+function ja(o, f) {
+  return o.Binarizer[f];
+}
+function Wa(o, f) {
+  return o.CharacterSet[f];
+}
+const ka = [
+  "Text",
+  "Binary",
+  "Mixed",
+  "GS1",
+  "ISO15434",
+  "UnknownECI"
+];
+function Ha(o) {
+  return ka[o.value];
+}
+function Ba(o, f) {
+  return o.EanAddOnSymbol[f];
+}
+function Ua(o, f) {
+  return o.TextMode[f];
+}
+const $t = {
+  formats: [],
+  tryHarder: !0,
+  tryRotate: !0,
+  tryInvert: !0,
+  tryDownscale: !0,
+  binarizer: "LocalAverage",
+  isPure: !1,
+  downscaleFactor: 3,
+  downscaleThreshold: 500,
+  minLineCount: 2,
+  maxNumberOfSymbols: 255,
+  tryCode39ExtendedMode: !1,
+  validateCode39CheckSum: !1,
+  validateITFCheckSum: !1,
+  returnCodabarStartEnd: !1,
+  returnErrors: !1,
+  eanAddOnSymbol: "Read",
+  textMode: "Plain",
+  characterSet: "Unknown"
+};
+function ir(o, f) {
+  return {
+    ...f,
+    formats: Ia(f.formats),
+    binarizer: ja(o, f.binarizer),
+    eanAddOnSymbol: Ba(
+      o,
+      f.eanAddOnSymbol
+    ),
+    textMode: Ua(o, f.textMode),
+    characterSet: Wa(
+      o,
+      f.characterSet
+    )
+  };
+}
+const La = {
+  width: 200,
+  height: 200,
+  format: "QRCode",
+  characterSet: "UTF8",
+  eccLevel: -1,
+  margin: 10
+};
+function sr(o) {
+  return {
+    ...o,
+    format: Ra(o.format),
+    eccLevel: o.eccLevel,
+    contentType: Ha(o.contentType)
+  };
+}
+const Va = {
+  locateFile: (o, f) => {
+    const s = o.match(/_(.+?)\.wasm$/);
+    return s ? `https://fastly.jsdelivr.net/npm/zxing-wasm@1.1.1/dist/${s[1]}/${o}` : f + o;
+  }
+};
+let ee = /* @__PURE__ */ new WeakMap();
+function re(o, f) {
+  var s;
+  const w = ee.get(o);
+  if (w != null && w.modulePromise && (f === void 0 || Object.is(f, w.moduleOverrides)))
+    return w.modulePromise;
+  const v = (s = f != null ? f : w == null ? void 0 : w.moduleOverrides) != null ? s : Va, $ = o({
+    ...v
+  });
+  return ee.set(o, {
+    moduleOverrides: v,
+    modulePromise: $
+  }), $;
+}
+function Ya(o, f) {
+  ee.set(o, {
+    moduleOverrides: f
+  });
+}
+async function za(o, f, s = $t) {
+  const w = {
+    ...$t,
+    ...s
+  }, v = await re(o), { size: $ } = f, H = new Uint8Array(await f.arrayBuffer()), V = v._malloc($);
+  v.HEAPU8.set(H, V);
+  const B = v.readBarcodesFromImage(
+    V,
+    $,
+    ir(v, w)
+  );
+  v._free(V);
+  const D = [];
+  for (let Y = 0; Y < B.size(); ++Y)
+    D.push(
+      sr(B.get(Y))
+    );
+  return D;
+}
+async function Na(o, f, s = $t) {
+  const w = {
+    ...$t,
+    ...s
+  }, v = await re(o), {
+    data: $,
+    width: H,
+    height: V,
+    data: { byteLength: B }
+  } = f, D = v._malloc(B);
+  v.HEAPU8.set($, D);
+  const Y = v.readBarcodesFromPixmap(
+    D,
+    H,
+    V,
+    ir(v, w)
+  );
+  v._free(D);
+  const G = [];
+  for (let U = 0; U < Y.size(); ++U)
+    G.push(
+      sr(Y.get(U))
+    );
+  return G;
+}
+structuredClone($t);
+structuredClone(La);
+var Rt = (() => {
+  var o = typeof document < "u" && document.currentScript ? document.currentScript.src : void 0;
+  return function(f = {}) {
+    var s = f, w, v;
+    s.ready = new Promise((t, e) => {
+      w = t, v = e;
+    });
+    var $ = Object.assign({}, s), H = "./this.program", V = typeof window == "object", B = typeof importScripts == "function";
+    typeof process == "object" && typeof process.versions == "object" && process.versions.node;
+    var D = "";
+    function Y(t) {
+      return s.locateFile ? s.locateFile(t, D) : D + t;
+    }
+    var G;
+    (V || B) && (B ? D = self.location.href : typeof document < "u" && document.currentScript && (D = document.currentScript.src), o && (D = o), D.indexOf("blob:") !== 0 ? D = D.substr(0, D.replace(/[?#].*/, "").lastIndexOf("/") + 1) : D = "", B && (G = (t) => {
+      var e = new XMLHttpRequest();
+      return e.open("GET", t, !1), e.responseType = "arraybuffer", e.send(null), new Uint8Array(e.response);
+    })), s.print || console.log.bind(console);
+    var U = s.printErr || console.error.bind(console);
+    Object.assign(s, $), $ = null, s.arguments && s.arguments, s.thisProgram && (H = s.thisProgram), s.quit && s.quit;
+    var Q;
+    s.wasmBinary && (Q = s.wasmBinary), typeof WebAssembly != "object" && ft("no native wasm support detected");
+    var tt, lt = !1;
+    function jt(t, e) {
+      t || ft(e);
+    }
+    var L, k, ot, dt, W, _, ne, ae;
+    function oe() {
+      var t = tt.buffer;
+      s.HEAP8 = L = new Int8Array(t), s.HEAP16 = ot = new Int16Array(t), s.HEAPU8 = k = new Uint8Array(t), s.HEAPU16 = dt = new Uint16Array(t), s.HEAP32 = W = new Int32Array(t), s.HEAPU32 = _ = new Uint32Array(t), s.HEAPF32 = ne = new Float32Array(t), s.HEAPF64 = ae = new Float64Array(t);
+    }
+    var ie = [], se = [], ue = [];
+    function ur() {
+      if (s.preRun)
+        for (typeof s.preRun == "function" && (s.preRun = [s.preRun]); s.preRun.length; )
+          dr(s.preRun.shift());
+      Wt(ie);
+    }
+    function cr() {
+      Wt(se);
+    }
+    function lr() {
+      if (s.postRun)
+        for (typeof s.postRun == "function" && (s.postRun = [s.postRun]); s.postRun.length; )
+          fr(s.postRun.shift());
+      Wt(ue);
+    }
+    function dr(t) {
+      ie.unshift(t);
+    }
+    function hr(t) {
+      se.unshift(t);
+    }
+    function fr(t) {
+      ue.unshift(t);
+    }
+    var et = 0, ht = null;
+    function pr(t) {
+      et++, s.monitorRunDependencies && s.monitorRunDependencies(et);
+    }
+    function mr(t) {
+      if (et--, s.monitorRunDependencies && s.monitorRunDependencies(et), et == 0 && ht) {
+        var e = ht;
+        ht = null, e();
+      }
+    }
+    function ft(t) {
+      s.onAbort && s.onAbort(t), t = "Aborted(" + t + ")", U(t), lt = !0, t += ". Build with -sASSERTIONS for more info.";
+      var e = new WebAssembly.RuntimeError(t);
+      throw v(e), e;
+    }
+    var yr = "data:application/octet-stream;base64,", ce = (t) => t.startsWith(yr), it;
+    it = "zxing_reader.wasm", ce(it) || (it = Y(it));
+    function le(t) {
+      if (t == it && Q)
+        return new Uint8Array(Q);
+      if (G)
+        return G(t);
+      throw "both async and sync fetching of the wasm failed";
+    }
+    function vr(t) {
+      return !Q && (V || B) && typeof fetch == "function" ? fetch(t, { credentials: "same-origin" }).then((e) => {
+        if (!e.ok)
+          throw "failed to load wasm binary file at '" + t + "'";
+        return e.arrayBuffer();
+      }).catch(() => le(t)) : Promise.resolve().then(() => le(t));
+    }
+    function de(t, e, r) {
+      return vr(t).then((n) => WebAssembly.instantiate(n, e)).then((n) => n).then(r, (n) => {
+        U(`failed to asynchronously prepare wasm: ${n}`), ft(n);
+      });
+    }
+    function gr(t, e, r, n) {
+      return !t && typeof WebAssembly.instantiateStreaming == "function" && !ce(e) && typeof fetch == "function" ? fetch(e, { credentials: "same-origin" }).then((a) => {
+        var i = WebAssembly.instantiateStreaming(a, r);
+        return i.then(n, function(u) {
+          return U(`wasm streaming compile failed: ${u}`), U("falling back to ArrayBuffer instantiation"), de(e, r, n);
+        });
+      }) : de(e, r, n);
+    }
+    function wr() {
+      var t = { a: ta };
+      function e(n, a) {
+        return E = n.exports, tt = E.fa, oe(), _e = E.ja, hr(E.ga), mr(), E;
+      }
+      pr();
+      function r(n) {
+        e(n.instance);
+      }
+      if (s.instantiateWasm)
+        try {
+          return s.instantiateWasm(t, e);
+        } catch (n) {
+          U(`Module.instantiateWasm callback failed with error: ${n}`), v(n);
+        }
+      return gr(Q, it, t, r).catch(v), {};
+    }
+    var Wt = (t) => {
+      for (; t.length > 0; )
+        t.shift()(s);
+    };
+    s.noExitRuntime;
+    var bt = [], Ct = 0, $r = (t) => {
+      var e = new kt(t);
+      return e.get_caught() || (e.set_caught(!0), Ct--), e.set_rethrown(!1), bt.push(e), He(e.excPtr), e.get_exception_ptr();
+    }, Z = 0, br = () => {
+      A(0, 0);
+      var t = bt.pop();
+      ke(t.excPtr), Z = 0;
+    };
+    function kt(t) {
+      this.excPtr = t, this.ptr = t - 24, this.set_type = function(e) {
+        _[this.ptr + 4 >> 2] = e;
+      }, this.get_type = function() {
+        return _[this.ptr + 4 >> 2];
+      }, this.set_destructor = function(e) {
+        _[this.ptr + 8 >> 2] = e;
+      }, this.get_destructor = function() {
+        return _[this.ptr + 8 >> 2];
+      }, this.set_caught = function(e) {
+        e = e ? 1 : 0, L[this.ptr + 12 >> 0] = e;
+      }, this.get_caught = function() {
+        return L[this.ptr + 12 >> 0] != 0;
+      }, this.set_rethrown = function(e) {
+        e = e ? 1 : 0, L[this.ptr + 13 >> 0] = e;
+      }, this.get_rethrown = function() {
+        return L[this.ptr + 13 >> 0] != 0;
+      }, this.init = function(e, r) {
+        this.set_adjusted_ptr(0), this.set_type(e), this.set_destructor(r);
+      }, this.set_adjusted_ptr = function(e) {
+        _[this.ptr + 16 >> 2] = e;
+      }, this.get_adjusted_ptr = function() {
+        return _[this.ptr + 16 >> 2];
+      }, this.get_exception_ptr = function() {
+        var e = Ue(this.get_type());
+        if (e)
+          return _[this.excPtr >> 2];
+        var r = this.get_adjusted_ptr();
+        return r !== 0 ? r : this.excPtr;
+      };
+    }
+    var Cr = (t) => {
+      throw Z || (Z = t), Z;
+    }, Ht = (t) => {
+      var e = Z;
+      if (!e)
+        return wt(0), 0;
+      var r = new kt(e);
+      r.set_adjusted_ptr(e);
+      var n = r.get_type();
+      if (!n)
+        return wt(0), e;
+      for (var a in t) {
+        var i = t[a];
+        if (i === 0 || i === n)
+          break;
+        var u = r.ptr + 16;
+        if (Be(i, n, u))
+          return wt(i), e;
+      }
+      return wt(n), e;
+    }, _r = () => Ht([]), Tr = (t) => Ht([t]), Pr = (t, e) => Ht([t, e]), Er = () => {
+      var t = bt.pop();
+      t || ft("no exception to throw");
+      var e = t.excPtr;
+      throw t.get_rethrown() || (bt.push(t), t.set_rethrown(!0), t.set_caught(!1), Ct++), Z = e, Z;
+    }, Ar = (t, e, r) => {
+      var n = new kt(t);
+      throw n.init(e, r), Z = t, Ct++, Z;
+    }, Dr = () => Ct, _t = {}, he = (t) => {
+      for (; t.length; ) {
+        var e = t.pop(), r = t.pop();
+        r(e);
+      }
+    };
+    function Bt(t) {
+      return this.fromWireType(W[t >> 2]);
+    }
+    var st = {}, rt = {}, Tt = {}, fe, Pt = (t) => {
+      throw new fe(t);
+    }, nt = (t, e, r) => {
+      t.forEach(function(c) {
+        Tt[c] = e;
+      });
+      function n(c) {
+        var l = r(c);
+        l.length !== t.length && Pt("Mismatched type converter count");
+        for (var h = 0; h < t.length; ++h)
+          X(t[h], l[h]);
+      }
+      var a = new Array(e.length), i = [], u = 0;
+      e.forEach((c, l) => {
+        rt.hasOwnProperty(c) ? a[l] = rt[c] : (i.push(c), st.hasOwnProperty(c) || (st[c] = []), st[c].push(() => {
+          a[l] = rt[c], ++u, u === i.length && n(a);
+        }));
+      }), i.length === 0 && n(a);
+    }, xr = (t) => {
+      var e = _t[t];
+      delete _t[t];
+      var r = e.rawConstructor, n = e.rawDestructor, a = e.fields, i = a.map((u) => u.getterReturnType).concat(a.map((u) => u.setterArgumentType));
+      nt([t], i, (u) => {
+        var c = {};
+        return a.forEach((l, h) => {
+          var p = l.fieldName, y = u[h], g = l.getter, b = l.getterContext, T = u[h + a.length], R = l.setter, P = l.setterContext;
+          c[p] = { read: (j) => y.fromWireType(g(b, j)), write: (j, d) => {
+            var m = [];
+            R(P, j, T.toWireType(m, d)), he(m);
+          } };
+        }), [{ name: e.name, fromWireType: (l) => {
+          var h = {};
+          for (var p in c)
+            h[p] = c[p].read(l);
+          return n(l), h;
+        }, toWireType: (l, h) => {
+          for (var p in c)
+            if (!(p in h))
+              throw new TypeError(`Missing field: "${p}"`);
+          var y = r();
+          for (p in c)
+            c[p].write(y, h[p]);
+          return l !== null && l.push(n, y), y;
+        }, argPackAdvance: q, readValueFromPointer: Bt, destructorFunction: n }];
+      });
+    }, Or = (t, e, r, n, a) => {
+    }, Fr = () => {
+      for (var t = new Array(256), e = 0; e < 256; ++e)
+        t[e] = String.fromCharCode(e);
+      pe = t;
+    }, pe, I = (t) => {
+      for (var e = "", r = t; k[r]; )
+        e += pe[k[r++]];
+      return e;
+    }, ut, C = (t) => {
+      throw new ut(t);
+    };
+    function Sr(t, e, r = {}) {
+      var n = e.name;
+      if (t || C(`type "${n}" must have a positive integer typeid pointer`), rt.hasOwnProperty(t)) {
+        if (r.ignoreDuplicateRegistrations)
+          return;
+        C(`Cannot register type '${n}' twice`);
+      }
+      if (rt[t] = e, delete Tt[t], st.hasOwnProperty(t)) {
+        var a = st[t];
+        delete st[t], a.forEach((i) => i());
+      }
+    }
+    function X(t, e, r = {}) {
+      if (!("argPackAdvance" in e))
+        throw new TypeError("registerType registeredInstance requires argPackAdvance");
+      return Sr(t, e, r);
+    }
+    var q = 8, Mr = (t, e, r, n) => {
+      e = I(e), X(t, { name: e, fromWireType: function(a) {
+        return !!a;
+      }, toWireType: function(a, i) {
+        return i ? r : n;
+      }, argPackAdvance: q, readValueFromPointer: function(a) {
+        return this.fromWireType(k[a]);
+      }, destructorFunction: null });
+    }, Ir = (t) => ({ count: t.count, deleteScheduled: t.deleteScheduled, preservePointerOnDelete: t.preservePointerOnDelete, ptr: t.ptr, ptrType: t.ptrType, smartPtr: t.smartPtr, smartPtrType: t.smartPtrType }), Ut = (t) => {
+      function e(r) {
+        return r.$$.ptrType.registeredClass.name;
+      }
+      C(e(t) + " instance already deleted");
+    }, Lt = !1, me = (t) => {
+    }, Rr = (t) => {
+      t.smartPtr ? t.smartPtrType.rawDestructor(t.smartPtr) : t.ptrType.registeredClass.rawDestructor(t.ptr);
+    }, ye = (t) => {
+      t.count.value -= 1;
+      var e = t.count.value === 0;
+      e && Rr(t);
+    }, ve = (t, e, r) => {
+      if (e === r)
+        return t;
+      if (r.baseClass === void 0)
+        return null;
+      var n = ve(t, e, r.baseClass);
+      return n === null ? null : r.downcast(n);
+    }, ge = {}, jr = () => Object.keys(yt).length, Wr = () => {
+      var t = [];
+      for (var e in yt)
+        yt.hasOwnProperty(e) && t.push(yt[e]);
+      return t;
+    }, pt = [], Vt = () => {
+      for (; pt.length; ) {
+        var t = pt.pop();
+        t.$$.deleteScheduled = !1, t.delete();
+      }
+    }, mt, kr = (t) => {
+      mt = t, pt.length && mt && mt(Vt);
+    }, Hr = () => {
+      s.getInheritedInstanceCount = jr, s.getLiveInheritedInstances = Wr, s.flushPendingDeletes = Vt, s.setDelayFunction = kr;
+    }, yt = {}, Br = (t, e) => {
+      for (e === void 0 && C("ptr should not be undefined"); t.baseClass; )
+        e = t.upcast(e), t = t.baseClass;
+      return e;
+    }, Ur = (t, e) => (e = Br(t, e), yt[e]), Et = (t, e) => {
+      (!e.ptrType || !e.ptr) && Pt("makeClassHandle requires ptr and ptrType");
+      var r = !!e.smartPtrType, n = !!e.smartPtr;
+      return r !== n && Pt("Both smartPtrType and smartPtr must be specified"), e.count = { value: 1 }, vt(Object.create(t, { $$: { value: e } }));
+    };
+    function Lr(t) {
+      var e = this.getPointee(t);
+      if (!e)
+        return this.destructor(t), null;
+      var r = Ur(this.registeredClass, e);
+      if (r !== void 0) {
+        if (r.$$.count.value === 0)
+          return r.$$.ptr = e, r.$$.smartPtr = t, r.clone();
+        var n = r.clone();
+        return this.destructor(t), n;
+      }
+      function a() {
+        return this.isSmartPointer ? Et(this.registeredClass.instancePrototype, { ptrType: this.pointeeType, ptr: e, smartPtrType: this, smartPtr: t }) : Et(this.registeredClass.instancePrototype, { ptrType: this, ptr: t });
+      }
+      var i = this.registeredClass.getActualType(e), u = ge[i];
+      if (!u)
+        return a.call(this);
+      var c;
+      this.isConst ? c = u.constPointerType : c = u.pointerType;
+      var l = ve(e, this.registeredClass, c.registeredClass);
+      return l === null ? a.call(this) : this.isSmartPointer ? Et(c.registeredClass.instancePrototype, { ptrType: c, ptr: l, smartPtrType: this, smartPtr: t }) : Et(c.registeredClass.instancePrototype, { ptrType: c, ptr: l });
+    }
+    var vt = (t) => typeof FinalizationRegistry > "u" ? (vt = (e) => e, t) : (Lt = new FinalizationRegistry((e) => {
+      ye(e.$$);
+    }), vt = (e) => {
+      var r = e.$$, n = !!r.smartPtr;
+      if (n) {
+        var a = { $$: r };
+        Lt.register(e, a, e);
+      }
+      return e;
+    }, me = (e) => Lt.unregister(e), vt(t)), Vr = () => {
+      Object.assign(At.prototype, { isAliasOf(t) {
+        if (!(this instanceof At) || !(t instanceof At))
+          return !1;
+        var e = this.$$.ptrType.registeredClass, r = this.$$.ptr;
+        t.$$ = t.$$;
+        for (var n = t.$$.ptrType.registeredClass, a = t.$$.ptr; e.baseClass; )
+          r = e.upcast(r), e = e.baseClass;
+        for (; n.baseClass; )
+          a = n.upcast(a), n = n.baseClass;
+        return e === n && r === a;
+      }, clone() {
+        if (this.$$.ptr || Ut(this), this.$$.preservePointerOnDelete)
+          return this.$$.count.value += 1, this;
+        var t = vt(Object.create(Object.getPrototypeOf(this), { $$: { value: Ir(this.$$) } }));
+        return t.$$.count.value += 1, t.$$.deleteScheduled = !1, t;
+      }, delete() {
+        this.$$.ptr || Ut(this), this.$$.deleteScheduled && !this.$$.preservePointerOnDelete && C("Object already scheduled for deletion"), me(this), ye(this.$$), this.$$.preservePointerOnDelete || (this.$$.smartPtr = void 0, this.$$.ptr = void 0);
+      }, isDeleted() {
+        return !this.$$.ptr;
+      }, deleteLater() {
+        return this.$$.ptr || Ut(this), this.$$.deleteScheduled && !this.$$.preservePointerOnDelete && C("Object already scheduled for deletion"), pt.push(this), pt.length === 1 && mt && mt(Vt), this.$$.deleteScheduled = !0, this;
+      } });
+    };
+    function At() {
+    }
+    var Yr = 48, zr = 57, we = (t) => {
+      if (t === void 0)
+        return "_unknown";
+      t = t.replace(/[^a-zA-Z0-9_]/g, "$");
+      var e = t.charCodeAt(0);
+      return e >= Yr && e <= zr ? `_${t}` : t;
+    };
+    function Yt(t, e) {
+      return t = we(t), { [t]: function() {
+        return e.apply(this, arguments);
+      } }[t];
+    }
+    var $e = (t, e, r) => {
+      if (t[e].overloadTable === void 0) {
+        var n = t[e];
+        t[e] = function() {
+          return t[e].overloadTable.hasOwnProperty(arguments.length) || C(`Function '${r}' called with an invalid number of arguments (${arguments.length}) - expects one of (${t[e].overloadTable})!`), t[e].overloadTable[arguments.length].apply(this, arguments);
+        }, t[e].overloadTable = [], t[e].overloadTable[n.argCount] = n;
+      }
+    }, zt = (t, e, r) => {
+      s.hasOwnProperty(t) ? ((r === void 0 || s[t].overloadTable !== void 0 && s[t].overloadTable[r] !== void 0) && C(`Cannot register public name '${t}' twice`), $e(s, t, t), s.hasOwnProperty(r) && C(`Cannot register multiple overloads of a function with the same number of arguments (${r})!`), s[t].overloadTable[r] = e) : (s[t] = e, r !== void 0 && (s[t].numArguments = r));
+    };
+    function Nr(t, e, r, n, a, i, u, c) {
+      this.name = t, this.constructor = e, this.instancePrototype = r, this.rawDestructor = n, this.baseClass = a, this.getActualType = i, this.upcast = u, this.downcast = c, this.pureVirtualFunctions = [];
+    }
+    var Nt = (t, e, r) => {
+      for (; e !== r; )
+        e.upcast || C(`Expected null or instance of ${r.name}, got an instance of ${e.name}`), t = e.upcast(t), e = e.baseClass;
+      return t;
+    };
+    function Gr(t, e) {
+      if (e === null)
+        return this.isReference && C(`null is not a valid ${this.name}`), 0;
+      e.$$ || C(`Cannot pass "${Qt(e)}" as a ${this.name}`), e.$$.ptr || C(`Cannot pass deleted object as a pointer of type ${this.name}`);
+      var r = e.$$.ptrType.registeredClass, n = Nt(e.$$.ptr, r, this.registeredClass);
+      return n;
+    }
+    function Xr(t, e) {
+      var r;
+      if (e === null)
+        return this.isReference && C(`null is not a valid ${this.name}`), this.isSmartPointer ? (r = this.rawConstructor(), t !== null && t.push(this.rawDestructor, r), r) : 0;
+      e.$$ || C(`Cannot pass "${Qt(e)}" as a ${this.name}`), e.$$.ptr || C(`Cannot pass deleted object as a pointer of type ${this.name}`), !this.isConst && e.$$.ptrType.isConst && C(`Cannot convert argument of type ${e.$$.smartPtrType ? e.$$.smartPtrType.name : e.$$.ptrType.name} to parameter type ${this.name}`);
+      var n = e.$$.ptrType.registeredClass;
+      if (r = Nt(e.$$.ptr, n, this.registeredClass), this.isSmartPointer)
+        switch (e.$$.smartPtr === void 0 && C("Passing raw pointer to smart pointer is illegal"), this.sharingPolicy) {
+          case 0:
+            e.$$.smartPtrType === this ? r = e.$$.smartPtr : C(`Cannot convert argument of type ${e.$$.smartPtrType ? e.$$.smartPtrType.name : e.$$.ptrType.name} to parameter type ${this.name}`);
+            break;
+          case 1:
+            r = e.$$.smartPtr;
+            break;
+          case 2:
+            if (e.$$.smartPtrType === this)
+              r = e.$$.smartPtr;
+            else {
+              var a = e.clone();
+              r = this.rawShare(r, K.toHandle(() => a.delete())), t !== null && t.push(this.rawDestructor, r);
+            }
+            break;
+          default:
+            C("Unsupporting sharing policy");
+        }
+      return r;
+    }
+    function qr(t, e) {
+      if (e === null)
+        return this.isReference && C(`null is not a valid ${this.name}`), 0;
+      e.$$ || C(`Cannot pass "${Qt(e)}" as a ${this.name}`), e.$$.ptr || C(`Cannot pass deleted object as a pointer of type ${this.name}`), e.$$.ptrType.isConst && C(`Cannot convert argument of type ${e.$$.ptrType.name} to parameter type ${this.name}`);
+      var r = e.$$.ptrType.registeredClass, n = Nt(e.$$.ptr, r, this.registeredClass);
+      return n;
+    }
+    function be(t) {
+      return this.fromWireType(_[t >> 2]);
+    }
+    var Qr = () => {
+      Object.assign(Dt.prototype, { getPointee(t) {
+        return this.rawGetPointee && (t = this.rawGetPointee(t)), t;
+      }, destructor(t) {
+        this.rawDestructor && this.rawDestructor(t);
+      }, argPackAdvance: q, readValueFromPointer: be, deleteObject(t) {
+        t !== null && t.delete();
+      }, fromWireType: Lr });
+    };
+    function Dt(t, e, r, n, a, i, u, c, l, h, p) {
+      this.name = t, this.registeredClass = e, this.isReference = r, this.isConst = n, this.isSmartPointer = a, this.pointeeType = i, this.sharingPolicy = u, this.rawGetPointee = c, this.rawConstructor = l, this.rawShare = h, this.rawDestructor = p, !a && e.baseClass === void 0 ? n ? (this.toWireType = Gr, this.destructorFunction = null) : (this.toWireType = qr, this.destructorFunction = null) : this.toWireType = Xr;
+    }
+    var Ce = (t, e, r) => {
+      s.hasOwnProperty(t) || Pt("Replacing nonexistant public symbol"), s[t].overloadTable !== void 0 && r !== void 0 ? s[t].overloadTable[r] = e : (s[t] = e, s[t].argCount = r);
+    }, Zr = (t, e, r) => {
+      var n = s["dynCall_" + t];
+      return r && r.length ? n.apply(null, [e].concat(r)) : n.call(null, e);
+    }, xt = [], _e, x = (t) => {
+      var e = xt[t];
+      return e || (t >= xt.length && (xt.length = t + 1), xt[t] = e = _e.get(t)), e;
+    }, Jr = (t, e, r) => {
+      if (t.includes("j"))
+        return Zr(t, e, r);
+      var n = x(e).apply(null, r);
+      return n;
+    }, Kr = (t, e) => {
+      var r = [];
+      return function() {
+        return r.length = 0, Object.assign(r, arguments), Jr(t, e, r);
+      };
+    }, N = (t, e) => {
+      t = I(t);
+      function r() {
+        return t.includes("j") ? Kr(t, e) : x(e);
+      }
+      var n = r();
+      return typeof n != "function" && C(`unknown function pointer with signature ${t}: ${e}`), n;
+    }, tn = (t, e) => {
+      var r = Yt(e, function(n) {
+        this.name = e, this.message = n;
+        var a = new Error(n).stack;
+        a !== void 0 && (this.stack = this.toString() + `
+` + a.replace(/^Error(:[^\n]*)?\n/, ""));
+      });
+      return r.prototype = Object.create(t.prototype), r.prototype.constructor = r, r.prototype.toString = function() {
+        return this.message === void 0 ? this.name : `${this.name}: ${this.message}`;
+      }, r;
+    }, Te, Pe = (t) => {
+      var e = We(t), r = I(e);
+      return J(e), r;
+    }, Ot = (t, e) => {
+      var r = [], n = {};
+      function a(i) {
+        if (!n[i] && !rt[i]) {
+          if (Tt[i]) {
+            Tt[i].forEach(a);
+            return;
+          }
+          r.push(i), n[i] = !0;
+        }
+      }
+      throw e.forEach(a), new Te(`${t}: ` + r.map(Pe).join([", "]));
+    }, en = (t, e, r, n, a, i, u, c, l, h, p, y, g) => {
+      p = I(p), i = N(a, i), c && (c = N(u, c)), h && (h = N(l, h)), g = N(y, g);
+      var b = we(p);
+      zt(b, function() {
+        Ot(`Cannot construct ${p} due to unbound types`, [n]);
+      }), nt([t, e, r], n ? [n] : [], function(T) {
+        T = T[0];
+        var R, P;
+        n ? (R = T.registeredClass, P = R.instancePrototype) : P = At.prototype;
+        var j = Yt(b, function() {
+          if (Object.getPrototypeOf(this) !== d)
+            throw new ut("Use 'new' to construct " + p);
+          if (m.constructor_body === void 0)
+            throw new ut(p + " has no accessible constructor");
+          var Mt = m.constructor_body[arguments.length];
+          if (Mt === void 0)
+            throw new ut(`Tried to invoke ctor of ${p} with invalid number of parameters (${arguments.length}) - expected (${Object.keys(m.constructor_body).toString()}) parameters instead!`);
+          return Mt.apply(this, arguments);
+        }), d = Object.create(P, { constructor: { value: j } });
+        j.prototype = d;
+        var m = new Nr(p, j, d, g, R, i, c, h);
+        m.baseClass && (m.baseClass.__derivedClasses === void 0 && (m.baseClass.__derivedClasses = []), m.baseClass.__derivedClasses.push(m));
+        var S = new Dt(p, m, !0, !1, !1), M = new Dt(p + "*", m, !1, !1, !1), at = new Dt(p + " const*", m, !1, !0, !1);
+        return ge[t] = { pointerType: M, constPointerType: at }, Ce(b, j), [S, M, at];
+      });
+    }, Gt = (t, e) => {
+      for (var r = [], n = 0; n < t; n++)
+        r.push(_[e + n * 4 >> 2]);
+      return r;
+    };
+    function Xt(t, e, r, n, a, i) {
+      var u = e.length;
+      u < 2 && C("argTypes array size mismatch! Must at least get return value and 'this' types!");
+      for (var c = e[1] !== null && r !== null, l = !1, h = 1; h < e.length; ++h)
+        if (e[h] !== null && e[h].destructorFunction === void 0) {
+          l = !0;
+          break;
+        }
+      var p = e[0].name !== "void", y = u - 2, g = new Array(y), b = [], T = [];
+      return function() {
+        arguments.length !== y && C(`function ${t} called with ${arguments.length} arguments, expected ${y}`), T.length = 0;
+        var R;
+        b.length = c ? 2 : 1, b[0] = a, c && (R = e[1].toWireType(T, this), b[1] = R);
+        for (var P = 0; P < y; ++P)
+          g[P] = e[P + 2].toWireType(T, arguments[P]), b.push(g[P]);
+        var j = n.apply(null, b);
+        function d(m) {
+          if (l)
+            he(T);
+          else
+            for (var S = c ? 1 : 2; S < e.length; S++) {
+              var M = S === 1 ? R : g[S - 2];
+              e[S].destructorFunction !== null && e[S].destructorFunction(M);
+            }
+          if (p)
+            return e[0].fromWireType(m);
+        }
+        return d(j);
+      };
+    }
+    var rn = (t, e, r, n, a, i) => {
+      var u = Gt(e, r);
+      a = N(n, a), nt([], [t], function(c) {
+        c = c[0];
+        var l = `constructor ${c.name}`;
+        if (c.registeredClass.constructor_body === void 0 && (c.registeredClass.constructor_body = []), c.registeredClass.constructor_body[e - 1] !== void 0)
+          throw new ut(`Cannot register multiple constructors with identical number of parameters (${e - 1}) for class '${c.name}'! Overload resolution is currently only performed using the parameter count, not actual type info!`);
+        return c.registeredClass.constructor_body[e - 1] = () => {
+          Ot(`Cannot construct ${c.name} due to unbound types`, u);
+        }, nt([], u, (h) => (h.splice(1, 0, null), c.registeredClass.constructor_body[e - 1] = Xt(l, h, null, a, i), [])), [];
+      });
+    }, Ee = (t) => {
+      t = t.trim();
+      const e = t.indexOf("(");
+      return e !== -1 ? (jt(t[t.length - 1] == ")", "Parentheses for argument names should match."), t.substr(0, e)) : t;
+    }, nn = (t, e, r, n, a, i, u, c, l) => {
+      var h = Gt(r, n);
+      e = I(e), e = Ee(e), i = N(a, i), nt([], [t], function(p) {
+        p = p[0];
+        var y = `${p.name}.${e}`;
+        e.startsWith("@@") && (e = Symbol[e.substring(2)]), c && p.registeredClass.pureVirtualFunctions.push(e);
+        function g() {
+          Ot(`Cannot call ${y} due to unbound types`, h);
+        }
+        var b = p.registeredClass.instancePrototype, T = b[e];
+        return T === void 0 || T.overloadTable === void 0 && T.className !== p.name && T.argCount === r - 2 ? (g.argCount = r - 2, g.className = p.name, b[e] = g) : ($e(b, e, y), b[e].overloadTable[r - 2] = g), nt([], h, function(R) {
+          var P = Xt(y, R, p, i, u);
+          return b[e].overloadTable === void 0 ? (P.argCount = r - 2, b[e] = P) : b[e].overloadTable[r - 2] = P, [];
+        }), [];
+      });
+    };
+    function an() {
+      Object.assign(Ae.prototype, { get(t) {
+        return this.allocated[t];
+      }, has(t) {
+        return this.allocated[t] !== void 0;
+      }, allocate(t) {
+        var e = this.freelist.pop() || this.allocated.length;
+        return this.allocated[e] = t, e;
+      }, free(t) {
+        this.allocated[t] = void 0, this.freelist.push(t);
+      } });
+    }
+    function Ae() {
+      this.allocated = [void 0], this.freelist = [];
+    }
+    var z = new Ae(), De = (t) => {
+      t >= z.reserved && --z.get(t).refcount === 0 && z.free(t);
+    }, on = () => {
+      for (var t = 0, e = z.reserved; e < z.allocated.length; ++e)
+        z.allocated[e] !== void 0 && ++t;
+      return t;
+    }, sn = () => {
+      z.allocated.push({ value: void 0 }, { value: null }, { value: !0 }, { value: !1 }), z.reserved = z.allocated.length, s.count_emval_handles = on;
+    }, K = { toValue: (t) => (t || C("Cannot use deleted val. handle = " + t), z.get(t).value), toHandle: (t) => {
+      switch (t) {
+        case void 0:
+          return 1;
+        case null:
+          return 2;
+        case !0:
+          return 3;
+        case !1:
+          return 4;
+        default:
+          return z.allocate({ refcount: 1, value: t });
+      }
+    } }, un = (t, e) => {
+      e = I(e), X(t, { name: e, fromWireType: (r) => {
+        var n = K.toValue(r);
+        return De(r), n;
+      }, toWireType: (r, n) => K.toHandle(n), argPackAdvance: q, readValueFromPointer: Bt, destructorFunction: null });
+    }, cn = (t, e, r) => {
+      switch (e) {
+        case 1:
+          return r ? function(n) {
+            return this.fromWireType(L[n >> 0]);
+          } : function(n) {
+            return this.fromWireType(k[n >> 0]);
+          };
+        case 2:
+          return r ? function(n) {
+            return this.fromWireType(ot[n >> 1]);
+          } : function(n) {
+            return this.fromWireType(dt[n >> 1]);
+          };
+        case 4:
+          return r ? function(n) {
+            return this.fromWireType(W[n >> 2]);
+          } : function(n) {
+            return this.fromWireType(_[n >> 2]);
+          };
+        default:
+          throw new TypeError(`invalid integer width (${e}): ${t}`);
+      }
+    }, ln = (t, e, r, n) => {
+      e = I(e);
+      function a() {
+      }
+      a.values = {}, X(t, { name: e, constructor: a, fromWireType: function(i) {
+        return this.constructor.values[i];
+      }, toWireType: (i, u) => u.value, argPackAdvance: q, readValueFromPointer: cn(e, r, n), destructorFunction: null }), zt(e, a);
+    }, qt = (t, e) => {
+      var r = rt[t];
+      return r === void 0 && C(e + " has unknown type " + Pe(t)), r;
+    }, dn = (t, e, r) => {
+      var n = qt(t, "enum");
+      e = I(e);
+      var a = n.constructor, i = Object.create(n.constructor.prototype, { value: { value: r }, constructor: { value: Yt(`${n.name}_${e}`, function() {
+      }) } });
+      a.values[r] = i, a[e] = i;
+    }, Qt = (t) => {
+      if (t === null)
+        return "null";
+      var e = typeof t;
+      return e === "object" || e === "array" || e === "function" ? t.toString() : "" + t;
+    }, hn = (t, e) => {
+      switch (e) {
+        case 4:
+          return function(r) {
+            return this.fromWireType(ne[r >> 2]);
+          };
+        case 8:
+          return function(r) {
+            return this.fromWireType(ae[r >> 3]);
+          };
+        default:
+          throw new TypeError(`invalid float width (${e}): ${t}`);
+      }
+    }, fn = (t, e, r) => {
+      e = I(e), X(t, { name: e, fromWireType: (n) => n, toWireType: (n, a) => a, argPackAdvance: q, readValueFromPointer: hn(e, r), destructorFunction: null });
+    }, pn = (t, e, r, n, a, i, u) => {
+      var c = Gt(e, r);
+      t = I(t), t = Ee(t), a = N(n, a), zt(t, function() {
+        Ot(`Cannot call ${t} due to unbound types`, c);
+      }, e - 1), nt([], c, function(l) {
+        var h = [l[0], null].concat(l.slice(1));
+        return Ce(t, Xt(t, h, null, a, i), e - 1), [];
+      });
+    }, mn = (t, e, r) => {
+      switch (e) {
+        case 1:
+          return r ? (n) => L[n >> 0] : (n) => k[n >> 0];
+        case 2:
+          return r ? (n) => ot[n >> 1] : (n) => dt[n >> 1];
+        case 4:
+          return r ? (n) => W[n >> 2] : (n) => _[n >> 2];
+        default:
+          throw new TypeError(`invalid integer width (${e}): ${t}`);
+      }
+    }, yn = (t, e, r, n, a) => {
+      e = I(e);
+      var i = (p) => p;
+      if (n === 0) {
+        var u = 32 - 8 * r;
+        i = (p) => p << u >>> u;
+      }
+      var c = e.includes("unsigned"), l = (p, y) => {
+      }, h;
+      c ? h = function(p, y) {
+        return l(y, this.name), y >>> 0;
+      } : h = function(p, y) {
+        return l(y, this.name), y;
+      }, X(t, { name: e, fromWireType: i, toWireType: h, argPackAdvance: q, readValueFromPointer: mn(e, r, n !== 0), destructorFunction: null });
+    }, vn = (t, e, r) => {
+      var n = [Int8Array, Uint8Array, Int16Array, Uint16Array, Int32Array, Uint32Array, Float32Array, Float64Array], a = n[e];
+      function i(u) {
+        var c = _[u >> 2], l = _[u + 4 >> 2];
+        return new a(L.buffer, l, c);
+      }
+      r = I(r), X(t, { name: r, fromWireType: i, argPackAdvance: q, readValueFromPointer: i }, { ignoreDuplicateRegistrations: !0 });
+    }, xe = (t, e, r, n) => {
+      if (!(n > 0))
+        return 0;
+      for (var a = r, i = r + n - 1, u = 0; u < t.length; ++u) {
+        var c = t.charCodeAt(u);
+        if (c >= 55296 && c <= 57343) {
+          var l = t.charCodeAt(++u);
+          c = 65536 + ((c & 1023) << 10) | l & 1023;
+        }
+        if (c <= 127) {
+          if (r >= i)
+            break;
+          e[r++] = c;
+        } else if (c <= 2047) {
+          if (r + 1 >= i)
+            break;
+          e[r++] = 192 | c >> 6, e[r++] = 128 | c & 63;
+        } else if (c <= 65535) {
+          if (r + 2 >= i)
+            break;
+          e[r++] = 224 | c >> 12, e[r++] = 128 | c >> 6 & 63, e[r++] = 128 | c & 63;
+        } else {
+          if (r + 3 >= i)
+            break;
+          e[r++] = 240 | c >> 18, e[r++] = 128 | c >> 12 & 63, e[r++] = 128 | c >> 6 & 63, e[r++] = 128 | c & 63;
+        }
+      }
+      return e[r] = 0, r - a;
+    }, gn = (t, e, r) => xe(t, k, e, r), Oe = (t) => {
+      for (var e = 0, r = 0; r < t.length; ++r) {
+        var n = t.charCodeAt(r);
+        n <= 127 ? e++ : n <= 2047 ? e += 2 : n >= 55296 && n <= 57343 ? (e += 4, ++r) : e += 3;
+      }
+      return e;
+    }, Fe = typeof TextDecoder < "u" ? new TextDecoder("utf8") : void 0, wn = (t, e, r) => {
+      for (var n = e + r, a = e; t[a] && !(a >= n); )
+        ++a;
+      if (a - e > 16 && t.buffer && Fe)
+        return Fe.decode(t.subarray(e, a));
+      for (var i = ""; e < a; ) {
+        var u = t[e++];
+        if (!(u & 128)) {
+          i += String.fromCharCode(u);
+          continue;
+        }
+        var c = t[e++] & 63;
+        if ((u & 224) == 192) {
+          i += String.fromCharCode((u & 31) << 6 | c);
+          continue;
+        }
+        var l = t[e++] & 63;
+        if ((u & 240) == 224 ? u = (u & 15) << 12 | c << 6 | l : u = (u & 7) << 18 | c << 12 | l << 6 | t[e++] & 63, u < 65536)
+          i += String.fromCharCode(u);
+        else {
+          var h = u - 65536;
+          i += String.fromCharCode(55296 | h >> 10, 56320 | h & 1023);
+        }
+      }
+      return i;
+    }, Zt = (t, e) => t ? wn(k, t, e) : "", $n = (t, e) => {
+      e = I(e);
+      var r = e === "std::string";
+      X(t, { name: e, fromWireType(n) {
+        var a = _[n >> 2], i = n + 4, u;
+        if (r)
+          for (var c = i, l = 0; l <= a; ++l) {
+            var h = i + l;
+            if (l == a || k[h] == 0) {
+              var p = h - c, y = Zt(c, p);
+              u === void 0 ? u = y : (u += "\0", u += y), c = h + 1;
+            }
+          }
+        else {
+          for (var g = new Array(a), l = 0; l < a; ++l)
+            g[l] = String.fromCharCode(k[i + l]);
+          u = g.join("");
+        }
+        return J(n), u;
+      }, toWireType(n, a) {
+        a instanceof ArrayBuffer && (a = new Uint8Array(a));
+        var i, u = typeof a == "string";
+        u || a instanceof Uint8Array || a instanceof Uint8ClampedArray || a instanceof Int8Array || C("Cannot pass non-string to std::string"), r && u ? i = Oe(a) : i = a.length;
+        var c = Kt(4 + i + 1), l = c + 4;
+        if (_[c >> 2] = i, r && u)
+          gn(a, l, i + 1);
+        else if (u)
+          for (var h = 0; h < i; ++h) {
+            var p = a.charCodeAt(h);
+            p > 255 && (J(l), C("String has UTF-16 code units that do not fit in 8 bits")), k[l + h] = p;
+          }
+        else
+          for (var h = 0; h < i; ++h)
+            k[l + h] = a[h];
+        return n !== null && n.push(J, c), c;
+      }, argPackAdvance: q, readValueFromPointer: be, destructorFunction(n) {
+        J(n);
+      } });
+    }, Se = typeof TextDecoder < "u" ? new TextDecoder("utf-16le") : void 0, bn = (t, e) => {
+      for (var r = t, n = r >> 1, a = n + e / 2; !(n >= a) && dt[n]; )
+        ++n;
+      if (r = n << 1, r - t > 32 && Se)
+        return Se.decode(k.subarray(t, r));
+      for (var i = "", u = 0; !(u >= e / 2); ++u) {
+        var c = ot[t + u * 2 >> 1];
+        if (c == 0)
+          break;
+        i += String.fromCharCode(c);
+      }
+      return i;
+    }, Cn = (t, e, r) => {
+      if (r === void 0 && (r = 2147483647), r < 2)
+        return 0;
+      r -= 2;
+      for (var n = e, a = r < t.length * 2 ? r / 2 : t.length, i = 0; i < a; ++i) {
+        var u = t.charCodeAt(i);
+        ot[e >> 1] = u, e += 2;
+      }
+      return ot[e >> 1] = 0, e - n;
+    }, _n = (t) => t.length * 2, Tn = (t, e) => {
+      for (var r = 0, n = ""; !(r >= e / 4); ) {
+        var a = W[t + r * 4 >> 2];
+        if (a == 0)
+          break;
+        if (++r, a >= 65536) {
+          var i = a - 65536;
+          n += String.fromCharCode(55296 | i >> 10, 56320 | i & 1023);
+        } else
+          n += String.fromCharCode(a);
+      }
+      return n;
+    }, Pn = (t, e, r) => {
+      if (r === void 0 && (r = 2147483647), r < 4)
+        return 0;
+      for (var n = e, a = n + r - 4, i = 0; i < t.length; ++i) {
+        var u = t.charCodeAt(i);
+        if (u >= 55296 && u <= 57343) {
+          var c = t.charCodeAt(++i);
+          u = 65536 + ((u & 1023) << 10) | c & 1023;
+        }
+        if (W[e >> 2] = u, e += 4, e + 4 > a)
+          break;
+      }
+      return W[e >> 2] = 0, e - n;
+    }, En = (t) => {
+      for (var e = 0, r = 0; r < t.length; ++r) {
+        var n = t.charCodeAt(r);
+        n >= 55296 && n <= 57343 && ++r, e += 4;
+      }
+      return e;
+    }, An = (t, e, r) => {
+      r = I(r);
+      var n, a, i, u, c;
+      e === 2 ? (n = bn, a = Cn, u = _n, i = () => dt, c = 1) : e === 4 && (n = Tn, a = Pn, u = En, i = () => _, c = 2), X(t, { name: r, fromWireType: (l) => {
+        for (var h = _[l >> 2], p = i(), y, g = l + 4, b = 0; b <= h; ++b) {
+          var T = l + 4 + b * e;
+          if (b == h || p[T >> c] == 0) {
+            var R = T - g, P = n(g, R);
+            y === void 0 ? y = P : (y += "\0", y += P), g = T + e;
+          }
+        }
+        return J(l), y;
+      }, toWireType: (l, h) => {
+        typeof h != "string" && C(`Cannot pass non-string to C++ string type ${r}`);
+        var p = u(h), y = Kt(4 + p + e);
+        return _[y >> 2] = p >> c, a(h, y + 4, p + e), l !== null && l.push(J, y), y;
+      }, argPackAdvance: q, readValueFromPointer: Bt, destructorFunction(l) {
+        J(l);
+      } });
+    }, Dn = (t, e, r, n, a, i) => {
+      _t[t] = { name: I(e), rawConstructor: N(r, n), rawDestructor: N(a, i), fields: [] };
+    }, xn = (t, e, r, n, a, i, u, c, l, h) => {
+      _t[t].fields.push({ fieldName: I(e), getterReturnType: r, getter: N(n, a), getterContext: i, setterArgumentType: u, setter: N(c, l), setterContext: h });
+    }, On = (t, e) => {
+      e = I(e), X(t, { isVoid: !0, name: e, argPackAdvance: 0, fromWireType: () => {
+      }, toWireType: (r, n) => {
+      } });
+    }, Fn = {}, Sn = (t) => {
+      var e = Fn[t];
+      return e === void 0 ? I(t) : e;
+    }, Me = () => {
+      if (typeof globalThis == "object")
+        return globalThis;
+      function t(e) {
+        e.$$$embind_global$$$ = e;
+        var r = typeof $$$embind_global$$$ == "object" && e.$$$embind_global$$$ == e;
+        return r || delete e.$$$embind_global$$$, r;
+      }
+      if (typeof $$$embind_global$$$ == "object" || (typeof global == "object" && t(global) ? $$$embind_global$$$ = global : typeof self == "object" && t(self) && ($$$embind_global$$$ = self), typeof $$$embind_global$$$ == "object"))
+        return $$$embind_global$$$;
+      throw Error("unable to get global object.");
+    }, Mn = (t) => t === 0 ? K.toHandle(Me()) : (t = Sn(t), K.toHandle(Me()[t])), In = (t) => {
+      t > 4 && (z.get(t).refcount += 1);
+    }, Rn = (t) => {
+      var e = new Array(t + 1);
+      return function(r, n, a) {
+        e[0] = r;
+        for (var i = 0; i < t; ++i) {
+          var u = qt(_[n + i * 4 >> 2], "parameter " + i);
+          e[i + 1] = u.readValueFromPointer(a), a += u.argPackAdvance;
+        }
+        var c = new (r.bind.apply(r, e))();
+        return K.toHandle(c);
+      };
+    }, Ie = {}, jn = (t, e, r, n) => {
+      t = K.toValue(t);
+      var a = Ie[e];
+      return a || (a = Rn(e), Ie[e] = a), a(t, r, n);
+    }, Wn = (t, e) => {
+      t = qt(t, "_emval_take_value");
+      var r = t.readValueFromPointer(e);
+      return K.toHandle(r);
+    }, kn = () => {
+      ft("");
+    }, Hn = (t, e, r) => k.copyWithin(t, e, e + r), Bn = () => 2147483648, Un = (t) => {
+      var e = tt.buffer, r = (t - e.byteLength + 65535) / 65536;
+      try {
+        return tt.grow(r), oe(), 1;
+      } catch {
+      }
+    }, Ln = (t) => {
+      var e = k.length;
+      t >>>= 0;
+      var r = Bn();
+      if (t > r)
+        return !1;
+      for (var n = (l, h) => l + (h - l % h) % h, a = 1; a <= 4; a *= 2) {
+        var i = e * (1 + 0.2 / a);
+        i = Math.min(i, t + 100663296);
+        var u = Math.min(r, n(Math.max(t, i), 65536)), c = Un(u);
+        if (c)
+          return !0;
+      }
+      return !1;
+    }, Jt = {}, Vn = () => H || "./this.program", gt = () => {
+      if (!gt.strings) {
+        var t = (typeof navigator == "object" && navigator.languages && navigator.languages[0] || "C").replace("-", "_") + ".UTF-8", e = { USER: "web_user", LOGNAME: "web_user", PATH: "/", PWD: "/", HOME: "/home/web_user", LANG: t, _: Vn() };
+        for (var r in Jt)
+          Jt[r] === void 0 ? delete e[r] : e[r] = Jt[r];
+        var n = [];
+        for (var r in e)
+          n.push(`${r}=${e[r]}`);
+        gt.strings = n;
+      }
+      return gt.strings;
+    }, Yn = (t, e) => {
+      for (var r = 0; r < t.length; ++r)
+        L[e++ >> 0] = t.charCodeAt(r);
+      L[e >> 0] = 0;
+    }, zn = (t, e) => {
+      var r = 0;
+      return gt().forEach((n, a) => {
+        var i = e + r;
+        _[t + a * 4 >> 2] = i, Yn(n, i), r += n.length + 1;
+      }), 0;
+    }, Nn = (t, e) => {
+      var r = gt();
+      _[t >> 2] = r.length;
+      var n = 0;
+      return r.forEach((a) => n += a.length + 1), _[e >> 2] = n, 0;
+    }, Gn = (t) => t, Ft = (t) => t % 4 === 0 && (t % 100 !== 0 || t % 400 === 0), Xn = (t, e) => {
+      for (var r = 0, n = 0; n <= e; r += t[n++])
+        ;
+      return r;
+    }, Re = [31, 29, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31], je = [31, 28, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31], qn = (t, e) => {
+      for (var r = new Date(t.getTime()); e > 0; ) {
+        var n = Ft(r.getFullYear()), a = r.getMonth(), i = (n ? Re : je)[a];
+        if (e > i - r.getDate())
+          e -= i - r.getDate() + 1, r.setDate(1), a < 11 ? r.setMonth(a + 1) : (r.setMonth(0), r.setFullYear(r.getFullYear() + 1));
+        else
+          return r.setDate(r.getDate() + e), r;
+      }
+      return r;
+    };
+    function Qn(t, e, r) {
+      var n = r > 0 ? r : Oe(t) + 1, a = new Array(n), i = xe(t, a, 0, a.length);
+      return e && (a.length = i), a;
+    }
+    var Zn = (t, e) => {
+      L.set(t, e);
+    }, Jn = (t, e, r, n) => {
+      var a = _[n + 40 >> 2], i = { tm_sec: W[n >> 2], tm_min: W[n + 4 >> 2], tm_hour: W[n + 8 >> 2], tm_mday: W[n + 12 >> 2], tm_mon: W[n + 16 >> 2], tm_year: W[n + 20 >> 2], tm_wday: W[n + 24 >> 2], tm_yday: W[n + 28 >> 2], tm_isdst: W[n + 32 >> 2], tm_gmtoff: W[n + 36 >> 2], tm_zone: a ? Zt(a) : "" }, u = Zt(r), c = { "%c": "%a %b %d %H:%M:%S %Y", "%D": "%m/%d/%y", "%F": "%Y-%m-%d", "%h": "%b", "%r": "%I:%M:%S %p", "%R": "%H:%M", "%T": "%H:%M:%S", "%x": "%m/%d/%y", "%X": "%H:%M:%S", "%Ec": "%c", "%EC": "%C", "%Ex": "%m/%d/%y", "%EX": "%H:%M:%S", "%Ey": "%y", "%EY": "%Y", "%Od": "%d", "%Oe": "%e", "%OH": "%H", "%OI": "%I", "%Om": "%m", "%OM": "%M", "%OS": "%S", "%Ou": "%u", "%OU": "%U", "%OV": "%V", "%Ow": "%w", "%OW": "%W", "%Oy": "%y" };
+      for (var l in c)
+        u = u.replace(new RegExp(l, "g"), c[l]);
+      var h = ["Sunday", "Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday"], p = ["January", "February", "March", "April", "May", "June", "July", "August", "September", "October", "November", "December"];
+      function y(d, m, S) {
+        for (var M = typeof d == "number" ? d.toString() : d || ""; M.length < m; )
+          M = S[0] + M;
+        return M;
+      }
+      function g(d, m) {
+        return y(d, m, "0");
+      }
+      function b(d, m) {
+        function S(at) {
+          return at < 0 ? -1 : at > 0 ? 1 : 0;
+        }
+        var M;
+        return (M = S(d.getFullYear() - m.getFullYear())) === 0 && (M = S(d.getMonth() - m.getMonth())) === 0 && (M = S(d.getDate() - m.getDate())), M;
+      }
+      function T(d) {
+        switch (d.getDay()) {
+          case 0:
+            return new Date(d.getFullYear() - 1, 11, 29);
+          case 1:
+            return d;
+          case 2:
+            return new Date(d.getFullYear(), 0, 3);
+          case 3:
+            return new Date(d.getFullYear(), 0, 2);
+          case 4:
+            return new Date(d.getFullYear(), 0, 1);
+          case 5:
+            return new Date(d.getFullYear() - 1, 11, 31);
+          case 6:
+            return new Date(d.getFullYear() - 1, 11, 30);
+        }
+      }
+      function R(d) {
+        var m = qn(new Date(d.tm_year + 1900, 0, 1), d.tm_yday), S = new Date(m.getFullYear(), 0, 4), M = new Date(m.getFullYear() + 1, 0, 4), at = T(S), Mt = T(M);
+        return b(at, m) <= 0 ? b(Mt, m) <= 0 ? m.getFullYear() + 1 : m.getFullYear() : m.getFullYear() - 1;
+      }
+      var P = { "%a": (d) => h[d.tm_wday].substring(0, 3), "%A": (d) => h[d.tm_wday], "%b": (d) => p[d.tm_mon].substring(0, 3), "%B": (d) => p[d.tm_mon], "%C": (d) => {
+        var m = d.tm_year + 1900;
+        return g(m / 100 | 0, 2);
+      }, "%d": (d) => g(d.tm_mday, 2), "%e": (d) => y(d.tm_mday, 2, " "), "%g": (d) => R(d).toString().substring(2), "%G": (d) => R(d), "%H": (d) => g(d.tm_hour, 2), "%I": (d) => {
+        var m = d.tm_hour;
+        return m == 0 ? m = 12 : m > 12 && (m -= 12), g(m, 2);
+      }, "%j": (d) => g(d.tm_mday + Xn(Ft(d.tm_year + 1900) ? Re : je, d.tm_mon - 1), 3), "%m": (d) => g(d.tm_mon + 1, 2), "%M": (d) => g(d.tm_min, 2), "%n": () => `
+`, "%p": (d) => d.tm_hour >= 0 && d.tm_hour < 12 ? "AM" : "PM", "%S": (d) => g(d.tm_sec, 2), "%t": () => "	", "%u": (d) => d.tm_wday || 7, "%U": (d) => {
+        var m = d.tm_yday + 7 - d.tm_wday;
+        return g(Math.floor(m / 7), 2);
+      }, "%V": (d) => {
+        var m = Math.floor((d.tm_yday + 7 - (d.tm_wday + 6) % 7) / 7);
+        if ((d.tm_wday + 371 - d.tm_yday - 2) % 7 <= 2 && m++, m) {
+          if (m == 53) {
+            var S = (d.tm_wday + 371 - d.tm_yday) % 7;
+            S != 4 && (S != 3 || !Ft(d.tm_year)) && (m = 1);
+          }
+        } else {
+          m = 52;
+          var M = (d.tm_wday + 7 - d.tm_yday - 1) % 7;
+          (M == 4 || M == 5 && Ft(d.tm_year % 400 - 1)) && m++;
+        }
+        return g(m, 2);
+      }, "%w": (d) => d.tm_wday, "%W": (d) => {
+        var m = d.tm_yday + 7 - (d.tm_wday + 6) % 7;
+        return g(Math.floor(m / 7), 2);
+      }, "%y": (d) => (d.tm_year + 1900).toString().substring(2), "%Y": (d) => d.tm_year + 1900, "%z": (d) => {
+        var m = d.tm_gmtoff, S = m >= 0;
+        return m = Math.abs(m) / 60, m = m / 60 * 100 + m % 60, (S ? "+" : "-") + ("0000" + m).slice(-4);
+      }, "%Z": (d) => d.tm_zone, "%%": () => "%" };
+      u = u.replace(/%%/g, "\0\0");
+      for (var l in P)
+        u.includes(l) && (u = u.replace(new RegExp(l, "g"), P[l](i)));
+      u = u.replace(/\0\0/g, "%");
+      var j = Qn(u, !1);
+      return j.length > e ? 0 : (Zn(j, t), j.length - 1);
+    }, Kn = (t, e, r, n, a) => Jn(t, e, r, n);
+    fe = s.InternalError = class extends Error {
+      constructor(t) {
+        super(t), this.name = "InternalError";
+      }
+    }, Fr(), ut = s.BindingError = class extends Error {
+      constructor(t) {
+        super(t), this.name = "BindingError";
+      }
+    }, Vr(), Hr(), Qr(), Te = s.UnboundTypeError = tn(Error, "UnboundTypeError"), an(), sn();
+    var ta = { s: $r, v: br, b: _r, g: Tr, q: Pr, I: Er, f: Ar, T: Dr, d: Cr, ba: xr, P: Or, Y: Mr, aa: en, $: rn, w: nn, X: un, x: ln, h: dn, K: fn, L: pn, t: yn, n: vn, J: $n, C: An, A: Dn, ca: xn, Z: On, ea: De, da: Mn, M: In, V: jn, _: Wn, B: kn, W: Hn, U: Ln, R: zn, S: Nn, D: ma, E: pa, m: ya, a: ea, e: oa, o: ua, k: aa, G: ha, u: la, F: fa, z: ga, O: $a, l: ia, j: sa, c: na, p: ra, H: da, r: va, i: ca, y: wa, N: Gn, Q: Kn }, E = wr(), J = s._free = (t) => (J = s._free = E.ha)(t), Kt = s._malloc = (t) => (Kt = s._malloc = E.ia)(t), We = (t) => (We = E.ka)(t);
+    s.__embind_initialize_bindings = () => (s.__embind_initialize_bindings = E.la)();
+    var A = (t, e) => (A = E.ma)(t, e), wt = (t) => (wt = E.na)(t), O = () => (O = E.oa)(), F = (t) => (F = E.pa)(t), ke = (t) => (ke = E.qa)(t), He = (t) => (He = E.ra)(t), Be = (t, e, r) => (Be = E.sa)(t, e, r), Ue = (t) => (Ue = E.ta)(t);
+    s.dynCall_viijii = (t, e, r, n, a, i, u) => (s.dynCall_viijii = E.ua)(t, e, r, n, a, i, u);
+    var Le = s.dynCall_jiiii = (t, e, r, n, a) => (Le = s.dynCall_jiiii = E.va)(t, e, r, n, a);
+    s.dynCall_iiiiij = (t, e, r, n, a, i, u) => (s.dynCall_iiiiij = E.wa)(t, e, r, n, a, i, u), s.dynCall_iiiiijj = (t, e, r, n, a, i, u, c, l) => (s.dynCall_iiiiijj = E.xa)(t, e, r, n, a, i, u, c, l), s.dynCall_iiiiiijj = (t, e, r, n, a, i, u, c, l, h) => (s.dynCall_iiiiiijj = E.ya)(t, e, r, n, a, i, u, c, l, h);
+    function ea(t, e) {
+      var r = O();
+      try {
+        return x(t)(e);
+      } catch (n) {
+        if (F(r), n !== n + 0)
+          throw n;
+        A(1, 0);
+      }
+    }
+    function ra(t, e, r, n) {
+      var a = O();
+      try {
+        x(t)(e, r, n);
+      } catch (i) {
+        if (F(a), i !== i + 0)
+          throw i;
+        A(1, 0);
+      }
+    }
+    function na(t, e, r) {
+      var n = O();
+      try {
+        x(t)(e, r);
+      } catch (a) {
+        if (F(n), a !== a + 0)
+          throw a;
+        A(1, 0);
+      }
+    }
+    function aa(t, e, r, n, a) {
+      var i = O();
+      try {
+        return x(t)(e, r, n, a);
+      } catch (u) {
+        if (F(i), u !== u + 0)
+          throw u;
+        A(1, 0);
+      }
+    }
+    function oa(t, e, r) {
+      var n = O();
+      try {
+        return x(t)(e, r);
+      } catch (a) {
+        if (F(n), a !== a + 0)
+          throw a;
+        A(1, 0);
+      }
+    }
+    function ia(t) {
+      var e = O();
+      try {
+        x(t)();
+      } catch (r) {
+        if (F(e), r !== r + 0)
+          throw r;
+        A(1, 0);
+      }
+    }
+    function sa(t, e) {
+      var r = O();
+      try {
+        x(t)(e);
+      } catch (n) {
+        if (F(r), n !== n + 0)
+          throw n;
+        A(1, 0);
+      }
+    }
+    function ua(t, e, r, n) {
+      var a = O();
+      try {
+        return x(t)(e, r, n);
+      } catch (i) {
+        if (F(a), i !== i + 0)
+          throw i;
+        A(1, 0);
+      }
+    }
+    function ca(t, e, r, n, a, i, u, c, l, h, p) {
+      var y = O();
+      try {
+        x(t)(e, r, n, a, i, u, c, l, h, p);
+      } catch (g) {
+        if (F(y), g !== g + 0)
+          throw g;
+        A(1, 0);
+      }
+    }
+    function la(t, e, r, n, a, i, u) {
+      var c = O();
+      try {
+        return x(t)(e, r, n, a, i, u);
+      } catch (l) {
+        if (F(c), l !== l + 0)
+          throw l;
+        A(1, 0);
+      }
+    }
+    function da(t, e, r, n, a) {
+      var i = O();
+      try {
+        x(t)(e, r, n, a);
+      } catch (u) {
+        if (F(i), u !== u + 0)
+          throw u;
+        A(1, 0);
+      }
+    }
+    function ha(t, e, r, n, a, i) {
+      var u = O();
+      try {
+        return x(t)(e, r, n, a, i);
+      } catch (c) {
+        if (F(u), c !== c + 0)
+          throw c;
+        A(1, 0);
+      }
+    }
+    function fa(t, e, r, n, a, i, u, c) {
+      var l = O();
+      try {
+        return x(t)(e, r, n, a, i, u, c);
+      } catch (h) {
+        if (F(l), h !== h + 0)
+          throw h;
+        A(1, 0);
+      }
+    }
+    function pa(t, e, r, n) {
+      var a = O();
+      try {
+        return x(t)(e, r, n);
+      } catch (i) {
+        if (F(a), i !== i + 0)
+          throw i;
+        A(1, 0);
+      }
+    }
+    function ma(t, e, r, n) {
+      var a = O();
+      try {
+        return x(t)(e, r, n);
+      } catch (i) {
+        if (F(a), i !== i + 0)
+          throw i;
+        A(1, 0);
+      }
+    }
+    function ya(t) {
+      var e = O();
+      try {
+        return x(t)();
+      } catch (r) {
+        if (F(e), r !== r + 0)
+          throw r;
+        A(1, 0);
+      }
+    }
+    function va(t, e, r, n, a, i, u, c) {
+      var l = O();
+      try {
+        x(t)(e, r, n, a, i, u, c);
+      } catch (h) {
+        if (F(l), h !== h + 0)
+          throw h;
+        A(1, 0);
+      }
+    }
+    function ga(t, e, r, n, a, i, u, c, l, h, p, y) {
+      var g = O();
+      try {
+        return x(t)(e, r, n, a, i, u, c, l, h, p, y);
+      } catch (b) {
+        if (F(g), b !== b + 0)
+          throw b;
+        A(1, 0);
+      }
+    }
+    function wa(t, e, r, n, a, i, u, c, l, h, p, y, g, b, T, R) {
+      var P = O();
+      try {
+        x(t)(e, r, n, a, i, u, c, l, h, p, y, g, b, T, R);
+      } catch (j) {
+        if (F(P), j !== j + 0)
+          throw j;
+        A(1, 0);
+      }
+    }
+    function $a(t, e, r, n, a) {
+      var i = O();
+      try {
+        return Le(t, e, r, n, a);
+      } catch (u) {
+        if (F(i), u !== u + 0)
+          throw u;
+        A(1, 0);
+      }
+    }
+    var St;
+    ht = function t() {
+      St || Ve(), St || (ht = t);
+    };
+    function Ve() {
+      if (et > 0 || (ur(), et > 0))
+        return;
+      function t() {
+        St || (St = !0, s.calledRun = !0, !lt && (cr(), w(s), s.onRuntimeInitialized && s.onRuntimeInitialized(), lr()));
+      }
+      s.setStatus ? (s.setStatus("Running..."), setTimeout(function() {
+        setTimeout(function() {
+          s.setStatus("");
+        }, 1), t();
+      }, 1)) : t();
+    }
+    if (s.preInit)
+      for (typeof s.preInit == "function" && (s.preInit = [s.preInit]); s.preInit.length > 0; )
+        s.preInit.pop()();
+    return Ve(), f.ready;
+  };
+})();
+function Ga(o) {
+  return re(
+    Rt,
+    o
+  );
+}
+function Za(o) {
+  return Ya(
+    Rt,
+    o
+  );
+}
+async function Xa(o, f) {
+  return za(
+    Rt,
+    o,
+    f
+  );
+}
+async function qa(o, f) {
+  return Na(
+    Rt,
+    o,
+    f
+  );
+}
+var ct;
+class Ja extends EventTarget {
+  constructor(s = {}) {
+    var w;
+    super();
+    ze(this, ct, void 0);
+    try {
+      const v = (w = s == null ? void 0 : s.formats) == null ? void 0 : w.filter(
+        ($) => $ !== "unknown"
+      );
+      if ((v == null ? void 0 : v.length) === 0)
+        throw new TypeError("Hint option provided, but is empty.");
+      v == null || v.forEach(($) => {
+        if (!It.has($))
+          throw new TypeError(
+            `Failed to read the 'formats' property from 'BarcodeDetectorOptions': The provided value '${$}' is not a valid enum value of type BarcodeFormat.`
+          );
+      }), Ne(this, ct, v != null ? v : []), Ga().then(($) => {
+        this.dispatchEvent(
+          new CustomEvent("load", {
+            detail: $
+          })
+        );
+      }).catch(($) => {
+        this.dispatchEvent(new CustomEvent("error", { detail: $ }));
+      });
+    } catch (v) {
+      throw Ge(
+        v,
+        "Failed to construct 'BarcodeDetector'"
+      );
+    }
+  }
+  static async getSupportedFormats() {
+    return ba.filter((s) => s !== "unknown");
+  }
+  async detect(s) {
+    try {
+      const w = await Da(s);
+      if (w === null)
+        return [];
+      let v;
+      try {
+        ar(w) ? v = await Xa(w, {
+          tryHarder: !0,
+          formats: te(this, ct).map(($) => It.get($))
+        }) : v = await qa(w, {
+          tryHarder: !0,
+          formats: te(this, ct).map(($) => It.get($))
+        });
+      } catch ($) {
+        throw console.error($), new DOMException(
+          "Barcode detection service unavailable.",
+          "NotSupportedError"
+        );
+      }
+      return v.map(($) => {
+        const {
+          topLeft: { x: H, y: V },
+          topRight: { x: B, y: D },
+          bottomLeft: { x: Y, y: G },
+          bottomRight: { x: U, y: Q }
+        } = $.position, tt = Math.min(H, B, Y, U), lt = Math.min(V, D, G, Q), jt = Math.max(H, B, Y, U), L = Math.max(V, D, G, Q);
+        return {
+          boundingBox: new DOMRectReadOnly(
+            tt,
+            lt,
+            jt - tt,
+            L - lt
+          ),
+          rawValue: $.text,
+          format: Ca($.format),
+          cornerPoints: [
+            {
+              x: H,
+              y: V
+            },
+            {
+              x: B,
+              y: D
+            },
+            {
+              x: U,
+              y: Q
+            },
+            {
+              x: Y,
+              y: G
+            }
+          ]
+        };
+      });
+    } catch (w) {
+      throw Ge(
+        w,
+        "Failed to execute 'detect' on 'BarcodeDetector'"
+      );
+    }
+  }
+}
+ct = new WeakMap();
+export {
+  Ja as BarcodeDetector,
+  Za as setZXingModuleOverrides
+};
@@ -78,10 +78,19 @@ export default defineConfig({
 
   /* Run your local dev server before starting the tests */
   /* NOTE: Using http-server instead of serve to avoid .html extension stripping */
-  webServer: {
-    command: 'npx http-server -p 3000 -g',
-    url: 'http://localhost:3000',
-    reuseExistingServer: !process.env.CI,
-    timeout: 120 * 1000,
-  },
+  /* The mock backend stands in for the PHP endpoint and Supabase (see tests/fixtures/mock-backend.js) */
+  webServer: [
+    {
+      command: 'npx http-server -p 3000 -g',
+      url: 'http://localhost:3000',
+      reuseExistingServer: !process.env.CI,
+      timeout: 120 * 1000,
+    },
+    {
+      command: 'node scripts/mock-backend.js',
+      url: 'http://localhost:3001/__mock/health',
+      reuseExistingServer: !process.env.CI,
+      timeout: 30 * 1000,
+    },
+  ],
 });
@@ -14,7 +14,8 @@ Write-Host "=== FVU Forms PHP Build Script ===" -ForegroundColor Cyan
 Write-Host ""
 
 # Files to convert
-$FormFiles = @("index.html", "upload.html", "analysis.html", "recovery.html")
+# (my-requests.html and verify.html read from Supabase, so they are not deployed)
+$FormFiles = @("index.html", "upload.html", "analysis.html", "recovery.html", "canvass.html")
 
 # Clean and create deploy directory
 if (Test-Path $DeployDir) {
@@ -69,7 +70,7 @@ if (Test-Path $AssetsSource) {
     Copy-Item -Path $AssetsSource -Destination $AssetsDest -Recurse
     Write-Host "  [OK] assets/ copied" -ForegroundColor Green
 
-# Copy lib folder (pdfmake)
+# Copy lib folder (pdfmake, barcode decoder)
 Write-Host ""
 Write-Host "Copying lib folder..." -ForegroundColor White
 $LibSource = Join-Path $SourceDir "lib"
@@ -82,7 +83,13 @@ if (Test-Path $LibSource) {
     # Remove files not needed in production
     $FilesToExclude = @(
         "js\dashboard-supabase.js",
-        "js\supabase.js"
+        "js\dashboard-analytics.js",
+        "js\supabase.js",
+        "js\my-requests.js",
+        "js\verify-submission.js",
+        "js\submission-workflow.js",
+        "js\submission-filters.js",
+        "js\workload-report.js"
     )
 
     Write-Host ""
@@ -103,8 +110,10 @@ $ConfigPath = Join-Path $AssetsDest "js\config.js"
 if (Test-Path $ConfigPath) {
     $configContent = Get-Content -Path $ConfigPath -Raw
 
-    # Set USE_SUPABASE to false
+    # Set USE_SUPABASE to false and submit to the PHP endpoint only
+    # (supabase-transport.js stays - it only loads supabase.js when used)
     $configContent = $configContent -replace 'USE_SUPABASE:\s*true', 'USE_SUPABASE: false'
+    $configContent = $configContent -replace 'SUBMISSION_TARGETS:\s*\[[^\]]*\]', "SUBMISSION_TARGETS: ['php']"
 
     # Update PWA paths for production
     $configContent = $configContent -replace "SW_PATH: '/sw\.js'", "SW_PATH: '/ext/intake/sw.js'"
@@ -112,18 +121,10 @@ if (Test-Path $ConfigPath) {
 
     Set-Content -Path $ConfigPath -Value $configContent -NoNewline
     Write-Host "  [OK] USE_SUPABASE set to false" -ForegroundColor Green
+    Write-Host "  [OK] SUBMISSION_TARGETS set to php" -ForegroundColor Green
     Write-Host "  [OK] PWA paths updated for production" -ForegroundColor Green
 }
 
-# Remove supabase import from api-client.js
-$ApiClientPath = Join-Path $AssetsDest "js\api-client.js"
-if (Test-Path $ApiClientPath) {
-    $apiContent = Get-Content -Path $ApiClientPath -Raw
-    $apiContent = $apiContent -replace "import \{ submitToSupabase \} from './supabase\.js';", "// import { submitToSupabase } from './supabase.js'; // Removed for production"
-    Set-Content -Path $ApiClientPath -Value $apiContent -NoNewline
-    Write-Host "  [OK] Removed supabase import from api-client.js" -ForegroundColor Green
-}
-
 # Convert .html links to .php in header-component.js
 $HeaderPath = Join-Path $AssetsDest "js\header-component.js"
 if (Test-Path $HeaderPath) {
@@ -223,6 +224,7 @@ if (Test-Path $SwFile) {
     $content = $content -replace "'/upload\.php'", "'$ProductionPath/upload.php'"
     $content = $content -replace "'/analysis\.php'", "'$ProductionPath/analysis.php'"
     $content = $content -replace "'/recovery\.php'", "'$ProductionPath/recovery.php'"
+    $content = $content -replace "'/canvass\.php'", "'$ProductionPath/canvass.php'"
     # Asset paths (CSS, JS, images, lib)
     $content = $content -replace "'/assets/", "'$ProductionPath/assets/"
     $content = $content -replace "'/lib/", "'$ProductionPath/lib/"
@@ -244,7 +246,7 @@ if (Test-Path $PwaRegisterFile) {
 }
 
 # Update PHP files with PWA paths
-$PhpFiles = @("index.php", "upload.php", "analysis.php", "recovery.php")
+$PhpFiles = @("index.php", "upload.php", "analysis.php", "recovery.php", "canvass.php")
 foreach ($phpFile in $PhpFiles) {
     $PhpPath = Join-Path $DeployDir $phpFile
     if (Test-Path $PhpPath) {
@@ -274,10 +276,11 @@ Files included:
 - upload.php
 - analysis.php
 - recovery.php
+- canvass.php
 - manifest.json (PWA)
 - sw.js (Service Worker)
 - assets/ (CSS, JS, images, icons)
-- lib/ (pdfmake)
+- lib/ (pdfmake, barcode decoder)
 
 PWA Configuration:
 - Service Worker: sw.js (cache version in file)
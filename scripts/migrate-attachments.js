@@ -0,0 +1,170 @@
+/**
+ * Attachment Migration
+ * Moves base64 PDF/JSON attachments stored in form_submissions.attachments
+ * into the attachment Storage bucket, keyed by submission ID, and rewrites
+ * each row to keep only { type, filename, size, sha256, path }
+ *
+ * Apply supabase/migrations/20261019000400_attachment_storage.sql first.
+ * Safe to re-run: migrated rows are skipped and uploads overwrite any file
+ * left behind by an interrupted run
+ *
+ * No dependencies - Node 18+ built-ins only
+ *
+ * Usage:
+ *   SUPABASE_URL=https://<project>.supabase.co \
+ *   SUPABASE_SERVICE_ROLE_KEY=<key> \
+ *   node scripts/migrate-attachments.js [--dry-run]
+ *
+ *   ATTACHMENT_BUCKET overrides the bucket (default submission-attachments,
+ *   as CONFIG.ATTACHMENT_STORAGE.BUCKET)
+ */
+
+const crypto = require('crypto');
+
+const TABLE = 'form_submissions';
+const DEFAULT_BUCKET = 'submission-attachments';
+const BATCH_SIZE = 100;
+
+const MIME_TYPES = {
+  pdf: 'application/pdf',
+  json: 'application/json'
+};
+
+/**
+ * Call the Supabase REST or Storage API
+ * @param {Object} options - { url, key }
+ * @param {string} method - HTTP method
+ * @param {string} path - Path below the project URL
+ * @param {Object} init - { body, headers }
+ * @returns {Promise<*>} Parsed JSON body, or null when empty
+ */
+async function request({ url, key }, method, path, { body, headers = {} } = {}) {
+  const response = await fetch(`${url}${path}`, {
+    method,
+    body,
+    headers: { apikey: key, Authorization: `Bearer ${key}`, ...headers }
+  });
+
+  const text = await response.text();
+  if (!response.ok) {
+    throw new Error(`${method} ${path} failed with ${response.status}: ${text}`);
+  }
+  return text ? JSON.parse(text) : null;
+}
+
+/**
+ * Storage path for an attachment
+ * @param {string} submissionId
+ * @param {Object} attachment - Stored attachment
+ * @returns {string} e.g. '<id>/upload_1718000000000.pdf'
+ */
+function getAttachmentPath(submissionId, attachment) {
+  return `${submissionId}/${attachment.filename || `submission_${submissionId}.${attachment.type}`}`;
+}
+
+/**
+ * Upload one base64 attachment and return its metadata
+ * @param {Object} api - { url, key }
+ * @param {string} bucket - Storage bucket
+ * @param {string} submissionId
+ * @param {Object} attachment - { type, filename, data, size }
+ * @param {boolean} dryRun - Skip the upload
+ * @returns {Promise<Object>} { type, filename, size, sha256, path }
+ */
+async function moveAttachment(api, bucket, submissionId, attachment, dryRun) {
+  const content = Buffer.from(attachment.data, 'base64');
+  const path = getAttachmentPath(submissionId, attachment);
+
+  if (!dryRun) {
+    await request(api, 'POST', `/storage/v1/object/${bucket}/${path}`, {
+      body: content,
+      headers: {
+        'Content-Type': MIME_TYPES[attachment.type] || 'application/octet-stream',
+        'x-upsert': 'true'
+      }
+    });
+  }
+
+  return {
+    type: attachment.type,
+    filename: attachment.filename,
+    size: content.length,
+    sha256: crypto.createHash('sha256').update(content).digest('hex'),
+    path
+  };
+}
+
+/**
+ * Migrate every row that still holds base64 attachment data
+ * @param {Object} options - { url, key, bucket, dryRun, log }
+ * @returns {Promise<Object>} { rows, migrated, files, failed }
+ */
+async function migrateAttachments({ url, key, bucket = DEFAULT_BUCKET, dryRun = false, log = console.log }) {
+  const api = { url: url.replace(/\/+$/, ''), key };
+  const summary = { rows: 0, migrated: 0, files: 0, failed: 0 };
+
+  // Migrated rows stay in the listing, so offset paging is stable
+  for (let offset = 0; ; offset += BATCH_SIZE) {
+    const rows = await request(api, 'GET',
+      `/rest/v1/${TABLE}?select=id,attachments&order=submitted_at.asc,id.asc&limit=${BATCH_SIZE}&offset=${offset}`);
+
+    for (const row of rows) {
+      summary.rows++;
+      const attachments = Array.isArray(row.attachments) ? row.attachments : [];
+      if (!attachments.some(attachment => typeof attachment.data === 'string')) continue;
+
+      try {
+        const moved = [];
+        for (const attachment of attachments) {
+          moved.push(typeof attachment.data === 'string'
+            ? await moveAttachment(api, bucket, row.id, attachment, dryRun)
+            : attachment);
+        }
+
+        if (!dryRun) {
+          await request(api, 'PATCH', `/rest/v1/${TABLE}?id=eq.${row.id}`, {
+            body: JSON.stringify({ attachments: moved }),
+            headers: { 'Content-Type': 'application/json', Prefer: 'return=minimal' }
+          });
+        }
+
+        summary.migrated++;
+        summary.files += moved.length - attachments.filter(attachment => typeof attachment.data !== 'string').length;
+        log(`${dryRun ? '[dry run] ' : ''}${row.id}: ${moved.map(attachment => attachment.path).join(', ')}`);
+      } catch (error) {
+        summary.failed++;
+        log(`${row.id}: FAILED - ${error.message}`);
+      }
+    }
+
+    if (rows.length < BATCH_SIZE) break;
+  }
+
+  return summary;
+}
+
+module.exports = { migrateAttachments, getAttachmentPath };
+
+// Run directly: node scripts/migrate-attachments.js [--dry-run]
+if (require.main === module) {
+  const url = process.env.SUPABASE_URL;
+  const key = process.env.SUPABASE_SERVICE_ROLE_KEY;
+
+  if (!url || !key) {
+    console.error('Set SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY');
+    process.exit(1);
+  }
+
+  migrateAttachments({
+    url,
+    key,
+    bucket: process.env.ATTACHMENT_BUCKET || DEFAULT_BUCKET,
+    dryRun: process.argv.includes('--dry-run')
+  }).then(summary => {
+    console.log(`Checked ${summary.rows} rows: ${summary.migrated} migrated (${summary.files} files), ${summary.failed} failed`);
+    process.exitCode = summary.failed > 0 ? 1 : 0;
+  }).catch(error => {
+    console.error('Migration failed:', error.message);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,1073 @@
+/**
+ * Mock Backend
+ * Deterministic local stand-in for the third-party PHP endpoint
+ * (rfs_request_process.php) and the Supabase form_submissions and
+ * submission_events REST/realtime surface, the workflow RPC functions and
+ * attachment Storage, for development and tests
+ *
+ * No dependencies - Node 18+ built-ins only
+ *
+ * Usage:
+ *   node scripts/mock-backend.js          (port 3001, or MOCK_BACKEND_PORT)
+ *
+ * Point the app at it (development only), then reload:
+ *   localStorage.setItem('fvu_mock_backend', 'http://localhost:3001')
+ *
+ * Control API:
+ *   POST /__mock/failures     { mode, target, times, occNumber }
+ *     mode:      'timeout' | '429' | '500' | 'malformed' | 'offline'
+ *     target:    'php' | 'supabase' | '*'   (default '*')
+ *     times:     how many matching requests fail (default 1)
+ *     occNumber: only fail submissions for this occurrence number, so
+ *                parallel tests don't consume each other's failures
+ *   POST /__mock/reset        clear submissions, events, files, failures and counters
+ *   GET  /__mock/submissions  everything received, in order
+ *   GET  /__mock/events       submission_events rows, in order
+ *   GET  /__mock/objects      stored files (bucket, path, contentType, size, sha256)
+ *   GET  /__mock/health       liveness check
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+
+const DEFAULT_PORT = 3001;
+const TABLE = 'form_submissions';
+
+// Column defaults the real tables fill in on insert
+const TABLE_DEFAULTS = {
+  form_submissions: (values, now) => ({
+    status: 'pending',
+    ...values,
+    id: values.id || crypto.randomUUID(),
+    submitted_at: values.submitted_at || now,
+    updated_at: now
+  }),
+  submission_events: (values, now) => ({
+    ...values,
+    id: values.id || crypto.randomUUID(),
+    created_at: values.created_at || now
+  })
+};
+const FAILURE_MODES = ['timeout', '429', '500', 'malformed', 'offline'];
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+// Fields the PHP endpoint rejects a request without
+const PHP_REQUIRED_FIELDS = ['formType', 'rName', 'badge', 'requestingEmail', 'occNumber'];
+
+const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'GET, HEAD, POST, PUT, PATCH, DELETE, OPTIONS',
+  'Access-Control-Allow-Headers': '*',
+  'Access-Control-Expose-Headers': 'Content-Range'
+};
+
+// ===== HTTP HELPERS =====
+
+/**
+ * Send a JSON response
+ * @param {http.ServerResponse} res
+ * @param {number} status - HTTP status
+ * @param {*} body - Serialisable body (undefined for no body)
+ * @param {Object} headers - Extra headers
+ */
+function sendJson(res, status, body, headers = {}) {
+  res.writeHead(status, { ...CORS_HEADERS, 'Content-Type': 'application/json', ...headers });
+  res.end(body === undefined ? '' : JSON.stringify(body));
+}
+
+/**
+ * Read the full request body
+ * @param {http.IncomingMessage} req
+ * @returns {Promise<Buffer>}
+ */
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Parse a multipart/form-data body with the built-in Fetch API
+ * @param {http.IncomingMessage} req
+ * @param {Buffer} body
+ * @returns {Promise<FormData>}
+ */
+function parseMultipart(req, body) {
+  return new Request('http://mock-backend/', {
+    method: 'POST',
+    headers: { 'Content-Type': req.headers['content-type'] || '' },
+    body
+  }).formData();
+}
+
+// ===== POSTGREST FILTERS =====
+
+/**
+ * Build a row predicate from PostgREST query filters (col=op.value)
+ * Supports eq, neq, gt, gte, lt, lte, like, ilike, in, is and cs (JSON
+ * containment), plus
+ * or=(col.op.value,...) groups
+ * @param {URLSearchParams} params - Query string
+ * @returns {Function} row => boolean
+ */
+function buildFilter(params) {
+  const reserved = ['select', 'order', 'limit', 'offset', 'columns', 'on_conflict'];
+  const conditions = [];
+
+  params.forEach((expression, column) => {
+    if (reserved.includes(column)) return;
+
+    if (column === 'or') {
+      const alternatives = expression.replace(/^\(|\)$/g, '').split(',').map(item => {
+        const dot = item.indexOf('.');
+        return parseCondition(item.slice(0, dot), item.slice(dot + 1));
+      });
+      conditions.push(row => alternatives.some(condition => condition(row)));
+      return;
+    }
+
+    conditions.push(parseCondition(column, expression));
+  });
+
+  return row => conditions.every(condition => condition(row));
+}
+
+/**
+ * Parse one column filter (op.value) into a row predicate
+ * @param {string} column - Column name
+ * @param {string} expression - Operator and value, e.g. eq.pending
+ * @returns {Function} row => boolean
+ */
+function parseCondition(column, expression) {
+  const dot = expression.indexOf('.');
+  const op = expression.slice(0, dot);
+  const value = expression.slice(dot + 1);
+
+  return row => matchCondition(row[column], op, value);
+}
+
+/**
+ * Evaluate one PostgREST operator
+ * @param {*} actual - Row value
+ * @param {string} op - Operator
+ * @param {string} value - Raw filter value
+ * @returns {boolean}
+ */
+function matchCondition(actual, op, value) {
+  const text = actual === null || actual === undefined ? null : String(actual);
+
+  switch (op) {
+    case 'eq': return text === value;
+    case 'neq': return text !== value;
+    case 'gt': return text !== null && text > value;
+    case 'gte': return text !== null && text >= value;
+    case 'lt': return text !== null && text < value;
+    case 'lte': return text !== null && text <= value;
+    case 'like':
+    case 'ilike': {
+      const pattern = value.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/[*%]/g, '.*');
+      return text !== null && new RegExp(`^${pattern}$`, op === 'ilike' ? 'i' : '').test(text);
+    }
+    case 'in': {
+      const list = value.replace(/^\(|\)$/g, '').split(',').map(item => item.replace(/^"|"$/g, ''));
+      return list.includes(text);
+    }
+    case 'is': return value === 'null' ? text === null : text === value;
+    case 'cs': {
+      try {
+        return jsonContains(actual, JSON.parse(value));
+      } catch (error) {
+        return false;
+      }
+    }
+    default: return false;
+  }
+}
+
+/**
+ * jsonb @> - every part of expected is present in actual
+ * @param {*} actual - Row value
+ * @param {*} expected - Parsed filter value
+ * @returns {boolean}
+ */
+function jsonContains(actual, expected) {
+  if (Array.isArray(expected)) {
+    return Array.isArray(actual) &&
+      expected.every(item => actual.some(candidate => jsonContains(candidate, item)));
+  }
+
+  if (expected !== null && typeof expected === 'object') {
+    return actual !== null && typeof actual === 'object' && !Array.isArray(actual) &&
+      Object.entries(expected).every(([key, value]) => jsonContains(actual[key], value));
+  }
+
+  return actual === expected;
+}
+
+/**
+ * Apply order, offset and limit
+ * @param {Object[]} rows
+ * @param {URLSearchParams} params
+ * @returns {Object[]}
+ */
+function applyOrdering(rows, params) {
+  const sorted = [...rows];
+  const order = params.get('order');
+
+  if (order) {
+    // Postgres puts nulls last ascending and first descending unless told otherwise
+    const clauses = order.split(',').map(clause => {
+      const [column, direction = 'asc', nulls] = clause.split('.');
+      const descending = direction === 'desc';
+      return { column, descending, nullsFirst: nulls ? nulls === 'nullsfirst' : descending };
+    });
+
+    sorted.sort((a, b) => {
+      for (const { column, descending, nullsFirst } of clauses) {
+        const aNull = a[column] === null || a[column] === undefined;
+        const bNull = b[column] === null || b[column] === undefined;
+        if (aNull && bNull) continue;
+        if (aNull || bNull) return aNull === nullsFirst ? -1 : 1;
+
+        if (a[column] === b[column]) continue;
+        const result = a[column] > b[column] ? 1 : -1;
+        return descending ? -result : result;
+      }
+      return 0;
+    });
+  }
+
+  const offset = Number(params.get('offset') || 0);
+  const limit = params.has('limit') ? Number(params.get('limit')) : sorted.length;
+  return sorted.slice(offset, offset + limit);
+}
+
+// ===== WEBSOCKET (realtime) =====
+
+/**
+ * Encode a server-to-client text frame
+ * @param {string} text
+ * @returns {Buffer}
+ */
+function encodeFrame(text) {
+  const payload = Buffer.from(text);
+  let header;
+
+  if (payload.length < 126) {
+    header = Buffer.from([0x81, payload.length]);
+  } else if (payload.length < 65536) {
+    header = Buffer.alloc(4);
+    header[0] = 0x81;
+    header[1] = 126;
+    header.writeUInt16BE(payload.length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[0] = 0x81;
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(payload.length), 2);
+  }
+
+  return Buffer.concat([header, payload]);
+}
+
+/**
+ * Decode complete client frames from a buffer
+ * @param {Buffer} buffer - Received bytes
+ * @returns {{ frames: Array<{opcode: number, payload: Buffer}>, rest: Buffer }}
+ */
+function decodeFrames(buffer) {
+  const frames = [];
+  let offset = 0;
+
+  while (buffer.length - offset >= 2) {
+    const opcode = buffer[offset] & 0x0f;
+    const masked = (buffer[offset + 1] & 0x80) !== 0;
+    let length = buffer[offset + 1] & 0x7f;
+    let cursor = offset + 2;
+
+    if (length === 126) {
+      if (buffer.length < cursor + 2) break;
+      length = buffer.readUInt16BE(cursor);
+      cursor += 2;
+    } else if (length === 127) {
+      if (buffer.length < cursor + 8) break;
+      length = Number(buffer.readBigUInt64BE(cursor));
+      cursor += 8;
+    }
+
+    const maskLength = masked ? 4 : 0;
+    if (buffer.length < cursor + maskLength + length) break;
+
+    const mask = masked ? buffer.subarray(cursor, cursor + 4) : null;
+    cursor += maskLength;
+
+    const payload = Buffer.from(buffer.subarray(cursor, cursor + length));
+    if (mask) {
+      for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i % 4];
+    }
+
+    frames.push({ opcode, payload });
+    offset = cursor + length;
+  }
+
+  return { frames, rest: buffer.subarray(offset) };
+}
+
+// ===== SERVER =====
+
+/**
+ * Create a mock backend instance
+ * @returns {{ server: http.Server, listen: Function, close: Function, state: Object }}
+ */
+function createMockBackend() {
+  const state = {
+    submissions: [],
+    events: [],
+    objects: [],
+    failures: [],
+    ticketCounter: 0
+  };
+
+  // Realtime sockets and their channel subscriptions
+  const sockets = new Set();
+  const heldRequests = new Set();
+  let bindingCounter = 0;
+
+  // ----- Failure injection -----
+
+  /**
+   * Find and consume a failure rule for this request
+   * @param {string} target - 'php' or 'supabase'
+   * @param {string|null} occNumber - Occurrence number in the request, if any
+   * @returns {Object|null} Rule
+   */
+  function takeFailure(target, occNumber) {
+    const rule = state.failures.find(candidate =>
+      (candidate.target === '*' || candidate.target === target) &&
+      (!candidate.occNumber || candidate.occNumber === occNumber)
+    );
+
+    if (!rule) return null;
+
+    rule.times--;
+    if (rule.times <= 0) {
+      state.failures.splice(state.failures.indexOf(rule), 1);
+    }
+    return rule;
+  }
+
+  /**
+   * Respond according to a failure mode
+   * @param {http.IncomingMessage} req
+   * @param {http.ServerResponse} res
+   * @param {string} mode - Failure mode
+   */
+  function fail(req, res, mode) {
+    switch (mode) {
+      case 'timeout':
+        // Hold the request open until the client gives up or the server resets
+        heldRequests.add(res);
+        res.on('close', () => heldRequests.delete(res));
+        return;
+      case 'offline':
+        req.socket.destroy();
+        return;
+      case '429':
+        sendJson(res, 429, { success: false, message: 'Too many requests' }, { 'Retry-After': '1' });
+        return;
+      case '500':
+        sendJson(res, 500, { success: false, message: 'Internal server error' });
+        return;
+      case 'malformed':
+        // What a PHP warning in front of the JSON looks like
+        res.writeHead(200, { ...CORS_HEADERS, 'Content-Type': 'text/html' });
+        res.end('<br />\n<b>Warning</b>:  Undefined index: occDate in <b>rfs_request_process.php</b><br />\n{"success":tr');
+        return;
+    }
+  }
+
+  // ----- Realtime -----
+
+  /**
+   * Broadcast a row change to matching postgres_changes subscriptions
+   * @param {string} table - Table the row belongs to
+   * @param {string} eventType - INSERT, UPDATE or DELETE
+   * @param {Object} record - New row ({} for DELETE)
+   * @param {Object} oldRecord - Previous row ({} for INSERT)
+   */
+  function broadcast(table, eventType, record, oldRecord = {}) {
+    const row = eventType === 'DELETE' ? oldRecord : record;
+
+    sockets.forEach(socket => {
+      socket.channels.forEach(channel => {
+        const ids = channel.bindings
+          .filter(binding =>
+            binding.table === table &&
+            (binding.event === '*' || binding.event === eventType) &&
+            (!binding.filter || buildFilter(new URLSearchParams(binding.filter))(row)))
+          .map(binding => binding.id);
+
+        if (ids.length === 0) return;
+
+        socket.push(channel.topic, 'postgres_changes', {
+          ids,
+          data: {
+            schema: 'public',
+            table,
+            commit_timestamp: new Date().toISOString(),
+            type: eventType,
+            columns: [],
+            record,
+            old_record: oldRecord,
+            errors: null
+          }
+        }, null, channel.joinRef);
+      });
+    });
+  }
+
+  /**
+   * Handle a Phoenix channel message from a realtime client
+   * @param {Object} socket - Socket wrapper
+   * @param {Object} message - { join_ref, ref, topic, event, payload }
+   */
+  function handleChannelMessage(socket, message) {
+    const { topic, event, payload, ref } = message;
+    const joinRef = message.join_ref;
+
+    if (topic === 'phoenix' && event === 'heartbeat') {
+      socket.push(topic, 'phx_reply', { status: 'ok', response: {} }, ref);
+      return;
+    }
+
+    if (event === 'phx_join') {
+      const requested = payload?.config?.postgres_changes || [];
+      const bindings = requested.map(binding => ({ ...binding, id: ++bindingCounter }));
+
+      socket.channels.set(topic, { topic, joinRef, bindings });
+      socket.push(topic, 'phx_reply', {
+        status: 'ok',
+        response: { postgres_changes: bindings }
+      }, ref, joinRef);
+      socket.push(topic, 'system', {
+        status: 'ok',
+        message: 'Subscribed to PostgreSQL',
+        extension: 'postgres_changes',
+        channel: topic.replace(/^realtime:/, '')
+      }, null, joinRef);
+      return;
+    }
+
+    if (event === 'phx_leave') {
+      socket.channels.delete(topic);
+      socket.push(topic, 'phx_reply', { status: 'ok', response: {} }, ref, joinRef);
+      return;
+    }
+
+    // access_token, broadcast, presence - acknowledge and ignore
+    if (ref) {
+      socket.push(topic, 'phx_reply', { status: 'ok', response: {} }, ref, joinRef);
+    }
+  }
+
+  /**
+   * Accept a realtime websocket connection
+   * Speaks both Phoenix serializers: 1.0.0 (objects) and 2.0.0 (arrays)
+   * @param {http.IncomingMessage} req
+   * @param {net.Socket} rawSocket
+   */
+  function handleUpgrade(req, rawSocket) {
+    const url = new URL(req.url, 'http://mock-backend');
+
+    if (url.pathname !== '/realtime/v1/websocket') {
+      rawSocket.destroy();
+      return;
+    }
+
+    const accept = crypto.createHash('sha1')
+      .update(req.headers['sec-websocket-key'] + WEBSOCKET_GUID)
+      .digest('base64');
+
+    rawSocket.write([
+      'HTTP/1.1 101 Switching Protocols',
+      'Upgrade: websocket',
+      'Connection: Upgrade',
+      `Sec-WebSocket-Accept: ${accept}`,
+      '',
+      ''
+    ].join('\r\n'));
+
+    const arrayFormat = url.searchParams.get('vsn') === '2.0.0';
+
+    const socket = {
+      channels: new Map(),
+      push(topic, event, payload, ref = null, joinRef = null) {
+        const message = arrayFormat
+          ? [joinRef, ref, topic, event, payload]
+          : { topic, event, payload, ref, join_ref: joinRef };
+        rawSocket.write(encodeFrame(JSON.stringify(message)));
+      },
+      close() {
+        rawSocket.end(Buffer.from([0x88, 0x00]));
+      }
+    };
+
+    sockets.add(socket);
+
+    let pending = Buffer.alloc(0);
+
+    rawSocket.on('data', chunk => {
+      const { frames, rest } = decodeFrames(Buffer.concat([pending, chunk]));
+      pending = rest;
+
+      frames.forEach(({ opcode, payload }) => {
+        if (opcode === 0x8) {
+          socket.close();
+          return;
+        }
+
+        if (opcode === 0x9) {
+          rawSocket.write(Buffer.concat([Buffer.from([0x8a, payload.length]), payload]));
+          return;
+        }
+
+        if (opcode !== 0x1) return;
+
+        try {
+          const decoded = JSON.parse(payload.toString());
+          const message = Array.isArray(decoded)
+            ? { join_ref: decoded[0], ref: decoded[1], topic: decoded[2], event: decoded[3], payload: decoded[4] }
+            : decoded;
+          handleChannelMessage(socket, message);
+        } catch (error) {
+          console.error('[MockBackend] Bad realtime message:', error.message);
+        }
+      });
+    });
+
+    rawSocket.on('close', () => sockets.delete(socket));
+    rawSocket.on('error', () => sockets.delete(socket));
+  }
+
+  // ----- PHP endpoint -----
+
+  /**
+   * POST /rfs_request_process.php - multipart submission
+   */
+  async function handlePhpSubmission(req, res, body) {
+    let form;
+    try {
+      form = await parseMultipart(req, body);
+    } catch (error) {
+      sendJson(res, 400, { success: false, message: 'Invalid form data' });
+      return;
+    }
+
+    const failure = takeFailure('php', form.get('occNumber'));
+    if (failure) {
+      fail(req, res, failure.mode);
+      return;
+    }
+
+    const missing = PHP_REQUIRED_FIELDS.filter(field => !form.get(field));
+    if (!form.get('fileAttachmentA')) missing.push('fileAttachmentA');
+    if (!form.get('fileAttachmentB')) missing.push('fileAttachmentB');
+
+    if (missing.length > 0) {
+      sendJson(res, 400, { success: false, message: 'Missing required fields', fields: missing });
+      return;
+    }
+
+    const fields = {};
+    const files = {};
+    form.forEach((value, key) => {
+      if (typeof value === 'string') {
+        fields[key] = value;
+      } else {
+        files[key] = { name: value.name, size: value.size, type: value.type };
+      }
+    });
+
+    const ticketNumber = `MOCK-${String(++state.ticketCounter).padStart(6, '0')}`;
+    state.submissions.push({ target: 'php', ticketNumber, fields, files, receivedAt: new Date().toISOString() });
+
+    sendJson(res, 200, { success: true, message: 'Ticket created successfully', ticketNumber });
+  }
+
+  // ----- Supabase REST -----
+
+  /**
+   * Get the stored rows of a REST table
+   * @param {string} table - form_submissions or submission_events
+   * @returns {Object[]} Row records (live references)
+   */
+  function getRows(table) {
+    if (table === TABLE) {
+      return state.submissions.filter(row => row.target === 'supabase').map(row => row.record);
+    }
+    return state.events;
+  }
+
+  /**
+   * Update matching submissions and record an event for each, like the
+   * workflow functions in supabase/migrations
+   * @param {Function} matches - Row predicate
+   * @param {Object} changes - Column values to set
+   * @param {Object} event - submission_events values (without submission_id)
+   * @returns {Object[]} Updated rows
+   */
+  function updateWithEvent(matches, changes, event) {
+    const now = new Date().toISOString();
+
+    return getRows(TABLE).filter(matches).map(record => {
+      const oldRecord = { ...record };
+      Object.assign(record, changes, { updated_at: now });
+      broadcast(TABLE, 'UPDATE', record, oldRecord);
+
+      const inserted = TABLE_DEFAULTS.submission_events({ ...event, submission_id: record.id }, now);
+      state.events.push(inserted);
+      broadcast('submission_events', 'INSERT', inserted);
+
+      return record;
+    });
+  }
+
+  // /rest/v1/rpc/<name> - returns the updated rows (none if nothing matched)
+  const RPC_FUNCTIONS = {
+    transition_submission_status: (args) => updateWithEvent(
+      row => row.id === args.p_submission_id && row.status === args.p_from_status,
+      { status: args.p_to_status, status_reason: args.p_reason },
+      {
+        event_type: 'status',
+        from_status: args.p_from_status,
+        to_status: args.p_to_status,
+        reason: args.p_reason,
+        actor: args.p_actor
+      }
+    ),
+    assign_submission: (args) => updateWithEvent(
+      row => row.id === args.p_submission_id,
+      { assigned_to: args.p_to_assigned_to },
+      {
+        event_type: 'assign',
+        from_assigned_to: args.p_from_assigned_to,
+        assigned_to: args.p_to_assigned_to,
+        actor: args.p_actor
+      }
+    )
+  };
+
+  /**
+   * /rest/v1/<table> and /rest/v1/rpc/<name> - PostgREST subset used by supabase-js
+   */
+  async function handleRest(req, res, url, body) {
+    const table = url.pathname.replace('/rest/v1/', '');
+
+    let payload = null;
+    if (body.length > 0) {
+      try {
+        payload = JSON.parse(body.toString());
+      } catch (error) {
+        sendJson(res, 400, { code: 'PGRST102', message: 'Invalid JSON body', details: null, hint: null });
+        return;
+      }
+    }
+
+    const occNumber = Array.isArray(payload) ? payload[0]?.occ_number : payload?.occ_number;
+    const failure = takeFailure('supabase', occNumber || null);
+    if (failure) {
+      fail(req, res, failure.mode);
+      return;
+    }
+
+    const rpc = table.startsWith('rpc/') ? RPC_FUNCTIONS[table.slice('rpc/'.length)] : null;
+
+    if (!TABLE_DEFAULTS[table] && !rpc) {
+      sendJson(res, 404, { code: '42P01', message: `relation "public.${table}" does not exist`, details: null, hint: null });
+      return;
+    }
+
+    const prefer = req.headers.prefer || '';
+    const wantsObject = (req.headers.accept || '').includes('application/vnd.pgrst.object+json');
+    const wantsRows = prefer.includes('return=representation');
+    const matches = buildFilter(url.searchParams);
+    const rows = getRows(table);
+
+    const respondRows = (status, resultRows, total = resultRows.length) => {
+      const headers = {};
+      if (prefer.includes('count=')) {
+        const offset = Number(url.searchParams.get('offset') || 0);
+        const range = resultRows.length > 0 ? `${offset}-${offset + resultRows.length - 1}` : '*';
+        headers['Content-Range'] = `${range}/${total}`;
+      }
+
+      if (wantsObject) {
+        if (resultRows.length !== 1) {
+          sendJson(res, 406, {
+            code: 'PGRST116',
+            message: 'JSON object requested, multiple (or no) rows returned',
+            details: `The result contains ${resultRows.length} rows`,
+            hint: null
+          });
+          return;
+        }
+        sendJson(res, status, resultRows[0], headers);
+        return;
+      }
+
+      sendJson(res, status, req.method === 'HEAD' ? undefined : resultRows, headers);
+    };
+
+    if (rpc) {
+      if (req.method === 'POST') {
+        respondRows(200, rpc(payload || {}));
+      } else {
+        sendJson(res, 405, { message: 'Method not allowed' });
+      }
+      return;
+    }
+
+    switch (req.method) {
+      case 'GET':
+      case 'HEAD': {
+        const filtered = rows.filter(matches);
+        respondRows(200, applyOrdering(filtered, url.searchParams), filtered.length);
+        return;
+      }
+
+      case 'POST': {
+        const now = new Date().toISOString();
+        const inserted = [].concat(payload || []).map(values => TABLE_DEFAULTS[table](values, now));
+
+        inserted.forEach(record => {
+          if (table === TABLE) {
+            state.submissions.push({ target: 'supabase', record, receivedAt: now });
+          } else {
+            state.events.push(record);
+          }
+          broadcast(table, 'INSERT', record);
+        });
+
+        if (wantsRows) {
+          respondRows(201, inserted);
+        } else {
+          sendJson(res, 201, undefined);
+        }
+        return;
+      }
+
+      case 'PATCH': {
+        const updated = rows.filter(matches).map(record => {
+          const oldRecord = { ...record };
+          Object.assign(record, payload, table === TABLE ? { updated_at: new Date().toISOString() } : {});
+          broadcast(table, 'UPDATE', record, oldRecord);
+          return record;
+        });
+
+        if (wantsRows) {
+          respondRows(200, updated);
+        } else {
+          sendJson(res, 204, undefined);
+        }
+        return;
+      }
+
+      case 'DELETE': {
+        const deleted = rows.filter(matches);
+        if (table === TABLE) {
+          state.submissions = state.submissions.filter(row => !deleted.includes(row.record));
+        } else {
+          state.events = state.events.filter(record => !deleted.includes(record));
+        }
+        deleted.forEach(record => broadcast(table, 'DELETE', {}, record));
+
+        if (wantsRows) {
+          respondRows(200, deleted);
+        } else {
+          sendJson(res, 204, undefined);
+        }
+        return;
+      }
+
+      default:
+        sendJson(res, 405, { message: 'Method not allowed' });
+    }
+  }
+
+  // ----- Storage -----
+
+  /**
+   * Send a Storage API error
+   * @param {http.ServerResponse} res
+   * @param {number} status - HTTP status
+   * @param {string} message - Error message
+   */
+  function sendStorageError(res, status, message) {
+    sendJson(res, status, { statusCode: String(status), error: http.STATUS_CODES[status], message });
+  }
+
+  /**
+   * Find a stored file
+   * @param {string} bucket
+   * @param {string} path - Path inside the bucket
+   * @returns {Object|undefined}
+   */
+  function findObject(bucket, path) {
+    return state.objects.find(object => object.bucket === bucket && object.path === path);
+  }
+
+  /**
+   * /storage/v1/object/* - Storage subset used by supabase-js: upload,
+   * signed URLs, signed downloads and remove. Failure rules apply to the
+   * row insert, not to uploads
+   */
+  async function handleStorage(req, res, url, body) {
+    const route = decodeURIComponent(url.pathname.replace('/storage/v1/object/', ''));
+    const signed = route.startsWith('sign/');
+    const [bucket, ...rest] = (signed ? route.slice('sign/'.length) : route).split('/');
+    const path = rest.join('/');
+
+    // Signed download - the token names the file it was issued for
+    if (signed && req.method === 'GET') {
+      let grant = null;
+      try {
+        grant = JSON.parse(Buffer.from(url.searchParams.get('token') || '', 'base64url').toString());
+      } catch (error) {
+        grant = null;
+      }
+
+      if (!grant || grant.bucket !== bucket || grant.path !== path || grant.expiresAt < Date.now()) {
+        sendStorageError(res, 400, 'Invalid or expired signature');
+        return;
+      }
+
+      const object = findObject(bucket, path);
+      if (!object) {
+        sendStorageError(res, 404, 'Object not found');
+        return;
+      }
+
+      const download = url.searchParams.get('download');
+      res.writeHead(200, {
+        ...CORS_HEADERS,
+        'Content-Type': object.contentType,
+        ...(download !== null && {
+          'Content-Disposition': `attachment; filename="${download || path.split('/').pop()}"`
+        })
+      });
+      res.end(object.body);
+      return;
+    }
+
+    // Create a signed URL
+    if (signed && req.method === 'POST') {
+      if (!findObject(bucket, path)) {
+        sendStorageError(res, 404, 'Object not found');
+        return;
+      }
+
+      const { expiresIn } = JSON.parse(body.toString() || '{}');
+      const token = Buffer.from(JSON.stringify({
+        bucket,
+        path,
+        expiresAt: Date.now() + Number(expiresIn || 60) * 1000
+      })).toString('base64url');
+
+      sendJson(res, 200, { signedURL: `/object/sign/${bucket}/${path}?token=${token}` });
+      return;
+    }
+
+    // Upload - supabase-js sends Blobs as multipart, anything else raw
+    if ((req.method === 'POST' || req.method === 'PUT') && path) {
+      const existing = findObject(bucket, path);
+      if (existing && req.method === 'POST' && req.headers['x-upsert'] !== 'true') {
+        sendStorageError(res, 409, 'The resource already exists');
+        return;
+      }
+
+      let content = body;
+      let contentType = req.headers['content-type'] || 'application/octet-stream';
+      if (contentType.startsWith('multipart/form-data')) {
+        const file = [...(await parseMultipart(req, body)).values()].find(value => typeof value !== 'string');
+        content = Buffer.from(await file.arrayBuffer());
+        contentType = file.type || 'application/octet-stream';
+      }
+
+      const object = {
+        bucket,
+        path,
+        contentType,
+        size: content.length,
+        sha256: crypto.createHash('sha256').update(content).digest('hex'),
+        body: content
+      };
+
+      if (existing) {
+        state.objects[state.objects.indexOf(existing)] = object;
+      } else {
+        state.objects.push(object);
+      }
+
+      sendJson(res, 200, { Key: `${bucket}/${path}`, Id: crypto.randomUUID() });
+      return;
+    }
+
+    // Remove - { prefixes: [path, ...] }
+    if (req.method === 'DELETE' && !path) {
+      const { prefixes = [] } = JSON.parse(body.toString() || '{}');
+      const removed = state.objects.filter(object => object.bucket === bucket && prefixes.includes(object.path));
+      state.objects = state.objects.filter(object => !removed.includes(object));
+
+      sendJson(res, 200, removed.map(object => ({ name: object.path, bucket_id: bucket })));
+      return;
+    }
+
+    sendStorageError(res, 400, `Unsupported storage request: ${req.method} ${url.pathname}`);
+  }
+
+  // ----- Control API -----
+
+  /**
+   * Reset all state between tests
+   */
+  function reset() {
+    state.submissions = [];
+    state.events = [];
+    state.objects = [];
+    state.failures = [];
+    state.ticketCounter = 0;
+    heldRequests.forEach(res => res.destroy());
+    heldRequests.clear();
+  }
+
+  /**
+   * /__mock/* - test control endpoints
+   */
+  function handleControl(req, res, url, body) {
+    const route = `${req.method} ${url.pathname}`;
+
+    switch (route) {
+      case 'GET /__mock/health':
+        sendJson(res, 200, { ok: true });
+        return;
+
+      case 'GET /__mock/submissions':
+        sendJson(res, 200, state.submissions);
+        return;
+
+      case 'GET /__mock/events':
+        sendJson(res, 200, state.events);
+        return;
+
+      case 'GET /__mock/objects':
+        sendJson(res, 200, state.objects.map(({ body: _body, ...object }) => object));
+        return;
+
+      case 'POST /__mock/reset':
+        reset();
+        sendJson(res, 200, { ok: true });
+        return;
+
+      case 'POST /__mock/failures': {
+        const rule = JSON.parse(body.toString() || '{}');
+
+        if (!FAILURE_MODES.includes(String(rule.mode))) {
+          sendJson(res, 400, { ok: false, message: `mode must be one of: ${FAILURE_MODES.join(', ')}` });
+          return;
+        }
+
+        state.failures.push({
+          mode: String(rule.mode),
+          target: rule.target || '*',
+          times: rule.times || 1,
+          occNumber: rule.occNumber || null
+        });
+        sendJson(res, 200, { ok: true, failures: state.failures });
+        return;
+      }
+
+      default:
+        sendJson(res, 404, { ok: false, message: `Unknown control route: ${route}` });
+    }
+  }
+
+  // ----- Routing -----
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://mock-backend');
+
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204, CORS_HEADERS);
+      res.end();
+      return;
+    }
+
+    try {
+      const body = await readBody(req);
+
+      if (url.pathname.startsWith('/__mock/')) {
+        handleControl(req, res, url, body);
+      } else if (url.pathname.endsWith('/rfs_request_process.php') && req.method === 'POST') {
+        await handlePhpSubmission(req, res, body);
+      } else if (url.pathname.startsWith('/rest/v1/')) {
+        await handleRest(req, res, url, body);
+      } else if (url.pathname.startsWith('/storage/v1/object/')) {
+        await handleStorage(req, res, url, body);
+      } else {
+        sendJson(res, 404, { message: 'Not found' });
+      }
+    } catch (error) {
+      console.error('[MockBackend] Request failed:', error);
+      sendJson(res, 500, { success: false, message: error.message });
+    }
+  });
+
+  server.on('upgrade', handleUpgrade);
+
+  return {
+    server,
+    state,
+    reset,
+
+    /**
+     * Start listening
+     * @param {number} port - Port (0 for any free port)
+     * @returns {Promise<number>} Bound port
+     */
+    listen(port = DEFAULT_PORT) {
+      return new Promise(resolve => {
+        server.listen(port, () => resolve(server.address().port));
+      });
+    },
+
+    /**
+     * Stop the server and drop open connections
+     * @returns {Promise<void>}
+     */
+    close() {
+      reset();
+      sockets.forEach(socket => socket.close());
+      return new Promise(resolve => {
+        server.close(() => resolve());
+        server.closeAllConnections?.();
+      });
+    }
+  };
+}
+
+module.exports = { createMockBackend, FAILURE_MODES };
+
+// Run directly: node scripts/mock-backend.js
+if (require.main === module) {
+  const port = Number(process.env.MOCK_BACKEND_PORT) || DEFAULT_PORT;
+  createMockBackend().listen(port).then(boundPort => {
+    console.log(`Mock backend listening on http://localhost:${boundPort}`);
+    console.log(`  PHP endpoint: http://localhost:${boundPort}/rfs_request_process.php`);
+    console.log(`  Supabase:     http://localhost:${boundPort}/rest/v1/${TABLE}`);
+    console.log(`  Storage:      http://localhost:${boundPort}/storage/v1/object/`);
+    console.log(`  Control:      http://localhost:${boundPort}/__mock/`);
+  });
+}
@@ -0,0 +1,44 @@
+-- Dashboard request workflow: assignment, status reasons and audit history
+-- Every status move, assignment and note is written to submission_events
+-- and streamed to the dashboard through postgres_changes
+
+alter table public.form_submissions
+  add column if not exists assigned_to text,
+  add column if not exists status_reason text;
+
+create table if not exists public.submission_events (
+  id uuid primary key default gen_random_uuid(),
+  submission_id uuid not null references public.form_submissions (id) on delete cascade,
+  event_type text not null check (event_type in ('status', 'assign', 'note')),
+  from_status text,
+  to_status text,
+  from_assigned_to text,
+  assigned_to text,
+  reason text,
+  note text,
+  actor text not null,
+  created_at timestamptz not null default now(),
+
+  -- A status move always records where it came from, where it went and why
+  constraint submission_events_status_check check (
+    event_type <> 'status'
+    or (from_status is not null and to_status is not null and coalesce(reason, '') <> '')
+  ),
+  constraint submission_events_note_check check (
+    event_type <> 'note' or coalesce(note, '') <> ''
+  )
+);
+
+create index if not exists submission_events_submission_id_idx
+  on public.submission_events (submission_id, created_at);
+
+-- History is append-only: no update or delete policies
+alter table public.submission_events enable row level security;
+
+create policy "submission_events_select" on public.submission_events
+  for select using (true);
+
+create policy "submission_events_insert" on public.submission_events
+  for insert with check (true);
+
+alter publication supabase_realtime add table public.submission_events;
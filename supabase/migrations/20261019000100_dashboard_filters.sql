@@ -0,0 +1,31 @@
+-- Dashboard server-side filtering and search
+-- city is copied out of form_data at submission time so it can be filtered
+-- and indexed; the trigram indexes keep ilike search on the free-text
+-- detail columns fast as the table grows
+
+alter table public.form_submissions
+  add column if not exists city text;
+
+update public.form_submissions
+set city = coalesce(
+  nullif(form_data->>'cityDisplay', ''),
+  case when form_data->>'city' = 'Other' then nullif(form_data->>'cityOther', '') else nullif(form_data->>'city', '') end
+)
+where city is null;
+
+create extension if not exists pg_trgm;
+
+create index if not exists form_submissions_submitted_at_idx
+  on public.form_submissions (submitted_at desc);
+
+create index if not exists form_submissions_status_idx
+  on public.form_submissions (status);
+
+create index if not exists form_submissions_form_type_idx
+  on public.form_submissions (form_type);
+
+create index if not exists form_submissions_rfs_details_trgm_idx
+  on public.form_submissions using gin (rfs_details gin_trgm_ops);
+
+create index if not exists form_submissions_file_details_trgm_idx
+  on public.form_submissions using gin (file_details gin_trgm_ops);
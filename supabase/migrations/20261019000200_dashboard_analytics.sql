@@ -0,0 +1,5 @@
+-- Dashboard analytics read status transitions over a rolling window
+
+create index if not exists submission_events_status_created_at_idx
+  on public.submission_events (created_at)
+  where event_type = 'status';
@@ -0,0 +1,9 @@
+-- Request priority, scored by the app at submission time (assets/js/priority.js)
+-- Older rows keep null and are scored from form_data when displayed
+
+alter table public.form_submissions
+  add column if not exists priority_score integer,
+  add column if not exists priority_reasons text[] not null default '{}';
+
+create index if not exists form_submissions_priority_idx
+  on public.form_submissions (priority_score desc nulls last, submitted_at desc);
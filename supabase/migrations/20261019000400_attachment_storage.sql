@@ -0,0 +1,19 @@
+-- Attachment files move out of form_submissions.attachments into a private
+-- Storage bucket, one folder per submission ID (<id>/<filename>)
+-- The row keeps { type, filename, size, sha256, path }; the dashboard and
+-- My Requests download through short-lived signed URLs
+-- Existing base64 rows are moved by scripts/migrate-attachments.js
+
+insert into storage.buckets (id, name, public, file_size_limit, allowed_mime_types)
+values ('submission-attachments', 'submission-attachments', false, 10485760,
+  array['application/pdf', 'application/json'])
+on conflict (id) do nothing;
+
+-- Files are write-once: no update or delete policies, so a submitted PDF
+-- can't be replaced (the migration script uses the service role)
+create policy "submission_attachments_insert" on storage.objects
+  for insert with check (bucket_id = 'submission-attachments');
+
+-- Needed to create signed URLs; the bucket itself is never public
+create policy "submission_attachments_select" on storage.objects
+  for select using (bucket_id = 'submission-attachments');
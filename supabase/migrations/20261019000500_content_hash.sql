@@ -0,0 +1,13 @@
+-- Tamper-evident submissions: SHA-256 of the canonical request JSON,
+-- also printed in the PDF footer (assets/js/document-integrity.js)
+-- verify.html looks rows up by ID, by this hash, or by the PDF's file hash
+-- in attachments; older rows keep null and can't be verified
+
+alter table public.form_submissions
+  add column if not exists content_hash text;
+
+create index if not exists form_submissions_content_hash_idx
+  on public.form_submissions (content_hash);
+
+create index if not exists form_submissions_attachments_idx
+  on public.form_submissions using gin (attachments jsonb_path_ops);
@@ -0,0 +1,81 @@
+-- Dashboard workflow changes as single transactions
+-- A status move or assignment updates form_submissions and writes its
+-- submission_events row together, so a change is never left unaudited
+-- (the dashboard's turnaround and SLA figures are built from these events)
+-- Called from assets/js/supabase.js through supabase.rpc()
+
+-- Only moves the row if it is still in p_from_status; returns no row when
+-- another analyst got there first. Moves outside the workflow (mirrors
+-- CONFIG.SUBMISSION_WORKFLOW.TRANSITIONS) are refused
+create or replace function public.transition_submission_status(
+  p_submission_id uuid,
+  p_from_status text,
+  p_to_status text,
+  p_reason text,
+  p_actor text
+)
+returns setof public.form_submissions
+language plpgsql
+as $$
+declare
+  updated public.form_submissions;
+begin
+  if (p_from_status, p_to_status) not in (
+    ('pending', 'processing'), ('pending', 'failed'),
+    ('processing', 'completed'), ('processing', 'failed'), ('processing', 'pending'),
+    ('completed', 'processing'),
+    ('failed', 'pending')
+  ) then
+    raise exception 'A request can''t move from % to %', p_from_status, p_to_status
+      using errcode = 'check_violation';
+  end if;
+
+  update public.form_submissions
+     set status = p_to_status,
+         status_reason = p_reason
+   where id = p_submission_id
+     and status = p_from_status
+  returning * into updated;
+
+  if not found then
+    return;
+  end if;
+
+  insert into public.submission_events (submission_id, event_type, from_status, to_status, reason, actor)
+  values (p_submission_id, 'status', p_from_status, p_to_status, p_reason, p_actor);
+
+  return next updated;
+end;
+$$;
+
+-- Only reassigns the row if it is still assigned to p_from_assigned_to
+-- (null for unassigned); returns no row when another analyst got there
+-- first. p_to_assigned_to null unassigns
+create or replace function public.assign_submission(
+  p_submission_id uuid,
+  p_from_assigned_to text,
+  p_to_assigned_to text,
+  p_actor text
+)
+returns setof public.form_submissions
+language plpgsql
+as $$
+declare
+  updated public.form_submissions;
+begin
+  update public.form_submissions
+     set assigned_to = p_to_assigned_to
+   where id = p_submission_id
+     and assigned_to is not distinct from p_from_assigned_to
+  returning * into updated;
+
+  if not found then
+    return;
+  end if;
+
+  insert into public.submission_events (submission_id, event_type, from_assigned_to, assigned_to, actor)
+  values (p_submission_id, 'assign', p_from_assigned_to, p_to_assigned_to, p_actor);
+
+  return next updated;
+end;
+$$;
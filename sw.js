@@ -1,15 +1,18 @@
 /**
  * FVU Request System - Service Worker
- * Version: 1.0.0
+ * Version: 1.1.0
  *
  * Caching Strategy:
  * - PHP Pages: Network-first (sessions require fresh content)
  * - Static Assets: Cache-first (JS, CSS, images)
  * - API Calls: Network-only (submissions must reach server)
+ *
+ * Offline submissions are queued in IndexedDB by outbox.js and
+ * replayed via Background Sync (see sync handler below)
  */
 
 // Version number - INCREMENT THIS WITH EVERY DEPLOYMENT
-const CACHE_VERSION = 'v1.0.0';
+const CACHE_VERSION = 'v1.1.4';
 const CACHE_NAME = `fvu-cache-${CACHE_VERSION}`;
 
 // Complete list of static assets to pre-cache
@@ -20,6 +23,7 @@ const STATIC_ASSETS = [
   '/upload.php',
   '/analysis.php',
   '/recovery.php',
+  '/canvass.php',
 
   // CSS
   '/assets/css/forms.css',
@@ -36,24 +40,55 @@ const STATIC_ASSETS = [
   '/assets/js/header-component.js',
   '/assets/js/theme-manager.js',
   '/assets/js/api-client.js',
+  '/assets/js/priority.js',
+  '/assets/js/field-mapping.js',
   '/assets/js/pdf-generator.js',
   '/assets/js/pdf-templates.js',
   '/assets/js/json-generator.js',
   '/assets/js/notifications.js',
   '/assets/js/logo-data.js',
   '/assets/js/pwa-register.js',
+  '/assets/js/outbox.js',
+  '/assets/js/draft-manager.js',
+  '/assets/js/secure-storage.js',
+  '/assets/js/storage-lock.js',
+  '/assets/js/form-schema.js',
+  '/assets/js/canvass.js',
+  '/assets/js/deadline-reminders.js',
+  '/assets/js/location-history.js',
+  '/assets/js/occurrence-case.js',
+  '/assets/js/document-integrity.js',
+  '/assets/js/request-code.js',
+  '/assets/js/evidence-labels.js',
+  '/assets/js/barcode-scanner.js',
+
+  // Form Schemas
+  '/assets/js/form-schemas/common.js',
+  '/assets/js/form-schemas/analysis.js',
+  '/assets/js/form-schemas/canvass.js',
+  '/assets/js/form-schemas/upload.js',
+  '/assets/js/form-schemas/recovery.js',
 
   // Form Handlers
   '/assets/js/form-handlers/form-handler-base.js',
   '/assets/js/form-handlers/form-handler-upload.js',
   '/assets/js/form-handlers/form-handler-analysis.js',
   '/assets/js/form-handlers/form-handler-recovery.js',
+  '/assets/js/form-handlers/form-handler-canvass.js',
   '/assets/js/form-handlers/form-field-builder.js',
   '/assets/js/form-handlers/conditional-field-handler.js',
 
+  // Submission Transports
+  '/assets/js/transports/submission-transport.js',
+  '/assets/js/transports/supabase-transport.js',
+  '/assets/js/transports/php-multipart-transport.js',
+  '/assets/js/transports/mock-transport.js',
+
   // Third-Party Libraries
   '/lib/pdfmake.min.js',
   '/lib/vfs_fonts.js',
+  '/lib/barcode-detector.js',
+  '/lib/zxing_reader.wasm',
 
   // Images
   '/assets/images/homicide-logo-300x300.svg',
@@ -72,6 +107,16 @@ const NETWORK_ONLY_URLS = [
   'supabase.co'
 ];
 
+// Background Sync tag - must match CONFIG.OUTBOX.SYNC_TAG
+const OUTBOX_SYNC_TAG = 'fvu-outbox-sync';
+// How long the sync waits for the page to finish replaying
+const OUTBOX_REPLAY_TIMEOUT = 60000;
+
+// Overwrite deadline reminders - tag must match CONFIG.OVERWRITE_DEADLINES.REMINDER_SYNC_TAG
+const REMINDER_SYNC_TAG = 'fvu-deadline-reminders';
+const REMINDER_CACHE = 'fvu-reminders';
+const REMINDER_KEY = '/__fvu-reminders.json';
+
 // URLs that should use network-first strategy
 const NETWORK_FIRST_URLS = [
   '.php'
@@ -381,4 +426,148 @@ self.addEventListener('message', (event) => {
   if (event.data && event.data.type === 'GET_VERSION') {
     event.ports[0].postMessage({ version: CACHE_VERSION });
   }
+
+  if (event.data && event.data.type === 'SCHEDULE_REMINDERS') {
+    event.waitUntil(scheduleReminders(event.data.group, event.data.reminders));
+  }
+
+  if (event.data && event.data.type === 'CHECK_REMINDERS') {
+    event.waitUntil(showDueReminders());
+  }
+});
+
+/**
+ * Background Sync handler for the offline outbox
+ * Submission mapping and transport live in the page modules (api-client.js),
+ * so the replay is handed to an open client and the sync stays pending until
+ * it reports back. With no client open, no reply in time, or items still
+ * queued the sync fails and the browser retries it later; the next page load
+ * also replays.
+ */
+self.addEventListener('sync', (event) => {
+  if (event.tag !== OUTBOX_SYNC_TAG) {
+    return;
+  }
+
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window', includeUncontrolled: true })
+      .then((clients) => {
+        if (clients.length === 0) {
+          throw new Error('No open client to replay outbox');
+        }
+
+        console.log('[SW] Outbox sync - asking client to replay queued submissions');
+        return requestOutboxReplay(clients[0]);
+      })
+      .then((summary) => {
+        if (summary.error) {
+          throw new Error(`Outbox replay failed: ${summary.error}`);
+        }
+        if (summary.remaining > 0) {
+          throw new Error(`${summary.remaining} submission(s) still queued`);
+        }
+      })
+  );
+});
+
+/**
+ * Ask a client to replay the outbox and wait for its summary
+ * @param {Client} client - Window client that owns the outbox
+ * @returns {Promise<Object>} { delivered, rejected, remaining } or { error }
+ */
+function requestOutboxReplay(client) {
+  return new Promise((resolve, reject) => {
+    const channel = new MessageChannel();
+    const timer = setTimeout(() => {
+      channel.port1.close();
+      reject(new Error('Outbox replay timed out'));
+    }, OUTBOX_REPLAY_TIMEOUT);
+
+    channel.port1.onmessage = (message) => {
+      clearTimeout(timer);
+      channel.port1.close();
+      resolve(message.data || {});
+    };
+
+    client.postMessage({ type: 'REPLAY_OUTBOX' }, [channel.port2]);
+  });
+}
+
+/**
+ * Overwrite deadline reminders
+ * Pages send reminders (see deadline-reminders.js); they are kept in their own
+ * cache (not cleared on update) and shown when due. The worker only runs when
+ * woken, so due reminders are checked on page load, on periodic sync where
+ * supported, and by a timer while the worker is alive.
+ */
+async function loadReminders() {
+  const cache = await caches.open(REMINDER_CACHE);
+  const response = await cache.match(REMINDER_KEY);
+  return response ? response.json() : [];
+}
+
+async function saveReminders(reminders) {
+  const cache = await caches.open(REMINDER_CACHE);
+  await cache.put(REMINDER_KEY, new Response(JSON.stringify(reminders), {
+    headers: { 'Content-Type': 'application/json' }
+  }));
+}
+
+/**
+ * Replace the reminders for one request and check for any already due
+ */
+async function scheduleReminders(group, reminders) {
+  const kept = (await loadReminders()).filter((reminder) => reminder.group !== group);
+  await saveReminders([...kept, ...reminders]);
+  console.log('[SW] Scheduled', reminders.length, 'overwrite reminders for', group);
+  await showDueReminders();
+}
+
+/**
+ * Show due reminders, then wait for the next one if it is soon
+ */
+async function showDueReminders() {
+  const now = Date.now();
+  const reminders = await loadReminders();
+  const due = reminders.filter((reminder) => reminder.at <= now);
+
+  await Promise.all(due.map((reminder) =>
+    self.registration.showNotification(reminder.title, {
+      body: reminder.body,
+      tag: reminder.id,
+      icon: '/assets/images/icons/icon-192x192.png',
+      requireInteraction: true,
+      data: { url: reminder.url }
+    })
+  ));
+
+  const pending = reminders.filter((reminder) => reminder.at > now);
+  if (due.length > 0) {
+    await saveReminders(pending);
+  }
+
+  // Browsers stop idle workers after a few minutes, so only wait for reminders due shortly
+  const next = Math.min(...pending.map((reminder) => reminder.at));
+  if (next - now < 5 * 60 * 1000) {
+    setTimeout(() => showDueReminders(), next - now);
+  }
+}
+
+self.addEventListener('periodicsync', (event) => {
+  if (event.tag === REMINDER_SYNC_TAG) {
+    event.waitUntil(showDueReminders());
+  }
+});
+
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  const url = (event.notification.data && event.notification.data.url) || '/';
+
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window', includeUncontrolled: true })
+      .then((clients) => {
+        const client = clients.find((item) => new URL(item.url).pathname === url);
+        return client ? client.focus() : self.clients.openWindow(url);
+      })
+  );
 });
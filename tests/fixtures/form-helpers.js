@@ -75,7 +75,10 @@ export async function fillUploadForm(page, data) {
   if (data.timeCorrect) {
     await page.click(`[value="${data.timeCorrect}"]`);
     if (data.timeCorrect === 'No' && data.timeOffset) {
-      await page.fill('[name="timeOffset"]', data.timeOffset);
+      // Structured offset - timeOffset itself is read-only
+      if (data.timeOffset.hours) await page.fill('[name="offsetHours"]', data.timeOffset.hours);
+      if (data.timeOffset.minutes) await page.fill('[name="offsetMinutes"]', data.timeOffset.minutes);
+      await page.selectOption('[name="offsetDirection"]', data.timeOffset.direction);
     }
   }
 
@@ -343,11 +346,11 @@ export async function clearForm(page, clickCancel = false) {
  * Load draft from saved data
  */
 export async function loadDraft(page) {
-  const draftButton = page.locator('[id="draft-button"], button:has-text("Load Draft")');
+  const draftButton = page.locator('[id="draft-button"]');
   await draftButton.click();
 
-  // Check if a menu appears
-  const loadDraftOption = page.locator('button:has-text("Load Draft")');
+  // Load the most recent draft from the draft manager
+  const loadDraftOption = page.locator('.draft-manager-item button:has-text("Load")').first();
   if (await loadDraftOption.count() > 0) {
     await loadDraftOption.click();
   }
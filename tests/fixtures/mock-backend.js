@@ -0,0 +1,41 @@
+/**
+ * Mock Backend Helpers for FVU Request System Tests
+ * Drive scripts/mock-backend.js (started by playwright.config.js) from tests
+ */
+
+export const MOCK_BACKEND_URL = 'http://localhost:3001';
+
+// CONFIG.MOCK_BACKEND_KEY (config.js needs a window, so it isn't imported here)
+const MOCK_BACKEND_KEY = 'fvu_mock_backend';
+
+/**
+ * Send submissions from this page to the mock backend
+ * Call before page.goto()
+ */
+export async function useMockBackend(page, url = MOCK_BACKEND_URL) {
+  await page.addInitScript(([key, value]) => {
+    localStorage.setItem(key, value);
+  }, [MOCK_BACKEND_KEY, url]);
+}
+
+/**
+ * Make upcoming requests fail
+ * @param {string} mode - 'timeout' | '429' | '500' | 'malformed' | 'offline'
+ * @param {Object} options - { target: 'php'|'supabase'|'*', times, occNumber }
+ */
+export async function setMockFailure(request, mode, options = {}) {
+  const response = await request.post(`${MOCK_BACKEND_URL}/__mock/failures`, {
+    data: { mode, ...options }
+  });
+  if (!response.ok()) {
+    throw new Error(`Could not set mock failure: ${await response.text()}`);
+  }
+}
+
+/**
+ * Get everything the mock backend has received
+ */
+export async function getMockSubmissions(request) {
+  const response = await request.get(`${MOCK_BACKEND_URL}/__mock/submissions`);
+  return response.json();
+}
@@ -0,0 +1,37 @@
+/**
+ * Recovery Form Fixture
+ * Mounts the containers recovery.html gives the form and a live
+ * RecoveryFormHandler, for the recovery integration tests (happy-dom)
+ */
+
+import { RecoveryFormHandler } from '../../assets/js/form-handlers/form-handler-recovery.js';
+
+const RECOVERY_FORM_HTML = `
+  <form id="recovery-form">
+    <section id="case-section-container"></section>
+    <section id="investigator-section-container"></section>
+    <section id="location-section-container"></section>
+    <div id="dvr-container"></div>
+    <button type="button" id="addDVRBtn">Add DVR</button>
+    <section id="incident-section-container"></section>
+    <button type="submit">Submit</button>
+  </form>
+`;
+
+/**
+ * Build the recovery form in the document
+ * @returns {RecoveryFormHandler} The form's handler
+ */
+export function mountRecoveryForm() {
+  document.body.innerHTML = RECOVERY_FORM_HTML;
+  return new RecoveryFormHandler('recovery-form');
+}
+
+/**
+ * Tear down a form from mountRecoveryForm()
+ * @param {RecoveryFormHandler} handler
+ */
+export function unmountRecoveryForm(handler) {
+  handler.destroy();
+  document.body.innerHTML = '';
+}
@@ -54,7 +54,7 @@ export const uploadFormWithOtherMediaType = {
   videoStartTime: '2024-01-10T08:00',
   videoEndTime: '2024-01-10T09:30',
   timeCorrect: 'No',
-  timeOffset: 'DVR is 2 hours behind',
+  timeOffset: { hours: '2', direction: 'BEHIND' },
   fileDetails: 'Files on custom device'
 };
 
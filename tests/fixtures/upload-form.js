@@ -0,0 +1,36 @@
+/**
+ * Upload Form Fixture
+ * Mounts the containers upload.html gives the form and a live
+ * UploadFormHandler, for the upload integration tests (happy-dom)
+ */
+
+import { UploadFormHandler } from '../../assets/js/form-handlers/form-handler-upload.js';
+
+const UPLOAD_FORM_HTML = `
+  <form id="upload-form">
+    <section id="evidence-section-container"></section>
+    <section id="investigator-section-container"></section>
+    <div id="location-video-container"></div>
+    <button type="button" id="addLocationBtn">Add Location</button>
+    <section id="additional-section-container"></section>
+    <button type="submit">Submit</button>
+  </form>
+`;
+
+/**
+ * Build the upload form in the document
+ * @returns {UploadFormHandler} The form's handler
+ */
+export function mountUploadForm() {
+  document.body.innerHTML = UPLOAD_FORM_HTML;
+  return new UploadFormHandler('upload-form');
+}
+
+/**
+ * Tear down a form from mountUploadForm()
+ * @param {UploadFormHandler} handler
+ */
+export function unmountUploadForm(handler) {
+  handler.destroy();
+  document.body.innerHTML = '';
+}
@@ -0,0 +1,164 @@
+/**
+ * Canvass Form - Integration Tests
+ *
+ * CanvassFormHandler builds its fields from CANVASS_SCHEMA with a repeatable
+ * address entry. Tests cover adding/removing entries, collecting them into
+ * data.addresses, loading them back from a draft and validating them.
+ *
+ * @fileoverview Integration tests for the canvass form and repeatable schema sections
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { CanvassFormHandler } from '../../../assets/js/form-handlers/form-handler-canvass.js';
+import { CONFIG } from '../../../assets/js/config.js';
+
+describe('Canvass Form', () => {
+  let handler;
+
+  const setValue = (name, value) => {
+    const field = document.querySelector(`[name="${name}"]`);
+    field.value = value;
+    field.dispatchEvent(new Event('change', { bubbles: true }));
+  };
+
+  const headings = () => [...document.querySelectorAll('.schema-repeat-heading')].map(h => h.textContent);
+
+  beforeEach(() => {
+    localStorage.clear();
+    document.body.innerHTML = `
+      <form id="canvass-form">
+        <section id="case-section-container"></section>
+        <section id="investigator-section-container"></section>
+        <div id="addresses-container"></div>
+        <button type="button" id="addAddressBtn">Add</button>
+        <button type="submit">Submit</button>
+      </form>
+    `;
+    handler = new CanvassFormHandler('canvass-form');
+  });
+
+  afterEach(() => {
+    handler.destroy();
+    document.body.innerHTML = '';
+  });
+
+  describe('Building', () => {
+    it('should build the case, investigator and first address entry', () => {
+      expect(document.querySelector('#occNumber')).toBeTruthy();
+      expect(document.querySelector('#rName')).toBeTruthy();
+      expect(document.querySelectorAll('.schema-repeat-item')).toHaveLength(1);
+      expect(document.querySelector('#outcome').options).toHaveLength(CONFIG.CANVASS_OUTCOME_OPTIONS.length);
+      expect(headings()).toEqual(['Address 1']);
+    });
+
+    it('should only give entries after the first a remove button', () => {
+      document.getElementById('addAddressBtn').click();
+      const [first, second] = document.querySelectorAll('.schema-repeat-item');
+
+      expect(first.querySelector('.btn-danger')).toBeNull();
+      expect(second.querySelector('.btn-danger').textContent).toContain('Remove This Address');
+    });
+  });
+
+  describe('Adding and removing addresses', () => {
+    it('should add entries with indexed field names', () => {
+      document.getElementById('addAddressBtn').click();
+      document.getElementById('addAddressBtn').click();
+
+      expect(document.querySelector('[name="locationAddress_1"]')).toBeTruthy();
+      expect(document.querySelector('[name="outcome_2"]')).toBeTruthy();
+      expect(document.querySelector('#cityOtherGroup_2')).toBeTruthy();
+      expect(headings()).toEqual(['Address 1', 'Address 2', 'Address 3']);
+    });
+
+    it('should renumber headings and never reuse an index after removal', () => {
+      document.getElementById('addAddressBtn').click();
+      document.getElementById('addAddressBtn').click();
+      handler.removeSchemaRepeatItem(document.querySelectorAll('.schema-repeat-item')[1]);
+      document.getElementById('addAddressBtn').click();
+
+      expect(headings()).toEqual(['Address 1', 'Address 2', 'Address 3']);
+      expect(document.querySelector('[name="locationAddress_1"]')).toBeNull();
+      expect(document.querySelector('[name="locationAddress_3"]')).toBeTruthy();
+    });
+
+    it('should show the Other city field per entry', () => {
+      document.getElementById('addAddressBtn').click();
+      setValue('city_1', 'Other');
+
+      expect(document.querySelector('#cityOtherGroup_1').classList.contains('d-none')).toBe(false);
+      expect(document.querySelector('#cityOtherGroup').classList.contains('d-none')).toBe(true);
+    });
+  });
+
+  describe('collectFormData()', () => {
+    it('should collect entries into data.addresses in form order', () => {
+      document.getElementById('addAddressBtn').click();
+      document.getElementById('addAddressBtn').click();
+      handler.removeSchemaRepeatItem(document.querySelectorAll('.schema-repeat-item')[1]);
+
+      setValue('locationAddress', '1 Main St');
+      setValue('outcome', 'No Camera');
+      setValue('locationAddress_2', '3 Main St');
+      setValue('city_2', 'Other');
+      setValue('cityOther_2', 'Caledon');
+      setValue('outcome_2', 'Camera - Relevant');
+
+      const data = handler.collectFormData();
+
+      expect(data.addresses.map(address => address.locationAddress)).toEqual(['1 Main St', '3 Main St']);
+      expect(data.addresses[1].cityDisplay).toBe('Caledon');
+      expect(data.fileDetails).toContain('=== ADDRESS 2 ===\nAddress: 3 Main St\nCity: Caledon\nOutcome: Camera - Relevant');
+      expect(data.requestDetails).toBe('Camera canvass - 2 address(es)\nNo Camera: 1\nCamera - Relevant: 1');
+    });
+  });
+
+  describe('populateForm()', () => {
+    it('should add entries to match a draft and fill them', () => {
+      handler.populateForm({
+        occNumber: 'PR2024001234',
+        addresses: [
+          { locationAddress: '1 Main St', city: 'Brampton', outcome: 'Refused' },
+          { locationAddress: '2 Main St', city: 'Other', cityOther: 'Caledon', outcome: 'Revisit' },
+          { locationAddress: '3 Main St', city: 'Toronto', outcome: 'No Camera' }
+        ],
+        // Flat names from when the draft was saved - replaced by the entries above
+        locationAddress_5: 'stale'
+      });
+
+      expect(document.querySelectorAll('.schema-repeat-item')).toHaveLength(3);
+      expect(document.querySelector('[name="occNumber"]').value).toBe('PR2024001234');
+      expect(document.querySelector('[name="locationAddress_2"]').value).toBe('3 Main St');
+      expect(document.querySelector('[name="cityOther_1"]').value).toBe('Caledon');
+      expect(document.querySelector('#cityOtherGroup_1').classList.contains('d-none')).toBe(false);
+    });
+
+    it('should remove extra entries when the draft has fewer', () => {
+      document.getElementById('addAddressBtn').click();
+      document.getElementById('addAddressBtn').click();
+
+      handler.populateForm({ addresses: [{ locationAddress: '1 Main St' }] });
+
+      expect(document.querySelectorAll('.schema-repeat-item')).toHaveLength(1);
+    });
+  });
+
+  describe('validateForm()', () => {
+    it('should report a missing address on the entry it belongs to, once', () => {
+      document.getElementById('addAddressBtn').click();
+      setValue('locationAddress', '1 Main St');
+
+      const result = handler.validateForm();
+      const field = document.querySelector('[name="locationAddress_1"]');
+
+      expect(result.errors.locationAddress_1).toBe(CONFIG.MESSAGES.REQUIRED_FIELD);
+      expect(Object.keys(result.errors).some(key => key.startsWith('addresses['))).toBe(false);
+      expect(field.classList.contains('is-invalid')).toBe(true);
+    });
+
+    it('should apply schema rules to indexed fields', () => {
+      expect(handler.getFieldRule('locationContactPhone_3')).toBe('phone');
+      expect(handler.getFieldRule('canvassDate')).toBe('pastDate');
+    });
+  });
+});
@@ -0,0 +1,108 @@
+/**
+ * Recovery Form Handler - Integration Tests
+ *
+ * The recovery form is built, validated and collected from RECOVERY_SCHEMA:
+ * one repeatable entry per DVR, each with its own repeatable time frames.
+ *
+ * @fileoverview Integration tests for RecoveryFormHandler
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { mountRecoveryForm, unmountRecoveryForm } from '../../fixtures/recovery-form.js';
+import { CONFIG } from '../../../assets/js/config.js';
+
+describe('Recovery Form Handler', () => {
+  let handler;
+
+  const field = (name) => handler.form.querySelector(`[name="${name}"]`);
+
+  const setValue = (name, value) => {
+    field(name).value = value;
+    field(name).dispatchEvent(new Event('change', { bubbles: true }));
+  };
+
+  const dvrs = () => handler.form.querySelectorAll('.dvr-group');
+  const timeFrames = (dvr) => dvr.querySelectorAll('.extraction-timeframe-group');
+
+  beforeEach(() => {
+    localStorage.clear();
+    handler = mountRecoveryForm();
+  });
+
+  afterEach(() => {
+    unmountRecoveryForm(handler);
+  });
+
+  it('should name time frames by DVR and position', () => {
+    handler.addDVRGroup();
+    handler.addTimeFrame(0);
+    handler.addTimeFrame(1);
+    handler.addTimeFrame(1);
+
+    expect([...timeFrames(dvrs()[0])].map(frame => frame.querySelector('textarea').name))
+      .toEqual(['cameraDetails', 'cameraDetails_1']);
+    expect([...timeFrames(dvrs()[1])].map(frame => frame.querySelector('textarea').name))
+      .toEqual(['cameraDetails_dvr1', 'cameraDetails_dvr1_1', 'cameraDetails_dvr1_2']);
+    expect(dvrs()[1].querySelector('[name="dvrRetention_1"]')).toBeTruthy();
+  });
+
+  it('should add time frames with the DVR\'s own button', () => {
+    handler.addDVRGroup();
+    dvrs()[1].querySelector('.schema-repeat-add').click();
+
+    expect(timeFrames(dvrs()[0])).toHaveLength(1);
+    expect(timeFrames(dvrs()[1])).toHaveLength(2);
+  });
+
+  it('should renumber the time frames left after one is removed', () => {
+    handler.addTimeFrame(0);
+    handler.addTimeFrame(0);
+
+    [...timeFrames(dvrs()[0])[1].querySelectorAll('button')].find(button => button.textContent.includes('Remove')).click();
+
+    expect([...timeFrames(dvrs()[0])].map(frame => frame.querySelector('h4').textContent))
+      .toEqual(['Time Frame 1', 'Time Frame 2']);
+  });
+
+  it('should collect each DVR with its time frames', () => {
+    handler.addDVRGroup();
+    handler.addTimeFrame(1);
+    setValue('dvrMakeModel', 'Hikvision');
+    setValue('dvrMakeModel_1', 'Dahua');
+    setValue('cameraDetails_dvr1_1', 'Parking lot');
+
+    const data = handler.collectFormData();
+
+    expect(data.dvrGroups.map(dvr => [dvr.dvrMakeModel, dvr.extractionTimeFrames.length])).toEqual([
+      ['Hikvision', 1],
+      ['Dahua', 2]
+    ]);
+    expect(data.dvrGroups[1].extractionTimeFrames[1].cameraDetails).toBe('Parking lot');
+    expect(data[CONFIG.FIELD_NAMES.FILE_DETAILS]).toContain('=== DVR 2 ===\nMake/Model: Dahua');
+  });
+
+  it('should reject a retention date in the future on any DVR', () => {
+    handler.addDVRGroup();
+    setValue('dvrRetention_1', '2099-01-01');
+
+    expect(handler.validateForm().errors.dvrRetention_1).toBe(CONFIG.MESSAGES.RETENTION_IN_FUTURE);
+  });
+
+  it('should restore the DVRs and time frames of a draft and clear back to one', () => {
+    handler.populateForm({
+      dvrGroups: [
+        { dvrMakeModel: 'Hikvision', extractionTimeFrames: [{}] },
+        { dvrMakeModel: 'Dahua', extractionTimeFrames: [{}, {}, { cameraDetails: 'Till' }] }
+      ]
+    });
+
+    expect(dvrs()).toHaveLength(2);
+    expect(timeFrames(dvrs()[1])).toHaveLength(3);
+    expect(field('cameraDetails_dvr1_2').value).toBe('Till');
+
+    handler.clearFormAfterSubmission();
+
+    expect(dvrs()).toHaveLength(1);
+    expect(timeFrames(dvrs()[0])).toHaveLength(1);
+  });
+});
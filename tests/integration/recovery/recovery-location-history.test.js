@@ -0,0 +1,107 @@
+/**
+ * Recovery Form Location History - Integration Tests
+ *
+ * Typing an address that was recovered from before offers the details seen
+ * there last time, and using them fills only the fields still empty.
+ *
+ * @fileoverview Integration tests for the recovery form's location suggestions
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+
+const supabaseMock = vi.hoisted(() => ({
+  getLocationSubmissionsSince: vi.fn()
+}));
+
+vi.mock('../../../assets/js/supabase.js', () => supabaseMock);
+
+import { mountRecoveryForm, unmountRecoveryForm } from '../../fixtures/recovery-form.js';
+import { rememberLocations } from '../../../assets/js/location-history.js';
+
+describe('Recovery Form Location History', () => {
+  let handler;
+
+  const settle = () => new Promise(resolve => setTimeout(resolve, 450));
+  const panel = () => document.querySelector('.location-history-suggestions');
+
+  const typeAddress = async (value) => {
+    const field = document.getElementById('locationAddress');
+    // keydown marks it as typed, so the autofill guard leaves the value alone
+    field.dispatchEvent(new KeyboardEvent('keydown', { bubbles: true }));
+    field.value = value;
+    field.dispatchEvent(new Event('input', { bubbles: true }));
+    await settle();
+  };
+
+  const clickButton = (text) => {
+    [...panel().querySelectorAll('button')].find(button => button.textContent === text).click();
+  };
+
+  beforeEach(() => {
+    vi.useFakeTimers({ toFake: ['Date'] });
+    vi.setSystemTime(new Date('2026-10-19T12:00:00'));
+    supabaseMock.getLocationSubmissionsSince.mockResolvedValue([]);
+
+    localStorage.clear();
+    rememberLocations({
+      businessName: 'Corner Store',
+      locationAddress: '123 Main Street',
+      city: 'Brampton',
+      locationContact: 'John Manager',
+      locationContactPhone: '9055555678',
+      dvrGroups: [{
+        dvrMakeModel: 'Hikvision DS-7216',
+        isTimeDateCorrect: 'No',
+        timeOffset: 'DVR is 5 minutes AHEAD of real time',
+        dvrRetention: '2026-08-02'
+      }]
+    }, 'recovery');
+
+    handler = mountRecoveryForm();
+  });
+
+  afterEach(() => {
+    unmountRecoveryForm(handler);
+    vi.useRealTimers();
+  });
+
+  it('should stay hidden for an address with no history', async () => {
+    await typeAddress('99 Queen St');
+
+    expect(panel().classList.contains('d-none')).toBe(true);
+  });
+
+  it('should offer the details seen at a known address', async () => {
+    await typeAddress('123 main st');
+
+    expect(panel().classList.contains('d-none')).toBe(false);
+    expect(panel().textContent).toContain('Earlier requests at Corner Store, 123 Main Street, Brampton');
+    expect(panel().textContent).toContain('DVR Make/Model: Hikvision DS-7216');
+    expect(panel().textContent).toContain('Retention: About 78 days');
+  });
+
+  it('should fill only empty fields when the details are used', async () => {
+    document.getElementById('locationContact').value = 'Jane Owner';
+    await typeAddress('123 main st');
+    clickButton('Use These Details');
+
+    expect(panel().classList.contains('d-none')).toBe(true);
+    expect(document.getElementById('businessName').value).toBe('Corner Store');
+    expect(document.getElementById('locationContact').value).toBe('Jane Owner');
+    expect(document.getElementById('locationContactPhone').value).toBe('9055555678');
+    expect(document.getElementById('dvrMakeModel').value).toBe('Hikvision DS-7216');
+    expect(document.querySelector('[name="isTimeDateCorrect"][value="No"]').checked).toBe(true);
+    expect(document.getElementById('offsetMinutes').value).toBe('5');
+    expect(document.getElementById('offsetDirection').value).toBe('AHEAD');
+    expect(document.getElementById('dvrRetention').value).toBe('2026-08-02');
+  });
+
+  it('should not offer a dismissed location again', async () => {
+    await typeAddress('123 main st');
+    clickButton('Dismiss');
+    await typeAddress('123 Main Street');
+
+    expect(panel().classList.contains('d-none')).toBe(true);
+    expect(document.getElementById('businessName').value).toBe('');
+  });
+});
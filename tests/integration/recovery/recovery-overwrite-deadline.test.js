@@ -0,0 +1,73 @@
+/**
+ * Recovery Form Overwrite Deadline - Integration Tests
+ *
+ * Each extraction time frame counts down to when the DVR overwrites it, and
+ * the calendar/reminder buttons appear once there is a deadline.
+ *
+ * @fileoverview Integration tests for the recovery form's overwrite countdown
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { mountRecoveryForm, unmountRecoveryForm } from '../../fixtures/recovery-form.js';
+
+describe('Recovery Form Overwrite Deadline', () => {
+  let handler;
+
+  const setValue = (id, value) => {
+    document.getElementById(id).value = value;
+  };
+
+  const countdown = (id = 'overwriteCountdown') => document.getElementById(id);
+  const actions = () => document.querySelector('.overwrite-deadline-actions');
+
+  beforeEach(() => {
+    vi.useFakeTimers({ toFake: ['Date'] });
+    vi.setSystemTime(new Date('2026-10-19T12:00:00'));
+
+    localStorage.clear();
+    handler = mountRecoveryForm();
+
+    setValue('extractionStartTime', '2026-10-18 14:30');
+    setValue('extractionEndTime', '2026-10-18 15:00');
+    document.getElementById('timeDVR').checked = true;
+  });
+
+  afterEach(() => {
+    unmountRecoveryForm(handler);
+    vi.useRealTimers();
+  });
+
+  it('should stay hidden until the earliest recorded date is entered', () => {
+    handler.updateOverwriteCountdowns();
+
+    expect(countdown().classList.contains('d-none')).toBe(true);
+    expect(actions().classList.contains('d-none')).toBe(true);
+  });
+
+  it('should count down to the overwrite deadline', () => {
+    setValue('dvrRetention', '2026-10-09');
+    handler.updateOverwriteCountdowns();
+
+    expect(countdown().classList.contains('d-none')).toBe(false);
+    expect(countdown().textContent).toBe('Overwritten from Oct 28, 2026 at 14:30 - 9 days 2 hours left');
+    expect(countdown().classList.contains('text-danger')).toBe(false);
+    expect(actions().classList.contains('d-none')).toBe(false);
+  });
+
+  it('should highlight deadlines that are close', () => {
+    setValue('dvrRetention', '2026-10-17');
+    handler.updateOverwriteCountdowns();
+
+    expect(countdown().textContent).toContain('1 day 2 hours left');
+    expect(countdown().classList.contains('text-danger')).toBe(true);
+  });
+
+  it('should count down each time frame separately', () => {
+    handler.addTimeFrame(0);
+    setValue('extractionStartTime_1', '2026-10-15 08:00');
+    setValue('dvrRetention', '2026-10-09');
+    handler.updateOverwriteCountdowns();
+
+    expect(countdown('overwriteCountdown_1').textContent).toContain('Oct 25, 2026 at 08:00');
+  });
+});
@@ -0,0 +1,74 @@
+/**
+ * Recovery Form Storage Estimate - Integration Tests
+ *
+ * Each DVR shows the storage its time frames need at the selected recording
+ * quality, and the total comes with the media to bring.
+ *
+ * @fileoverview Integration tests for the recovery form's storage estimate
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { mountRecoveryForm, unmountRecoveryForm } from '../../fixtures/recovery-form.js';
+import { CONFIG } from '../../../assets/js/config.js';
+
+describe('Recovery Form Storage Estimate', () => {
+  let handler;
+
+  const setValue = (id, value) => {
+    document.getElementById(id).value = value;
+  };
+
+  const estimate = (id = 'storageEstimate') => document.getElementById(id);
+  const summary = () => document.querySelector('.storage-estimate-total');
+
+  beforeEach(() => {
+    localStorage.clear();
+    handler = mountRecoveryForm();
+  });
+
+  afterEach(() => {
+    unmountRecoveryForm(handler);
+  });
+
+  it('should default the recording quality and collect it per DVR', () => {
+    expect(document.getElementById('recordingProfile').value).toBe(CONFIG.STORAGE_ESTIMATE.DEFAULT_PROFILE);
+
+    setValue('recordingProfile', '4K');
+
+    expect(handler.collectFormData().dvrGroups[0].recordingProfile).toBe('4K');
+  });
+
+  it('should stay hidden until a duration is entered', () => {
+    handler.updateStorageEstimates();
+
+    expect(estimate().classList.contains('d-none')).toBe(true);
+    expect(summary().classList.contains('d-none')).toBe(true);
+  });
+
+  it('should estimate a 16-camera, 12-hour extraction', () => {
+    setValue('extractionStartTime', '2026-10-18 08:00');
+    setValue('extractionEndTime', '2026-10-18 20:00');
+    setValue('cameraDetails', 'All 16 cameras');
+    handler.updateStorageEstimates();
+
+    expect(estimate().classList.contains('d-none')).toBe(false);
+    expect(estimate().textContent).toBe('Estimated size: 414.7 GB (192 camera-hours at 1080p (2MP))');
+    expect(summary().textContent).toBe('Estimated storage needed: 414.7 GB - bring Hard Drive 500 GB or larger');
+  });
+
+  it('should add up every DVR in the total', () => {
+    setValue('extractionStartTime', '2026-10-18 14:00');
+    setValue('extractionEndTime', '2026-10-18 15:00');
+    setValue('cameraDetails', 'Front door');
+
+    handler.addDVRGroup();
+    setValue('extractionStartTime_dvr1', '2026-10-18 14:00');
+    setValue('extractionEndTime_dvr1', '2026-10-18 16:00');
+    setValue('cameraDetails_dvr1', 'Lobby, Till');
+    setValue('recordingProfile_1', '720p');
+    handler.updateStorageEstimates();
+
+    expect(estimate('storageEstimate_1').textContent).toBe('Estimated size: 4.3 GB (4 camera-hours at 720p (1MP))');
+    expect(summary().textContent).toBe('Estimated storage needed: 6.5 GB - bring USB 16 GB or larger');
+  });
+});
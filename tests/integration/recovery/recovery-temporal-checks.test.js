@@ -0,0 +1,87 @@
+/**
+ * Recovery Form Temporal Checks - Integration Tests
+ *
+ * Extraction windows are checked against each other and the DVR's earliest
+ * recorded date: warnings appear under the field as times are entered,
+ * errors block submission.
+ *
+ * @fileoverview Integration tests for the recovery form's date/time consistency checks
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { mountRecoveryForm, unmountRecoveryForm } from '../../fixtures/recovery-form.js';
+import { CONFIG } from '../../../assets/js/config.js';
+
+describe('Recovery Form Temporal Checks', () => {
+  let handler;
+
+  const setValue = (id, value) => {
+    const field = document.getElementById(id);
+    field.value = value;
+    field.dispatchEvent(new Event('change', { bubbles: true }));
+  };
+
+  const setTimeFrame = (suffix, start, end) => {
+    setValue(`extractionStartTime${suffix}`, start);
+    setValue(`extractionEndTime${suffix}`, end);
+    document.getElementById(`timeDVR${suffix}`).checked = true;
+  };
+
+  const warningFor = (id) => document.getElementById(id).parentElement.querySelector('.field-warning');
+
+  // The live check is debounced
+  const settle = () => new Promise(resolve => setTimeout(resolve, 350));
+
+  beforeEach(() => {
+    localStorage.clear();
+    handler = mountRecoveryForm();
+
+    setTimeFrame('', '2026-01-18 14:00', '2026-01-18 15:00');
+    handler.addTimeFrame(0);
+  });
+
+  afterEach(() => {
+    unmountRecoveryForm(handler);
+  });
+
+  it('should warn under the start time when windows overlap', async () => {
+    setTimeFrame('_1', '2026-01-18 14:30', '2026-01-18 16:00');
+    await settle();
+
+    expect(warningFor('extractionStartTime_1').textContent).toBe('Overlaps Time Frame 1');
+    expect(warningFor('extractionStartTime_1').classList.contains('d-none')).toBe(false);
+    expect(warningFor('extractionStartTime')).toBeNull();
+  });
+
+  it('should clear the warning once the overlap is fixed', async () => {
+    setTimeFrame('_1', '2026-01-18 14:30', '2026-01-18 16:00');
+    await settle();
+    setValue('extractionStartTime_1', '2026-01-18 15:00');
+    await settle();
+
+    expect(warningFor('extractionStartTime_1').classList.contains('d-none')).toBe(true);
+  });
+
+  it('should block submission of the same window twice', () => {
+    setTimeFrame('_1', '2026-01-18 14:00', '2026-01-18 15:00');
+
+    const result = handler.validateForm();
+    const startField = document.getElementById('extractionStartTime_1');
+
+    expect(result.isValid).toBe(false);
+    expect(result.errors.extractionStartTime_1).toBe('Same window as Time Frame 1');
+    expect(startField.classList.contains('is-invalid')).toBe(true);
+  });
+
+  it('should block windows older than the earliest date on the DVR', () => {
+    setTimeFrame('_1', '2026-01-19 14:00', '2026-01-19 15:00');
+    setValue('dvrRetention', '2026-01-19');
+
+    const result = handler.validateForm();
+
+    expect(result.errors.extractionStartTime).toBe(
+      CONFIG.MESSAGES.TEMPORAL_BEFORE_RETENTION.replace('{date}', 'Jan 19, 2026')
+    );
+    expect(result.errors.extractionStartTime_1).toBeUndefined();
+  });
+});
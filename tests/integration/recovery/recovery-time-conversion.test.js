@@ -0,0 +1,83 @@
+/**
+ * Recovery Form Time Conversion - Integration Tests
+ *
+ * Each extraction time frame shows a live DVR time / real time conversion
+ * once the DVR's time offset is entered.
+ *
+ * @fileoverview Integration tests for the recovery form's corrected-time preview
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { mountRecoveryForm, unmountRecoveryForm } from '../../fixtures/recovery-form.js';
+
+describe('Recovery Form Time Conversion', () => {
+  let handler;
+
+  const setValue = (id, value, event = 'change') => {
+    const field = document.getElementById(id);
+    field.value = value;
+    field.dispatchEvent(new Event(event, { bubbles: true }));
+  };
+
+  const check = (id) => {
+    const radio = document.getElementById(id);
+    radio.checked = true;
+    radio.dispatchEvent(new Event('change', { bubbles: true }));
+  };
+
+  const preview = (id = 'timeConversion') => document.getElementById(id);
+
+  beforeEach(() => {
+    localStorage.clear();
+    handler = mountRecoveryForm();
+
+    setValue('extractionStartTime', '2026-10-18 14:30');
+    setValue('extractionEndTime', '2026-10-18 15:45');
+    check('timeDVR');
+  });
+
+  afterEach(() => {
+    unmountRecoveryForm(handler);
+  });
+
+  it('should stay hidden while the DVR clock is correct', () => {
+    check('timeCorrectYes');
+
+    expect(preview().classList.contains('d-none')).toBe(true);
+  });
+
+  it('should show the corrected window as the offset is typed', () => {
+    check('timeCorrectNo');
+    setValue('timeOffset', 'DVR is 1hr 5min ahead', 'input');
+
+    expect(preview().classList.contains('d-none')).toBe(false);
+    expect(preview().textContent).toContain('Real time: Oct 18, 2026 at 13:25 to Oct 18, 2026 at 14:40');
+  });
+
+  it('should convert the other way when the times are actual time', () => {
+    check('timeCorrectNo');
+    setValue('timeOffset', 'DVR is 1hr 5min ahead', 'input');
+    check('timeActual');
+
+    expect(preview().textContent).toContain('DVR time: Oct 18, 2026 at 15:35 to Oct 18, 2026 at 16:50');
+  });
+
+  it('should update every time frame of the DVR', () => {
+    handler.addTimeFrame(0);
+    setValue('extractionStartTime_1', '2026-10-18 20:00');
+    setValue('extractionEndTime_1', '2026-10-18 21:00');
+    check('timeDVR_1');
+
+    check('timeCorrectNo');
+    setValue('timeOffset', 'DVR is 2 hours behind', 'input');
+
+    expect(preview('timeConversion_1').textContent).toContain('Real time: Oct 18, 2026 at 22:00 to Oct 18, 2026 at 23:00');
+  });
+
+  it('should warn when the offset cannot be read', () => {
+    check('timeCorrectNo');
+    setValue('timeOffset', 'a little fast', 'input');
+
+    expect(preview().classList.contains('text-warning')).toBe(true);
+  });
+});
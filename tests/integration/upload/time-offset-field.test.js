@@ -0,0 +1,157 @@
+/**
+ * Structured Time Offset Field - Integration Tests
+ *
+ * FormFieldBuilder.createTimeOffsetField() replaces the free-text offset with
+ * hours/minutes/seconds and direction, writes the read-only timeOffset value,
+ * works the offset out from the DVR screen (Sync Now) and migrates free-text
+ * offsets from older drafts.
+ *
+ * @fileoverview Integration tests for the structured time offset field
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { FormFieldBuilder } from '../../../assets/js/form-handlers/form-field-builder.js';
+import { CONFIG } from '../../../assets/js/config.js';
+
+describe('Structured Time Offset Field', () => {
+  let container;
+
+  const field = (id) => container.querySelector(`#${id}`);
+
+  const type = (id, value) => {
+    field(id).value = value;
+    field(id).dispatchEvent(new Event('input', { bubbles: true }));
+  };
+
+  const select = (id, value) => {
+    field(id).value = value;
+    field(id).dispatchEvent(new Event('change', { bubbles: true }));
+  };
+
+  // What populateForm does when a draft is loaded
+  const load = (id, value) => select(id, value);
+
+  beforeEach(() => {
+    container = document.createElement('div');
+    document.body.appendChild(container);
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+    document.body.innerHTML = '';
+  });
+
+  describe('Building', () => {
+    it('should replace the free-text field in both time sync fields', () => {
+      container.appendChild(FormFieldBuilder.createTimeSyncField(0));
+      container.appendChild(FormFieldBuilder.createDVRTimeSyncField(2));
+
+      expect(field('offsetHours')).toBeTruthy();
+      expect(field('offsetDirection').options).toHaveLength(CONFIG.TIME_OFFSET_DIRECTION_OPTIONS.length);
+      expect(field('timeOffset').hasAttribute('readonly')).toBe(true);
+      expect(field('offsetMinutes_2').getAttribute('name')).toBe('offsetMinutes_2');
+      expect(field('timeOffset_2').getAttribute('name')).toBe('timeOffset_2');
+    });
+  });
+
+  describe('Structured entry', () => {
+    beforeEach(() => {
+      container.appendChild(FormFieldBuilder.createTimeSyncField(0));
+    });
+
+    it('should write timeOffset once there is an offset and a direction', () => {
+      const onInput = vi.fn();
+      field('timeOffset').addEventListener('input', onInput);
+
+      type('offsetHours', '1');
+      type('offsetMinutes', '5');
+      expect(field('timeOffset').value).toBe('');
+
+      select('offsetDirection', 'BEHIND');
+      expect(field('timeOffset').value).toBe('DVR is 1 hour 5 minutes BEHIND of real time');
+      expect(onInput).toHaveBeenCalled();
+    });
+
+    it('should clear everything when the time is marked correct', () => {
+      type('offsetHours', '1');
+      select('offsetDirection', 'AHEAD');
+
+      field('timeCorrectYes').checked = true;
+      field('timeCorrectYes').dispatchEvent(new Event('change', { bubbles: true }));
+
+      expect(field('offsetHours').value).toBe('');
+      expect(field('offsetDirection').value).toBe('_placeholder_');
+      expect(field('timeOffset').value).toBe('');
+    });
+  });
+
+  describe('Sync Now', () => {
+    beforeEach(() => {
+      container.appendChild(FormFieldBuilder.createDVRTimeSyncField(0));
+      vi.useFakeTimers();
+      vi.setSystemTime(new Date('2026-10-19T12:00:00'));
+      container.querySelector('.time-offset-field .btn-secondary').click();
+    });
+
+    const capture = (dvrTime) => {
+      field('offsetCapture').value = dvrTime;
+      [...container.querySelectorAll('.time-offset-capture button')].at(-1).click();
+    };
+
+    it('should start from the device time', () => {
+      expect(field('offsetCapture').value).toMatch(/^2026-10-19T12:00/);
+      expect(container.querySelector('.time-offset-capture').classList.contains('d-none')).toBe(false);
+    });
+
+    it('should work out the offset from the time shown on the DVR', () => {
+      capture('2026-10-19T11:52:45');
+
+      expect(field('offsetMinutes').value).toBe('7');
+      expect(field('offsetSeconds').value).toBe('15');
+      expect(field('offsetDirection').value).toBe('BEHIND');
+      expect(field('timeOffset').value).toBe('DVR is 7 minutes 15 seconds BEHIND of real time');
+    });
+
+    it('should say so when the clocks match', () => {
+      capture('2026-10-19T12:00:00');
+
+      expect(field('timeOffset').value).toBe('');
+      expect(container.querySelector('.time-offset-capture').textContent).toContain(CONFIG.MESSAGES.TIME_OFFSET_CAPTURE_MATCH);
+    });
+  });
+
+  describe('Draft migration', () => {
+    beforeEach(() => {
+      container.appendChild(FormFieldBuilder.createTimeSyncField(1));
+    });
+
+    const note = () => container.querySelector('.time-offset-migrated');
+
+    it('should parse an old free-text offset into the structured fields', () => {
+      load('timeOffset_1', 'DVR is 1hr 5min ahead');
+
+      expect(field('offsetHours_1').value).toBe('1');
+      expect(field('offsetMinutes_1').value).toBe('5');
+      expect(field('offsetDirection_1').value).toBe('AHEAD');
+      expect(field('timeOffset_1').value).toBe('DVR is 1 hour 5 minutes AHEAD of real time');
+      expect(note().classList.contains('d-none')).toBe(true);
+    });
+
+    it('should not assume a direction the officer did not give', () => {
+      load('timeOffset_1', 'about 10 min off');
+
+      expect(field('offsetMinutes_1').value).toBe('10');
+      expect(field('offsetDirection_1').value).toBe('_placeholder_');
+      expect(field('timeOffset_1').value).toBe('');
+      expect(note().textContent).toContain('about 10 min off');
+      expect(note().classList.contains('d-none')).toBe(false);
+    });
+
+    it('should keep an offset already in the structured format', () => {
+      load('timeOffset_1', 'DVR is 2 hours BEHIND of real time');
+
+      expect(field('timeOffset_1').value).toBe('DVR is 2 hours BEHIND of real time');
+      expect(note().classList.contains('d-none')).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,177 @@
+/**
+ * Upload Form Handler - Integration Tests
+ *
+ * The upload form is built, validated and collected from UPLOAD_SCHEMA:
+ * one repeatable entry per location, each with its video timeframe, DVR
+ * clock answer and retention date.
+ *
+ * @fileoverview Integration tests for UploadFormHandler
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { mountUploadForm, unmountUploadForm } from '../../fixtures/upload-form.js';
+import { getSchemaFields, getOtherFieldName } from '../../../assets/js/form-schema.js';
+import { UPLOAD_SCHEMA } from '../../../assets/js/form-schemas/upload.js';
+import { CONFIG } from '../../../assets/js/config.js';
+
+describe('Upload Form Handler', () => {
+  let handler;
+
+  const field = (name) => handler.form.querySelector(`[name="${name}"]`);
+
+  const setValue = (name, value, event = 'change') => {
+    field(name).value = value;
+    field(name).dispatchEvent(new Event(event, { bubbles: true }));
+  };
+
+  const check = (id) => {
+    const radio = document.getElementById(id);
+    radio.checked = true;
+    radio.dispatchEvent(new Event('change', { bubbles: true }));
+  };
+
+  const groups = () => handler.form.querySelectorAll('.location-video-group');
+
+  beforeEach(() => {
+    localStorage.clear();
+    handler = mountUploadForm();
+  });
+
+  afterEach(() => {
+    unmountUploadForm(handler);
+  });
+
+  describe('Building', () => {
+    it('should build every schema field', () => {
+      getSchemaFields(UPLOAD_SCHEMA).forEach(schemaField => {
+        expect(field(schemaField.name), schemaField.name).toBeTruthy();
+        if (schemaField.other) expect(field(getOtherFieldName(schemaField)), schemaField.name).toBeTruthy();
+        if (schemaField.offset) expect(field(schemaField.offset.name), schemaField.name).toBeTruthy();
+      });
+    });
+
+    it('should offer a scan button for the evidence bag and a labels button', () => {
+      expect(field('evidenceBag').parentElement.querySelector('.scan-button')).toBeTruthy();
+      expect([...handler.form.querySelectorAll('button')].some(button => button.textContent === 'Print Evidence Labels')).toBe(true);
+    });
+
+    it('should name the fields of added locations with an index', () => {
+      document.getElementById('addLocationBtn').click();
+
+      expect(groups()).toHaveLength(2);
+      ['businessName_1', 'locationAddress_1', 'city_1', 'videoStartTime_1', 'timeOffset_1', 'dvrEarliestDate_1']
+        .forEach(name => expect(groups()[1].querySelector(`[name="${name}"]`), name).toBeTruthy());
+      expect(document.getElementById('timeCorrectNo_1')).toBeTruthy();
+    });
+  });
+
+  describe('Time sync', () => {
+    it('should ask for the offset only when the DVR clock is wrong', () => {
+      check('timeCorrectNo');
+
+      expect(document.getElementById('timeOffsetGroup').classList.contains('d-none')).toBe(false);
+      expect(field('timeOffset').required).toBe(true);
+
+      setValue('timeOffset', 'DVR is 5 minutes ahead');
+      check('timeCorrectYes');
+
+      expect(field('timeOffset').required).toBe(false);
+      expect(field('timeOffset').value).toBe('');
+    });
+
+    it('should show the real time of the DVR times once the offset is entered', () => {
+      setValue('videoStartTime', '2026-10-18 14:30');
+      setValue('videoEndTime', '2026-10-18 15:45');
+      check('timeCorrectNo');
+      setValue('timeOffset', 'DVR is 1hr 5min ahead', 'input');
+
+      const preview = groups()[0].querySelector('.time-conversion-preview');
+      expect(preview.classList.contains('d-none')).toBe(false);
+      expect(preview.textContent).toContain('Real time: Oct 18, 2026 at 13:25 to Oct 18, 2026 at 14:40');
+    });
+  });
+
+  describe('Validation', () => {
+    it('should require the address and city of every location', () => {
+      document.getElementById('addLocationBtn').click();
+
+      const { errors } = handler.validateForm();
+
+      expect(errors).toMatchObject({
+        locationAddress: CONFIG.MESSAGES.REQUIRED_FIELD,
+        city: CONFIG.MESSAGES.REQUIRED_FIELD,
+        locationAddress_1: CONFIG.MESSAGES.REQUIRED_FIELD,
+        city_1: CONFIG.MESSAGES.REQUIRED_FIELD
+      });
+    });
+
+    it('should require the city name when Other is chosen', () => {
+      setValue('city', 'Other');
+
+      expect(handler.validateForm().errors.cityOther).toBe(CONFIG.MESSAGES.CITY_OTHER_REQUIRED);
+    });
+
+    it('should reject a retention date in the future', () => {
+      setValue('dvrEarliestDate', '2099-01-01');
+
+      expect(handler.validateForm().errors.dvrEarliestDate).toBe(CONFIG.MESSAGES.RETENTION_IN_FUTURE);
+      expect(field('dvrEarliestDate').classList.contains('is-invalid')).toBe(true);
+    });
+  });
+
+  describe('Collecting', () => {
+    it('should collect one entry per location with its city and summary', () => {
+      document.getElementById('addLocationBtn').click();
+      setValue('locationAddress', '1 Main St');
+      setValue('city', 'Brampton');
+      setValue('locationAddress_1', '2 Main St');
+      setValue('city_1', 'Other');
+      setValue('cityOther_1', 'Caledon');
+
+      const data = handler.collectFormData();
+
+      expect(data.locations.map(location => [location.locationAddress, location.cityDisplay])).toEqual([
+        ['1 Main St', 'Brampton'],
+        ['2 Main St', 'Caledon']
+      ]);
+      expect(data[CONFIG.FIELD_NAMES.REQUEST_AREA]).toBe('Brampton');
+      expect(data[CONFIG.FIELD_NAMES.FILE_DETAILS]).toContain('=== LOCATION 2 ===\nAddress: 2 Main St\nCity: Caledon');
+    });
+
+    it('should restore every location of a draft and clear back to one', () => {
+      handler.populateForm({
+        locations: [
+          { locationAddress: '1 Main St' },
+          { locationAddress: '2 Main St' },
+          { locationAddress: '3 Main St', isTimeDateCorrect: 'No', timeOffset: 'DVR is 5 minutes ahead' }
+        ]
+      });
+
+      expect(groups()).toHaveLength(3);
+      expect(field('locationAddress_2').value).toBe('3 Main St');
+      expect(document.getElementById('timeCorrectNo_2').checked).toBe(true);
+      expect(document.getElementById('timeOffsetGroup_2').classList.contains('d-none')).toBe(false);
+
+      handler.clearFormAfterSubmission();
+
+      expect(groups()).toHaveLength(1);
+    });
+  });
+
+  describe('Location history', () => {
+    it('should fill only the empty DVR details of a location', () => {
+      setValue('businessName', 'Corner Store');
+
+      const filled = handler.applyLocationHistory({
+        businessName: 'Gas Bar',
+        details: { timeOffset: { value: 'DVR is 5 minutes ahead' }, retentionDays: { value: 30 } }
+      }, groups()[0]);
+
+      expect(filled).toBe(2);
+      expect(field('businessName').value).toBe('Corner Store');
+      expect(document.getElementById('timeCorrectNo').checked).toBe(true);
+      expect(field('timeOffset').value).toBe('DVR is 5 minutes AHEAD of real time');
+      expect(field('dvrEarliestDate').value).not.toBe('');
+    });
+  });
+});
@@ -0,0 +1,117 @@
+import { test, expect } from '@playwright/test';
+import { uploadFormValidData } from './fixtures/test-data.js';
+import {
+  fillUploadForm,
+  clearLocalStorage,
+  submitFormAndConfirm
+} from './fixtures/form-helpers.js';
+import {
+  useMockBackend,
+  setMockFailure,
+  getMockSubmissions
+} from './fixtures/mock-backend.js';
+
+/**
+ * Submission failure tests
+ * Each failure mode of scripts/mock-backend.js is applied to the
+ * submission, which the form should retry, queue in the outbox or report
+ *
+ * Tests run in parallel against one mock backend, so each uses its own
+ * occurrence number to scope its failures and find its submissions
+ */
+
+// submitWithRetry makes up to 3 attempts, 1s then 2s apart
+const ATTEMPTS = 3;
+
+// CONFIG.API_TIMEOUT, plus time for the retry
+const TIMEOUT_RETRY_MS = 45000;
+
+/**
+ * Get what the mock backend received for an occurrence number
+ */
+async function getSubmissionsFor(request, occNumber) {
+  const submissions = await getMockSubmissions(request);
+  return submissions.filter(submission =>
+    (submission.record?.occ_number ?? submission.fields?.occNumber) === occNumber
+  );
+}
+
+/**
+ * Wait for the mock backend to have received this many submissions
+ */
+async function expectSubmissionCount(request, occNumber, count, timeout = 15000) {
+  await expect.poll(async () => (await getSubmissionsFor(request, occNumber)).length, { timeout }).toBe(count);
+}
+
+test.describe('Submission Failure Tests (mock backend)', () => {
+  let occNumber;
+
+  test.beforeEach(async ({ page }, testInfo) => {
+    occNumber = `PR${Date.now()}${testInfo.parallelIndex}`;
+    await useMockBackend(page);
+
+    await page.goto('/upload.html');
+    await clearLocalStorage(page);
+    await page.reload();
+
+    await fillUploadForm(page, { ...uploadFormValidData, occNumber });
+  });
+
+  test.describe('1 Queued in the outbox', () => {
+    for (const [number, mode] of [['1.1', '500'], ['1.2', 'offline']]) {
+      test(`${number} ${mode} on every attempt queues, then delivers on reload`, async ({ page, request }) => {
+        await setMockFailure(request, mode, { times: ATTEMPTS, occNumber });
+
+        await submitFormAndConfirm(page);
+
+        await expect(page.locator('.toast', { hasText: 'has been queued' })).toBeVisible({ timeout: 15000 });
+        await expect(page.locator('#outbox-button')).toHaveText('Outbox (1)');
+        expect(await getSubmissionsFor(request, occNumber)).toHaveLength(0);
+
+        // The outbox replays on page load once the backend recovers
+        await page.reload();
+
+        await expectSubmissionCount(request, occNumber, 1);
+        await expect(page.locator('#outbox-button')).toBeHidden();
+      });
+    }
+  });
+
+  test.describe('2 Retried', () => {
+    test('2.1 malformed response is retried and delivered', async ({ page, request }) => {
+      await setMockFailure(request, 'malformed', { times: 1, occNumber });
+
+      await submitFormAndConfirm(page);
+
+      await expect(page.locator('.toast.success, .toast-success').first()).toBeVisible({ timeout: 15000 });
+      await expectSubmissionCount(request, occNumber, 1);
+      await expect(page.locator('#outbox-button')).toBeHidden();
+    });
+
+    test('2.2 timeout is retried and delivered', async ({ page, request }) => {
+      test.setTimeout(TIMEOUT_RETRY_MS + 30000);
+      await setMockFailure(request, 'timeout', { times: 1, occNumber });
+
+      await submitFormAndConfirm(page);
+
+      await expect(page.locator('.toast.success, .toast-success').first()).toBeVisible({ timeout: TIMEOUT_RETRY_MS });
+      await expectSubmissionCount(request, occNumber, 1);
+      await expect(page.locator('#outbox-button')).toBeHidden();
+    });
+  });
+
+  test.describe('3 Reported', () => {
+    test('3.1 429 is not retried or queued', async ({ page, request }) => {
+      await setMockFailure(request, '429', { times: 1, occNumber });
+
+      await submitFormAndConfirm(page);
+
+      await expect(page.locator('.toast', { hasText: 'Too many requests' })).toBeVisible({ timeout: 15000 });
+      await expect(page.locator('#outbox-button')).toBeHidden();
+
+      // The failure is used up, so a retry would have been received
+      await page.waitForTimeout(4000);
+      expect(await getSubmissionsFor(request, occNumber)).toHaveLength(0);
+    });
+  });
+});
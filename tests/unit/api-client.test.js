@@ -0,0 +1,209 @@
+/**
+ * API Client Tests
+ *
+ * Verifies fan-out of one submission to multiple transports: per-target
+ * results, primary target deciding success, and retrying only the targets
+ * that failed.
+ *
+ * @fileoverview Unit tests for api-client.js
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+
+vi.mock('../../assets/js/config.js', async (importOriginal) => {
+  const { CONFIG } = await importOriginal();
+  return { CONFIG: { ...CONFIG, SUBMISSION_TARGETS: ['primary', 'secondary'] } };
+});
+
+import { submitWithRetry, registerTransport, getSubmissionTransports, APIError } from '../../assets/js/api-client.js';
+import { SubmissionTransport } from '../../assets/js/transports/submission-transport.js';
+import { PhpMultipartTransport } from '../../assets/js/transports/php-multipart-transport.js';
+import { CONFIG } from '../../assets/js/config.js';
+
+const sends = { primary: vi.fn(), secondary: vi.fn() };
+
+class PrimaryTransport extends SubmissionTransport {
+  constructor() { super('primary'); }
+  send(submission) { return sends.primary(submission); }
+}
+
+class SecondaryTransport extends SubmissionTransport {
+  constructor() { super('secondary'); }
+  send(submission) { return sends.secondary(submission); }
+}
+
+registerTransport('primary', PrimaryTransport);
+registerTransport('secondary', SecondaryTransport);
+
+const pdfBlob = new Blob(['pdf']);
+const jsonBlob = new Blob(['{}']);
+const formData = { formType: 'upload', occNumber: 'PR123', occType: 'Missing Person' };
+
+describe('API Client', () => {
+  beforeEach(() => {
+    sends.primary.mockReset();
+    sends.secondary.mockReset();
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+    vi.restoreAllMocks();
+  });
+
+  it('should resolve configured targets in order', () => {
+    expect(getSubmissionTransports().map(t => t.name)).toEqual(['primary', 'secondary']);
+  });
+
+  it('should send the same mapped submission to every target', async () => {
+    sends.primary.mockResolvedValue({ success: true, submissionId: 'A1' });
+    sends.secondary.mockResolvedValue({ success: true, ticketNumber: 'T9' });
+
+    await submitWithRetry(formData, pdfBlob, jsonBlob);
+
+    const [primarySubmission] = sends.primary.mock.calls[0];
+    const [secondarySubmission] = sends.secondary.mock.calls[0];
+    expect(primarySubmission).toBe(secondarySubmission);
+    expect(primarySubmission.data.occType).toBe('2');
+    expect(primarySubmission.pdfBlob).toBe(pdfBlob);
+    expect(formData.occType).toBe('Missing Person');
+  });
+
+  it('should pass the submission ID and content hash to every target', async () => {
+    sends.primary.mockResolvedValue({ success: true });
+    sends.secondary.mockResolvedValue({ success: true });
+
+    await submitWithRetry(formData, pdfBlob, jsonBlob, { submissionId: 'id-1', contentHash: 'abc' });
+
+    expect(sends.primary.mock.calls[0][0]).toMatchObject({ submissionId: 'id-1', contentHash: 'abc' });
+  });
+
+  it('should score priority once, before any target is sent to', async () => {
+    sends.primary.mockResolvedValue({ success: true });
+    sends.secondary.mockResolvedValue({ success: true });
+
+    await submitWithRetry({ ...formData, serviceRequired: 'Make Playable' }, pdfBlob, jsonBlob);
+
+    const [submission] = sends.primary.mock.calls[0];
+    expect(submission.priority).toEqual({ score: 15, level: 'Medium', icon: '🟡', reasons: ['Make Playable requested'] });
+    expect(sends.secondary.mock.calls[0][0].priority).toBe(submission.priority);
+  });
+
+  it('should send the priority to the PHP endpoint', () => {
+    const body = new PhpMultipartTransport('/rfs_request_process.php').buildBody({
+      data: { formType: 'analysis', occNumber: 'PR123' },
+      priority: { score: 20, reasons: ['Make Playable requested', '2 locations'] },
+      pdfBlob,
+      jsonBlob,
+      timestamp: 1
+    });
+
+    expect(body.get('priorityScore')).toBe('20');
+    expect(body.get('priorityReasons')).toBe('Make Playable requested; 2 locations');
+  });
+
+  it('should send the submission ID and content hash to the PHP endpoint', () => {
+    const body = new PhpMultipartTransport('/rfs_request_process.php').buildBody({
+      data: { formType: 'analysis', occNumber: 'PR123' },
+      submissionId: 'id-1',
+      contentHash: 'abc',
+      pdfBlob,
+      jsonBlob,
+      timestamp: 1
+    });
+
+    expect(body.get('submissionId')).toBe('id-1');
+    expect(body.get('contentHash')).toBe('abc');
+  });
+
+  it('should return the primary response with each target reported separately', async () => {
+    sends.primary.mockResolvedValue({ success: true, message: 'OK', submissionId: 'A1' });
+    sends.secondary.mockRejectedValue(new APIError('Bad request', { status: 400 }));
+
+    const result = await submitWithRetry(formData, pdfBlob, jsonBlob);
+
+    expect(result.success).toBe(true);
+    expect(result.submissionId).toBe('A1');
+    expect(result.targets).toEqual([
+      { target: 'primary', success: true, message: 'OK', ticketNumber: null, submissionId: 'A1' },
+      { target: 'secondary', success: false, message: 'Bad request', ticketNumber: null, submissionId: null }
+    ]);
+  });
+
+  it('should throw the primary error even if a secondary target succeeded', async () => {
+    sends.primary.mockRejectedValue(new APIError('Missing required fields', { status: 422 }));
+    sends.secondary.mockResolvedValue({ success: true });
+
+    await expect(submitWithRetry(formData, pdfBlob, jsonBlob)).rejects.toMatchObject({ status: 422 });
+  });
+
+  it('should list the targets that have the submission on the primary error', async () => {
+    sends.primary.mockRejectedValue(new APIError('Server error', { status: 503 }));
+    sends.secondary.mockResolvedValue({ success: true });
+
+    const error = await submitWithRetry(formData, pdfBlob, jsonBlob, { maxRetries: 1 }).catch(err => err);
+
+    expect(error.deliveredTargets).toEqual([{ position: 1, target: 'secondary' }]);
+  });
+
+  it('should not send to targets that have the submission from an earlier attempt', async () => {
+    sends.primary.mockResolvedValue({ success: true, submissionId: 'A1' });
+
+    const result = await submitWithRetry(formData, pdfBlob, jsonBlob, {
+      deliveredTargets: [{ position: 1, target: 'secondary' }]
+    });
+
+    expect(sends.primary).toHaveBeenCalledTimes(1);
+    expect(sends.secondary).not.toHaveBeenCalled();
+    expect(result.targets[1]).toMatchObject({ target: 'secondary', success: true });
+  });
+
+  it('should retry only the targets that failed', async () => {
+    vi.useFakeTimers();
+    sends.primary.mockResolvedValue({ success: true, submissionId: 'A1' });
+    sends.secondary
+      .mockRejectedValueOnce(new APIError('Server error', { status: 503 }))
+      .mockResolvedValueOnce({ success: true, submissionId: 'B2' });
+
+    const pending = submitWithRetry(formData, pdfBlob, jsonBlob);
+    await vi.advanceTimersByTimeAsync(1000);
+    const result = await pending;
+
+    expect(sends.primary).toHaveBeenCalledTimes(1);
+    expect(sends.secondary).toHaveBeenCalledTimes(2);
+    expect(result.targets[1]).toMatchObject({ target: 'secondary', success: true, submissionId: 'B2' });
+  });
+
+  it('should report two targets of the same type separately', async () => {
+    const configured = CONFIG.SUBMISSION_TARGETS;
+    CONFIG.SUBMISSION_TARGETS = ['primary', 'secondary', 'secondary'];
+    sends.primary.mockResolvedValue({ success: true });
+    sends.secondary
+      .mockRejectedValueOnce(new APIError('Bad request', { status: 400 }))
+      .mockResolvedValueOnce({ success: true, submissionId: 'B2' });
+
+    try {
+      const result = await submitWithRetry(formData, pdfBlob, jsonBlob);
+
+      expect(result.targets.map(target => target.success)).toEqual([true, false, true]);
+      expect(result.targets[1].message).toBe('Bad request');
+    } finally {
+      CONFIG.SUBMISSION_TARGETS = configured;
+    }
+  });
+
+  it('should not retry client errors', async () => {
+    sends.primary.mockRejectedValue(new APIError('Bad request', { status: 400 }));
+    sends.secondary.mockResolvedValue({ success: true });
+
+    await expect(submitWithRetry(formData, pdfBlob, jsonBlob)).rejects.toThrow('Bad request');
+    expect(sends.primary).toHaveBeenCalledTimes(1);
+  });
+
+  it('should reject unknown targets', () => {
+    registerTransport('primary', undefined);
+    expect(() => getSubmissionTransports()).toThrow('Unknown submission target: primary');
+    registerTransport('primary', PrimaryTransport);
+  });
+});
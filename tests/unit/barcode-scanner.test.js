@@ -0,0 +1,119 @@
+/**
+ * Barcode Scanner Tests
+ *
+ * Verifies scanned values are checked before they fill a field, and the
+ * photo path through the scanner modal with a stand-in BarcodeDetector.
+ *
+ * @fileoverview Unit tests for barcode-scanner.js and validateScannedValue()
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { addScanButton, getScannedFieldValue } from '../../assets/js/barcode-scanner.js';
+import { validateScannedValue } from '../../assets/js/validators.js';
+import { buildRequestCode } from '../../assets/js/request-code.js';
+import { FormFieldBuilder } from '../../assets/js/form-handlers/form-field-builder.js';
+import { CONFIG } from '../../assets/js/config.js';
+
+const SUBMISSION_ID = '1b4e28ba-2fa1-41d2-883f-0016d3cca427';
+
+describe('validateScannedValue()', () => {
+  it('should accept a value that passes the field rule', () => {
+    expect(validateScannedValue(' PR2026001234 ', 'occNumber', 'occurrenceNumber')).toBeNull();
+    expect(validateScannedValue('B-17/2026', 'evidenceBag')).toBeNull();
+  });
+
+  it('should apply the field rule', () => {
+    expect(validateScannedValue('2026001234', 'occNumber', 'occurrenceNumber')).toBe(CONFIG.MESSAGES.INVALID_OCCURRENCE);
+  });
+
+  it('should reject text no bag or occurrence number looks like', () => {
+    expect(validateScannedValue('', 'evidenceBag')).toBe(CONFIG.MESSAGES.SCAN_UNEXPECTED);
+    expect(validateScannedValue('https://example.org/?a=1', 'evidenceBag')).toBe(CONFIG.MESSAGES.SCAN_UNEXPECTED);
+    expect(validateScannedValue('B'.repeat(CONFIG.BARCODE_SCANNER.MAX_LENGTH + 1), 'evidenceBag')).toBe(CONFIG.MESSAGES.SCAN_UNEXPECTED);
+  });
+});
+
+describe('getScannedFieldValue()', () => {
+  it('should take the occurrence number from a scanned request code', () => {
+    const code = buildRequestCode({ submissionId: SUBMISSION_ID, occNumber: 'PR2026001234', formType: 'upload' });
+
+    expect(getScannedFieldValue(code, 'occNumber')).toBe('PR2026001234');
+    expect(getScannedFieldValue(code, 'evidenceBag')).toBe(code);
+    expect(getScannedFieldValue(' PR2026001234\n', 'occNumber')).toBe('PR2026001234');
+  });
+});
+
+describe('addScanButton()', () => {
+  let decoded;
+
+  beforeEach(() => {
+    document.body.innerHTML = '';
+    decoded = [];
+
+    class FakeBarcodeDetector {
+      static async getSupportedFormats() { return ['qr_code', 'code_128']; }
+      async detect() { return decoded.map(rawValue => ({ rawValue })); }
+    }
+    vi.stubGlobal('BarcodeDetector', FakeBarcodeDetector);
+    vi.stubGlobal('createImageBitmap', vi.fn(async () => ({ close: vi.fn() })));
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  /**
+   * Open the scanner from a field's button and "take" a photo
+   * @returns {Promise<HTMLInputElement>} The field's input
+   */
+  async function scanPhoto(group) {
+    document.body.appendChild(group);
+    const input = group.querySelector('input.form-control');
+
+    group.querySelector('.scan-button').click();
+    const photoInput = document.querySelector('.barcode-scanner input[type="file"]');
+    Object.defineProperty(photoInput, 'files', { value: [new File(['jpeg'], 'bag.jpg', { type: 'image/jpeg' })] });
+    photoInput.dispatchEvent(new Event('change'));
+
+    await vi.waitFor(() => expect(document.querySelector('.barcode-scanner')).toBeNull());
+    await new Promise(resolve => setTimeout(resolve, 0));
+    return input;
+  }
+
+  it('should be added to schema fields flagged for scanning', () => {
+    const group = FormFieldBuilder.createOccurrenceNumberField();
+
+    expect(group.classList.contains('has-scan')).toBe(true);
+    expect(group.querySelector('input.form-control').nextElementSibling.classList.contains('scan-button')).toBe(true);
+    expect(FormFieldBuilder.createLockerNumberField().querySelector('.scan-button')).toBeNull();
+  });
+
+  it('should fill the field from a photo and run its events', async () => {
+    decoded = ['B-17'];
+    const group = addScanButton(FormFieldBuilder.createTextField('evidenceBag', 0, 'Evidence Bag #'));
+    const onChange = vi.fn();
+    group.querySelector('input').addEventListener('change', onChange);
+
+    const input = await scanPhoto(group);
+
+    expect(input.value).toBe('B-17');
+    expect(onChange).toHaveBeenCalledTimes(1);
+  });
+
+  it('should fill the occurrence number from a request code', async () => {
+    decoded = [buildRequestCode({ submissionId: SUBMISSION_ID, occNumber: 'PR2026001234', formType: 'recovery' })];
+
+    const input = await scanPhoto(FormFieldBuilder.createOccurrenceNumberField());
+
+    expect(input.value).toBe('PR2026001234');
+  });
+
+  it('should not fill the field with a value that fails validation', async () => {
+    decoded = ['2026001234'];
+
+    const input = await scanPhoto(FormFieldBuilder.createOccurrenceNumberField());
+
+    expect(input.value).toBe('');
+    expect(document.body.textContent).toContain(CONFIG.MESSAGES.INVALID_OCCURRENCE);
+  });
+});
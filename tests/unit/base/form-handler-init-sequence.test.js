@@ -68,6 +68,7 @@ describe('FormHandler - Initialization Sequence', () => {
       loadDraft: vi.fn().mockReturnValue(null),
       clearDraft: vi.fn(),
       getDraftAge: vi.fn().mockReturnValue('0 minutes ago'),
+      listDrafts: vi.fn().mockReturnValue([]),
       saveSessionStart: vi.fn()
     }));
 
@@ -105,6 +106,10 @@ describe('FormHandler - Initialization Sequence', () => {
       showConfirmModal: vi.fn().mockResolvedValue(true)
     }));
 
+    vi.doMock('../../../assets/js/storage-lock.js', () => ({
+      initStorageLock: vi.fn()
+    }));
+
     vi.doMock('../../../assets/js/api-client.js', () => ({
       submitWithRetry: vi.fn().mockResolvedValue({ success: true, submissionId: '123' })
     }));
@@ -141,6 +146,11 @@ describe('FormHandler - Initialization Sequence', () => {
         },
         ANIMATIONS: {
           SHAKE_DURATION: 500
+        },
+        // Read by the recovery schema when it loads
+        STORAGE_ESTIMATE: {
+          PROFILES: [],
+          DEFAULT_PROFILE: ''
         }
       }
     }));
@@ -0,0 +1,267 @@
+/**
+ * Calculations Tests
+ *
+ * Verifies DVR offset handling: structured offsets and clock comparison,
+ * the DVR-clock and real-world extraction windows, and the conversion text
+ * shown next to the start/end pickers. Also the overwrite deadlines that
+ * follow from each DVR's retention, and the storage needed for a recovery.
+ *
+ * @fileoverview Unit tests for the time offset helpers in calculations.js
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  parseTimeOffset,
+  formatTimeOffset,
+  calculateClockOffset,
+  getDvrTimeOffset,
+  getExtractionWindows,
+  describeTimeConversion,
+  calculateOverwriteDeadlines,
+  formatOverwriteCountdown,
+  countCameras,
+  recommendStorageMedia,
+  formatStorageSize,
+  estimateRecoveryStorage
+} from '../../assets/js/calculations.js';
+import { CONFIG } from '../../assets/js/config.js';
+
+const ahead = getDvrTimeOffset('No', 'DVR is 1hr 5min ahead');
+const behind = getDvrTimeOffset('No', 'DVR is 30 min behind');
+
+describe('formatTimeOffset()', () => {
+  it('should format a structured offset that parseTimeOffset reads back', () => {
+    const text = formatTimeOffset({ hours: 1, minutes: 0, seconds: 30, direction: 'BEHIND' });
+
+    expect(text).toBe('DVR is 1 hour 30 seconds BEHIND of real time');
+    expect(parseTimeOffset(text)).toMatchObject({ hours: 1, minutes: 0, seconds: 30, direction: 'BEHIND', hasDirection: true });
+  });
+
+  it('should return nothing without an offset or direction', () => {
+    expect(formatTimeOffset({ direction: 'AHEAD' })).toBe('');
+    expect(formatTimeOffset({ minutes: 5, direction: '' })).toBe('');
+  });
+});
+
+describe('parseTimeOffset()', () => {
+  it('should report when the text gives no direction', () => {
+    expect(parseTimeOffset('5 min').hasDirection).toBe(false);
+    expect(parseTimeOffset('5 min slow').hasDirection).toBe(true);
+  });
+});
+
+describe('calculateClockOffset()', () => {
+  const device = new Date('2026-10-19T12:00:00');
+
+  it('should be AHEAD when the DVR shows a later time', () => {
+    expect(calculateClockOffset(new Date('2026-10-19T13:05:30'), device))
+      .toEqual({ hours: 1, minutes: 5, seconds: 30, direction: 'AHEAD' });
+  });
+
+  it('should be BEHIND when the DVR shows an earlier time, including a wrong date', () => {
+    expect(calculateClockOffset(new Date('2026-10-18T11:58:00'), device))
+      .toEqual({ hours: 24, minutes: 2, seconds: 0, direction: 'BEHIND' });
+  });
+
+  it('should have no direction when the clocks match', () => {
+    expect(calculateClockOffset(new Date('2026-10-19T12:00:00.400'), device).direction).toBe('');
+  });
+});
+
+describe('getDvrTimeOffset()', () => {
+  it('should only parse the offset when the DVR clock is wrong', () => {
+    expect(ahead).toMatchObject({ hours: 1, minutes: 5, direction: 'AHEAD' });
+    expect(getDvrTimeOffset('Yes', 'DVR is 1hr ahead')).toBeNull();
+    expect(getDvrTimeOffset('No', '  ')).toBeNull();
+  });
+});
+
+describe('getExtractionWindows()', () => {
+  it('should correct DVR Time to real time', () => {
+    expect(getExtractionWindows('2026-10-18 14:30', '2026-10-18 15:45', 'DVR Time', ahead)).toEqual({
+      offsetApplied: true,
+      dvrWindow: { start: '2026-10-18 14:30', end: '2026-10-18 15:45' },
+      actualWindow: { start: '2026-10-18 13:25', end: '2026-10-18 14:40' }
+    });
+  });
+
+  it('should convert Actual Time to the DVR clock', () => {
+    const windows = getExtractionWindows('2026-10-18 23:45', '2026-10-19 00:10', 'Actual Time', behind);
+
+    expect(windows.actualWindow).toEqual({ start: '2026-10-18 23:45', end: '2026-10-19 00:10' });
+    expect(windows.dvrWindow).toEqual({ start: '2026-10-18 23:15', end: '2026-10-18 23:40' });
+  });
+
+  it('should keep the entered window for both when there is no usable offset', () => {
+    const windows = getExtractionWindows('2026-10-18 14:30', '', 'DVR Time', getDvrTimeOffset('No', 'not sure'));
+
+    expect(windows.offsetApplied).toBe(false);
+    expect(windows.actualWindow).toEqual({ start: '2026-10-18 14:30', end: null });
+    expect(windows.dvrWindow).toEqual(windows.actualWindow);
+  });
+});
+
+describe('describeTimeConversion()', () => {
+  const values = {
+    startTime: '2026-10-18 14:30',
+    endTime: '2026-10-18 15:45',
+    timePeriodType: 'DVR Time',
+    isTimeDateCorrect: 'No',
+    timeOffset: 'DVR is 1hr 5min ahead'
+  };
+
+  it('should show both windows with the parsed offset', () => {
+    const { text, isWarning } = describeTimeConversion(values);
+
+    expect(isWarning).toBe(false);
+    expect(text).toContain('DVR is 1 hour 5 minutes AHEAD of real time');
+    expect(text).toContain('DVR time: Oct 18, 2026 at 14:30 to Oct 18, 2026 at 15:45');
+    expect(text).toContain('Real time: Oct 18, 2026 at 13:25 to Oct 18, 2026 at 14:40');
+  });
+
+  it('should show nothing when the DVR clock is correct', () => {
+    expect(describeTimeConversion({ ...values, isTimeDateCorrect: 'Yes' })).toBeNull();
+  });
+
+  it('should warn when the offset cannot be read', () => {
+    expect(describeTimeConversion({ ...values, timeOffset: 'a bit fast' }))
+      .toEqual({ text: CONFIG.MESSAGES.TIME_OFFSET_UNREADABLE, isWarning: true });
+  });
+
+  it('should ask for the time period type before converting', () => {
+    expect(describeTimeConversion({ ...values, timePeriodType: '' }).text)
+      .toContain(CONFIG.MESSAGES.TIME_PERIOD_TYPE_NEEDED);
+  });
+});
+
+describe('calculateOverwriteDeadlines()', () => {
+  const asOf = new Date('2026-10-19T12:00:00');
+  const recovery = () => ({
+    dvrGroups: [
+      {
+        dvrRetention: '2026-10-05',
+        isTimeDateCorrect: 'No',
+        timeOffset: 'DVR is 1 hour AHEAD of real time',
+        extractionTimeFrames: [
+          { extractionStartTime: '2026-10-18 14:30', extractionEndTime: '2026-10-18 15:00', timePeriodType: 'DVR Time' },
+          { extractionStartTime: '2026-10-17 09:00', extractionEndTime: '2026-10-17 10:00', timePeriodType: 'Actual Time' }
+        ]
+      },
+      {
+        dvrRetention: '',
+        extractionTimeFrames: [{ extractionStartTime: '2026-10-18 14:30', extractionEndTime: '', timePeriodType: 'DVR Time' }]
+      }
+    ]
+  });
+
+  it('should add the DVR retention to the real-world start of each window, soonest first', () => {
+    const deadlines = calculateOverwriteDeadlines(recovery(), asOf);
+
+    expect(deadlines.map(({ label, retentionDays, deadline }) => [label, retentionDays, deadline])).toEqual([
+      ['DVR 1, Time Frame 2', 14, new Date('2026-10-31T09:00:00')],
+      ['DVR 1, Time Frame 1', 14, new Date('2026-11-01T13:30:00')]
+    ]);
+  });
+
+  it('should skip DVRs without an earliest date and forms without DVRs', () => {
+    expect(calculateOverwriteDeadlines(recovery(), asOf).every(item => item.dvrIndex === 0)).toBe(true);
+    expect(calculateOverwriteDeadlines({ locations: [] }, asOf)).toEqual([]);
+  });
+});
+
+describe('formatOverwriteCountdown()', () => {
+  const now = new Date('2026-10-19T12:00:00');
+
+  it('should count down in days and hours', () => {
+    expect(formatOverwriteCountdown(new Date('2026-10-22T15:30:00'), now))
+      .toEqual({ text: '3 days 3 hours left', isUrgent: false, isPast: false });
+  });
+
+  it('should be urgent inside the urgent window', () => {
+    const deadline = new Date(now.getTime() + (CONFIG.OVERWRITE_DEADLINES.URGENT_HOURS - 1) * 60 * 60 * 1000);
+
+    expect(formatOverwriteCountdown(deadline, now).isUrgent).toBe(true);
+  });
+
+  it('should flag deadlines that have passed', () => {
+    expect(formatOverwriteCountdown(new Date('2026-10-19T11:00:00'), now))
+      .toEqual({ text: 'May already be overwritten', isUrgent: true, isPast: true });
+  });
+});
+
+describe('countCameras()', () => {
+  it('should count listed cameras', () => {
+    expect(countCameras('Front entrance\nCash register\n\nParking lot')).toBe(3);
+    expect(countCameras('Cam 1, Cam 2; Cam 3')).toBe(3);
+    expect(countCameras('  ')).toBe(0);
+  });
+
+  it('should use a stated number of cameras', () => {
+    expect(countCameras('All 16 cameras')).toBe(16);
+    expect(countCameras('8 channels, front and back')).toBe(8);
+  });
+});
+
+describe('recommendStorageMedia()', () => {
+  it('should pick the smallest media that holds the estimate with room to spare', () => {
+    expect(recommendStorageMedia(14)).toMatchObject({ mediaType: 'USB', capacityGb: 16, text: 'USB 16 GB or larger' });
+    expect(recommendStorageMedia(15)).toMatchObject({ mediaType: 'USB', capacityGb: 32 });
+    expect(recommendStorageMedia(400)).toMatchObject({ mediaType: 'Hard Drive', capacityGb: 500 });
+  });
+
+  it('should split anything bigger than the largest drive', () => {
+    expect(recommendStorageMedia(5000)).toEqual({ mediaType: 'Hard Drive', capacityGb: 4000, count: 2, text: '2 x Hard Drive 4 TB' });
+  });
+});
+
+describe('formatStorageSize()', () => {
+  it('should use MB, GB or TB', () => {
+    expect(formatStorageSize(0.45)).toBe('450 MB');
+    expect(formatStorageSize(21.6)).toBe('21.6 GB');
+    expect(formatStorageSize(1240)).toBe('1.2 TB');
+  });
+});
+
+describe('estimateRecoveryStorage()', () => {
+  const recovery = () => ({
+    dvrGroups: [
+      {
+        recordingProfile: '1080p',
+        extractionTimeFrames: [
+          { extractionStartTime: '2026-10-18 08:00', extractionEndTime: '2026-10-18 20:00', cameraDetails: 'All 16 cameras' }
+        ]
+      },
+      {
+        recordingProfile: '',
+        extractionTimeFrames: [
+          { extractionStartTime: '2026-10-18 14:00', extractionEndTime: '2026-10-18 14:30', cameraDetails: '' },
+          { extractionStartTime: '2026-10-18 15:00', extractionEndTime: '', cameraDetails: 'Front door' }
+        ]
+      }
+    ]
+  });
+
+  it('should multiply duration, cameras and the profile bitrate per DVR', () => {
+    const { dvrs } = estimateRecoveryStorage(recovery());
+
+    // 12 h x 16 cameras x 4 Mbps = 345.6 GB, plus overhead
+    expect(dvrs[0].cameraHours).toBe(192);
+    expect(dvrs[0].gigabytes).toBeCloseTo(345.6 * CONFIG.STORAGE_ESTIMATE.OVERHEAD);
+  });
+
+  it('should assume one camera and the default profile when not given', () => {
+    const [, second] = estimateRecoveryStorage(recovery()).dvrs;
+
+    expect(second.profile.value).toBe(CONFIG.STORAGE_ESTIMATE.DEFAULT_PROFILE);
+    expect(second.timeframes.map(tf => tf.cameraCount)).toEqual([1, 1]);
+    expect(second.timeframes[1].gigabytes).toBe(0);
+  });
+
+  it('should recommend media for the total', () => {
+    const estimate = estimateRecoveryStorage(recovery());
+
+    expect(estimate.gigabytes).toBeCloseTo(346.5 * CONFIG.STORAGE_ESTIMATE.OVERHEAD);
+    expect(estimate.recommendation).toMatchObject({ mediaType: 'Hard Drive', capacityGb: 500 });
+    expect(estimateRecoveryStorage({ dvrGroups: [] }).recommendation).toBeNull();
+  });
+});
@@ -0,0 +1,96 @@
+/**
+ * Canvass Log Tests
+ * Outcome totals and Recovery drafts built from canvassed addresses
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import { countOutcomes, getAddressLabel, buildRecoveryDraft, createRecoveryDrafts } from '../../assets/js/canvass.js';
+import { loadDraft, listDrafts } from '../../assets/js/storage.js';
+import { CONFIG } from '../../assets/js/config.js';
+
+const canvassData = {
+  occNumber: 'PR2024001234',
+  offenceType: 'Robbery',
+  rName: 'Smith',
+  badge: '1234',
+  requestingPhone: '9055551234',
+  requestingEmail: 'smith@peelpolice.ca',
+  canvassDate: '2024-01-15'
+};
+
+const address = {
+  businessName: 'Corner Store',
+  locationAddress: '12 Main St',
+  city: 'Brampton',
+  cityOther: '',
+  outcome: 'Camera - Relevant',
+  locationContact: 'J. Doe',
+  locationContactPhone: '9055550000',
+  notes: '  Camera over the door faces the lot  '
+};
+
+describe('Canvass Log', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  describe('countOutcomes()', () => {
+    it('should count addresses by outcome in option order', () => {
+      const addresses = ['Refused', 'No Camera', 'Refused', 'Camera - Relevant'].map(outcome => ({ outcome }));
+
+      expect(countOutcomes(addresses)).toEqual([
+        ['No Camera', 1],
+        ['Camera - Relevant', 1],
+        ['Refused', 2]
+      ]);
+    });
+
+    it('should return nothing for no addresses', () => {
+      expect(countOutcomes([])).toEqual([]);
+      expect(countOutcomes()).toEqual([]);
+    });
+  });
+
+  describe('getAddressLabel()', () => {
+    it('should join business name and address', () => {
+      expect(getAddressLabel(address)).toBe('Corner Store - 12 Main St');
+      expect(getAddressLabel({ locationAddress: '14 Main St' })).toBe('14 Main St');
+    });
+  });
+
+  describe('buildRecoveryDraft()', () => {
+    it('should carry the case, investigator and location over', () => {
+      expect(buildRecoveryDraft(canvassData, address)).toEqual({
+        occNumber: 'PR2024001234',
+        offenceType: 'Robbery',
+        rName: 'Smith',
+        badge: '1234',
+        requestingPhone: '9055551234',
+        requestingEmail: 'smith@peelpolice.ca',
+        businessName: 'Corner Store',
+        locationAddress: '12 Main St',
+        city: 'Brampton',
+        locationContact: 'J. Doe',
+        locationContactPhone: '9055550000',
+        incidentDescription: 'Camera canvass notes: Camera over the door faces the lot'
+      });
+    });
+
+    it('should carry the Other city and leave out empty notes', () => {
+      const draft = buildRecoveryDraft(canvassData, { ...address, city: 'Other', cityOther: 'Caledon', notes: '' });
+
+      expect(draft.cityOther).toBe('Caledon');
+      expect(draft).not.toHaveProperty('incidentDescription');
+    });
+  });
+
+  describe('createRecoveryDrafts()', () => {
+    it('should save one Recovery draft per address', () => {
+      const ids = createRecoveryDrafts(canvassData, [address, { ...address, locationAddress: '14 Main St' }]);
+
+      expect(ids).toHaveLength(2);
+      expect(listDrafts(CONFIG.FORM_TYPES.RECOVERY)).toHaveLength(2);
+      expect(loadDraft(CONFIG.FORM_TYPES.RECOVERY, ids[1]).locationAddress).toBe('14 Main St');
+    });
+  });
+});
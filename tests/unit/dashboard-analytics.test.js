@@ -0,0 +1,197 @@
+/**
+ * Dashboard Analytics Tests
+ *
+ * Verifies turnaround percentiles, weekly volume buckets and SLA breach
+ * detection computed from submissions and their status events.
+ *
+ * @fileoverview Unit tests for dashboard-analytics.js
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  percentile,
+  groupEventsBySubmission,
+  getTransitionTimes,
+  getRetentionDaysAtSubmission,
+  computeTurnaround,
+  computeWeeklyVolume,
+  findSlaBreaches,
+  formatHours
+} from '../../assets/js/dashboard-analytics.js';
+
+const hoursAfter = (iso, hours) => new Date(new Date(iso).getTime() + hours * 3600000).toISOString();
+
+function statusEvent(submissionId, from, to, createdAt) {
+  return { submission_id: submissionId, event_type: 'status', from_status: from, to_status: to, created_at: createdAt };
+}
+
+describe('percentile()', () => {
+  it('should interpolate between ranks', () => {
+    expect(percentile([1, 2, 3, 4], 50)).toBe(2.5);
+    expect(percentile([10, 0, 20], 50)).toBe(10);
+  });
+
+  it('should return the maximum at the 100th percentile', () => {
+    expect(percentile([5, 1, 9], 100)).toBe(9);
+  });
+
+  it('should return null for an empty sample', () => {
+    expect(percentile([], 95)).toBeNull();
+  });
+});
+
+describe('getTransitionTimes()', () => {
+  it('should use the first move out of pending as pickup', () => {
+    const events = [
+      statusEvent('a', 'pending', 'failed', '2026-10-01T02:00:00Z'),
+      statusEvent('a', 'failed', 'pending', '2026-10-01T03:00:00Z'),
+      statusEvent('a', 'pending', 'processing', '2026-10-01T04:00:00Z'),
+      statusEvent('a', 'processing', 'completed', '2026-10-01T08:00:00Z')
+    ];
+
+    const { pickupAt, completedAt } = getTransitionTimes(events);
+    expect(pickupAt.toISOString()).toBe('2026-10-01T02:00:00.000Z');
+    expect(completedAt.toISOString()).toBe('2026-10-01T08:00:00.000Z');
+  });
+
+  it('should return nulls without events', () => {
+    expect(getTransitionTimes()).toEqual({ pickupAt: null, completedAt: null });
+  });
+});
+
+describe('getRetentionDaysAtSubmission()', () => {
+  it('should use the shortest DVR retention at submission time', () => {
+    const submission = {
+      submitted_at: '2026-10-10T12:00:00',
+      form_data: { dvrGroups: [{ dvrRetention: '2026-09-01' }, { dvrRetention: '2026-10-07' }] }
+    };
+
+    expect(getRetentionDaysAtSubmission(submission)).toBe(3);
+  });
+
+  it('should read upload locations', () => {
+    const submission = {
+      submitted_at: '2026-10-10T12:00:00',
+      form_data: { locations: [{ dvrEarliestDate: '2026-10-05' }] }
+    };
+
+    expect(getRetentionDaysAtSubmission(submission)).toBe(5);
+  });
+
+  it('should return null without DVR dates', () => {
+    expect(getRetentionDaysAtSubmission({ submitted_at: '2026-10-10T12:00:00', form_data: {} })).toBeNull();
+  });
+});
+
+describe('computeTurnaround()', () => {
+  it('should summarise pickup and completion hours per form type', () => {
+    const submitted = '2026-10-01T00:00:00Z';
+    const submissions = [
+      { id: 'a', form_type: 'upload', submitted_at: submitted },
+      { id: 'b', form_type: 'upload', submitted_at: submitted },
+      { id: 'c', form_type: 'recovery', submitted_at: submitted }
+    ];
+    const events = groupEventsBySubmission([
+      statusEvent('a', 'pending', 'processing', hoursAfter(submitted, 2)),
+      statusEvent('a', 'processing', 'completed', hoursAfter(submitted, 10)),
+      statusEvent('b', 'pending', 'processing', hoursAfter(submitted, 4))
+    ]);
+
+    const result = computeTurnaround(submissions, events);
+
+    expect(result.upload.pickup).toEqual({ median: 3, p95: 3.9, count: 2 });
+    expect(result.upload.completion).toEqual({ median: 10, p95: 10, count: 1 });
+    expect(result.recovery.pickup).toEqual({ median: null, p95: null, count: 0 });
+  });
+});
+
+describe('computeWeeklyVolume()', () => {
+  it('should bucket by Monday-based week, by form type and offence', () => {
+    const now = new Date(2026, 9, 15, 12); // Thursday
+    const submissions = [
+      { form_type: 'upload', submitted_at: new Date(2026, 9, 12, 9).toISOString(), form_data: { offenceType: 'Homicide' } },
+      { form_type: 'recovery', submitted_at: new Date(2026, 9, 14, 9).toISOString(), form_data: { offenceTypeDisplay: 'Robbery' } },
+      { form_type: 'upload', submitted_at: new Date(2026, 9, 8, 9).toISOString(), form_data: {} },
+      { form_type: 'upload', submitted_at: new Date(2026, 8, 1, 9).toISOString(), form_data: {} }
+    ];
+
+    const weeks = computeWeeklyVolume(submissions, 2, now);
+
+    expect(weeks).toHaveLength(2);
+    expect(weeks[1].weekStart).toEqual(new Date(2026, 9, 12));
+    expect(weeks[1].total).toBe(2);
+    expect(weeks[1].byFormType).toEqual({ upload: 1, recovery: 1 });
+    expect(weeks[1].byOffence).toEqual({ Homicide: 1, Robbery: 1 });
+    expect(weeks[0].byOffence).toEqual({ 'Not specified': 1 });
+  });
+});
+
+describe('findSlaBreaches()', () => {
+  const sla = { id: 'urgent', label: 'Urgent', formType: 'recovery', maxRetentionDays: 4, measure: 'pickup', hours: 24 };
+  const submitted = '2026-10-10T12:00:00';
+  const urgentData = { dvrGroups: [{ dvrRetention: '2026-10-08' }] };
+
+  it('should flag late pickups of matching requests only', () => {
+    const submissions = [
+      { id: 'late', form_type: 'recovery', submitted_at: submitted, form_data: urgentData },
+      { id: 'ontime', form_type: 'recovery', submitted_at: submitted, form_data: urgentData },
+      { id: 'long-retention', form_type: 'recovery', submitted_at: submitted, form_data: { dvrGroups: [{ dvrRetention: '2026-09-01' }] } },
+      { id: 'upload', form_type: 'upload', submitted_at: submitted, form_data: urgentData }
+    ];
+    const events = groupEventsBySubmission([
+      statusEvent('late', 'pending', 'processing', hoursAfter(submitted, 30)),
+      statusEvent('ontime', 'pending', 'processing', hoursAfter(submitted, 5))
+    ]);
+
+    const [result] = findSlaBreaches(submissions, events, [sla], new Date(hoursAfter(submitted, 48)));
+
+    expect(result.applicable).toBe(2);
+    expect(result.breaches.map(breach => breach.submission.id)).toEqual(['late']);
+    expect(result.breaches[0].open).toBe(false);
+  });
+
+  it('should count requests still waiting past the deadline as open breaches', () => {
+    const submissions = [{ id: 'waiting', form_type: 'recovery', status: 'pending', submitted_at: submitted, form_data: urgentData }];
+
+    const notYet = findSlaBreaches(submissions, new Map(), [sla], new Date(hoursAfter(submitted, 10)));
+    const overdue = findSlaBreaches(submissions, new Map(), [sla], new Date(hoursAfter(submitted, 25)));
+
+    expect(notYet[0].breaches).toEqual([]);
+    expect(overdue[0].breaches[0]).toMatchObject({ open: true });
+    expect(overdue[0].breaches[0].hours).toBeCloseTo(25);
+  });
+
+  it('should leave out rows that moved on without status events', () => {
+    const submissions = [
+      { id: 'legacy-completed', form_type: 'recovery', status: 'completed', submitted_at: submitted, form_data: urgentData },
+      { id: 'legacy-processing', form_type: 'recovery', status: 'processing', submitted_at: submitted, form_data: urgentData }
+    ];
+
+    const [result] = findSlaBreaches(submissions, new Map(), [sla], new Date(hoursAfter(submitted, 48)));
+
+    expect(result.applicable).toBe(2);
+    expect(result.breaches).toEqual([]);
+  });
+
+  it('should keep completion open until the row is completed', () => {
+    const completionSla = { id: 'done', label: 'Done', measure: 'completion', hours: 24 };
+    const submissions = [
+      { id: 'processing', form_type: 'upload', status: 'processing', submitted_at: submitted, form_data: {} },
+      { id: 'completed', form_type: 'upload', status: 'completed', submitted_at: submitted, form_data: {} }
+    ];
+
+    const [result] = findSlaBreaches(submissions, new Map(), [completionSla], new Date(hoursAfter(submitted, 48)));
+
+    expect(result.breaches.map(breach => breach.submission.id)).toEqual(['processing']);
+    expect(result.breaches[0].open).toBe(true);
+  });
+});
+
+describe('formatHours()', () => {
+  it('should pick a readable unit', () => {
+    expect(formatHours(0.5)).toBe('30 min');
+    expect(formatHours(3.25)).toBe('3.3 hrs');
+    expect(formatHours(72)).toBe('3.0 days');
+    expect(formatHours(null)).toBe('—');
+  });
+});
@@ -0,0 +1,75 @@
+/**
+ * Deadline Reminders Tests
+ *
+ * Verifies the .ics calendar built from recovery overwrite deadlines and the
+ * browser reminders handed to the service worker.
+ *
+ * @fileoverview Unit tests for deadline-reminders.js
+ */
+
+import { describe, it, expect } from 'vitest';
+import { buildDeadlineCalendar, buildDeadlineReminders } from '../../assets/js/deadline-reminders.js';
+import { CONFIG } from '../../assets/js/config.js';
+
+const now = new Date('2026-10-19T12:00:00');
+
+const recoveryData = () => ({
+  occNumber: 'PR2026001234',
+  businessName: 'Corner Store',
+  locationAddress: '1 Main St, Unit 2',
+  dvrGroups: [{
+    dvrRetention: '2026-10-15',
+    isTimeDateCorrect: 'Yes',
+    extractionTimeFrames: [
+      { extractionStartTime: '2026-10-18 14:30', extractionEndTime: '2026-10-18 15:00', timePeriodType: 'DVR Time' }
+    ]
+  }]
+});
+
+describe('buildDeadlineCalendar()', () => {
+  it('should add an event with an alarm for each deadline', () => {
+    const calendar = buildDeadlineCalendar(recoveryData(), now);
+    const deadline = new Date('2026-10-22T14:30:00');
+
+    expect(calendar.startsWith('BEGIN:VCALENDAR\r\nVERSION:2.0\r\n')).toBe(true);
+    expect(calendar.endsWith('END:VCALENDAR\r\n')).toBe(true);
+    expect(calendar).toContain(`DTSTART:${deadline.toISOString().replace(/[-:]/g, '').replace('.000', '')}`);
+    expect(calendar).toContain('SUMMARY:DVR overwrite - PR2026001234 DVR 1\\, Time Frame 1');
+    expect(calendar).toContain('LOCATION:Corner Store\\, 1 Main St\\, Unit 2');
+    expect(calendar).toContain(`TRIGGER:-PT${CONFIG.OVERWRITE_DEADLINES.CALENDAR_ALARM_HOURS}H`);
+  });
+
+  it('should keep every line within 75 characters', () => {
+    const calendar = buildDeadlineCalendar(recoveryData(), now);
+
+    expect(calendar.split('\r\n').every(line => line.length <= 75)).toBe(true);
+  });
+
+  it('should be empty without a deadline', () => {
+    const data = recoveryData();
+    data.dvrGroups[0].dvrRetention = '';
+
+    expect(buildDeadlineCalendar(data, now)).toBe('');
+  });
+});
+
+describe('buildDeadlineReminders()', () => {
+  it('should schedule a reminder per lead time before the deadline', () => {
+    const reminders = buildDeadlineReminders(recoveryData(), now);
+    const deadline = new Date('2026-10-22T14:30:00').getTime();
+
+    expect(reminders.map(reminder => reminder.at)).toEqual(
+      CONFIG.OVERWRITE_DEADLINES.REMINDER_LEAD_HOURS.map(hours => deadline - hours * 60 * 60 * 1000)
+    );
+    expect(reminders[0]).toMatchObject({ group: 'PR2026001234', id: 'PR2026001234-dvr1-tf1-48h' });
+  });
+
+  it('should skip reminders that are already past', () => {
+    const data = recoveryData();
+    data.dvrGroups[0].dvrRetention = '2026-10-18';
+    data.dvrGroups[0].extractionTimeFrames[0].extractionStartTime = '2026-10-18 20:00';
+
+    // Deadline Oct 19 20:00 - only the 4 hour reminder is still ahead
+    expect(buildDeadlineReminders(data, now).map(reminder => reminder.id)).toEqual(['PR2026001234-dvr1-tf1-4h']);
+  });
+});
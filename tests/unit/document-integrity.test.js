@@ -0,0 +1,136 @@
+/**
+ * Document Integrity Tests
+ *
+ * Verifies the canonical JSON hash, reading the submission ID and hash
+ * back out of a generated PDF, and comparing dropped files with the
+ * stored record.
+ *
+ * @fileoverview Unit tests for document-integrity.js
+ */
+
+import { describe, it, expect } from 'vitest';
+import { createRequire } from 'node:module';
+import {
+  PDF_INFO_KEYS,
+  canonicalJSON,
+  getContentHash,
+  readPdfIntegrity,
+  inspectDocument,
+  compareWithRecord
+} from '../../assets/js/document-integrity.js';
+import { sha256Hex } from '../../assets/js/utils.js';
+
+const require = createRequire(import.meta.url);
+
+const SUBMISSION_ID = '1b4e28ba-2fa1-41d2-883f-0016d3cca427';
+const CONTENT_HASH = 'a'.repeat(64);
+
+const document = {
+  metadata: { submissionId: SUBMISSION_ID, formType: 'upload' },
+  data: { occNumber: 'PR2026001234', evidenceBag: 'B-17' }
+};
+
+function buildPdf(info) {
+  const pdfMake = require('../../lib/pdfmake.min.js');
+  require('../../lib/vfs_fonts.js');
+
+  return new Promise(resolve => pdfMake.createPdf({ info, content: ['Request'] }).getBuffer(resolve));
+}
+
+describe('Document Integrity', () => {
+  describe('canonicalJSON()', () => {
+    it('should sort keys at every level and drop whitespace', () => {
+      expect(canonicalJSON({ b: 1, a: { d: [2, { f: 1, e: null }], c: 'x' } }))
+        .toBe('{"a":{"c":"x","d":[2,{"e":null,"f":1}]},"b":1}');
+    });
+  });
+
+  describe('getContentHash()', () => {
+    it('should give the same hash however the JSON is formatted', async () => {
+      const pretty = new Blob([JSON.stringify(document, null, 2)], { type: 'application/json' });
+      const reordered = JSON.stringify({ data: document.data, metadata: document.metadata });
+
+      expect(await getContentHash(pretty)).toBe(await getContentHash(reordered));
+      expect(await getContentHash(pretty)).toBe(await sha256Hex(canonicalJSON(document)));
+    });
+
+    it('should change when any value changes', async () => {
+      const altered = { ...document, data: { ...document.data, evidenceBag: 'B-18' } };
+
+      expect(await getContentHash(JSON.stringify(altered))).not.toBe(await getContentHash(JSON.stringify(document)));
+    });
+  });
+
+  describe('readPdfIntegrity()', () => {
+    it('should read the submission ID and hash from a generated PDF', async () => {
+      const pdf = await buildPdf({
+        title: 'Request',
+        [PDF_INFO_KEYS.SUBMISSION_ID]: SUBMISSION_ID,
+        [PDF_INFO_KEYS.CONTENT_HASH]: CONTENT_HASH
+      });
+
+      expect(readPdfIntegrity(pdf)).toEqual({ submissionId: SUBMISSION_ID, contentHash: CONTENT_HASH });
+    });
+
+    it('should return nulls for a PDF made before hashes were added', async () => {
+      const pdf = await buildPdf({ title: 'Request' });
+
+      expect(readPdfIntegrity(pdf)).toEqual({ submissionId: null, contentHash: null });
+    });
+  });
+
+  describe('inspectDocument()', () => {
+    it('should hash a JSON file by content', async () => {
+      const file = new Blob([JSON.stringify(document, null, 2)]);
+
+      expect(await inspectDocument(file)).toEqual({
+        kind: 'json',
+        submissionId: SUBMISSION_ID,
+        contentHash: await getContentHash(JSON.stringify(document)),
+        fileHash: await sha256Hex(file)
+      });
+    });
+
+    it('should hash a PDF file byte for byte', async () => {
+      const pdf = await buildPdf({ [PDF_INFO_KEYS.SUBMISSION_ID]: SUBMISSION_ID });
+      const file = new Blob([pdf], { type: 'application/pdf' });
+      const inspection = await inspectDocument(file);
+
+      expect(inspection.kind).toBe('pdf');
+      expect(inspection.submissionId).toBe(SUBMISSION_ID);
+      expect(inspection.fileHash).toBe(await sha256Hex(file));
+    });
+
+    it('should flag anything else as unknown', async () => {
+      const inspection = await inspectDocument(new Blob(['not a request']));
+
+      expect(inspection.kind).toBe('unknown');
+      expect(compareWithRecord(inspection, null).status).toBe('unreadable');
+    });
+  });
+
+  describe('compareWithRecord()', () => {
+    const json = { kind: 'json', submissionId: SUBMISSION_ID, contentHash: CONTENT_HASH, fileHash: 'f' };
+    const pdf = { kind: 'pdf', submissionId: SUBMISSION_ID, contentHash: CONTENT_HASH, fileHash: 'b'.repeat(64) };
+    const record = {
+      id: SUBMISSION_ID,
+      content_hash: CONTENT_HASH,
+      attachments: [{ type: 'pdf', sha256: 'b'.repeat(64) }, { type: 'json', sha256: 'c'.repeat(64) }]
+    };
+
+    it('should match JSON on content hash and PDFs on file hash', () => {
+      expect(compareWithRecord(json, record)).toEqual({ status: 'match', computedHash: CONTENT_HASH, storedHash: CONTENT_HASH });
+      expect(compareWithRecord(pdf, record).status).toBe('match');
+    });
+
+    it('should report a mismatch when the file was altered', () => {
+      expect(compareWithRecord({ ...pdf, fileHash: 'd'.repeat(64) }, record).status).toBe('mismatch');
+      expect(compareWithRecord({ ...json, contentHash: 'd'.repeat(64) }, record).status).toBe('mismatch');
+    });
+
+    it('should not call older records without a hash a mismatch', () => {
+      expect(compareWithRecord(json, { id: SUBMISSION_ID, content_hash: null, attachments: [] }).status).toBe('no-hash');
+      expect(compareWithRecord(json, null).status).toBe('not-found');
+    });
+  });
+});
@@ -0,0 +1,68 @@
+/**
+ * Draft Manager Tests
+ *
+ * Verifies the manager lists drafts and that every manager opened settles,
+ * including when it is reopened or replaced by its rename prompt.
+ *
+ * @fileoverview Unit tests for draft-manager.js
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { openDraftManager } from '../../assets/js/draft-manager.js';
+import { saveDraft, listDrafts } from '../../assets/js/storage.js';
+
+/**
+ * Resolve to 'settled' if the promise has settled, else 'pending'
+ * @param {Promise} promise
+ * @returns {Promise<string>}
+ */
+async function state(promise) {
+  return Promise.race([
+    promise.then(() => 'settled'),
+    new Promise(resolve => setTimeout(() => resolve('pending'), 0))
+  ]);
+}
+
+describe('openDraftManager()', () => {
+  beforeEach(() => {
+    localStorage.clear();
+    document.body.innerHTML = '';
+  });
+
+  it('should list the drafts for the form type', () => {
+    saveDraft('upload', { occNumber: 'PR111' });
+    saveDraft('upload', { occNumber: 'PR222' });
+
+    openDraftManager({ formType: 'upload', onLoad: vi.fn() });
+
+    expect(document.querySelectorAll('.draft-manager-item')).toHaveLength(2);
+  });
+
+  it('should settle the open manager when it is opened again', async () => {
+    saveDraft('upload', { occNumber: 'PR111' });
+
+    const first = openDraftManager({ formType: 'upload', onLoad: vi.fn() });
+    const second = openDraftManager({ formType: 'upload', onLoad: vi.fn() });
+
+    expect(await state(first)).toBe('settled');
+    expect(await state(second)).toBe('pending');
+  });
+
+  it('should settle when the rename prompt replaces it, then reopen', async () => {
+    const id = saveDraft('upload', { occNumber: 'PR111' });
+    const onChange = vi.fn();
+
+    const manager = openDraftManager({ formType: 'upload', onLoad: vi.fn(), onChange });
+    [...document.querySelectorAll('.draft-manager-item button')].find(btn => btn.textContent === 'Rename').click();
+
+    expect(await state(manager)).toBe('settled');
+
+    document.querySelector('.modal-overlay:last-child input').value = 'Front door';
+    document.querySelector('.modal-overlay:last-child .modal-confirm').click();
+    await state(manager);
+
+    expect(listDrafts('upload').find(draft => draft.id === id).name).toBe('Front door');
+    expect(onChange).toHaveBeenCalledTimes(1);
+    expect(document.querySelector('.modal-overlay:last-child .draft-manager-list')).not.toBeNull();
+  });
+});
@@ -0,0 +1,123 @@
+/**
+ * Evidence Labels Tests
+ *
+ * Verifies the request code printed as a QR on PDFs and labels, and the
+ * labels worked out from upload and recovery form data.
+ *
+ * @fileoverview Unit tests for request-code.js and evidence-labels.js
+ */
+
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import { buildRequestCode, parseRequestCode, hasRequestPage } from '../../assets/js/request-code.js';
+import { getEvidenceLabels, repeatLabels } from '../../assets/js/evidence-labels.js';
+import { CONFIG } from '../../assets/js/config.js';
+
+const SUBMISSION_ID = '1b4e28ba-2fa1-41d2-883f-0016d3cca427';
+const BASE_URL = 'https://fvu.example.org/intake/upload.html';
+
+describe('Request Code', () => {
+  it('should link to the request in My Requests', () => {
+    const code = buildRequestCode({ submissionId: SUBMISSION_ID, occNumber: 'PR26-0012345', formType: 'upload' }, BASE_URL);
+
+    expect(code).toBe(`https://fvu.example.org/intake/my-requests.html?highlight=${SUBMISSION_ID}&occ=PR26-0012345&type=upload`);
+  });
+
+  it('should read back a scanned code from any host', () => {
+    const code = buildRequestCode({ submissionId: SUBMISSION_ID, occNumber: 'PR26-0012345', formType: 'recovery' }, BASE_URL);
+
+    expect(parseRequestCode(` ${code.replace('fvu.example.org', 'other.example.org')}\n`)).toEqual({
+      submissionId: SUBMISSION_ID,
+      occNumber: 'PR26-0012345',
+      formType: 'recovery'
+    });
+  });
+
+  it('should accept a code with only an occurrence number', () => {
+    const code = buildRequestCode({ occNumber: 'PR26-0012345', formType: 'upload' }, BASE_URL);
+
+    expect(parseRequestCode(code)).toEqual({ submissionId: null, occNumber: 'PR26-0012345', formType: 'upload' });
+  });
+
+  it('should ignore search text and other links', () => {
+    expect(parseRequestCode('front door')).toBeNull();
+    expect(parseRequestCode('PR26-0012345')).toBeNull();
+    expect(parseRequestCode(`https://fvu.example.org/index.html?highlight=${SUBMISSION_ID}`)).toBeNull();
+    expect(parseRequestCode('https://fvu.example.org/my-requests.html?highlight=not-an-id')).toBeNull();
+  });
+});
+
+describe('Request Code without Supabase', () => {
+  afterEach(() => {
+    vi.doUnmock('../../assets/js/config.js');
+    vi.resetModules();
+  });
+
+  it('should leave the code off PDFs and labels when only the PHP endpoint is a target', async () => {
+    expect(hasRequestPage()).toBe(true);
+
+    vi.resetModules();
+    vi.doMock('../../assets/js/config.js', async (importOriginal) => {
+      const { CONFIG: original } = await importOriginal();
+      return { CONFIG: { ...original, USE_SUPABASE: false, SUBMISSION_TARGETS: ['php'] } };
+    });
+
+    const requestCode = await import('../../assets/js/request-code.js');
+    const labels = await import('../../assets/js/evidence-labels.js');
+    const templates = await import('../../assets/js/pdf-templates.js');
+
+    expect(requestCode.hasRequestPage()).toBe(false);
+    expect(labels.getEvidenceLabels({ occNumber: 'PR26-0012345' }, 'upload', SUBMISSION_ID)[0].code).toBeNull();
+
+    const definition = templates.buildDocumentDefinition({ occNumber: 'PR26-0012345' }, 'analysis');
+    expect(definition.content.some(node => node.qr)).toBe(false);
+
+    const sheet = templates.buildEvidenceLabelsDefinition([{ occNumber: 'PR26-0012345', code: null }]);
+    expect(JSON.stringify(sheet.content)).not.toContain('"qr"');
+  });
+});
+
+describe('getEvidenceLabels()', () => {
+  it('should make one upload label with the bag, locker and media type', () => {
+    const labels = getEvidenceLabels({
+      occNumber: 'PR26-0012345',
+      evidenceBag: 'B-17',
+      lockerNumber: '12',
+      mediaType: 'Other',
+      mediaTypeOther: 'SD Card'
+    }, 'upload', SUBMISSION_ID);
+
+    expect(labels).toEqual([{
+      occNumber: 'PR26-0012345',
+      evidenceBag: 'B-17',
+      lockerNumber: '12',
+      mediaType: 'SD Card',
+      caption: CONFIG.FORM_TITLES.UPLOAD,
+      code: buildRequestCode({ submissionId: SUBMISSION_ID, occNumber: 'PR26-0012345', formType: 'upload' })
+    }]);
+  });
+
+  it('should make one recovery label per DVR with its recommended media', () => {
+    const labels = getEvidenceLabels({
+      occNumber: 'PR26-0012345',
+      dvrGroups: [
+        {
+          dvrMakeModel: 'Hikvision DS-7216',
+          recordingProfile: '1080p',
+          extractionTimeFrames: [{ extractionStartTime: '2026-10-18 14:00', extractionEndTime: '2026-10-18 15:00', cameraDetails: 'Front door' }]
+        },
+        { dvrMakeModel: '', extractionTimeFrames: [] }
+      ]
+    }, 'recovery');
+
+    expect(labels.map(label => [label.caption, label.mediaType])).toEqual([
+      ['DVR 1 - Hikvision DS-7216', 'USB'],
+      ['DVR 2', '']
+    ]);
+    expect(labels[0].evidenceBag).toBe('');
+    expect(parseRequestCode(labels[0].code)).toEqual({ submissionId: null, occNumber: 'PR26-0012345', formType: 'recovery' });
+  });
+
+  it('should repeat each label for the copies wanted', () => {
+    expect(repeatLabels([{ caption: 'a' }, { caption: 'b' }], 2).map(label => label.caption)).toEqual(['a', 'a', 'b', 'b']);
+  });
+});
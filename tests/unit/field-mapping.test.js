@@ -0,0 +1,55 @@
+/**
+ * Field Mapping Tests
+ *
+ * Verifies translation of form data into third-party field values
+ * (occType IDs, reqArea, rfsHeader, ticketStatus) without mutating input.
+ *
+ * @fileoverview Unit tests for field-mapping.js
+ */
+
+import { describe, it, expect } from 'vitest';
+import { mapSubmissionFields, REQ_AREA_ID } from '../../assets/js/field-mapping.js';
+
+describe('mapSubmissionFields()', () => {
+  it('should not mutate the input', () => {
+    const formData = { formType: 'upload', occType: 'Homicide', requestDetails: 'Details' };
+    const snapshot = { ...formData };
+
+    const mapped = mapSubmissionFields(formData);
+
+    expect(formData).toEqual(snapshot);
+    expect(mapped).not.toBe(formData);
+  });
+
+  it('should map occType text to fat_occTypes IDs', () => {
+    expect(mapSubmissionFields({ occType: 'Homicide' }).occType).toBe('1');
+    expect(mapSubmissionFields({ occType: ' Missing Person ' }).occType).toBe('2');
+  });
+
+  it('should default occType to Homicide', () => {
+    expect(mapSubmissionFields({}).occType).toBe('1');
+    expect(mapSubmissionFields({ occType: 'Robbery' }).occType).toBe('1');
+  });
+
+  it('should copy requestDetails to rfsDetails', () => {
+    const mapped = mapSubmissionFields({ requestDetails: 'Review footage' });
+    expect(mapped.rfsDetails).toBe('Review footage');
+    expect(mapped.requestDetails).toBe('Review footage');
+  });
+
+  it('should always set reqArea to Homicide and Missing Persons', () => {
+    expect(mapSubmissionFields({ formType: 'analysis' }).reqArea).toBe(REQ_AREA_ID);
+    expect(REQ_AREA_ID).toBe('36');
+  });
+
+  it.each([
+    ['upload', 'FVU Upload Request', '4'],
+    ['analysis', 'FVU Analysis Request', '1'],
+    ['recovery', 'FVU Recovery Request', '2'],
+    ['unknown', 'FVU Request', '1']
+  ])('should set rfsHeader and ticketStatus for %s', (formType, rfsHeader, ticketStatus) => {
+    const mapped = mapSubmissionFields({ formType });
+    expect(mapped.rfsHeader).toBe(rfsHeader);
+    expect(mapped.ticketStatus).toBe(ticketStatus);
+  });
+});
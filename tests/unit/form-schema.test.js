@@ -0,0 +1,338 @@
+/**
+ * Form Schema Tests
+ * Validation, display values, PDF sections and fileDetails generated from
+ * ANALYSIS_SCHEMA, repeatable sections from CANVASS_SCHEMA and UPLOAD_SCHEMA,
+ * and nested repeatable sections from RECOVERY_SCHEMA
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  getSchemaFields,
+  getIndexedName,
+  collectRepeatItems,
+  validateSchemaData,
+  addDisplayValues,
+  getPdfSections,
+  buildFileDetails,
+  getPickerOptions
+} from '../../assets/js/form-schema.js';
+import { ANALYSIS_SCHEMA } from '../../assets/js/form-schemas/analysis.js';
+import { CANVASS_SCHEMA } from '../../assets/js/form-schemas/canvass.js';
+import { UPLOAD_SCHEMA } from '../../assets/js/form-schemas/upload.js';
+import { RECOVERY_SCHEMA } from '../../assets/js/form-schemas/recovery.js';
+import { CONFIG } from '../../assets/js/config.js';
+
+const validData = () => ({
+  occNumber: 'PR2024001234',
+  occDate: '2024-01-15',
+  offenceType: 'Homicide',
+  rName: 'Smith',
+  badge: '1234',
+  requestingPhone: '9055551234',
+  requestingEmail: 'smith@peelpolice.ca',
+  videoLocation: 'Evidence.com',
+  videoSeizedFrom: 'Corner Store',
+  recordingDate: '2024-01-14',
+  fileNames: 'cam1.mp4\n\n  cam2.mp4  ',
+  serviceRequired: 'Video/Image Clarification',
+  requestDetails: 'Clarify the plate'
+});
+
+describe('Form Schema', () => {
+  describe('getSchemaFields()', () => {
+    it('should list fields in form order, including rows', () => {
+      const names = getSchemaFields(ANALYSIS_SCHEMA).map(field => field.name);
+
+      expect(names.slice(0, 3)).toEqual(['occNumber', 'occDate', 'offenceType']);
+      expect(names).toContain('lockerNumber');
+      expect(names[names.length - 1]).toBe('requestDetails');
+    });
+  });
+
+  describe('validateSchemaData()', () => {
+    it('should accept complete data', () => {
+      expect(validateSchemaData(ANALYSIS_SCHEMA, validData())).toEqual({});
+    });
+
+    it('should report missing required fields', () => {
+      const errors = validateSchemaData(ANALYSIS_SCHEMA, { ...validData(), fileNames: '', badge: '  ' });
+
+      expect(errors).toEqual({
+        fileNames: CONFIG.MESSAGES.REQUIRED_FIELD,
+        badge: CONFIG.MESSAGES.REQUIRED_FIELD
+      });
+    });
+
+    it('should apply field rules', () => {
+      const errors = validateSchemaData(ANALYSIS_SCHEMA, { ...validData(), occNumber: '2024', occDate: '2999-01-01' });
+
+      expect(errors.occNumber).toBe(CONFIG.MESSAGES.INVALID_OCCURRENCE);
+      expect(errors.occDate).toContain('future');
+    });
+
+    it('should require the Other field when Other is selected', () => {
+      const errors = validateSchemaData(ANALYSIS_SCHEMA, { ...validData(), serviceRequired: 'Other' });
+
+      expect(errors).toEqual({ serviceRequiredOther: CONFIG.MESSAGES.SERVICE_OTHER_REQUIRED });
+    });
+
+    it('should only validate conditional rows while shown', () => {
+      const hidden = { ...validData(), lockerNumber: '99' };
+      const shown = { ...hidden, videoLocation: 'Locker' };
+
+      expect(validateSchemaData(ANALYSIS_SCHEMA, hidden)).toEqual({});
+      expect(validateSchemaData(ANALYSIS_SCHEMA, shown).lockerNumber).toBe(CONFIG.MESSAGES.INVALID_LOCKER_RANGE);
+    });
+  });
+
+  describe('addDisplayValues()', () => {
+    it('should use the Other text when Other is selected', () => {
+      const data = addDisplayValues(ANALYSIS_SCHEMA, {
+        ...validData(),
+        offenceType: 'Other',
+        offenceTypeOther: 'Arson'
+      });
+
+      expect(data.offenceTypeDisplay).toBe('Arson');
+      expect(data.videoLocationDisplay).toBe('Evidence.com');
+      expect(data.serviceRequiredDisplay).toBe('Video/Image Clarification');
+    });
+  });
+
+  describe('getPdfSections()', () => {
+    it('should follow the schema sections with PDF labels', () => {
+      const sections = getPdfSections(ANALYSIS_SCHEMA, addDisplayValues(ANALYSIS_SCHEMA, validData()));
+
+      expect(sections.map(section => section.title)).toEqual([
+        'Case Information',
+        'Submitting Investigator',
+        'Evidence Details',
+        'File Names',
+        'Analysis Request',
+        'Request Details'
+      ]);
+      expect(sections[0].rows).toEqual([
+        ['Occurrence Number', 'PR2024001234'],
+        ['Date of Occurrence', 'Jan 15, 2024'],
+        ['Type of Offence', 'Homicide']
+      ]);
+    });
+
+    it('should give list and text fields their own sections', () => {
+      const sections = getPdfSections(ANALYSIS_SCHEMA, validData());
+
+      expect(sections.find(section => section.title === 'File Names'))
+        .toEqual({ type: 'list', title: 'File Names', items: ['cam1.mp4', 'cam2.mp4'] });
+      expect(sections.find(section => section.title === 'Request Details'))
+        .toEqual({ type: 'text', title: 'Request Details', content: 'Clarify the plate' });
+    });
+
+    it('should include the locker row only for Locker storage', () => {
+      const rowLabels = (data) => getPdfSections(ANALYSIS_SCHEMA, data)
+        .find(section => section.title === 'Evidence Details').rows.map(([label]) => label);
+
+      expect(rowLabels(validData())).not.toContain('Bag Number');
+      expect(rowLabels({ ...validData(), videoLocation: 'Locker', bagNumber: 'B1' })).toContain('Bag Number');
+    });
+  });
+
+  describe('buildFileDetails()', () => {
+    it('should build the titled plain-text summary', () => {
+      const summary = buildFileDetails(ANALYSIS_SCHEMA, {
+        ...validData(),
+        offenceType: 'Other',
+        offenceTypeOther: 'Arson',
+        badge: ''
+      });
+
+      expect(summary.startsWith(`${'='.repeat(40)}\n\n`)).toBe(true);
+      expect(summary).toContain('FORENSIC ANALYSIS REQUEST');
+      expect(summary).toContain('=== CASE ===\nOccurrence: PR2024001234\nOccurred: Jan 15, 2024\nOffence: Arson');
+      expect(summary).toContain('=== INVESTIGATOR ===\nName: Smith\nPhone: 9055551234');
+      expect(summary).toContain('=== FILES ===\ncam1.mp4\ncam2.mp4');
+      expect(summary).toContain('=== REQUEST ===\nClarify the plate');
+    });
+
+    it('should leave out empty sections', () => {
+      const summary = buildFileDetails(ANALYSIS_SCHEMA, { occNumber: 'PR1' });
+
+      expect(summary).toContain('=== CASE ===');
+      expect(summary).not.toContain('=== INVESTIGATOR ===');
+      expect(summary).not.toContain('=== FILES ===');
+    });
+  });
+
+  describe('getPickerOptions()', () => {
+    it('should return Flatpickr options for date fields with maxDate', () => {
+      const occDate = getSchemaFields(ANALYSIS_SCHEMA).find(field => field.name === 'occDate');
+
+      expect(getPickerOptions(occDate)).toEqual({ ...CONFIG.FLATPICKR_CONFIG.DATE, maxDate: 'today' });
+    });
+
+    it('should return null for other field types', () => {
+      expect(getPickerOptions({ name: 'badge', type: 'text' })).toBeNull();
+    });
+  });
+
+  describe('Repeatable sections', () => {
+    const addressSection = CANVASS_SCHEMA.sections.find(section => section.repeat);
+    const canvassData = () => ({
+      occNumber: 'PR2024001234',
+      offenceType: 'Robbery',
+      canvassDate: '2024-01-15',
+      rName: 'Smith',
+      badge: '1234',
+      requestingPhone: '9055551234',
+      requestingEmail: 'smith@peelpolice.ca',
+      addresses: [
+        { locationAddress: '1 Main St', city: 'Brampton', outcome: 'No Camera' },
+        { locationAddress: '2 Main St', city: 'Other', cityOther: 'Caledon', outcome: 'Camera - Relevant' }
+      ]
+    });
+
+    it('should name fields after the first entry with an index', () => {
+      expect(getIndexedName('city', 0)).toBe('city');
+      expect(getIndexedName('city', 3)).toBe('city_3');
+    });
+
+    it('should collect entries from flat form data by index', () => {
+      const items = collectRepeatItems(addressSection, {
+        locationAddress: '1 Main St',
+        locationAddress_4: '2 Main St',
+        city_4: 'Other',
+        cityOther_4: 'Caledon'
+      }, [0, 4]);
+
+      expect(items).toHaveLength(2);
+      expect(items[0].locationAddress).toBe('1 Main St');
+      expect(items[0].city).toBe('');
+      expect(items[1]).toMatchObject({ locationAddress: '2 Main St', city: 'Other', cityOther: 'Caledon' });
+    });
+
+    it('should key entry errors by position', () => {
+      const data = canvassData();
+      data.addresses[1] = { ...data.addresses[1], cityOther: '', outcome: '_placeholder_' };
+
+      expect(validateSchemaData(CANVASS_SCHEMA, data)).toEqual({
+        'addresses[1].cityOther': CONFIG.MESSAGES.CITY_OTHER_REQUIRED,
+        'addresses[1].outcome': CONFIG.MESSAGES.REQUIRED_FIELD
+      });
+    });
+
+    it('should add display values and number PDF and summary sections per entry', () => {
+      const data = addDisplayValues(CANVASS_SCHEMA, canvassData());
+      const titles = getPdfSections(CANVASS_SCHEMA, data).map(section => section.title);
+      const summary = buildFileDetails(CANVASS_SCHEMA, data);
+
+      expect(data.addresses[1].cityDisplay).toBe('Caledon');
+      expect(titles).toEqual(['Case Information', 'Submitting Investigator', 'Address 1', 'Address 2']);
+      expect(summary).toContain('=== ADDRESS 2 ===\nAddress: 2 Main St\nCity: Caledon\nOutcome: Camera - Relevant');
+    });
+  });
+
+  describe('Time sync fields', () => {
+    const uploadData = () => ({
+      occNumber: 'PR2024001234',
+      occDate: '2024-01-15',
+      offenceType: 'Homicide',
+      mediaType: 'USB',
+      rName: 'Smith',
+      badge: '1234',
+      requestingPhone: '9055551234',
+      requestingEmail: 'smith@peelpolice.ca',
+      locations: [{
+        locationAddress: '1 Main St',
+        city: 'Brampton',
+        videoStartTime: '2024-01-14 10:00',
+        videoEndTime: '2024-01-14 11:00',
+        isTimeDateCorrect: 'No',
+        timeOffset: 'DVR is 5 minutes ahead'
+      }]
+    });
+
+    it('should require the time offset when the DVR clock is wrong', () => {
+      const data = uploadData();
+      data.locations[0].timeOffset = '';
+
+      expect(validateSchemaData(UPLOAD_SCHEMA, data)).toEqual({
+        'locations[0].timeOffset': CONFIG.MESSAGES.TIME_OFFSET_REQUIRED
+      });
+    });
+
+    it('should follow the answer with the offset in the summary', () => {
+      const summary = buildFileDetails(UPLOAD_SCHEMA, addDisplayValues(UPLOAD_SCHEMA, uploadData()));
+
+      expect(summary).toContain('Time Sync: No\nTime Offset: DVR is 5 minutes AHEAD of real time');
+    });
+  });
+
+  describe('Nested repeatable sections', () => {
+    const asOf = new Date('2024-01-20T12:00:00');
+    const recoveryData = () => ({
+      occNumber: 'PR2024001234',
+      offenceType: 'Robbery',
+      rName: 'Smith',
+      badge: '1234',
+      unit: '21 Div',
+      requestingPhone: '9055551234',
+      requestingEmail: 'smith@peelpolice.ca',
+      locationAddress: '1 Main St',
+      city: 'Brampton',
+      incidentDescription: 'Robbery at the counter',
+      dvrGroups: [
+        {
+          dvrRetention: '2024-01-18',
+          dvrPassword: 'pw',
+          extractionTimeFrames: [
+            { extractionStartTime: '2024-01-19 10:00', extractionEndTime: '2024-01-19 11:00', timePeriodType: 'DVR Time', cameraDetails: 'Front door' }
+          ]
+        },
+        {
+          dvrRetention: '2024-01-10',
+          dvrPassword: 'pw2',
+          extractionTimeFrames: [
+            { extractionStartTime: '2024-01-19 10:00', extractionEndTime: '2024-01-19 11:00', timePeriodType: 'Actual Time', cameraDetails: 'Lot' },
+            { extractionStartTime: '2024-01-19 12:00', extractionEndTime: '2024-01-19 13:00', timePeriodType: 'Actual Time', cameraDetails: 'Till' }
+          ]
+        }
+      ]
+    });
+
+    it('should accept complete data', () => {
+      expect(validateSchemaData(RECOVERY_SCHEMA, recoveryData(), asOf)).toEqual({});
+    });
+
+    it('should key errors by DVR and time frame position', () => {
+      const data = recoveryData();
+      data.dvrGroups[1].dvrRetention = '2024-02-01';
+      data.dvrGroups[1].extractionTimeFrames[1] = { extractionStartTime: '2024-01-19 12:00', extractionEndTime: '2024-01-19 11:00' };
+
+      expect(validateSchemaData(RECOVERY_SCHEMA, data, asOf)).toEqual({
+        'dvrGroups[1].dvrRetention': CONFIG.MESSAGES.RETENTION_IN_FUTURE,
+        'dvrGroups[1].extractionTimeFrames[1].extractionEndTime': 'End time must be after start time',
+        'dvrGroups[1].extractionTimeFrames[1].timePeriodType': CONFIG.MESSAGES.REQUIRED_FIELD,
+        'dvrGroups[1].extractionTimeFrames[1].cameraDetails': CONFIG.MESSAGES.REQUIRED_FIELD
+      });
+    });
+
+    it('should head each DVR in the PDF and number its time frames', () => {
+      const titles = getPdfSections(RECOVERY_SCHEMA, recoveryData(), { asOf })
+        .map(block => block.title || block.text);
+
+      expect(titles.slice(3, 15)).toEqual([
+        'DVR 1', 'DVR Information', 'Video Extraction Details', 'Camera Details', 'Access Information',
+        'DVR 2', 'DVR Information',
+        'Video Extraction Details - Time Frame 1', 'Camera Details - Time Frame 1',
+        'Video Extraction Details - Time Frame 2', 'Camera Details - Time Frame 2',
+        'Access Information'
+      ]);
+    });
+
+    it('should count retention to the submission date in the summary', () => {
+      const summary = buildFileDetails(RECOVERY_SCHEMA, recoveryData(), asOf);
+
+      expect(summary).toContain('=== DVR 1 ===\nRetention: Jan 18, 2024 (2 days - URGENT)\nDVR Password: pw');
+      expect(summary).toContain('=== DVR 2 - TIME FRAME 2 ===\nFrom: Jan 19, 2024 at 12:00\nTo: Jan 19, 2024 at 13:00\nTime Type: Actual Time\n\n=== CAMERAS ===\nTill');
+    });
+  });
+});
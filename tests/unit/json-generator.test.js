@@ -0,0 +1,146 @@
+/**
+ * JSON Generator Tests
+ *
+ * Verifies the versioned per-DVR calculations added to recovery JSON:
+ * retention, parsed offsets, DVR-clock and real-world windows, durations,
+ * counts and storage estimates - and the submission ID in the metadata.
+ *
+ * @fileoverview Unit tests for json-generator.js
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { generateJSON } from '../../assets/js/json-generator.js';
+import { CONFIG } from '../../assets/js/config.js';
+
+const recoveryData = () => ({
+  occNumber: 'PR2026001234',
+  dvrGroups: [
+    {
+      dvrMakeModel: 'Hikvision DS-7216',
+      isTimeDateCorrect: 'No',
+      timeOffset: 'DVR is 1hr 5min AHEAD of real time',
+      dvrRetention: '2026-10-16',
+      recordingProfile: '4K',
+      extractionTimeFrames: [
+        { extractionStartTime: '2026-10-18 14:30', extractionEndTime: '2026-10-18 15:45', timePeriodType: 'DVR Time', cameraDetails: 'Front door\nTill' },
+        { extractionStartTime: '2026-10-18 20:00', extractionEndTime: '2026-10-18 21:30', timePeriodType: 'Actual Time' }
+      ]
+    },
+    {
+      dvrMakeModel: '',
+      isTimeDateCorrect: 'Yes',
+      timeOffset: '',
+      dvrRetention: '2026-09-01',
+      extractionTimeFrames: [
+        { extractionStartTime: '2026-10-18 16:00', extractionEndTime: '2026-10-18 17:00', timePeriodType: 'DVR Time' }
+      ]
+    }
+  ]
+});
+
+async function getCalculations(formData) {
+  const json = JSON.parse(await generateJSON(formData, 'recovery').text());
+  return json.calculations;
+}
+
+describe('generateJSON() recovery calculations', () => {
+  beforeEach(() => {
+    vi.useFakeTimers();
+    vi.setSystemTime(new Date('2026-10-19T12:00:00'));
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('should version the calculations and count DVRs and timeframes', async () => {
+    const calculations = await getCalculations(recoveryData());
+
+    expect(calculations.version).toBe(CONFIG.RECOVERY_CALCULATIONS_VERSION);
+    expect(calculations.dvrCount).toBe(2);
+    expect(calculations.timeframeCount).toBe(3);
+    expect(calculations.urgentDvrCount).toBe(1);
+    expect(calculations.totalMinutes).toBe(75 + 90 + 60);
+  });
+
+  it('should calculate retention and the parsed offset per DVR', async () => {
+    const [first, second] = (await getCalculations(recoveryData())).dvrs;
+
+    expect(first.retention).toEqual({
+      earliestDate: '2026-10-16',
+      days: 3,
+      status: 'DVR retention: 3 days - URGENT',
+      isUrgent: true
+    });
+    expect(first.timeOffset).toMatchObject({ hours: 1, minutes: 5, direction: 'AHEAD', totalMinutes: 65 });
+    expect(second.retention.isUrgent).toBe(false);
+    expect(second.timeOffset).toBeNull();
+  });
+
+  it('should correct DVR Time windows to real time', async () => {
+    const timeframe = (await getCalculations(recoveryData())).dvrs[0].timeframes[0];
+
+    expect(timeframe).toEqual({
+      index: 1,
+      timePeriodType: 'DVR Time',
+      offsetApplied: true,
+      dvrWindow: { start: '2026-10-18 14:30', end: '2026-10-18 15:45' },
+      actualWindow: { start: '2026-10-18 13:25', end: '2026-10-18 14:40' },
+      durationMinutes: 75,
+      durationFormatted: '1 hour 15 minutes',
+      cameraCount: 2,
+      estimatedStorageGb: 16.2
+    });
+  });
+
+  it('should convert Actual Time windows back to the DVR clock', async () => {
+    const timeframe = (await getCalculations(recoveryData())).dvrs[0].timeframes[1];
+
+    expect(timeframe.actualWindow).toEqual({ start: '2026-10-18 20:00', end: '2026-10-18 21:30' });
+    expect(timeframe.dvrWindow).toEqual({ start: '2026-10-18 21:05', end: '2026-10-18 22:35' });
+  });
+
+  it('should leave windows unchanged when the DVR clock is correct', async () => {
+    const timeframe = (await getCalculations(recoveryData())).dvrs[1].timeframes[0];
+
+    expect(timeframe.offsetApplied).toBe(false);
+    expect(timeframe.actualWindow).toEqual(timeframe.dvrWindow);
+  });
+
+  it('should estimate storage per DVR and recommend media for the total', async () => {
+    const calculations = await getCalculations(recoveryData());
+    const [first, second] = calculations.dvrs;
+
+    expect(first).toMatchObject({ recordingProfile: '4K', bitrateMbps: 12 });
+    expect(second).toMatchObject({ recordingProfile: '1080p', bitrateMbps: 4, estimatedStorageGb: 2.16 });
+    expect(calculations.estimatedStorageGb).toBeCloseTo(first.estimatedStorageGb + 2.16);
+    expect(calculations.recommendedMedia).toMatchObject({ mediaType: 'USB', capacityGb: 32 });
+  });
+
+  it('should not count invalid or missing durations', async () => {
+    const data = recoveryData();
+    data.dvrGroups = [{
+      extractionTimeFrames: [
+        { extractionStartTime: '2026-10-18 15:00', extractionEndTime: '2026-10-18 14:00', timePeriodType: 'DVR Time' },
+        { extractionStartTime: '', extractionEndTime: '', timePeriodType: '' }
+      ]
+    }];
+
+    const calculations = await getCalculations(data);
+
+    expect(calculations.totalMinutes).toBe(0);
+    expect(calculations.dvrs[0].timeframes[0].durationFormatted).toBe('Invalid duration');
+    expect(calculations.dvrs[0].timeframes[1].actualWindow).toEqual({ start: null, end: null });
+  });
+});
+
+describe('generateJSON() metadata', () => {
+  it('should record the submission ID when one is given', async () => {
+    const submissionId = '1b4e28ba-2fa1-41d2-883f-0016d3cca427';
+    const withId = JSON.parse(await generateJSON({ occNumber: 'PR2026001234' }, 'upload', submissionId).text());
+    const withoutId = JSON.parse(await generateJSON({ occNumber: 'PR2026001234' }, 'upload').text());
+
+    expect(withId.metadata.submissionId).toBe(submissionId);
+    expect(withoutId.metadata.submissionId).toBeNull();
+  });
+});
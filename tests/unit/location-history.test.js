@@ -0,0 +1,233 @@
+/**
+ * Location History Tests
+ *
+ * Verifies how past recovery and upload requests are indexed by location,
+ * matched against what the officer types, cached for offline use and topped
+ * up from Supabase.
+ *
+ * @fileoverview Unit tests for location-history.js
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+
+const supabaseMock = vi.hoisted(() => ({
+  getLocationSubmissionsSince: vi.fn()
+}));
+
+vi.mock('../../assets/js/supabase.js', () => supabaseMock);
+
+import {
+  normalizeLocation,
+  extractLocationObservations,
+  createLocationIndex,
+  addLocationObservations,
+  findLocationMatches,
+  describeLocationDetails,
+  estimateEarliestDate,
+  loadLocationHistory,
+  refreshLocationHistory,
+  findPastLocations,
+  rememberLocations
+} from '../../assets/js/location-history.js';
+import { CONFIG } from '../../assets/js/config.js';
+
+const recoveryRow = (overrides = {}) => ({
+  id: 'sub-1',
+  form_type: 'recovery',
+  submitted_at: '2026-09-01T14:00:00Z',
+  form_data: {
+    businessName: 'Corner Store',
+    locationAddress: '123 Main Street',
+    city: 'Brampton',
+    locationContact: 'John Manager',
+    locationContactPhone: '9055555678',
+    dvrGroups: [
+      { dvrMakeModel: 'Hikvision DS-7216', isTimeDateCorrect: 'No', timeOffset: 'DVR is 5 minutes AHEAD of real time', dvrRetention: '2026-08-02' }
+    ]
+  },
+  ...overrides
+});
+
+const uploadRow = {
+  id: 'sub-2',
+  form_type: 'upload',
+  submitted_at: '2026-10-01T09:00:00Z',
+  form_data: {
+    locations: [
+      { businessName: 'Corner Store Inc.', locationAddress: '123 Main St.', city: 'Brampton', isTimeDateCorrect: 'Yes', dvrEarliestDate: '2026-09-11' },
+      { businessName: '', locationAddress: '', city: 'Brampton' }
+    ]
+  }
+};
+
+const indexOf = (...rows) => addLocationObservations(createLocationIndex(), rows.flatMap(extractLocationObservations));
+
+describe('Location History', () => {
+  beforeEach(() => {
+    localStorage.clear();
+    supabaseMock.getLocationSubmissionsSince.mockReset();
+  });
+
+  describe('normalizeLocation()', () => {
+    it('should ignore case, punctuation and how street words are written', () => {
+      expect(normalizeLocation('123 Main Street, Unit #4')).toBe('123 main st unit 4');
+      expect(normalizeLocation('123 MAIN ST.')).toBe('123 main st');
+    });
+  });
+
+  describe('extractLocationObservations()', () => {
+    it('should take the contact and first DVR from a recovery request', () => {
+      const [observation] = extractLocationObservations(recoveryRow());
+
+      expect(observation).toMatchObject({ locationAddress: '123 Main Street', city: 'Brampton', observedAt: '2026-09-01T14:00:00Z' });
+      expect(observation.details).toEqual({
+        dvrMakeModel: 'Hikvision DS-7216',
+        timeOffset: 'DVR is 5 minutes AHEAD of real time',
+        retentionDays: 30,
+        locationContact: 'John Manager',
+        locationContactPhone: '9055555678'
+      });
+    });
+
+    it('should take each upload location with an address, remembering a correct clock', () => {
+      const observations = extractLocationObservations(uploadRow);
+
+      expect(observations).toHaveLength(1);
+      expect(observations[0].details).toEqual({ timeOffset: '', retentionDays: 20 });
+    });
+
+    it('should ignore other form types', () => {
+      expect(extractLocationObservations({ ...recoveryRow(), form_type: 'analysis' })).toEqual([]);
+    });
+  });
+
+  describe('addLocationObservations()', () => {
+    it('should merge requests at the same address, keeping the newest value of each detail', () => {
+      const index = indexOf(recoveryRow(), uploadRow);
+      const entry = index.locations['123 main st'];
+
+      expect(Object.keys(index.locations)).toEqual(['123 main st']);
+      expect(entry.businessName).toBe('Corner Store Inc.');
+      expect(entry.lastSeen).toBe('2026-10-01T09:00:00Z');
+      expect(entry.details.timeOffset).toEqual({ value: '', observedAt: '2026-10-01T09:00:00Z' });
+      expect(entry.details.dvrMakeModel).toEqual({ value: 'Hikvision DS-7216', observedAt: '2026-09-01T14:00:00Z' });
+    });
+
+    it('should not let an older request replace newer details', () => {
+      const index = indexOf(uploadRow, recoveryRow());
+
+      expect(index.locations['123 main st'].details.retentionDays.value).toBe(20);
+    });
+  });
+
+  describe('findLocationMatches()', () => {
+    const index = indexOf(
+      recoveryRow(),
+      recoveryRow({ submitted_at: '2026-09-05T10:00:00Z', form_data: { locationAddress: '123 Main St, Unit 4', businessName: 'Gas Bar' } })
+    );
+
+    it('should rank an exact address above a longer one at the same street number', () => {
+      const matches = findLocationMatches(index, { locationAddress: '123 Main Street' });
+
+      expect(matches.map(match => match.locationAddress)).toEqual(['123 Main Street', '123 Main St, Unit 4']);
+    });
+
+    it('should match on business name when the address is not entered', () => {
+      expect(findLocationMatches(index, { businessName: 'gas bar' })).toHaveLength(1);
+      expect(findLocationMatches(index, { businessName: 'ga' })).toEqual([]);
+    });
+  });
+
+  describe('describeLocationDetails()', () => {
+    it('should describe each remembered detail with when it was seen', () => {
+      const details = describeLocationDetails(indexOf(uploadRow).locations['123 main st']);
+
+      expect(details).toEqual([
+        { key: 'timeOffset', label: 'Time Offset', text: 'None - DVR clock was correct', observedAt: '2026-10-01T09:00:00Z' },
+        { key: 'retentionDays', label: 'Retention', text: 'About 20 days', observedAt: '2026-10-01T09:00:00Z' }
+      ]);
+    });
+  });
+
+  describe('estimateEarliestDate()', () => {
+    it('should count the retention back from today', () => {
+      expect(estimateEarliestDate(30, new Date('2026-10-19T12:00:00'))).toBe('2026-09-19');
+    });
+  });
+
+  describe('cache', () => {
+    it('should read only new submissions from Supabase and cache them', async () => {
+      supabaseMock.getLocationSubmissionsSince.mockResolvedValueOnce([recoveryRow()]);
+      await refreshLocationHistory(true);
+
+      supabaseMock.getLocationSubmissionsSince.mockResolvedValueOnce([uploadRow]);
+      const index = await refreshLocationHistory(true);
+
+      expect(supabaseMock.getLocationSubmissionsSince.mock.calls).toEqual([[null], ['2026-09-01T14:00:00Z']]);
+      expect(index.newestSubmission).toBe('2026-10-01T09:00:00Z');
+      expect(loadLocationHistory().locations['123 main st'].details.retentionDays.value).toBe(20);
+    });
+
+    it('should not ask Supabase again until the refresh interval has passed', async () => {
+      supabaseMock.getLocationSubmissionsSince.mockResolvedValue([]);
+
+      await refreshLocationHistory();
+      await refreshLocationHistory();
+
+      expect(supabaseMock.getLocationSubmissionsSince).toHaveBeenCalledTimes(1);
+    });
+
+    it('should use the cache when Supabase cannot be reached', async () => {
+      rememberLocations(recoveryRow().form_data, 'recovery');
+      supabaseMock.getLocationSubmissionsSince.mockRejectedValue(new Error('Failed to fetch'));
+      vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+      const matches = await findPastLocations({ locationAddress: '123 main st' });
+
+      expect(matches).toHaveLength(1);
+      expect(matches[0].details.locationContact.value).toBe('John Manager');
+    });
+
+    describe('submission targets', () => {
+      afterEach(() => {
+        vi.doUnmock('../../assets/js/config.js');
+        vi.resetModules();
+      });
+
+      /**
+       * Load location-history.js with the given submission settings
+       * @returns {Promise<Object>} The module
+       */
+      async function withTargets(settings) {
+        vi.resetModules();
+        vi.doMock('../../assets/js/config.js', async (importOriginal) => {
+          const { CONFIG: original } = await importOriginal();
+          return { CONFIG: { ...original, ...settings } };
+        });
+        return import('../../assets/js/location-history.js');
+      }
+
+      it('should read from Supabase when it is a secondary target', async () => {
+        supabaseMock.getLocationSubmissionsSince.mockResolvedValue([]);
+        const history = await withTargets({ USE_SUPABASE: false, SUBMISSION_TARGETS: ['php', 'supabase'] });
+
+        await history.refreshLocationHistory(true);
+
+        expect(supabaseMock.getLocationSubmissionsSince).toHaveBeenCalledTimes(1);
+      });
+
+      it('should not read from Supabase when it is not a target', async () => {
+        const history = await withTargets({ USE_SUPABASE: true, SUBMISSION_TARGETS: ['php'] });
+
+        await history.refreshLocationHistory(true);
+
+        expect(supabaseMock.getLocationSubmissionsSince).not.toHaveBeenCalled();
+      });
+    });
+
+    it('should only remember location forms', () => {
+      expect(rememberLocations({ locationAddress: '1 Main St' }, 'analysis')).toBe(false);
+      expect(localStorage.getItem(CONFIG.LOCATION_HISTORY.CACHE_KEY)).toBeNull();
+    });
+  });
+});
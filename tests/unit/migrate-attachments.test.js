@@ -0,0 +1,115 @@
+// @vitest-environment node
+/**
+ * Attachment Migration Tests
+ *
+ * Runs scripts/migrate-attachments.js against the mock backend: base64
+ * attachments move into Storage and rows keep only their metadata.
+ *
+ * @fileoverview Unit tests for scripts/migrate-attachments.js
+ */
+
+import { describe, it, expect, beforeAll, afterAll, beforeEach, vi } from 'vitest';
+import { createRequire } from 'node:module';
+import http from 'node:http';
+import crypto from 'node:crypto';
+
+const require = createRequire(import.meta.url);
+const { createMockBackend } = require('../../scripts/mock-backend.js');
+const { migrateAttachments, getAttachmentPath } = require('../../scripts/migrate-attachments.js');
+
+let backend;
+let url;
+
+/**
+ * fetch over node:http - the setup file replaces the global fetch with a mock
+ */
+function httpFetch(input, { method = 'GET', body, headers = {} } = {}) {
+  return new Promise((resolve, reject) => {
+    const req = http.request(input, { method, headers }, res => {
+      const chunks = [];
+      res.on('data', chunk => chunks.push(chunk));
+      res.on('end', () => resolve(new Response(res.statusCode === 204 ? null : Buffer.concat(chunks), {
+        status: res.statusCode,
+        headers: res.headers
+      })));
+    });
+    req.on('error', reject);
+    req.end(body);
+  });
+}
+
+const sha256 = (text) => crypto.createHash('sha256').update(text).digest('hex');
+
+async function insert(row) {
+  const response = await fetch(`${url}/rest/v1/form_submissions?select=*`, {
+    method: 'POST',
+    body: JSON.stringify([row]),
+    headers: { 'Content-Type': 'application/json', Prefer: 'return=representation' }
+  });
+  return (await response.json())[0];
+}
+
+const getRow = async (id) => (await (await fetch(`${url}/rest/v1/form_submissions?id=eq.${id}`)).json())[0];
+const getObjects = async () => (await fetch(`${url}/__mock/objects`)).json();
+
+const legacyAttachments = [
+  { type: 'pdf', filename: 'upload_1.pdf', data: Buffer.from('%PDF').toString('base64'), size: 4 },
+  { type: 'json', filename: 'upload_1.json', data: Buffer.from('{}').toString('base64'), size: 2 }
+];
+
+describe('Attachment Migration', () => {
+  beforeAll(async () => {
+    backend = createMockBackend();
+    url = `http://127.0.0.1:${await backend.listen(0)}`;
+  });
+
+  afterAll(async () => {
+    await backend.close();
+  });
+
+  beforeEach(() => {
+    backend.reset();
+    vi.mocked(fetch).mockImplementation(httpFetch);
+  });
+
+  it('should name files after the submission ID', () => {
+    expect(getAttachmentPath('sub-1', { type: 'pdf', filename: 'upload_1.pdf' })).toBe('sub-1/upload_1.pdf');
+    expect(getAttachmentPath('sub-1', { type: 'json' })).toBe('sub-1/submission_sub-1.json');
+  });
+
+  it('should move base64 attachments into Storage and keep metadata on the row', async () => {
+    const row = await insert({ occ_number: 'PR1', attachments: legacyAttachments });
+
+    const summary = await migrateAttachments({ url, key: 'test', log: () => {} });
+
+    expect(summary).toEqual({ rows: 1, migrated: 1, files: 2, failed: 0 });
+    expect((await getRow(row.id)).attachments).toEqual([
+      { type: 'pdf', filename: 'upload_1.pdf', size: 4, sha256: sha256('%PDF'), path: `${row.id}/upload_1.pdf` },
+      { type: 'json', filename: 'upload_1.json', size: 2, sha256: sha256('{}'), path: `${row.id}/upload_1.json` }
+    ]);
+    expect((await getObjects()).map(object => [object.path, object.contentType, object.sha256])).toEqual([
+      [`${row.id}/upload_1.pdf`, 'application/pdf', sha256('%PDF')],
+      [`${row.id}/upload_1.json`, 'application/json', sha256('{}')]
+    ]);
+  });
+
+  it('should skip rows that are already migrated', async () => {
+    await insert({ occ_number: 'PR1', attachments: legacyAttachments });
+    await migrateAttachments({ url, key: 'test', log: () => {} });
+
+    const summary = await migrateAttachments({ url, key: 'test', log: () => {} });
+
+    expect(summary).toEqual({ rows: 1, migrated: 0, files: 0, failed: 0 });
+    expect(await getObjects()).toHaveLength(2);
+  });
+
+  it('should change nothing on a dry run', async () => {
+    const row = await insert({ occ_number: 'PR1', attachments: legacyAttachments });
+
+    const summary = await migrateAttachments({ url, key: 'test', dryRun: true, log: () => {} });
+
+    expect(summary.migrated).toBe(1);
+    expect((await getRow(row.id)).attachments).toEqual(legacyAttachments);
+    expect(await getObjects()).toEqual([]);
+  });
+});
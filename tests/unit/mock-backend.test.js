@@ -0,0 +1,508 @@
+// @vitest-environment node
+/**
+ * Mock Backend Tests
+ *
+ * Verifies the local stand-in for rfs_request_process.php and the Supabase
+ * form_submissions REST/realtime surface, including each selectable
+ * failure mode.
+ *
+ * @fileoverview Unit tests for scripts/mock-backend.js
+ */
+
+import { describe, it, expect, beforeAll, afterAll, beforeEach } from 'vitest';
+import { createRequire } from 'node:module';
+import http from 'node:http';
+import crypto from 'node:crypto';
+
+const require = createRequire(import.meta.url);
+const { createMockBackend } = require('../../scripts/mock-backend.js');
+
+let backend;
+let port;
+
+/**
+ * Make a request against the mock backend
+ * @returns {Promise<{status: number, headers: Object, text: string, json: Function}>}
+ */
+function send(method, path, { body, headers = {}, timeout } = {}) {
+  return new Promise((resolve, reject) => {
+    const req = http.request({ host: '127.0.0.1', port, method, path, headers, timeout }, res => {
+      const chunks = [];
+      res.on('data', chunk => chunks.push(chunk));
+      res.on('end', () => {
+        const text = Buffer.concat(chunks).toString();
+        resolve({ status: res.statusCode, headers: res.headers, text, json: () => JSON.parse(text) });
+      });
+    });
+    req.on('timeout', () => req.destroy(new Error('client timeout')));
+    req.on('error', reject);
+    req.end(body);
+  });
+}
+
+/**
+ * POST a multipart submission like PhpMultipartTransport does
+ */
+async function submitPhp(fields) {
+  const form = new FormData();
+  Object.entries(fields).forEach(([key, value]) => form.append(key, value));
+  form.append('fileAttachmentA', new Blob(['%PDF']), 'upload_1.pdf');
+  form.append('fileAttachmentB', new Blob(['{}']), 'upload_1.json');
+
+  const request = new Request('http://localhost/', { method: 'POST', body: form });
+  const body = Buffer.from(await request.arrayBuffer());
+
+  return send('POST', '/rfs_request_process.php', {
+    body,
+    headers: { 'Content-Type': request.headers.get('content-type') }
+  });
+}
+
+function setFailure(rule) {
+  return send('POST', '/__mock/failures', { body: JSON.stringify(rule) });
+}
+
+const validFields = {
+  formType: 'upload',
+  rName: 'Jane Smith',
+  badge: '1234',
+  requestingEmail: 'jane.smith@peelpolice.ca',
+  occNumber: 'PR240001'
+};
+
+describe('Mock Backend', () => {
+  beforeAll(async () => {
+    backend = createMockBackend();
+    port = await backend.listen(0);
+  });
+
+  afterAll(async () => {
+    await backend.close();
+  });
+
+  beforeEach(async () => {
+    await send('POST', '/__mock/reset');
+  });
+
+  describe('PHP endpoint', () => {
+    it('should return sequential ticket numbers', async () => {
+      const first = await submitPhp(validFields);
+      const second = await submitPhp(validFields);
+
+      expect(first.json()).toEqual({ success: true, message: 'Ticket created successfully', ticketNumber: 'MOCK-000001' });
+      expect(second.json().ticketNumber).toBe('MOCK-000002');
+    });
+
+    it('should record fields and attachments', async () => {
+      await submitPhp(validFields);
+
+      const [received] = (await send('GET', '/__mock/submissions')).json();
+      expect(received.target).toBe('php');
+      expect(received.fields.occNumber).toBe('PR240001');
+      expect(received.files.fileAttachmentA.name).toBe('upload_1.pdf');
+    });
+
+    it('should reject missing required fields', async () => {
+      const response = await submitPhp({ formType: 'upload' });
+
+      expect(response.status).toBe(400);
+      expect(response.json().fields).toContain('rName');
+    });
+
+    it('should allow cross-origin requests', async () => {
+      const response = await send('OPTIONS', '/rfs_request_process.php');
+      expect(response.status).toBe(204);
+      expect(response.headers['access-control-allow-origin']).toBe('*');
+    });
+  });
+
+  describe('Failure modes', () => {
+    it('should return 500 then recover', async () => {
+      await setFailure({ mode: '500' });
+
+      expect((await submitPhp(validFields)).status).toBe(500);
+      expect((await submitPhp(validFields)).status).toBe(200);
+    });
+
+    it('should return 429 with Retry-After', async () => {
+      await setFailure({ mode: '429' });
+
+      const response = await submitPhp(validFields);
+      expect(response.status).toBe(429);
+      expect(response.headers['retry-after']).toBe('1');
+    });
+
+    it('should return malformed JSON', async () => {
+      await setFailure({ mode: 'malformed' });
+
+      const response = await submitPhp(validFields);
+      expect(response.status).toBe(200);
+      expect(() => response.json()).toThrow();
+    });
+
+    it('should drop the connection when offline', async () => {
+      await setFailure({ mode: 'offline' });
+
+      await expect(submitPhp(validFields)).rejects.toThrow();
+    });
+
+    it('should never answer when timing out', async () => {
+      await setFailure({ mode: 'timeout' });
+
+      await expect(send('GET', '/rest/v1/form_submissions', { timeout: 200 })).rejects.toThrow('client timeout');
+    });
+
+    it('should fail the given number of times', async () => {
+      await setFailure({ mode: '500', times: 2 });
+
+      expect((await submitPhp(validFields)).status).toBe(500);
+      expect((await submitPhp(validFields)).status).toBe(500);
+      expect((await submitPhp(validFields)).status).toBe(200);
+    });
+
+    it('should only fail the matching target', async () => {
+      await setFailure({ mode: '500', target: 'supabase' });
+
+      expect((await submitPhp(validFields)).status).toBe(200);
+      expect((await send('GET', '/rest/v1/form_submissions')).status).toBe(500);
+    });
+
+    it('should only fail the matching occurrence number', async () => {
+      await setFailure({ mode: '500', occNumber: 'PR999999' });
+
+      expect((await submitPhp(validFields)).status).toBe(200);
+      expect((await submitPhp({ ...validFields, occNumber: 'PR999999' })).status).toBe(500);
+    });
+
+    it('should reject unknown modes', async () => {
+      expect((await setFailure({ mode: 'explode' })).status).toBe(400);
+    });
+  });
+
+  describe('Supabase REST', () => {
+    const insert = (row) => send('POST', '/rest/v1/form_submissions?select=*', {
+      body: JSON.stringify([row]),
+      headers: {
+        'Content-Type': 'application/json',
+        Prefer: 'return=representation',
+        Accept: 'application/vnd.pgrst.object+json'
+      }
+    });
+
+    it('should insert a row and return it like .insert().select().single()', async () => {
+      const response = await insert({ form_type: 'upload', occ_number: 'PR240001', requesting_email: 'a@peelpolice.ca' });
+      const row = response.json();
+
+      expect(response.status).toBe(201);
+      expect(row.id).toBeTruthy();
+      expect(row.status).toBe('pending');
+      expect(row.submitted_at).toBeTruthy();
+    });
+
+    it('should filter and order rows', async () => {
+      await insert({ occ_number: 'PR1', requesting_email: 'a@peelpolice.ca', submitted_at: '2026-01-01T00:00:00Z' });
+      await insert({ occ_number: 'PR2', requesting_email: 'a@peelpolice.ca', submitted_at: '2026-02-01T00:00:00Z' });
+      await insert({ occ_number: 'PR3', requesting_email: 'b@peelpolice.ca', submitted_at: '2026-03-01T00:00:00Z' });
+
+      const response = await send('GET', '/rest/v1/form_submissions?select=*&requesting_email=eq.a%40peelpolice.ca&order=submitted_at.desc');
+
+      expect(response.json().map(row => row.occ_number)).toEqual(['PR2', 'PR1']);
+    });
+
+    it('should order nulls last when asked', async () => {
+      await insert({ occ_number: 'PR1', priority_score: null, submitted_at: '2026-01-03T00:00:00Z' });
+      await insert({ occ_number: 'PR2', priority_score: 40, submitted_at: '2026-01-01T00:00:00Z' });
+      await insert({ occ_number: 'PR3', priority_score: 40, submitted_at: '2026-01-02T00:00:00Z' });
+
+      const response = await send('GET', '/rest/v1/form_submissions?select=*&order=priority_score.desc.nullslast,submitted_at.desc');
+
+      expect(response.json().map(row => row.occ_number)).toEqual(['PR3', 'PR2', 'PR1']);
+    });
+
+    it('should report counts in Content-Range', async () => {
+      await insert({ occ_number: 'PR1' });
+      await insert({ occ_number: 'PR2' });
+
+      const response = await send('GET', '/rest/v1/form_submissions?select=*&limit=1', {
+        headers: { Prefer: 'count=exact' }
+      });
+
+      expect(response.json()).toHaveLength(1);
+      expect(response.headers['content-range']).toBe('0-0/2');
+    });
+
+    it('should report the page offset in Content-Range', async () => {
+      await insert({ occ_number: 'PR1' });
+      await insert({ occ_number: 'PR2' });
+      await insert({ occ_number: 'PR3' });
+
+      const response = await send('GET', '/rest/v1/form_submissions?select=*&offset=2&limit=2', {
+        headers: { Prefer: 'count=exact' }
+      });
+
+      expect(response.json()).toHaveLength(1);
+      expect(response.headers['content-range']).toBe('2-2/3');
+    });
+
+    it('should match any condition in an or() group', async () => {
+      await insert({ occ_number: 'PR1', rfs_details: 'Red car at the front door', file_details: null });
+      await insert({ occ_number: 'PR2', rfs_details: null, file_details: 'Rear door camera' });
+      await insert({ occ_number: 'PR3', rfs_details: 'Parking lot', file_details: 'Lobby' });
+
+      const or = encodeURIComponent('(rfs_details.ilike.*door*,file_details.ilike.*door*)');
+      const response = await send('GET', `/rest/v1/form_submissions?select=*&or=${or}&order=occ_number.asc`);
+
+      expect(response.json().map(row => row.occ_number)).toEqual(['PR1', 'PR2']);
+    });
+
+    it('should update rows with PATCH', async () => {
+      const row = (await insert({ occ_number: 'PR1' })).json();
+
+      const response = await send('PATCH', `/rest/v1/form_submissions?id=eq.${row.id}`, {
+        body: JSON.stringify({ status: 'completed' }),
+        headers: { Prefer: 'return=representation' }
+      });
+
+      expect(response.json()[0].status).toBe('completed');
+    });
+
+    it('should return PGRST116 when .single() finds no row', async () => {
+      const response = await send('GET', '/rest/v1/form_submissions?id=eq.missing', {
+        headers: { Accept: 'application/vnd.pgrst.object+json' }
+      });
+
+      expect(response.status).toBe(406);
+      expect(response.json().code).toBe('PGRST116');
+    });
+
+    it('should only update rows that still match every filter', async () => {
+      const row = (await insert({ occ_number: 'PR1' })).json();
+      const patch = () => send('PATCH', `/rest/v1/form_submissions?id=eq.${row.id}&status=eq.pending`, {
+        body: JSON.stringify({ status: 'processing' }),
+        headers: { Prefer: 'return=representation' }
+      });
+
+      expect((await patch()).json()).toHaveLength(1);
+      expect((await patch()).json()).toHaveLength(0);
+    });
+
+    it('should match JSON columns that contain a value', async () => {
+      await insert({ occ_number: 'PR1', attachments: [{ type: 'pdf', sha256: 'aa', path: 'x/a.pdf' }] });
+      await insert({ occ_number: 'PR2', attachments: [{ type: 'json', sha256: 'aa', path: 'y/a.json' }] });
+
+      const contains = encodeURIComponent(JSON.stringify([{ type: 'pdf', sha256: 'aa' }]));
+      const response = await send('GET', `/rest/v1/form_submissions?select=*&attachments=cs.${contains}`);
+
+      expect(response.json().map(row => row.occ_number)).toEqual(['PR1']);
+    });
+
+    it('should store submission events separately from submissions', async () => {
+      const row = (await insert({ occ_number: 'PR1' })).json();
+
+      const response = await send('POST', '/rest/v1/submission_events?select=*', {
+        body: JSON.stringify([{ submission_id: row.id, event_type: 'note', note: 'Called the store', actor: 'Jane' }]),
+        headers: { Prefer: 'return=representation', Accept: 'application/vnd.pgrst.object+json' }
+      });
+      const event = response.json();
+
+      expect(response.status).toBe(201);
+      expect(event.id).toBeTruthy();
+      expect(event.created_at).toBeTruthy();
+
+      const events = await send('GET', `/rest/v1/submission_events?submission_id=eq.${row.id}&order=created_at.asc`);
+      expect(events.json()).toEqual([event]);
+      expect((await send('GET', '/__mock/submissions')).json()).toHaveLength(1);
+    });
+
+    it('should move a status and record its event in one call', async () => {
+      const row = (await insert({ occ_number: 'PR1' })).json();
+      const transition = () => send('POST', '/rest/v1/rpc/transition_submission_status', {
+        body: JSON.stringify({
+          p_submission_id: row.id,
+          p_from_status: 'pending',
+          p_to_status: 'processing',
+          p_reason: 'Picked up',
+          p_actor: 'Jane'
+        })
+      });
+
+      const first = await transition();
+      expect(first.status).toBe(200);
+      expect(first.json()[0]).toMatchObject({ status: 'processing', status_reason: 'Picked up' });
+
+      // Stale from_status: no row, no event
+      expect((await transition()).json()).toEqual([]);
+
+      const events = (await send('GET', '/__mock/events')).json();
+      expect(events).toHaveLength(1);
+      expect(events[0]).toMatchObject({ submission_id: row.id, event_type: 'status', from_status: 'pending', to_status: 'processing' });
+    });
+
+    it('should assign a submission and record its event like .rpc().single()', async () => {
+      const row = (await insert({ occ_number: 'PR1' })).json();
+
+      const response = await send('POST', '/rest/v1/rpc/assign_submission', {
+        body: JSON.stringify({ p_submission_id: row.id, p_from_assigned_to: null, p_to_assigned_to: 'Jane', p_actor: 'Jane' }),
+        headers: { Accept: 'application/vnd.pgrst.object+json' }
+      });
+
+      expect(response.json().assigned_to).toBe('Jane');
+      expect((await send('GET', '/__mock/events')).json()[0]).toMatchObject({ event_type: 'assign', assigned_to: 'Jane' });
+    });
+
+    it('should return 404 for unknown tables', async () => {
+      expect((await send('GET', '/rest/v1/other_table')).status).toBe(404);
+    });
+  });
+
+  describe('Storage', () => {
+    /**
+     * Upload a file like supabase-js does for a Blob (multipart)
+     */
+    async function upload(path, content, type, headers = {}) {
+      const form = new FormData();
+      form.append('cacheControl', '3600');
+      form.append('', new Blob([content], { type }));
+
+      const request = new Request('http://localhost/', { method: 'POST', body: form });
+      return send('POST', `/storage/v1/object/submission-attachments/${path}`, {
+        body: Buffer.from(await request.arrayBuffer()),
+        headers: { 'Content-Type': request.headers.get('content-type'), 'x-upsert': 'false', ...headers }
+      });
+    }
+
+    const sign = (path) => send('POST', `/storage/v1/object/sign/submission-attachments/${path}`, {
+      body: JSON.stringify({ expiresIn: 60 }),
+      headers: { 'Content-Type': 'application/json' }
+    });
+
+    it('should store uploaded files with their hash', async () => {
+      const response = await upload('sub-1/upload_1.pdf', '%PDF', 'application/pdf');
+
+      expect(response.status).toBe(200);
+      expect(response.json().Key).toBe('submission-attachments/sub-1/upload_1.pdf');
+      expect((await send('GET', '/__mock/objects')).json()).toEqual([{
+        bucket: 'submission-attachments',
+        path: 'sub-1/upload_1.pdf',
+        contentType: 'application/pdf',
+        size: 4,
+        sha256: crypto.createHash('sha256').update('%PDF').digest('hex')
+      }]);
+    });
+
+    it('should refuse to overwrite a file unless upserting', async () => {
+      await upload('sub-1/upload_1.pdf', '%PDF', 'application/pdf');
+
+      expect((await upload('sub-1/upload_1.pdf', '%PDF-2', 'application/pdf')).status).toBe(409);
+      expect((await upload('sub-1/upload_1.pdf', '%PDF-2', 'application/pdf', { 'x-upsert': 'true' })).status).toBe(200);
+      expect((await send('GET', '/__mock/objects')).json()[0].size).toBe(6);
+    });
+
+    it('should serve a file through a signed URL as a download', async () => {
+      await upload('sub-1/upload_1.json', '{}', 'application/json');
+
+      const { signedURL } = (await sign('sub-1/upload_1.json')).json();
+      const response = await send('GET', `/storage/v1${signedURL}&download=request.json`);
+
+      expect(response.status).toBe(200);
+      expect(response.text).toBe('{}');
+      expect(response.headers['content-disposition']).toBe('attachment; filename="request.json"');
+    });
+
+    it('should reject signed URLs for another file', async () => {
+      await upload('sub-1/upload_1.pdf', '%PDF', 'application/pdf');
+      await upload('sub-2/upload_2.pdf', '%PDF', 'application/pdf');
+
+      const { signedURL } = (await sign('sub-1/upload_1.pdf')).json();
+      const forged = signedURL.replace('sub-1/upload_1.pdf', 'sub-2/upload_2.pdf');
+
+      expect((await send('GET', `/storage/v1${forged}`)).status).toBe(400);
+    });
+
+    it('should not sign missing files', async () => {
+      expect((await sign('sub-1/missing.pdf')).status).toBe(404);
+    });
+  });
+
+  describe('Realtime', () => {
+    /**
+     * Open a realtime websocket and collect decoded Phoenix messages
+     */
+    function connectRealtime() {
+      return new Promise((resolve, reject) => {
+        const req = http.request({
+          host: '127.0.0.1',
+          port,
+          path: '/realtime/v1/websocket?apikey=test&vsn=1.0.0',
+          headers: {
+            Connection: 'Upgrade',
+            Upgrade: 'websocket',
+            'Sec-WebSocket-Key': crypto.randomBytes(16).toString('base64'),
+            'Sec-WebSocket-Version': '13'
+          }
+        });
+
+        req.on('upgrade', (res, socket) => {
+          const messages = [];
+          socket.on('data', data => {
+            // Server frames here are small and unfragmented
+            let offset = 0;
+            while (offset < data.length) {
+              const length = data[offset + 1] & 0x7f;
+              const start = offset + (length === 126 ? 4 : 2);
+              const size = length === 126 ? data.readUInt16BE(offset + 2) : length;
+              messages.push(JSON.parse(data.subarray(start, start + size).toString()));
+              offset = start + size;
+            }
+          });
+
+          const sendMessage = (message) => {
+            const payload = Buffer.from(JSON.stringify(message));
+            socket.write(Buffer.concat([Buffer.from([0x81, 126, payload.length >> 8, payload.length & 0xff]), payload]));
+          };
+
+          resolve({ socket, messages, sendMessage });
+        });
+        req.on('error', reject);
+        req.end();
+      });
+    }
+
+    const waitFor = async (check) => {
+      for (let i = 0; i < 50; i++) {
+        const result = check();
+        if (result) return result;
+        await new Promise(resolve => setTimeout(resolve, 10));
+      }
+      throw new Error('Timed out waiting for realtime message');
+    };
+
+    it('should push postgres_changes for inserts to subscribed channels', async () => {
+      const { socket, messages, sendMessage } = await connectRealtime();
+
+      sendMessage({
+        topic: 'realtime:dashboard-updates',
+        event: 'phx_join',
+        payload: { config: { postgres_changes: [{ event: '*', schema: 'public', table: 'form_submissions' }] } },
+        ref: '1',
+        join_ref: '1'
+      });
+
+      const reply = await waitFor(() => messages.find(m => m.event === 'phx_reply' && m.ref === '1'));
+      expect(reply.payload.status).toBe('ok');
+      const [binding] = reply.payload.response.postgres_changes;
+
+      await send('POST', '/rest/v1/form_submissions', {
+        body: JSON.stringify([{ occ_number: 'PR240001' }]),
+        headers: { 'Content-Type': 'application/json' }
+      });
+
+      const change = await waitFor(() => messages.find(m => m.event === 'postgres_changes'));
+      expect(change.payload.ids).toEqual([binding.id]);
+      expect(change.payload.data.type).toBe('INSERT');
+      expect(change.payload.data.record.occ_number).toBe('PR240001');
+
+      socket.destroy();
+    });
+  });
+});
@@ -0,0 +1,157 @@
+/**
+ * My Requests Tests
+ *
+ * Verifies the investigator's request list: lookup by saved email,
+ * status badges, attachment downloads, and live realtime updates.
+ *
+ * @fileoverview Unit tests for my-requests.js
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+
+const supabaseMock = vi.hoisted(() => ({
+  getSubmissionsByEmail: vi.fn(),
+  subscribeToSubmissionsByEmail: vi.fn(),
+  getAttachmentUrl: vi.fn()
+}));
+
+vi.mock('../../assets/js/supabase.js', () => supabaseMock);
+
+import { initMyRequests, applySubmissionChange, getStatusLabel } from '../../assets/js/my-requests.js';
+import { saveOfficerInfo } from '../../assets/js/officer-storage.js';
+
+const EMAIL = 'jane.smith@peelpolice.ca';
+
+const row = (overrides = {}) => ({
+  id: 'sub-1',
+  form_type: 'upload',
+  occ_number: 'PR240001',
+  status: 'pending',
+  submitted_at: '2026-10-01T12:00:00Z',
+  attachments: [
+    { type: 'pdf', filename: 'upload_1.pdf', size: 4, sha256: 'a'.repeat(64), path: 'sub-1/upload_1.pdf' },
+    { type: 'json', filename: 'upload_1.json', size: 2, sha256: 'b'.repeat(64), path: 'sub-1/upload_1.json' }
+  ],
+  ...overrides
+});
+
+describe('My Requests', () => {
+  let container;
+  let realtimeHandler;
+
+  beforeEach(() => {
+    localStorage.clear();
+    document.body.innerHTML = '<div id="my-requests-list"></div>';
+    container = document.getElementById('my-requests-list');
+
+    supabaseMock.getSubmissionsByEmail.mockReset();
+    supabaseMock.subscribeToSubmissionsByEmail.mockReset().mockImplementation(async (email, onChange) => {
+      realtimeHandler = onChange;
+      return () => {};
+    });
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  describe('applySubmissionChange()', () => {
+    it('should add inserts newest first', () => {
+      const list = [row({ id: 'old', submitted_at: '2026-01-01T00:00:00Z' })];
+      const updated = applySubmissionChange(list, { eventType: 'INSERT', new: row({ id: 'new' }), old: {} });
+
+      expect(updated.map(item => item.id)).toEqual(['new', 'old']);
+    });
+
+    it('should replace updated rows', () => {
+      const updated = applySubmissionChange([row()], { eventType: 'UPDATE', new: row({ status: 'completed' }), old: {} });
+
+      expect(updated).toHaveLength(1);
+      expect(updated[0].status).toBe('completed');
+    });
+
+    it('should remove deleted rows', () => {
+      expect(applySubmissionChange([row()], { eventType: 'DELETE', new: {}, old: { id: 'sub-1' } })).toEqual([]);
+    });
+  });
+
+  it('should label statuses', () => {
+    expect(getStatusLabel('processing')).toBe('In Progress');
+    expect(getStatusLabel('archived')).toBe('archived');
+  });
+
+  it('should ask for investigator info when no email is saved', async () => {
+    await initMyRequests();
+
+    expect(supabaseMock.getSubmissionsByEmail).not.toHaveBeenCalled();
+    expect(container.textContent).toContain('Submit a request to save it');
+  });
+
+  it('should list submissions for the saved email', async () => {
+    saveOfficerInfo({ requestingEmail: EMAIL });
+    supabaseMock.getSubmissionsByEmail.mockResolvedValue([row()]);
+
+    await initMyRequests();
+
+    expect(supabaseMock.getSubmissionsByEmail).toHaveBeenCalledWith(EMAIL);
+    const item = container.querySelector('.my-request-item');
+    expect(item.textContent).toContain('Upload · PR240001');
+    expect(item.querySelector('.status-badge').className).toContain('status-pending');
+    expect([...item.querySelectorAll('button')].map(b => b.textContent)).toEqual(['PDF', 'JSON']);
+  });
+
+  it('should re-download an attachment through a signed URL', async () => {
+    saveOfficerInfo({ requestingEmail: EMAIL });
+    supabaseMock.getSubmissionsByEmail.mockResolvedValue([row()]);
+    supabaseMock.getAttachmentUrl.mockResolvedValue('https://example.test/signed/upload_1.pdf?token=t');
+    const click = vi.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(() => {});
+
+    await initMyRequests();
+    container.querySelector('.my-request-actions button').click();
+
+    await vi.waitFor(() => expect(click).toHaveBeenCalled());
+    expect(supabaseMock.getAttachmentUrl).toHaveBeenCalledWith(row().attachments[0]);
+    expect(click.mock.contexts[0].href).toBe('https://example.test/signed/upload_1.pdf?token=t');
+  });
+
+  it('should warn when a signed URL cannot be made', async () => {
+    saveOfficerInfo({ requestingEmail: EMAIL });
+    supabaseMock.getSubmissionsByEmail.mockResolvedValue([row()]);
+    supabaseMock.getAttachmentUrl.mockRejectedValue(new Error('offline'));
+
+    await initMyRequests();
+    container.querySelector('.my-request-actions button').click();
+
+    await vi.waitFor(() => expect(document.querySelector('.toast-message').textContent).toContain('Could not download the file'));
+  });
+
+  it('should hide downloads for attachments without a stored file', async () => {
+    saveOfficerInfo({ requestingEmail: EMAIL });
+    supabaseMock.getSubmissionsByEmail.mockResolvedValue([row({ attachments: [{ type: 'pdf', filename: 'old.pdf', data: btoa('%PDF') }] })]);
+
+    await initMyRequests();
+
+    expect(container.querySelectorAll('.my-request-actions button')).toHaveLength(0);
+  });
+
+  it('should update the list from realtime changes', async () => {
+    saveOfficerInfo({ requestingEmail: EMAIL });
+    supabaseMock.getSubmissionsByEmail.mockResolvedValue([row()]);
+
+    await initMyRequests();
+    realtimeHandler({ eventType: 'UPDATE', new: row({ status: 'completed' }), old: {} });
+
+    expect(container.querySelector('.status-badge').textContent).toBe('Completed');
+    expect(document.querySelector('.toast-message').textContent).toContain('PR240001 is now Completed');
+  });
+
+  it('should offer a retry when loading fails', async () => {
+    saveOfficerInfo({ requestingEmail: EMAIL });
+    supabaseMock.getSubmissionsByEmail.mockRejectedValue(new Error('offline'));
+
+    await initMyRequests();
+
+    expect(container.textContent).toContain('Could not load your requests');
+    expect(container.querySelector('button').textContent).toBe('Try Again');
+  });
+});
@@ -0,0 +1,154 @@
+/**
+ * Occurrence Case Tests
+ *
+ * Verifies how the requests filed under one occurrence number are combined
+ * into a case: timeline, locations, overall status and analysts.
+ *
+ * @fileoverview Unit tests for occurrence-case.js
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  getFormTitle,
+  getVideoWindows,
+  getCaseLocations,
+  getCaseStatus,
+  buildOccurrenceCase
+} from '../../assets/js/occurrence-case.js';
+
+const canvass = {
+  id: 'c1',
+  form_type: 'canvass',
+  status: 'completed',
+  assigned_to: null,
+  submitted_at: '2026-10-10T09:00:00Z',
+  form_data: {
+    addresses: [
+      { businessName: 'Corner Store', locationAddress: '123 Main Street', city: 'Brampton', outcome: 'Footage Obtained' },
+      { businessName: '', locationAddress: '5 Queen St', city: 'Other', cityOther: 'Caledon', outcome: 'No Cameras' }
+    ]
+  }
+};
+
+const recovery = {
+  id: 'r1',
+  form_type: 'recovery',
+  status: 'processing',
+  assigned_to: 'Jane Analyst',
+  submitted_at: '2026-10-11T09:00:00Z',
+  form_data: {
+    businessName: 'Corner Store',
+    locationAddress: '123 Main St.',
+    city: 'Brampton',
+    dvrGroups: [{
+      isTimeDateCorrect: 'No',
+      timeOffset: 'DVR is 1 hr AHEAD of real time',
+      extractionTimeFrames: [
+        { extractionStartTime: '2026-10-09 15:00', extractionEndTime: '2026-10-09 16:00', timePeriodType: 'DVR Time' }
+      ]
+    }]
+  }
+};
+
+const upload = {
+  id: 'u1',
+  form_type: 'upload',
+  status: 'pending',
+  assigned_to: 'Bob Analyst',
+  submitted_at: '2026-10-12T09:00:00Z',
+  form_data: {
+    locations: [
+      { businessName: 'Gas Bar', locationAddress: '9 King St', city: 'Mississauga', isTimeDateCorrect: 'Yes', videoStartTime: '2026-10-09 13:30', videoEndTime: '2026-10-09 14:00' }
+    ]
+  }
+};
+
+const analysis = {
+  id: 'a1',
+  form_type: 'analysis',
+  status: 'pending',
+  assigned_to: 'Jane Analyst',
+  submitted_at: '2026-10-13T09:00:00Z',
+  form_data: { videoSeizedFrom: 'Gas Bar' }
+};
+
+describe('Occurrence Case', () => {
+  describe('getFormTitle()', () => {
+    it('should use the form title, falling back to the type', () => {
+      expect(getFormTitle('recovery')).toBe('CCTV Recovery Request Form');
+      expect(getFormTitle('other')).toBe('other');
+    });
+  });
+
+  describe('getVideoWindows()', () => {
+    it('should convert recovery time frames to real time', () => {
+      expect(getVideoWindows(recovery)).toEqual([{
+        submissionId: 'r1',
+        formType: 'recovery',
+        label: 'Recovery - DVR 1, Time Frame 1',
+        place: 'Corner Store, 123 Main St.',
+        start: '2026-10-09 14:00',
+        end: '2026-10-09 15:00',
+        offsetApplied: true
+      }]);
+    });
+
+    it('should include uploaded video windows', () => {
+      const [window] = getVideoWindows(upload);
+
+      expect(window).toMatchObject({ label: 'Upload - Location 1', start: '2026-10-09 13:30', offsetApplied: false });
+    });
+
+    it('should have no windows for canvass and analysis requests', () => {
+      expect(getVideoWindows(canvass)).toEqual([]);
+      expect(getVideoWindows(analysis)).toEqual([]);
+    });
+  });
+
+  describe('getCaseLocations()', () => {
+    it('should merge the same address across requests and list where it came from', () => {
+      expect(getCaseLocations([canvass, recovery, upload, analysis])).toEqual([
+        { businessName: 'Corner Store', locationAddress: '123 Main Street', city: 'Brampton', sources: ['Canvass: Footage Obtained', 'Recovery'] },
+        { businessName: '', locationAddress: '5 Queen St', city: 'Caledon', sources: ['Canvass: No Cameras'] },
+        { businessName: 'Gas Bar', locationAddress: '9 King St', city: 'Mississauga', sources: ['Upload'] },
+        { businessName: 'Gas Bar', locationAddress: '', city: '', sources: ['Analysis'] }
+      ]);
+    });
+  });
+
+  describe('getCaseStatus()', () => {
+    it('should use the shared status when every request has it', () => {
+      expect(getCaseStatus([canvass, { ...recovery, status: 'completed' }])).toBe('completed');
+    });
+
+    it('should be in progress while any request is open', () => {
+      expect(getCaseStatus([canvass, upload])).toBe('processing');
+    });
+
+    it('should be completed once the rest are finished or failed', () => {
+      expect(getCaseStatus([canvass, { ...upload, status: 'failed' }])).toBe('completed');
+    });
+
+    it('should be null for an empty case', () => {
+      expect(getCaseStatus([])).toBeNull();
+    });
+  });
+
+  describe('buildOccurrenceCase()', () => {
+    const occurrenceCase = buildOccurrenceCase('PR26-0012345', [analysis, upload, canvass, recovery]);
+
+    it('should list requests oldest first with status counts and analysts', () => {
+      expect(occurrenceCase.requests.map(request => request.id)).toEqual(['c1', 'r1', 'u1', 'a1']);
+      expect(occurrenceCase.statusCounts).toEqual({ completed: 1, processing: 1, pending: 2 });
+      expect(occurrenceCase.analysts).toEqual(['Bob Analyst', 'Jane Analyst']);
+      expect(occurrenceCase.status).toBe('processing');
+    });
+
+    it('should order the timeline by real start time across requests', () => {
+      expect(occurrenceCase.timeline.map(window => window.label)).toEqual([
+        'Upload - Location 1',
+        'Recovery - DVR 1, Time Frame 1'
+      ]);
+    });
+  });
+});
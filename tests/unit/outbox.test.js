@@ -0,0 +1,332 @@
+/**
+ * Offline Outbox Tests
+ *
+ * Verifies which submission failures are queued for replay, that queued
+ * payloads are encrypted when secure storage is on, and that the outbox
+ * degrades gracefully where IndexedDB is unavailable.
+ *
+ * happy-dom has no IndexedDB, so tests that need a store install a minimal
+ * in-memory one (only what outbox.js uses).
+ *
+ * @fileoverview Unit tests for outbox.js
+ */
+
+import { describe, it, expect, afterEach, vi } from 'vitest';
+
+const supabaseClient = vi.hoisted(() => ({
+  storage: { from: () => ({ upload: supabaseClient.upload }) },
+  from: () => ({
+    insert: () => ({ select: () => ({ single: () => ({ abortSignal: supabaseClient.insert }) }) }),
+    select: () => ({ eq: () => ({ maybeSingle: () => ({ abortSignal: supabaseClient.find }) }) })
+  }),
+  upload: null,
+  insert: null,
+  find: null
+}));
+
+// The Supabase client is loaded from a CDN
+vi.mock('https://cdn.jsdelivr.net/npm/@supabase/supabase-js@2/+esm', () => ({
+  createClient: () => supabaseClient
+}));
+import {
+  isQueueableError,
+  getOutboxItems,
+  sealPayload,
+  openPayload,
+  queueSubmission,
+  discardSealedItems,
+  initOutbox,
+  OUTBOX_STATUS
+} from '../../assets/js/outbox.js';
+import { APIError } from '../../assets/js/api-client.js';
+import { enableEncryption, unlockStorage, lockStorage, resetEncryptedStorage } from '../../assets/js/secure-storage.js';
+import { CONFIG } from '../../assets/js/config.js';
+
+/**
+ * Install an in-memory IndexedDB with a single object store
+ * @returns {Map} The store's records, keyed by id
+ */
+function installMemoryIndexedDB() {
+  const records = new Map();
+
+  const objectStore = {
+    getAll: () => ({ result: [...records.values()] }),
+    put: (item) => {
+      records.set(item.id, item);
+      return { result: item.id };
+    },
+    delete: (id) => {
+      records.delete(id);
+      return { result: undefined };
+    }
+  };
+
+  const db = {
+    objectStoreNames: { contains: () => true },
+    transaction: () => {
+      const transaction = { objectStore: () => objectStore };
+      setTimeout(() => transaction.oncomplete());
+      return transaction;
+    }
+  };
+
+  globalThis.indexedDB = {
+    open: () => {
+      const request = { result: db };
+      setTimeout(() => request.onsuccess());
+      return request;
+    }
+  };
+
+  return records;
+}
+
+describe('Offline Outbox', () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  describe('CONFIG.OUTBOX', () => {
+    it('should define database and sync settings', () => {
+      expect(CONFIG.OUTBOX.DB_NAME).toBe('fvu_outbox');
+      expect(CONFIG.OUTBOX.STORE_NAME).toBe('submissions');
+      expect(CONFIG.OUTBOX.SYNC_TAG).toBe('fvu-outbox-sync');
+    });
+
+    it('should be frozen', () => {
+      expect(Object.isFrozen(CONFIG.OUTBOX)).toBe(true);
+    });
+  });
+
+  describe('isQueueableError()', () => {
+    it('should queue offline errors', () => {
+      const error = new APIError('Network offline', { offline: true });
+      expect(isQueueableError(error)).toBe(true);
+    });
+
+    it('should queue timeouts', () => {
+      const error = new APIError('Request timeout', { timeout: true, code: 'ETIMEDOUT' });
+      expect(isQueueableError(error)).toBe(true);
+    });
+
+    it('should queue server errors (5xx)', () => {
+      const error = new APIError('Server error', { status: 503 });
+      expect(isQueueableError(error)).toBe(true);
+    });
+
+    it('should queue generic network errors', () => {
+      const error = new APIError('Network error', {});
+      expect(isQueueableError(error)).toBe(true);
+    });
+
+    it('should NOT queue client errors (4xx) - they would fail again', () => {
+      const error = new APIError('Missing required fields', { status: 422 });
+      expect(isQueueableError(error)).toBe(false);
+    });
+
+    it('should NOT queue client errors even when offline flag is set', () => {
+      const error = new APIError('Bad request', { status: 400, offline: true });
+      expect(isQueueableError(error)).toBe(false);
+    });
+
+    it('should NOT queue unrelated errors', () => {
+      expect(isQueueableError(new Error('Failed to generate PDF'))).toBe(false);
+      expect(isQueueableError(null)).toBe(false);
+    });
+
+    it('should NOT queue bugs that happen to be TypeErrors', () => {
+      expect(isQueueableError(new TypeError("Cannot read properties of undefined (reading 'id')"))).toBe(false);
+    });
+
+    it('should queue any failure while the browser reports offline', () => {
+      vi.spyOn(navigator, 'onLine', 'get').mockReturnValue(false);
+      expect(isQueueableError(new Error('Failed to fetch'))).toBe(true);
+    });
+  });
+
+  describe('getOutboxItems()', () => {
+    it('should return an empty list when IndexedDB is unavailable', async () => {
+      vi.spyOn(console, 'error').mockImplementation(() => {});
+      const original = globalThis.indexedDB;
+      delete globalThis.indexedDB;
+
+      try {
+        await expect(getOutboxItems()).resolves.toEqual([]);
+      } finally {
+        if (original) globalThis.indexedDB = original;
+      }
+    });
+  });
+
+  describe('Encrypted payloads', () => {
+    const PASSPHRASE = 'correct horse battery';
+    const payload = () => ({
+      formData: { occNumber: 'PR123', dvrPassword: 'hunter2', requestingEmail: 'jane.smith@peelpolice.ca' },
+      pdfBlob: new Blob(['%PDF-1.4 Jane Smith'], { type: 'application/pdf' }),
+      jsonBlob: new Blob(['{"dvrPassword":"hunter2"}'], { type: 'application/json' })
+    });
+
+    afterEach(() => {
+      lockStorage();
+      localStorage.clear();
+    });
+
+    it('should store the payload as is with encryption off', async () => {
+      const plain = payload();
+
+      expect(await sealPayload(plain)).toEqual(plain);
+      expect(await openPayload(plain)).toEqual(plain);
+    });
+
+    it('should encrypt form data and both documents with encryption on', async () => {
+      await enableEncryption(PASSPHRASE);
+
+      const stored = await sealPayload(payload());
+
+      expect(stored.formData).toBeUndefined();
+      expect(stored.pdfBlob).toBeUndefined();
+      for (const part of Object.values(stored.sealed)) {
+        expect(await part.text()).not.toContain('hunter2');
+      }
+      expect(await stored.sealed.pdfBlob.text()).not.toContain('Jane Smith');
+
+      const opened = await openPayload(stored);
+      expect(opened.formData).toEqual(payload().formData);
+      expect(await opened.pdfBlob.text()).toBe('%PDF-1.4 Jane Smith');
+      expect(opened.pdfBlob.type).toBe('application/pdf');
+    });
+
+    it('should only open sealed items once unlocked', async () => {
+      await enableEncryption(PASSPHRASE);
+      const stored = await sealPayload(payload());
+      lockStorage();
+
+      await expect(openPayload(stored)).rejects.toThrow();
+
+      await unlockStorage(PASSPHRASE);
+      expect((await openPayload(stored)).formData.occNumber).toBe('PR123');
+    });
+
+    it('should refuse to queue while storage is locked', async () => {
+      await enableEncryption(PASSPHRASE);
+      lockStorage();
+
+      await expect(queueSubmission({ formType: 'recovery', ...payload(), integrity: {}, pdfFilename: 'a.pdf' }))
+        .rejects.toThrow(CONFIG.MESSAGES.OUTBOX_LOCKED);
+    });
+  });
+
+  describe('discardSealedItems()', () => {
+    afterEach(() => {
+      lockStorage();
+      localStorage.clear();
+      delete globalThis.indexedDB;
+    });
+
+    it('should drop items that can no longer be decrypted after a reset', async () => {
+      const records = installMemoryIndexedDB();
+      const entry = (occNumber) => ({
+        formType: 'recovery',
+        formData: { occNumber },
+        pdfBlob: new Blob(['%PDF']),
+        jsonBlob: new Blob(['{}']),
+        integrity: {},
+        pdfFilename: `${occNumber}.pdf`
+      });
+
+      const plain = await queueSubmission(entry('PR1'));
+      await enableEncryption('correct horse battery');
+      await queueSubmission(entry('PR2'));
+
+      resetEncryptedStorage();
+      await expect(openPayload([...records.values()].find(item => item.sealed))).rejects.toThrow();
+
+      expect(await discardSealedItems()).toBe(1);
+      expect((await getOutboxItems()).map(item => item.id)).toEqual([plain.id]);
+    });
+  });
+
+  describe('OUTBOX_STATUS', () => {
+    it('should expose queued, sending and rejected states', () => {
+      expect(OUTBOX_STATUS).toEqual({
+        QUEUED: 'queued',
+        SENDING: 'sending',
+        REJECTED: 'rejected'
+      });
+    });
+  });
+
+  describe('replayOutbox()', () => {
+    afterEach(() => {
+      delete globalThis.indexedDB;
+      vi.resetModules();
+    });
+
+    it('should deliver an item once when a replay times out after its insert went through', async () => {
+      vi.spyOn(console, 'error').mockImplementation(() => {});
+      vi.spyOn(console, 'warn').mockImplementation(() => {});
+      // A fresh outbox module, so it opens this store
+      vi.resetModules();
+      installMemoryIndexedDB();
+      const outbox = await import('../../assets/js/outbox.js');
+
+      const row = { id: 'b5d1c7a2-0f4e-4c1a-9d53-3f0e6a1b2c44', content_hash: 'c'.repeat(64) };
+      const paths = [];
+      supabaseClient.upload = vi.fn(async (path) => {
+        paths.push(path);
+        return { error: paths.filter(p => p === path).length > 1 ? { statusCode: '409' } : null };
+      });
+      supabaseClient.insert = vi.fn()
+        // Stored, but the response never arrived
+        .mockResolvedValueOnce({ data: null, error: { message: 'AbortError: signal is aborted without reason' }, status: 0 })
+        .mockResolvedValueOnce({ data: null, error: { code: '23505', message: 'duplicate key value' }, status: 409 });
+      supabaseClient.find = vi.fn().mockResolvedValue({ data: row, error: null, status: 200 });
+
+      await outbox.queueSubmission({
+        formType: 'upload',
+        formData: { formType: 'upload', occNumber: 'PR26-0012345' },
+        pdfBlob: new Blob(['%PDF'], { type: 'application/pdf' }),
+        jsonBlob: new Blob(['{}'], { type: 'application/json' }),
+        integrity: { submissionId: row.id, contentHash: row.content_hash },
+        pdfFilename: 'request.pdf'
+      });
+
+      expect(await outbox.replayOutbox()).toEqual({ delivered: 0, rejected: 0, remaining: 1 });
+      expect(await outbox.replayOutbox()).toEqual({ delivered: 1, rejected: 0, remaining: 0 });
+
+      expect(await outbox.getOutboxItems()).toEqual([]);
+      expect(paths).toEqual([
+        `${row.id}/upload_${row.id}.pdf`,
+        `${row.id}/upload_${row.id}.json`,
+        `${row.id}/upload_${row.id}.pdf`,
+        `${row.id}/upload_${row.id}.json`
+      ]);
+    });
+  });
+
+  describe('Background Sync replay', () => {
+    it('should report the replay back to the service worker once it finishes', async () => {
+      const listeners = [];
+      Object.defineProperty(navigator, 'serviceWorker', {
+        configurable: true,
+        value: { addEventListener: (type, listener) => listeners.push(listener) }
+      });
+      vi.spyOn(navigator, 'onLine', 'get').mockReturnValue(false);
+      vi.spyOn(console, 'error').mockImplementation(() => {});
+
+      try {
+        initOutbox();
+        const port = { postMessage: vi.fn() };
+        listeners.forEach(listener => listener({ data: { type: 'REPLAY_OUTBOX' }, ports: [port] }));
+
+        await vi.waitFor(() => expect(port.postMessage).toHaveBeenCalledWith({
+          delivered: 0,
+          rejected: 0,
+          remaining: expect.any(Number)
+        }));
+      } finally {
+        delete navigator.serviceWorker;
+      }
+    });
+  });
+});
@@ -0,0 +1,215 @@
+/**
+ * PDF Templates Tests
+ *
+ * Verifies the case packet layout (summary, table of contents and one
+ * section per request), the workload report tables, the submission ID,
+ * content hash and QR code on request PDFs, and evidence label sheets.
+ *
+ * @fileoverview Unit tests for pdf-templates.js
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  buildCasePacketDefinition,
+  buildWorkloadReportDefinition,
+  buildDocumentDefinition,
+  buildEvidenceLabelsDefinition
+} from '../../assets/js/pdf-templates.js';
+import { parseRequestCode } from '../../assets/js/request-code.js';
+import { CONFIG } from '../../assets/js/config.js';
+import { buildOccurrenceCase } from '../../assets/js/occurrence-case.js';
+
+const requests = [
+  {
+    id: 'u1',
+    form_type: 'upload',
+    status: 'pending',
+    assigned_to: null,
+    submitted_at: '2026-10-12T09:00:00Z',
+    form_data: {
+      occNumber: 'PR26-0012345',
+      locations: [{ businessName: 'Gas Bar', locationAddress: '9 King St', videoStartTime: '2026-10-09 13:30', videoEndTime: '2026-10-09 14:00' }]
+    }
+  },
+  {
+    id: 'r1',
+    form_type: 'recovery',
+    status: 'completed',
+    assigned_to: 'Jane Analyst',
+    submitted_at: '2026-10-11T09:00:00Z',
+    form_data: { occNumber: 'PR26-0012345', locationAddress: '123 Main St', dvrGroups: [] }
+  }
+];
+
+const textOf = (node) => JSON.stringify(node);
+
+describe('PDF Templates', () => {
+  describe('buildCasePacketDefinition()', () => {
+    const definition = buildCasePacketDefinition(buildOccurrenceCase('PR26-0012345', requests));
+
+    it('should title the packet with the occurrence number', () => {
+      expect(definition.info.title).toBe('Occurrence Case Packet - PR26-0012345');
+    });
+
+    it('should include the case summary, timeline and locations before the contents', () => {
+      const summary = textOf(definition.content);
+
+      expect(summary).toContain('Case Summary');
+      expect(summary).toContain('2 (1 Completed, 1 Pending)');
+      expect(summary).toContain('Video Timeline (Real Time)');
+      expect(summary).toContain('Gas Bar, 9 King St (Upload)');
+      expect(definition.content.some(node => node.toc)).toBe(true);
+    });
+
+    it('should start each request on a new page with a contents entry, oldest first', () => {
+      const entries = definition.content.filter(node => node.tocItem);
+
+      expect(entries.map(node => node.text)).toEqual([
+        expect.stringMatching(/^1\. CCTV Recovery Request Form - submitted .+ \(Completed\)$/),
+        expect.stringMatching(/^2\. Video Evidence Upload Request Form - submitted .+ \(Pending\)$/)
+      ]);
+      expect(entries.every(node => node.pageBreak === 'before')).toBe(true);
+    });
+
+    it('should include each request\'s own PDF content', () => {
+      const content = textOf(definition.content);
+
+      expect(content).toContain('Evidence Information');
+      expect(content).toContain('Video Timeframe');
+    });
+
+    it('should read retention as of submission and print the stored hash', () => {
+      const older = {
+        id: 'r2',
+        form_type: 'recovery',
+        status: 'processing',
+        assigned_to: null,
+        submitted_at: '2026-01-05T12:00:00',
+        content_hash: 'ab'.repeat(32),
+        form_data: { occNumber: 'PR26-0012345', dvrGroups: [{ dvrRetention: '2026-01-02', extractionTimeFrames: [] }] }
+      };
+
+      const content = textOf(buildCasePacketDefinition(buildOccurrenceCase('PR26-0012345', [older])).content);
+
+      expect(content).toContain('DVR 1 DATA AT RISK - DVR RETENTION: 3 DAYS - URGENT');
+      expect(content).toContain(`Submission ID: r2   SHA-256: ${'ab'.repeat(32)}`);
+    });
+  });
+
+  describe('buildWorkloadReportDefinition()', () => {
+    const tables = [
+      { title: 'Summary', headers: ['Measure', 'Value'], rows: [['Total Requests', '3']] },
+      { title: 'Requests by City', headers: ['City', 'Requests'], rows: [] }
+    ];
+    const definition = buildWorkloadReportDefinition(tables, { from: '2026-09-01', to: '2026-09-30' });
+
+    it('should title the report with its period', () => {
+      expect(definition.info.title).toBe('Workload Report - 2026-09-01 to 2026-09-30');
+    });
+
+    it('should render each table with a header row, leaving out empty ones', () => {
+      const sections = definition.content.filter(node => node.stack?.[1]?.table?.headerRows === 1);
+
+      expect(sections).toHaveLength(1);
+      expect(sections[0].stack[0].text).toBe('Summary');
+      expect(sections[0].stack[1].table.body.map(row => row.map(cell => cell.text))).toEqual([
+        ['Measure', 'Value'],
+        ['Total Requests', '3']
+      ]);
+    });
+  });
+
+  describe('buildDocumentDefinition()', () => {
+    const integrity = { submissionId: '1b4e28ba-2fa1-41d2-883f-0016d3cca427', contentHash: 'a'.repeat(64) };
+
+    it('should print the submission ID and hash in the footer of every page', () => {
+      const definition = buildDocumentDefinition(requests[0].form_data, 'upload', integrity);
+      const footer = definition.footer(2, 3);
+
+      expect(textOf(footer)).toContain('Page 2 of 3');
+      expect(footer.stack[1].text).toBe(`Submission ID: ${integrity.submissionId}   SHA-256: ${'a'.repeat(64)}`);
+      expect(definition.info).toMatchObject({ SubmissionId: integrity.submissionId, ContentHash: 'a'.repeat(64) });
+    });
+
+    it('should put a QR code for the request over the header', () => {
+      const [code] = buildDocumentDefinition(requests[0].form_data, 'upload', integrity).content;
+
+      expect(code.absolutePosition).toEqual(CONFIG.PDF_LAYOUT.HEADER.QR_CODE_POSITION);
+      expect(parseRequestCode(code.qr)).toEqual({
+        submissionId: integrity.submissionId,
+        occNumber: 'PR26-0012345',
+        formType: 'upload'
+      });
+    });
+
+    it('should head each DVR of a recovery and add its computed rows', () => {
+      const content = textOf(buildDocumentDefinition({
+        occNumber: 'PR26-0012345',
+        dvrGroups: [
+          { dvrMakeModel: 'Hikvision', extractionTimeFrames: [{ extractionStartTime: '2026-10-09 13:30', extractionEndTime: '2026-10-09 14:00', cameraDetails: 'Front door' }] },
+          { dvrMakeModel: 'Dahua', extractionTimeFrames: [] }
+        ]
+      }, 'recovery').content);
+
+      expect(content).toContain('"text":"DVR 2"');
+      expect(content).toContain('Extraction Duration');
+      expect(content).toContain('Recording Quality');
+      expect(content).toContain('Storage Estimate');
+    });
+
+    it('should read recovery data saved before multiple DVRs as one DVR', () => {
+      const content = textOf(buildDocumentDefinition({
+        occNumber: 'PR26-0012345',
+        dvrMakeModel: 'Hikvision',
+        extractionStartTime: '2026-10-09 13:30',
+        extractionEndTime: '2026-10-09 14:00',
+        cameraDetails: 'Front door'
+      }, 'recovery').content);
+
+      expect(content).toContain('Hikvision');
+      expect(content).toContain('Video Extraction Details');
+      expect(content).toContain('Front door');
+      expect(content).not.toContain('"text":"DVR 1"');
+    });
+
+    it('should keep the plain footer for previews and drafts', () => {
+      const definition = buildDocumentDefinition(requests[0].form_data, 'upload');
+
+      expect(definition.footer(1, 1).stack).toBeUndefined();
+      expect(definition.info.SubmissionId).toBeUndefined();
+    });
+  });
+
+  describe('buildEvidenceLabelsDefinition()', () => {
+    const label = { occNumber: 'PR26-0012345', evidenceBag: 'B-17', lockerNumber: '', mediaType: 'USB', caption: 'Upload', code: 'https://x/my-requests.html?occ=PR26-0012345' };
+    const layout = CONFIG.EVIDENCE_LABELS.LAYOUTS.AVERY_5164;
+
+    it('should place labels across then down, from the start position', () => {
+      const definition = buildEvidenceLabelsDefinition([label, label], 'AVERY_5164', 2);
+
+      expect(definition.pageSize).toBe('LETTER');
+      expect(definition.pageMargins).toEqual([0, 0, 0, 0]);
+      expect(definition.content.map(node => node.absolutePosition)).toEqual([
+        { x: layout.left + layout.width + layout.columnGap + 8, y: layout.top + 8 },
+        { x: layout.left + 8, y: layout.top + layout.height + 8 }
+      ]);
+    });
+
+    it('should start a new sheet when one is full', () => {
+      const definition = buildEvidenceLabelsDefinition(Array(7).fill(label), 'AVERY_5164');
+
+      expect(definition.content.filter(node => node.pageBreak === 'before')).toHaveLength(1);
+      expect(definition.content.at(-1).absolutePosition).toEqual({ x: layout.left + 8, y: layout.top + 8 });
+    });
+
+    it('should print the QR code and leave a line for missing details', () => {
+      const [first] = buildEvidenceLabelsDefinition([label], 'AVERY_5163').content;
+      const [qr, details] = first.table.body[0];
+
+      expect(qr.qr).toBe(label.code);
+      expect(textOf(details)).toContain('B-17');
+      expect(textOf(details)).toContain('Locker #: "');
+      expect(textOf(details)).toContain('________________');
+    });
+  });
+});
@@ -0,0 +1,85 @@
+/**
+ * Request Priority Tests
+ *
+ * Verifies the priority score, level and reasons derived from DVR
+ * retention, analysis job flags and the number of DVRs/locations.
+ *
+ * @fileoverview Unit tests for priority.js
+ */
+
+import { describe, it, expect } from 'vitest';
+import { calculatePriority, getPriorityLevel, getSubmissionPriority } from '../../assets/js/priority.js';
+
+const submittedAt = '2026-10-10T12:00:00';
+
+describe('calculatePriority()', () => {
+  it('should score a request with no urgency signals as Low', () => {
+    expect(calculatePriority({ formType: 'upload' }, submittedAt)).toEqual({
+      score: 0,
+      level: 'Low',
+      icon: '🟢',
+      reasons: []
+    });
+  });
+
+  it('should flag urgent DVR retention using the shortest DVR', () => {
+    const priority = calculatePriority({
+      dvrGroups: [{ dvrRetention: '2026-09-01' }, { dvrRetention: '2026-10-08' }]
+    }, submittedAt);
+
+    expect(priority.level).toBe('High');
+    expect(priority.reasons).toContain('DVR retention: 2 days - URGENT');
+    expect(priority.reasons).toContain('2 DVRs');
+    expect(priority.score).toBe(45);
+  });
+
+  it('should measure retention from the submission date', () => {
+    const formData = { locations: [{ dvrEarliestDate: '2026-10-08' }] };
+
+    expect(calculatePriority(formData, '2026-10-09T12:00:00').reasons).toEqual(['DVR retention: 1 day - URGENT']);
+    expect(calculatePriority(formData, '2026-10-20T12:00:00').reasons).toEqual([]);
+  });
+
+  it('should score Make Playable, not the job description', () => {
+    const priority = calculatePriority({ jobRequired: 'Urgent', serviceRequired: 'Make Playable' }, submittedAt);
+
+    expect(priority.score).toBe(15);
+    expect(priority.reasons).toEqual(['Make Playable requested']);
+  });
+
+  it('should cap the extra-location bonus', () => {
+    const locations = Array.from({ length: 10 }, () => ({}));
+    const priority = calculatePriority({ locations }, submittedAt);
+
+    expect(priority.score).toBe(15);
+    expect(priority.level).toBe('Medium');
+    expect(priority.reasons).toEqual(['10 locations']);
+  });
+});
+
+describe('getPriorityLevel()', () => {
+  it('should pick the first level the score reaches', () => {
+    expect(getPriorityLevel(100).level).toBe('High');
+    expect(getPriorityLevel(40).level).toBe('High');
+    expect(getPriorityLevel(39).level).toBe('Medium');
+    expect(getPriorityLevel(0).level).toBe('Low');
+  });
+});
+
+describe('getSubmissionPriority()', () => {
+  it('should use the stored score and reasons', () => {
+    const priority = getSubmissionPriority({ priority_score: 15, priority_reasons: ['Make Playable requested'], form_data: {} });
+
+    expect(priority).toEqual({ score: 15, level: 'Medium', icon: '🟡', reasons: ['Make Playable requested'] });
+  });
+
+  it('should score older rows from form_data', () => {
+    const priority = getSubmissionPriority({
+      priority_score: null,
+      submitted_at: submittedAt,
+      form_data: { serviceRequired: 'Make Playable' }
+    });
+
+    expect(priority.score).toBe(15);
+  });
+});
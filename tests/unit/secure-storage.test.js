@@ -0,0 +1,171 @@
+/**
+ * Secure Storage Tests
+ *
+ * Verifies opt-in passphrase encryption of drafts and officer info:
+ * round-trips, ciphertext at rest, lock/unlock, wrong passphrases,
+ * migration of plaintext written before encryption, and re-lock after
+ * SESSION_TIMEOUT_MINUTES.
+ *
+ * @fileoverview Unit tests for secure-storage.js
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import {
+  isEncryptionEnabled,
+  isStorageLocked,
+  enableEncryption,
+  unlockStorage,
+  lockStorage,
+  resetEncryptedStorage,
+  flushSecureWrites,
+  getSecureItem,
+  setSecureItem
+} from '../../assets/js/secure-storage.js';
+import { saveDraft, loadDraft, listDrafts } from '../../assets/js/storage.js';
+import { saveOfficerInfo, loadOfficerInfo } from '../../assets/js/officer-storage.js';
+import { CONFIG } from '../../assets/js/config.js';
+
+const PASSPHRASE = 'correct horse battery';
+const OFFICER_KEY = CONFIG.OFFICER_STORAGE.KEY;
+
+describe('Secure Storage', () => {
+  beforeEach(() => {
+    lockStorage();
+    localStorage.clear();
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+    lockStorage();
+  });
+
+  describe('Encryption off (default)', () => {
+    it('should store plaintext', () => {
+      expect(isEncryptionEnabled()).toBe(false);
+      expect(isStorageLocked()).toBe(false);
+
+      setSecureItem(OFFICER_KEY, '{"plain":true}');
+      expect(localStorage.getItem(OFFICER_KEY)).toBe('{"plain":true}');
+      expect(getSecureItem(OFFICER_KEY)).toBe('{"plain":true}');
+    });
+  });
+
+  describe('enableEncryption()', () => {
+    it('should keep data readable while writing ciphertext at rest', async () => {
+      await enableEncryption(PASSPHRASE);
+
+      saveOfficerInfo({ rName: 'Jane Smith', badge: '1234' });
+      await flushSecureWrites();
+
+      const raw = localStorage.getItem(OFFICER_KEY);
+      expect(raw).not.toContain('Jane Smith');
+      expect(raw).toContain('fvuEnc');
+      expect(loadOfficerInfo().rName).toBe('Jane Smith');
+    });
+
+    it('should migrate existing plaintext drafts and officer info', async () => {
+      saveOfficerInfo({ rName: 'Jane Smith' });
+      const draftId = saveDraft('recovery', { occNumber: 'PR123', dvrPassword: 'secret' });
+
+      await enableEncryption(PASSPHRASE);
+
+      const rawDraft = localStorage.getItem(`${CONFIG.DRAFT_KEY_PREFIX}recovery:${draftId}`);
+      expect(rawDraft).not.toContain('secret');
+      expect(localStorage.getItem(OFFICER_KEY)).not.toContain('Jane Smith');
+      expect(loadDraft('recovery', draftId).dvrPassword).toBe('secret');
+    });
+
+    it('should leave unprotected keys alone', async () => {
+      await enableEncryption(PASSPHRASE);
+
+      setSecureItem('fvu_theme', 'dark');
+      expect(localStorage.getItem('fvu_theme')).toBe('dark');
+    });
+  });
+
+  describe('Locking', () => {
+    it('should hide encrypted data while locked', async () => {
+      await enableEncryption(PASSPHRASE);
+      saveDraft('recovery', { occNumber: 'PR123' });
+      await flushSecureWrites();
+
+      lockStorage();
+
+      expect(isStorageLocked()).toBe(true);
+      expect(listDrafts('recovery')).toEqual([]);
+      expect(loadOfficerInfo()).toBeNull();
+    });
+
+    it('should refuse writes while locked rather than store plaintext', async () => {
+      await enableEncryption(PASSPHRASE);
+      lockStorage();
+
+      expect(saveDraft('recovery', { occNumber: 'PR123' })).toBeNull();
+      expect(saveOfficerInfo({ rName: 'Jane Smith' })).toBe(false);
+      expect(localStorage.getItem(OFFICER_KEY)).toBeNull();
+    });
+
+    it('should not delete locked drafts during cleanup', async () => {
+      await enableEncryption(PASSPHRASE);
+      const draftId = saveDraft('recovery', { occNumber: 'PR123' });
+      await flushSecureWrites();
+      lockStorage();
+
+      listDrafts('recovery');
+
+      expect(localStorage.getItem(`${CONFIG.DRAFT_KEY_PREFIX}recovery:${draftId}`)).not.toBeNull();
+    });
+
+    it('should re-lock after SESSION_TIMEOUT_MINUTES', async () => {
+      await enableEncryption(PASSPHRASE);
+      lockStorage();
+
+      vi.useFakeTimers({ toFake: ['setTimeout', 'clearTimeout'] });
+      await unlockStorage(PASSPHRASE);
+      expect(isStorageLocked()).toBe(false);
+
+      const listener = vi.fn();
+      window.addEventListener('secureStorageChange', listener);
+      vi.advanceTimersByTime(CONFIG.SESSION_TIMEOUT_MINUTES * 60 * 1000);
+      window.removeEventListener('secureStorageChange', listener);
+
+      expect(isStorageLocked()).toBe(true);
+      expect(listener).toHaveBeenCalledWith(expect.objectContaining({ detail: { locked: true } }));
+    });
+  });
+
+  describe('unlockStorage()', () => {
+    it('should restore access with the correct passphrase', async () => {
+      await enableEncryption(PASSPHRASE);
+      const draftId = saveDraft('recovery', { occNumber: 'PR123' });
+      await flushSecureWrites();
+      lockStorage();
+
+      await expect(unlockStorage(PASSPHRASE)).resolves.toBe(true);
+      expect(loadDraft('recovery', draftId)).toEqual({ occNumber: 'PR123' });
+    });
+
+    it('should reject the wrong passphrase', async () => {
+      await enableEncryption(PASSPHRASE);
+      lockStorage();
+
+      await expect(unlockStorage('wrong passphrase')).resolves.toBe(false);
+      expect(isStorageLocked()).toBe(true);
+    });
+  });
+
+  describe('resetEncryptedStorage()', () => {
+    it('should erase encrypted data and turn encryption off', async () => {
+      await enableEncryption(PASSPHRASE);
+      saveOfficerInfo({ rName: 'Jane Smith' });
+      await flushSecureWrites();
+      lockStorage();
+
+      resetEncryptedStorage();
+
+      expect(isEncryptionEnabled()).toBe(false);
+      expect(localStorage.getItem(OFFICER_KEY)).toBeNull();
+      expect(saveOfficerInfo({ rName: 'New Officer' })).toBe(true);
+    });
+  });
+});
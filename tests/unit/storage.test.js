@@ -0,0 +1,232 @@
+/**
+ * Draft Storage Tests
+ *
+ * Verifies multiple named drafts per form type: saving, listing, renaming,
+ * deleting, expiry cleanup, storage info, and migration of legacy
+ * single-slot drafts (fvu_draft_<formType>).
+ *
+ * @fileoverview Unit tests for storage.js
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import {
+  saveDraft,
+  loadDraft,
+  listDrafts,
+  renameDraft,
+  clearDraft,
+  hasDraft,
+  getDraftAge,
+  cleanupExpiredDrafts,
+  migrateLegacyDrafts,
+  getStorageInfo
+} from '../../assets/js/storage.js';
+import { CONFIG } from '../../assets/js/config.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('Draft Storage', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  describe('Multiple drafts per form type', () => {
+    it('should create a new draft when no draft ID is given', () => {
+      const first = saveDraft('recovery', { occNumber: 'PR111' });
+      const second = saveDraft('recovery', { occNumber: 'PR222' });
+
+      expect(first).toBeTruthy();
+      expect(second).toBeTruthy();
+      expect(first).not.toBe(second);
+      expect(listDrafts('recovery')).toHaveLength(2);
+    });
+
+    it('should update an existing draft when its ID is given', () => {
+      const id = saveDraft('recovery', { occNumber: 'PR111' });
+      const sameId = saveDraft('recovery', { occNumber: 'PR111', notes: 'updated' }, id);
+
+      expect(sameId).toBe(id);
+      expect(listDrafts('recovery')).toHaveLength(1);
+      expect(loadDraft('recovery', id)).toEqual({ occNumber: 'PR111', notes: 'updated' });
+    });
+
+    it('should keep drafts of other form types separate', () => {
+      saveDraft('recovery', { occNumber: 'PR111' });
+      saveDraft('upload', { occNumber: 'PR222' });
+
+      expect(listDrafts('recovery')).toHaveLength(1);
+      expect(listDrafts('upload')).toHaveLength(1);
+      expect(listDrafts('analysis')).toHaveLength(0);
+    });
+
+    it('should label drafts by occurrence number', () => {
+      saveDraft('recovery', { occNumber: 'PR123456' });
+      const [draft] = listDrafts('recovery');
+
+      expect(draft.label).toBe('PR123456');
+      expect(draft.age).toBe('Just now');
+    });
+
+    it('should fall back to a generic label without an occurrence number', () => {
+      saveDraft('recovery', {});
+      expect(listDrafts('recovery')[0].label).toBe('Untitled draft');
+    });
+
+    it('should list most recently edited drafts first', () => {
+      const older = saveDraft('recovery', { occNumber: 'PR111' });
+      const newer = saveDraft('recovery', { occNumber: 'PR222' });
+
+      // Backdate the first draft
+      const key = `${CONFIG.DRAFT_KEY_PREFIX}recovery:${older}`;
+      const stored = JSON.parse(localStorage.getItem(key));
+      stored.timestamp -= 60 * 60 * 1000;
+      localStorage.setItem(key, JSON.stringify(stored));
+
+      expect(listDrafts('recovery').map(d => d.id)).toEqual([newer, older]);
+      expect(loadDraft('recovery')).toEqual({ occNumber: 'PR222' });
+      expect(getDraftAge('recovery', older)).toBe('1 hour ago');
+    });
+  });
+
+  describe('renameDraft()', () => {
+    it('should use the custom name as the label', () => {
+      const id = saveDraft('recovery', { occNumber: 'PR111' });
+      expect(renameDraft('recovery', id, 'Plaza canvass')).toBe(true);
+      expect(listDrafts('recovery')[0].label).toBe('Plaza canvass');
+    });
+
+    it('should keep the custom name across auto-saves', () => {
+      const id = saveDraft('recovery', { occNumber: 'PR111' });
+      renameDraft('recovery', id, 'Plaza canvass');
+      saveDraft('recovery', { occNumber: 'PR111', notes: 'more' }, id);
+
+      expect(listDrafts('recovery')[0].label).toBe('Plaza canvass');
+    });
+
+    it('should revert to the occurrence number when renamed to blank', () => {
+      const id = saveDraft('recovery', { occNumber: 'PR111' });
+      renameDraft('recovery', id, 'Plaza canvass');
+      renameDraft('recovery', id, '   ');
+
+      expect(listDrafts('recovery')[0].label).toBe('PR111');
+    });
+
+    it('should return false for an unknown draft', () => {
+      expect(renameDraft('recovery', 'missing', 'Name')).toBe(false);
+    });
+  });
+
+  describe('clearDraft()', () => {
+    it('should delete only the given draft', () => {
+      const keep = saveDraft('recovery', { occNumber: 'PR111' });
+      const remove = saveDraft('recovery', { occNumber: 'PR222' });
+
+      clearDraft('recovery', remove);
+
+      expect(listDrafts('recovery').map(d => d.id)).toEqual([keep]);
+    });
+
+    it('should delete every draft for the form type when no ID is given', () => {
+      saveDraft('recovery', { occNumber: 'PR111' });
+      saveDraft('recovery', { occNumber: 'PR222' });
+      saveDraft('upload', { occNumber: 'PR333' });
+
+      clearDraft('recovery');
+
+      expect(hasDraft('recovery')).toBe(false);
+      expect(hasDraft('upload')).toBe(true);
+    });
+  });
+
+  describe('cleanupExpiredDrafts()', () => {
+    it('should remove expired drafts and keep current ones', () => {
+      const expired = saveDraft('recovery', { occNumber: 'PR111' });
+      const current = saveDraft('recovery', { occNumber: 'PR222' });
+
+      const key = `${CONFIG.DRAFT_KEY_PREFIX}recovery:${expired}`;
+      const stored = JSON.parse(localStorage.getItem(key));
+      stored.expires = Date.now() - 1000;
+      localStorage.setItem(key, JSON.stringify(stored));
+
+      cleanupExpiredDrafts();
+
+      expect(localStorage.getItem(key)).toBeNull();
+      expect(listDrafts('recovery').map(d => d.id)).toEqual([current]);
+    });
+
+    it('should remove corrupted drafts', () => {
+      const key = `${CONFIG.DRAFT_KEY_PREFIX}recovery:broken`;
+      localStorage.setItem(key, '{not json');
+
+      cleanupExpiredDrafts();
+
+      expect(localStorage.getItem(key)).toBeNull();
+    });
+  });
+
+  describe('Legacy single-slot migration', () => {
+    it('should move a legacy draft into the multi-draft layout', () => {
+      const legacyKey = `${CONFIG.DRAFT_KEY_PREFIX}recovery`;
+      const timestamp = Date.now() - 2 * DAY_MS;
+      localStorage.setItem(legacyKey, JSON.stringify({
+        formType: 'recovery',
+        data: { occNumber: 'PR999' },
+        timestamp,
+        expires: Date.now() + DAY_MS
+      }));
+
+      migrateLegacyDrafts();
+
+      expect(localStorage.getItem(legacyKey)).toBeNull();
+
+      const drafts = listDrafts('recovery');
+      expect(drafts).toHaveLength(1);
+      expect(drafts[0].label).toBe('PR999');
+      expect(drafts[0].timestamp).toBe(timestamp);
+      expect(loadDraft('recovery', drafts[0].id)).toEqual({ occNumber: 'PR999' });
+    });
+
+    it('should migrate automatically when drafts are listed', () => {
+      localStorage.setItem(`${CONFIG.DRAFT_KEY_PREFIX}upload`, JSON.stringify({
+        formType: 'upload',
+        data: { occNumber: 'PR555' },
+        timestamp: Date.now(),
+        expires: Date.now() + DAY_MS
+      }));
+
+      expect(listDrafts('upload')).toHaveLength(1);
+      expect(hasDraft('upload')).toBe(true);
+    });
+
+    it('should drop a corrupted legacy draft', () => {
+      vi.spyOn(console, 'error').mockImplementation(() => {});
+      const legacyKey = `${CONFIG.DRAFT_KEY_PREFIX}analysis`;
+      localStorage.setItem(legacyKey, '{not json');
+
+      migrateLegacyDrafts();
+
+      expect(localStorage.getItem(legacyKey)).toBeNull();
+      expect(listDrafts('analysis')).toHaveLength(0);
+    });
+  });
+
+  describe('getStorageInfo()', () => {
+    it('should report every draft with per-form counts', () => {
+      saveDraft('recovery', { occNumber: 'PR111' });
+      saveDraft('recovery', { occNumber: 'PR222' });
+      saveDraft('upload', { occNumber: 'PR333' });
+
+      const info = getStorageInfo();
+
+      expect(info.drafts).toHaveLength(3);
+      expect(info.draftCounts).toEqual({ recovery: 2, upload: 1 });
+      expect(info.drafts[0]).toHaveProperty('label');
+      expect(info.drafts[0].size).toBeGreaterThan(0);
+      expect(info.totalSize).toBeGreaterThan(0);
+    });
+  });
+});
@@ -0,0 +1,145 @@
+/**
+ * Submission Filters Tests
+ *
+ * Verifies dashboard filter state round-trips through the URL and turns
+ * into the expected Supabase query conditions.
+ *
+ * @fileoverview Unit tests for submission-filters.js
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  parseDashboardQuery,
+  buildDashboardQuery,
+  toSearchPattern,
+  toExactPattern,
+  applySubmissionFilters,
+  toLocalDateString
+} from '../../assets/js/submission-filters.js';
+
+/**
+ * Record the calls a Supabase filter builder receives
+ */
+function createRecordingQuery() {
+  const calls = [];
+  const query = {};
+  ['eq', 'gte', 'lt', 'ilike', 'or'].forEach(method => {
+    query[method] = (...args) => {
+      calls.push([method, ...args]);
+      return query;
+    };
+  });
+  return { query, calls };
+}
+
+describe('parseDashboardQuery()', () => {
+  it('should read known filters and the page', () => {
+    const { filters, page } = parseDashboardQuery('?status=pending&city=Brampton&page=3&foo=bar');
+
+    expect(filters).toEqual({ status: 'pending', city: 'Brampton' });
+    expect(page).toBe(3);
+  });
+
+  it('should drop blank filters and default to page 1', () => {
+    const { filters, page } = parseDashboardQuery('?q=%20%20&page=abc');
+
+    expect(filters).toEqual({});
+    expect(page).toBe(1);
+  });
+
+  it('should never go below page 1', () => {
+    expect(parseDashboardQuery('?page=-2').page).toBe(1);
+  });
+});
+
+describe('buildDashboardQuery()', () => {
+  it('should round-trip through parseDashboardQuery', () => {
+    const filters = { q: 'front door', formType: 'recovery', from: '2026-10-01', to: '2026-10-19' };
+    const query = buildDashboardQuery(filters, 2);
+
+    expect(parseDashboardQuery(query)).toEqual({ filters, page: 2 });
+  });
+
+  it('should return an empty string when unfiltered on page 1', () => {
+    expect(buildDashboardQuery({ status: '' }, 1)).toBe('');
+  });
+});
+
+describe('toSearchPattern()', () => {
+  it('should wrap the term in wildcards', () => {
+    expect(toSearchPattern('front door')).toBe('*front door*');
+  });
+
+  it('should strip characters that break or() syntax', () => {
+    expect(toSearchPattern('door, (rear) 50%*')).toBe('*door rear 50*');
+  });
+});
+
+describe('toExactPattern()', () => {
+  it('should escape LIKE wildcards so they only match themselves', () => {
+    expect(toExactPattern('PR26_001%2\\3')).toBe('PR26\\_001\\%2\\\\3');
+  });
+
+  it('should trim the value and drop the PostgREST wildcard', () => {
+    expect(toExactPattern(' PR26-0012345* ')).toBe('PR26-0012345');
+  });
+});
+
+describe('applySubmissionFilters()', () => {
+  it('should add nothing when unfiltered', () => {
+    const { query, calls } = createRecordingQuery();
+
+    expect(applySubmissionFilters(query, {})).toBe(query);
+    expect(calls).toEqual([]);
+  });
+
+  it('should filter exact fields with eq', () => {
+    const { query, calls } = createRecordingQuery();
+    applySubmissionFilters(query, { formType: 'upload', status: 'pending' });
+
+    expect(calls).toEqual([
+      ['eq', 'form_type', 'upload'],
+      ['eq', 'status', 'pending']
+    ]);
+  });
+
+  it('should include the whole of the to day', () => {
+    const { query, calls } = createRecordingQuery();
+    applySubmissionFilters(query, { from: '2026-10-01', to: '2026-10-01' });
+
+    const [[, , start], [, , end]] = calls;
+    expect(calls.map(call => call[0])).toEqual(['gte', 'lt']);
+    expect(new Date(end) - new Date(start)).toBe(24 * 60 * 60 * 1000);
+    expect(new Date(start).getHours()).toBe(0);
+  });
+
+  it('should match investigator and occurrence number partially', () => {
+    const { query, calls } = createRecordingQuery();
+    applySubmissionFilters(query, { investigator: 'smith', occNumber: 'PR24' });
+
+    expect(calls).toEqual([
+      ['ilike', 'r_name', '*smith*'],
+      ['ilike', 'occ_number', '*PR24*']
+    ]);
+  });
+
+  it('should match city case-insensitively without wildcards', () => {
+    const { query, calls } = createRecordingQuery();
+    applySubmissionFilters(query, { city: 'brampton*' });
+
+    expect(calls).toEqual([['ilike', 'city', 'brampton']]);
+  });
+
+  it('should search both detail columns', () => {
+    const { query, calls } = createRecordingQuery();
+    applySubmissionFilters(query, { q: 'red car' });
+
+    expect(calls).toEqual([['or', 'rfs_details.ilike.*red car*,file_details.ilike.*red car*']]);
+  });
+});
+
+describe('toLocalDateString()', () => {
+  it('should use the local calendar date', () => {
+    expect(toLocalDateString(new Date(2026, 0, 5, 23, 30))).toBe('2026-01-05');
+  });
+});
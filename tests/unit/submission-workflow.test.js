@@ -0,0 +1,90 @@
+/**
+ * Submission Workflow Tests
+ *
+ * Verifies the dashboard's allowed status moves, reason requirement and
+ * the wording of audit history entries.
+ *
+ * @fileoverview Unit tests for submission-workflow.js
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  getStatusLabel,
+  getAllowedTransitions,
+  validateTransition,
+  describeEvent
+} from '../../assets/js/submission-workflow.js';
+import { CONFIG } from '../../assets/js/config.js';
+
+describe('getStatusLabel()', () => {
+  it('should use the configured label', () => {
+    expect(getStatusLabel('processing')).toBe('In Progress');
+  });
+
+  it('should fall back to the raw status', () => {
+    expect(getStatusLabel('archived')).toBe('archived');
+  });
+});
+
+describe('getAllowedTransitions()', () => {
+  it('should allow pending to move to processing or failed', () => {
+    expect(getAllowedTransitions('pending')).toEqual(['processing', 'failed']);
+  });
+
+  it('should allow completed requests to be reopened', () => {
+    expect(getAllowedTransitions('completed')).toEqual(['processing']);
+  });
+
+  it('should allow nothing from an unknown status', () => {
+    expect(getAllowedTransitions('archived')).toEqual([]);
+  });
+});
+
+describe('validateTransition()', () => {
+  it('should accept an allowed move with a reason', () => {
+    expect(validateTransition('pending', 'processing', 'Started review')).toBeNull();
+  });
+
+  it('should reject a move that skips a step', () => {
+    expect(validateTransition('pending', 'completed', 'Done'))
+      .toBe('A request can\'t move from Pending to Completed');
+  });
+
+  it('should reject staying on the same status', () => {
+    expect(validateTransition('processing', 'processing', 'Still going')).not.toBeNull();
+  });
+
+  it('should require a reason', () => {
+    expect(validateTransition('pending', 'processing', '')).toBe(CONFIG.MESSAGES.WORKFLOW_REASON_REQUIRED);
+    expect(validateTransition('pending', 'processing', '   ')).toBe(CONFIG.MESSAGES.WORKFLOW_REASON_REQUIRED);
+    expect(validateTransition('pending', 'processing', null)).toBe(CONFIG.MESSAGES.WORKFLOW_REASON_REQUIRED);
+  });
+});
+
+describe('describeEvent()', () => {
+  it('should describe a status move with its reason', () => {
+    expect(describeEvent({
+      event_type: 'status',
+      from_status: 'pending',
+      to_status: 'processing',
+      reason: 'Started review',
+      actor: 'Jane Smith'
+    })).toBe('Jane Smith moved Pending → In Progress: Started review');
+  });
+
+  it('should describe assignment and unassignment', () => {
+    expect(describeEvent({ event_type: 'assign', assigned_to: 'Sam Lee', actor: 'Jane Smith' }))
+      .toBe('Jane Smith assigned to Sam Lee');
+    expect(describeEvent({ event_type: 'assign', assigned_to: null, from_assigned_to: 'Sam Lee', actor: 'Jane Smith' }))
+      .toBe('Jane Smith unassigned Sam Lee');
+  });
+
+  it('should describe a note', () => {
+    expect(describeEvent({ event_type: 'note', note: 'Called the store', actor: 'Jane Smith' }))
+      .toBe('Jane Smith: Called the store');
+  });
+
+  it('should fall back when the actor is missing', () => {
+    expect(describeEvent({ event_type: 'note', note: 'Called the store' })).toBe('Someone: Called the store');
+  });
+});
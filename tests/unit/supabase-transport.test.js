@@ -0,0 +1,107 @@
+/**
+ * Supabase Transport Tests
+ *
+ * Verifies Supabase failures are reported like the PHP endpoint's, so
+ * retries and the outbox treat both targets alike.
+ *
+ * @fileoverview Unit tests for transports/supabase-transport.js
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+
+const supabaseMock = vi.hoisted(() => ({
+  submitToSupabase: vi.fn()
+}));
+
+vi.mock('../../assets/js/supabase.js', () => supabaseMock);
+
+import { SupabaseTransport } from '../../assets/js/transports/supabase-transport.js';
+import { isQueueableError } from '../../assets/js/outbox.js';
+
+const submission = {
+  data: { occNumber: 'PR123', formType: 'upload' },
+  priority: { score: 0, reasons: [] },
+  pdfBlob: new Blob(['pdf']),
+  jsonBlob: new Blob(['{}']),
+  submissionId: 'sub-1',
+  contentHash: 'abc',
+  timestamp: 1700000000000
+};
+
+/**
+ * Send through the transport with submitToSupabase failing
+ * @param {Object} error - What supabase.js throws
+ * @returns {Promise<Error>} The transport's error
+ */
+function failWith(error) {
+  supabaseMock.submitToSupabase.mockRejectedValue(error);
+  return new SupabaseTransport().send(submission).catch(err => err);
+}
+
+describe('SupabaseTransport', () => {
+  beforeEach(() => {
+    supabaseMock.submitToSupabase.mockReset();
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('should return the inserted row ID', async () => {
+    supabaseMock.submitToSupabase.mockResolvedValue({ success: true, data: { id: 'row-1' } });
+
+    const result = await new SupabaseTransport().send(submission);
+
+    expect(result).toMatchObject({ success: true, ticketNumber: 'row-1', submissionId: 'row-1' });
+    expect(supabaseMock.submitToSupabase.mock.calls[0][0].priority).toBe(submission.priority);
+  });
+
+  it('should keep the HTTP status of a failed insert', async () => {
+    const serverError = await failWith({ message: 'Internal server error', status: 500 });
+    const rateLimited = await failWith({ message: 'Too many requests', status: 429 });
+
+    expect(serverError.status).toBe(500);
+    expect(isQueueableError(serverError)).toBe(true);
+    expect(rateLimited.status).toBe(429);
+    expect(isQueueableError(rateLimited)).toBe(false);
+  });
+
+  it('should report a request that timed out', async () => {
+    const error = await failWith({ message: 'TimeoutError: signal timed out', status: 0 });
+
+    expect(error.message).toBe('Request timeout');
+    expect(error.details).toMatchObject({ timeout: true, code: 'ETIMEDOUT' });
+    expect(isQueueableError(error)).toBe(true);
+  });
+
+  it('should report a response that was not JSON', async () => {
+    const error = await failWith({ message: 'SyntaxError: Unexpected end of JSON input', status: 0 });
+
+    expect(error.message).toBe('Invalid response format');
+    expect(isQueueableError(error)).toBe(false);
+  });
+
+  it('should report a request that got no response as a network error', async () => {
+    const error = await failWith({ message: 'TypeError: Failed to fetch', status: 0 });
+
+    expect(error.message).toBe('Network error');
+    expect(isQueueableError(error)).toBe(true);
+  });
+
+  it('should not report a bug in the request code as a network error', async () => {
+    const error = await failWith(new TypeError("Cannot read properties of undefined (reading 'from')"));
+
+    expect(error.message).toBe('Failed to submit to Supabase');
+    expect(isQueueableError(error)).toBe(false);
+  });
+
+  it('should report a failed upload while offline', async () => {
+    vi.spyOn(navigator, 'onLine', 'get').mockReturnValue(false);
+
+    const error = await failWith(new TypeError('Failed to fetch'));
+
+    expect(error.details.offline).toBe(true);
+    expect(isQueueableError(error)).toBe(true);
+  });
+});
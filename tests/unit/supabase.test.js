@@ -0,0 +1,101 @@
+/**
+ * Supabase Client Tests
+ *
+ * Verifies how supabase.js reads what Supabase sends back: a workflow
+ * change that found the request already changed is a conflict, and a
+ * duplicate submission ID is only delivered if it holds the same content.
+ *
+ * The Supabase client is loaded from a CDN, so it is mocked here.
+ *
+ * @fileoverview Unit tests for supabase.js
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+
+const client = vi.hoisted(() => ({
+  rpc: vi.fn(),
+  insert: vi.fn(),
+  find: vi.fn(),
+  storage: { from: () => ({ upload: async () => ({ error: null }) }) },
+  from: () => ({
+    insert: () => ({ select: () => ({ single: () => ({ abortSignal: client.insert }) }) }),
+    select: () => ({ eq: () => ({ maybeSingle: () => ({ abortSignal: client.find }) }) })
+  })
+}));
+
+vi.mock('https://cdn.jsdelivr.net/npm/@supabase/supabase-js@2/+esm', () => ({
+  createClient: () => client
+}));
+
+import { assignSubmission, updateSubmissionStatus, submitToSupabase } from '../../assets/js/supabase.js';
+import { CONFIG } from '../../assets/js/config.js';
+
+describe('Supabase Client', () => {
+  beforeEach(() => {
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+    client.rpc.mockReset();
+    client.insert.mockReset();
+    client.find.mockReset();
+  });
+
+  describe('submitToSupabase()', () => {
+    const submission = { formType: 'upload', occNumber: 'PR26-0012345', submissionId: 's1', contentHash: 'a'.repeat(64) };
+    const duplicate = { data: null, error: { code: '23505', message: 'duplicate key value' }, status: 409 };
+
+    it('should treat a duplicate ID holding the same content as delivered', async () => {
+      client.insert.mockResolvedValue(duplicate);
+      client.find.mockResolvedValue({ data: { id: 's1', content_hash: 'a'.repeat(64) }, error: null, status: 200 });
+
+      await expect(submitToSupabase(submission)).resolves.toEqual({ success: true, data: { id: 's1', content_hash: 'a'.repeat(64) } });
+    });
+
+    it('should refuse a duplicate ID holding other content', async () => {
+      client.insert.mockResolvedValue(duplicate);
+      client.find.mockResolvedValue({ data: { id: 's1', content_hash: 'b'.repeat(64) }, error: null, status: 200 });
+
+      await expect(submitToSupabase(submission)).rejects.toMatchObject({ code: '23505', status: 409 });
+    });
+  });
+
+  describe('assignSubmission()', () => {
+    it('should send the assignee the analyst saw and return the updated row', async () => {
+      client.rpc.mockResolvedValue({ data: [{ id: 's1', assigned_to: 'Jane' }], error: null });
+
+      const updated = await assignSubmission('s1', null, 'Jane', 'Jane');
+
+      expect(updated).toEqual({ id: 's1', assigned_to: 'Jane' });
+      expect(client.rpc).toHaveBeenCalledWith(CONFIG.SUBMISSION_WORKFLOW.ASSIGN_FUNCTION, {
+        p_submission_id: 's1',
+        p_from_assigned_to: null,
+        p_to_assigned_to: 'Jane',
+        p_actor: 'Jane'
+      });
+    });
+
+    it('should report a conflict when someone else reassigned the request first', async () => {
+      client.rpc.mockResolvedValue({ data: [], error: null });
+
+      await expect(assignSubmission('s1', null, 'Jane', 'Jane')).rejects.toThrow(CONFIG.MESSAGES.WORKFLOW_CONFLICT);
+    });
+  });
+
+  describe('updateSubmissionStatus()', () => {
+    it('should report a conflict when someone else moved the request first', async () => {
+      client.rpc.mockResolvedValue({ data: [], error: null });
+
+      await expect(updateSubmissionStatus('s1', 'pending', 'processing', 'Started', 'Jane'))
+        .rejects.toThrow(CONFIG.MESSAGES.WORKFLOW_CONFLICT);
+    });
+
+    it('should pass on a move the database refuses', async () => {
+      const refused = { code: '23514', message: 'A request can\'t move from completed to pending' };
+      client.rpc.mockResolvedValue({ data: null, error: refused });
+
+      await expect(updateSubmissionStatus('s1', 'completed', 'pending', 'Oops', 'Jane')).rejects.toBe(refused);
+    });
+  });
+});
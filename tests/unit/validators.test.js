@@ -0,0 +1,114 @@
+/**
+ * Validators Tests
+ *
+ * Verifies the cross-field date/time checks on extraction windows: DVR
+ * retention, the occurrence date, future times and overlapping windows.
+ *
+ * @fileoverview Unit tests for validateTemporalConsistency() in validators.js
+ */
+
+import { describe, it, expect } from 'vitest';
+import { validateTemporalConsistency } from '../../assets/js/validators.js';
+import { CONFIG } from '../../assets/js/config.js';
+
+const now = new Date('2026-10-19T12:00:00');
+
+const timeFrame = (start, end, timePeriodType = 'DVR Time') => ({
+  extractionStartTime: start,
+  extractionEndTime: end,
+  timePeriodType
+});
+
+const recovery = (timeFrames, dvr = {}) => ({
+  dvrGroups: [{ isTimeDateCorrect: 'Yes', timeOffset: '', dvrRetention: '2026-10-10', ...dvr, extractionTimeFrames: timeFrames }]
+});
+
+const check = (formData) => validateTemporalConsistency(formData, now)
+  .map(({ severity, message, group, timeframe, field }) => ({ severity, message, group, timeframe, field }));
+
+describe('validateTemporalConsistency()', () => {
+  it('should accept windows inside the DVR retention', () => {
+    expect(check(recovery([timeFrame('2026-10-18 14:30', '2026-10-18 15:45')]))).toEqual([]);
+  });
+
+  it('should block windows older than the earliest date on the DVR', () => {
+    expect(check(recovery([timeFrame('2026-10-08 14:30', '2026-10-09 15:45')]))).toEqual([{
+      severity: 'error',
+      message: CONFIG.MESSAGES.TEMPORAL_BEFORE_RETENTION.replace('{date}', 'Oct 10, 2026'),
+      group: 0,
+      timeframe: 0,
+      field: 'extractionStartTime'
+    }]);
+  });
+
+  it('should warn when only part of the window is still on the DVR', () => {
+    const [issue] = check(recovery([timeFrame('2026-10-09 23:00', '2026-10-10 01:00')]));
+
+    expect(issue.severity).toBe('warning');
+    expect(issue.message).toContain('Oct 10, 2026');
+  });
+
+  it('should block times in the future in real time', () => {
+    const issues = check(recovery([timeFrame('2026-10-19 11:30', '2026-10-19 12:30')]));
+
+    expect(issues).toEqual([expect.objectContaining({ severity: 'error', field: 'extractionEndTime' })]);
+  });
+
+  it('should allow DVR times ahead of now when the DVR clock is fast', () => {
+    const dvr = { isTimeDateCorrect: 'No', timeOffset: 'DVR is 1 hour AHEAD of real time' };
+
+    expect(check(recovery([timeFrame('2026-10-19 12:15', '2026-10-19 12:45')], dvr))).toEqual([]);
+  });
+
+  it('should block the same window twice and warn about overlaps on one DVR', () => {
+    const issues = check(recovery([
+      timeFrame('2026-10-18 14:00', '2026-10-18 15:00'),
+      timeFrame('2026-10-18 14:30', '2026-10-18 16:00'),
+      timeFrame('2026-10-18 14:00', '2026-10-18 15:00')
+    ]));
+
+    expect(issues).toEqual([
+      expect.objectContaining({ severity: 'warning', timeframe: 1, message: 'Overlaps Time Frame 1' }),
+      expect.objectContaining({ severity: 'error', timeframe: 2, message: 'Same window as Time Frame 1' })
+    ]);
+  });
+
+  it('should compare DVR Time and Actual Time windows in real time', () => {
+    const dvr = { isTimeDateCorrect: 'No', timeOffset: 'DVR is 1 hour AHEAD of real time' };
+    const issues = check(recovery([
+      timeFrame('2026-10-18 15:00', '2026-10-18 16:00'),
+      timeFrame('2026-10-18 14:00', '2026-10-18 15:00', 'Actual Time')
+    ], dvr));
+
+    expect(issues).toEqual([expect.objectContaining({ severity: 'error', message: 'Same window as Time Frame 1' })]);
+  });
+
+  it('should not compare windows on different DVRs', () => {
+    const data = recovery([timeFrame('2026-10-18 14:00', '2026-10-18 15:00')]);
+    data.dvrGroups.push({ ...data.dvrGroups[0] });
+
+    expect(check(data)).toEqual([]);
+  });
+
+  it('should warn when upload video starts before the occurrence date', () => {
+    const issues = check({
+      occDate: '2026-10-18',
+      locations: [
+        { videoStartTime: '2026-10-18 09:00', videoEndTime: '2026-10-18 10:00', dvrEarliestDate: '2026-10-01' },
+        { videoStartTime: '2026-10-17 23:50', videoEndTime: '2026-10-18 00:10', dvrEarliestDate: '' }
+      ]
+    });
+
+    expect(issues).toEqual([{
+      severity: 'warning',
+      message: CONFIG.MESSAGES.TEMPORAL_BEFORE_OCCURRENCE.replace('{date}', 'Oct 18, 2026'),
+      group: 1,
+      timeframe: 0,
+      field: 'videoStartTime'
+    }]);
+  });
+
+  it('should skip empty and unparseable times', () => {
+    expect(check(recovery([timeFrame('', ''), timeFrame('not a date', '2026-10-18 10:00')]))).toEqual([]);
+  });
+});
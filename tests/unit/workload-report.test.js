@@ -0,0 +1,133 @@
+/**
+ * Workload Report Tests
+ *
+ * Verifies report periods, request breakdowns, turnaround bands, analyst
+ * throughput and the CSV export.
+ *
+ * @fileoverview Unit tests for workload-report.js
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  getReportPeriod,
+  buildWorkloadReport,
+  getWorkloadReportTables,
+  workloadReportToCsv
+} from '../../assets/js/workload-report.js';
+import { groupEventsBySubmission } from '../../assets/js/dashboard-analytics.js';
+
+const hoursAfter = (iso, hours) => new Date(new Date(iso).getTime() + hours * 3600000).toISOString();
+
+function statusEvent(submissionId, from, to, createdAt) {
+  return { submission_id: submissionId, event_type: 'status', from_status: from, to_status: to, created_at: createdAt };
+}
+
+const submissions = [
+  {
+    id: 'a',
+    form_type: 'recovery',
+    status: 'completed',
+    assigned_to: 'Jane Analyst',
+    city: 'Brampton',
+    submitted_at: '2026-09-02T10:00:00Z',
+    form_data: { offenceType: 'Homicide' }
+  },
+  {
+    id: 'b',
+    form_type: 'analysis',
+    status: 'processing',
+    assigned_to: 'Jane Analyst',
+    city: 'Mississauga',
+    submitted_at: '2026-09-03T10:00:00Z',
+    form_data: { offenceType: 'Robbery', serviceRequired: 'Make Playable' }
+  },
+  {
+    id: 'c',
+    form_type: 'upload',
+    status: 'pending',
+    assigned_to: null,
+    city: null,
+    submitted_at: '2026-09-04T10:00:00Z',
+    form_data: { offenceType: 'Homicide', mediaType: 'USB', city: 'Other', cityOther: 'Caledon' }
+  }
+];
+
+const events = groupEventsBySubmission([
+  statusEvent('a', 'pending', 'processing', hoursAfter('2026-09-02T10:00:00Z', 2)),
+  statusEvent('a', 'processing', 'completed', hoursAfter('2026-09-02T10:00:00Z', 30)),
+  statusEvent('b', 'pending', 'processing', hoursAfter('2026-09-03T10:00:00Z', 200))
+]);
+
+const report = buildWorkloadReport(submissions, events, { from: '2026-09-01', to: '2026-09-30' });
+
+describe('Workload Report', () => {
+  describe('getReportPeriod()', () => {
+    it('should default to the last full month', () => {
+      expect(getReportPeriod('month', new Date('2026-10-19T12:00:00'))).toEqual({ from: '2026-09-01', to: '2026-09-30' });
+      expect(getReportPeriod('month', new Date('2026-01-05T12:00:00'))).toEqual({ from: '2025-12-01', to: '2025-12-31' });
+    });
+
+    it('should cover the last full year', () => {
+      expect(getReportPeriod('year', new Date('2026-10-19T12:00:00'))).toEqual({ from: '2025-01-01', to: '2025-12-31' });
+    });
+  });
+
+  describe('buildWorkloadReport()', () => {
+    const counts = (title) => report.breakdowns.find(breakdown => breakdown.title === title).counts;
+
+    it('should count requests by form type, offence and city', () => {
+      expect(report.total).toBe(3);
+      expect(counts('Requests by Form Type')).toEqual([['Analysis', 1], ['Recovery', 1], ['Upload', 1]]);
+      expect(counts('Requests by Offence Type')).toEqual([['Homicide', 2], ['Robbery', 1]]);
+      expect(counts('Requests by City')).toEqual([['Brampton', 1], ['Caledon', 1], ['Mississauga', 1]]);
+    });
+
+    it('should count service required for analysis and media type for uploads only', () => {
+      expect(counts('Analysis Requests by Service Required')).toEqual([['Make Playable', 1]]);
+      expect(counts('Uploads by Media Type')).toEqual([['USB', 1]]);
+    });
+
+    it('should count turnaround times into bands', () => {
+      expect(report.distribution).toEqual({
+        bands: ['Under 4 hrs', '4-24 hrs', '1-3 days', '3-7 days', 'Over 7 days'],
+        pickup: [1, 0, 0, 0, 1],
+        completion: [0, 0, 1, 0, 0]
+      });
+    });
+
+    it('should report throughput per analyst', () => {
+      expect(report.analysts).toEqual([
+        { analyst: 'Jane Analyst', requests: 2, completed: 1, open: 1, medianCompletionHours: 30 },
+        { analyst: 'Unassigned', requests: 1, completed: 0, open: 1, medianCompletionHours: null }
+      ]);
+    });
+  });
+
+  describe('getWorkloadReportTables()', () => {
+    it('should leave out breakdowns with no requests', () => {
+      const empty = buildWorkloadReport([], new Map(), { from: '2026-09-01', to: '2026-09-30' });
+      const titles = getWorkloadReportTables(empty).map(table => table.title);
+
+      expect(titles).toEqual(['Summary', 'Turnaround by Form Type', 'Turnaround Distribution', 'Analyst Throughput']);
+    });
+  });
+
+  describe('workloadReportToCsv()', () => {
+    it('should write one block per table', () => {
+      const csv = workloadReportToCsv(report);
+
+      expect(csv.startsWith('Summary\r\nMeasure,Value\r\nPeriod,2026-09-01 to 2026-09-30\r\nTotal Requests,3\r\n\r\n')).toBe(true);
+      expect(csv).toContain('Analyst Throughput\r\nAnalyst,Requests,Completed,Open,Median Completion\r\nJane Analyst,2,1,1,30.0 hrs\r\n');
+    });
+
+    it('should quote commas and keep spreadsheet formulas as text', () => {
+      const tricky = buildWorkloadReport([
+        { ...submissions[0], form_data: { offenceType: 'Assault, Aggravated' }, assigned_to: '=HYPERLINK("x")' }
+      ], new Map(), { from: '2026-09-01', to: '2026-09-30' });
+      const csv = workloadReportToCsv(tricky);
+
+      expect(csv).toContain('"Assault, Aggravated",1');
+      expect(csv).toContain('"\'=HYPERLINK(""x"")",1');
+    });
+  });
+});